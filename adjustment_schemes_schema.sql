@@ -0,0 +1,44 @@
+-- SQL statements for university adjustment schemes (selection ranks)
+-- Execute these in your Supabase SQL editor after atar_scenarios_schema.sql
+
+-- 1. Adjustment schemes. Each row is one scheme at one university
+-- (new_universities.id). points is per qualifying subject for subject
+-- bonuses, otherwise the flat award; criteria is read by
+-- src/lib/selectionRank.js:
+--   subject   {"subjects": ["Mathematics (Advanced)", "Physics"], "min_grade": "B"}
+--   language  {"min_grade": "C"}
+--   regional, equity, elite_athlete  {}
+CREATE TABLE IF NOT EXISTS university_adjustment_schemes (
+    id SERIAL PRIMARY KEY,
+    university_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    category TEXT NOT NULL CHECK (category IN ('subject', 'language', 'regional', 'equity', 'elite_athlete')),
+    points NUMERIC(4, 2) NOT NULL CHECK (points > 0),
+    max_points NUMERIC(4, 2),
+    criteria JSONB NOT NULL DEFAULT '{}',
+    description TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_adjustment_schemes_university ON university_adjustment_schemes (university_id) WHERE is_active;
+
+-- 2. Limit on combined adjustments per university. Universities without a
+-- row use the default of 5 points.
+CREATE TABLE IF NOT EXISTS university_adjustment_caps (
+    university_id TEXT PRIMARY KEY,
+    max_total_points NUMERIC(4, 2) NOT NULL CHECK (max_total_points >= 0),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 3. Row level security. Reference data: anyone can read, changes are made
+-- from the SQL editor or the service role.
+ALTER TABLE university_adjustment_schemes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE university_adjustment_caps ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view adjustment schemes" ON university_adjustment_schemes
+  FOR SELECT USING (true);
+
+CREATE POLICY "Anyone can view adjustment caps" ON university_adjustment_caps
+  FOR SELECT USING (true);
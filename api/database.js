@@ -493,6 +493,65 @@ app.get('/api/debug/tables', async (req, res) => {
   }
 });
 
+// Calendar feed endpoint
+// Serves a user's sessions as an iCalendar feed. The secret token in the URL is
+// the only credential, so calendar apps can subscribe without logging in.
+const FEED_SESSION_COLUMNS = { student: 'student_id', counselor: 'counselor_id' };
+
+let icalendarModule = null;
+const loadIcalendar = async () => {
+  // src/lib/icalendar.js is an ES module shared with the frontend
+  if (!icalendarModule) {
+    icalendarModule = await import('../src/lib/icalendar.js');
+  }
+  return icalendarModule;
+};
+
+app.get('/api/calendar/:token', async (req, res) => {
+  try {
+    const token = req.params.token.replace(/\.ics$/, '');
+    const tokenResult = await pool.query(
+      'SELECT * FROM calendar_feed_tokens WHERE token = $1 AND revoked_at IS NULL',
+      [token]
+    );
+    const feed = tokenResult.rows[0];
+
+    if (!feed || !FEED_SESSION_COLUMNS[feed.role]) {
+      return res.status(404).json({ data: null, error: 'Calendar feed not found' });
+    }
+
+    // Recent and upcoming sessions, including cancelled ones so that
+    // subscribers' calendars remove them
+    const sessionsResult = await pool.query(`
+      SELECT s.*,
+        COALESCE(c.display_name, CONCAT_WS(' ', c.first_name, c.last_name)) AS counselor_name,
+        COALESCE(u.full_name, CONCAT_WS(' ', u.first_name, u.last_name)) AS student_name
+      FROM sessions s
+      LEFT JOIN counselors c ON c.id::text = s.counselor_id::text
+      LEFT JOIN users u ON u.id::text = s.student_id::text
+      WHERE s.${FEED_SESSION_COLUMNS[feed.role]}::text = $1
+        AND s.scheduled_at >= NOW() - INTERVAL '30 days'
+      ORDER BY s.scheduled_at
+    `, [feed.subject_id]);
+
+    await pool.query('UPDATE calendar_feed_tokens SET last_accessed_at = NOW() WHERE id = $1', [feed.id]);
+
+    const { buildCalendar, sessionToEvent } = await loadIcalendar();
+    const events = sessionsResult.rows.map(session => sessionToEvent(session, {
+      summary: feed.role === 'student'
+        ? `Counseling session with ${session.counselor_name || 'your counselor'}`
+        : `${session.session_title || 'Session'} with ${session.student_name || 'student'}`
+    }));
+
+    res.set('Content-Type', 'text/calendar; charset=utf-8');
+    res.set('Content-Disposition', 'inline; filename="studentkonnect-sessions.ics"');
+    res.send(buildCalendar(events, { name: 'StudentKonnect Sessions' }));
+  } catch (error) {
+    console.error('Error building calendar feed:', error);
+    res.status(500).json({ data: null, error: error.message });
+  }
+});
+
 const PORT = process.env.PORT || 3001;
 app.listen(PORT, () => {
   console.log(`Database API server running on port ${PORT}`);
@@ -0,0 +1,42 @@
+-- SQL statements for saved ATAR what-if scenarios
+-- Execute these in your Supabase SQL editor after sop_similarity_schema.sql
+
+-- 1. Scenarios. subjects holds the calculator entries ({ name, grade }) for
+-- one what-if; target_course_id / target_cutoff remember the new_courses row
+-- the student was aiming at, with the cutoff copied so a scenario still reads
+-- correctly if the course's cutoff changes later.
+CREATE TABLE IF NOT EXISTS atar_scenarios (
+    id SERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    jurisdiction TEXT NOT NULL,
+    subjects JSONB NOT NULL DEFAULT '[]',
+    atar NUMERIC(5, 2),
+    target_course_id TEXT,
+    target_cutoff NUMERIC(5, 2),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_atar_scenarios_user ON atar_scenarios (user_id, updated_at DESC);
+
+-- 2. Row level security: scenarios are the student's own
+ALTER TABLE atar_scenarios ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view ATAR scenarios" ON atar_scenarios;
+DROP POLICY IF EXISTS "Users can create ATAR scenarios" ON atar_scenarios;
+DROP POLICY IF EXISTS "Users can update ATAR scenarios" ON atar_scenarios;
+DROP POLICY IF EXISTS "Users can delete ATAR scenarios" ON atar_scenarios;
+
+CREATE POLICY "Users can view ATAR scenarios" ON atar_scenarios
+  FOR SELECT USING (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can create ATAR scenarios" ON atar_scenarios
+  FOR INSERT WITH CHECK (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can update ATAR scenarios" ON atar_scenarios
+  FOR UPDATE USING (auth.uid()::text = user_id)
+  WITH CHECK (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can delete ATAR scenarios" ON atar_scenarios
+  FOR DELETE USING (auth.uid()::text = user_id);
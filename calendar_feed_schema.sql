@@ -0,0 +1,72 @@
+-- SQL statements for iCalendar session exports and subscribable feeds
+-- Execute these in your Supabase SQL editor after session_timezone_schema.sql
+
+-- 1. Per-user secret feed tokens (one active token per user and role)
+CREATE TABLE IF NOT EXISTS calendar_feed_tokens (
+    id SERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    role VARCHAR(20) NOT NULL CHECK (role IN ('student', 'counselor')),
+    subject_id TEXT NOT NULL, -- sessions.student_id or sessions.counselor_id the feed lists
+    token VARCHAR(64) UNIQUE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    last_accessed_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_calendar_feed_tokens_active
+    ON calendar_feed_tokens (user_id, role)
+    WHERE revoked_at IS NULL;
+
+-- 2. iCalendar SEQUENCE: bumped whenever a change subscribers must see is saved
+ALTER TABLE sessions
+    ADD COLUMN IF NOT EXISTS ics_sequence INTEGER DEFAULT 0;
+
+CREATE OR REPLACE FUNCTION bump_session_ics_sequence()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.scheduled_at IS DISTINCT FROM OLD.scheduled_at
+       OR NEW.duration_minutes IS DISTINCT FROM OLD.duration_minutes
+       OR NEW.status IS DISTINCT FROM OLD.status
+       OR NEW.meeting_link IS DISTINCT FROM OLD.meeting_link
+       OR NEW.session_title IS DISTINCT FROM OLD.session_title THEN
+        NEW.ics_sequence = COALESCE(OLD.ics_sequence, 0) + 1;
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS bump_sessions_ics_sequence ON sessions;
+CREATE TRIGGER bump_sessions_ics_sequence
+    BEFORE UPDATE ON sessions
+    FOR EACH ROW
+    EXECUTE FUNCTION bump_session_ics_sequence();
+
+-- 3. Row level security: tokens are secrets, so users only ever see and revoke
+-- their own. The feed endpoint (api/database.js) looks tokens up server-side
+-- and serves the subject's sessions, so a token may only name the caller
+-- themselves: their own user id as a student, their counselors row as a
+-- counselor (current_counselor_id(), counselor_availability_schema.sql).
+ALTER TABLE calendar_feed_tokens ENABLE ROW LEVEL SECURITY;
+
+CREATE OR REPLACE FUNCTION is_own_feed_subject(feed_role TEXT, feed_subject_id TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT CASE feed_role
+        WHEN 'student' THEN feed_subject_id = auth.uid()::text
+        WHEN 'counselor' THEN feed_subject_id = current_counselor_id()::text
+        ELSE false
+    END;
+$$ LANGUAGE sql STABLE;
+
+DROP POLICY IF EXISTS "Users can view own feed tokens" ON calendar_feed_tokens;
+DROP POLICY IF EXISTS "Users can create feed tokens" ON calendar_feed_tokens;
+DROP POLICY IF EXISTS "Users can revoke feed tokens" ON calendar_feed_tokens;
+
+CREATE POLICY "Users can view own feed tokens" ON calendar_feed_tokens
+  FOR SELECT USING (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can create feed tokens" ON calendar_feed_tokens
+  FOR INSERT WITH CHECK (auth.uid()::text = user_id AND is_own_feed_subject(role, subject_id));
+
+CREATE POLICY "Users can revoke feed tokens" ON calendar_feed_tokens
+  FOR UPDATE USING (auth.uid()::text = user_id)
+  WITH CHECK (auth.uid()::text = user_id AND is_own_feed_subject(role, subject_id));
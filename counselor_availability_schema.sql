@@ -0,0 +1,114 @@
+-- SQL statements for counselor availability and booking rules
+-- Execute these in your Supabase SQL editor
+
+-- 1. Weekly recurring hours (one row per block, a day can have several blocks)
+CREATE TABLE IF NOT EXISTS counselor_availability (
+    id SERIAL PRIMARY KEY,
+    counselor_id INTEGER NOT NULL REFERENCES counselors(id) ON DELETE CASCADE,
+    day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6), -- 0 = Sunday
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    is_available BOOLEAN DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (end_time > start_time)
+);
+
+CREATE INDEX IF NOT EXISTS idx_counselor_availability_counselor
+    ON counselor_availability (counselor_id, day_of_week);
+
+-- 2. One-off blackout dates (holidays, leave, conferences)
+CREATE TABLE IF NOT EXISTS counselor_blackout_dates (
+    id SERIAL PRIMARY KEY,
+    counselor_id INTEGER NOT NULL REFERENCES counselors(id) ON DELETE CASCADE,
+    blackout_date DATE NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (counselor_id, blackout_date)
+);
+
+-- 3. Per-counselor booking rules
+CREATE TABLE IF NOT EXISTS counselor_booking_settings (
+    counselor_id INTEGER PRIMARY KEY REFERENCES counselors(id) ON DELETE CASCADE,
+    slot_interval_minutes INTEGER DEFAULT 30 CHECK (slot_interval_minutes > 0),
+    buffer_minutes INTEGER DEFAULT 15 CHECK (buffer_minutes >= 0),
+    max_sessions_per_day INTEGER DEFAULT 6 CHECK (max_sessions_per_day > 0),
+    booking_horizon_days INTEGER DEFAULT 14 CHECK (booking_horizon_days > 0),
+    min_notice_hours INTEGER DEFAULT 12 CHECK (min_notice_hours >= 0),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 4. Keep updated_at current (function defined in database_setup.sql)
+DROP TRIGGER IF EXISTS update_counselor_availability_updated_at ON counselor_availability;
+CREATE TRIGGER update_counselor_availability_updated_at
+    BEFORE UPDATE ON counselor_availability
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_counselor_booking_settings_updated_at ON counselor_booking_settings;
+CREATE TRIGGER update_counselor_booking_settings_updated_at
+    BEFORE UPDATE ON counselor_booking_settings
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- 5. Last line of defence against double-booking when two students race for a slot:
+-- a counselor's live sessions may not overlap. scheduled_date / scheduled_time are
+-- the counselor's wall clock, so their ranges compare directly.
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+DROP INDEX IF EXISTS idx_sessions_counselor_slot;
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_counselor_no_overlap;
+ALTER TABLE sessions ADD CONSTRAINT sessions_counselor_no_overlap
+    EXCLUDE USING gist (
+        counselor_id WITH =,
+        tsrange(
+            scheduled_date + scheduled_time,
+            scheduled_date + scheduled_time + make_interval(mins => COALESCE(duration_minutes, 60))
+        ) WITH &&
+    )
+    WHERE (status <> 'cancelled');
+
+-- 6. The counselors row of the signed-in user, matched on email as the
+-- counselor portal does (realDatabaseService.getCounselorByEmail). Later
+-- schemas use it to scope counselor-owned rows.
+CREATE OR REPLACE FUNCTION current_counselor_id()
+RETURNS INTEGER AS $$
+    SELECT id FROM counselors WHERE lower(email) = lower(auth.jwt() ->> 'email') LIMIT 1;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- 7. Row level security: anyone can read availability, counselors manage their own
+ALTER TABLE counselor_availability ENABLE ROW LEVEL SECURITY;
+ALTER TABLE counselor_blackout_dates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE counselor_booking_settings ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Availability is public" ON counselor_availability;
+DROP POLICY IF EXISTS "Blackouts are public" ON counselor_blackout_dates;
+DROP POLICY IF EXISTS "Booking settings are public" ON counselor_booking_settings;
+DROP POLICY IF EXISTS "Counselors manage availability" ON counselor_availability;
+DROP POLICY IF EXISTS "Counselors manage blackouts" ON counselor_blackout_dates;
+DROP POLICY IF EXISTS "Counselors manage booking settings" ON counselor_booking_settings;
+
+CREATE POLICY "Availability is public" ON counselor_availability FOR SELECT USING (true);
+CREATE POLICY "Blackouts are public" ON counselor_blackout_dates FOR SELECT USING (true);
+CREATE POLICY "Booking settings are public" ON counselor_booking_settings FOR SELECT USING (true);
+
+CREATE POLICY "Counselors add own availability" ON counselor_availability
+  FOR INSERT WITH CHECK (counselor_id = current_counselor_id());
+CREATE POLICY "Counselors change own availability" ON counselor_availability
+  FOR UPDATE USING (counselor_id = current_counselor_id()) WITH CHECK (counselor_id = current_counselor_id());
+CREATE POLICY "Counselors remove own availability" ON counselor_availability
+  FOR DELETE USING (counselor_id = current_counselor_id());
+
+CREATE POLICY "Counselors add own blackouts" ON counselor_blackout_dates
+  FOR INSERT WITH CHECK (counselor_id = current_counselor_id());
+CREATE POLICY "Counselors change own blackouts" ON counselor_blackout_dates
+  FOR UPDATE USING (counselor_id = current_counselor_id()) WITH CHECK (counselor_id = current_counselor_id());
+CREATE POLICY "Counselors remove own blackouts" ON counselor_blackout_dates
+  FOR DELETE USING (counselor_id = current_counselor_id());
+
+CREATE POLICY "Counselors add own booking settings" ON counselor_booking_settings
+  FOR INSERT WITH CHECK (counselor_id = current_counselor_id());
+CREATE POLICY "Counselors change own booking settings" ON counselor_booking_settings
+  FOR UPDATE USING (counselor_id = current_counselor_id()) WITH CHECK (counselor_id = current_counselor_id());
+CREATE POLICY "Counselors remove own booking settings" ON counselor_booking_settings
+  FOR DELETE USING (counselor_id = current_counselor_id());
@@ -0,0 +1,21 @@
+-- SQL statements for counselor capacity limits and connection waitlists
+-- Execute these in your Supabase SQL editor after session_lifecycle_schema.sql
+
+-- 1. Maximum number of active (approved) students per counselor
+ALTER TABLE counselors
+    ADD COLUMN IF NOT EXISTS max_students INTEGER DEFAULT 25 CHECK (max_students > 0);
+
+-- 2. Waitlist and relationship-end tracking on connection requests.
+-- status 'waitlisted' queues FIFO by waitlisted_at; 'ended' frees the student's place.
+ALTER TABLE counselor_requests
+    ADD COLUMN IF NOT EXISTS waitlisted_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS promoted_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS ended_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS end_reason TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_counselor_requests_waitlist
+    ON counselor_requests (requested_counselor_id, waitlisted_at)
+    WHERE status = 'waitlisted';
+
+CREATE INDEX IF NOT EXISTS idx_counselor_requests_counselor_status
+    ON counselor_requests (requested_counselor_id, status);
@@ -0,0 +1,38 @@
+-- SQL statements for synced builder drafts (SOP, GTE statement, reference letter)
+-- Execute these in your Supabase SQL editor after resumes_schema.sql
+
+-- 1. One draft per builder per user. revision increases on every save;
+-- clients only overwrite the revision they last saw, so an edit made on
+-- another device in between is reported as a conflict instead of lost.
+CREATE TABLE IF NOT EXISTS document_drafts (
+    id SERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    doc_type VARCHAR(30) NOT NULL CHECK (doc_type IN ('sop', 'gte', 'reference_letter')),
+    data JSONB NOT NULL DEFAULT '{}',
+    revision INTEGER NOT NULL DEFAULT 1,
+    device_id TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (user_id, doc_type)
+);
+
+-- 2. Row level security: drafts are only ever read and written by their owner
+ALTER TABLE document_drafts ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view drafts" ON document_drafts;
+DROP POLICY IF EXISTS "Users can create drafts" ON document_drafts;
+DROP POLICY IF EXISTS "Users can update drafts" ON document_drafts;
+DROP POLICY IF EXISTS "Users can delete drafts" ON document_drafts;
+
+CREATE POLICY "Users can view drafts" ON document_drafts
+  FOR SELECT USING (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can create drafts" ON document_drafts
+  FOR INSERT WITH CHECK (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can update drafts" ON document_drafts
+  FOR UPDATE USING (auth.uid()::text = user_id)
+  WITH CHECK (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can delete drafts" ON document_drafts
+  FOR DELETE USING (auth.uid()::text = user_id);
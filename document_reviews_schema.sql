@@ -0,0 +1,98 @@
+-- SQL statements for counselor reviews of SOPs and resumes
+-- Execute these in your Supabase SQL editor after sop_revisions_schema.sql
+
+-- 1. A review request. sections is the document as the student shared it:
+-- [{ "key": "introduction.content", "label": "Introduction", "text": "..." }]
+CREATE TABLE IF NOT EXISTS document_reviews (
+    id SERIAL PRIMARY KEY,
+    connection_id TEXT NOT NULL,
+    student_id TEXT NOT NULL,
+    counselor_id TEXT NOT NULL,
+    document_type VARCHAR(20) NOT NULL CHECK (document_type IN ('sop', 'resume')),
+    document_id TEXT,
+    title TEXT,
+    sections JSONB NOT NULL DEFAULT '[]',
+    status VARCHAR(20) NOT NULL DEFAULT 'requested'
+        CHECK (status IN ('requested', 'in_review', 'feedback_ready', 'completed')),
+    requested_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    feedback_sent_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_reviews_student ON document_reviews (student_id, document_type);
+CREATE INDEX IF NOT EXISTS idx_document_reviews_counselor ON document_reviews (counselor_id, status);
+
+-- 2. Inline comments and suggested edits, anchored to a character range of
+-- one section's snapshot text
+CREATE TABLE IF NOT EXISTS review_comments (
+    id SERIAL PRIMARY KEY,
+    review_id INTEGER NOT NULL REFERENCES document_reviews(id) ON DELETE CASCADE,
+    section_key TEXT NOT NULL,
+    anchor_start INTEGER NOT NULL DEFAULT 0,
+    anchor_end INTEGER NOT NULL DEFAULT 0,
+    anchor_text TEXT DEFAULT '',
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('comment', 'suggestion')),
+    body TEXT DEFAULT '',
+    suggested_text TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'accepted', 'rejected')),
+    author_role VARCHAR(20) NOT NULL CHECK (author_role IN ('student', 'counselor')),
+    author_id TEXT NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    resolved_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_review_comments_review ON review_comments (review_id, section_key);
+
+-- 3. Which side of a review the signed-in user is on: 'student', 'counselor'
+-- (current_counselor_id(), counselor_availability_schema.sql) or NULL
+CREATE OR REPLACE FUNCTION review_role(target_review_id INTEGER) RETURNS TEXT AS $$
+    SELECT CASE WHEN r.student_id = auth.uid()::text THEN 'student'
+                WHEN r.counselor_id = current_counselor_id()::text THEN 'counselor' END
+    FROM document_reviews r WHERE r.id = target_review_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- 4. Row level security: a review is seen by its student and the counselor it
+-- was shared with, and can only be shared over an approved connection
+-- (is_approved_connection(), messaging_schema.sql). Counselors write comments;
+-- students resolve suggestions.
+ALTER TABLE document_reviews ENABLE ROW LEVEL SECURITY;
+ALTER TABLE review_comments ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Participants can view reviews" ON document_reviews;
+DROP POLICY IF EXISTS "Students can request reviews" ON document_reviews;
+DROP POLICY IF EXISTS "Participants can update reviews" ON document_reviews;
+DROP POLICY IF EXISTS "Participants can view review comments" ON review_comments;
+DROP POLICY IF EXISTS "Counselors can comment" ON review_comments;
+DROP POLICY IF EXISTS "Counselors can delete open comments" ON review_comments;
+DROP POLICY IF EXISTS "Students can resolve suggestions" ON review_comments;
+
+CREATE POLICY "Participants can view reviews" ON document_reviews
+  FOR SELECT USING (student_id = auth.uid()::text OR counselor_id = current_counselor_id()::text);
+
+CREATE POLICY "Students can request reviews" ON document_reviews
+  FOR INSERT WITH CHECK (
+    student_id = auth.uid()::text
+    AND is_approved_connection(connection_id::bigint, student_id, counselor_id)
+  );
+
+CREATE POLICY "Participants can update reviews" ON document_reviews
+  FOR UPDATE USING (student_id = auth.uid()::text OR counselor_id = current_counselor_id()::text)
+  WITH CHECK (student_id = auth.uid()::text OR counselor_id = current_counselor_id()::text);
+
+CREATE POLICY "Participants can view review comments" ON review_comments
+  FOR SELECT USING (review_role(review_id) IS NOT NULL);
+
+CREATE POLICY "Counselors can comment" ON review_comments
+  FOR INSERT WITH CHECK (
+    author_role = 'counselor'
+    AND review_role(review_id) = 'counselor'
+    AND author_id = current_counselor_id()::text
+  );
+
+CREATE POLICY "Counselors can delete open comments" ON review_comments
+  FOR DELETE USING (status = 'open' AND review_role(review_id) = 'counselor');
+
+CREATE POLICY "Students can resolve suggestions" ON review_comments
+  FOR UPDATE USING (review_role(review_id) = 'student')
+  WITH CHECK (review_role(review_id) = 'student');
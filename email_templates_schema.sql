@@ -0,0 +1,10 @@
+-- SQL statements for localized transactional emails
+-- Execute these in your Supabase SQL editor after session_reminders_schema.sql
+
+-- 1. Preferred email language ('en', 'zh'). Emails fall back to English for
+-- any locale without a template variant (see functions/emailTemplates.js).
+ALTER TABLE users
+    ADD COLUMN IF NOT EXISTS preferred_locale VARCHAR(10) DEFAULT 'en';
+
+ALTER TABLE counselors
+    ADD COLUMN IF NOT EXISTS preferred_locale VARCHAR(10) DEFAULT 'en';
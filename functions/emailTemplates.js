@@ -0,0 +1,604 @@
+// Transactional email templates - the single source for every email the functions send.
+//
+// Template syntax (a small Mustache subset):
+//   {{name}}            escaped value (dotted paths like {{session.title}} work)
+//   {{{name}}}          raw value, for pre-rendered markup
+//   {{#name}}..{{/name}} section - repeated for arrays, shown once when truthy
+//   {{^name}}..{{/name}} inverted section - shown when falsy or an empty array
+//   {{> partial}}       layout partial, looked up in the template's locale first
+//
+// Each template has per-locale variants with a subject, a heading and separate
+// html/text bodies; unknown locales fall back to the language and then to English.
+
+const DEFAULT_LOCALE = 'en';
+
+const LOCALE_NAMES = {
+  en: 'English',
+  zh: '简体中文'
+};
+
+const escapeHtml = (value) => String(value == null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Layout partials, shared by all templates
+const PARTIALS = {
+  en: {
+    footer: `
+              <p>© {{year}} StudentKonnect. All rights reserved.</p>
+              <p>Need help? Contact us at support@studentkonnect.com</p>`,
+    footer_text: '© {{year}} StudentKonnect. Need help? Contact us at support@studentkonnect.com',
+    link_fallback: `
+              <p>Or copy and paste this link in your browser:</p>
+              <p style="word-break: break-all; background: #eee; padding: 10px; border-radius: 5px;">{{actionUrl}}</p>`,
+    preferences_note: `
+              <p style="font-size: 13px; color: #666;">You can change which emails you receive from the bell menu in StudentKonnect.</p>`,
+    preferences_note_text: 'You can change which emails you receive from the bell menu in StudentKonnect.'
+  },
+  zh: {
+    footer: `
+              <p>© {{year}} StudentKonnect 版权所有。</p>
+              <p>需要帮助？请联系 support@studentkonnect.com</p>`,
+    footer_text: '© {{year}} StudentKonnect。需要帮助？请联系 support@studentkonnect.com',
+    link_fallback: `
+              <p>或将以下链接复制到浏览器中打开：</p>
+              <p style="word-break: break-all; background: #eee; padding: 10px; border-radius: 5px;">{{actionUrl}}</p>`,
+    preferences_note: `
+              <p style="font-size: 13px; color: #666;">您可以在 StudentKonnect 的通知铃铛菜单中更改接收的邮件类型。</p>`,
+    preferences_note_text: '您可以在 StudentKonnect 的通知铃铛菜单中更改接收的邮件类型。'
+  }
+};
+
+// Branded layout wrapped around every html body; {{{body}}} is the rendered template
+const LAYOUT_HTML = `
+        <!DOCTYPE html>
+        <html lang="{{locale}}">
+        <head>
+          <meta charset="utf-8">
+          <title>{{subject}}</title>
+          <style>
+            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+            .button { display: inline-block; background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
+          </style>
+        </head>
+        <body>
+          <div class="container">
+            <div class="header">
+              <h1>{{heading}}</h1>
+              {{#subheading}}<p>{{subheading}}</p>{{/subheading}}
+            </div>
+            <div class="content">
+              {{{body}}}
+            </div>
+            <div class="footer">
+              {{> footer}}
+            </div>
+          </div>
+        </body>
+        </html>
+      `;
+
+const LAYOUT_TEXT = `{{heading}}
+{{#subheading}}{{subheading}}
+{{/subheading}}
+{{{body}}}
+
+--
+{{> footer_text}}
+`;
+
+const TEMPLATES = {
+  verification: {
+    description: 'Sent after sign-up with the email verification link',
+    sampleData: { firstName: 'Priya', lastName: 'Sharma', actionUrl: 'https://studentkonnect24aug.web.app/verify-email?token=sample' },
+    locales: {
+      en: {
+        subject: 'Verify Your StudentKonnect Account - Action Required',
+        heading: 'Welcome to StudentKonnect!',
+        subheading: 'Verify your email to get started',
+        html: `
+              <h2>Hi {{firstName}} {{lastName}},</h2>
+              <p>Thank you for creating your StudentKonnect account! To complete your registration and access all features, please verify your email address.</p>
+
+              <p><strong>Click the button below to verify your email:</strong></p>
+              <a href="{{actionUrl}}" class="button">Verify Email Address</a>
+              {{> link_fallback}}
+
+              <p><strong>This verification link will expire in 24 hours.</strong></p>
+
+              <p>Once verified, you'll have access to:</p>
+              <ul>
+                <li>Connect with expert counselors</li>
+                <li>Explore 850+ universities worldwide</li>
+                <li>Apply for scholarships</li>
+                <li>Join student forums and sessions</li>
+              </ul>
+
+              <p>If you didn't create this account, please ignore this email.</p>`,
+        text: `Hi {{firstName}} {{lastName}},
+
+Thank you for creating your StudentKonnect account! Verify your email address to complete your registration:
+
+{{actionUrl}}
+
+This verification link will expire in 24 hours. If you didn't create this account, please ignore this email.`
+      },
+      zh: {
+        subject: '请验证您的 StudentKonnect 账户',
+        heading: '欢迎加入 StudentKonnect！',
+        subheading: '验证邮箱即可开始使用',
+        html: `
+              <h2>{{firstName}}，您好：</h2>
+              <p>感谢您注册 StudentKonnect！请验证您的邮箱地址以完成注册并使用全部功能。</p>
+
+              <a href="{{actionUrl}}" class="button">验证邮箱地址</a>
+              {{> link_fallback}}
+
+              <p><strong>此验证链接将在 24 小时后失效。</strong></p>
+              <p>如果您没有注册此账户，请忽略本邮件。</p>`,
+        text: `{{firstName}}，您好：
+
+感谢您注册 StudentKonnect！请打开以下链接验证您的邮箱地址：
+
+{{actionUrl}}
+
+此验证链接将在 24 小时后失效。如果您没有注册此账户，请忽略本邮件。`
+      }
+    }
+  },
+
+  password_reset: {
+    description: 'Password reset link requested from the sign-in page',
+    sampleData: { firstName: 'Priya', actionUrl: 'https://studentkonnect24aug.web.app/signin#recovery' },
+    locales: {
+      en: {
+        subject: 'Reset your StudentKonnect password',
+        heading: 'Reset your password',
+        html: `
+              <h2>Hi {{firstName}},</h2>
+              <p>We received a request to reset the password for your StudentKonnect account.</p>
+              <a href="{{actionUrl}}" class="button">Choose a New Password</a>
+              {{> link_fallback}}
+              <p><strong>This link will expire in 1 hour.</strong> If you didn't ask to reset your password, you can ignore this email - your password won't change.</p>`,
+        text: `Hi {{firstName}},
+
+We received a request to reset the password for your StudentKonnect account. Choose a new password here:
+
+{{actionUrl}}
+
+This link will expire in 1 hour. If you didn't ask to reset your password, you can ignore this email.`
+      },
+      zh: {
+        subject: '重置您的 StudentKonnect 密码',
+        heading: '重置密码',
+        html: `
+              <h2>{{firstName}}，您好：</h2>
+              <p>我们收到了重置您 StudentKonnect 账户密码的请求。</p>
+              <a href="{{actionUrl}}" class="button">设置新密码</a>
+              {{> link_fallback}}
+              <p><strong>此链接将在 1 小时后失效。</strong>如果这不是您本人的操作，请忽略本邮件，您的密码不会改变。</p>`,
+        text: `{{firstName}}，您好：
+
+我们收到了重置您 StudentKonnect 账户密码的请求。请打开以下链接设置新密码：
+
+{{actionUrl}}
+
+此链接将在 1 小时后失效。如果这不是您本人的操作，请忽略本邮件。`
+      }
+    }
+  },
+
+  connection_status: {
+    description: 'A student\'s counselor connection request was approved or declined',
+    sampleData: {
+      firstName: 'Priya',
+      approved: true,
+      message: 'You can now message your counselor and book sessions.',
+      actionUrl: 'https://studentkonnect24aug.web.app/student/connections'
+    },
+    locales: {
+      en: {
+        subject: '{{#approved}}Your counselor connection was approved{{/approved}}{{^approved}}Your connection request was not approved{{/approved}}',
+        heading: '{{#approved}}You\'re connected!{{/approved}}{{^approved}}Connection request update{{/approved}}',
+        html: `
+              <h2>Hi {{firstName}},</h2>
+              {{#approved}}<p>Good news - your counselor has accepted your connection request.</p>{{/approved}}
+              {{^approved}}<p>Unfortunately your counselor connection request was not approved.</p>{{/approved}}
+              <p>{{message}}</p>
+              <a href="{{actionUrl}}" class="button">{{#approved}}Message Your Counselor{{/approved}}{{^approved}}Find Another Counselor{{/approved}}</a>
+              {{> preferences_note}}`,
+        text: `Hi {{firstName}},
+
+{{#approved}}Good news - your counselor has accepted your connection request.{{/approved}}{{^approved}}Unfortunately your counselor connection request was not approved.{{/approved}}
+{{message}}
+
+{{actionUrl}}
+
+{{> preferences_note_text}}`
+      },
+      zh: {
+        subject: '{{#approved}}您的顾问连接请求已通过{{/approved}}{{^approved}}您的顾问连接请求未通过{{/approved}}',
+        heading: '{{#approved}}连接成功！{{/approved}}{{^approved}}连接请求状态更新{{/approved}}',
+        html: `
+              <h2>{{firstName}}，您好：</h2>
+              {{#approved}}<p>好消息——您的顾问已接受您的连接请求。</p>{{/approved}}
+              {{^approved}}<p>很遗憾，您的顾问连接请求未获通过。</p>{{/approved}}
+              <p>{{message}}</p>
+              <a href="{{actionUrl}}" class="button">{{#approved}}联系您的顾问{{/approved}}{{^approved}}寻找其他顾问{{/approved}}</a>
+              {{> preferences_note}}`,
+        text: `{{firstName}}，您好：
+
+{{#approved}}好消息——您的顾问已接受您的连接请求。{{/approved}}{{^approved}}很遗憾，您的顾问连接请求未获通过。{{/approved}}
+{{message}}
+
+{{actionUrl}}
+
+{{> preferences_note_text}}`
+      }
+    }
+  },
+
+  session_booked: {
+    description: 'A session was requested, confirmed, rescheduled or cancelled',
+    sampleData: {
+      firstName: 'Priya',
+      title: 'Session confirmed',
+      message: 'Your counselor confirmed the session.',
+      sessionTitle: 'University shortlist review',
+      sessionTime: 'Monday, 3 March 2025 at 4:00 pm (Australia/Sydney)',
+      actionUrl: 'https://studentkonnect24aug.web.app/student/sessions'
+    },
+    locales: {
+      en: {
+        subject: '{{title}}',
+        heading: '{{title}}',
+        html: `
+              <h2>Hi {{firstName}},</h2>
+              <p>{{message}}</p>
+              {{#sessionTitle}}<p><strong>{{sessionTitle}}</strong>{{#sessionTime}}<br>{{sessionTime}}{{/sessionTime}}</p>{{/sessionTitle}}
+              <a href="{{actionUrl}}" class="button">View Session</a>
+              {{> preferences_note}}`,
+        text: `Hi {{firstName}},
+
+{{message}}
+{{#sessionTitle}}
+{{sessionTitle}}{{#sessionTime}}
+{{sessionTime}}{{/sessionTime}}
+{{/sessionTitle}}
+{{actionUrl}}
+
+{{> preferences_note_text}}`
+      },
+      zh: {
+        subject: '{{title}}',
+        heading: '{{title}}',
+        html: `
+              <h2>{{firstName}}，您好：</h2>
+              <p>{{message}}</p>
+              {{#sessionTitle}}<p><strong>{{sessionTitle}}</strong>{{#sessionTime}}<br>{{sessionTime}}{{/sessionTime}}</p>{{/sessionTitle}}
+              <a href="{{actionUrl}}" class="button">查看咨询</a>
+              {{> preferences_note}}`,
+        text: `{{firstName}}，您好：
+
+{{message}}
+{{#sessionTitle}}
+{{sessionTitle}}{{#sessionTime}}
+{{sessionTime}}{{/sessionTime}}
+{{/sessionTitle}}
+{{actionUrl}}
+
+{{> preferences_note_text}}`
+      }
+    }
+  },
+
+  session_reminder: {
+    description: 'Sent 24 hours and 1 hour before a session to both participants',
+    sampleData: {
+      firstName: 'Priya',
+      whenLabel: 'tomorrow',
+      otherPartyName: 'Dr. Sarah Chen',
+      sessionTitle: 'University shortlist review',
+      sessionTime: 'Monday, 3 March 2025 at 4:00 pm (Australia/Sydney)',
+      durationMinutes: 60,
+      meetingLink: 'https://meet.google.com/abc-defg-hij',
+      rescheduleUrl: 'https://studentkonnect24aug.web.app/student/sessions?reschedule=1'
+    },
+    locales: {
+      en: {
+        subject: 'Reminder: your StudentKonnect session is {{whenLabel}}',
+        heading: 'Session Reminder',
+        subheading: 'Your session is {{whenLabel}}',
+        html: `
+              <h2>Hi {{firstName}},</h2>
+              <p>This is a reminder of your StudentKonnect session with <strong>{{otherPartyName}}</strong>.</p>
+
+              <p><strong>{{sessionTitle}}</strong><br>
+              {{sessionTime}}<br>
+              {{durationMinutes}} minutes</p>
+
+              {{#meetingLink}}<a href="{{meetingLink}}" class="button">Join Session</a>
+              <p>Or copy and paste this link in your browser:</p>
+              <p style="word-break: break-all; background: #eee; padding: 10px; border-radius: 5px;">{{meetingLink}}</p>{{/meetingLink}}
+              {{^meetingLink}}<p>The meeting link will be shared before the session starts.</p>{{/meetingLink}}
+
+              <p>Can't make it? <a href="{{rescheduleUrl}}">Reschedule or cancel the session</a>.</p>`,
+        text: `Hi {{firstName}},
+
+This is a reminder of your StudentKonnect session with {{otherPartyName}}.
+
+{{sessionTitle}}
+{{sessionTime}}
+{{durationMinutes}} minutes
+
+{{#meetingLink}}Join: {{meetingLink}}{{/meetingLink}}{{^meetingLink}}The meeting link will be shared before the session starts.{{/meetingLink}}
+
+Can't make it? Reschedule or cancel: {{rescheduleUrl}}`
+      },
+      zh: {
+        subject: '提醒：您的 StudentKonnect 咨询将于{{whenLabel}}开始',
+        heading: '咨询提醒',
+        subheading: '您的咨询将于{{whenLabel}}开始',
+        html: `
+              <h2>{{firstName}}，您好：</h2>
+              <p>提醒您与 <strong>{{otherPartyName}}</strong> 的 StudentKonnect 咨询即将开始。</p>
+
+              <p><strong>{{sessionTitle}}</strong><br>
+              {{sessionTime}}<br>
+              {{durationMinutes}} 分钟</p>
+
+              {{#meetingLink}}<a href="{{meetingLink}}" class="button">加入咨询</a>
+              <p style="word-break: break-all; background: #eee; padding: 10px; border-radius: 5px;">{{meetingLink}}</p>{{/meetingLink}}
+              {{^meetingLink}}<p>会议链接将在咨询开始前发送给您。</p>{{/meetingLink}}
+
+              <p>无法参加？<a href="{{rescheduleUrl}}">改期或取消咨询</a>。</p>`,
+        text: `{{firstName}}，您好：
+
+提醒您与 {{otherPartyName}} 的 StudentKonnect 咨询即将开始。
+
+{{sessionTitle}}
+{{sessionTime}}
+{{durationMinutes}} 分钟
+
+{{#meetingLink}}加入：{{meetingLink}}{{/meetingLink}}{{^meetingLink}}会议链接将在咨询开始前发送给您。{{/meetingLink}}
+
+无法参加？改期或取消：{{rescheduleUrl}}`
+      }
+    }
+  },
+
+  notification: {
+    description: 'Immediate email for any other notification event',
+    sampleData: {
+      title: 'New message',
+      message: 'Hi Priya, I have reviewed your statement of purpose draft.',
+      actionUrl: 'https://studentkonnect24aug.web.app/student/dashboard'
+    },
+    locales: {
+      en: {
+        subject: '{{title}}',
+        heading: '{{title}}',
+        html: `
+              <p>{{message}}</p>
+              <a href="{{actionUrl}}" class="button">Open StudentKonnect</a>
+              {{> preferences_note}}`,
+        text: `{{message}}
+
+{{actionUrl}}
+
+{{> preferences_note_text}}`
+      }
+    }
+  },
+
+  digest: {
+    description: 'Daily digest of queued notifications',
+    sampleData: {
+      count: 2,
+      plural: true,
+      appUrl: 'https://studentkonnect24aug.web.app',
+      items: [
+        { title: 'Your counselor connection was approved', message: 'You can now message your counselor and book sessions.', url: 'https://studentkonnect24aug.web.app/student/connections' },
+        { title: 'Global Excellence Scholarship closes in 7 days', message: 'The application deadline is 2025-03-10.', url: 'https://studentkonnect24aug.web.app/scholarship-finder' }
+      ]
+    },
+    locales: {
+      en: {
+        subject: 'Your StudentKonnect daily digest ({{count}} update{{#plural}}s{{/plural}})',
+        heading: 'Your daily digest',
+        subheading: '{{count}} update{{#plural}}s{{/plural}} since yesterday',
+        html: `
+              <ul>
+                {{#items}}
+                <li>
+                  <a href="{{url}}"><strong>{{title}}</strong></a><br>
+                  {{message}}
+                </li>{{/items}}
+              </ul>
+              <a href="{{appUrl}}" class="button">Open StudentKonnect</a>`,
+        text: `{{#items}}- {{title}}
+  {{message}}
+  {{url}}
+
+{{/items}}Open StudentKonnect: {{appUrl}}`
+      }
+    }
+  },
+
+  reference_request: {
+    description: 'Sent to a referee when a student asks for a reference letter',
+    sampleData: {
+      refereeName: 'Dr. Sarah Chen',
+      studentName: 'Priya Sharma',
+      purpose: 'Master of Data Science application',
+      program: 'Master of Data Science',
+      institution: 'University of Melbourne',
+      requirements: 'Please comment on research ability and teamwork.',
+      deadline: 'Monday, 10 March 2025',
+      actionUrl: 'https://studentkonnect24aug.web.app/reference/submit?token=sample'
+    },
+    locales: {
+      en: {
+        subject: '{{studentName}} has asked you for a reference',
+        heading: 'Reference Request',
+        subheading: 'From {{studentName}}',
+        html: `
+              <h2>Dear {{refereeName}},</h2>
+              <p><strong>{{studentName}}</strong> has asked you to write a reference letter{{#purpose}} for their {{purpose}}{{/purpose}}.</p>
+
+              {{#program}}<p><strong>Program:</strong> {{program}}{{#institution}}, {{institution}}{{/institution}}</p>{{/program}}
+              {{#deadline}}<p><strong>Needed by:</strong> {{deadline}}</p>{{/deadline}}
+              {{#requirements}}<p><strong>Notes from the student:</strong> {{requirements}}</p>{{/requirements}}
+
+              <p>You can write the letter or upload a file from the link below. No account is needed, and you decide whether the student may read it.</p>
+              <a href="{{actionUrl}}" class="button">Submit Reference</a>
+              {{> link_fallback}}`,
+        text: `Dear {{refereeName}},
+
+{{studentName}} has asked you to write a reference letter{{#purpose}} for their {{purpose}}{{/purpose}}.
+
+{{#program}}Program: {{program}}{{#institution}}, {{institution}}{{/institution}}
+{{/program}}{{#deadline}}Needed by: {{deadline}}
+{{/deadline}}{{#requirements}}Notes from the student: {{requirements}}
+{{/requirements}}
+You can write the letter or upload a file from the link below. No account is needed, and you decide whether the student may read it.
+
+{{actionUrl}}`
+      }
+    }
+  },
+
+  reference_reminder: {
+    description: 'Sent to a referee 7 and 2 days before the deadline, and on the day, until the letter is submitted',
+    sampleData: {
+      refereeName: 'Dr. Sarah Chen',
+      studentName: 'Priya Sharma',
+      program: 'Master of Data Science',
+      institution: 'University of Melbourne',
+      deadline: 'Monday, 10 March 2025',
+      daysLeft: 2,
+      dueToday: false,
+      actionUrl: 'https://studentkonnect24aug.web.app/reference/submit?token=sample'
+    },
+    locales: {
+      en: {
+        subject: 'Reminder: reference for {{studentName}} {{#dueToday}}is due today{{/dueToday}}{{^dueToday}}due in {{daysLeft}} days{{/dueToday}}',
+        heading: 'Reference Reminder',
+        subheading: 'Needed by {{deadline}}',
+        html: `
+              <h2>Dear {{refereeName}},</h2>
+              <p>This is a friendly reminder that <strong>{{studentName}}</strong> needs your reference letter{{#program}} for {{program}}{{#institution}} at {{institution}}{{/institution}}{{/program}} by <strong>{{deadline}}</strong>.</p>
+              <a href="{{actionUrl}}" class="button">Submit Reference</a>
+              {{> link_fallback}}
+              <p style="font-size: 13px; color: #666;">Already sent it another way? You can ignore this email.</p>`,
+        text: `Dear {{refereeName}},
+
+This is a friendly reminder that {{studentName}} needs your reference letter{{#program}} for {{program}}{{#institution}} at {{institution}}{{/institution}}{{/program}} by {{deadline}}.
+
+Submit it here: {{actionUrl}}
+
+Already sent it another way? You can ignore this email.`
+      }
+    }
+  }
+};
+
+const lookup = (scopes, path) => {
+  if (path === '.') return scopes[0];
+  for (const scope of scopes) {
+    if (scope == null || typeof scope !== 'object') continue;
+    const [head, ...rest] = path.split('.');
+    if (!(head in scope)) continue;
+    return rest.reduce((value, key) => (value == null ? undefined : value[key]), scope[head]);
+  }
+  return undefined;
+};
+
+const TAG = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\3\s*\}\}|\{\{>\s*(\w+)\s*\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+
+// scopes is a stack, innermost first, so section items can read outer variables
+const renderString = (source, scopes, options) => source.replace(TAG, (match, raw, sectionType, sectionName, sectionBody, partial, name) => {
+  if (raw) {
+    const value = lookup(scopes, raw);
+    return value == null ? '' : String(value);
+  }
+
+  if (sectionType) {
+    const value = lookup(scopes, sectionName);
+    const empty = !value || (Array.isArray(value) && value.length === 0);
+    if (sectionType === '^') return empty ? renderString(sectionBody, scopes, options) : '';
+    if (empty) return '';
+    if (Array.isArray(value)) {
+      return value.map(item => renderString(sectionBody, [item, ...scopes], options)).join('');
+    }
+    return renderString(sectionBody, typeof value === 'object' ? [value, ...scopes] : scopes, options);
+  }
+
+  if (partial) {
+    const source = PARTIALS[options.locale]?.[partial] ?? PARTIALS[DEFAULT_LOCALE][partial];
+    if (source == null) throw new Error(`Unknown email partial: ${partial}`);
+    return renderString(source, scopes, options);
+  }
+
+  return options.escape(lookup(scopes, name));
+});
+
+// 'zh-CN' -> 'zh'; anything without a variant falls back to English
+const resolveLocale = (template, locale) => {
+  const requested = String(locale || DEFAULT_LOCALE).toLowerCase();
+  if (template.locales[requested]) return requested;
+  const language = requested.split(/[-_]/)[0];
+  return template.locales[language] ? language : DEFAULT_LOCALE;
+};
+
+/**
+ * Render a named template to { subject, html, text, locale }.
+ * Throws for unknown template names.
+ */
+const renderEmail = (name, variables = {}, { locale } = {}) => {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+
+  const resolvedLocale = resolveLocale(template, locale);
+  const variant = template.locales[resolvedLocale];
+  const scope = { year: new Date().getFullYear(), locale: resolvedLocale, ...variables };
+
+  const htmlOptions = { locale: resolvedLocale, escape: escapeHtml };
+  const textOptions = { locale: resolvedLocale, escape: value => (value == null ? '' : String(value)) };
+
+  const subject = renderString(variant.subject, [scope], textOptions);
+  const heading = renderString(variant.heading, [scope], textOptions);
+  const subheading = variant.subheading ? renderString(variant.subheading, [scope], textOptions) : '';
+  const layoutScope = { ...scope, subject, heading, subheading };
+
+  return {
+    subject,
+    locale: resolvedLocale,
+    html: renderString(LAYOUT_HTML, [{ ...layoutScope, body: renderString(variant.html, [scope], htmlOptions) }], htmlOptions),
+    text: renderString(LAYOUT_TEXT, [{ ...layoutScope, body: renderString(variant.text, [scope], textOptions) }], textOptions)
+      .replace(/\n{3,}/g, '\n\n')
+      .trim() + '\n'
+  };
+};
+
+// Catalogue for the admin preview screen
+const listTemplates = () => Object.entries(TEMPLATES).map(([name, template]) => ({
+  name,
+  description: template.description,
+  locales: Object.keys(template.locales),
+  sampleData: template.sampleData
+}));
+
+module.exports = {
+  DEFAULT_LOCALE,
+  LOCALE_NAMES,
+  escapeHtml,
+  renderEmail,
+  listTemplates
+};
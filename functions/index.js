@@ -1,6 +1,24 @@
 const { onRequest } = require("firebase-functions/v2/https");
+const { onSchedule } = require("firebase-functions/v2/scheduler");
 const { logger } = require("firebase-functions");
+const crypto = require("crypto");
 const nodemailer = require("nodemailer");
+const { createClient } = require("@supabase/supabase-js");
+const { DEFAULT_LOCALE, LOCALE_NAMES, renderEmail, listTemplates } = require("./emailTemplates");
+
+const APP_URL = 'https://studentkonnect24aug.web.app';
+const MAIL_FROM = '"StudentKonnect" <studentkonnectnoreply@gmail.com>';
+
+// Supabase client. The queues, reminder log and referee tokens it reads are
+// closed to clients by RLS, so it must use the service role key.
+if (!process.env.SUPABASE_SERVICE_ROLE_KEY) {
+  throw new Error('Set SUPABASE_SERVICE_ROLE_KEY in the functions environment');
+}
+
+const supabase = createClient(
+  process.env.SUPABASE_URL || 'https://xududbaqaaffcaejwuix.supabase.co',
+  process.env.SUPABASE_SERVICE_ROLE_KEY
+);
 
 // Email transporter configuration
 const createEmailTransporter = () => {
@@ -13,6 +31,56 @@ const createEmailTransporter = () => {
   });
 };
 
+// Renders a named template and sends it with html and plain-text parts
+const sendTemplatedEmail = async (transporter, { to, template, variables, locale, subjectPrefix = '' }) => {
+  const email = renderEmail(template, { appUrl: APP_URL, ...variables }, { locale });
+  await transporter.sendMail({
+    from: MAIL_FROM,
+    to,
+    subject: subjectPrefix + email.subject,
+    html: email.html,
+    text: email.text
+  });
+  return email;
+};
+
+// First name and preferred locale for each address, from users and counselors
+const loadRecipientProfiles = async (emails) => {
+  const unique = [...new Set(emails.filter(Boolean))];
+  if (unique.length === 0) return {};
+
+  const [{ data: users }, { data: counselors }] = await Promise.all([
+    supabase.from('users').select('email, first_name, full_name, preferred_locale').in('email', unique),
+    supabase.from('counselors').select('email, first_name, display_name, preferred_locale').in('email', unique)
+  ]);
+
+  const profiles = {};
+  for (const row of [...(counselors || []), ...(users || [])]) {
+    profiles[row.email] = {
+      firstName: row.first_name || (row.full_name || row.display_name || '').split(' ')[0] || null,
+      locale: row.preferred_locale || DEFAULT_LOCALE
+    };
+  }
+  return profiles;
+};
+
+const GREETING_FALLBACK = { en: 'there', zh: '同学' };
+const greetingName = (name, locale) => name || GREETING_FALLBACK[locale] || GREETING_FALLBACK.en;
+
+const DATE_LOCALES = { en: 'en-AU', zh: 'zh-CN' };
+
+const formatSessionTime = (scheduledAt, timeZone, locale) => {
+  try {
+    return new Date(scheduledAt).toLocaleString(DATE_LOCALES[locale] || DATE_LOCALES.en, {
+      timeZone: timeZone || 'UTC',
+      dateStyle: 'full',
+      timeStyle: 'short'
+    }) + ` (${timeZone || 'UTC'})`;
+  } catch {
+    return new Date(scheduledAt).toUTCString();
+  }
+};
+
 // Send verification email function
 exports.sendVerificationEmail = onRequest(
   { cors: true },
@@ -20,7 +88,7 @@ exports.sendVerificationEmail = onRequest(
     try {
       logger.info("📧 Sending verification email...", { structuredData: true });
       
-      const { email, firstName, lastName, verificationUrl } = req.body;
+      const { email, firstName, lastName, verificationUrl, locale } = req.body;
       
       if (!email || !firstName || !verificationUrl) {
         return res.status(400).json({
@@ -29,69 +97,12 @@ exports.sendVerificationEmail = onRequest(
         });
       }
 
-      // Email content
-      const emailHtml = `
-        <!DOCTYPE html>
-        <html>
-        <head>
-          <meta charset="utf-8">
-          <title>Verify Your StudentKonnect Account</title>
-          <style>
-            body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-            .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-            .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-            .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-            .button { display: inline-block; background: #667eea; color: white; padding: 15px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
-            .footer { text-align: center; margin-top: 30px; color: #666; font-size: 14px; }
-          </style>
-        </head>
-        <body>
-          <div class="container">
-            <div class="header">
-              <h1>Welcome to StudentKonnect!</h1>
-              <p>Verify your email to get started</p>
-            </div>
-            <div class="content">
-              <h2>Hi ${firstName} ${lastName || ''},</h2>
-              <p>Thank you for creating your StudentKonnect account! To complete your registration and access all features, please verify your email address.</p>
-              
-              <p><strong>Click the button below to verify your email:</strong></p>
-              <a href="${verificationUrl}" class="button">Verify Email Address</a>
-              
-              <p>Or copy and paste this link in your browser:</p>
-              <p style="word-break: break-all; background: #eee; padding: 10px; border-radius: 5px;">${verificationUrl}</p>
-              
-              <p><strong>This verification link will expire in 24 hours.</strong></p>
-              
-              <p>Once verified, you'll have access to:</p>
-              <ul>
-                <li>Connect with expert counselors</li>
-                <li>Explore 850+ universities worldwide</li>
-                <li>Apply for scholarships</li>
-                <li>Join student forums and sessions</li>
-              </ul>
-              
-              <p>If you didn't create this account, please ignore this email.</p>
-            </div>
-            <div class="footer">
-              <p>© 2025 StudentKonnect. All rights reserved.</p>
-              <p>Need help? Contact us at support@studentkonnect.com</p>
-            </div>
-          </div>
-        </body>
-        </html>
-      `;
-
-      // Send email
-      const transporter = createEmailTransporter();
-      const mailOptions = {
-        from: '"StudentKonnect" <studentkonnectnoreply@gmail.com>',
+      await sendTemplatedEmail(createEmailTransporter(), {
         to: email,
-        subject: 'Verify Your StudentKonnect Account - Action Required',
-        html: emailHtml
-      };
-
-      await transporter.sendMail(mailOptions);
+        template: 'verification',
+        variables: { firstName, lastName: lastName || '', actionUrl: verificationUrl },
+        locale
+      });
 
       logger.info("✅ Verification email sent successfully", { email });
       
@@ -198,4 +209,875 @@ exports.verifyEmailToken = onRequest(
       res.redirect('https://studentkonnect24aug.web.app/email-verified?success=false');
     }
   }
-);
\ No newline at end of file
+);
+
+// Password reset: Supabase issues the recovery link, we send it with our own template.
+// Always answers success so the endpoint can't be used to probe for accounts.
+exports.sendPasswordResetEmail = onRequest(
+  { cors: true },
+  async (req, res) => {
+    const { email, locale } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ success: false, error: "Email is required" });
+    }
+
+    // Only redirect back into the app
+    const redirectTo = typeof req.body.redirectTo === 'string' && req.body.redirectTo.startsWith(APP_URL)
+      ? req.body.redirectTo
+      : `${APP_URL}/signin`;
+
+    try {
+      const { data, error } = await supabase.auth.admin.generateLink({
+        type: 'recovery',
+        email,
+        options: { redirectTo }
+      });
+
+      if (error || !data?.properties?.action_link) {
+        logger.warn("Password reset link not generated:", { email, error: error?.message });
+      } else {
+        const profiles = await loadRecipientProfiles([email]);
+        const profile = profiles[email];
+        const resolvedLocale = locale || profile?.locale;
+
+        await sendTemplatedEmail(createEmailTransporter(), {
+          to: email,
+          template: 'password_reset',
+          variables: {
+            firstName: greetingName(profile?.firstName, resolvedLocale),
+            actionUrl: data.properties.action_link
+          },
+          locale: resolvedLocale
+        });
+        logger.info("✅ Password reset email sent", { email });
+      }
+    } catch (error) {
+      logger.error("❌ Error sending password reset email:", error);
+    }
+
+    res.json({
+      success: true,
+      message: "If an account exists for that email, a reset link is on its way."
+    });
+  }
+);
+
+// Admin email tools are only served to the app, and only to signed-in admins
+const ADMIN_TOOL_CORS = [APP_URL, /^http:\/\/localhost(:\d+)?$/];
+
+// The Supabase user whose access token the caller sent as a bearer token, or
+// null
+const getRequestUser = async (req) => {
+  const match = /^Bearer (.+)$/.exec(req.get('Authorization') || '');
+  if (!match) return null;
+
+  const { data, error } = await supabase.auth.getUser(match[1]);
+  return error ? null : data?.user || null;
+};
+
+// The caller must also hold the admin role (users.role_id ->
+// user_roles.role_name); the admin portal signs in to Supabase alongside its
+// own login (AdminAuthContext). Responds and returns null when they don't.
+const requireAdmin = async (req, res) => {
+  const user = await getRequestUser(req);
+  if (!user) {
+    res.status(401).json({ success: false, error: "Sign in with an admin account to use the email tools" });
+    return null;
+  }
+
+  const { data: profile } = await supabase
+    .from('users')
+    .select('role_id')
+    .eq('id', user.id)
+    .maybeSingle();
+  const { data: role } = profile
+    ? await supabase.from('user_roles').select('role_name').eq('id', profile.role_id).maybeSingle()
+    : { data: null };
+
+  if (role?.role_name !== 'admin') {
+    res.status(403).json({ success: false, error: "Only admins can use the email tools" });
+    return null;
+  }
+  return user;
+};
+
+// Admin email tools: GET lists templates, POST renders one with sample data
+exports.emailTemplatePreview = onRequest(
+  { cors: ADMIN_TOOL_CORS },
+  async (req, res) => {
+    if (!await requireAdmin(req, res)) return;
+
+    if (req.method === 'GET') {
+      return res.json({ success: true, data: { templates: listTemplates(), locales: LOCALE_NAMES } });
+    }
+
+    try {
+      const { template, locale, variables } = req.body;
+      const sample = listTemplates().find(item => item.name === template);
+      if (!sample) {
+        return res.status(400).json({ success: false, error: `Unknown email template: ${template}` });
+      }
+
+      const email = renderEmail(template, { appUrl: APP_URL, ...sample.sampleData, ...variables }, { locale });
+      res.json({ success: true, data: email });
+    } catch (error) {
+      logger.error("❌ Error rendering email template:", error);
+      res.status(500).json({ success: false, error: "Failed to render template: " + error.message });
+    }
+  }
+);
+
+// Test sends always use the template's fixed sample data, so they can't carry
+// caller-chosen links or text
+exports.sendTestEmail = onRequest(
+  { cors: ADMIN_TOOL_CORS },
+  async (req, res) => {
+    const admin = await requireAdmin(req, res);
+    if (!admin) return;
+
+    try {
+      const { template, locale, to } = req.body;
+      const sample = listTemplates().find(item => item.name === template);
+
+      if (!sample || !to) {
+        return res.status(400).json({ success: false, error: "A known template and a recipient are required" });
+      }
+
+      const email = await sendTemplatedEmail(createEmailTransporter(), {
+        to,
+        template,
+        variables: sample.sampleData,
+        locale,
+        subjectPrefix: '[Test] '
+      });
+
+      logger.info("✅ Test email sent", { template, locale: email.locale, to, by: admin.email });
+      res.json({ success: true, message: `Test email sent to ${to}` });
+    } catch (error) {
+      logger.error("❌ Error sending test email:", error);
+      res.status(500).json({ success: false, error: "Failed to send test email: " + error.message });
+    }
+  }
+);
+
+// Notification delivery - drains the queues written by src/services/notificationService.js
+
+// Mirrors src/lib/notificationTypes.js for notifications created here
+const NOTIFICATION_DEFAULTS = {
+  session_reminder: { in_app: true, email: false, digest: false },
+  scholarship_deadline: { in_app: true, email: false, digest: true },
+  reference_received: { in_app: true, email: true, digest: false }
+};
+
+const createNotification = async ({ type, recipientEmail, recipientType, recipientId, title, message, actionUrl, data }) => {
+  const { data: preferenceRow } = await supabase
+    .from('notification_preferences')
+    .select('preferences')
+    .eq('user_email', recipientEmail)
+    .maybeSingle();
+
+  const channels = { ...NOTIFICATION_DEFAULTS[type], ...(preferenceRow?.preferences?.[type] || {}) };
+  if (!channels.in_app && !channels.email && !channels.digest) return;
+
+  const { error } = await supabase
+    .from('notifications')
+    .insert([{
+      recipient_type: recipientType,
+      recipient_id: recipientId ? String(recipientId) : null,
+      recipient_email: recipientEmail,
+      notification_type: type,
+      title,
+      message,
+      action_url: actionUrl,
+      data,
+      show_in_app: channels.in_app,
+      email_pending: channels.email,
+      digest_pending: channels.digest && !channels.email
+    }]);
+
+  if (error) throw error;
+};
+
+// Notification types with a dedicated email; everything else uses 'notification'
+const NOTIFICATION_EMAIL_TEMPLATES = {
+  connection_approved: 'connection_status',
+  connection_rejected: 'connection_status',
+  session_booked: 'session_booked'
+};
+
+const notificationLink = (notification) => (notification.action_url ? `${APP_URL}${notification.action_url}` : APP_URL);
+
+// Immediate email channel
+exports.deliverNotificationEmails = onSchedule("every 5 minutes", async () => {
+  const { data: pending, error } = await supabase
+    .from('notifications')
+    .select('*')
+    .eq('email_pending', true)
+    .is('emailed_at', null)
+    .order('created_at', { ascending: true })
+    .limit(100);
+
+  if (error) {
+    logger.error("❌ Failed to load pending notification emails:", error);
+    return;
+  }
+
+  const transporter = createEmailTransporter();
+  const profiles = await loadRecipientProfiles((pending || []).map(notification => notification.recipient_email));
+
+  for (const notification of pending || []) {
+    // Only platform accounts are emailed - rows queued before the
+    // create_notification RPC could name any address
+    if (!profiles[notification.recipient_email]) {
+      await supabase
+        .from('notifications')
+        .update({ email_pending: false })
+        .eq('id', notification.id);
+      continue;
+    }
+
+    try {
+      const locale = profiles[notification.recipient_email]?.locale;
+      const data = notification.data || {};
+
+      await sendTemplatedEmail(transporter, {
+        to: notification.recipient_email,
+        template: NOTIFICATION_EMAIL_TEMPLATES[notification.notification_type] || 'notification',
+        variables: {
+          firstName: greetingName(profiles[notification.recipient_email]?.firstName, locale),
+          title: notification.title,
+          message: notification.message,
+          actionUrl: notificationLink(notification),
+          approved: notification.notification_type === 'connection_approved',
+          sessionTitle: data.sessionTitle,
+          sessionTime: data.scheduledAt ? formatSessionTime(data.scheduledAt, data.timeZone, locale) : ''
+        },
+        locale
+      });
+
+      await supabase
+        .from('notifications')
+        .update({ emailed_at: new Date().toISOString() })
+        .eq('id', notification.id);
+    } catch (sendError) {
+      // Left pending - the next run retries it
+      logger.error("❌ Failed to email notification:", { id: notification.id, error: sendError.message });
+    }
+  }
+
+  logger.info("✅ Notification emails processed", { count: pending?.length || 0 });
+});
+
+// Daily digest: one email per recipient listing everything queued for it
+exports.sendNotificationDigest = onSchedule(
+  { schedule: "every day 08:00", timeZone: "Australia/Sydney" },
+  async () => {
+    const { data: pending, error } = await supabase
+      .from('notifications')
+      .select('*')
+      .eq('digest_pending', true)
+      .is('digested_at', null)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      logger.error("❌ Failed to load digest notifications:", error);
+      return;
+    }
+
+    const byRecipient = (pending || []).reduce((groups, notification) => {
+      (groups[notification.recipient_email] = groups[notification.recipient_email] || []).push(notification);
+      return groups;
+    }, {});
+
+    const transporter = createEmailTransporter();
+    const profiles = await loadRecipientProfiles(Object.keys(byRecipient));
+
+    for (const [recipientEmail, items] of Object.entries(byRecipient)) {
+      try {
+        await sendTemplatedEmail(transporter, {
+          to: recipientEmail,
+          template: 'digest',
+          variables: {
+            count: items.length,
+            plural: items.length !== 1,
+            items: items.map(item => ({ title: item.title, message: item.message, url: notificationLink(item) }))
+          },
+          locale: profiles[recipientEmail]?.locale
+        });
+
+        await supabase
+          .from('notifications')
+          .update({ digested_at: new Date().toISOString() })
+          .in('id', items.map(item => item.id));
+      } catch (sendError) {
+        logger.error("❌ Failed to send digest:", { recipientEmail, error: sendError.message });
+      }
+    }
+
+    logger.info("✅ Daily digests sent", { recipients: Object.keys(byRecipient).length });
+  }
+);
+
+// Scholarship deadlines 7 days and 1 day out, for bookmarked scholarships and
+// applications still in progress. Each (student, scholarship, days) is notified once.
+exports.notifyScholarshipDeadlines = onSchedule(
+  { schedule: "every day 07:00", timeZone: "Australia/Sydney" },
+  async () => {
+    for (const daysLeft of [7, 1]) {
+      const deadline = new Date(Date.now() + daysLeft * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+      const { data: scholarships, error } = await supabase
+        .from('scholarships')
+        .select('id, name, deadline')
+        .eq('is_active', true)
+        .eq('deadline', deadline);
+
+      if (error) {
+        logger.error("❌ Failed to load scholarship deadlines:", error);
+        return;
+      }
+
+      for (const scholarship of scholarships || []) {
+        const [{ data: bookmarks }, { data: applications }] = await Promise.all([
+          supabase.from('student_scholarship_bookmarks').select('student_id').eq('scholarship_id', scholarship.id),
+          supabase.from('student_scholarship_applications').select('student_id')
+            .eq('scholarship_id', scholarship.id)
+            .eq('application_status', 'in_progress')
+        ]);
+
+        const studentIds = [...new Set([...(bookmarks || []), ...(applications || [])].map(row => row.student_id))];
+        if (studentIds.length === 0) continue;
+
+        const { data: students } = await supabase.from('users').select('id, email').in('id', studentIds);
+
+        for (const student of students || []) {
+          const { count } = await supabase
+            .from('notifications')
+            .select('id', { count: 'exact', head: true })
+            .eq('recipient_email', student.email)
+            .eq('notification_type', 'scholarship_deadline')
+            .contains('data', { scholarshipId: scholarship.id, daysLeft });
+
+          if (count > 0) continue;
+
+          await createNotification({
+            type: 'scholarship_deadline',
+            recipientEmail: student.email,
+            recipientType: 'student',
+            recipientId: student.id,
+            title: `${scholarship.name} closes ${daysLeft === 1 ? 'tomorrow' : `in ${daysLeft} days`}`,
+            message: `The application deadline is ${scholarship.deadline}.`,
+            actionUrl: '/scholarship-finder',
+            data: { scholarshipId: scholarship.id, daysLeft }
+          });
+        }
+      }
+    }
+
+    logger.info("✅ Scholarship deadline notifications created");
+  }
+);
+
+
+// Session reminders - 24 hours and 1 hour before, to both student and counselor.
+// session_reminder_log makes each reminder send once even if runs overlap.
+
+const REMINDERS = [
+  // Sessions starting within `withinHours` but after `afterHours` get this reminder
+  { type: '24h', withinHours: 24, afterHours: 1, labels: { en: 'tomorrow', zh: '明天' } },
+  { type: '1h', withinHours: 1, afterHours: 0, labels: { en: 'in 1 hour', zh: '1 小时后' } }
+];
+
+// Matches src/lib/sessionLifecycle.js - requested sessions are not confirmed yet
+const REMINDABLE_STATUSES = ['confirmed', 'rescheduled', 'scheduled'];
+
+const sendSessionReminder = async (transporter, reminder, session, participants) => {
+  const recipients = [
+    {
+      role: 'student',
+      email: participants.student?.email,
+      name: participants.student?.first_name || participants.student?.full_name,
+      locale: participants.student?.preferred_locale,
+      otherPartyName: participants.counselorName,
+      timeZone: session.student_timezone,
+      rescheduleUrl: `${APP_URL}/student/sessions?reschedule=${session.id}`
+    },
+    {
+      role: 'counselor',
+      email: participants.counselor?.email,
+      name: participants.counselor?.first_name || participants.counselorName,
+      locale: participants.counselor?.preferred_locale,
+      otherPartyName: participants.student?.full_name || 'your student',
+      timeZone: session.counselor_timezone,
+      rescheduleUrl: `${APP_URL}/counselor/dashboard`
+    }
+  ];
+
+  for (const recipient of recipients.filter(item => item.email)) {
+    // Claim the reminder first; the unique key rejects anything already sent
+    const { error: claimError } = await supabase
+      .from('session_reminder_log')
+      .insert([{
+        session_id: String(session.id),
+        reminder_type: reminder.type,
+        recipient_role: recipient.role,
+        recipient_email: recipient.email,
+        scheduled_at: session.scheduled_at
+      }]);
+
+    if (claimError) {
+      if (claimError.code !== '23505') {
+        logger.error("❌ Failed to log session reminder:", claimError);
+      }
+      continue;
+    }
+
+    try {
+      await sendTemplatedEmail(transporter, {
+        to: recipient.email,
+        template: 'session_reminder',
+        variables: {
+          firstName: greetingName(recipient.name, recipient.locale),
+          whenLabel: reminder.labels[recipient.locale] || reminder.labels.en,
+          otherPartyName: recipient.otherPartyName,
+          sessionTitle: session.session_title || 'Counseling session',
+          sessionTime: formatSessionTime(session.scheduled_at, recipient.timeZone, recipient.locale),
+          durationMinutes: session.duration_minutes || 60,
+          meetingLink: session.meeting_link,
+          rescheduleUrl: recipient.rescheduleUrl
+        },
+        locale: recipient.locale
+      });
+    } catch (sendError) {
+      // Release the claim so the next run retries
+      await supabase
+        .from('session_reminder_log')
+        .delete()
+        .eq('session_id', String(session.id))
+        .eq('reminder_type', reminder.type)
+        .eq('recipient_role', recipient.role)
+        .eq('scheduled_at', session.scheduled_at);
+      logger.error("❌ Failed to send session reminder:", { sessionId: session.id, error: sendError.message });
+      continue;
+    }
+
+    // The email is out and the claim stays - a failed bell entry is only logged
+    try {
+      await createNotification({
+        type: 'session_reminder',
+        recipientEmail: recipient.email,
+        recipientType: recipient.role,
+        title: `Session ${reminder.labels.en}`,
+        message: `${session.session_title || 'Counseling session'} with ${recipient.otherPartyName}`,
+        actionUrl: recipient.role === 'student' ? '/student/sessions' : '/counselor/dashboard',
+        data: { sessionId: session.id, reminderType: reminder.type }
+      });
+    } catch (notifyError) {
+      logger.error("❌ Failed to record session reminder notification:", { sessionId: session.id, error: notifyError.message });
+    }
+  }
+};
+
+exports.sendSessionReminders = onSchedule("every 10 minutes", async () => {
+  const transporter = createEmailTransporter();
+  const now = Date.now();
+
+  for (const reminder of REMINDERS) {
+    const { data: sessions, error } = await supabase
+      .from('sessions')
+      .select('*')
+      .in('status', REMINDABLE_STATUSES)
+      .gt('scheduled_at', new Date(now + reminder.afterHours * 60 * 60 * 1000).toISOString())
+      .lte('scheduled_at', new Date(now + reminder.withinHours * 60 * 60 * 1000).toISOString());
+
+    if (error) {
+      logger.error("❌ Failed to load upcoming sessions:", error);
+      continue;
+    }
+
+    for (const session of sessions || []) {
+      const [{ data: student }, { data: counselor }] = await Promise.all([
+        supabase.from('users').select('email, first_name, full_name, preferred_locale').eq('id', session.student_id).maybeSingle(),
+        supabase.from('counselors').select('email, display_name, first_name, last_name, preferred_locale').eq('id', session.counselor_id).maybeSingle()
+      ]);
+
+      await sendSessionReminder(transporter, reminder, session, {
+        student,
+        counselor,
+        counselorName: counselor?.display_name ||
+          [counselor?.first_name, counselor?.last_name].filter(Boolean).join(' ') || 'your counselor'
+      });
+    }
+
+    logger.info("✅ Session reminders processed", { reminder: reminder.type, sessions: sessions?.length || 0 });
+  }
+});
+
+
+// Reference letter requests - the referee portal is reached through a
+// tokenized link, so every read and write of a token or letter happens here
+// with the service role. Students only see reference_requests.
+
+const REFERENCE_BUCKET = 'reference-letters';
+const MAX_LETTER_FILE_BYTES = 5 * 1024 * 1024;
+const LETTER_FILE_TYPES = {
+  'application/pdf': 'pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/msword': 'doc',
+  'text/plain': 'txt'
+};
+// Links stay valid this long after the deadline (or after sending, without one)
+const REFERENCE_LINK_GRACE_DAYS = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Same shape as customEmailService.generateVerificationToken
+const generateReferenceToken = () => crypto.randomBytes(32).toString('hex');
+
+const refereeLink = (token) => `${APP_URL}/reference/submit?token=${token}`;
+
+const formatDeadline = (deadline) => (deadline
+  ? new Date(`${deadline}T00:00:00`).toLocaleDateString(DATE_LOCALES.en, { dateStyle: 'full' })
+  : '');
+
+const referenceEmailVariables = (request, token) => ({
+  refereeName: request.referee_name,
+  studentName: request.student_name || 'A student',
+  purpose: request.purpose,
+  program: request.program,
+  institution: request.institution,
+  requirements: request.specific_requirements,
+  deadline: formatDeadline(request.deadline),
+  actionUrl: refereeLink(token)
+});
+
+// Resolves a referee token to its request, or an error message for the page
+const loadReferenceByToken = async (token) => {
+  if (!token || typeof token !== 'string') return { error: 'This link is missing its access code.' };
+
+  const { data: tokenRow } = await supabase
+    .from('reference_request_tokens')
+    .select('request_id, expires_at')
+    .eq('token', token)
+    .maybeSingle();
+
+  if (!tokenRow) return { error: 'This link is not valid. It may have been replaced by a newer email.' };
+  if (new Date(tokenRow.expires_at) < new Date()) return { error: 'This link has expired. Please ask the student to send a new request.' };
+
+  const { data: request } = await supabase
+    .from('reference_requests')
+    .select('*')
+    .eq('id', tokenRow.request_id)
+    .maybeSingle();
+
+  if (!request || request.status === 'cancelled') return { error: 'This reference request has been withdrawn by the student.' };
+  return { request };
+};
+
+// Emails (or re-emails) the referee a fresh link. Re-sending replaces the
+// token, so only the newest email works.
+exports.sendReferenceRequest = onRequest(
+  { cors: true },
+  async (req, res) => {
+    const { requestId } = req.body || {};
+    if (!requestId) {
+      return res.status(400).json({ success: false, error: "requestId is required" });
+    }
+
+    try {
+      // Only the student who made the request can send it
+      const user = await getRequestUser(req);
+      if (!user) {
+        return res.status(401).json({ success: false, error: "Sign in to send reference requests" });
+      }
+
+      const { data: request } = await supabase
+        .from('reference_requests')
+        .select('*')
+        .eq('id', requestId)
+        .eq('student_id', user.id)
+        .maybeSingle();
+
+      if (!request) {
+        return res.status(404).json({ success: false, error: "Reference request not found" });
+      }
+
+      if (!['pending', 'sent', 'opened'].includes(request.status)) {
+        return res.status(400).json({ success: false, error: "This request can't be sent" });
+      }
+
+      const token = generateReferenceToken();
+      const expiresFrom = request.deadline ? Math.max(new Date(`${request.deadline}T23:59:59`).getTime(), Date.now()) : Date.now();
+      const { error: tokenError } = await supabase
+        .from('reference_request_tokens')
+        .upsert([{
+          request_id: request.id,
+          token,
+          expires_at: new Date(expiresFrom + REFERENCE_LINK_GRACE_DAYS * DAY_MS).toISOString()
+        }], { onConflict: 'request_id' });
+
+      if (tokenError) throw tokenError;
+
+      await sendTemplatedEmail(createEmailTransporter(), {
+        to: request.referee_email,
+        template: 'reference_request',
+        variables: referenceEmailVariables(request, token)
+      });
+
+      const now = new Date().toISOString();
+      const { data: updated, error: updateError } = await supabase
+        .from('reference_requests')
+        .update({ status: request.status === 'pending' ? 'sent' : request.status, sent_at: now, updated_at: now })
+        .eq('id', request.id)
+        .select()
+        .single();
+
+      if (updateError) throw updateError;
+
+      logger.info("✅ Reference request sent", { requestId: request.id });
+      res.json({ success: true, data: updated });
+    } catch (error) {
+      logger.error("❌ Error sending reference request:", error);
+      res.status(500).json({ success: false, error: "Failed to send reference request: " + error.message });
+    }
+  }
+);
+
+// Referee portal: what the referee is being asked for. The first visit marks
+// the request as opened.
+exports.getReferenceRequest = onRequest(
+  { cors: true },
+  async (req, res) => {
+    try {
+      const { request, error } = await loadReferenceByToken(req.query.token);
+      if (error) {
+        return res.status(404).json({ success: false, error });
+      }
+
+      if (request.status === 'sent') {
+        const now = new Date().toISOString();
+        await supabase
+          .from('reference_requests')
+          .update({ status: 'opened', opened_at: now, updated_at: now })
+          .eq('id', request.id);
+      }
+
+      const { data: letter } = await supabase
+        .from('reference_letters')
+        .select('submitted_at, file_name, share_with_student')
+        .eq('request_id', request.id)
+        .maybeSingle();
+
+      res.json({
+        success: true,
+        data: {
+          refereeName: request.referee_name,
+          studentName: request.student_name,
+          purpose: request.purpose,
+          program: request.program,
+          institution: request.institution,
+          relationship: request.relationship,
+          relationshipDuration: request.relationship_duration,
+          achievements: request.achievements,
+          requirements: request.specific_requirements,
+          deadline: request.deadline,
+          submission: letter ? {
+            submittedAt: letter.submitted_at,
+            fileName: letter.file_name,
+            shareWithStudent: letter.share_with_student
+          } : null
+        }
+      });
+    } catch (error) {
+      logger.error("❌ Error loading reference request:", error);
+      res.status(500).json({ success: false, error: "Failed to load reference request" });
+    }
+  }
+);
+
+// Referee portal: save a written or uploaded letter. Submitting again
+// replaces the previous letter.
+exports.submitReferenceLetter = onRequest(
+  { cors: true },
+  async (req, res) => {
+    const { token, letterText, file, shareWithStudent } = req.body || {};
+
+    try {
+      const { request, error } = await loadReferenceByToken(token);
+      if (error) {
+        return res.status(404).json({ success: false, error });
+      }
+
+      const text = typeof letterText === 'string' ? letterText.trim() : '';
+      if (!text && !file) {
+        return res.status(400).json({ success: false, error: "Write the letter or attach a file" });
+      }
+
+      const letter = {
+        request_id: request.id,
+        letter_text: text || null,
+        file_path: null,
+        file_name: null,
+        file_type: null,
+        share_with_student: Boolean(shareWithStudent),
+        submitted_at: new Date().toISOString()
+      };
+
+      if (file) {
+        const extension = LETTER_FILE_TYPES[file.type];
+        const content = Buffer.from(String(file.data || ''), 'base64');
+        if (!extension) {
+          return res.status(400).json({ success: false, error: "Upload a PDF, Word or text file" });
+        }
+        if (content.length === 0 || content.length > MAX_LETTER_FILE_BYTES) {
+          return res.status(400).json({ success: false, error: "Files must be under 5 MB" });
+        }
+
+        const path = `${request.id}/${Date.now()}.${extension}`;
+        const { error: uploadError } = await supabase.storage
+          .from(REFERENCE_BUCKET)
+          .upload(path, content, { contentType: file.type });
+
+        if (uploadError) throw uploadError;
+        Object.assign(letter, { file_path: path, file_name: String(file.name || `reference.${extension}`).slice(0, 200), file_type: file.type });
+      }
+
+      const { data: previous } = await supabase
+        .from('reference_letters')
+        .select('file_path')
+        .eq('request_id', request.id)
+        .maybeSingle();
+
+      const { error: saveError } = await supabase
+        .from('reference_letters')
+        .upsert([letter], { onConflict: 'request_id' });
+
+      if (saveError) throw saveError;
+
+      if (previous?.file_path && previous.file_path !== letter.file_path) {
+        await supabase.storage.from(REFERENCE_BUCKET).remove([previous.file_path]);
+      }
+
+      const now = new Date().toISOString();
+      await supabase
+        .from('reference_requests')
+        .update({
+          status: 'received',
+          received_at: now,
+          opened_at: request.opened_at || now,
+          share_with_student: letter.share_with_student,
+          updated_at: now
+        })
+        .eq('id', request.id);
+
+      if (request.student_email && request.status !== 'received') {
+        await createNotification({
+          type: 'reference_received',
+          recipientEmail: request.student_email,
+          recipientType: 'student',
+          recipientId: request.student_id,
+          title: `${request.referee_name} submitted your reference`,
+          message: letter.share_with_student
+            ? 'Your referee has shared the letter with you.'
+            : 'The letter is ready to be sent with your application. Your referee has kept its content private.',
+          actionUrl: '/smart-apply/reference-letter-toolkit',
+          data: { referenceRequestId: request.id }
+        });
+      }
+
+      logger.info("✅ Reference letter received", { requestId: request.id });
+      res.json({ success: true, message: "Thank you - your reference has been submitted." });
+    } catch (error) {
+      logger.error("❌ Error submitting reference letter:", error);
+      res.status(500).json({ success: false, error: "Failed to submit the reference: " + error.message });
+    }
+  }
+);
+
+// Referee reminders before the deadline. Each request gets at most one email
+// per reminder; a request first sent inside a window skips straight to the
+// next one.
+const REFERENCE_REMINDERS = [
+  { type: '7d', daysBefore: 7 },
+  { type: '2d', daysBefore: 2 },
+  { type: 'due', daysBefore: 0 }
+];
+
+exports.sendReferenceReminders = onSchedule(
+  { schedule: "every day 09:00", timeZone: "Australia/Sydney" },
+  async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const horizon = new Date(Date.now() + REFERENCE_REMINDERS[0].daysBefore * DAY_MS).toISOString().slice(0, 10);
+
+    const { data: requests, error } = await supabase
+      .from('reference_requests')
+      .select('*')
+      .in('status', ['sent', 'opened'])
+      .gte('deadline', today)
+      .lte('deadline', horizon);
+
+    if (error) {
+      logger.error("❌ Failed to load reference requests for reminders:", error);
+      return;
+    }
+
+    const transporter = createEmailTransporter();
+
+    for (const request of requests || []) {
+      const daysLeft = Math.round((new Date(`${request.deadline}T00:00:00Z`) - new Date(`${today}T00:00:00Z`)) / DAY_MS);
+      // The tightest reminder window this request is in
+      const reminder = [...REFERENCE_REMINDERS].reverse().find(item => daysLeft <= item.daysBefore);
+      if (!reminder) continue;
+
+      const windowOpened = new Date(`${request.deadline}T00:00:00Z`).getTime() - reminder.daysBefore * DAY_MS;
+      if (request.sent_at && new Date(request.sent_at).getTime() >= windowOpened) continue;
+
+      const { error: claimError } = await supabase
+        .from('reference_reminder_log')
+        .insert([{ request_id: request.id, reminder_type: reminder.type }]);
+
+      if (claimError) {
+        if (claimError.code !== '23505') {
+          logger.error("❌ Failed to log reference reminder:", claimError);
+        }
+        continue;
+      }
+
+      try {
+        const { data: tokenRow } = await supabase
+          .from('reference_request_tokens')
+          .select('token')
+          .eq('request_id', request.id)
+          .maybeSingle();
+
+        if (!tokenRow) throw new Error('No referee link for this request');
+
+        await sendTemplatedEmail(transporter, {
+          to: request.referee_email,
+          template: 'reference_reminder',
+          variables: {
+            ...referenceEmailVariables(request, tokenRow.token),
+            dueToday: daysLeft === 0,
+            daysLeft
+          }
+        });
+
+        const now = new Date().toISOString();
+        await supabase
+          .from('reference_requests')
+          .update({ last_reminded_at: now, reminder_count: (request.reminder_count || 0) + 1, updated_at: now })
+          .eq('id', request.id);
+      } catch (sendError) {
+        // Release the claim so the next run retries
+        await supabase
+          .from('reference_reminder_log')
+          .delete()
+          .eq('request_id', request.id)
+          .eq('reminder_type', reminder.type);
+        logger.error("❌ Failed to send reference reminder:", { requestId: request.id, error: sendError.message });
+      }
+    }
+
+    logger.info("✅ Reference reminders processed", { requests: requests?.length || 0 });
+  }
+);
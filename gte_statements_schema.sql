@@ -0,0 +1,37 @@
+-- SQL statements for saved GTE / Genuine Student statements
+-- Execute these in your Supabase SQL editor after document_drafts_schema.sql
+
+-- 1. Statements. data holds the GTEVisaStatementBuilder form; word_count is
+-- kept alongside so lists can show length without loading the form.
+CREATE TABLE IF NOT EXISTS gte_statements (
+    id SERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    title TEXT NOT NULL,
+    data JSONB NOT NULL DEFAULT '{}',
+    word_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_gte_statements_user ON gte_statements (user_id, updated_at DESC);
+
+-- 2. Row level security: GTE statements are the student's own
+ALTER TABLE gte_statements ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view GTE statements" ON gte_statements;
+DROP POLICY IF EXISTS "Users can create GTE statements" ON gte_statements;
+DROP POLICY IF EXISTS "Users can update GTE statements" ON gte_statements;
+DROP POLICY IF EXISTS "Users can delete GTE statements" ON gte_statements;
+
+CREATE POLICY "Users can view GTE statements" ON gte_statements
+  FOR SELECT USING (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can create GTE statements" ON gte_statements
+  FOR INSERT WITH CHECK (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can update GTE statements" ON gte_statements
+  FOR UPDATE USING (auth.uid()::text = user_id)
+  WITH CHECK (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can delete GTE statements" ON gte_statements
+  FOR DELETE USING (auth.uid()::text = user_id);
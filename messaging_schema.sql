@@ -0,0 +1,148 @@
+-- SQL statements for in-app messaging between students and their counselors
+-- Execute these in your Supabase SQL editor after counselor_capacity_schema.sql
+
+-- 1. One conversation per approved connection (counselor_requests row)
+CREATE TABLE IF NOT EXISTS conversations (
+    id SERIAL PRIMARY KEY,
+    connection_id BIGINT UNIQUE NOT NULL, -- counselor_requests.id
+    student_id TEXT NOT NULL,             -- counselor_requests.student_id
+    counselor_id TEXT NOT NULL,           -- counselor_requests.requested_counselor_id
+    last_message_at TIMESTAMP WITH TIME ZONE,
+    last_message_preview TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversations_student ON conversations (student_id);
+CREATE INDEX IF NOT EXISTS idx_conversations_counselor ON conversations (counselor_id);
+
+-- 2. Messages. read_at is the read receipt: set when the other participant opens the thread.
+-- attachments: [{ name, path, size, type }] stored in the message-attachments bucket
+CREATE TABLE IF NOT EXISTS messages (
+    id SERIAL PRIMARY KEY,
+    conversation_id INTEGER NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+    sender_role VARCHAR(20) NOT NULL CHECK (sender_role IN ('student', 'counselor')),
+    sender_id TEXT NOT NULL,
+    body TEXT,
+    attachments JSONB DEFAULT '[]',
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages (conversation_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_messages_unread
+    ON messages (conversation_id, sender_role)
+    WHERE read_at IS NULL;
+
+-- 3. Keep the conversation list ordering and preview current
+CREATE OR REPLACE FUNCTION touch_conversation_on_message()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE conversations
+    SET last_message_at = NEW.created_at,
+        last_message_preview = LEFT(COALESCE(NULLIF(NEW.body, ''), 'Sent an attachment'), 140)
+    WHERE id = NEW.conversation_id;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS touch_conversation_on_message ON messages;
+CREATE TRIGGER touch_conversation_on_message
+    AFTER INSERT ON messages
+    FOR EACH ROW
+    EXECUTE FUNCTION touch_conversation_on_message();
+
+-- 4. Realtime: clients subscribe to inserts and read receipts
+ALTER PUBLICATION supabase_realtime ADD TABLE messages;
+ALTER PUBLICATION supabase_realtime ADD TABLE conversations;
+
+-- 5. Which side of a conversation the signed-in user is on: 'student',
+-- 'counselor' (current_counselor_id(), counselor_availability_schema.sql)
+-- or NULL for anyone else. Takes text so storage paths can be passed as-is.
+CREATE OR REPLACE FUNCTION conversation_role(target_conversation_id TEXT)
+RETURNS TEXT AS $$
+    SELECT CASE
+        WHEN c.student_id = auth.uid()::text THEN 'student'
+        WHEN c.counselor_id = current_counselor_id()::text THEN 'counselor'
+    END
+    FROM conversations c
+    WHERE c.id::text = target_conversation_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Conversations may only be opened for an approved connection, between its
+-- own student and counselor
+CREATE OR REPLACE FUNCTION is_approved_connection(target_connection_id BIGINT, target_student_id TEXT, target_counselor_id TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM counselor_requests r
+        WHERE r.id = target_connection_id
+          AND r.status = 'approved'
+          AND r.student_id::text = target_student_id
+          AND r.requested_counselor_id::text = target_counselor_id
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- 6. Attachment storage, filed under the conversation id
+-- (messagingService.uploadAttachment)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('message-attachments', 'message-attachments', false)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Participants can upload attachments" ON storage.objects;
+DROP POLICY IF EXISTS "Participants can read attachments" ON storage.objects;
+
+CREATE POLICY "Participants can upload attachments" ON storage.objects
+  FOR INSERT WITH CHECK (
+    bucket_id = 'message-attachments'
+    AND conversation_role((storage.foldername(name))[1]) IS NOT NULL
+  );
+
+CREATE POLICY "Participants can read attachments" ON storage.objects
+  FOR SELECT USING (
+    bucket_id = 'message-attachments'
+    AND conversation_role((storage.foldername(name))[1]) IS NOT NULL
+  );
+
+-- 7. Row level security: only the conversation's student and counselor see
+-- it, and each sends messages only as themselves
+ALTER TABLE conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE messages ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Participants can view conversations" ON conversations;
+DROP POLICY IF EXISTS "Participants can start conversations" ON conversations;
+DROP POLICY IF EXISTS "Participants can update conversations" ON conversations;
+DROP POLICY IF EXISTS "Participants can view messages" ON messages;
+DROP POLICY IF EXISTS "Participants can send messages" ON messages;
+DROP POLICY IF EXISTS "Participants can mark messages read" ON messages;
+
+CREATE POLICY "Participants can view conversations" ON conversations
+  FOR SELECT USING (student_id = auth.uid()::text OR counselor_id = current_counselor_id()::text);
+
+CREATE POLICY "Participants can start conversations" ON conversations
+  FOR INSERT WITH CHECK (
+    (student_id = auth.uid()::text OR counselor_id = current_counselor_id()::text)
+    AND is_approved_connection(connection_id, student_id, counselor_id)
+  );
+
+-- ensureConversation upserts, and new messages update the preview
+CREATE POLICY "Participants can update conversations" ON conversations
+  FOR UPDATE USING (student_id = auth.uid()::text OR counselor_id = current_counselor_id()::text)
+  WITH CHECK (
+    (student_id = auth.uid()::text OR counselor_id = current_counselor_id()::text)
+    AND is_approved_connection(connection_id, student_id, counselor_id)
+  );
+
+CREATE POLICY "Participants can view messages" ON messages
+  FOR SELECT USING (conversation_role(conversation_id::text) IS NOT NULL);
+
+CREATE POLICY "Participants can send messages" ON messages
+  FOR INSERT WITH CHECK (
+    sender_role = conversation_role(conversation_id::text)
+    AND sender_id = CASE sender_role
+        WHEN 'student' THEN auth.uid()::text
+        ELSE current_counselor_id()::text
+    END
+  );
+
+CREATE POLICY "Participants can mark messages read" ON messages
+  FOR UPDATE USING (conversation_role(conversation_id::text) IS NOT NULL)
+  WITH CHECK (conversation_role(conversation_id::text) IS NOT NULL);
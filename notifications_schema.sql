@@ -0,0 +1,160 @@
+-- SQL statements for the notification center (in-app, email and daily digest delivery)
+-- Execute these in your Supabase SQL editor after messaging_schema.sql
+
+-- 1. Notifications. recipient_type/recipient_id are kept for rows written by
+-- CounselorService; recipient_email is what the bell and the mailers key on.
+CREATE TABLE IF NOT EXISTS notifications (
+    id SERIAL PRIMARY KEY,
+    recipient_type VARCHAR(20),
+    recipient_id TEXT,
+    notification_type VARCHAR(50) NOT NULL,
+    title TEXT NOT NULL,
+    message TEXT,
+    action_url TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE notifications
+    ADD COLUMN IF NOT EXISTS recipient_email TEXT,
+    ADD COLUMN IF NOT EXISTS data JSONB DEFAULT '{}',
+    ADD COLUMN IF NOT EXISTS show_in_app BOOLEAN DEFAULT true,
+    ADD COLUMN IF NOT EXISTS read_at TIMESTAMP WITH TIME ZONE,
+    -- Delivery queues drained by the Firebase functions
+    ADD COLUMN IF NOT EXISTS email_pending BOOLEAN DEFAULT false,
+    ADD COLUMN IF NOT EXISTS emailed_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS digest_pending BOOLEAN DEFAULT false,
+    ADD COLUMN IF NOT EXISTS digested_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_recipient
+    ON notifications (recipient_email, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_email_queue
+    ON notifications (created_at)
+    WHERE email_pending AND emailed_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_digest_queue
+    ON notifications (recipient_email)
+    WHERE digest_pending AND digested_at IS NULL;
+
+-- 2. Per-user channel preferences: { "<type>": { "in_app": bool, "email": bool, "digest": bool } }
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_email TEXT PRIMARY KEY,
+    preferences JSONB DEFAULT '{}',
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 3. Scholarship deadlines drive scholarship_deadline notifications
+ALTER TABLE scholarships
+    ADD COLUMN IF NOT EXISTS deadline DATE;
+
+-- 4. Realtime for the header bell
+ALTER PUBLICATION supabase_realtime ADD TABLE notifications;
+
+-- 5. Row level security. Users only see and mark read their own
+-- notifications and only edit their own preferences. Nobody inserts directly:
+-- clients go through create_notification() below, the Firebase functions use
+-- the service role.
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notification_preferences ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view notifications" ON notifications;
+DROP POLICY IF EXISTS "Services can create notifications" ON notifications;
+DROP POLICY IF EXISTS "Users can mark notifications read" ON notifications;
+DROP POLICY IF EXISTS "Users can view notification preferences" ON notification_preferences;
+DROP POLICY IF EXISTS "Users can save notification preferences" ON notification_preferences;
+DROP POLICY IF EXISTS "Users can update notification preferences" ON notification_preferences;
+
+CREATE POLICY "Users can view notifications" ON notifications
+  FOR SELECT USING (lower(recipient_email) = lower(auth.jwt() ->> 'email'));
+
+CREATE POLICY "Users can mark notifications read" ON notifications
+  FOR UPDATE USING (lower(recipient_email) = lower(auth.jwt() ->> 'email'));
+
+-- Marking read is the only change a recipient makes; the delivery flags stay
+-- with the functions.
+REVOKE INSERT, UPDATE ON notifications FROM anon, authenticated;
+GRANT UPDATE (read_at) ON notifications TO authenticated;
+
+CREATE POLICY "Users can view notification preferences" ON notification_preferences
+  FOR SELECT USING (lower(user_email) = lower(auth.jwt() ->> 'email'));
+
+CREATE POLICY "Users can save notification preferences" ON notification_preferences
+  FOR INSERT WITH CHECK (lower(user_email) = lower(auth.jwt() ->> 'email'));
+
+CREATE POLICY "Users can update notification preferences" ON notification_preferences
+  FOR UPDATE USING (lower(user_email) = lower(auth.jwt() ->> 'email'))
+  WITH CHECK (lower(user_email) = lower(auth.jwt() ->> 'email'));
+
+-- 6. Client-side notifications (src/services/notificationService.js). The
+-- recipient's address is looked up here, never taken from the caller, and
+-- only the caller or someone they share a counselor connection with can be
+-- notified. Channels follow the recipient's preferences over the defaults in
+-- src/lib/notificationTypes.js. Returns the new id, or NULL when every
+-- channel is switched off.
+CREATE OR REPLACE FUNCTION create_notification(
+    notification_type TEXT,
+    recipient_type TEXT,
+    recipient_id TEXT,
+    title TEXT,
+    message TEXT DEFAULT NULL,
+    action_url TEXT DEFAULT NULL,
+    data JSONB DEFAULT '{}'
+) RETURNS INTEGER AS $$
+DECLARE
+    caller_counselor_id TEXT := current_counselor_id()::text;
+    target_email TEXT;
+    channels JSONB;
+    new_id INTEGER;
+BEGIN
+    IF recipient_type = 'counselor' THEN
+        IF NOT COALESCE(recipient_id = caller_counselor_id OR EXISTS (
+            SELECT 1 FROM counselor_requests r
+            WHERE r.student_id = auth.uid()::text AND r.requested_counselor_id::text = recipient_id
+        ), false) THEN
+            RAISE EXCEPTION 'Not allowed to notify this counselor' USING ERRCODE = '42501';
+        END IF;
+        SELECT c.email INTO target_email FROM counselors c WHERE c.id::text = recipient_id;
+    ELSIF recipient_type = 'student' THEN
+        IF NOT COALESCE(recipient_id = auth.uid()::text OR EXISTS (
+            SELECT 1 FROM counselor_requests r
+            WHERE r.requested_counselor_id::text = caller_counselor_id AND r.student_id = recipient_id
+        ), false) THEN
+            RAISE EXCEPTION 'Not allowed to notify this student' USING ERRCODE = '42501';
+        END IF;
+        SELECT u.email INTO target_email FROM users u WHERE u.id::text = recipient_id;
+    END IF;
+
+    IF target_email IS NULL THEN
+        RAISE EXCEPTION 'Notification recipient not found';
+    END IF;
+
+    channels := CASE
+            WHEN notification_type IN ('connection_requested', 'connection_approved', 'connection_rejected',
+                                       'session_booked', 'review_requested', 'review_feedback', 'reference_received')
+                THEN '{"in_app": true, "email": true, "digest": false}'
+            WHEN notification_type IN ('message_received', 'scholarship_deadline')
+                THEN '{"in_app": true, "email": false, "digest": true}'
+            ELSE '{"in_app": true, "email": false, "digest": false}'
+        END::jsonb
+        || COALESCE((SELECT p.preferences -> notification_type FROM notification_preferences p
+                     WHERE lower(p.user_email) = lower(target_email)), '{}');
+
+    IF NOT ((channels ->> 'in_app')::boolean OR (channels ->> 'email')::boolean OR (channels ->> 'digest')::boolean) THEN
+        RETURN NULL;
+    END IF;
+
+    INSERT INTO notifications (recipient_type, recipient_id, recipient_email, notification_type, title,
+                               message, action_url, data, show_in_app, email_pending, digest_pending)
+    VALUES (recipient_type, recipient_id, target_email, notification_type, title,
+            message, action_url, COALESCE(data, '{}'), (channels ->> 'in_app')::boolean,
+            (channels ->> 'email')::boolean,
+            -- An emailed event is not repeated in the digest
+            (channels ->> 'digest')::boolean AND NOT (channels ->> 'email')::boolean)
+    RETURNING id INTO new_id;
+
+    RETURN new_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION create_notification(TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, JSONB) FROM PUBLIC;
+GRANT EXECUTE ON FUNCTION create_notification(TEXT, TEXT, TEXT, TEXT, TEXT, TEXT, JSONB) TO authenticated;
@@ -0,0 +1,84 @@
+-- SQL statements for international qualification -> ATAR equivalences
+-- Execute these in your Supabase SQL editor after adjustment_schemes_schema.sql
+
+-- 1. Equivalence tables, one row per qualification. input says how a
+-- result is entered and bands map scores to ATAR-equivalent ranges (see
+-- src/lib/qualificationConverter.js). Admins edit these in the admin portal.
+CREATE TABLE IF NOT EXISTS qualification_equivalences (
+    id TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    input JSONB NOT NULL,
+    bands JSONB NOT NULL DEFAULT '[]',
+    source TEXT,
+    source_url TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    updated_by TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 2. Row level security: anyone can read, admins can edit. Admin writes are
+-- authorised by the Supabase session the admin portal opens at login
+-- (AdminAuthContext signs in with the portal email and password), so each
+-- portal admin needs a Supabase account whose users row has the admin role.
+-- Without that session saves are rejected; the portal reports it.
+ALTER TABLE qualification_equivalences ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view qualification equivalences" ON qualification_equivalences;
+DROP POLICY IF EXISTS "Admins can manage qualification equivalences" ON qualification_equivalences;
+
+CREATE POLICY "Anyone can view qualification equivalences" ON qualification_equivalences
+  FOR SELECT USING (true);
+
+CREATE POLICY "Admins can manage qualification equivalences" ON qualification_equivalences
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM users u
+      JOIN user_roles r ON u.role_id = r.id
+      WHERE u.id::text = auth.uid()::text AND r.role_name = 'admin'
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM users u
+      JOIN user_roles r ON u.role_id = r.id
+      WHERE u.id::text = auth.uid()::text AND r.role_name = 'admin'
+    )
+  );
+
+-- 3. Starting tables. These are indicative figures; check them against the
+-- admissions centres' current published equivalences before going live.
+-- Existing rows are left alone so admin edits survive a re-run.
+INSERT INTO qualification_equivalences (id, name, description, input, bands, source) VALUES
+    ('IB', 'International Baccalaureate Diploma',
+     'Total Diploma points, including bonus points for TOK and the Extended Essay.',
+     '{"kind": "total", "label": "IB Diploma total", "min": 24, "max": 45, "step": 1}',
+     '[{"min": 45, "low": 99.95, "high": 99.95}, {"min": 44, "low": 99.70, "high": 99.85}, {"min": 43, "low": 99.40, "high": 99.60}, {"min": 42, "low": 98.80, "high": 99.20}, {"min": 41, "low": 98.10, "high": 98.60}, {"min": 40, "low": 97.20, "high": 97.85}, {"min": 39, "low": 96.20, "high": 96.95}, {"min": 38, "low": 95.05, "high": 95.85}, {"min": 37, "low": 93.70, "high": 94.55}, {"min": 36, "low": 92.25, "high": 93.15}, {"min": 35, "low": 90.65, "high": 91.60}, {"min": 34, "low": 88.85, "high": 89.90}, {"min": 33, "low": 86.95, "high": 88.10}, {"min": 32, "low": 84.90, "high": 86.10}, {"min": 31, "low": 82.70, "high": 83.95}, {"min": 30, "low": 80.40, "high": 81.70}, {"min": 29, "low": 77.95, "high": 79.30}, {"min": 28, "low": 75.40, "high": 76.80}, {"min": 27, "low": 72.70, "high": 74.15}, {"min": 26, "low": 69.85, "high": 71.35}, {"min": 25, "low": 66.90, "high": 68.45}, {"min": 24, "low": 63.80, "high": 65.40}]',
+     'IB Diploma to ATAR conversion, university admissions centres'),
+    ('CBSE', 'CBSE Class XII (India)',
+     'Average of the best four subjects in the All India Senior School Certificate Examination.',
+     '{"kind": "percentage", "label": "Class XII subject marks (%)", "subjects": 4}',
+     '[{"min": 95, "low": 98.00, "high": 99.50}, {"min": 90, "low": 94.00, "high": 97.00}, {"min": 85, "low": 89.00, "high": 93.00}, {"min": 80, "low": 84.00, "high": 88.00}, {"min": 75, "low": 78.00, "high": 83.00}, {"min": 70, "low": 72.00, "high": 77.00}, {"min": 65, "low": 65.00, "high": 71.00}, {"min": 60, "low": 58.00, "high": 64.00}]',
+     'Indian Class XII equivalences, university admissions centres'),
+    ('ISC', 'ISC Class XII (India)',
+     'Average of the best four subjects in the Indian School Certificate.',
+     '{"kind": "percentage", "label": "ISC subject marks (%)", "subjects": 4}',
+     '[{"min": 95, "low": 97.50, "high": 99.30}, {"min": 90, "low": 93.50, "high": 96.50}, {"min": 85, "low": 88.50, "high": 92.50}, {"min": 80, "low": 83.50, "high": 87.50}, {"min": 75, "low": 77.50, "high": 82.50}, {"min": 70, "low": 71.00, "high": 76.00}, {"min": 65, "low": 64.00, "high": 70.00}, {"min": 60, "low": 57.00, "high": 63.00}]',
+     'Indian Class XII equivalences, university admissions centres'),
+    ('A_LEVEL', 'GCE A-Levels (UK)',
+     'Best three A-Level grades, A* = 6 down to E = 1.',
+     '{"kind": "grades", "label": "A-Level grades", "subjects": 3, "points": {"A*": 6, "A": 5, "B": 4, "C": 3, "D": 2, "E": 1}}',
+     '[{"min": 18, "low": 99.50, "high": 99.95}, {"min": 17, "low": 98.50, "high": 99.50}, {"min": 16, "low": 97.00, "high": 98.50}, {"min": 15, "low": 95.00, "high": 97.00}, {"min": 14, "low": 92.00, "high": 95.00}, {"min": 13, "low": 89.00, "high": 92.00}, {"min": 12, "low": 85.00, "high": 89.00}, {"min": 11, "low": 81.00, "high": 85.00}, {"min": 10, "low": 77.00, "high": 81.00}, {"min": 9, "low": 72.00, "high": 77.00}, {"min": 8, "low": 67.00, "high": 72.00}, {"min": 7, "low": 62.00, "high": 67.00}, {"min": 6, "low": 57.00, "high": 62.00}]',
+     'UK A-Level equivalences, university admissions centres'),
+    ('SG_GCE', 'Singapore-Cambridge GCE A-Level',
+     'University admission score (rank points out of 90).',
+     '{"kind": "total", "label": "Rank points", "min": 0, "max": 90, "step": 0.25}',
+     '[{"min": 90, "low": 99.50, "high": 99.95}, {"min": 85, "low": 98.00, "high": 99.30}, {"min": 80, "low": 95.50, "high": 98.00}, {"min": 75, "low": 92.50, "high": 95.50}, {"min": 70, "low": 89.00, "high": 92.50}, {"min": 65, "low": 85.00, "high": 89.00}, {"min": 60, "low": 81.00, "high": 85.00}, {"min": 55, "low": 76.00, "high": 81.00}, {"min": 50, "low": 70.00, "high": 76.00}, {"min": 45, "low": 64.00, "high": 70.00}]',
+     'Singapore GCE A-Level equivalences, university admissions centres'),
+    ('NCEA', 'NCEA Level 3 (New Zealand)',
+     'Rank score from the best 80 Level 3 credits (Excellence 4, Merit 3, Achieved 2).',
+     '{"kind": "total", "label": "NCEA rank score", "min": 0, "max": 320, "step": 1}',
+     '[{"min": 300, "low": 99.00, "high": 99.95}, {"min": 280, "low": 96.00, "high": 99.00}, {"min": 260, "low": 92.00, "high": 96.00}, {"min": 240, "low": 88.00, "high": 92.00}, {"min": 220, "low": 84.00, "high": 88.00}, {"min": 200, "low": 79.00, "high": 84.00}, {"min": 180, "low": 73.00, "high": 79.00}, {"min": 160, "low": 66.00, "high": 73.00}, {"min": 140, "low": 58.00, "high": 66.00}]',
+     'NCEA rank score equivalences, university admissions centres')
+ON CONFLICT (id) DO NOTHING;
@@ -0,0 +1,125 @@
+-- SQL statements for reference letter requests and the referee upload portal
+-- Execute these in your Supabase SQL editor after gte_statements_schema.sql
+
+-- 1. One request per referee. Status moves pending -> sent (email delivered)
+-- -> opened (referee followed the link) -> received (letter submitted), or
+-- to cancelled by the student. Students read this table for tracking; it
+-- never holds the referee's link or the letter itself.
+CREATE TABLE IF NOT EXISTS reference_requests (
+    id SERIAL PRIMARY KEY,
+    student_id TEXT NOT NULL,
+    student_name TEXT,
+    student_email TEXT,
+    referee_name TEXT NOT NULL,
+    referee_email TEXT NOT NULL,
+    referee_title TEXT,
+    referee_organization TEXT,
+    relationship TEXT,
+    relationship_duration TEXT,
+    purpose TEXT,
+    program TEXT,
+    institution TEXT,
+    achievements TEXT,
+    specific_requirements TEXT,
+    deadline DATE,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'opened', 'received', 'cancelled')),
+    sent_at TIMESTAMP WITH TIME ZONE,
+    opened_at TIMESTAMP WITH TIME ZONE,
+    received_at TIMESTAMP WITH TIME ZONE,
+    last_reminded_at TIMESTAMP WITH TIME ZONE,
+    reminder_count INTEGER NOT NULL DEFAULT 0,
+    -- Set by the referee when submitting
+    share_with_student BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reference_requests_student ON reference_requests (student_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reference_requests_deadline ON reference_requests (status, deadline);
+
+-- 2. Referee links. Tokens are generated and read only by the Firebase
+-- functions (service role), so a student can't open the referee page for
+-- their own request.
+CREATE TABLE IF NOT EXISTS reference_request_tokens (
+    request_id INTEGER PRIMARY KEY REFERENCES reference_requests(id) ON DELETE CASCADE,
+    token TEXT NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 3. Submitted letters, written or uploaded. Uploaded files live in the
+-- private reference-letters storage bucket under file_path.
+CREATE TABLE IF NOT EXISTS reference_letters (
+    id SERIAL PRIMARY KEY,
+    request_id INTEGER NOT NULL UNIQUE REFERENCES reference_requests(id) ON DELETE CASCADE,
+    letter_text TEXT,
+    file_path TEXT,
+    file_name TEXT,
+    file_type TEXT,
+    share_with_student BOOLEAN NOT NULL DEFAULT FALSE,
+    submitted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- 4. One row per reminder sent, so overlapping scheduler runs never email a
+-- referee twice for the same reminder
+CREATE TABLE IF NOT EXISTS reference_reminder_log (
+    id SERIAL PRIMARY KEY,
+    request_id INTEGER NOT NULL REFERENCES reference_requests(id) ON DELETE CASCADE,
+    reminder_type VARCHAR(20) NOT NULL,
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (request_id, reminder_type)
+);
+
+-- 5. Row level security
+ALTER TABLE reference_requests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reference_request_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reference_letters ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reference_reminder_log ENABLE ROW LEVEL SECURITY;
+
+-- Students see and manage only their own requests
+DROP POLICY IF EXISTS "Users can view reference requests" ON reference_requests;
+DROP POLICY IF EXISTS "Users can create reference requests" ON reference_requests;
+DROP POLICY IF EXISTS "Users can update reference requests" ON reference_requests;
+
+CREATE POLICY "Users can view reference requests" ON reference_requests
+  FOR SELECT USING (auth.uid()::text = student_id);
+
+CREATE POLICY "Users can create reference requests" ON reference_requests
+  FOR INSERT WITH CHECK (auth.uid()::text = student_id);
+
+CREATE POLICY "Users can update reference requests" ON reference_requests
+  FOR UPDATE USING (auth.uid()::text = student_id)
+  WITH CHECK (auth.uid()::text = student_id);
+
+-- No policies on reference_request_tokens or reference_reminder_log: only
+-- the functions use them. A letter is readable only by the student who
+-- requested it, and only once the referee has chosen to share it.
+DROP POLICY IF EXISTS "Shared reference letters are readable" ON reference_letters;
+
+CREATE POLICY "Shared reference letters are readable" ON reference_letters
+  FOR SELECT USING (
+    share_with_student = true AND EXISTS (
+      SELECT 1 FROM reference_requests
+      WHERE reference_requests.id = reference_letters.request_id
+        AND reference_requests.student_id = auth.uid()::text
+    )
+  );
+
+-- 6. Storage bucket for uploaded letters (private; shared files are reached
+-- through short-lived signed URLs)
+INSERT INTO storage.buckets (id, name, public)
+VALUES ('reference-letters', 'reference-letters', false)
+ON CONFLICT (id) DO NOTHING;
+
+DROP POLICY IF EXISTS "Shared reference letter files are readable" ON storage.objects;
+
+CREATE POLICY "Shared reference letter files are readable" ON storage.objects
+  FOR SELECT USING (
+    bucket_id = 'reference-letters' AND EXISTS (
+      SELECT 1 FROM reference_letters
+      JOIN reference_requests ON reference_requests.id = reference_letters.request_id
+      WHERE reference_letters.file_path = storage.objects.name
+        AND reference_letters.share_with_student = true
+        AND reference_requests.student_id = auth.uid()::text
+    )
+  );
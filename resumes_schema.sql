@@ -0,0 +1,46 @@
+-- SQL statements for saved resumes and tailored variants
+-- Execute these in your Supabase SQL editor after document_reviews_schema.sql
+
+-- 1. Resumes. A master resume has parent_id NULL; variants are clones of a
+-- master tailored to one course or job. data holds the ResumeBuilder form.
+CREATE TABLE IF NOT EXISTS resumes (
+    id SERIAL PRIMARY KEY,
+    user_id TEXT NOT NULL,
+    title TEXT NOT NULL,
+    parent_id INTEGER REFERENCES resumes(id) ON DELETE SET NULL,
+    target_type VARCHAR(20) CHECK (target_type IN ('course', 'job')),
+    target_name TEXT,
+    template VARCHAR(30) DEFAULT 'modern',
+    data JSONB NOT NULL DEFAULT '{}',
+    -- Latest analyzeResumeForATS result for this variant
+    ats_analysis JSONB,
+    ats_target_role TEXT,
+    ats_analyzed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_resumes_user ON resumes (user_id, updated_at DESC);
+CREATE INDEX IF NOT EXISTS idx_resumes_parent ON resumes (parent_id);
+
+-- 2. Row level security: resumes are the student's own. Counselors review
+-- the snapshot shared in document_reviews.
+ALTER TABLE resumes ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view resumes" ON resumes;
+DROP POLICY IF EXISTS "Users can create resumes" ON resumes;
+DROP POLICY IF EXISTS "Users can update resumes" ON resumes;
+DROP POLICY IF EXISTS "Users can delete resumes" ON resumes;
+
+CREATE POLICY "Users can view resumes" ON resumes
+  FOR SELECT USING (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can create resumes" ON resumes
+  FOR INSERT WITH CHECK (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can update resumes" ON resumes
+  FOR UPDATE USING (auth.uid()::text = user_id)
+  WITH CHECK (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can delete resumes" ON resumes
+  FOR DELETE USING (auth.uid()::text = user_id);
@@ -0,0 +1,40 @@
+-- SQL statements for rule-based scholarship eligibility
+-- Execute these in your Supabase SQL editor after qualification_equivalences_schema.sql
+
+-- 1. Eligibility criteria, a JSON list of rules per scholarship (see
+-- src/lib/scholarshipCriteria.js). Admins author these in scholarship
+-- management; the eligibility checker evaluates them against the student's
+-- profile. An empty list means the scholarship is open to everyone.
+ALTER TABLE scholarships
+    ADD COLUMN IF NOT EXISTS eligibility_criteria JSONB NOT NULL DEFAULT '[]';
+
+ALTER TABLE scholarships
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+-- 2. Anyone can read scholarships; only admins change them, criteria
+-- included. Admin writes use the Supabase session the admin portal opens at
+-- login (AdminAuthContext), so the portal admin needs a Supabase account with
+-- the admin role. Without it updates match no rows and the editor says so.
+ALTER TABLE scholarships ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Anyone can view scholarships" ON scholarships;
+DROP POLICY IF EXISTS "Admins can manage scholarships" ON scholarships;
+
+CREATE POLICY "Anyone can view scholarships" ON scholarships
+  FOR SELECT USING (true);
+
+CREATE POLICY "Admins can manage scholarships" ON scholarships
+  FOR ALL USING (
+    EXISTS (
+      SELECT 1 FROM users u
+      JOIN user_roles r ON u.role_id = r.id
+      WHERE u.id::text = auth.uid()::text AND r.role_name = 'admin'
+    )
+  )
+  WITH CHECK (
+    EXISTS (
+      SELECT 1 FROM users u
+      JOIN user_roles r ON u.role_id = r.id
+      WHERE u.id::text = auth.uid()::text AND r.role_name = 'admin'
+    )
+  );
@@ -0,0 +1,114 @@
+-- SQL statements for the session lifecycle (request, confirm, reschedule, cancel, no-show, complete)
+-- Execute these in your Supabase SQL editor after calendar_feed_schema.sql
+
+-- 1. Lifecycle columns on sessions
+ALTER TABLE sessions
+    ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS cancellation_reason TEXT,
+    ADD COLUMN IF NOT EXISTS is_late_cancellation BOOLEAN DEFAULT FALSE,
+    ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS no_show_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS reschedule_count INTEGER DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS last_rescheduled_by VARCHAR(20);
+
+-- 2. Move legacy statuses onto the state machine
+UPDATE sessions SET status = 'confirmed' WHERE status = 'scheduled';
+UPDATE sessions SET status = 'requested' WHERE status = 'pending';
+
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_status_check;
+ALTER TABLE sessions ADD CONSTRAINT sessions_status_check CHECK (status IN (
+    'requested', 'confirmed', 'rescheduled',
+    'cancelled_by_student', 'cancelled_by_counselor', 'cancelled',
+    'no_show', 'completed'
+));
+
+ALTER TABLE sessions ALTER COLUMN status SET DEFAULT 'requested';
+
+-- 3. Cancelled sessions of either kind release their slot
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+DROP INDEX IF EXISTS idx_sessions_counselor_slot;
+ALTER TABLE sessions DROP CONSTRAINT IF EXISTS sessions_counselor_no_overlap;
+ALTER TABLE sessions ADD CONSTRAINT sessions_counselor_no_overlap
+    EXCLUDE USING gist (
+        counselor_id WITH =,
+        tsrange(
+            scheduled_date + scheduled_time,
+            scheduled_date + scheduled_time + make_interval(mins => COALESCE(duration_minutes, 60))
+        ) WITH &&
+    )
+    WHERE (status NOT IN ('cancelled', 'cancelled_by_student', 'cancelled_by_counselor'));
+
+-- 4. Reschedule history
+CREATE TABLE IF NOT EXISTS session_reschedules (
+    id SERIAL PRIMARY KEY,
+    session_id TEXT NOT NULL, -- sessions.id
+    rescheduled_by VARCHAR(20) NOT NULL CHECK (rescheduled_by IN ('student', 'counselor')),
+    previous_date DATE,
+    previous_time TIME,
+    previous_scheduled_at TIMESTAMP WITH TIME ZONE,
+    new_date DATE NOT NULL,
+    new_time TIME NOT NULL,
+    new_scheduled_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_reschedules_session ON session_reschedules (session_id, created_at);
+
+-- 5. Row level security: history is visible to, and recorded by, the
+-- session's student and counselor (current_counselor_id(),
+-- counselor_availability_schema.sql)
+CREATE OR REPLACE FUNCTION is_session_participant(target_session_id TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM sessions s
+        WHERE s.id::text = target_session_id
+          AND (s.student_id::text = auth.uid()::text OR s.counselor_id = current_counselor_id())
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+ALTER TABLE session_reschedules ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view reschedule history" ON session_reschedules;
+DROP POLICY IF EXISTS "Users can record reschedules" ON session_reschedules;
+
+CREATE POLICY "Users can view reschedule history" ON session_reschedules
+  FOR SELECT USING (is_session_participant(session_id));
+
+CREATE POLICY "Users can record reschedules" ON session_reschedules
+  FOR INSERT WITH CHECK (is_session_participant(session_id));
+
+-- 6. Dashboard stats written by counselorConnectionServiceReal.updateStudentStats / updateCounselorStats
+CREATE TABLE IF NOT EXISTS user_stats (
+    user_email VARCHAR(255) PRIMARY KEY,
+    stats JSONB NOT NULL DEFAULT '{}',
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- A user's own stats, plus those of the other side of a counselor connection,
+-- since a change to a connection or session refreshes both parties' counts
+CREATE OR REPLACE FUNCTION can_access_user_stats(stats_email TEXT)
+RETURNS BOOLEAN AS $$
+    SELECT lower(stats_email) = lower(auth.jwt() ->> 'email')
+        OR EXISTS (
+            SELECT 1
+            FROM counselor_requests r
+            JOIN users u ON u.id::text = r.student_id::text
+            JOIN counselors c ON c.id::text = r.requested_counselor_id::text
+            WHERE (u.id::text = auth.uid()::text AND lower(c.email) = lower(stats_email))
+               OR (c.id = current_counselor_id() AND lower(u.email) = lower(stats_email))
+        );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+ALTER TABLE user_stats ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view stats" ON user_stats;
+DROP POLICY IF EXISTS "Users can write stats" ON user_stats;
+
+CREATE POLICY "Users can view stats" ON user_stats
+  FOR SELECT USING (can_access_user_stats(user_email));
+
+CREATE POLICY "Users can write stats" ON user_stats
+  FOR ALL USING (can_access_user_stats(user_email))
+  WITH CHECK (can_access_user_stats(user_email));
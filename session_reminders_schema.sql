@@ -0,0 +1,25 @@
+-- SQL statements for scheduled session reminder emails
+-- Execute these in your Supabase SQL editor after notifications_schema.sql
+
+-- 1. One row per reminder sent. The unique key includes scheduled_at so a
+-- rescheduled session gets fresh reminders for its new time, while re-runs of
+-- the scheduler never send the same reminder twice.
+CREATE TABLE IF NOT EXISTS session_reminder_log (
+    id SERIAL PRIMARY KEY,
+    session_id TEXT NOT NULL,
+    reminder_type VARCHAR(10) NOT NULL CHECK (reminder_type IN ('24h', '1h')),
+    recipient_role VARCHAR(20) NOT NULL CHECK (recipient_role IN ('student', 'counselor')),
+    recipient_email TEXT NOT NULL,
+    scheduled_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (session_id, reminder_type, recipient_role, scheduled_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_session_reminder_log_session ON session_reminder_log (session_id);
+
+-- 2. Row level security. The log holds recipient addresses and is only read
+-- and written by the Firebase functions with the service role, so clients get
+-- no policies at all.
+ALTER TABLE session_reminder_log ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Reminder log is readable" ON session_reminder_log;
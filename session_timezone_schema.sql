@@ -0,0 +1,32 @@
+-- SQL statements for timezone-aware session scheduling
+-- Execute these in your Supabase SQL editor after counselor_availability_schema.sql
+
+-- 1. Counselors set the zone their weekly hours are expressed in
+ALTER TABLE counselor_booking_settings
+    ADD COLUMN IF NOT EXISTS timezone TEXT DEFAULT 'Australia/Sydney';
+
+-- 2. Sessions keep the UTC instant plus both parties' IANA zones.
+-- scheduled_date / scheduled_time remain the counselor's wall-clock time.
+ALTER TABLE sessions
+    ADD COLUMN IF NOT EXISTS scheduled_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN IF NOT EXISTS student_timezone TEXT,
+    ADD COLUMN IF NOT EXISTS counselor_timezone TEXT;
+
+-- 3. Backfill existing rows, reading their date and time in the counselor's zone
+UPDATE sessions s
+SET counselor_timezone = COALESCE(b.timezone, 'Australia/Sydney')
+FROM (
+    SELECT c.id AS counselor_id, cbs.timezone
+    FROM counselors c
+    LEFT JOIN counselor_booking_settings cbs ON cbs.counselor_id = c.id
+) b
+WHERE s.counselor_id = b.counselor_id
+  AND s.counselor_timezone IS NULL;
+
+UPDATE sessions
+SET scheduled_at = (scheduled_date + scheduled_time) AT TIME ZONE COALESCE(counselor_timezone, 'Australia/Sydney')
+WHERE scheduled_at IS NULL
+  AND scheduled_date IS NOT NULL
+  AND scheduled_time IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_sessions_scheduled_at ON sessions (scheduled_at);
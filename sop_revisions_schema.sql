@@ -0,0 +1,67 @@
+-- SQL statements for SOP revision history and named snapshots
+-- Execute these in your Supabase SQL editor after email_templates_schema.sql
+
+-- 1. One immutable row per save, AI generation or restore. The sops row stays
+-- the current draft; revisions keep everything it used to be.
+CREATE TABLE IF NOT EXISTS sop_revisions (
+    id SERIAL PRIMARY KEY,
+    sop_id TEXT NOT NULL,
+    user_id TEXT NOT NULL,
+    revision_number INTEGER NOT NULL,
+    source VARCHAR(20) NOT NULL CHECK (source IN ('save', 'ai_generation', 'restore')),
+    -- AI generations: which section was generated and the ai_generation_logs row
+    section_name VARCHAR(50),
+    ai_generation_log_id TEXT,
+    -- Restores: the revision that was brought back
+    restored_from_revision_id INTEGER REFERENCES sop_revisions(id),
+    -- Student-chosen label such as 'sent to counselor v2'
+    snapshot_name TEXT,
+    title TEXT,
+    purpose VARCHAR(50),
+    target_university TEXT,
+    target_course TEXT,
+    introduction TEXT DEFAULT '',
+    academic_background TEXT DEFAULT '',
+    motivation_and_interest TEXT DEFAULT '',
+    future_goals TEXT DEFAULT '',
+    why_this_university TEXT DEFAULT '',
+    conclusion TEXT DEFAULT '',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE (sop_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sop_revisions_sop ON sop_revisions (sop_id, revision_number DESC);
+
+-- 2. Revision content can never change; only the snapshot name can be set
+CREATE OR REPLACE FUNCTION prevent_sop_revision_edits()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF (to_jsonb(NEW) - 'snapshot_name') IS DISTINCT FROM (to_jsonb(OLD) - 'snapshot_name') THEN
+        RAISE EXCEPTION 'SOP revisions are immutable';
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS sop_revisions_immutable ON sop_revisions;
+CREATE TRIGGER sop_revisions_immutable
+    BEFORE UPDATE ON sop_revisions
+    FOR EACH ROW EXECUTE FUNCTION prevent_sop_revision_edits();
+
+-- 3. Row level security: revisions are the student's own. Counselors review
+-- the snapshot shared in document_reviews, not the history.
+ALTER TABLE sop_revisions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view SOP revisions" ON sop_revisions;
+DROP POLICY IF EXISTS "Users can create SOP revisions" ON sop_revisions;
+DROP POLICY IF EXISTS "Users can name SOP snapshots" ON sop_revisions;
+
+CREATE POLICY "Users can view SOP revisions" ON sop_revisions
+  FOR SELECT USING (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can create SOP revisions" ON sop_revisions
+  FOR INSERT WITH CHECK (auth.uid()::text = user_id);
+
+CREATE POLICY "Users can name SOP snapshots" ON sop_revisions
+  FOR UPDATE USING (auth.uid()::text = user_id)
+  WITH CHECK (auth.uid()::text = user_id);
@@ -0,0 +1,88 @@
+-- SQL statements for the SOP originality check
+-- Execute these in your Supabase SQL editor after reference_requests_schema.sql
+
+-- The first version of the check downloaded other students' SOP text to the
+-- browser. Remove it.
+DROP FUNCTION IF EXISTS get_sop_similarity_corpus(TEXT, INTEGER);
+
+-- 1. Shingle hashes of each saved SOP (similarityEngine.textShingles), written
+-- by SOPService.saveSOP. Only the hashes are stored, and only the owner can
+-- read them, so drafts are compared against other students' SOPs without
+-- their text leaving the database. SOPs saved before this table existed are
+-- indexed the next time they are saved.
+CREATE TABLE IF NOT EXISTS sop_shingles (
+    user_id TEXT NOT NULL,
+    sop_id TEXT NOT NULL,
+    hash BIGINT NOT NULL,
+    PRIMARY KEY (user_id, sop_id, hash)
+);
+
+CREATE INDEX IF NOT EXISTS idx_sop_shingles_hash ON sop_shingles(hash);
+
+ALTER TABLE sop_shingles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own SOP shingles" ON sop_shingles;
+CREATE POLICY "Users can view own SOP shingles" ON sop_shingles
+    FOR SELECT USING (auth.uid()::text = user_id);
+
+DROP POLICY IF EXISTS "Users can add own SOP shingles" ON sop_shingles;
+CREATE POLICY "Users can add own SOP shingles" ON sop_shingles
+    FOR INSERT WITH CHECK (auth.uid()::text = user_id);
+
+DROP POLICY IF EXISTS "Users can remove own SOP shingles" ON sop_shingles;
+CREATE POLICY "Users can remove own SOP shingles" ON sop_shingles
+    FOR DELETE USING (auth.uid()::text = user_id);
+
+-- 2. Match a draft section against every other student's SOP. draft_hashes
+-- is the section's textShingles() in order; the result is the positions in
+-- that array found elsewhere, with an anonymous number per matching SOP. Like
+-- checkSimilarity, only runs of matches covering at least 12 words
+-- (MIN_PASSAGE_WORDS, with 5-word shingles: SHINGLE_SIZE) are returned, so
+-- the function can't be used to probe for short phrases. The caller is
+-- always excluded.
+CREATE OR REPLACE FUNCTION match_sop_shingles(draft_hashes BIGINT[])
+RETURNS TABLE (shingle_position INTEGER, source INTEGER) AS $$
+    WITH draft AS (
+        SELECT (d.ordinality - 1)::INTEGER AS pos, d.hash
+        FROM unnest(draft_hashes[1:5000]) WITH ORDINALITY AS d(hash, ordinality)
+    ),
+    hits AS (
+        SELECT DISTINCT draft.pos, s.user_id, s.sop_id
+        FROM draft
+        JOIN sop_shingles s ON s.hash = draft.hash
+        WHERE s.user_id <> auth.uid()::text
+    ),
+    -- Matched shingles starting at most a shingle apart cover an unbroken run
+    -- of words; each such island is one passage
+    islands AS (
+        SELECT pos, SUM(CASE WHEN pos - prev > 5 THEN 1 ELSE 0 END) OVER (ORDER BY pos) AS island
+        FROM (
+            SELECT pos, LAG(pos) OVER (ORDER BY pos) AS prev
+            FROM (SELECT DISTINCT pos FROM hits) matched
+        ) ordered
+    ),
+    passages AS (
+        SELECT island
+        FROM islands
+        GROUP BY island
+        HAVING MAX(pos) - MIN(pos) + 5 >= 12
+    )
+    SELECT hits.pos, (DENSE_RANK() OVER (ORDER BY hits.user_id, hits.sop_id))::INTEGER
+    FROM hits
+    JOIN islands USING (pos)
+    JOIN passages USING (island)
+    ORDER BY 1, 2;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- 3. How many other students' SOPs a draft is compared against
+CREATE OR REPLACE FUNCTION count_sop_similarity_sources()
+RETURNS INTEGER AS $$
+    SELECT COUNT(DISTINCT (user_id, sop_id))::INTEGER
+    FROM sop_shingles
+    WHERE user_id <> auth.uid()::text;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+REVOKE ALL ON FUNCTION match_sop_shingles(BIGINT[]) FROM PUBLIC, anon;
+REVOKE ALL ON FUNCTION count_sop_similarity_sources() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION match_sop_shingles(BIGINT[]) TO authenticated;
+GRANT EXECUTE ON FUNCTION count_sop_similarity_sources() TO authenticated;
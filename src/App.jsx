@@ -29,6 +29,7 @@ import CounselorRegistration from './components/CounselorRegistration'
 import CareerInsightsPage from './components/CareerInsightsPage'
 import SOPBuilderProper from './components/SOPBuilderProper'
 import ResumeBuilder from './components/ResumeBuilder'
+import ReferenceLetterToolkit from './components/ReferenceLetterToolkit'
 import FAQPage from './components/FAQPage'
 import HelpCenterPage from './components/HelpCenterPage'
 import ContactUsPage from './components/ContactUsPage'
@@ -46,6 +47,7 @@ import StudentProfileDashboardFixed from './components/StudentProfileDashboardFi
 import SignInPage from './components/SignInPage'
 import SignUpPage from './components/SignUpPage'
 import EmailVerificationPage from './components/EmailVerificationPage'
+import RefereePortalPage from './components/RefereePortalPage'
 import DatabaseCleanupComponent from './components/DatabaseCleanupComponent'
 import PrivacyPolicyPage from './components/PrivacyPolicyPage'
 import TermsOfServicePage from './components/TermsOfServicePage'
@@ -95,6 +97,8 @@ function App() {
             <Route path="/sign-in" element={<SignInPage />} />
             <Route path="/verify-email" element={<EmailVerificationPage />} />
             <Route path="/email-verified" element={<EmailVerificationPage />} />
+            {/* Referee letter upload - reached from the emailed link, no sign-in */}
+            <Route path="/reference/submit" element={<RefereePortalPage />} />
             
             <Route path="/" element={
               <MobileLayoutEnhanced>
@@ -164,6 +168,7 @@ function App() {
         {/* Smart Apply Routes */}
         <Route path="/smart-apply/sop-builder" element={<SOPBuilderProper />} />
         <Route path="/smart-apply/resume-builder" element={<ResumeBuilder />} />
+        <Route path="/smart-apply/reference-letter-toolkit" element={<ReferenceLetterToolkit />} />
         
         <Route path="/atar-calculator" element={<ATARCalculatorPage />} />
         <Route path="/course-finder" element={<CourseFinderPage />} />
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useMemo } from 'react'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Badge } from '@/components/ui/badge'
@@ -18,95 +18,52 @@ import {
   AlertCircle,
   GraduationCap,
   BarChart3,
-  MapPin
+  MapPin,
+  Globe
 } from 'lucide-react'
 import Sidebar from './Sidebar'
+import ATARWhatIfPlanner from './ATARWhatIfPlanner'
+import { useAuth } from '../contexts/AuthContext'
+import { realDatabaseService } from '../services/realDatabaseService'
+import {
+  calculateATAR as estimateATAR,
+  DEFAULT_JURISDICTION,
+  getJurisdiction,
+  GRADE_LABELS,
+  JURISDICTION_IDS,
+  JURISDICTIONS,
+  MIN_REPORTED_ATAR,
+  scaleScore,
+  SUBJECTS
+} from '../lib/atarEngine'
+import { ADJUSTMENT_CATEGORIES, CIRCUMSTANCES, EMPTY_ADJUSTMENTS, eligibleCourses, schemeAward } from '../lib/selectionRank'
+import { AdjustmentSchemeService } from '../lib/adjustmentSchemeService'
+import { formatRange } from '../lib/qualificationConverter'
+import QualificationConverter from './QualificationConverter'
 
 export default function ATARCalculatorPage({ isMobileMenuOpen, onMobileMenuClose }) {
+  const { user } = useAuth()
   const [subjects, setSubjects] = useState([
     { id: 1, name: '', grade: '', scaledScore: 0, isEnglish: false }
   ])
   const [calculatedATAR, setCalculatedATAR] = useState(null)
-  const [recommendedCourses, setRecommendedCourses] = useState([])
+  const [calculation, setCalculation] = useState(null)
   const [allCourses, setAllCourses] = useState([])
+  const [adjustments, setAdjustments] = useState(EMPTY_ADJUSTMENTS)
+  const [circumstances, setCircumstances] = useState({})
   const [loading, setLoading] = useState(false)
   const [activeTab, setActiveTab] = useState('calculator')
   const [availableSubjects, setAvailableSubjects] = useState([])
-  const [selectedJurisdiction, setSelectedJurisdiction] = useState('')
-  const [availableJurisdictions, setAvailableJurisdictions] = useState([])
-
-  // Jurisdiction display names
-  const jurisdictionNames = {
-    'NSW-HSC': 'NSW (HSC)',
-    'VIC-VCE': 'VIC (VCE)',
-    'QLD-QCAA': 'QLD (QCAA)',
-    'SA-SACE': 'SA (SACE)',
-    'WA-WACE': 'WA (WACE)',
-    'TAS-TASC': 'TAS (TASC)'
-  }
-
-  // Australian subject list with scaling factors (fallback if database fails)
-  const fallbackSubjects = [
-    { name: 'English (Standard)', scaling: 1.0, isEnglish: true },
-    { name: 'English (Advanced)', scaling: 1.05, isEnglish: true },
-    { name: 'English Extension 1', scaling: 1.1, isEnglish: true },
-    { name: 'English Extension 2', scaling: 1.15, isEnglish: true },
-    { name: 'Mathematics (Standard)', scaling: 1.0 },
-    { name: 'Mathematics (Advanced)', scaling: 1.05 },
-    { name: 'Mathematics Extension 1', scaling: 1.1 },
-    { name: 'Mathematics Extension 2', scaling: 1.15 },
-    { name: 'Physics', scaling: 1.05 },
-    { name: 'Chemistry', scaling: 1.05 },
-    { name: 'Biology', scaling: 1.0 },
-    { name: 'Economics', scaling: 1.0 },
-    { name: 'Business Studies', scaling: 0.95 },
-    { name: 'Legal Studies', scaling: 0.95 },
-    { name: 'Modern History', scaling: 1.0 },
-    { name: 'Ancient History', scaling: 1.0 },
-    { name: 'Geography', scaling: 0.95 },
-    { name: 'Visual Arts', scaling: 0.9 },
-    { name: 'Music', scaling: 0.95 },
-    { name: 'Drama', scaling: 0.9 },
-    { name: 'Design and Technology', scaling: 0.9 },
-    { name: 'Information Technology', scaling: 0.95 },
-    { name: 'Software Design & Development', scaling: 1.0 },
-    { name: 'Personal Development, Health & PE', scaling: 0.85 },
-    { name: 'Food Technology', scaling: 0.85 },
-    { name: 'Textiles and Design', scaling: 0.85 }
-  ]
-
-  // Get scaling and English status for a subject
-  const getSubjectData = (subjectName) => {
-    const fallback = fallbackSubjects.find(s => s.name === subjectName)
-    return fallback || { scaling: 1.0, isEnglish: false }
-  }
-
-  // Grade to mark conversion
-  const gradeToMark = {
-    'A': 90,
-    'B': 80,
-    'C': 70,
-    'D': 60,
-    'E': 50,
-    'F': 40
-  }
+  const [selectedJurisdiction, setSelectedJurisdiction] = useState(DEFAULT_JURISDICTION)
 
   useEffect(() => {
     const fetchInitialData = async () => {
       try {
-        // Fetch courses
-        setAllCourses(coursesData)
-        
-        // Fetch available jurisdictions
-        console.log('Fetched jurisdictions:', jurisdictionsData)
-        setAvailableJurisdictions(jurisdictionsData)
-        
-        // Set default jurisdiction to NSW-HSC if available
-        if (jurisdictionsData.length > 0) {
-          const defaultJurisdiction = jurisdictionsData.includes('NSW-HSC') ? 'NSW-HSC' : jurisdictionsData[0]
-          setSelectedJurisdiction(defaultJurisdiction)
-        }
-        
+        // Fetch courses (new_courses, with their ATAR cutoffs)
+        const { data } = await realDatabaseService.getAllCourses()
+        setAllCourses(data || [])
+        const schemes = await AdjustmentSchemeService.getAdjustments()
+        setAdjustments(schemes.data)
       } catch (error) {
         console.error('Error fetching initial data:', error)
       }
@@ -170,55 +127,47 @@ export default function ATARCalculatorPage({ isMobileMenuOpen, onMobileMenuClose
     return [...keySubjects, ...otherSubjects, ...languageSubjects]
   }
 
-  // Fetch subjects when jurisdiction changes
+  // Subject library from the ATAR engine; reset entries when the jurisdiction changes
   useEffect(() => {
-    const fetchSubjects = async () => {
-      if (!selectedJurisdiction) return
-      
-      try {
-        // Fetch subjects for selected jurisdiction
-        console.log(`Fetched subjects for ${selectedJurisdiction}:`, subjectsData)
-        
-        if (subjectsData && subjectsData.length > 0) {
-          // Map database subjects to include scaling and English status
-          const mappedSubjects = subjectsData.map(dbSubject => {
-            const subjectData = getSubjectData(dbSubject.name)
-            return {
-              name: dbSubject.name,
-              code: dbSubject.code,
-              jurisdiction: dbSubject.jurisdiction,
-              scaling: subjectData.scaling,
-              isEnglish: subjectData.isEnglish
-            }
-          })
-          
-          // Organize subjects: key subjects first, then languages
-          const organizedSubjects = organizeSubjects(mappedSubjects)
-          setAvailableSubjects(organizedSubjects)
-          console.log(`Using ${organizedSubjects.length} organized subjects from database for ${selectedJurisdiction}`)
-        } else {
-          // Fallback to hardcoded subjects if database is empty
-          const organizedFallback = organizeSubjects(fallbackSubjects)
-          setAvailableSubjects(organizedFallback)
-          console.log('Using organized fallback subjects')
-        }
-        
-        // Reset subjects when jurisdiction changes
-        setSubjects([{ id: 1, name: '', grade: '', scaledScore: 0, isEnglish: false }])
-        setCalculatedATAR(null)
-        setRecommendedCourses([])
-        
-      } catch (error) {
-        console.error('Error fetching subjects:', error)
-        // Use fallback subjects on error
-        setAvailableSubjects(fallbackSubjects)
-        console.log('Using fallback subjects due to error')
-      }
-    }
-    
-    fetchSubjects()
+    setAvailableSubjects(organizeSubjects(SUBJECTS))
+    setSubjects([{ id: 1, name: '', grade: '', scaledScore: 0, isEnglish: false }])
+    setCalculatedATAR(null)
+    setCalculation(null)
   }, [selectedJurisdiction])
 
+  // Subject and language bonuses come from the calculated subjects; the rest
+  // from what the student declares
+  const student = useMemo(() => ({
+    subjects: calculation?.subjects || [],
+    circumstances
+  }), [calculation, circumstances])
+
+  // Courses the selection rank (ATAR plus adjustments) reaches
+  const recommendedCourses = useMemo(
+    () => (calculatedATAR !== null ? eligibleCourses(allCourses, calculatedATAR, adjustments, student) : []),
+    [allCourses, calculatedATAR, adjustments, student]
+  )
+
+  // For an international conversion, courses reachable only at the top of
+  // the equivalent range
+  const stretchCourseCount = useMemo(() => {
+    const equivalent = calculation?.equivalent
+    if (!equivalent || equivalent.high <= equivalent.low) return 0
+    const reachable = (atar) => eligibleCourses(allCourses, atar, adjustments, student, Infinity).length
+    return reachable(equivalent.high) - reachable(equivalent.low)
+  }, [calculation, allCourses, adjustments, student])
+
+  // Every scheme the student qualifies for, with its university
+  const qualifyingAdjustments = useMemo(() => [...adjustments.schemes.entries()].flatMap(([universityId, schemes]) => {
+    const university = allCourses.find(course => String(course.university_id) === universityId)?.new_universities?.university_name
+    return schemes
+      .map(scheme => {
+        const award = schemeAward(scheme, student)
+        return award ? { ...award, id: scheme.id, name: scheme.name, category: scheme.category, university } : null
+      })
+      .filter(Boolean)
+  }), [adjustments, allCourses, student])
+
   const addSubject = () => {
     const newId = Math.max(...subjects.map(s => s.id)) + 1
     setSubjects([...subjects, { id: newId, name: '', grade: '', scaledScore: 0, isEnglish: false }])
@@ -241,7 +190,7 @@ export default function ATARCalculatorPage({ isMobileMenuOpen, onMobileMenuClose
         }
         
         if (field === 'grade' || field === 'name') {
-          updated.scaledScore = calculateScaledScore(updated.name, updated.grade)
+          updated.scaledScore = scaleScore(updated.name, { grade: updated.grade })
         }
         
         return updated
@@ -250,62 +199,23 @@ export default function ATARCalculatorPage({ isMobileMenuOpen, onMobileMenuClose
     }))
   }
 
-  const calculateScaledScore = (subjectName, grade) => {
-    if (!subjectName || !grade) return 0
-    
-    const subject = availableSubjects.find(s => s.name === subjectName)
-    const baseMark = gradeToMark[grade] || 0
-    const scaling = subject?.scaling || 1.0
-    
-    return Math.round(baseMark * scaling)
-  }
   const calculateATAR = () => {
     setLoading(true)
     
     setTimeout(() => {
       try {
         const validSubjects = subjects.filter(s => s.name && s.grade)
+        const result = estimateATAR(selectedJurisdiction, validSubjects)
         
-        if (validSubjects.length < 4) {
-          alert('Please enter at least 4 subjects to calculate ATAR')
+        if (!result.success) {
+          alert(result.error)
           setLoading(false)
           return
         }
 
-        // State-specific ATAR calculation
-        let atar = 0
-        
-        switch (selectedJurisdiction) {
-          case 'NSW-HSC':
-            atar = calculateNSWATAR(validSubjects)
-            break
-          case 'VIC-VCE':
-            atar = calculateVICATAR(validSubjects)
-            break
-          case 'QLD-QCAA':
-            atar = calculateQLDATAR(validSubjects)
-            break
-          case 'SA-SACE':
-            atar = calculateSAATAR(validSubjects)
-            break
-          case 'WA-WACE':
-            atar = calculateWAATAR(validSubjects)
-            break
-          case 'TAS-TASC':
-            atar = calculateTASATAR(validSubjects)
-            break
-          default:
-            atar = calculateNSWATAR(validSubjects) // Default to NSW
-        }
-        
-        setCalculatedATAR(Math.round(atar * 100) / 100)
-        
-        // Get recommended courses based on ATAR
-        const eligibleCourses = allCourses.filter(course => 
-          course.atar_cutoff && course.atar_cutoff <= atar
-        ).sort((a, b) => b.atar_cutoff - a.atar_cutoff).slice(0, 10)
-        
-        setRecommendedCourses(eligibleCourses)
+        setCalculatedATAR(result.data.atar)
+        // Keep the subjects behind this result, for subject and language bonuses
+        setCalculation({ ...result.data, subjects: validSubjects })
         setActiveTab('results')
       } catch (error) {
         console.error('Error calculating ATAR:', error)
@@ -316,94 +226,19 @@ export default function ATARCalculatorPage({ isMobileMenuOpen, onMobileMenuClose
     }, 1500)
   }
 
-  // NSW HSC ATAR Calculation
-  const calculateNSWATAR = (validSubjects) => {
-    // NSW uses best 10 units (5 subjects), with English mandatory
-    const englishSubjects = validSubjects.filter(s => s.isEnglish)
-    const nonEnglishSubjects = validSubjects.filter(s => !s.isEnglish)
-    
-    if (englishSubjects.length === 0) {
-      throw new Error('English is mandatory for NSW HSC ATAR calculation')
-    }
-    
-    // Take best English subject and best 4 other subjects
-    const bestEnglish = englishSubjects.sort((a, b) => b.scaledScore - a.scaledScore)[0]
-    const bestOthers = nonEnglishSubjects.sort((a, b) => b.scaledScore - a.scaledScore).slice(0, 4)
-    
-    const selectedSubjects = [bestEnglish, ...bestOthers]
-    const totalScore = selectedSubjects.reduce((sum, s) => sum + s.scaledScore, 0)
-    
-    // Convert to ATAR (simplified calculation)
-    return Math.min(99.95, Math.max(0, (totalScore / 500) * 99.95))
-  }
-
-  // VIC VCE ATAR Calculation
-  const calculateVICATAR = (validSubjects) => {
-    // VIC uses best 4 subjects plus 10% of 5th and 6th subjects
-    const sortedSubjects = validSubjects.sort((a, b) => b.scaledScore - a.scaledScore)
-    
-    let totalScore = 0
-    for (let i = 0; i < Math.min(4, sortedSubjects.length); i++) {
-      totalScore += sortedSubjects[i].scaledScore
-    }
-    
-    // Add 10% of 5th and 6th subjects if available
-    if (sortedSubjects.length > 4) totalScore += sortedSubjects[4].scaledScore * 0.1
-    if (sortedSubjects.length > 5) totalScore += sortedSubjects[5].scaledScore * 0.1
-    
-    return Math.min(99.95, Math.max(0, (totalScore / 400) * 99.95))
-  }
-
-  // QLD QCAA ATAR Calculation
-  const calculateQLDATAR = (validSubjects) => {
-    // QLD uses best 5 subjects with English mandatory
-    const englishSubjects = validSubjects.filter(s => s.isEnglish)
-    
-    if (englishSubjects.length === 0) {
-      throw new Error('English is mandatory for QLD ATAR calculation')
-    }
-    
-    const sortedSubjects = validSubjects.sort((a, b) => b.scaledScore - a.scaledScore)
-    const best5 = sortedSubjects.slice(0, 5)
-    const totalScore = best5.reduce((sum, s) => sum + s.scaledScore, 0)
-    
-    return Math.min(99.95, Math.max(0, (totalScore / 500) * 99.95))
-  }
-
-  // SA SACE ATAR Calculation
-  const calculateSAATAR = (validSubjects) => {
-    // SA uses best 4 subjects
-    const sortedSubjects = validSubjects.sort((a, b) => b.scaledScore - a.scaledScore)
-    const best4 = sortedSubjects.slice(0, 4)
-    const totalScore = best4.reduce((sum, s) => sum + s.scaledScore, 0)
-    
-    return Math.min(99.95, Math.max(0, (totalScore / 400) * 99.95))
-  }
-
-  // WA WACE ATAR Calculation
-  const calculateWAATAR = (validSubjects) => {
-    // WA uses best 4 subjects with English mandatory
-    const englishSubjects = validSubjects.filter(s => s.isEnglish)
-    
-    if (englishSubjects.length === 0) {
-      throw new Error('English is mandatory for WA ATAR calculation')
-    }
-    
-    const sortedSubjects = validSubjects.sort((a, b) => b.scaledScore - a.scaledScore)
-    const best4 = sortedSubjects.slice(0, 4)
-    const totalScore = best4.reduce((sum, s) => sum + s.scaledScore, 0)
-    
-    return Math.min(99.95, Math.max(0, (totalScore / 400) * 99.95))
-  }
-
-  // TAS TASC ATAR Calculation
-  const calculateTASATAR = (validSubjects) => {
-    // TAS uses best 5 subjects
-    const sortedSubjects = validSubjects.sort((a, b) => b.scaledScore - a.scaledScore)
-    const best5 = sortedSubjects.slice(0, 5)
-    const totalScore = best5.reduce((sum, s) => sum + s.scaledScore, 0)
-    
-    return Math.min(99.95, Math.max(0, (totalScore / 500) * 99.95))
+  // International results match courses on the low end of their range
+  const applyEquivalent = (equivalent) => {
+    setCalculatedATAR(equivalent.low)
+    setCalculation({
+      atar: equivalent.low,
+      belowReportable: equivalent.low < MIN_REPORTED_ATAR,
+      equivalent,
+      counted: [],
+      increments: [],
+      bonuses: [],
+      subjects: []
+    })
+    setActiveTab('results')
   }
 
   const getATARColor = (atar) => {
@@ -456,9 +291,11 @@ export default function ATARCalculatorPage({ isMobileMenuOpen, onMobileMenuClose
           <div className="container mx-auto px-6 py-12">
             
             <Tabs value={activeTab} onValueChange={setActiveTab} className="w-full">
-              <TabsList className="grid w-full grid-cols-3">
+              <TabsList className="grid w-full grid-cols-5">
                 <TabsTrigger value="calculator">Calculator</TabsTrigger>
+                <TabsTrigger value="international">International</TabsTrigger>
                 <TabsTrigger value="results">Results</TabsTrigger>
+                <TabsTrigger value="what-if">What If</TabsTrigger>
                 <TabsTrigger value="guide">Guide</TabsTrigger>
               </TabsList>
 
@@ -486,9 +323,9 @@ export default function ATARCalculatorPage({ isMobileMenuOpen, onMobileMenuClose
                           <SelectValue placeholder="Select your state/territory" />
                         </SelectTrigger>
                         <SelectContent>
-                          {availableJurisdictions.map((jurisdiction) => (
+                          {JURISDICTION_IDS.map((jurisdiction) => (
                             <SelectItem key={jurisdiction} value={jurisdiction}>
-                              {jurisdictionNames[jurisdiction] || jurisdiction}
+                              {JURISDICTIONS[jurisdiction].name}
                             </SelectItem>
                           ))}
                         </SelectContent>
@@ -497,8 +334,8 @@ export default function ATARCalculatorPage({ isMobileMenuOpen, onMobileMenuClose
                     {selectedJurisdiction && (
                       <div className="mt-4 p-3 bg-blue-50 rounded-lg">
                         <p className="text-sm text-blue-700">
-                          <strong>{jurisdictionNames[selectedJurisdiction]}</strong> selected. 
-                          Subjects and ATAR calculation will be specific to this jurisdiction.
+                          <strong>{getJurisdiction(selectedJurisdiction).name}</strong> selected. 
+                          {getJurisdiction(selectedJurisdiction).summary}.
                         </p>
                       </div>
                     )}
@@ -514,7 +351,7 @@ export default function ATARCalculatorPage({ isMobileMenuOpen, onMobileMenuClose
                         Enter Your Subjects and Grades
                       </CardTitle>
                       <p className="text-sm text-gray-600">
-                        Showing subjects for {jurisdictionNames[selectedJurisdiction]}
+                        Showing subjects for {getJurisdiction(selectedJurisdiction).name}
                       </p>
                     </CardHeader>
                     <CardContent className="space-y-4">
@@ -549,12 +386,9 @@ export default function ATARCalculatorPage({ isMobileMenuOpen, onMobileMenuClose
                               <SelectValue placeholder="Grade" />
                             </SelectTrigger>
                             <SelectContent>
-                              <SelectItem value="A">A (90-100)</SelectItem>
-                              <SelectItem value="B">B (80-89)</SelectItem>
-                              <SelectItem value="C">C (70-79)</SelectItem>
-                              <SelectItem value="D">D (60-69)</SelectItem>
-                              <SelectItem value="E">E (50-59)</SelectItem>
-                              <SelectItem value="F">F (Below 50)</SelectItem>
+                              {Object.entries(GRADE_LABELS).map(([grade, label]) => (
+                                <SelectItem key={grade} value={grade}>{label}</SelectItem>
+                              ))}
                             </SelectContent>
                           </Select>
                         </div>
@@ -607,6 +441,25 @@ export default function ATARCalculatorPage({ isMobileMenuOpen, onMobileMenuClose
                 )}
               </TabsContent>
 
+              {/* International Tab */}
+              <TabsContent value="international" className="space-y-6">
+                <Card className="shadow-lg border-0">
+                  <CardHeader>
+                    <CardTitle className="flex items-center">
+                      <Globe className="h-6 w-6 mr-2 text-purple-600" />
+                      International Qualifications
+                    </CardTitle>
+                    <p className="text-sm text-gray-600">
+                      Studying IB, CBSE/ISC, A-Levels, GCE or NCEA? Convert your result to an ATAR equivalent
+                      to see which courses you can access.
+                    </p>
+                  </CardHeader>
+                  <CardContent>
+                    <QualificationConverter onConvert={applyEquivalent} actionLabel="Convert and find courses" />
+                  </CardContent>
+                </Card>
+              </TabsContent>
+
               {/* Results Tab */}
               <TabsContent value="results" className="space-y-6">
                 {calculatedATAR !== null ? (
@@ -622,11 +475,44 @@ export default function ATARCalculatorPage({ isMobileMenuOpen, onMobileMenuClose
                       <CardContent>
                         <div className="text-center space-y-4">
                           <div className={`text-6xl font-bold ${getATARColor(calculatedATAR)}`}>
-                            {calculatedATAR}
+                            {calculation?.equivalent
+                              ? formatRange(calculation.equivalent)
+                              : calculation?.belowReportable ? 'Below 30' : calculatedATAR.toFixed(2)}
                           </div>
                           <Badge className={getATARBadge(calculatedATAR).color}>
                             {getATARBadge(calculatedATAR).text}
                           </Badge>
+                          {calculation?.equivalent && (
+                            <div className="text-sm text-gray-600 max-w-2xl mx-auto text-left border rounded-lg p-4">
+                              <p className="font-medium text-gray-900 mb-1">
+                                ATAR equivalent of {calculation.equivalent.name} {calculation.equivalent.score} of {calculation.equivalent.maxScore}
+                              </p>
+                              <p>
+                                Courses are matched on the low end of the range ({calculation.equivalent.low.toFixed(2)}).
+                                {stretchCourseCount > 0 && ` ${stretchCourseCount} more ${stretchCourseCount === 1 ? 'course is' : 'courses are'} within reach at the top of your range.`}
+                              </p>
+                            </div>
+                          )}
+                          {calculation && !calculation.equivalent && (
+                            <div className="text-sm text-gray-600 max-w-2xl mx-auto text-left border rounded-lg p-4">
+                              <p className="font-medium text-gray-900 mb-2">
+                                {getJurisdiction(calculation.jurisdiction).summary} - aggregate {calculation.aggregate} of {calculation.maxAggregate}
+                              </p>
+                              <ul className="space-y-1">
+                                {calculation.counted.map((subject, index) => (
+                                  <li key={index}>
+                                    {subject.name}: {subject.score}{subject.fraction < 1 ? ` (${Math.round(subject.fraction * 100)}% counted)` : ''}
+                                  </li>
+                                ))}
+                                {calculation.increments.map((subject, index) => (
+                                  <li key={`increment-${index}`}>{subject.name}: {subject.score} ({Math.round(subject.weight * 100)}% counted)</li>
+                                ))}
+                                {calculation.bonuses.map((bonus, index) => (
+                                  <li key={`bonus-${index}`}>{bonus.label} ({bonus.name}): +{bonus.points.toFixed(1)}</li>
+                                ))}
+                              </ul>
+                            </div>
+                          )}
                           <p className="text-gray-600 max-w-2xl mx-auto">
                             This is an estimated ATAR based on your entered grades. Actual ATAR calculations 
                             involve complex scaling and moderation processes that may differ from this estimate.
@@ -635,6 +521,56 @@ export default function ATARCalculatorPage({ isMobileMenuOpen, onMobileMenuClose
                       </CardContent>
                     </Card>
 
+                    {/* Adjustment Factors */}
+                    <Card className="shadow-lg border-0">
+                      <CardHeader>
+                        <CardTitle className="flex items-center">
+                          <TrendingUp className="h-6 w-6 mr-2 text-purple-600" />
+                          Adjustment Factors
+                        </CardTitle>
+                        <p className="text-sm text-gray-600">
+                          Universities admit on selection rank: your ATAR plus bonus points from their adjustment schemes.
+                          Subject and language bonuses come from your grades; tick anything else that applies to you.
+                        </p>
+                      </CardHeader>
+                      <CardContent className="space-y-4">
+                        <div className="space-y-2">
+                          {CIRCUMSTANCES.filter(circumstance => !circumstance.fromSubjects).map(circumstance => (
+                            <div key={circumstance.key} className="flex items-center space-x-2">
+                              <input
+                                type="checkbox"
+                                id={`circumstance-${circumstance.key}`}
+                                checked={Boolean(circumstances[circumstance.key])}
+                                onChange={(e) => setCircumstances(prev => ({ ...prev, [circumstance.key]: e.target.checked }))}
+                                className="h-4 w-4 text-purple-600 border-gray-300 rounded"
+                              />
+                              <label htmlFor={`circumstance-${circumstance.key}`} className="text-sm text-gray-700">
+                                {circumstance.label}
+                              </label>
+                            </div>
+                          ))}
+                        </div>
+                        {qualifyingAdjustments.length > 0 ? (
+                          <div>
+                            <p className="text-sm font-medium text-gray-900 mb-2">Adjustments you qualify for</p>
+                            <ul className="space-y-1 text-sm text-gray-600">
+                              {qualifyingAdjustments.map(adjustment => (
+                                <li key={adjustment.id} className="flex justify-between gap-3">
+                                  <span>
+                                    {adjustment.name}{adjustment.university && ` - ${adjustment.university}`}
+                                    <span className="text-gray-500"> ({ADJUSTMENT_CATEGORIES[adjustment.category]}: {adjustment.reason})</span>
+                                  </span>
+                                  <span className="font-medium whitespace-nowrap">+{adjustment.points}</span>
+                                </li>
+                              ))}
+                            </ul>
+                          </div>
+                        ) : (
+                          <p className="text-sm text-gray-600">You don&apos;t qualify for any adjustment schemes yet, so courses are matched on your ATAR alone.</p>
+                        )}
+                      </CardContent>
+                    </Card>
+
                     {/* Course Recommendations */}
                     <Card className="shadow-lg border-0">
                       <CardHeader>
@@ -646,19 +582,42 @@ export default function ATARCalculatorPage({ isMobileMenuOpen, onMobileMenuClose
                       <CardContent>
                         {recommendedCourses.length > 0 ? (
                           <div className="grid gap-4">
-                            {recommendedCourses.map((course) => (
+                            {recommendedCourses.map(({ course, eligibility }) => (
                               <div key={course.id} className="border rounded-lg p-4 hover:shadow-md transition-shadow">
                                 <div className="flex justify-between items-start mb-2">
-                                  <h3 className="font-semibold text-lg">{course.name}</h3>
+                                  <h3 className="font-semibold text-lg">{course.program_name || course.name}</h3>
                                   <Badge className="bg-green-100 text-green-700">
                                     ATAR: {course.atar_cutoff}
                                   </Badge>
                                 </div>
-                                <p className="text-gray-600 mb-2">{course.universities?.name}</p>
+                                <p className="text-gray-600 mb-2">{course.new_universities?.university_name || course.universities?.name}</p>
                                 <div className="flex items-center space-x-4 text-sm text-gray-500">
                                   <span>{course.level}</span>
                                   <span>{course.duration_months} months</span>
                                 </div>
+                                {eligibility.appliedPoints > 0 && (
+                                  <div className="mt-3 pt-3 border-t text-sm text-gray-600">
+                                    <p className="flex flex-wrap items-center gap-2">
+                                      Selection rank <strong>{eligibility.rank.toFixed(2)}</strong>
+                                      {!eligibility.eligibleOnAtar && (
+                                        <Badge className="bg-blue-100 text-blue-700">Eligible with adjustments</Badge>
+                                      )}
+                                    </p>
+                                    <ul className="mt-1 space-y-0.5">
+                                      {eligibility.adjustments.map(adjustment => (
+                                        <li key={adjustment.schemeId}>
+                                          +{adjustment.points} {adjustment.name}
+                                          {adjustment.decisive && <span className="text-blue-700"> - needed for this course</span>}
+                                        </li>
+                                      ))}
+                                    </ul>
+                                    {eligibility.capped && (
+                                      <p className="text-xs text-gray-500 mt-1">
+                                        Capped at {eligibility.appliedPoints} points in total at this university.
+                                      </p>
+                                    )}
+                                  </div>
+                                )}
                               </div>
                             ))}
                           </div>
@@ -666,7 +625,7 @@ export default function ATARCalculatorPage({ isMobileMenuOpen, onMobileMenuClose
                           <div className="text-center py-8">
                             <AlertCircle className="h-12 w-12 text-gray-400 mx-auto mb-4" />
                             <p className="text-gray-600">
-                              No courses found for your current ATAR. Consider improving your grades 
+                              No courses found for your current selection rank. Consider improving your grades 
                               or exploring alternative pathways.
                             </p>
                           </div>
@@ -688,6 +647,16 @@ export default function ATARCalculatorPage({ isMobileMenuOpen, onMobileMenuClose
                 )}
               </TabsContent>
 
+              {/* What-if Tab */}
+              <TabsContent value="what-if" className="space-y-6">
+                <ATARWhatIfPlanner
+                  jurisdiction={selectedJurisdiction}
+                  subjects={subjects.filter(s => s.name && s.grade)}
+                  courses={allCourses}
+                  user={user}
+                />
+              </TabsContent>
+
               {/* Guide Tab */}
               <TabsContent value="guide" className="space-y-6">
                 <div className="grid md:grid-cols-2 gap-6">
@@ -710,8 +679,8 @@ export default function ATARCalculatorPage({ isMobileMenuOpen, onMobileMenuClose
                         <div className="flex items-start space-x-3">
                           <CheckCircle className="h-5 w-5 text-green-600 mt-0.5" />
                           <div>
-                            <h4 className="font-medium">Best 4 Subjects</h4>
-                            <p className="text-sm text-gray-600">Calculated from your best 4 subjects including English</p>
+                            <h4 className="font-medium">Best Subjects Count</h4>
+                            <p className="text-sm text-gray-600">{getJurisdiction(selectedJurisdiction).summary}</p>
                           </div>
                         </div>
                         <div className="flex items-start space-x-3">
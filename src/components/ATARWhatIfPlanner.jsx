@@ -0,0 +1,390 @@
+import { useState, useEffect, useMemo } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
+import { Button } from '@/components/ui/button'
+import { Badge } from '@/components/ui/badge'
+import { Input } from '@/components/ui/input'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { Target, TrendingUp, Save, Trash2, RotateCcw, CheckCircle, AlertCircle, Columns } from 'lucide-react'
+import { calculateATAR, getJurisdiction, GRADE_LABELS } from '../lib/atarEngine'
+import { compareScenarios, planForTarget, subjectSensitivity } from '../lib/atarPlanner'
+import { ATARScenarioService } from '../lib/atarScenarioService'
+
+const MAX_COURSE_MATCHES = 8
+
+const courseName = (course) => course.program_name || course.name
+const universityName = (course) => course.new_universities?.university_name || course.universities?.name
+
+const formatATAR = (atar, belowReportable) => (atar == null ? '-' : belowReportable ? 'Below 30' : atar.toFixed(2))
+
+// What-if planning for the ATAR calculator: edit grades without touching the
+// calculator's entries, see what each grade is worth, the fewest changes that
+// reach a target course's cutoff, and compare saved scenarios side by side.
+// Signed-in students' scenarios are saved; guests keep them for the visit.
+export default function ATARWhatIfPlanner({ jurisdiction, subjects, courses, user }) {
+  const [whatIf, setWhatIf] = useState([])
+  const [targetCourse, setTargetCourse] = useState(null)
+  const [courseSearch, setCourseSearch] = useState('')
+  const [scenarios, setScenarios] = useState([])
+  const [scenarioName, setScenarioName] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  // Start again from the calculator whenever its entries change
+  const enteredKey = JSON.stringify(subjects.map(({ name, grade }) => [name, grade]))
+  useEffect(() => {
+    setWhatIf(subjects.map(({ id, name, grade }) => ({ id, name, grade })))
+  }, [enteredKey]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  useEffect(() => {
+    if (!user) return
+    ATARScenarioService.getUserScenarios(user.id).then(result => setScenarios(result.data))
+  }, [user])
+
+  const current = useMemo(() => calculateATAR(jurisdiction, subjects), [jurisdiction, subjects])
+  const whatIfResult = useMemo(() => calculateATAR(jurisdiction, whatIf), [jurisdiction, whatIf])
+  const sensitivity = useMemo(() => subjectSensitivity(jurisdiction, whatIf), [jurisdiction, whatIf])
+  const cutoff = targetCourse?.atar_cutoff ?? null
+  const plan = useMemo(
+    () => (cutoff != null ? planForTarget(jurisdiction, whatIf, cutoff) : null),
+    [jurisdiction, whatIf, cutoff]
+  )
+
+  const courseMatches = useMemo(() => {
+    const search = courseSearch.trim().toLowerCase()
+    if (!search) return []
+    return courses
+      .filter(course => course.atar_cutoff && `${courseName(course)} ${universityName(course) || ''}`.toLowerCase().includes(search))
+      .slice(0, MAX_COURSE_MATCHES)
+  }, [courses, courseSearch])
+
+  const comparison = useMemo(() => compareScenarios([
+    { id: 'current', name: 'Current grades', jurisdiction, subjects },
+    ...scenarios.map(scenario => ({ ...scenario, subjects: scenario.subjects || [] }))
+  ], cutoff), [jurisdiction, subjects, scenarios, cutoff])
+
+  const setGrade = (id, grade) => {
+    setWhatIf(whatIf.map(subject => (subject.id === id ? { ...subject, grade } : subject)))
+  }
+
+  const applyChanges = (changes) => {
+    setWhatIf(whatIf.map(subject => {
+      const change = changes.find(item => item.id === subject.id)
+      return change ? { ...subject, grade: change.to } : subject
+    }))
+  }
+
+  const selectCourse = (course) => {
+    setTargetCourse(course)
+    setCourseSearch('')
+  }
+
+  const saveScenario = async () => {
+    const scenario = {
+      name: scenarioName || `Scenario ${scenarios.length + 1}`,
+      jurisdiction,
+      subjects: whatIf,
+      targetCourse
+    }
+    setError(null)
+
+    if (!user) {
+      const subjectsToKeep = ATARScenarioService.toRecordSubjects(whatIf)
+      setScenarios([...scenarios, { ...scenario, id: `local-${Date.now()}`, subjects: subjectsToKeep, target_course_id: targetCourse?.id ?? null }])
+      setScenarioName('')
+      return
+    }
+
+    setSaving(true)
+    const result = await ATARScenarioService.saveScenario(scenario, user.id)
+    setSaving(false)
+    if (!result.success) {
+      setError(`Could not save scenario: ${result.error}`)
+      return
+    }
+    setScenarios([...scenarios, result.data])
+    setScenarioName('')
+  }
+
+  const deleteScenario = async (scenario) => {
+    if (user && typeof scenario.id === 'number') {
+      const result = await ATARScenarioService.deleteScenario(scenario.id, user.id)
+      if (!result.success) {
+        setError(`Could not delete scenario: ${result.error}`)
+        return
+      }
+    }
+    setScenarios(scenarios.filter(item => item.id !== scenario.id))
+  }
+
+  const loadScenario = (scenario) => {
+    setWhatIf(scenario.subjects.map((subject, index) => ({ id: index + 1, ...subject })))
+    const course = courses.find(item => String(item.id) === String(scenario.target_course_id))
+    if (course) setTargetCourse(course)
+  }
+
+  if (!current.success) {
+    return (
+      <Card className="shadow-lg border-0">
+        <CardContent className="text-center py-12">
+          <TrendingUp className="h-16 w-16 text-gray-400 mx-auto mb-4" />
+          <h3 className="text-xl font-semibold mb-2">Plan Your ATAR</h3>
+          <p className="text-gray-600">
+            {subjects.length > 0 && `${current.error}. `}
+            Enter your subjects and grades in the Calculator tab, then come back to try out grade changes
+            and see what it takes to reach a course.
+          </p>
+        </CardContent>
+      </Card>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Target course */}
+      <Card className="shadow-lg border-0">
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <Target className="h-6 w-6 mr-2 text-purple-600" />
+            Target Course
+          </CardTitle>
+          <p className="text-sm text-gray-600">Pick a course to see the gap between your ATAR and its cutoff.</p>
+        </CardHeader>
+        <CardContent className="space-y-3">
+          <Input
+            value={courseSearch}
+            onChange={(e) => setCourseSearch(e.target.value)}
+            placeholder="Search courses or universities"
+          />
+          {courseMatches.length > 0 && (
+            <div className="border rounded-lg divide-y">
+              {courseMatches.map(course => (
+                <button
+                  key={course.id}
+                  type="button"
+                  onClick={() => selectCourse(course)}
+                  className="w-full text-left px-3 py-2 hover:bg-gray-50 flex justify-between gap-3"
+                >
+                  <span>
+                    <span className="font-medium">{courseName(course)}</span>
+                    {universityName(course) && <span className="text-gray-500"> - {universityName(course)}</span>}
+                  </span>
+                  <span className="text-sm text-gray-600 whitespace-nowrap">ATAR {course.atar_cutoff}</span>
+                </button>
+              ))}
+            </div>
+          )}
+          {targetCourse && (
+            <div className="flex flex-wrap items-center justify-between gap-3 p-3 bg-purple-50 rounded-lg">
+              <div>
+                <p className="font-medium text-gray-900">{courseName(targetCourse)}</p>
+                <p className="text-sm text-gray-600">{universityName(targetCourse)} - cutoff {cutoff}</p>
+              </div>
+              <Button variant="outline" size="sm" onClick={() => setTargetCourse(null)}>Clear</Button>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <div className="grid lg:grid-cols-2 gap-6">
+        {/* What-if grades */}
+        <Card className="shadow-lg border-0">
+          <CardHeader>
+            <CardTitle className="flex items-center justify-between">
+              <span className="flex items-center">
+                <TrendingUp className="h-6 w-6 mr-2 text-purple-600" />
+                What If...
+              </span>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setWhatIf(subjects.map(({ id, name, grade }) => ({ id, name, grade })))}
+                className="flex items-center"
+              >
+                <RotateCcw className="h-4 w-4 mr-1" />
+                Reset
+              </Button>
+            </CardTitle>
+            <p className="text-sm text-gray-600">
+              Current {formatATAR(current.data.atar, current.data.belowReportable)}
+              {whatIfResult.success && <> - what-if <strong>{formatATAR(whatIfResult.data.atar, whatIfResult.data.belowReportable)}</strong></>}
+            </p>
+          </CardHeader>
+          <CardContent className="space-y-3">
+            {whatIf.map(subject => (
+              <div key={subject.id} className="grid grid-cols-2 gap-3 items-center">
+                <span className="text-sm font-medium">{subject.name}</span>
+                <Select value={subject.grade} onValueChange={(value) => setGrade(subject.id, value)}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="Grade" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(GRADE_LABELS).map(([grade, label]) => (
+                      <SelectItem key={grade} value={grade}>{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            ))}
+
+            {sensitivity.length > 0 && (
+              <div className="pt-3 border-t">
+                <p className="text-sm font-medium text-gray-900 mb-2">What one more grade is worth</p>
+                <ul className="space-y-1 text-sm text-gray-600">
+                  {sensitivity.map(item => (
+                    <li key={item.id}>
+                      {item.gain > 0
+                        ? <>Raising {item.name} from {item.from} to {item.to} adds ~{item.gain.toFixed(2)}</>
+                        : <>Raising {item.name} from {item.from} to {item.to} doesn&apos;t change your ATAR - it isn&apos;t counted</>}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </CardContent>
+        </Card>
+
+        {/* Gap analysis */}
+        <Card className="shadow-lg border-0">
+          <CardHeader>
+            <CardTitle className="flex items-center">
+              <Target className="h-6 w-6 mr-2 text-purple-600" />
+              Reaching Your Target
+            </CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-3 text-sm">
+            {!targetCourse && <p className="text-gray-600">Choose a target course to see the fewest grade changes that reach its cutoff.</p>}
+
+            {plan && !plan.success && <p className="text-gray-600">{plan.error}</p>}
+
+            {plan?.success && plan.data.totalSteps === 0 && (
+              <p className="flex items-start gap-2 text-green-700">
+                <CheckCircle className="h-5 w-5 flex-shrink-0" />
+                These grades already meet the {plan.data.target} cutoff.
+              </p>
+            )}
+
+            {plan?.success && plan.data.reachable && plan.data.totalSteps > 0 && (
+              <>
+                <p className="text-gray-700">
+                  You&apos;re <strong>{plan.data.gap.toFixed(2)}</strong> short of the {plan.data.target} cutoff.
+                  The fewest changes that get you there ({plan.data.totalSteps} grade {plan.data.totalSteps === 1 ? 'step' : 'steps'}):
+                </p>
+                <ul className="space-y-1">
+                  {plan.data.changes.map(change => (
+                    <li key={change.id} className="flex justify-between">
+                      <span>{change.name}</span>
+                      <span className="font-medium">{change.from} &rarr; {change.to}</span>
+                    </li>
+                  ))}
+                </ul>
+                <p className="text-gray-600">
+                  Estimated ATAR with these changes: <strong>{plan.data.atar.toFixed(2)}</strong>
+                  {!plan.data.exact && ' (a good plan, but with this many subjects there may be a shorter one)'}
+                </p>
+                <Button variant="outline" size="sm" onClick={() => applyChanges(plan.data.changes)}>
+                  Try these grades
+                </Button>
+              </>
+            )}
+
+            {plan?.success && !plan.data.reachable && (
+              <p className="flex items-start gap-2 text-orange-700">
+                <AlertCircle className="h-5 w-5 flex-shrink-0" />
+                Even with an A in every subject the estimate is {plan.data.atar.toFixed(2)}, below the {plan.data.target} cutoff.
+                Consider different subjects or an alternative pathway.
+              </p>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      {/* Scenarios */}
+      <Card className="shadow-lg border-0">
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <Columns className="h-6 w-6 mr-2 text-purple-600" />
+            Compare Scenarios
+          </CardTitle>
+          <p className="text-sm text-gray-600">
+            Save the what-if grades as a scenario to compare it with your current grades.
+            {!user && ' Sign in to keep scenarios after you leave.'}
+          </p>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="flex gap-3">
+            <Input
+              value={scenarioName}
+              onChange={(e) => setScenarioName(e.target.value)}
+              placeholder={`Scenario ${scenarios.length + 1}`}
+            />
+            <Button onClick={saveScenario} disabled={saving || !whatIfResult.success} className="flex items-center">
+              <Save className="h-4 w-4 mr-2" />
+              {saving ? 'Saving...' : 'Save scenario'}
+            </Button>
+          </div>
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          {scenarios.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b">
+                    <th className="text-left py-2 pr-4 font-medium">Subject</th>
+                    {comparison.columns.map((column, index) => (
+                      <th key={column.id} className="text-left py-2 pr-4 font-medium">
+                        <div>{column.name}</div>
+                        {column.jurisdiction !== jurisdiction && (
+                          <div className="text-xs font-normal text-gray-500">{getJurisdiction(column.jurisdiction).name}</div>
+                        )}
+                        {index > 0 && (
+                          <div className="flex gap-1 mt-1">
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={() => loadScenario(scenarios[index - 1])}
+                              disabled={column.jurisdiction !== jurisdiction}
+                              title={column.jurisdiction !== jurisdiction ? 'Switch state to load this scenario' : 'Load into What If'}
+                            >
+                              Load
+                            </Button>
+                            <Button variant="ghost" size="sm" onClick={() => deleteScenario(scenarios[index - 1])}>
+                              <Trash2 className="h-4 w-4" />
+                            </Button>
+                          </div>
+                        )}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparison.rows.map(row => (
+                    <tr key={row.name} className="border-b">
+                      <td className="py-2 pr-4">{row.name}</td>
+                      {row.grades.map((grade, index) => (
+                        <td key={index} className="py-2 pr-4">{grade || '-'}</td>
+                      ))}
+                    </tr>
+                  ))}
+                  <tr>
+                    <td className="py-2 pr-4 font-medium">Estimated ATAR</td>
+                    {comparison.columns.map(column => (
+                      <td key={column.id} className="py-2 pr-4">
+                        <span className="font-semibold">{formatATAR(column.atar, column.belowReportable)}</span>
+                        {column.meetsTarget !== null && (
+                          <Badge className={`ml-2 ${column.meetsTarget ? 'bg-green-100 text-green-700' : 'bg-orange-100 text-orange-700'}`}>
+                            {column.meetsTarget ? 'Meets cutoff' : 'Below cutoff'}
+                          </Badge>
+                        )}
+                        {column.error && <p className="text-xs text-red-600">{column.error}</p>}
+                      </td>
+                    ))}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react'
 import { realDatabaseService } from '../services/realDatabaseService'
+import counselorConnectionService from '../services/counselorConnectionServiceReal'
+import { useAuth } from '../contexts/AuthContext'
 import { 
   CheckCircle2, 
   XCircle, 
@@ -15,6 +17,7 @@ import {
 } from 'lucide-react'
 
 export default function AdminConnectionsManager() {
+  const { user } = useAuth()
   const [connections, setConnections] = useState([])
   const [pendingConnections, setPendingConnections] = useState([])
   const [stats, setStats] = useState({
@@ -56,11 +59,10 @@ export default function AdminConnectionsManager() {
 
   const handleApprove = async (connectionId) => {
     try {
-      const result = await realDatabaseService.updateCounselorRequestStatus(connectionId, 'approved')
-      if (result.data) {
-        await loadConnections() // Refresh the list
-        alert('Connection approved successfully!')
-      }
+      // Capacity is re-checked here; a full counselor's request goes back on their waitlist
+      const result = await counselorConnectionService.approveConnectionRequest(connectionId, user?.email)
+      await loadConnections() // Refresh the list
+      alert(result.success ? 'Connection approved successfully!' : result.error)
     } catch (error) {
       console.error('Error approving connection:', error)
       alert('Failed to approve connection')
@@ -69,8 +71,8 @@ export default function AdminConnectionsManager() {
 
   const handleReject = async (connectionId, reason = '') => {
     try {
-      const result = await realDatabaseService.updateCounselorRequestStatus(connectionId, 'rejected', reason)
-      if (result.data) {
+      const result = await counselorConnectionService.rejectConnectionRequest(connectionId, user?.email, reason)
+      if (result.success) {
         await loadConnections() // Refresh the list
         alert('Connection rejected successfully!')
       }
@@ -80,6 +82,19 @@ export default function AdminConnectionsManager() {
     }
   }
 
+  const handleEnd = async (connectionId) => {
+    if (!window.confirm('End this counseling relationship? The next waitlisted student will be moved up.')) return
+
+    try {
+      const result = await counselorConnectionService.endConnection(connectionId, 'Ended by admin')
+      await loadConnections()
+      alert(result.success ? result.message : result.error)
+    } catch (error) {
+      console.error('Error ending connection:', error)
+      alert('Failed to end connection')
+    }
+  }
+
   const filteredConnections = connections.filter(conn => {
     if (filter !== 'all' && conn.status !== filter) return false
     if (searchQuery && !conn.student_id.toLowerCase().includes(searchQuery.toLowerCase())) return false
@@ -176,8 +191,10 @@ export default function AdminConnectionsManager() {
           <option value="all">All Connections</option>
           <option value="pending">Pending</option>
           <option value="approved">Approved</option>
+          <option value="waitlisted">Waitlisted</option>
           <option value="rejected">Rejected</option>
           <option value="cancelled">Cancelled</option>
+          <option value="ended">Ended</option>
         </select>
 
         <input
@@ -227,6 +244,7 @@ export default function AdminConnectionsManager() {
                         </span>
                         <span className={`px-2 py-1 rounded-full text-xs font-medium ${
                           connection.status === 'pending' ? 'bg-yellow-100 text-yellow-800' :
+                          connection.status === 'waitlisted' ? 'bg-orange-100 text-orange-800' :
                           connection.status === 'approved' ? 'bg-green-100 text-green-800' :
                           connection.status === 'rejected' ? 'bg-red-100 text-red-800' :
                           'bg-gray-100 text-gray-800'
@@ -255,6 +273,16 @@ export default function AdminConnectionsManager() {
                       </button>
                     </div>
                   )}
+
+                  {connection.status === 'approved' && (
+                    <button
+                      onClick={() => handleEnd(connection.id)}
+                      className="flex items-center gap-1 px-3 py-1 border border-gray-300 text-gray-700 text-sm rounded-lg hover:bg-gray-50"
+                    >
+                      <XCircle className="w-4 h-4" />
+                      End Connection
+                    </button>
+                  )}
                 </div>
               </div>
             ))}
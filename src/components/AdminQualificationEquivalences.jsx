@@ -0,0 +1,302 @@
+import { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { QualificationService } from '../lib/qualificationService'
+import { INPUT_KINDS, validateQualification } from '../lib/qualificationConverter'
+import { Globe, Plus, Trash2, Save, RefreshCw, AlertCircle, CheckCircle2 } from 'lucide-react'
+
+const NEW_QUALIFICATION = {
+  id: '',
+  name: '',
+  description: '',
+  input: { kind: 'total', label: '', min: 0, max: 100, step: 1 },
+  bands: [],
+  source: '',
+  source_url: '',
+  is_active: true
+}
+
+const toDraft = (qualification) => ({
+  ...qualification,
+  inputText: JSON.stringify(qualification.input, null, 2),
+  bands: qualification.bands.map(band => ({ ...band }))
+})
+
+// Admin editor for the international qualification -> ATAR equivalence
+// tables used by the ATAR calculator and the eligibility checker
+export default function AdminQualificationEquivalences() {
+  const { user } = useAuth()
+  const [qualifications, setQualifications] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [draft, setDraft] = useState(null)
+  const [isNew, setIsNew] = useState(false)
+  const [errors, setErrors] = useState([])
+  const [saving, setSaving] = useState(false)
+  const [savedAt, setSavedAt] = useState(null)
+
+  useEffect(() => {
+    loadQualifications()
+  }, [])
+
+  const loadQualifications = async () => {
+    setLoading(true)
+    const result = await QualificationService.getQualifications({ includeInactive: true })
+    setQualifications(result.data)
+    if (!result.success) setErrors([`Could not load equivalence tables: ${result.error}`])
+    setLoading(false)
+  }
+
+  const edit = (qualification, asNew = false) => {
+    setDraft(toDraft(qualification))
+    setIsNew(asNew)
+    setErrors([])
+    setSavedAt(null)
+  }
+
+  const updateDraft = (field, value) => setDraft(prev => ({ ...prev, [field]: value }))
+
+  const updateBand = (index, field, value) => {
+    setDraft(prev => ({
+      ...prev,
+      bands: prev.bands.map((band, i) => (i === index ? { ...band, [field]: value === '' ? '' : Number(value) } : band))
+    }))
+  }
+
+  const addBand = () => updateDraft('bands', [...draft.bands, { min: '', low: '', high: '' }])
+
+  const removeBand = (index) => updateDraft('bands', draft.bands.filter((_, i) => i !== index))
+
+  const save = async () => {
+    let input
+    try {
+      input = JSON.parse(draft.inputText)
+    } catch {
+      setErrors(['Input settings are not valid JSON'])
+      return
+    }
+
+    const { inputText: _inputText, ...qualification } = { ...draft, input }
+    const problems = validateQualification(qualification)
+    if (isNew && qualifications.some(item => item.id === qualification.id.trim())) {
+      problems.push(`A qualification with id ${qualification.id.trim()} already exists`)
+    }
+    setErrors(problems)
+    if (problems.length > 0) return
+
+    setSaving(true)
+    const result = await QualificationService.saveQualification(qualification, user?.id)
+    setSaving(false)
+    if (!result.success) {
+      setErrors([result.error])
+      return
+    }
+
+    setQualifications(prev => [...prev.filter(item => item.id !== result.data.id), result.data].sort((a, b) => a.name.localeCompare(b.name)))
+    setDraft(toDraft(result.data))
+    setIsNew(false)
+    setSavedAt(new Date())
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex justify-between items-center">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-800">Qualification Equivalences</h1>
+          <p className="text-gray-600 mt-2">
+            Published tables converting international results to ATAR-equivalent ranges
+          </p>
+        </div>
+        <button
+          onClick={loadQualifications}
+          disabled={loading}
+          className="flex items-center gap-2 px-4 py-2 border border-gray-300 rounded-lg text-sm text-gray-700 hover:bg-gray-50"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Qualification list */}
+        <div className="bg-white rounded-xl shadow-lg p-4 space-y-2">
+          {qualifications.map(qualification => (
+            <button
+              key={qualification.id}
+              onClick={() => edit(qualification)}
+              className={`w-full text-left px-3 py-2 rounded-lg transition-colors ${
+                draft?.id === qualification.id && !isNew ? 'bg-blue-50 text-blue-700' : 'hover:bg-gray-50 text-gray-700'
+              }`}
+            >
+              <div className="font-medium flex items-center gap-2">
+                <Globe className="w-4 h-4" />
+                {qualification.name}
+              </div>
+              <div className="text-xs text-gray-500 mt-1">
+                {qualification.id} - {INPUT_KINDS[qualification.input?.kind] || qualification.input?.kind} - {qualification.bands.length} bands
+                {!qualification.is_active && ' - inactive'}
+              </div>
+            </button>
+          ))}
+          {!loading && qualifications.length === 0 && (
+            <p className="text-sm text-gray-500 px-3 py-2">No equivalence tables yet.</p>
+          )}
+          <button
+            onClick={() => edit(NEW_QUALIFICATION, true)}
+            className="w-full flex items-center justify-center gap-2 px-3 py-2 border border-dashed border-gray-300 rounded-lg text-sm text-gray-600 hover:bg-gray-50"
+          >
+            <Plus className="w-4 h-4" />
+            New qualification
+          </button>
+        </div>
+
+        {/* Editor */}
+        <div className="lg:col-span-2 bg-white rounded-xl shadow-lg p-6">
+          {!draft ? (
+            <p className="text-gray-500">Select a qualification to edit its equivalence table.</p>
+          ) : (
+            <div className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Id</label>
+                  <input
+                    value={draft.id}
+                    onChange={(e) => updateDraft('id', e.target.value)}
+                    disabled={!isNew}
+                    placeholder="e.g. IB"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg disabled:bg-gray-50"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+                  <input
+                    value={draft.name}
+                    onChange={(e) => updateDraft('name', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                  />
+                </div>
+                <div className="md:col-span-2">
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                  <input
+                    value={draft.description || ''}
+                    onChange={(e) => updateDraft('description', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Source</label>
+                  <input
+                    value={draft.source || ''}
+                    onChange={(e) => updateDraft('source', e.target.value)}
+                    placeholder="Who publishes this table"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Source URL</label>
+                  <input
+                    value={draft.source_url || ''}
+                    onChange={(e) => updateDraft('source_url', e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg"
+                  />
+                </div>
+              </div>
+
+              <div className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  id="qualification-active"
+                  checked={draft.is_active !== false}
+                  onChange={(e) => updateDraft('is_active', e.target.checked)}
+                  className="h-4 w-4"
+                />
+                <label htmlFor="qualification-active" className="text-sm text-gray-700">Shown to students</label>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Input settings (JSON)</label>
+                <textarea
+                  value={draft.inputText}
+                  onChange={(e) => updateDraft('inputText', e.target.value)}
+                  rows={6}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-sm"
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  kind is total (label, min, max, step), percentage (label, subjects) or grades (label, subjects, points per grade).
+                </p>
+              </div>
+
+              <div>
+                <div className="flex justify-between items-center mb-2">
+                  <span className="text-sm font-medium text-gray-700">Bands - a score of at least Min is equivalent to an ATAR from Low to High</span>
+                  <button onClick={addBand} className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800">
+                    <Plus className="w-4 h-4" />
+                    Add band
+                  </button>
+                </div>
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600 border-b">
+                      <th className="py-2 pr-2 font-medium">Min score</th>
+                      <th className="py-2 pr-2 font-medium">ATAR low</th>
+                      <th className="py-2 pr-2 font-medium">ATAR high</th>
+                      <th className="py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {draft.bands.map((band, index) => (
+                      <tr key={index} className="border-b">
+                        {['min', 'low', 'high'].map(field => (
+                          <td key={field} className="py-1 pr-2">
+                            <input
+                              type="number"
+                              step="0.05"
+                              value={band[field]}
+                              onChange={(e) => updateBand(index, field, e.target.value)}
+                              className="w-full px-2 py-1 border border-gray-300 rounded"
+                            />
+                          </td>
+                        ))}
+                        <td className="py-1 text-right">
+                          <button onClick={() => removeBand(index)} className="text-gray-400 hover:text-red-600">
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {errors.length > 0 && (
+                <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700 space-y-1">
+                  {errors.map(error => (
+                    <p key={error} className="flex items-start gap-2">
+                      <AlertCircle className="w-4 h-4 mt-0.5 flex-shrink-0" />
+                      {error}
+                    </p>
+                  ))}
+                </div>
+              )}
+              {savedAt && (
+                <p className="flex items-center gap-2 text-sm text-green-700">
+                  <CheckCircle2 className="w-4 h-4" />
+                  Saved at {savedAt.toLocaleTimeString()}
+                </p>
+              )}
+
+              <div className="flex justify-end">
+                <button
+                  onClick={save}
+                  disabled={saving}
+                  className="flex items-center gap-2 px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 disabled:opacity-50"
+                >
+                  <Save className="w-4 h-4" />
+                  {saving ? 'Saving...' : 'Save table'}
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
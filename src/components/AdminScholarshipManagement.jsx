@@ -32,6 +32,7 @@ import {
   Target
 } from 'lucide-react'
 import AdminSidebar from './AdminSidebar'
+import ScholarshipCriteriaEditor from './ScholarshipCriteriaEditor'
 
 export default function AdminScholarshipManagement() {
   const { adminUser, hasPermission } = useAdminAuth()
@@ -52,6 +53,8 @@ export default function AdminScholarshipManagement() {
       setSelectedTab('providers')
     } else if (path.includes('/pending')) {
       setSelectedTab('pending')
+    } else if (path.includes('/criteria')) {
+      setSelectedTab('criteria')
     } else {
       setSelectedTab('all')
     }
@@ -310,12 +313,13 @@ export default function AdminScholarshipManagement() {
 
           {/* Scholarship Tabs */}
           <Tabs value={selectedTab} onValueChange={setSelectedTab} className="space-y-6">
-            <TabsList className="grid w-full grid-cols-5">
+            <TabsList className="grid w-full grid-cols-6">
               <TabsTrigger value="all">All Scholarships ({scholarships.length})</TabsTrigger>
               <TabsTrigger value="active">Active ({scholarships.filter(s => s.status === 'active').length})</TabsTrigger>
               <TabsTrigger value="pending">Pending ({scholarships.filter(s => s.status === 'pending').length})</TabsTrigger>
               <TabsTrigger value="expired">Expired ({scholarships.filter(s => s.status === 'expired').length})</TabsTrigger>
               <TabsTrigger value="new">New Scholarship</TabsTrigger>
+              <TabsTrigger value="criteria">Eligibility Rules</TabsTrigger>
             </TabsList>
 
             {/* New Scholarship Form */}
@@ -472,7 +476,13 @@ export default function AdminScholarshipManagement() {
               </Card>
             </TabsContent>
 
-            <TabsContent value={selectedTab} className="space-y-6">
+            {/* Eligibility Rules */}
+            <TabsContent value="criteria" className="space-y-6">
+              <ScholarshipCriteriaEditor />
+            </TabsContent>
+
+            {/* The scholarship list shows on every tab except the rules editor */}
+            <TabsContent value={selectedTab === 'criteria' ? 'all' : selectedTab} className="space-y-6">
               {/* Scholarships List */}
               <div className="grid gap-6">
                 {filteredScholarships.map((scholarship) => (
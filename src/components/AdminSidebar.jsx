@@ -152,7 +152,8 @@ export default function AdminSidebar() {
         { name: 'All Scholarships', path: '/admin/scholarships', icon: Award },
         { name: 'Add New Scholarship', path: '/admin/scholarships/new', icon: Plus },
         { name: 'Application Tracking', path: '/admin/scholarships/applications', icon: Target },
-        { name: 'Provider Management', path: '/admin/scholarships/providers', icon: Globe }
+        { name: 'Provider Management', path: '/admin/scholarships/providers', icon: Globe },
+        { name: 'Eligibility Rules', path: '/admin/scholarships/criteria', icon: Filter }
       ]
     },
     {
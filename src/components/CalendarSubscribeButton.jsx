@@ -0,0 +1,79 @@
+import { useState } from 'react'
+import { CalendarPlus, Copy, Check, RotateCcw } from 'lucide-react'
+import { Button } from './ui/button'
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover'
+import calendarService from '../services/calendarService'
+
+// Shows the user's private calendar feed link for Google Calendar, Outlook or Apple Calendar
+export default function CalendarSubscribeButton({ userId, role, subjectId }) {
+  const [feed, setFeed] = useState(null)
+  const [error, setError] = useState(null)
+  const [copied, setCopied] = useState(false)
+
+  const loadFeed = async (reset = false) => {
+    if (!userId || !subjectId) return
+    setError(null)
+    const result = reset
+      ? await calendarService.resetFeedUrl(userId, role, subjectId)
+      : await calendarService.getFeedUrl(userId, role, subjectId)
+    if (result.success) {
+      setFeed(result.data)
+    } else {
+      setError('Could not load your calendar link.')
+    }
+  }
+
+  const handleCopy = async () => {
+    await navigator.clipboard.writeText(feed.httpsUrl)
+    setCopied(true)
+    setTimeout(() => setCopied(false), 2000)
+  }
+
+  return (
+    <Popover onOpenChange={(open) => open && !feed && loadFeed()}>
+      <PopoverTrigger asChild>
+        <Button variant="outline" disabled={!subjectId}>
+          <CalendarPlus className="h-4 w-4 mr-2" />
+          Subscribe
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-96">
+        <h4 className="font-semibold text-gray-900 mb-1">Subscribe to your sessions</h4>
+        <p className="text-xs text-gray-600 mb-3">
+          Add this link to your calendar app. Bookings, reschedules and cancellations update automatically.
+          Keep it private - anyone with the link can see your sessions.
+        </p>
+        {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+        {feed ? (
+          <>
+            <div className="flex items-center space-x-2 mb-3">
+              <input
+                readOnly
+                value={feed.httpsUrl}
+                onFocus={(e) => e.target.select()}
+                className="flex-1 text-xs border border-gray-300 rounded-md px-2 py-1"
+              />
+              <Button size="sm" variant="outline" onClick={handleCopy}>
+                {copied ? <Check className="h-4 w-4" /> : <Copy className="h-4 w-4" />}
+              </Button>
+            </div>
+            <div className="flex items-center justify-between">
+              <a href={feed.webcalUrl} className="text-sm text-purple-600 hover:text-purple-800">
+                Open in calendar app
+              </a>
+              <button
+                onClick={() => loadFeed(true)}
+                className="flex items-center text-xs text-gray-500 hover:text-gray-700"
+              >
+                <RotateCcw className="h-3 w-3 mr-1" />
+                Reset link
+              </button>
+            </div>
+          </>
+        ) : (
+          !error && <p className="text-sm text-gray-500">Loading...</p>
+        )}
+      </PopoverContent>
+    </Popover>
+  )
+}
@@ -0,0 +1,252 @@
+import React, { useState, useEffect } from 'react';
+import { Clock, Plus, Trash2, CalendarX, Save } from 'lucide-react';
+import availabilityService, {
+  DEFAULT_BOOKING_SETTINGS,
+  WEEKDAY_NAMES
+} from '../services/availabilityService';
+import { getSupportedTimeZones } from '../lib/timezone';
+
+const SETTING_FIELDS = [
+  { key: 'slot_interval_minutes', label: 'Slot interval (minutes)', min: 5 },
+  { key: 'buffer_minutes', label: 'Buffer between sessions (minutes)', min: 0 },
+  { key: 'max_sessions_per_day', label: 'Max sessions per day', min: 1 },
+  { key: 'booking_horizon_days', label: 'Bookable days ahead', min: 1 },
+  { key: 'min_notice_hours', label: 'Minimum notice (hours)', min: 0 }
+];
+
+const CounselorAvailabilityEditor = ({ counselorId }) => {
+  const [weeklyHours, setWeeklyHours] = useState([]);
+  const [blackoutDates, setBlackoutDates] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_BOOKING_SETTINGS);
+  const [newBlackout, setNewBlackout] = useState({ date: '', reason: '' });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    if (!counselorId) return;
+
+    const loadAvailability = async () => {
+      setLoading(true);
+      const result = await availabilityService.getCounselorAvailability(counselorId);
+      if (result.success) {
+        setWeeklyHours(result.data.weeklyHours.map(block => ({
+          day_of_week: block.day_of_week,
+          start_time: block.start_time.slice(0, 5),
+          end_time: block.end_time.slice(0, 5)
+        })));
+        setBlackoutDates(result.data.blackoutDates);
+        setSettings(result.data.settings);
+      } else {
+        setMessage({ type: 'error', text: 'Could not load your availability.' });
+      }
+      setLoading(false);
+    };
+
+    loadAvailability();
+  }, [counselorId]);
+
+  const addBlock = (dayOfWeek) => {
+    setWeeklyHours(prev => [...prev, { day_of_week: dayOfWeek, start_time: '09:00', end_time: '17:00' }]);
+  };
+
+  const updateBlock = (index, field, value) => {
+    setWeeklyHours(prev => prev.map((block, i) => (i === index ? { ...block, [field]: value } : block)));
+  };
+
+  const removeBlock = (index) => {
+    setWeeklyHours(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+
+    const [hoursResult, settingsResult] = await Promise.all([
+      availabilityService.saveWeeklyHours(counselorId, weeklyHours),
+      availabilityService.updateBookingSettings(counselorId, settings)
+    ]);
+
+    if (hoursResult.success && settingsResult.success) {
+      setMessage({ type: 'success', text: 'Availability saved.' });
+    } else {
+      const error = hoursResult.error || settingsResult.error;
+      setMessage({ type: 'error', text: error?.message || error || 'Failed to save availability.' });
+    }
+    setSaving(false);
+  };
+
+  const handleAddBlackout = async () => {
+    if (!newBlackout.date) return;
+
+    const result = await availabilityService.addBlackoutDate(counselorId, newBlackout.date, newBlackout.reason);
+    if (result.success) {
+      setBlackoutDates(prev => [...prev.filter(b => b.id !== result.data.id), result.data]
+        .sort((a, b) => a.blackout_date.localeCompare(b.blackout_date)));
+      setNewBlackout({ date: '', reason: '' });
+    } else {
+      setMessage({ type: 'error', text: 'Failed to add blackout date.' });
+    }
+  };
+
+  const handleRemoveBlackout = async (blackoutId) => {
+    const result = await availabilityService.removeBlackoutDate(blackoutId);
+    if (result.success) {
+      setBlackoutDates(prev => prev.filter(b => b.id !== blackoutId));
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="bg-white rounded-xl shadow-lg p-6 mb-8">
+        <p className="text-gray-600">Loading availability...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+          <Clock className="h-5 w-5 text-purple-600" />
+          Availability
+        </h3>
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex items-center gap-2 bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+        >
+          <Save className="h-4 w-4" />
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+
+      {message && (
+        <div className={`mb-4 p-3 rounded-lg text-sm ${
+          message.type === 'success' ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      {/* Weekly hours */}
+      <div className="space-y-3 mb-6">
+        {WEEKDAY_NAMES.map((dayName, dayOfWeek) => (
+          <div key={dayName} className="flex flex-col md:flex-row md:items-start gap-2 border-b border-gray-100 pb-3">
+            <div className="w-28 font-medium text-gray-700 pt-2">{dayName}</div>
+            <div className="flex-1 space-y-2">
+              {weeklyHours.map((block, index) => block.day_of_week === dayOfWeek && (
+                <div key={index} className="flex items-center gap-2">
+                  <input
+                    type="time"
+                    value={block.start_time}
+                    onChange={(e) => updateBlock(index, 'start_time', e.target.value)}
+                    className="border border-gray-300 rounded-md px-2 py-1"
+                  />
+                  <span className="text-gray-500">to</span>
+                  <input
+                    type="time"
+                    value={block.end_time}
+                    onChange={(e) => updateBlock(index, 'end_time', e.target.value)}
+                    className="border border-gray-300 rounded-md px-2 py-1"
+                  />
+                  <button onClick={() => removeBlock(index)} className="text-red-500 hover:text-red-700">
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              ))}
+              {!weeklyHours.some(block => block.day_of_week === dayOfWeek) && (
+                <p className="text-sm text-gray-400 pt-2">Unavailable</p>
+              )}
+            </div>
+            <button
+              onClick={() => addBlock(dayOfWeek)}
+              className="flex items-center gap-1 text-sm text-purple-600 hover:text-purple-800 pt-2"
+            >
+              <Plus className="h-4 w-4" />
+              Add hours
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {/* Booking rules */}
+      <h4 className="font-semibold text-gray-900 mb-3">Booking Rules</h4>
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+        <label className="text-sm text-gray-700">
+          Your timezone
+          <select
+            value={settings.timezone}
+            onChange={(e) => setSettings(prev => ({ ...prev, timezone: e.target.value }))}
+            className="mt-1 w-full border border-gray-300 rounded-md px-2 py-1"
+          >
+            {getSupportedTimeZones().map(timeZone => (
+              <option key={timeZone} value={timeZone}>{timeZone}</option>
+            ))}
+          </select>
+        </label>
+        {SETTING_FIELDS.map(field => (
+          <label key={field.key} className="text-sm text-gray-700">
+            {field.label}
+            <input
+              type="number"
+              min={field.min}
+              value={settings[field.key]}
+              onChange={(e) => setSettings(prev => ({ ...prev, [field.key]: e.target.value }))}
+              className="mt-1 w-full border border-gray-300 rounded-md px-2 py-1"
+            />
+          </label>
+        ))}
+      </div>
+
+      {/* Blackout dates */}
+      <h4 className="font-semibold text-gray-900 mb-3 flex items-center gap-2">
+        <CalendarX className="h-4 w-4 text-purple-600" />
+        Blackout Dates
+      </h4>
+      <div className="flex flex-col md:flex-row gap-2 mb-3">
+        <input
+          type="date"
+          value={newBlackout.date}
+          onChange={(e) => setNewBlackout(prev => ({ ...prev, date: e.target.value }))}
+          className="border border-gray-300 rounded-md px-2 py-1"
+        />
+        <input
+          type="text"
+          placeholder="Reason (optional)"
+          value={newBlackout.reason}
+          onChange={(e) => setNewBlackout(prev => ({ ...prev, reason: e.target.value }))}
+          className="flex-1 border border-gray-300 rounded-md px-2 py-1"
+        />
+        <button
+          onClick={handleAddBlackout}
+          disabled={!newBlackout.date}
+          className="bg-gray-100 text-gray-800 px-4 py-1 rounded-md hover:bg-gray-200 disabled:opacity-50"
+        >
+          Add
+        </button>
+      </div>
+      {blackoutDates.length === 0 ? (
+        <p className="text-sm text-gray-400">No upcoming blackout dates.</p>
+      ) : (
+        <div className="space-y-2">
+          {blackoutDates.map(blackout => (
+            <div key={blackout.id} className="flex items-center justify-between bg-gray-50 rounded-lg px-3 py-2">
+              <span className="text-sm text-gray-700">
+                {new Date(`${blackout.blackout_date}T00:00:00`).toLocaleDateString(undefined, {
+                  weekday: 'short', year: 'numeric', month: 'short', day: 'numeric'
+                })}
+                {blackout.reason && <span className="text-gray-500"> - {blackout.reason}</span>}
+              </span>
+              <button onClick={() => handleRemoveBlackout(blackout.id)} className="text-red-500 hover:text-red-700">
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CounselorAvailabilityEditor;
@@ -0,0 +1,113 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Users, Save } from 'lucide-react';
+import { realDatabaseService } from '../services/realDatabaseService';
+import counselorConnectionService from '../services/counselorConnectionServiceReal';
+
+// Caseload limit and waitlist summary for the counselor's own profile
+const CounselorCapacityCard = ({ counselorId }) => {
+  const [capacity, setCapacity] = useState(null);
+  const [maxStudents, setMaxStudents] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const loadCapacity = useCallback(async () => {
+    const result = await realDatabaseService.getCounselorCapacity(counselorId);
+    if (result.success) {
+      setCapacity(result.data);
+      setMaxStudents(result.data.maxStudents);
+    } else {
+      setMessage({ type: 'error', text: 'Could not load your capacity.' });
+    }
+  }, [counselorId]);
+
+  useEffect(() => {
+    if (counselorId) loadCapacity();
+  }, [counselorId, loadCapacity]);
+
+  const handleSave = async () => {
+    setSaving(true);
+    setMessage(null);
+
+    const result = await realDatabaseService.updateCounselorCapacity(counselorId, Number(maxStudents));
+    if (result.success) {
+      // Raising the limit may open places for waitlisted students
+      const promoted = await counselorConnectionService.promoteFromWaitlist(counselorId);
+      setMessage({
+        type: 'success',
+        text: promoted.length > 0
+          ? `Capacity saved. ${promoted.length} waitlisted student${promoted.length === 1 ? '' : 's'} moved to pending review.`
+          : 'Capacity saved.'
+      });
+      await loadCapacity();
+    } else {
+      setMessage({ type: 'error', text: result.error?.message || result.error || 'Failed to save capacity.' });
+    }
+    setSaving(false);
+  };
+
+  if (!capacity) {
+    return (
+      <div className="bg-white rounded-xl shadow-lg p-6 mb-8">
+        <p className="text-gray-600">{message?.text || 'Loading capacity...'}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-xl shadow-lg p-6 mb-8">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-xl font-bold text-gray-900 flex items-center gap-2">
+          <Users className="h-5 w-5 text-purple-600" />
+          Student Capacity
+        </h3>
+        <button
+          onClick={handleSave}
+          disabled={saving || Number(maxStudents) === capacity.maxStudents}
+          className="flex items-center gap-2 bg-purple-600 text-white px-4 py-2 rounded-lg hover:bg-purple-700 disabled:opacity-50"
+        >
+          <Save className="h-4 w-4" />
+          {saving ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+
+      {message && (
+        <div className={`mb-4 p-3 rounded-lg text-sm ${
+          message.type === 'success' ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+        <label className="text-sm text-gray-700">
+          Maximum students
+          <input
+            type="number"
+            min={1}
+            value={maxStudents}
+            onChange={(e) => setMaxStudents(e.target.value)}
+            className="mt-1 w-full border border-gray-300 rounded-md px-2 py-1"
+          />
+        </label>
+        <div className="text-sm text-gray-700">
+          Active students
+          <p className="mt-1 text-2xl font-bold text-gray-900">{capacity.activeStudents}</p>
+        </div>
+        <div className="text-sm text-gray-700">
+          Pending requests
+          <p className="mt-1 text-2xl font-bold text-gray-900">{capacity.pendingRequests}</p>
+        </div>
+        <div className="text-sm text-gray-700">
+          Waitlisted
+          <p className="mt-1 text-2xl font-bold text-gray-900">{capacity.waitlisted}</p>
+        </div>
+      </div>
+
+      <p className="text-xs text-gray-500 mt-4">
+        New requests join a first-come, first-served waitlist once active students and pending requests reach your maximum.
+      </p>
+    </div>
+  );
+};
+
+export default CounselorCapacityCard;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { realDatabaseService } from '../services/realDatabaseService';
+import MessageCenter from './MessageCenter';
 import { 
   Users, 
   Calendar, 
@@ -33,6 +34,7 @@ const CounselorDashboardReal = () => {
   const [students, setStudents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [unreadMessages, setUnreadMessages] = useState(0);
 
   // Get counselor ID from email mapping
   const getCounselorIdFromEmail = (email) => {
@@ -61,7 +63,7 @@ const CounselorDashboardReal = () => {
         
         // Get counselor details
         const counselorResult = await realDatabaseService.getCounselorById(counselorId);
-        if (counselorResult.success && counselorResult.data) {
+        if (counselorResult.data) {
           setCounselorData(counselorResult.data);
         }
 
@@ -228,6 +230,7 @@ const CounselorDashboardReal = () => {
               {[
                 { id: 'overview', name: 'Overview', icon: Home },
                 { id: 'students', name: 'My Students', icon: Users },
+                { id: 'messages', name: 'Messages', icon: MessageSquare, badge: unreadMessages },
                 { id: 'meetings', name: 'Meetings', icon: Calendar },
                 { id: 'applications', name: 'Applications', icon: FileText }
               ].map((tab) => {
@@ -244,6 +247,9 @@ const CounselorDashboardReal = () => {
                   >
                     <Icon className="h-4 w-4" />
                     <span>{tab.name}</span>
+                    {tab.badge > 0 && (
+                      <span className="text-xs bg-blue-600 text-white rounded-full px-1.5">{tab.badge}</span>
+                    )}
                   </button>
                 );
               })}
@@ -345,7 +351,10 @@ const CounselorDashboardReal = () => {
                           </div>
                         </div>
                         <div className="flex items-center space-x-3">
-                          <button className="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg">
+                          <button
+                            onClick={() => setActiveTab('messages')}
+                            className="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg"
+                          >
                             <MessageSquare className="h-5 w-5" />
                           </button>
                           <button className="p-2 text-gray-400 hover:text-green-600 hover:bg-green-50 rounded-lg">
@@ -386,6 +395,16 @@ const CounselorDashboardReal = () => {
           </div>
         )}
 
+        {/* Kept mounted so the unread badge stays live on other tabs */}
+        <div className={activeTab === 'messages' ? 'bg-white rounded-xl shadow-sm p-6' : 'hidden'}>
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Messages</h3>
+          <MessageCenter
+            role="counselor"
+            participantId={counselorData?.id}
+            onUnreadChange={setUnreadMessages}
+          />
+        </div>
+
         {activeTab === 'meetings' && (
           <div className="bg-white rounded-xl shadow-sm p-6">
             <h3 className="text-lg font-semibold text-gray-900 mb-4">Upcoming Meetings</h3>
@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Sidebar from './Sidebar';
 import { realDatabaseService } from '../services/realDatabaseService';
+import { counselorService } from '../services/counselorService';
+import CounselorMatchExplanation from './CounselorMatchExplanation';
 import { useAuth } from '../contexts/AuthContext';
 import { 
   Star, 
@@ -19,7 +21,7 @@ import {
 
 const CounselorDirectoryFixed = () => {
   const navigate = useNavigate();
-  const { isAdmin } = useAuth();
+  const { isAdmin, user, userRole } = useAuth();
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const onMobileMenuClose = () => setIsMobileMenuOpen(false);
   
@@ -68,6 +70,22 @@ const CounselorDirectoryFixed = () => {
             is_available: counselor.is_available
           }));
           setCounselors(transformedCounselors);
+
+          // Rank for logged-in students; the directory still works if matching fails
+          if (userRole === 'student') {
+            try {
+              const matches = await counselorService.findMatchingCounselors(user?.student_data || user);
+              const matchesById = Object.fromEntries(matches.map(match => [match.id, match]));
+              setCounselors(transformedCounselors.map(counselor => {
+                const match = matchesById[counselor.id];
+                return match
+                  ? { ...counselor, matchScore: match.matchScore, matchFactors: match.matchFactors, matchReasons: match.matchReasons }
+                  : counselor;
+              }));
+            } catch (matchError) {
+              console.error('Error ranking counselors:', matchError);
+            }
+          }
         } else {
           setCounselors([]);
         }
@@ -80,7 +98,7 @@ const CounselorDirectoryFixed = () => {
     };
 
     fetchCounselors();
-  }, []);
+  }, [user, userRole]);
 
   const filteredCounselors = counselors.filter(counselor => {
     const matchesSearch = counselor.name?.toLowerCase().includes(searchTerm.toLowerCase()) ||
@@ -98,7 +116,9 @@ const CounselorDirectoryFixed = () => {
                          counselor.rating >= parseFloat(selectedRating);
 
     return matchesSearch && matchesSpecialization && matchesLocation && matchesRating;
-  });
+  }).sort((a, b) => (b.matchScore ?? 0) - (a.matchScore ?? 0));
+
+  const isRanked = counselors.some(counselor => counselor.matchScore !== undefined);
 
   if (loading) {
     return (
@@ -256,7 +276,9 @@ const CounselorDirectoryFixed = () => {
               {/* Counselors Grid */}
               <div className="flex-1">
                 <div className="mb-6">
-                  <h2 className="text-2xl font-bold text-gray-900 mb-2">Available Counselors</h2>
+                  <h2 className="text-2xl font-bold text-gray-900 mb-2">
+                    {isRanked ? 'Your Best Matches' : 'Available Counselors'}
+                  </h2>
                   <p className="text-gray-600">
                     Showing {filteredCounselors.length} of {counselors.length} counselors
                   </p>
@@ -315,6 +337,8 @@ const CounselorDirectoryFixed = () => {
                             </p>
                           </div>
 
+                          <CounselorMatchExplanation counselor={counselor} />
+
                           <div className="mb-4">
                             <div className="flex flex-wrap gap-2">
                               {(counselor.specializations || ['General Counseling']).slice(0, 2).map((spec, index) => (
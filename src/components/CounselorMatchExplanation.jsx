@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import { ChevronDown, ChevronUp, Sparkles } from 'lucide-react';
+
+// "Why this counselor" panel for results from counselorService.findMatchingCounselors
+const CounselorMatchExplanation = ({ counselor }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  if (counselor.matchScore === undefined) return null;
+
+  const factors = (counselor.matchFactors || []).filter(factor => factor.applicable);
+
+  return (
+    <div className="mb-4 p-3 bg-purple-50 border border-purple-100 rounded-lg">
+      <button
+        onClick={() => setExpanded(!expanded)}
+        className="w-full flex items-center justify-between text-left"
+      >
+        <span className="flex items-center gap-2 text-sm font-medium text-purple-900">
+          <Sparkles className="w-4 h-4 text-purple-600" />
+          {Math.round(counselor.matchScore * 100)}% match - why this counselor
+        </span>
+        {expanded ? <ChevronUp className="w-4 h-4 text-purple-600" /> : <ChevronDown className="w-4 h-4 text-purple-600" />}
+      </button>
+
+      {!expanded && counselor.matchReasons?.length > 0 && (
+        <p className="mt-2 text-xs text-purple-800 line-clamp-2">{counselor.matchReasons.slice(0, 2).join(' ')}</p>
+      )}
+
+      {expanded && (
+        <div className="mt-3 space-y-2">
+          {factors.map(factor => (
+            <div key={factor.key}>
+              <div className="flex items-center justify-between text-xs text-gray-700 mb-1">
+                <span className="font-medium">{factor.label}</span>
+                <span>{Math.round(factor.score * 100)}%</span>
+              </div>
+              <div className="h-1.5 bg-purple-100 rounded-full overflow-hidden">
+                <div className="h-full bg-purple-600 rounded-full" style={{ width: `${factor.score * 100}%` }} />
+              </div>
+              <p className="text-xs text-gray-600 mt-1">{factor.explanation}</p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CounselorMatchExplanation;
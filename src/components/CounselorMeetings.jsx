@@ -17,87 +17,136 @@ import {
   ChevronRight,
   CheckCircle,
   AlertCircle,
-  Users
+  Users,
+  CalendarPlus
 } from 'lucide-react';
 import Sidebar from './Sidebar';
+import SessionDstNotice from './SessionDstNotice';
+import SessionRescheduleDialog from './SessionRescheduleDialog';
+import CalendarSubscribeButton from './CalendarSubscribeButton';
+import calendarService from '../services/calendarService';
+import counselorConnectionService from '../services/counselorConnectionServiceReal';
+import {
+  CANCELLATION_POLICY,
+  TERMINAL_SESSION_STATUSES,
+  getAvailableSessionActions,
+  getSessionActionLabel,
+  isCancelledStatus,
+  isLateCancellation,
+  normalizeSessionStatus
+} from '../lib/sessionLifecycle';
+import { realDatabaseService } from '../services/realDatabaseService';
+import {
+  formatTimeInZone,
+  getSessionStart,
+  getTimeZoneAbbreviation,
+  getViewerTimeZone,
+  utcToZonedParts
+} from '../lib/timezone';
 
 const CounselorMeetings = ({ isMobileMenuOpen, onMobileMenuClose }) => {
   const { user } = useAuth();
   const [currentDate, setCurrentDate] = useState(new Date());
   const [selectedDate, setSelectedDate] = useState(new Date());
   const [meetings, setMeetings] = useState([]);
+  const [counselorId, setCounselorId] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
+  const [reschedulingMeeting, setReschedulingMeeting] = useState(null);
+  const [actionMessage, setActionMessage] = useState(null);
   const [loading, setLoading] = useState(true);
   const [viewMode, setViewMode] = useState('calendar'); // 'calendar' or 'list'
   const [filterStatus, setFilterStatus] = useState('all');
   const [searchTerm, setSearchTerm] = useState('');
 
-  // Mock meetings data
+  const viewerTimeZone = getViewerTimeZone(user);
+
+  // Load the counselor's sessions and resolve student names
   useEffect(() => {
-    setTimeout(() => {
-      setMeetings([
-        {
-          id: 1,
-          title: 'University Selection Discussion',
-          student: 'Priya Dubey',
-          studentEmail: 'priya.dubey@email.com',
-          date: new Date(2024, 6, 29, 14, 0), // July 29, 2024, 2:00 PM
-          duration: 60,
-          type: 'video',
-          status: 'scheduled',
-          description: 'Discuss university options for Law programs in Canada',
-          meetingLink: 'https://meet.google.com/abc-defg-hij',
-          priority: 'high'
-        },
-        {
-          id: 2,
-          title: 'Application Review',
-          student: 'Rahul Sharma',
-          studentEmail: 'rahul.sharma@email.com',
-          date: new Date(2024, 6, 30, 10, 0), // July 30, 2024, 10:00 AM
-          duration: 45,
-          type: 'phone',
-          status: 'scheduled',
-          description: 'Review application documents for Computer Science programs',
-          phone: '+1 (555) 123-4567',
-          priority: 'medium'
-        },
-        {
-          id: 3,
-          title: 'Visa Guidance Session',
-          student: 'Anita Patel',
-          studentEmail: 'anita.patel@email.com',
-          date: new Date(2024, 6, 31, 16, 30), // July 31, 2024, 4:30 PM
-          duration: 90,
-          type: 'video',
-          status: 'scheduled',
-          description: 'Complete visa application guidance and document checklist',
-          meetingLink: 'https://meet.google.com/xyz-uvwx-yz',
-          priority: 'high'
-        },
-        {
-          id: 4,
-          title: 'Follow-up Consultation',
-          student: 'David Kim',
-          studentEmail: 'david.kim@email.com',
-          date: new Date(2024, 6, 28, 11, 0), // July 28, 2024, 11:00 AM (past)
-          duration: 30,
-          type: 'phone',
-          status: 'completed',
-          description: 'Follow-up on scholarship applications',
-          phone: '+1 (555) 987-6543',
-          priority: 'low'
+    if (!user?.email) return;
+
+    const loadMeetings = async () => {
+      setLoading(true);
+      try {
+        const counselorResult = await realDatabaseService.getCounselorByEmail(user.email);
+        if (!counselorResult.success || !counselorResult.data) {
+          setMeetings([]);
+          return;
         }
-      ]);
-      setLoading(false);
-    }, 1000);
-  }, []);
+        setCounselorId(counselorResult.data.id);
+
+        const sessionsResult = await realDatabaseService.getCounselorSessions(counselorResult.data.id);
+        const rows = sessionsResult.data || [];
+        const studentIds = [...new Set(rows.map(row => row.student_id).filter(Boolean))];
+        const usersResult = await realDatabaseService.getUsersByIds(studentIds);
+        const usersById = {};
+        (usersResult.data || []).forEach(student => { usersById[student.id] = student; });
+
+        setMeetings(rows
+          .map(row => {
+            const student = usersById[row.student_id] || {};
+            return {
+              ...row,
+              status: normalizeSessionStatus(row.status),
+              title: row.session_title || 'Counseling Session',
+              student: student.full_name || [student.first_name, student.last_name].filter(Boolean).join(' ') || 'Student',
+              studentEmail: student.email,
+              date: getSessionStart(row),
+              duration: row.duration_minutes,
+              type: row.session_type,
+              description: row.session_description || '',
+              meetingLink: row.meeting_link,
+              priority: 'medium'
+            };
+          })
+          .filter(meeting => meeting.date));
+      } catch (error) {
+        console.error('Error loading meetings:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadMeetings();
+  }, [user?.email, reloadKey]);
+
+  const handleSessionAction = async (meeting, action) => {
+    if (action === 'reschedule') {
+      setReschedulingMeeting(meeting);
+      return;
+    }
+
+    let result;
+    if (action === 'cancel') {
+      const late = isLateCancellation(meeting, 'counselor');
+      const warning = late
+        ? `This session starts in less than ${CANCELLATION_POLICY.counselor.lateCancellationHours} hours and will be recorded as a late cancellation. Cancel anyway?`
+        : `Cancel this session with ${meeting.student}?`;
+      if (!window.confirm(warning)) return;
+      result = await counselorConnectionService.cancelSession(meeting.id, 'counselor');
+    } else if (action === 'confirm') {
+      result = await counselorConnectionService.confirmSession(meeting.id);
+    } else if (action === 'no_show') {
+      result = await counselorConnectionService.markNoShow(meeting.id);
+    } else if (action === 'complete') {
+      result = await counselorConnectionService.completeSession(meeting.id);
+    }
+
+    setActionMessage(result.success
+      ? { type: 'success', text: result.message }
+      : { type: 'error', text: result.error });
+    if (result.success) setReloadKey(key => key + 1);
+  };
 
   const getStatusColor = (status) => {
     switch (status) {
-      case 'scheduled': return 'bg-blue-100 text-blue-800';
+      case 'requested': return 'bg-orange-100 text-orange-800';
+      case 'confirmed': return 'bg-blue-100 text-blue-800';
       case 'completed': return 'bg-green-100 text-green-800';
-      case 'cancelled': return 'bg-red-100 text-red-800';
+      case 'cancelled':
+      case 'cancelled_by_student':
+      case 'cancelled_by_counselor': return 'bg-red-100 text-red-800';
       case 'rescheduled': return 'bg-yellow-100 text-yellow-800';
+      case 'no_show': return 'bg-gray-200 text-gray-800';
       default: return 'bg-gray-100 text-gray-800';
     }
   };
@@ -120,12 +169,9 @@ const CounselorMeetings = ({ isMobileMenuOpen, onMobileMenuClose }) => {
     }
   };
 
+  // Meeting times are UTC instants - show them in the viewer's zone
   const formatTime = (date) => {
-    return date.toLocaleTimeString('en-US', { 
-      hour: 'numeric', 
-      minute: '2-digit',
-      hour12: true 
-    });
+    return `${formatTimeInZone(date, viewerTimeZone)} ${getTimeZoneAbbreviation(date, viewerTimeZone)}`;
   };
 
   const formatDate = (date) => {
@@ -137,26 +183,32 @@ const CounselorMeetings = ({ isMobileMenuOpen, onMobileMenuClose }) => {
     });
   };
 
+  // Calendar cells are plain local dates, meetings are compared on their date in the viewer's zone
+  const toCalendarKey = (date) => {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  };
+
   const isToday = (date) => {
-    const today = new Date();
-    return date.toDateString() === today.toDateString();
+    return utcToZonedParts(date, viewerTimeZone).date === utcToZonedParts(new Date(), viewerTimeZone).date;
   };
 
-  const isSameDay = (date1, date2) => {
-    return date1.toDateString() === date2.toDateString();
+  const isSameDay = (meetingDate, calendarDate) => {
+    return utcToZonedParts(meetingDate, viewerTimeZone).date === toCalendarKey(calendarDate);
   };
 
   const filteredMeetings = meetings.filter(meeting => {
     const matchesSearch = meeting.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
                          meeting.student.toLowerCase().includes(searchTerm.toLowerCase()) ||
                          meeting.description.toLowerCase().includes(searchTerm.toLowerCase());
-    const matchesFilter = filterStatus === 'all' || meeting.status === filterStatus;
+    const matchesFilter = filterStatus === 'all' ||
+                         meeting.status === filterStatus ||
+                         (filterStatus === 'cancelled' && isCancelledStatus(meeting.status));
     const matchesDate = viewMode === 'list' || isSameDay(meeting.date, selectedDate);
     return matchesSearch && matchesFilter && matchesDate;
   });
 
   const upcomingMeetings = meetings.filter(meeting => 
-    meeting.date > new Date() && meeting.status === 'scheduled'
+    meeting.date > new Date() && !TERMINAL_SESSION_STATUSES.includes(meeting.status)
   ).sort((a, b) => a.date - b.date);
 
   if (loading) {
@@ -204,7 +256,7 @@ const CounselorMeetings = ({ isMobileMenuOpen, onMobileMenuClose }) => {
                 <div className="ml-4">
                   <p className="text-sm font-medium text-gray-600">Today's Meetings</p>
                   <p className="text-2xl font-bold text-gray-900">
-                    {meetings.filter(m => isToday(m.date) && m.status === 'scheduled').length}
+                    {meetings.filter(m => isToday(m.date) && !TERMINAL_SESSION_STATUSES.includes(m.status)).length}
                   </p>
                 </div>
               </div>
@@ -237,12 +289,22 @@ const CounselorMeetings = ({ isMobileMenuOpen, onMobileMenuClose }) => {
                 <Users className="h-8 w-8 text-orange-500" />
                 <div className="ml-4">
                   <p className="text-sm font-medium text-gray-600">Students</p>
-                  <p className="text-2xl font-bold text-gray-900">15</p>
+                  <p className="text-2xl font-bold text-gray-900">
+                    {new Set(meetings.map(m => m.student_id)).size}
+                  </p>
                 </div>
               </div>
             </div>
           </div>
 
+          {actionMessage && (
+            <div className={`mb-6 p-3 rounded-lg text-sm ${
+              actionMessage.type === 'success' ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'
+            }`}>
+              {actionMessage.text}
+            </div>
+          )}
+
           {/* Controls */}
           <div className="bg-white rounded-lg shadow mb-6 p-4">
             <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4">
@@ -287,12 +349,17 @@ const CounselorMeetings = ({ isMobileMenuOpen, onMobileMenuClose }) => {
                   className="px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
                 >
                   <option value="all">All Status</option>
-                  <option value="scheduled">Scheduled</option>
+                  <option value="requested">Awaiting Confirmation</option>
+                  <option value="confirmed">Confirmed</option>
+                  <option value="rescheduled">Rescheduled</option>
                   <option value="completed">Completed</option>
+                  <option value="no_show">No-show</option>
                   <option value="cancelled">Cancelled</option>
                 </select>
               </div>
 
+              <CalendarSubscribeButton userId={user?.id} role="counselor" subjectId={counselorId} />
+
               <button className="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition-colors flex items-center gap-2">
                 <Plus className="h-4 w-4" />
                 Schedule Meeting
@@ -330,7 +397,7 @@ const CounselorMeetings = ({ isMobileMenuOpen, onMobileMenuClose }) => {
                                 {getMeetingTypeIcon(meeting.type)}
                                 <h3 className="font-semibold text-gray-900">{meeting.title}</h3>
                                 <span className={`px-2 py-1 rounded-full text-xs font-medium ${getStatusColor(meeting.status)}`}>
-                                  {meeting.status}
+                                  {meeting.status.replace(/_/g, ' ')}
                                 </span>
                               </div>
                               
@@ -346,6 +413,8 @@ const CounselorMeetings = ({ isMobileMenuOpen, onMobileMenuClose }) => {
                               </div>
                               
                               <p className="text-sm text-gray-600 mb-2">{meeting.description}</p>
+
+                              <SessionDstNotice session={meeting} viewerTimeZone={viewerTimeZone} className="mb-2" />
                               
                               {meeting.meetingLink && (
                                 <a
@@ -371,12 +440,39 @@ const CounselorMeetings = ({ isMobileMenuOpen, onMobileMenuClose }) => {
                             </div>
                             
                             <div className="flex items-center gap-2">
-                              <button className="p-2 text-gray-400 hover:text-gray-600">
-                                <Edit className="h-4 w-4" />
-                              </button>
-                              <button className="p-2 text-gray-400 hover:text-red-600">
-                                <Trash2 className="h-4 w-4" />
-                              </button>
+                              {!isCancelledStatus(meeting.status) && (
+                                <button
+                                  onClick={() => calendarService.downloadSessionIcs(meeting, `${meeting.title} with ${meeting.student}`)}
+                                  title="Add to calendar"
+                                  className="p-2 text-gray-400 hover:text-indigo-600"
+                                >
+                                  <CalendarPlus className="h-4 w-4" />
+                                </button>
+                              )}
+                              {getAvailableSessionActions(meeting, 'counselor').map(action => {
+                                if (action === 'reschedule' || action === 'cancel') {
+                                  const Icon = action === 'reschedule' ? Edit : Trash2;
+                                  return (
+                                    <button
+                                      key={action}
+                                      onClick={() => handleSessionAction(meeting, action)}
+                                      title={getSessionActionLabel(action)}
+                                      className={`p-2 text-gray-400 ${action === 'cancel' ? 'hover:text-red-600' : 'hover:text-gray-600'}`}
+                                    >
+                                      <Icon className="h-4 w-4" />
+                                    </button>
+                                  );
+                                }
+                                return (
+                                  <button
+                                    key={action}
+                                    onClick={() => handleSessionAction(meeting, action)}
+                                    className="px-3 py-1 text-xs font-medium rounded-md border border-indigo-200 text-indigo-700 hover:bg-indigo-50"
+                                  >
+                                    {getSessionActionLabel(action)}
+                                  </button>
+                                );
+                              })}
                             </div>
                           </div>
                         </div>
@@ -448,6 +544,18 @@ const CounselorMeetings = ({ isMobileMenuOpen, onMobileMenuClose }) => {
           </div>
         </div>
       </main>
+
+      <SessionRescheduleDialog
+        session={reschedulingMeeting}
+        actor="counselor"
+        viewerTimeZone={viewerTimeZone}
+        open={Boolean(reschedulingMeeting)}
+        onOpenChange={(open) => !open && setReschedulingMeeting(null)}
+        onRescheduled={() => {
+          setActionMessage({ type: 'success', text: `Session rescheduled. ${reschedulingMeeting?.student || 'The student'} will see the new time.` });
+          setReloadKey(key => key + 1);
+        }}
+      />
     </div>
   );
 };
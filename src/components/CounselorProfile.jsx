@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import Sidebar from './Sidebar';
+import CounselorAvailabilityEditor from './CounselorAvailabilityEditor';
+import CounselorCapacityCard from './CounselorCapacityCard';
 import { 
   User, 
   Mail, 
@@ -342,6 +344,12 @@ const CounselorProfile = ({ isMobileMenuOpen, onMobileMenuClose }) => {
             </div>
           </div>
 
+          {/* Availability */}
+          <CounselorAvailabilityEditor counselorId={counselorData.id} />
+
+          {/* Capacity */}
+          <CounselorCapacityCard counselorId={counselorData.id} />
+
           {/* Education & Bio */}
           <div className="bg-white rounded-xl shadow-lg p-6">
             <h3 className="text-xl font-bold text-gray-900 mb-4">Professional Background</h3>
@@ -1,6 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import Sidebar from './Sidebar';
+import CounselorMatchExplanation from './CounselorMatchExplanation';
+import { counselorService } from '../services/counselorService';
+import { useAuth } from '../contexts/AuthContext';
 import { 
   Star, 
   MapPin, 
@@ -20,8 +23,32 @@ import {
   DollarSign
 } from 'lucide-react';
 
+// Shape a ranked counselor row for the cards below
+const toCounselorCard = (counselor) => ({
+  ...counselor,
+  name: counselor.display_name || [counselor.first_name, counselor.last_name].filter(Boolean).join(' ') || 'Counselor',
+  displayName: counselor.title || counselor.display_name || 'Education Counselor',
+  profileImage: counselor.profile_image_url || '/api/placeholder/100/100',
+  rating: counselor.average_rating || 0,
+  totalReviews: counselor.reviewCount || counselor.total_reviews || 0,
+  yearsExperience: counselor.experience_years || counselor.years_experience || 0,
+  specializations: counselor.specializations || [],
+  countries: [...new Set((counselor.coverage || []).map(area => area.country).filter(Boolean))],
+  languages: counselor.languages_spoken || [],
+  hourlyRate: counselor.hourly_rate || 0,
+  currency: counselor.currency || 'AUD',
+  totalStudentsHelped: counselor.total_students_helped || counselor.students_helped || 0,
+  successRate: counselor.success_rate || 0,
+  responseTime: counselor.response_time || '-',
+  availability: counselor.is_available === false ? 'Busy' : 'Available',
+  isFeatured: Boolean(counselor.is_featured),
+  achievements: counselor.badges || [],
+  nextAvailable: counselor.next_available || null
+});
+
 const CounselorSelectionPage = () => {
   const navigate = useNavigate();
+  const { user } = useAuth();
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const onMobileMenuClose = () => setIsMobileMenuOpen(false);
   
@@ -38,134 +65,28 @@ const CounselorSelectionPage = () => {
     availability: 'all'
   });
   const [searchTerm, setSearchTerm] = useState('');
-  const [sortBy, setSortBy] = useState('rating');
+  const [sortBy, setSortBy] = useState('match');
 
-  // Mock data - replace with actual API calls
+  // Counselors ranked against the student's profile and onboarding answers
   useEffect(() => {
-    setTimeout(() => {
-      const mockCounselors = [
-        {
-          id: 1,
-          name: 'Sarah Johnson',
-          displayName: 'Sarah J. - Australia Expert',
-          email: 'sarah.johnson@studentkonnect.com',
-          profileImage: '/api/placeholder/100/100',
-          rating: 4.8,
-          totalReviews: 156,
-          yearsExperience: 8,
-          specializations: ['University Admissions', 'Visa Guidance', 'Scholarship Assistance'],
-          countries: ['Australia', 'New Zealand'],
-          languages: ['English', 'Hindi', 'Mandarin'],
-          hourlyRate: 150,
-          currency: 'AUD',
-          totalStudentsHelped: 523,
-          successRate: 95.5,
-          responseTime: '< 2 hours',
-          availability: 'Available',
-          isFeatured: true,
-          bio: 'Experienced education counselor specializing in Australian universities and visa processes. Helped over 500 students achieve their study abroad dreams with a 95% success rate.',
-          achievements: ['Top Counselor 2023', 'Visa Success Expert', '500+ Students Helped'],
-          nextAvailable: '2024-07-30 14:00'
-        },
-        {
-          id: 2,
-          name: 'James Wilson',
-          displayName: 'James W. - UK & Europe Guide',
-          email: 'james.wilson@studentkonnect.com',
-          profileImage: '/api/placeholder/100/100',
-          rating: 4.6,
-          totalReviews: 89,
-          yearsExperience: 5,
-          specializations: ['University Admissions', 'Scholarship Assistance', 'Career Guidance'],
-          countries: ['United Kingdom', 'Germany', 'Netherlands'],
-          languages: ['English', 'French', 'German'],
-          hourlyRate: 120,
-          currency: 'AUD',
-          totalStudentsHelped: 287,
-          successRate: 92.3,
-          responseTime: '< 4 hours',
-          availability: 'Available',
-          isFeatured: false,
-          bio: 'Dedicated counselor with expertise in UK and European education systems. Specializes in Russell Group universities and EU scholarship programs.',
-          achievements: ['Russell Group Expert', 'EU Scholarship Specialist', '200+ Applications'],
-          nextAvailable: '2024-07-31 10:00'
-        },
-        {
-          id: 3,
-          name: 'Priya Sharma',
-          displayName: 'Priya S. - North America Expert',
-          email: 'priya.sharma@studentkonnect.com',
-          profileImage: '/api/placeholder/100/100',
-          rating: 4.4,
-          totalReviews: 47,
-          yearsExperience: 3,
-          specializations: ['University Admissions', 'Test Preparation', 'Scholarship Assistance'],
-          countries: ['United States', 'Canada'],
-          languages: ['English', 'Hindi', 'Punjabi'],
-          hourlyRate: 100,
-          currency: 'AUD',
-          totalStudentsHelped: 145,
-          successRate: 88.7,
-          responseTime: '< 6 hours',
-          availability: 'Busy',
-          isFeatured: false,
-          bio: 'Enthusiastic counselor specializing in US and Canadian universities. Expert in SAT/ACT preparation and scholarship applications for international students.',
-          achievements: ['SAT/ACT Expert', 'Scholarship Winner', 'Rising Star 2024'],
-          nextAvailable: '2024-08-02 16:00'
-        },
-        {
-          id: 4,
-          name: 'Michael Chen',
-          displayName: 'Michael C. - Global Education Expert',
-          email: 'michael.chen@studentkonnect.com',
-          profileImage: '/api/placeholder/100/100',
-          rating: 4.9,
-          totalReviews: 203,
-          yearsExperience: 10,
-          specializations: ['University Admissions', 'Career Guidance', 'Visa Guidance', 'Scholarship Assistance'],
-          countries: ['Singapore', 'Australia', 'United States', 'United Kingdom'],
-          languages: ['English', 'Mandarin', 'Cantonese'],
-          hourlyRate: 180,
-          currency: 'AUD',
-          totalStudentsHelped: 678,
-          successRate: 96.8,
-          responseTime: '< 1 hour',
-          availability: 'Available',
-          isFeatured: true,
-          bio: 'Senior counselor with global expertise across multiple education systems. Specializes in engineering and technology programs worldwide.',
-          achievements: ['Global Expert', 'Tech Program Specialist', '600+ Success Stories'],
-          nextAvailable: '2024-07-29 11:00'
-        },
-        {
-          id: 5,
-          name: 'Emma Davis',
-          displayName: 'Emma D. - Business Programs Expert',
-          email: 'emma.davis@studentkonnect.com',
-          profileImage: '/api/placeholder/100/100',
-          rating: 4.7,
-          totalReviews: 78,
-          yearsExperience: 6,
-          specializations: ['University Admissions', 'Test Preparation', 'Career Guidance'],
-          countries: ['Australia', 'United Kingdom'],
-          languages: ['English', 'Spanish'],
-          hourlyRate: 130,
-          currency: 'AUD',
-          totalStudentsHelped: 234,
-          successRate: 91.2,
-          responseTime: '< 3 hours',
-          availability: 'Available',
-          isFeatured: false,
-          bio: 'Specialized counselor focusing on business, finance, and MBA programs. Expert in GMAT preparation and top business school admissions.',
-          achievements: ['MBA Expert', 'GMAT Specialist', 'Business School Pro'],
-          nextAvailable: '2024-07-30 09:00'
-        }
-      ];
-      
-      setCounselors(mockCounselors);
-      setFilteredCounselors(mockCounselors);
-      setLoading(false);
-    }, 1000);
-  }, []);
+    const loadCounselors = async () => {
+      try {
+        setLoading(true);
+        const ranked = await counselorService.findMatchingCounselors(user?.student_data || user || {});
+        const cards = ranked.map(toCounselorCard);
+        setCounselors(cards);
+        setFilteredCounselors(cards);
+      } catch (error) {
+        console.error('Error loading counselors:', error);
+        setCounselors([]);
+        setFilteredCounselors([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadCounselors();
+  }, [user]);
 
   // Filter and search logic
   useEffect(() => {
@@ -199,6 +120,8 @@ const CounselorSelectionPage = () => {
     // Sort logic
     filtered.sort((a, b) => {
       switch (sortBy) {
+        case 'match':
+          return b.matchScore - a.matchScore;
         case 'rating':
           return b.rating - a.rating;
         case 'experience':
@@ -288,6 +211,7 @@ const CounselorSelectionPage = () => {
                 onChange={(e) => setSortBy(e.target.value)}
                 className="w-full px-3 py-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 focus:border-transparent"
               >
+                <option value="match">Best Match</option>
                 <option value="rating">Sort by Rating</option>
                 <option value="experience">Sort by Experience</option>
                 <option value="price_low">Price: Low to High</option>
@@ -424,6 +348,9 @@ const CounselorSelectionPage = () => {
                 {/* Bio */}
                 <p className="text-gray-600 mb-4 line-clamp-2">{counselor.bio}</p>
 
+                {/* Why this counselor */}
+                <CounselorMatchExplanation counselor={counselor} />
+
                 {/* Specializations */}
                 <div className="mb-4">
                   <h4 className="text-sm font-medium text-gray-900 mb-2">Specializations</h4>
@@ -468,6 +395,7 @@ const CounselorSelectionPage = () => {
                 </div>
 
                 {/* Achievements */}
+                {counselor.achievements.length > 0 && (
                 <div className="mb-4">
                   <h4 className="text-sm font-medium text-gray-900 mb-2">Achievements</h4>
                   <div className="flex flex-wrap gap-1">
@@ -479,8 +407,10 @@ const CounselorSelectionPage = () => {
                     ))}
                   </div>
                 </div>
+                )}
 
                 {/* Next Available */}
+                {counselor.nextAvailable && (
                 <div className="mb-4 p-3 bg-blue-50 rounded-lg">
                   <div className="flex items-center space-x-2">
                     <Calendar className="w-4 h-4 text-blue-600" />
@@ -488,6 +418,7 @@ const CounselorSelectionPage = () => {
                     <span className="text-sm text-blue-700">{counselor.nextAvailable}</span>
                   </div>
                 </div>
+                )}
 
                 {/* Action Buttons */}
                 <div className="flex space-x-3">
@@ -3,6 +3,9 @@ import { useAuth } from '../contexts/AuthContext';
 import { realDatabaseService } from '../services/realDatabaseService';
 import GlobalSidebarManager from './GlobalSidebarManager';
 import SessionBookingModal from './SessionBookingModal';
+import DocumentReviewDialog from './DocumentReviewDialog';
+import documentReviewService from '../services/documentReviewService';
+import { DOCUMENT_TYPES, REVIEW_STATUSES } from '../lib/documentReview';
 
 const CounselorStudentsReal = ({ isMobileMenuOpen = false, onMobileMenuClose = () => {} }) => {
   const { user } = useAuth();
@@ -13,6 +16,9 @@ const CounselorStudentsReal = ({ isMobileMenuOpen = false, onMobileMenuClose = (
   const [showBookingModal, setShowBookingModal] = useState(false);
   const [selectedStudent, setSelectedStudent] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
+  const [counselorName, setCounselorName] = useState('');
+  const [reviews, setReviews] = useState([]);
+  const [activeReview, setActiveReview] = useState(null);
 
   // Filter students based on search term
   const filteredStudents = students.filter(student =>
@@ -45,8 +51,13 @@ const CounselorStudentsReal = ({ isMobileMenuOpen = false, onMobileMenuClose = (
 
       const fetchedCounselorId = counselorResult.data.id;
       setCounselorId(fetchedCounselorId);
+      setCounselorName(counselorResult.data.display_name ||
+        [counselorResult.data.first_name, counselorResult.data.last_name].filter(Boolean).join(' '));
       console.log('Counselor ID:', fetchedCounselorId);
 
+      const reviewsResult = await documentReviewService.getCounselorReviews(fetchedCounselorId);
+      setReviews(reviewsResult.data);
+
       // Get approved students for this counselor
       const studentsResult = await realDatabaseService.getApprovedStudentsForCounselor(fetchedCounselorId);
       if (studentsResult.success) {
@@ -190,7 +201,9 @@ const CounselorStudentsReal = ({ isMobileMenuOpen = false, onMobileMenuClose = (
             </div>
           ) : (
             <div className="grid gap-6">
-              {filteredStudents.map((student) => (
+              {filteredStudents.map((student) => {
+                const studentReviews = reviews.filter(review => review.connection_id === String(student.connectionId));
+                return (
                 <div key={student.id} className="bg-gray-50 rounded-lg p-6 border border-gray-200 hover:shadow-md transition-shadow">
                   <div className="flex justify-between items-start mb-4">
                     <div className="flex items-center space-x-4">
@@ -261,6 +274,35 @@ const CounselorStudentsReal = ({ isMobileMenuOpen = false, onMobileMenuClose = (
                     <p className="text-blue-700 text-sm">{student.requestReason}</p>
                   </div>
 
+                  {studentReviews.length > 0 && (
+                    <div className="mb-4">
+                      <p className="text-sm font-medium text-gray-700 mb-2">Document Reviews</p>
+                      <div className="space-y-2">
+                        {studentReviews.map(review => (
+                          <div key={review.id} className="flex items-center justify-between bg-white rounded-lg border border-gray-200 px-4 py-2">
+                            <div>
+                              <p className="text-sm font-medium text-gray-900">{review.title || DOCUMENT_TYPES[review.document_type]}</p>
+                              <p className="text-xs text-gray-500">
+                                {DOCUMENT_TYPES[review.document_type]} · requested {new Date(review.requested_at).toLocaleDateString()}
+                              </p>
+                            </div>
+                            <div className="flex items-center gap-3">
+                              <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${REVIEW_STATUSES[review.status]?.color}`}>
+                                {REVIEW_STATUSES[review.status]?.label || review.status}
+                              </span>
+                              <button
+                                onClick={() => setActiveReview(review)}
+                                className="text-sm text-purple-600 hover:text-purple-800 font-medium"
+                              >
+                                {['requested', 'in_review'].includes(review.status) ? 'Review' : 'View'}
+                              </button>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+
                   <div className="flex flex-wrap gap-2">
                     <button 
                       onClick={() => {
@@ -274,7 +316,12 @@ const CounselorStudentsReal = ({ isMobileMenuOpen = false, onMobileMenuClose = (
                     <button className="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition-colors text-sm">
                       💬 Send Message
                     </button>
-                    <button className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors text-sm">
+                    <button
+                      onClick={() => setActiveReview(studentReviews[0])}
+                      disabled={studentReviews.length === 0}
+                      title={studentReviews.length === 0 ? 'No documents shared for review yet' : undefined}
+                      className="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition-colors text-sm disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
                       📄 View Documents
                     </button>
                     <button className="bg-orange-600 text-white px-4 py-2 rounded-lg hover:bg-orange-700 transition-colors text-sm">
@@ -282,7 +329,8 @@ const CounselorStudentsReal = ({ isMobileMenuOpen = false, onMobileMenuClose = (
                     </button>
                   </div>
                 </div>
-              ))}
+                );
+              })}
             </div>
           )}
             </div>
@@ -300,6 +348,19 @@ const CounselorStudentsReal = ({ isMobileMenuOpen = false, onMobileMenuClose = (
         student={selectedStudent}
         counselorId={counselorId}
       />
+
+      <DocumentReviewDialog
+        review={activeReview}
+        role="counselor"
+        userId={counselorId}
+        counselorName={counselorName}
+        open={Boolean(activeReview)}
+        onOpenChange={(open) => !open && setActiveReview(null)}
+        onReviewChange={(updated) => {
+          setReviews(prev => prev.map(review => (review.id === updated.id ? updated : review)));
+          setActiveReview(current => (current && current.id === updated.id ? updated : current));
+        }}
+      />
     </div>
   );
 };
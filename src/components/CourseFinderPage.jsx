@@ -32,6 +32,29 @@ import {
 import Sidebar from './Sidebar'
 import CourseComparisonModal from './CourseComparisonModal'
 import CourseDetailModal from './CourseDetailModal'
+import { MAX_ATAR } from '../lib/atarEngine'
+import { CIRCUMSTANCES, courseEligibility, EMPTY_ADJUSTMENTS } from '../lib/selectionRank'
+import { AdjustmentSchemeService } from '../lib/adjustmentSchemeService'
+
+// Selection rank on a course card, when adjustments change it
+const SelectionRankNote = ({ eligibility }) => {
+  if (!eligibility || eligibility.appliedPoints === 0) return null
+
+  return (
+    <div className="text-xs text-gray-600 mb-4 space-y-1">
+      <p>
+        Selection rank <strong>{eligibility.rank.toFixed(2)}</strong> with {eligibility.adjustments.map(adjustment => `${adjustment.name} (+${adjustment.points})`).join(', ')}
+        {eligibility.capped && `, capped at +${eligibility.appliedPoints}`}
+      </p>
+      {eligibility.eligible && !eligibility.eligibleOnAtar && (
+        <Badge className="bg-blue-100 text-blue-700">Eligible with adjustments</Badge>
+      )}
+      {!eligibility.eligible && (
+        <p className="text-orange-700">{eligibility.shortBy.toFixed(2)} short of the cutoff even with adjustments</p>
+      )}
+    </div>
+  )
+}
 
 export default function CourseFinderPage({ isMobileMenuOpen, onMobileMenuClose }) {
   // State management
@@ -44,6 +67,7 @@ export default function CourseFinderPage({ isMobileMenuOpen, onMobileMenuClose }
   const [viewMode, setViewMode] = useState('grid') // 'grid' or 'list'
   const [selectedCourses, setSelectedCourses] = useState([]) // For comparison
   const [favorites, setFavorites] = useState([])
+  const [adjustments, setAdjustments] = useState(EMPTY_ADJUSTMENTS)
   
   // Modal states
   const [showComparisonModal, setShowComparisonModal] = useState(false)
@@ -57,6 +81,8 @@ export default function CourseFinderPage({ isMobileMenuOpen, onMobileMenuClose }
     level: '',
     deliveryMode: '',
     atarRange: [0, 100],
+    myAtar: '',
+    circumstances: {},
     category: '',
     showFavoritesOnly: false
   })
@@ -68,12 +94,13 @@ export default function CourseFinderPage({ isMobileMenuOpen, onMobileMenuClose }
   // Load initial data
   useEffect(() => {
     loadInitialData()
+    AdjustmentSchemeService.getAdjustments().then(result => setAdjustments(result.data))
   }, [])
 
   // Apply filters when search query or filters change
   useEffect(() => {
     applyFilters()
-  }, [searchQuery, filters, courses, sortBy])
+  }, [searchQuery, filters, courses, sortBy, adjustments])
 
   const loadInitialData = async () => {
     setLoading(true)
@@ -132,6 +159,12 @@ export default function CourseFinderPage({ isMobileMenuOpen, onMobileMenuClose }
       })
     }
 
+    // Courses the student's selection rank (ATAR plus the university's
+    // adjustments) reaches, same rule as the ATAR calculator
+    if (!Number.isNaN(parseFloat(filters.myAtar))) {
+      filtered = filtered.filter(course => !course.atar_cutoff || getEligibility(course).eligible)
+    }
+
     // Category filter (based on course name patterns)
     if (filters.category) {
       const categoryKeywords = {
@@ -173,6 +206,14 @@ export default function CourseFinderPage({ isMobileMenuOpen, onMobileMenuClose }
     setFilteredCourses(filtered)
   }
 
+  // Selection rank for a course at its university, or null without an ATAR
+  // to work from. No subjects here, so language bonuses rely on the checkbox.
+  const getEligibility = (course) => {
+    const myAtar = parseFloat(filters.myAtar)
+    if (Number.isNaN(myAtar) || !course.atar_cutoff) return null
+    return courseEligibility(course, myAtar, adjustments, { subjects: [], circumstances: filters.circumstances })
+  }
+
   const toggleFavorite = (courseId) => {
     setFavorites(prev => 
       prev.includes(courseId) 
@@ -202,6 +243,8 @@ export default function CourseFinderPage({ isMobileMenuOpen, onMobileMenuClose }
       level: '',
       deliveryMode: '',
       atarRange: [0, 100],
+      myAtar: '',
+      circumstances: {},
       category: '',
       showFavoritesOnly: false
     })
@@ -293,6 +336,8 @@ export default function CourseFinderPage({ isMobileMenuOpen, onMobileMenuClose }
                 </Badge>
               )}
             </div>
+
+            <SelectionRankNote eligibility={getEligibility(course)} />
             
             {course.description && (
               <p className="text-sm text-gray-600 mb-4 line-clamp-3">
@@ -533,6 +578,47 @@ export default function CourseFinderPage({ isMobileMenuOpen, onMobileMenuClose }
                         </div>
                       </div>
                       
+                      <div>
+                        <label htmlFor="my-atar" className="block text-sm font-medium text-gray-700 mb-2">
+                          My ATAR
+                        </label>
+                        <input
+                          type="number"
+                          id="my-atar"
+                          min="0"
+                          max={MAX_ATAR}
+                          step="0.05"
+                          value={filters.myAtar}
+                          onChange={(e) => setFilters(prev => ({ ...prev, myAtar: e.target.value }))}
+                          placeholder="e.g. 85.50"
+                          className="w-full p-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                        />
+                        <p className="text-xs text-gray-500 mt-1">Only show courses within reach of this ATAR, including adjustments</p>
+                      </div>
+
+                      <div>
+                        <span className="block text-sm font-medium text-gray-700 mb-2">Adjustment factors</span>
+                        <div className="space-y-1">
+                          {CIRCUMSTANCES.map(circumstance => (
+                            <div key={circumstance.key} className="flex items-start space-x-2">
+                              <input
+                                type="checkbox"
+                                id={`circumstance-${circumstance.key}`}
+                                checked={Boolean(filters.circumstances[circumstance.key])}
+                                onChange={(e) => setFilters(prev => ({
+                                  ...prev,
+                                  circumstances: { ...prev.circumstances, [circumstance.key]: e.target.checked }
+                                }))}
+                                className="h-4 w-4 mt-0.5 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                              />
+                              <label htmlFor={`circumstance-${circumstance.key}`} className="text-xs text-gray-700">
+                                {circumstance.label}
+                              </label>
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                      
                       <div className="flex items-center space-x-2">
                         <input
                           type="checkbox"
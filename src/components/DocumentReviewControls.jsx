@@ -0,0 +1,84 @@
+import { useState, useEffect } from 'react'
+import { MessageSquare, Send } from 'lucide-react'
+import { Button } from './ui/button'
+import { useAuth } from '../contexts/AuthContext'
+import documentReviewService from '../services/documentReviewService'
+import DocumentReviewDialog from './DocumentReviewDialog'
+import { OPEN_REVIEW_STATUSES, REVIEW_STATUSES } from '../lib/documentReview'
+
+/**
+ * Student side of counselor reviews for a builder: request a review and open
+ * the feedback. prepare() runs before sharing (e.g. to save the draft) and may
+ * return { documentId, title }.
+ */
+export default function DocumentReviewControls({ documentType, documentId = null, title, getSections, prepare, getCurrentText, onApplyText }) {
+  const { user } = useAuth()
+  const [review, setReview] = useState(null)
+  const [dialogOpen, setDialogOpen] = useState(false)
+  const [busy, setBusy] = useState(false)
+  const [message, setMessage] = useState(null)
+
+  useEffect(() => {
+    if (!user?.id) return
+    documentReviewService.getLatestReview(user.id, documentType, documentId).then(result => setReview(result.data))
+  }, [user?.id, documentType, documentId])
+
+  const handleRequest = async () => {
+    setBusy(true)
+    setMessage(null)
+    const prepared = prepare ? await prepare() : {}
+    const result = await documentReviewService.requestReview({
+      studentId: user.id,
+      studentName: user.full_name,
+      documentType,
+      documentId: prepared?.documentId ?? documentId,
+      title: prepared?.title ?? title,
+      sections: getSections()
+    })
+    setBusy(false)
+
+    if (result.success) {
+      setReview(result.data)
+      setMessage('Sent to your counselor for review.')
+    } else {
+      setMessage(result.error)
+    }
+  }
+
+  if (!user) return null
+
+  const isOpen = review && OPEN_REVIEW_STATUSES.includes(review.status)
+  const status = review && REVIEW_STATUSES[review.status]
+
+  return (
+    <div className="flex flex-wrap items-center gap-3">
+      {status && (
+        <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${status.color}`}>{status.label}</span>
+      )}
+      {review && ['feedback_ready', 'completed'].includes(review.status) && (
+        <Button variant="outline" size="sm" onClick={() => setDialogOpen(true)} className="flex items-center gap-2">
+          <MessageSquare className="h-4 w-4" />
+          View Feedback
+        </Button>
+      )}
+      {!isOpen && (
+        <Button variant="outline" size="sm" onClick={handleRequest} disabled={busy} className="flex items-center gap-2">
+          <Send className="h-4 w-4" />
+          {busy ? 'Sending...' : 'Request Counselor Review'}
+        </Button>
+      )}
+      {message && <span className="text-sm text-gray-600">{message}</span>}
+
+      <DocumentReviewDialog
+        review={review}
+        role="student"
+        userId={user.id}
+        open={dialogOpen}
+        onOpenChange={setDialogOpen}
+        onReviewChange={setReview}
+        getCurrentText={getCurrentText}
+        onApplyText={onApplyText}
+      />
+    </div>
+  )
+}
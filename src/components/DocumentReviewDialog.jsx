@@ -0,0 +1,292 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Check, X, MessageSquare, PenLine, Trash2 } from 'lucide-react'
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog'
+import { Button } from './ui/button'
+import { Textarea } from './ui/textarea'
+import documentReviewService from '../services/documentReviewService'
+import { DOCUMENT_TYPES, REVIEW_STATUSES, segmentByAnchors, summarizeComments } from '../lib/documentReview'
+
+// Character offsets of the current selection inside `container`
+const getSelectionOffsets = (container) => {
+  const selection = window.getSelection()
+  if (!selection || selection.rangeCount === 0 || selection.isCollapsed) return null
+
+  const range = selection.getRangeAt(0)
+  if (!container.contains(range.startContainer) || !container.contains(range.endContainer)) return null
+
+  const before = document.createRange()
+  before.selectNodeContents(container)
+  before.setEnd(range.startContainer, range.startOffset)
+  const start = before.toString().length
+  return { start, end: start + range.toString().length, text: range.toString() }
+}
+
+const COMMENT_STATUS_STYLES = {
+  open: 'text-gray-500',
+  accepted: 'text-green-700',
+  rejected: 'text-red-700'
+}
+
+/**
+ * One review, for either side. Counselors select text to comment or suggest an
+ * edit; students accept or reject suggestions, which are applied to their live
+ * draft through getCurrentText / onApplyText.
+ */
+export default function DocumentReviewDialog({
+  review,
+  role,
+  userId,
+  counselorName,
+  open,
+  onOpenChange,
+  onReviewChange = () => {},
+  getCurrentText = () => '',
+  onApplyText = () => {}
+}) {
+  const [comments, setComments] = useState([])
+  const [draft, setDraft] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const [message, setMessage] = useState(null)
+
+  const isCounselor = role === 'counselor'
+  const canComment = isCounselor && review && ['requested', 'in_review'].includes(review.status)
+
+  const reviewId = review?.id
+
+  const loadComments = useCallback(async () => {
+    const result = await documentReviewService.getComments(reviewId)
+    setComments(result.data)
+  }, [reviewId])
+
+  useEffect(() => {
+    if (!open || !reviewId) return
+    setDraft(null)
+    setMessage(null)
+    loadComments()
+  }, [open, reviewId, loadComments])
+
+  const handleSelect = (section, event) => {
+    if (!canComment) return
+    const offsets = getSelectionOffsets(event.currentTarget)
+    if (!offsets || !offsets.text.trim()) return
+    setDraft({ sectionKey: section.key, ...offsets, kind: 'comment', body: '', suggestedText: offsets.text })
+  }
+
+  const handleSaveComment = async () => {
+    setBusy(true)
+    const result = await documentReviewService.addComment(review, {
+      sectionKey: draft.sectionKey,
+      anchorStart: draft.start,
+      anchorEnd: draft.end,
+      anchorText: draft.text,
+      kind: draft.kind,
+      body: draft.body,
+      suggestedText: draft.suggestedText,
+      authorId: userId
+    })
+    setBusy(false)
+
+    if (result.success) {
+      setDraft(null)
+      if (review.status === 'requested') onReviewChange({ ...review, status: 'in_review' })
+      loadComments()
+    } else {
+      setMessage(result.error)
+    }
+  }
+
+  const handleDelete = async (comment) => {
+    await documentReviewService.deleteComment(comment.id)
+    loadComments()
+  }
+
+  const handleSendFeedback = async () => {
+    setBusy(true)
+    const result = await documentReviewService.sendFeedback(review, counselorName)
+    setBusy(false)
+
+    if (result.success) {
+      onReviewChange(result.data)
+      onOpenChange(false)
+    } else {
+      setMessage(result.error)
+    }
+  }
+
+  const handleRespond = async (comment, accepted) => {
+    setBusy(true)
+    const result = await documentReviewService.respondToSuggestion(review, comment, accepted, getCurrentText(comment.section_key))
+    setBusy(false)
+
+    if (!result.success) {
+      setMessage(result.error)
+      return
+    }
+
+    if (accepted && result.applied) onApplyText(comment.section_key, result.text)
+    setMessage(accepted && !result.applied
+      ? 'That passage has changed since the review, so the edit was not applied automatically. Please make it by hand.'
+      : null)
+    onReviewChange(result.review)
+    loadComments()
+  }
+
+  if (!review) return null
+
+  const summary = summarizeComments(comments)
+  const status = REVIEW_STATUSES[review.status]
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-3">
+            {review.title || DOCUMENT_TYPES[review.document_type]}
+            {status && <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${status.color}`}>{status.label}</span>}
+          </DialogTitle>
+          <DialogDescription>
+            {canComment
+              ? 'Select text in any section to leave a comment or suggest an edit.'
+              : `${summary.comments} comment${summary.comments === 1 ? '' : 's'}, ${summary.suggestions} suggested edit${summary.suggestions === 1 ? '' : 's'}` +
+                (summary.pending > 0 ? ` (${summary.pending} waiting for a response)` : '')}
+          </DialogDescription>
+        </DialogHeader>
+
+        {message && <p className="text-sm text-amber-700 bg-amber-50 rounded-md px-3 py-2">{message}</p>}
+
+        <div className="space-y-6">
+          {review.sections.map(section => {
+            const sectionComments = comments.filter(comment => comment.section_key === section.key)
+
+            return (
+              <div key={section.key} className="border rounded-lg">
+                <h4 className="px-4 py-2 bg-gray-50 border-b text-sm font-medium text-gray-900">{section.label}</h4>
+                <p
+                  className={`px-4 py-3 text-sm leading-relaxed whitespace-pre-wrap text-gray-800 ${canComment ? 'cursor-text' : ''}`}
+                  onMouseUp={(event) => handleSelect(section, event)}
+                >
+                  {segmentByAnchors(section.text, sectionComments).map((segment, index) => (
+                    segment.comment ? (
+                      <mark
+                        key={index}
+                        className={segment.comment.kind === 'suggestion' ? 'bg-amber-100' : 'bg-yellow-100'}
+                        title={segment.comment.body || segment.comment.suggested_text}
+                      >
+                        {segment.text}
+                      </mark>
+                    ) : <span key={index}>{segment.text}</span>
+                  ))}
+                </p>
+
+                {draft?.sectionKey === section.key && (
+                  <div className="mx-4 mb-3 p-3 bg-blue-50 rounded-md space-y-2">
+                    <p className="text-xs text-gray-600">On: “{draft.text}”</p>
+                    <div className="flex gap-2">
+                      <Button
+                        size="sm"
+                        variant={draft.kind === 'comment' ? 'default' : 'outline'}
+                        onClick={() => setDraft({ ...draft, kind: 'comment' })}
+                      >
+                        <MessageSquare className="h-3.5 w-3.5 mr-1" />
+                        Comment
+                      </Button>
+                      <Button
+                        size="sm"
+                        variant={draft.kind === 'suggestion' ? 'default' : 'outline'}
+                        onClick={() => setDraft({ ...draft, kind: 'suggestion' })}
+                      >
+                        <PenLine className="h-3.5 w-3.5 mr-1" />
+                        Suggest edit
+                      </Button>
+                    </div>
+                    {draft.kind === 'suggestion' && (
+                      <Textarea
+                        value={draft.suggestedText}
+                        onChange={(e) => setDraft({ ...draft, suggestedText: e.target.value })}
+                        rows={3}
+                        placeholder="Replacement text"
+                      />
+                    )}
+                    <Textarea
+                      value={draft.body}
+                      onChange={(e) => setDraft({ ...draft, body: e.target.value })}
+                      rows={2}
+                      placeholder={draft.kind === 'suggestion' ? 'Why this change? (optional)' : 'Your comment'}
+                    />
+                    <div className="flex justify-end gap-2">
+                      <Button size="sm" variant="outline" onClick={() => setDraft(null)}>Cancel</Button>
+                      <Button
+                        size="sm"
+                        onClick={handleSaveComment}
+                        disabled={busy || (draft.kind === 'comment' ? !draft.body.trim() : draft.suggestedText === draft.text)}
+                      >
+                        Save
+                      </Button>
+                    </div>
+                  </div>
+                )}
+
+                {sectionComments.length > 0 && (
+                  <ul className="border-t divide-y">
+                    {sectionComments.map(comment => (
+                      <li key={comment.id} className="px-4 py-3 text-sm">
+                        <div className="flex items-start justify-between gap-3">
+                          <div className="min-w-0 space-y-1">
+                            {comment.anchor_text && <p className="text-xs text-gray-500 truncate">“{comment.anchor_text}”</p>}
+                            {comment.kind === 'suggestion' && (
+                              <p>
+                                <span className="line-through text-red-700">{comment.anchor_text}</span>
+                                {' → '}
+                                <span className="text-green-700">{comment.suggested_text || '(remove)'}</span>
+                              </p>
+                            )}
+                            {comment.body && <p className="text-gray-800">{comment.body}</p>}
+                            <p className={`text-xs capitalize ${COMMENT_STATUS_STYLES[comment.status]}`}>
+                              {comment.kind === 'suggestion' ? comment.status : 'comment'}
+                            </p>
+                          </div>
+
+                          {!isCounselor && comment.kind === 'suggestion' && comment.status === 'open' && (
+                            <div className="flex gap-1 flex-shrink-0">
+                              <Button size="sm" onClick={() => handleRespond(comment, true)} disabled={busy}>
+                                <Check className="h-3.5 w-3.5 mr-1" />
+                                Accept
+                              </Button>
+                              <Button size="sm" variant="outline" onClick={() => handleRespond(comment, false)} disabled={busy}>
+                                <X className="h-3.5 w-3.5 mr-1" />
+                                Reject
+                              </Button>
+                            </div>
+                          )}
+
+                          {canComment && comment.status === 'open' && (
+                            <button
+                              onClick={() => handleDelete(comment)}
+                              className="text-gray-400 hover:text-red-600"
+                              aria-label="Delete comment"
+                            >
+                              <Trash2 className="h-4 w-4" />
+                            </button>
+                          )}
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )
+          })}
+        </div>
+
+        {canComment && (
+          <DialogFooter>
+            <Button variant="outline" onClick={() => onOpenChange(false)}>Close</Button>
+            <Button onClick={handleSendFeedback} disabled={busy || comments.length === 0}>
+              Send Feedback to Student
+            </Button>
+          </DialogFooter>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,67 @@
+import { AlertTriangle, History } from 'lucide-react'
+import { Button } from './ui/button'
+import { getDeviceId } from '../lib/draftStore'
+
+const formatTime = (value) => new Date(value).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })
+
+const STATUS_TEXT = {
+  saving: 'Saving draft...',
+  offline: 'Offline - draft saved on this device, will sync when you reconnect',
+  error: 'Draft saved on this device, but could not sync',
+  conflict: 'Sync paused - resolve the conflict above'
+}
+
+// One-line autosave state for a builder header or toolbar
+export function DraftStatus({ draft, className = 'text-sm text-gray-500' }) {
+  const text = STATUS_TEXT[draft.status] ||
+    (draft.savedAt && `Draft saved at ${draft.savedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`)
+  return text ? <span className={className}>{text}</span> : null
+}
+
+/**
+ * Prompts from useDocumentDraft: restore an unsaved draft found on load, or
+ * choose between this device's draft and one edited elsewhere.
+ */
+export default function DraftRecoveryBanner({ draft }) {
+  if (draft.conflict) {
+    const elsewhere = draft.conflict.device_id === getDeviceId() ? 'in another tab' : 'on another device'
+
+    return (
+      <div className="flex flex-wrap items-center justify-between gap-3 p-4 mb-6 bg-amber-50 border border-amber-200 rounded-lg">
+        <div className="flex items-start gap-3">
+          <AlertTriangle className="h-5 w-5 text-amber-600 flex-shrink-0 mt-0.5" />
+          <div>
+            <p className="text-sm font-medium text-amber-900">This draft was also edited {elsewhere}</p>
+            <p className="text-sm text-amber-800">
+              The other version was saved {formatTime(draft.conflict.updated_at)}. Choose which one to keep.
+            </p>
+          </div>
+        </div>
+        <div className="flex gap-2">
+          <Button size="sm" variant="outline" onClick={() => draft.resolveConflict('theirs')}>Use Other Version</Button>
+          <Button size="sm" onClick={() => draft.resolveConflict('mine')}>Keep This Version</Button>
+        </div>
+      </div>
+    )
+  }
+
+  if (!draft.recovery) return null
+
+  return (
+    <div className="flex flex-wrap items-center justify-between gap-3 p-4 mb-6 bg-blue-50 border border-blue-200 rounded-lg">
+      <div className="flex items-start gap-3">
+        <History className="h-5 w-5 text-blue-600 flex-shrink-0 mt-0.5" />
+        <div>
+          <p className="text-sm font-medium text-blue-900">Restore unsaved draft?</p>
+          <p className="text-sm text-blue-800">
+            {draft.recovery.source === 'account' ? 'Your account has' : 'This browser has'} a draft from {formatTime(draft.recovery.savedAt)}.
+          </p>
+        </div>
+      </div>
+      <div className="flex gap-2">
+        <Button size="sm" variant="outline" onClick={draft.discard}>Discard</Button>
+        <Button size="sm" onClick={draft.restore}>Restore Draft</Button>
+      </div>
+    </div>
+  )
+}
@@ -37,6 +37,10 @@ import {
   AlertCircle
 } from 'lucide-react'
 import Sidebar from './Sidebar'
+import QualificationConverter from './QualificationConverter'
+import { formatRange } from '../lib/qualificationConverter'
+import { ScholarshipCriteriaService } from '../lib/scholarshipCriteriaService'
+import { scholarshipEligibility } from '../lib/scholarshipCriteria'
 
 export default function EligibilityChecker({ isMobileMenuOpen, onMobileMenuClose }) {
   const [studentProfile, setStudentProfile] = useState({
@@ -61,11 +65,14 @@ export default function EligibilityChecker({ isMobileMenuOpen, onMobileMenuClose
     volunteerHours: '',
     workExperience: '',
     sportsLevel: '',
-    disabilityStatus: false
+    disabilityStatus: false,
+    // { qualification, name, score, maxScore, low, high } from QualificationConverter
+    atarEquivalent: null
   })
 
   const [eligibilityResults, setEligibilityResults] = useState([])
   const [loading, setLoading] = useState(false)
+  const [error, setError] = useState('')
   const [profileComplete, setProfileComplete] = useState(false)
   const [selectedScholarship, setSelectedScholarship] = useState(null)
   const [activeTab, setActiveTab] = useState('profile')
@@ -90,133 +97,25 @@ export default function EligibilityChecker({ isMobileMenuOpen, onMobileMenuClose
 
   const runEligibilityCheck = async () => {
     if (!profileComplete) {
-      alert('Please complete your profile first')
+      setError('Please complete your profile first')
       return
     }
 
     try {
       setLoading(true)
+      setError('')
       
-      // Mock eligibility check - in real app would use AI service and database
-      await new Promise(resolve => setTimeout(resolve, 2000))
-      
-      const mockResults = [
-        {
-          scholarshipId: '1',
-          scholarshipName: 'Women in STEM Excellence Scholarship',
-          provider: 'Tech Industry Foundation',
-          amount: 10000,
-          eligibilityStatus: 'highly_eligible',
-          eligibilityScore: 95,
-          matchReasons: [
-            'Female gender matches requirement',
-            'STEM field of study requirement met',
-            'GPA exceeds minimum requirement (6.2 > 5.0)',
-            'Undergraduate level matches criteria'
-          ],
-          missingCriteria: [],
-          improvementSuggestions: [
-            'Consider highlighting leadership experience in STEM contexts',
-            'Document any relevant project work or internships'
-          ],
-          deadline: '2024-08-31',
-          tags: ['women', 'stem', 'merit-based']
-        },
-        {
-          scholarshipId: '2',
-          scholarshipName: 'Australian Government Research Training Program',
-          provider: 'Australian Government',
-          amount: 28854,
-          eligibilityStatus: 'partially_eligible',
-          eligibilityScore: 65,
-          matchReasons: [
-            'Australian citizenship requirement met',
-            'Strong academic performance (GPA 6.2/7.0)'
-          ],
-          missingCriteria: [
-            'Requires postgraduate enrollment (currently undergraduate)',
-            'Research proposal required for application'
-          ],
-          improvementSuggestions: [
-            'Consider applying after completing undergraduate degree',
-            'Start developing research interests and connect with potential supervisors',
-            'Maintain high GPA for future eligibility'
-          ],
-          deadline: '2024-10-31',
-          tags: ['research', 'postgraduate', 'government']
-        },
-        {
-          scholarshipId: '3',
-          scholarshipName: 'Rural and Regional Student Support',
-          provider: 'Regional Education Foundation',
-          amount: 8000,
-          eligibilityStatus: 'not_eligible',
-          eligibilityScore: 25,
-          matchReasons: [
-            'Australian citizenship requirement met',
-            'Enrolled in eligible program'
-          ],
-          missingCriteria: [
-            'Requires rural/regional area residence',
-            'Demonstrated financial need required'
-          ],
-          improvementSuggestions: [
-            'This scholarship is specifically for rural/regional students',
-            'Consider other need-based scholarships if financial support is needed'
-          ],
-          deadline: '2024-12-31',
-          tags: ['rural', 'regional', 'need-based']
-        },
-        {
-          scholarshipId: '4',
-          scholarshipName: 'First Generation University Student Grant',
-          provider: 'Education Access Foundation',
-          amount: 5000,
-          eligibilityStatus: 'eligible',
-          eligibilityScore: 85,
-          matchReasons: [
-            'First-generation university student status',
-            'Academic merit demonstrated',
-            'Enrolled in eligible program'
-          ],
-          missingCriteria: [
-            'Financial need assessment required'
-          ],
-          improvementSuggestions: [
-            'Complete financial need documentation',
-            'Prepare personal statement about first-generation experience'
-          ],
-          deadline: '2024-10-31',
-          tags: ['first-generation', 'equity', 'access']
-        },
-        {
-          scholarshipId: '5',
-          scholarshipName: 'International Student Excellence Award',
-          provider: 'Global Education Partners',
-          amount: 20000,
-          eligibilityStatus: 'not_eligible',
-          eligibilityScore: 15,
-          matchReasons: [
-            'Strong academic performance',
-            'Enrolled in eligible program'
-          ],
-          missingCriteria: [
-            'Requires international student status',
-            'Community involvement documentation needed'
-          ],
-          improvementSuggestions: [
-            'This scholarship is specifically for international students',
-            'Consider domestic student scholarships instead'
-          ],
-          deadline: '2024-07-15',
-          tags: ['international', 'excellence', 'merit-based']
-        }
-      ]
-      
-      setEligibilityResults(mockResults)
+      const response = await ScholarshipCriteriaService.getScholarships()
+      if (!response.success) {
+        setError(`Could not load scholarships: ${response.error}`)
+        return
+      }
+
+      setEligibilityResults(response.data.map(scholarship => scholarshipEligibility(scholarship, studentProfile)))
       setActiveTab('results')
     } catch (error) {
       console.error('Error running eligibility check:', error)
+      setError('Could not run the eligibility check. Please try again.')
     } finally {
       setLoading(false)
     }
@@ -377,6 +276,12 @@ export default function EligibilityChecker({ isMobileMenuOpen, onMobileMenuClose
                           </>
                         )}
                       </Button>
+                      {error && (
+                        <p className="mt-3 flex items-start gap-2 text-sm text-red-600">
+                          <AlertCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+                          {error}
+                        </p>
+                      )}
                     </CardContent>
                   </Card>
 
@@ -479,6 +384,35 @@ export default function EligibilityChecker({ isMobileMenuOpen, onMobileMenuClose
                     </CardContent>
                   </Card>
 
+                  {/* International Qualification */}
+                  <Card className="shadow-lg border-0">
+                    <CardHeader>
+                      <CardTitle className="flex items-center">
+                        <Globe className="h-5 w-5 mr-2 text-purple-600" />
+                        International Qualification
+                      </CardTitle>
+                      <p className="text-sm text-gray-600">
+                        Finishing school overseas? Add your ATAR equivalent so merit criteria can be checked against it.
+                      </p>
+                    </CardHeader>
+                    <CardContent className="space-y-4">
+                      <QualificationConverter
+                        onConvert={(equivalent) => updateProfile('atarEquivalent', equivalent)}
+                        actionLabel="Add to profile"
+                      />
+                      {studentProfile.atarEquivalent && (
+                        <div className="flex items-center justify-between gap-3 text-sm">
+                          <span className="text-gray-700">
+                            Profile ATAR equivalent: <strong>{formatRange(studentProfile.atarEquivalent)}</strong> ({studentProfile.atarEquivalent.name})
+                          </span>
+                          <Button variant="outline" size="sm" onClick={() => updateProfile('atarEquivalent', null)}>
+                            Remove
+                          </Button>
+                        </div>
+                      )}
+                    </CardContent>
+                  </Card>
+
                   {/* Personal Information */}
                   <Card className="shadow-lg border-0">
                     <CardHeader>
@@ -753,7 +687,7 @@ export default function EligibilityChecker({ isMobileMenuOpen, onMobileMenuClose
                                         ${result.amount.toLocaleString()}
                                       </div>
                                       <div className={`text-sm ${getDeadlineColor(daysUntilDeadline)}`}>
-                                        {daysUntilDeadline > 0 ? `${daysUntilDeadline} days left` : 'Deadline passed'}
+                                        {!result.deadline ? 'No deadline' : daysUntilDeadline > 0 ? `${daysUntilDeadline} days left` : 'Deadline passed'}
                                       </div>
                                     </div>
                                   </div>
@@ -1,32 +1,69 @@
-import React, { useState } from 'react';
-import { FileText, Download, Save, Eye, Lightbulb, AlertCircle, CheckCircle } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { FileText, Download, Save, Eye, Lightbulb, AlertCircle, CheckCircle, Plus } from 'lucide-react';
 import Sidebar from './Sidebar';
+import TemplatePreview from './TemplatePreview';
+import DraftRecoveryBanner, { DraftStatus } from './DraftRecoveryBanner';
+import { useAuth } from '../contexts/AuthContext';
+import useDocumentDraft from '../hooks/useDocumentDraft';
+import exportService from '../lib/exportService';
+import { GTEStatementService } from '../lib/gteStatementService';
+import { GTE_FIELDS, validateGTEStatement } from '../lib/gteChecklist';
+
+const STATUS_STYLES = {
+  ok: 'text-green-600',
+  thin: 'text-amber-600',
+  missing: 'text-red-600',
+  over: 'text-red-600'
+};
+
+const createEmptyStatement = () => ({
+  personalInfo: {
+    fullName: '',
+    dateOfBirth: '',
+    nationality: '',
+    passportNumber: ''
+  },
+  educationBackground: '',
+  workExperience: '',
+  courseDetails: {
+    courseName: '',
+    institution: '',
+    duration: '',
+    startDate: ''
+  },
+  financialCapacity: '',
+  familyTies: '',
+  returnPlans: '',
+  immigrationHistory: '',
+  additionalInfo: ''
+});
 
 const GTEVisaStatementBuilder = () => {
+  const { user } = useAuth();
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
-  const [formData, setFormData] = useState({
-    personalInfo: {
-      fullName: '',
-      dateOfBirth: '',
-      nationality: '',
-      passportNumber: ''
-    },
-    educationBackground: '',
-    workExperience: '',
-    courseDetails: {
-      courseName: '',
-      institution: '',
-      duration: '',
-      startDate: ''
-    },
-    financialCapacity: '',
-    familyTies: '',
-    returnPlans: '',
-    additionalInfo: ''
-  });
+  const [formData, setFormData] = useState(createEmptyStatement);
+  const [statementId, setStatementId] = useState(null);
+  const [statements, setStatements] = useState([]);
+  const [saveMessage, setSaveMessage] = useState(null);
+  const [exportMessage, setExportMessage] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
 
   const [currentSection, setCurrentSection] = useState('personal');
   const [isPreviewMode, setIsPreviewMode] = useState(false);
+  const draft = useDocumentDraft({
+    docType: 'gte',
+    userId: user?.id,
+    value: formData,
+    // Drafts from before a field was added still get every field
+    onRestore: (data) => setFormData({ ...createEmptyStatement(), ...data })
+  });
+  const checklist = validateGTEStatement(formData);
+
+  useEffect(() => {
+    if (!user) return;
+    GTEStatementService.getUserStatements(user.id).then(result => setStatements(result.data));
+  }, [user]);
 
   const sections = [
     { id: 'personal', title: 'Personal Information', icon: FileText },
@@ -35,6 +72,7 @@ const GTEVisaStatementBuilder = () => {
     { id: 'financial', title: 'Financial Capacity', icon: FileText },
     { id: 'ties', title: 'Family & Home Ties', icon: FileText },
     { id: 'return', title: 'Return Plans', icon: FileText },
+    { id: 'immigration', title: 'Immigration History', icon: FileText },
     { id: 'additional', title: 'Additional Information', icon: FileText }
   ];
 
@@ -55,53 +93,38 @@ const GTEVisaStatementBuilder = () => {
     }
   };
 
-  const generateStatement = () => {
-    return `GENUINE TEMPORARY ENTRANT (GTE) STATEMENT
-
-Personal Information:
-Name: ${formData.personalInfo.fullName}
-Date of Birth: ${formData.personalInfo.dateOfBirth}
-Nationality: ${formData.personalInfo.nationality}
-Passport Number: ${formData.personalInfo.passportNumber}
-
-Education Background:
-${formData.educationBackground}
-
-Work Experience:
-${formData.workExperience}
-
-Course Details:
-Course: ${formData.courseDetails.courseName}
-Institution: ${formData.courseDetails.institution}
-Duration: ${formData.courseDetails.duration}
-Start Date: ${formData.courseDetails.startDate}
-
-Financial Capacity:
-${formData.financialCapacity}
-
-Family and Home Country Ties:
-${formData.familyTies}
+  const handleSave = async () => {
+    if (!user) {
+      setSaveMessage('Please sign in to save your statement');
+      return;
+    }
 
-Return Plans:
-${formData.returnPlans}
+    setIsSaving(true);
+    const result = await GTEStatementService.saveStatement({ id: statementId, formData }, user.id);
+    setIsSaving(false);
 
-Additional Information:
-${formData.additionalInfo}
+    if (result.success) {
+      setStatementId(result.data.id);
+      setStatements(prev => [result.data, ...prev.filter(item => item.id !== result.data.id)]);
+      setSaveMessage(`Saved at ${new Date().toLocaleTimeString()}`);
+    } else {
+      setSaveMessage('Failed to save: ' + result.error);
+    }
+  };
 
-I declare that the information provided in this statement is true and accurate to the best of my knowledge.`;
+  const loadStatement = (id) => {
+    const record = statements.find(item => String(item.id) === id);
+    setStatementId(record?.id || null);
+    setFormData({ ...createEmptyStatement(), ...record?.data });
+    setSaveMessage(null);
+    setExportMessage(null);
   };
 
-  const downloadStatement = () => {
-    const statement = generateStatement();
-    const blob = new Blob([statement], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'GTE_Statement.txt';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+  const downloadStatement = async (format) => {
+    setIsExporting(true);
+    const result = await exportService.exportGTEStatement(formData, format);
+    setIsExporting(false);
+    setExportMessage(result.message);
   };
 
   const renderPersonalSection = () => (
@@ -174,6 +197,13 @@ I declare that the information provided in this statement is true and accurate t
           className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
           placeholder={placeholder}
         />
+        {GTE_FIELDS[field] && (
+          <p className={`text-sm mt-1 ${STATUS_STYLES[checklist.fields[field].status]}`}>
+            {checklist.fields[field].words} / {GTE_FIELDS[field].maxWords} words
+            {checklist.fields[field].status === 'over' && ' - over the limit, shorten this section before exporting'}
+            {checklist.fields[field].status === 'thin' && ` - aim for at least ${GTE_FIELDS[field].minWords} words`}
+          </p>
+        )}
       </div>
     </div>
   );
@@ -276,6 +306,18 @@ I declare that the information provided in this statement is true and accurate t
             'Show commitment to returning to your home country'
           ]
         );
+      case 'immigration':
+        return renderTextAreaSection(
+          'immigrationHistory',
+          'Immigration History',
+          'List any previous visas to Australia or other countries, and any refusals or cancellations...',
+          [
+            'List previous Australian and overseas visas, with dates',
+            'Explain any visa refusals, cancellations or overstays honestly',
+            'Mention how you complied with past visa conditions',
+            'If you have never held a visa or travelled, say so clearly'
+          ]
+        );
       case 'additional':
         return renderTextAreaSection(
           'additionalInfo',
@@ -301,7 +343,7 @@ I declare that the information provided in this statement is true and accurate t
           <div className="text-center">
             <h1 className="text-4xl font-bold mb-4">GTE Visa Statement Builder</h1>
             <p className="text-xl text-purple-100 max-w-3xl mx-auto">
-              Create a comprehensive Genuine Temporary Entrant statement for your Australian student visa application
+              Create a Genuine Student (formerly GTE) statement for your Australian student visa application, checked against the requirement criteria
             </p>
           </div>
         </div>
@@ -316,14 +358,44 @@ I declare that the information provided in this statement is true and accurate t
         
         <div className="flex-1 w-full md:w-auto transition-all duration-300">
           <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+            <DraftRecoveryBanner draft={draft} />
+
             <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
               {/* Navigation Sidebar */}
               <div className="lg:col-span-1">
                 <div className="bg-white rounded-lg shadow-sm p-6 sticky top-8">
+                  {user && (
+                    <div className="mb-6 pb-6 border-b border-gray-200">
+                      <label className="block text-sm font-medium text-gray-700 mb-2">Saved Statements</label>
+                      <select
+                        value={statementId ? String(statementId) : ''}
+                        onChange={(e) => loadStatement(e.target.value)}
+                        className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                      >
+                        <option value="">New statement</option>
+                        {statements.map(item => (
+                          <option key={item.id} value={String(item.id)}>
+                            {item.title} ({item.word_count} words)
+                          </option>
+                        ))}
+                      </select>
+                      {statementId && (
+                        <button
+                          onClick={() => loadStatement('')}
+                          className="w-full flex items-center justify-center px-3 py-1.5 mt-2 text-sm text-purple-600 hover:bg-purple-50 rounded-lg"
+                        >
+                          <Plus className="w-4 h-4 mr-1" />
+                          Start a new statement
+                        </button>
+                      )}
+                    </div>
+                  )}
+
                   <h3 className="font-semibold text-gray-900 mb-4">Statement Sections</h3>
                   <nav className="space-y-2">
                     {sections.map((section) => {
                       const Icon = section.icon;
+                      const check = Object.values(checklist.fields).find(item => item.section === section.id);
                       return (
                         <button
                           key={section.id}
@@ -335,7 +407,10 @@ I declare that the information provided in this statement is true and accurate t
                           }`}
                         >
                           <Icon className="w-4 h-4 mr-3" />
-                          {section.title}
+                          <span className="flex-1 text-left">{section.title}</span>
+                          {check && (check.status === 'ok'
+                            ? <CheckCircle className={`w-4 h-4 ${STATUS_STYLES.ok}`} />
+                            : <AlertCircle className={`w-4 h-4 ${STATUS_STYLES[check.status]}`} />)}
                         </button>
                       );
                     })}
@@ -347,16 +422,37 @@ I declare that the information provided in this statement is true and accurate t
                       className="w-full flex items-center justify-center px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700 transition-colors"
                     >
                       <Eye className="w-4 h-4 mr-2" />
-                      {isPreviewMode ? 'Edit Mode' : 'Preview'}
+                      {isPreviewMode ? 'Edit Mode' : 'Preview & Checklist'}
                     </button>
-                    
+
                     <button
-                      onClick={downloadStatement}
-                      className="w-full flex items-center justify-center px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors mt-2"
+                      onClick={handleSave}
+                      disabled={isSaving}
+                      className="w-full flex items-center justify-center px-4 py-2 text-purple-600 border border-purple-600 rounded-lg hover:bg-purple-50 transition-colors mt-2 disabled:opacity-50"
                     >
-                      <Download className="w-4 h-4 mr-2" />
-                      Download
+                      <Save className="w-4 h-4 mr-2" />
+                      {isSaving ? 'Saving...' : 'Save Statement'}
                     </button>
+                    {saveMessage && <p className="text-xs text-gray-500 mt-2 text-center">{saveMessage}</p>}
+                    
+                    <div className="grid grid-cols-2 gap-2 mt-2">
+                      {[['pdf', 'PDF'], ['docx', 'Word']].map(([format, label]) => (
+                        <button
+                          key={format}
+                          onClick={() => downloadStatement(format)}
+                          disabled={!checklist.canExport || isExporting}
+                          title={checklist.canExport ? `Download as ${label}` : checklist.blocking.join(' ')}
+                          className="flex items-center justify-center px-3 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                          <Download className="w-4 h-4 mr-1" />
+                          {label}
+                        </button>
+                      ))}
+                    </div>
+                    {!checklist.canExport && (
+                      <p className="text-xs text-red-600 mt-2">{checklist.blocking.length} issue{checklist.blocking.length === 1 ? '' : 's'} to fix before downloading - see Preview & Checklist.</p>
+                    )}
+                    {exportMessage && <p className="text-xs text-gray-500 mt-2">{exportMessage}</p>}
                   </div>
                 </div>
               </div>
@@ -368,26 +464,53 @@ I declare that the information provided in this statement is true and accurate t
                     <div className="space-y-6">
                       <div className="flex items-center justify-between">
                         <h2 className="text-2xl font-bold text-gray-900">Statement Preview</h2>
-                        <div className="flex space-x-2">
-                          <button
-                            onClick={() => setIsPreviewMode(false)}
-                            className="px-4 py-2 text-purple-600 border border-purple-600 rounded-lg hover:bg-purple-50"
-                          >
-                            Edit
-                          </button>
-                          <button
-                            onClick={downloadStatement}
-                            className="px-4 py-2 bg-purple-600 text-white rounded-lg hover:bg-purple-700"
-                          >
-                            <Download className="w-4 h-4 mr-2 inline" />
-                            Download
-                          </button>
+                        <button
+                          onClick={() => setIsPreviewMode(false)}
+                          className="px-4 py-2 text-purple-600 border border-purple-600 rounded-lg hover:bg-purple-50"
+                        >
+                          Edit
+                        </button>
+                      </div>
+
+                      <div className="border border-gray-200 rounded-lg p-4">
+                        <div className="flex items-center justify-between mb-3">
+                          <h3 className="font-semibold text-gray-900">Genuine Student Checklist</h3>
+                          <span className="text-sm text-gray-500">{checklist.totalWords} words</span>
                         </div>
+                        {checklist.blocking.length > 0 && (
+                          <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-3">
+                            <p className="text-sm font-medium text-red-800 mb-1">Fix before downloading:</p>
+                            <ul className="text-sm text-red-700 space-y-1">
+                              {checklist.blocking.map(item => <li key={item}>• {item}</li>)}
+                            </ul>
+                          </div>
+                        )}
+                        <ul className="space-y-3">
+                          {checklist.criteria.map(criterion => (
+                            <li key={criterion.id} className="flex items-start space-x-2">
+                              {criterion.status === 'ok'
+                                ? <CheckCircle className={`w-5 h-5 mt-0.5 flex-shrink-0 ${STATUS_STYLES.ok}`} />
+                                : <AlertCircle className={`w-5 h-5 mt-0.5 flex-shrink-0 ${STATUS_STYLES[criterion.status]}`} />}
+                              <div>
+                                <p className="font-medium text-gray-900">{criterion.label}</p>
+                                <p className="text-sm text-gray-500">{criterion.description}</p>
+                                {criterion.messages.map(message => (
+                                  <p key={message} className={`text-sm ${STATUS_STYLES[criterion.status]}`}>{message}</p>
+                                ))}
+                              </div>
+                            </li>
+                          ))}
+                        </ul>
                       </div>
-                      <div className="bg-gray-50 p-6 rounded-lg">
-                        <pre className="whitespace-pre-wrap text-sm text-gray-800 font-mono">
-                          {generateStatement()}
-                        </pre>
+
+                      <div className="bg-gray-50 p-6 rounded-lg overflow-x-auto">
+                        <TemplatePreview
+                          html={exportService.renderGTEHTML(formData)}
+                          width={600}
+                          scrollable
+                          title="GTE statement preview"
+                          className="mx-auto"
+                        />
                       </div>
                     </div>
                   ) : (
@@ -396,10 +519,14 @@ I declare that the information provided in this statement is true and accurate t
                         <h2 className="text-2xl font-bold text-gray-900">
                           {sections.find(s => s.id === currentSection)?.title}
                         </h2>
-                        <div className="flex items-center space-x-2 text-sm text-gray-500">
-                          <CheckCircle className="w-4 h-4" />
-                          <span>Auto-saved</span>
-                        </div>
+                        {draft.savedAt && draft.status === 'saved' ? (
+                          <div className="flex items-center space-x-2 text-sm text-gray-500">
+                            <CheckCircle className="w-4 h-4" />
+                            <DraftStatus draft={draft} />
+                          </div>
+                        ) : (
+                          <DraftStatus draft={draft} />
+                        )}
                       </div>
                       
                       {renderCurrentSection()}
@@ -3,6 +3,7 @@ import { Search, User, Settings, Globe, GraduationCap, BookOpen, Star, ChevronDo
 import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import { realDatabaseService } from '../services/realDatabaseService'
+import NotificationBell from './NotificationBell'
 
 const Header = () => {
   const navigate = useNavigate()
@@ -400,6 +401,8 @@ const Header = () => {
           <div className="flex items-center space-x-1 md:space-x-4">
             {isAuthenticated ? (
               <div className="flex items-center space-x-1 md:space-x-4">
+                <NotificationBell email={user?.email} />
+
                 {/* User Greeting */}
                 <div className="hidden lg:flex items-center space-x-2 text-purple-600 font-medium">
                   <User className="w-5 h-5" />
@@ -3,6 +3,7 @@ import { Search, User, Settings, Globe, GraduationCap, BookOpen, Star, ChevronDo
 import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
 import { realDatabaseService } from '../services/realDatabaseService'
+import NotificationBell from './NotificationBell'
 
 const HeaderWithDropdowns = () => {
   const navigate = useNavigate()
@@ -350,6 +351,7 @@ const HeaderWithDropdowns = () => {
 
           {/* Action Buttons */}
           <div className="desktop-header-buttons flex items-center space-x-1 sm:space-x-4">
+            {user && <NotificationBell email={user.email} />}
             {user ? (
               // Logged in user menu - Simplified for mobile
               <div className="relative">
@@ -0,0 +1,96 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { MessageSquare } from 'lucide-react';
+import messagingService from '../services/messagingService';
+import MessageThread from './MessageThread';
+
+/**
+ * Conversation list plus the open thread. role is 'student' or 'counselor';
+ * participantId is counselor_requests.student_id or the counselor id.
+ */
+const MessageCenter = ({ role, participantId, onUnreadChange }) => {
+  const [conversations, setConversations] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const loadConversations = useCallback(async () => {
+    const result = role === 'student'
+      ? await messagingService.getStudentConversations(participantId)
+      : await messagingService.getCounselorConversations(participantId);
+
+    setConversations(result.data);
+    setSelectedId(current => current ?? result.data[0]?.id ?? null);
+    onUnreadChange?.(result.data.reduce((total, conversation) => total + conversation.unreadCount, 0));
+    setLoading(false);
+  }, [role, participantId, onUnreadChange]);
+
+  useEffect(() => {
+    if (!participantId) return;
+
+    loadConversations();
+    return messagingService.subscribeToInbox(role, participantId, loadConversations);
+  }, [role, participantId, loadConversations]);
+
+  const selected = conversations.find(conversation => conversation.id === selectedId);
+
+  if (loading) {
+    return <p className="text-sm text-gray-500 p-6">Loading messages...</p>;
+  }
+
+  if (conversations.length === 0) {
+    return (
+      <div className="text-center py-8">
+        <MessageSquare className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+        <p className="text-gray-600">No conversations yet</p>
+        <p className="text-sm text-gray-500 mt-2">
+          {role === 'student'
+            ? 'You can message your counselor once your connection is approved'
+            : 'Approved students will appear here'}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex h-[32rem] border border-gray-200 rounded-lg overflow-hidden">
+      <div className="w-64 border-r border-gray-200 overflow-y-auto">
+        {conversations.map(conversation => (
+          <button
+            key={conversation.id}
+            onClick={() => setSelectedId(conversation.id)}
+            className={`w-full text-left px-4 py-3 border-b border-gray-100 ${
+              conversation.id === selectedId ? 'bg-purple-50' : 'hover:bg-gray-50'
+            }`}
+          >
+            <div className="flex items-center justify-between">
+              <span className={`text-sm truncate ${conversation.unreadCount > 0 ? 'font-semibold text-gray-900' : 'text-gray-800'}`}>
+                {conversation.participantName}
+              </span>
+              {conversation.unreadCount > 0 && (
+                <span className="ml-2 min-w-[1.25rem] text-center text-xs bg-purple-600 text-white rounded-full px-1.5">
+                  {conversation.unreadCount}
+                </span>
+              )}
+            </div>
+            <p className="text-xs text-gray-500 truncate mt-1">
+              {conversation.last_message_preview || 'No messages yet'}
+            </p>
+          </button>
+        ))}
+      </div>
+
+      <div className="flex-1">
+        {selected && (
+          <MessageThread
+            key={selected.id}
+            conversation={selected}
+            role={role}
+            senderId={participantId}
+            onRead={loadConversations}
+          />
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default MessageCenter;
@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Paperclip, Send, Check, CheckCheck, FileText, X } from 'lucide-react';
+import messagingService from '../services/messagingService';
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+  ? `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+  : `${Math.max(1, Math.round(bytes / 1024))} KB`);
+
+// One conversation: live message list, read receipts and a composer with attachments
+const MessageThread = ({ conversation, role, senderId, onRead }) => {
+  const [messages, setMessages] = useState([]);
+  const [body, setBody] = useState('');
+  const [files, setFiles] = useState([]);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  const endRef = useRef(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const refresh = async () => {
+      const result = await messagingService.getMessages(conversation.id);
+      if (cancelled) return;
+      setMessages(result.data);
+
+      // Opening the thread is what sends read receipts
+      if (result.data.some(message => message.sender_role !== role && !message.read_at)) {
+        await messagingService.markConversationRead(conversation.id, role);
+        onRead?.();
+      }
+    };
+
+    refresh();
+    const unsubscribe = messagingService.subscribeToConversation(conversation.id, refresh);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [conversation.id, role, onRead]);
+
+  useEffect(() => {
+    endRef.current?.scrollIntoView({ behavior: 'smooth' });
+  }, [messages.length]);
+
+  const handleSend = async () => {
+    setSending(true);
+    setError(null);
+
+    const result = await messagingService.sendMessage(conversation, { senderRole: role, senderId, body, files });
+    if (result.success) {
+      setMessages(prev => (prev.some(message => message.id === result.data.id) ? prev : [...prev, result.data]));
+      setBody('');
+      setFiles([]);
+    } else {
+      setError(result.error);
+    }
+    setSending(false);
+  };
+
+  const openAttachment = async (attachment) => {
+    const result = await messagingService.getAttachmentUrl(attachment.path);
+    if (result.success) {
+      window.open(result.data, '_blank', 'noopener');
+    } else {
+      setError('Could not open the attachment.');
+    }
+  };
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="px-4 py-3 border-b border-gray-200">
+        <h4 className="font-semibold text-gray-900">{conversation.participantName}</h4>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-3">
+        {messages.length === 0 && (
+          <p className="text-sm text-gray-500 text-center py-8">No messages yet. Say hello!</p>
+        )}
+        {messages.map(message => {
+          const own = message.sender_role === role;
+          return (
+            <div key={message.id} className={`flex ${own ? 'justify-end' : 'justify-start'}`}>
+              <div className={`max-w-[75%] rounded-lg px-3 py-2 ${own ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-900'}`}>
+                {message.body && <p className="text-sm whitespace-pre-wrap">{message.body}</p>}
+                {(message.attachments || []).map(attachment => (
+                  <button
+                    key={attachment.path}
+                    onClick={() => openAttachment(attachment)}
+                    className={`mt-1 flex items-center gap-2 text-xs underline ${own ? 'text-purple-100' : 'text-purple-700'}`}
+                  >
+                    <FileText className="h-3 w-3" />
+                    {attachment.name} ({formatSize(attachment.size)})
+                  </button>
+                ))}
+                <div className={`mt-1 flex items-center justify-end gap-1 text-[10px] ${own ? 'text-purple-200' : 'text-gray-500'}`}>
+                  {new Date(message.created_at).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' })}
+                  {own && (message.read_at
+                    ? <CheckCheck className="h-3 w-3" aria-label="Read" />
+                    : <Check className="h-3 w-3" aria-label="Sent" />)}
+                </div>
+              </div>
+            </div>
+          );
+        })}
+        <div ref={endRef} />
+      </div>
+
+      <div className="border-t border-gray-200 p-3">
+        {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+        {files.length > 0 && (
+          <div className="flex flex-wrap gap-2 mb-2">
+            {files.map((file, index) => (
+              <span key={`${file.name}-${index}`} className="flex items-center gap-1 text-xs bg-gray-100 rounded px-2 py-1">
+                {file.name}
+                <button onClick={() => setFiles(prev => prev.filter((_, i) => i !== index))}>
+                  <X className="h-3 w-3" />
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+        <div className="flex items-end gap-2">
+          <input
+            ref={fileInputRef}
+            type="file"
+            multiple
+            className="hidden"
+            onChange={(e) => {
+              setFiles(prev => [...prev, ...Array.from(e.target.files)]);
+              e.target.value = '';
+            }}
+          />
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            className="p-2 text-gray-500 hover:text-purple-600"
+            aria-label="Attach file"
+          >
+            <Paperclip className="h-5 w-5" />
+          </button>
+          <textarea
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                if (!sending) handleSend();
+              }
+            }}
+            rows={2}
+            placeholder="Write a message..."
+            className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm resize-none"
+          />
+          <button
+            onClick={handleSend}
+            disabled={sending || (!body.trim() && files.length === 0)}
+            className="p-2 bg-purple-600 text-white rounded-md hover:bg-purple-700 disabled:opacity-50"
+            aria-label="Send"
+          >
+            <Send className="h-5 w-5" />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MessageThread;
@@ -0,0 +1,123 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useNavigate } from 'react-router-dom'
+import { Bell, Settings } from 'lucide-react'
+import { Popover, PopoverContent, PopoverTrigger } from './ui/popover'
+import notificationService from '../services/notificationService'
+import NotificationPreferencesDialog from './NotificationPreferencesDialog'
+
+const timeAgo = (dateString) => {
+  const minutes = Math.round((Date.now() - new Date(dateString).getTime()) / 60000)
+  if (minutes < 1) return 'Just now'
+  if (minutes < 60) return `${minutes}m ago`
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)}h ago`
+  return new Date(dateString).toLocaleDateString()
+}
+
+// Header bell: unread badge, latest notifications and channel preferences
+export default function NotificationBell({ email }) {
+  const navigate = useNavigate()
+  const [notifications, setNotifications] = useState([])
+  const [unreadCount, setUnreadCount] = useState(0)
+  const [preferencesOpen, setPreferencesOpen] = useState(false)
+
+  const loadNotifications = useCallback(async () => {
+    const [listResult, count] = await Promise.all([
+      notificationService.getNotifications(email),
+      notificationService.getUnreadCount(email)
+    ])
+    setNotifications(listResult.data)
+    setUnreadCount(count)
+  }, [email])
+
+  useEffect(() => {
+    if (!email) return
+    loadNotifications()
+    return notificationService.subscribe(email, loadNotifications)
+  }, [email, loadNotifications])
+
+  const handleOpen = async (notification) => {
+    if (!notification.read_at) {
+      await notificationService.markRead(notification.id)
+      loadNotifications()
+    }
+    if (notification.action_url) navigate(notification.action_url)
+  }
+
+  const handleMarkAllRead = async () => {
+    await notificationService.markAllRead(email)
+    loadNotifications()
+  }
+
+  if (!email) return null
+
+  return (
+    <>
+      <Popover>
+        <PopoverTrigger asChild>
+          <button
+            className="relative p-2 text-purple-600 hover:text-purple-700 hover:bg-purple-50 rounded-lg transition-colors"
+            aria-label={unreadCount > 0 ? `Notifications (${unreadCount} unread)` : 'Notifications'}
+          >
+            <Bell className="w-5 h-5" />
+            {unreadCount > 0 && (
+              <span className="absolute -top-0.5 -right-0.5 min-w-[1.1rem] h-[1.1rem] px-1 bg-red-600 text-white text-[10px] font-semibold rounded-full flex items-center justify-center">
+                {unreadCount > 9 ? '9+' : unreadCount}
+              </span>
+            )}
+          </button>
+        </PopoverTrigger>
+        <PopoverContent align="end" className="w-80 p-0">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+            <h4 className="font-semibold text-gray-900">Notifications</h4>
+            <div className="flex items-center gap-3">
+              {unreadCount > 0 && (
+                <button onClick={handleMarkAllRead} className="text-xs text-purple-600 hover:text-purple-800">
+                  Mark all read
+                </button>
+              )}
+              <button
+                onClick={() => setPreferencesOpen(true)}
+                className="text-gray-500 hover:text-gray-700"
+                aria-label="Notification settings"
+              >
+                <Settings className="w-4 h-4" />
+              </button>
+            </div>
+          </div>
+          <div className="max-h-96 overflow-y-auto">
+            {notifications.length === 0 ? (
+              <p className="text-sm text-gray-500 text-center py-8">You're all caught up</p>
+            ) : (
+              notifications.map(notification => (
+                <button
+                  key={notification.id}
+                  onClick={() => handleOpen(notification)}
+                  className={`w-full text-left px-4 py-3 border-b border-gray-100 hover:bg-gray-50 ${
+                    notification.read_at ? '' : 'bg-purple-50'
+                  }`}
+                >
+                  <div className="flex items-start gap-2">
+                    {!notification.read_at && <span className="mt-1.5 w-2 h-2 bg-purple-600 rounded-full flex-shrink-0" />}
+                    <div className="flex-1 min-w-0">
+                      <p className="text-sm font-medium text-gray-900">{notification.title}</p>
+                      {notification.message && (
+                        <p className="text-xs text-gray-600 mt-0.5 line-clamp-2">{notification.message}</p>
+                      )}
+                      <p className="text-[11px] text-gray-400 mt-1">{timeAgo(notification.created_at)}</p>
+                    </div>
+                  </div>
+                </button>
+              ))
+            )}
+          </div>
+        </PopoverContent>
+      </Popover>
+
+      <NotificationPreferencesDialog
+        email={email}
+        open={preferencesOpen}
+        onOpenChange={setPreferencesOpen}
+      />
+    </>
+  )
+}
@@ -0,0 +1,88 @@
+import { useState, useEffect } from 'react'
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog'
+import { Button } from './ui/button'
+import notificationService from '../services/notificationService'
+import { NOTIFICATION_CHANNELS, NOTIFICATION_TYPES } from '../lib/notificationTypes'
+
+// Per-event channel toggles (in-app, immediate email, daily digest)
+export default function NotificationPreferencesDialog({ email, open, onOpenChange }) {
+  const [matrix, setMatrix] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!open || !email) return
+    setError(null)
+    notificationService.getPreferenceMatrix(email).then(result => setMatrix(result.data))
+  }, [open, email])
+
+  const toggle = (type, channel) => {
+    setMatrix(prev => ({ ...prev, [type]: { ...prev[type], [channel]: !prev[type][channel] } }))
+  }
+
+  const handleSave = async () => {
+    setSaving(true)
+    const result = await notificationService.savePreferences(email, matrix)
+    setSaving(false)
+
+    if (result.success) {
+      onOpenChange(false)
+    } else {
+      setError('Could not save your preferences.')
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Notification Preferences</DialogTitle>
+          <DialogDescription>
+            Choose how you hear about each kind of update. Digest items arrive in one email each morning.
+          </DialogDescription>
+        </DialogHeader>
+
+        {!matrix ? (
+          <p className="text-sm text-gray-500">Loading...</p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                <th className="py-2 font-medium">Event</th>
+                {Object.entries(NOTIFICATION_CHANNELS).map(([channel, label]) => (
+                  <th key={channel} className="py-2 font-medium text-center">{label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(NOTIFICATION_TYPES).map(([type, definition]) => (
+                <tr key={type} className="border-t border-gray-100">
+                  <td className="py-2 text-gray-800">{definition.label}</td>
+                  {Object.keys(NOTIFICATION_CHANNELS).map(channel => (
+                    <td key={channel} className="py-2 text-center">
+                      <input
+                        type="checkbox"
+                        checked={matrix[type][channel]}
+                        onChange={() => toggle(type, channel)}
+                        aria-label={`${definition.label} - ${NOTIFICATION_CHANNELS[channel]}`}
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>Cancel</Button>
+          <Button onClick={handleSave} disabled={!matrix || saving}>
+            {saving ? 'Saving...' : 'Save'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,171 @@
+import { useState, useEffect } from 'react'
+import { Globe, Plus, ArrowRight } from 'lucide-react'
+import { Button } from '@/components/ui/button'
+import { Input } from '@/components/ui/input'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '@/components/ui/select'
+import { QualificationService } from '../lib/qualificationService'
+import { convertQualification, formatRange, gradeOptions, INPUT_KINDS } from '../lib/qualificationConverter'
+
+const MAX_SUBJECT_ROWS = 8
+
+const emptyEntry = (qualification) => ({
+  total: '',
+  marks: Array(qualification?.input.subjects || 0).fill(''),
+  grades: Array(qualification?.input.subjects || 0).fill('')
+})
+
+// Converts an international result (IB, CBSE/ISC, A-Levels, GCE, NCEA) to an
+// ATAR-equivalent range using the admin-maintained equivalence tables, and
+// hands the conversion to the page through onConvert.
+export default function QualificationConverter({ onConvert, actionLabel = 'Convert' }) {
+  const [qualifications, setQualifications] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [selectedId, setSelectedId] = useState('')
+  const [entry, setEntry] = useState(emptyEntry())
+  const [result, setResult] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    QualificationService.getQualifications().then(response => {
+      setQualifications(response.data)
+      setLoading(false)
+    })
+  }, [])
+
+  const qualification = qualifications.find(item => item.id === selectedId) || null
+
+  const selectQualification = (id) => {
+    setSelectedId(id)
+    setEntry(emptyEntry(qualifications.find(item => item.id === id)))
+    setResult(null)
+    setError(null)
+  }
+
+  const updateRow = (field, index, value) => {
+    setEntry(prev => ({ ...prev, [field]: prev[field].map((item, i) => (i === index ? value : item)) }))
+  }
+
+  const addRow = () => {
+    setEntry(prev => ({ ...prev, marks: [...prev.marks, ''], grades: [...prev.grades, ''] }))
+  }
+
+  const convert = () => {
+    const converted = convertQualification(qualification, entry)
+    if (!converted.success) {
+      setResult(null)
+      setError(converted.error)
+      return
+    }
+    setError(null)
+    setResult(converted.data)
+    onConvert?.(converted.data)
+  }
+
+  if (!loading && qualifications.length === 0) {
+    return <p className="text-sm text-gray-600">International qualification conversions are not available right now.</p>
+  }
+
+  const rows = qualification?.input.kind === 'grades' ? entry.grades : entry.marks
+
+  return (
+    <div className="space-y-4">
+      <div className="space-y-2">
+        <label className="text-sm font-medium">Qualification</label>
+        <Select value={selectedId} onValueChange={selectQualification} disabled={loading}>
+          <SelectTrigger className="w-full">
+            <SelectValue placeholder={loading ? 'Loading qualifications...' : 'Select your qualification'} />
+          </SelectTrigger>
+          <SelectContent>
+            {qualifications.map(item => (
+              <SelectItem key={item.id} value={item.id}>{item.name}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        {qualification?.description && <p className="text-xs text-gray-500">{qualification.description}</p>}
+      </div>
+
+      {qualification && qualification.input.kind === 'total' && (
+        <div className="space-y-2">
+          <label htmlFor="qualification-total" className="text-sm font-medium">
+            {qualification.input.label || INPUT_KINDS.total} ({qualification.input.min} - {qualification.input.max})
+          </label>
+          <Input
+            id="qualification-total"
+            type="number"
+            min={qualification.input.min}
+            max={qualification.input.max}
+            step={qualification.input.step || 1}
+            value={entry.total}
+            onChange={(e) => setEntry(prev => ({ ...prev, total: e.target.value }))}
+          />
+        </div>
+      )}
+
+      {qualification && qualification.input.kind !== 'total' && (
+        <div className="space-y-2">
+          <p className="text-sm font-medium">
+            {qualification.input.label || INPUT_KINDS[qualification.input.kind]} - your best {qualification.input.subjects} count
+          </p>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
+            {rows.map((value, index) => (qualification.input.kind === 'grades' ? (
+              <Select key={index} value={value} onValueChange={(grade) => updateRow('grades', index, grade)}>
+                <SelectTrigger>
+                  <SelectValue placeholder={`Subject ${index + 1}`} />
+                </SelectTrigger>
+                <SelectContent>
+                  {gradeOptions(qualification).map(grade => (
+                    <SelectItem key={grade} value={grade}>{grade}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            ) : (
+              <Input
+                key={index}
+                type="number"
+                min="0"
+                max="100"
+                value={value}
+                onChange={(e) => updateRow('marks', index, e.target.value)}
+                placeholder={`Subject ${index + 1} %`}
+              />
+            )))}
+          </div>
+          {rows.length < MAX_SUBJECT_ROWS && (
+            <Button variant="outline" size="sm" onClick={addRow} className="flex items-center">
+              <Plus className="h-4 w-4 mr-1" />
+              Add subject
+            </Button>
+          )}
+        </div>
+      )}
+
+      {qualification && (
+        <Button onClick={convert} className="bg-purple-600 hover:bg-purple-700 text-white flex items-center">
+          {actionLabel}
+          <ArrowRight className="h-4 w-4 ml-2" />
+        </Button>
+      )}
+
+      {error && <p className="text-sm text-red-600">{error}</p>}
+
+      {result && (
+        <div className="p-3 bg-blue-50 rounded-lg text-sm text-blue-800 flex items-start gap-2">
+          <Globe className="h-5 w-5 flex-shrink-0" />
+          <div>
+            <p>
+              {result.name} {result.score} of {result.maxScore} is equivalent to an ATAR of <strong>{formatRange(result)}</strong>.
+            </p>
+            {qualification?.source && (
+              <p className="text-xs text-blue-700 mt-1">
+                Source:{' '}
+                {qualification.source_url
+                  ? <a href={qualification.source_url} target="_blank" rel="noopener noreferrer" className="underline">{qualification.source}</a>
+                  : qualification.source}
+              </p>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,268 @@
+import React, { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { FileText, Upload, Calendar, CheckCircle, AlertCircle, Lock } from 'lucide-react';
+import { referenceRequestService } from '../services/referenceRequestService';
+
+const ACCEPTED_FILES = '.pdf,.doc,.docx,.txt';
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+
+const formatDeadline = (deadline) => new Date(`${deadline}T00:00:00`).toLocaleDateString(undefined, { dateStyle: 'full' });
+
+// Referee side of a reference request. Opened from the emailed link, so there
+// is no sign-in; the token in the URL is checked by the functions.
+const RefereePortalPage = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token');
+  const [request, setRequest] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [mode, setMode] = useState('write'); // write, upload
+  const [letterText, setLetterText] = useState('');
+  const [file, setFile] = useState(null);
+  const [shareWithStudent, setShareWithStudent] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [submitError, setSubmitError] = useState('');
+  const [submitted, setSubmitted] = useState(false);
+
+  useEffect(() => {
+    const loadRequest = async () => {
+      if (!token) {
+        setLoadError('This link is missing its access code. Please use the link from your email.');
+        return;
+      }
+
+      const result = await referenceRequestService.getRequestByToken(token);
+      if (result.success) {
+        setRequest(result.data);
+        setShareWithStudent(Boolean(result.data.submission?.shareWithStudent));
+      } else {
+        setLoadError(result.error || 'This reference request could not be loaded.');
+      }
+    };
+
+    loadRequest();
+  }, [token]);
+
+  const handleFileChange = (e) => {
+    const selected = e.target.files?.[0] || null;
+    setSubmitError('');
+    if (selected && selected.size > MAX_FILE_BYTES) {
+      setSubmitError('Files must be under 5 MB.');
+      setFile(null);
+      return;
+    }
+    setFile(selected);
+  };
+
+  const handleSubmit = async () => {
+    if (mode === 'write' && !letterText.trim()) {
+      setSubmitError('Write your letter before submitting.');
+      return;
+    }
+    if (mode === 'upload' && !file) {
+      setSubmitError('Choose a file to upload.');
+      return;
+    }
+
+    setSubmitting(true);
+    setSubmitError('');
+    const result = await referenceRequestService.submitLetter(token, {
+      letterText: mode === 'write' ? letterText : '',
+      file: mode === 'upload' ? file : null,
+      shareWithStudent
+    });
+    setSubmitting(false);
+
+    if (result.success) {
+      setSubmitted(true);
+    } else {
+      setSubmitError(result.error || 'Your letter could not be submitted. Please try again.');
+    }
+  };
+
+  if (loadError) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+        <div className="bg-white rounded-lg shadow-sm p-8 max-w-md text-center">
+          <AlertCircle className="w-10 h-10 text-red-500 mx-auto mb-4" />
+          <h1 className="text-xl font-semibold text-gray-900 mb-2">Link not available</h1>
+          <p className="text-gray-600">{loadError}</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!request) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-purple-600"></div>
+      </div>
+    );
+  }
+
+  if (submitted) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+        <div className="bg-white rounded-lg shadow-sm p-8 max-w-md text-center">
+          <CheckCircle className="w-10 h-10 text-green-600 mx-auto mb-4" />
+          <h1 className="text-xl font-semibold text-gray-900 mb-2">Thank you, {request.refereeName}</h1>
+          <p className="text-gray-600">
+            Your reference for {request.studentName || 'the student'} has been submitted.
+            {shareWithStudent
+              ? ' They can read the letter you shared.'
+              : ' They will see that it arrived, but not what it says.'}
+          </p>
+          <p className="text-sm text-gray-500 mt-4">You can use the same link to replace the letter before the deadline.</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="bg-gradient-to-r from-purple-600 via-purple-700 to-pink-600 text-white w-full">
+        <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-10">
+          <h1 className="text-3xl font-bold mb-2">Reference Request</h1>
+          <p className="text-purple-100">
+            {request.studentName || 'A student'} has asked you, {request.refereeName}, for a reference letter.
+          </p>
+        </div>
+      </div>
+
+      <div className="max-w-3xl mx-auto px-4 sm:px-6 lg:px-8 py-8 space-y-6">
+        {/* Request Details */}
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+            <FileText className="w-5 h-5 mr-2 text-purple-600" />
+            What the letter is for
+          </h2>
+          <dl className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+            {request.purpose && (
+              <div>
+                <dt className="text-gray-500">Purpose</dt>
+                <dd className="text-gray-900">{request.purpose}</dd>
+              </div>
+            )}
+            {request.program && (
+              <div>
+                <dt className="text-gray-500">Program</dt>
+                <dd className="text-gray-900">{request.program}{request.institution ? `, ${request.institution}` : ''}</dd>
+              </div>
+            )}
+            {request.relationship && (
+              <div>
+                <dt className="text-gray-500">Your relationship</dt>
+                <dd className="text-gray-900">{request.relationship}{request.relationshipDuration ? ` (${request.relationshipDuration})` : ''}</dd>
+              </div>
+            )}
+            {request.deadline && (
+              <div>
+                <dt className="text-gray-500">Needed by</dt>
+                <dd className="text-gray-900 flex items-center">
+                  <Calendar className="w-4 h-4 mr-1 text-purple-600" />
+                  {formatDeadline(request.deadline)}
+                </dd>
+              </div>
+            )}
+            {request.achievements && (
+              <div className="md:col-span-2">
+                <dt className="text-gray-500">Achievements the student would like mentioned</dt>
+                <dd className="text-gray-900 whitespace-pre-line">{request.achievements}</dd>
+              </div>
+            )}
+            {request.requirements && (
+              <div className="md:col-span-2">
+                <dt className="text-gray-500">Specific requirements</dt>
+                <dd className="text-gray-900 whitespace-pre-line">{request.requirements}</dd>
+              </div>
+            )}
+          </dl>
+        </div>
+
+        {request.submission && (
+          <div className="bg-green-50 border border-green-200 rounded-lg p-4 text-sm text-green-800 flex items-start space-x-2">
+            <CheckCircle className="w-5 h-5 mt-0.5 flex-shrink-0" />
+            <span>
+              You submitted a letter on {new Date(request.submission.submittedAt).toLocaleDateString()}.
+              Submitting again replaces it.
+            </span>
+          </div>
+        )}
+
+        {/* Letter */}
+        <div className="bg-white rounded-lg shadow-sm p-6">
+          <div className="flex space-x-2 mb-4">
+            <button
+              onClick={() => setMode('write')}
+              className={`px-4 py-2 rounded-lg text-sm font-medium flex items-center ${
+                mode === 'write' ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              <FileText className="w-4 h-4 mr-2" />
+              Write letter
+            </button>
+            <button
+              onClick={() => setMode('upload')}
+              className={`px-4 py-2 rounded-lg text-sm font-medium flex items-center ${
+                mode === 'upload' ? 'bg-purple-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              <Upload className="w-4 h-4 mr-2" />
+              Upload file
+            </button>
+          </div>
+
+          {mode === 'write' ? (
+            <textarea
+              value={letterText}
+              onChange={(e) => setLetterText(e.target.value)}
+              rows={14}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+              placeholder="To Whom It May Concern, ..."
+            />
+          ) : (
+            <div className="border-2 border-dashed border-gray-300 rounded-lg p-6 text-center">
+              <input type="file" accept={ACCEPTED_FILES} onChange={handleFileChange} className="text-sm" />
+              <p className="text-xs text-gray-500 mt-2">PDF, Word or text file, up to 5 MB</p>
+              {file && <p className="text-sm text-gray-700 mt-2">{file.name}</p>}
+            </div>
+          )}
+
+          <label className="flex items-start space-x-2 mt-6 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={shareWithStudent}
+              onChange={(e) => setShareWithStudent(e.target.checked)}
+              className="mt-1"
+            />
+            <span>
+              Let {request.studentName || 'the student'} read this letter.
+              <span className="block text-gray-500 flex items-center mt-1">
+                <Lock className="w-3 h-3 mr-1" />
+                Otherwise they only see that it was received.
+              </span>
+            </span>
+          </label>
+
+          {submitError && (
+            <p className="text-sm text-red-600 mt-4 flex items-center">
+              <AlertCircle className="w-4 h-4 mr-1" />
+              {submitError}
+            </p>
+          )}
+
+          <div className="flex justify-end mt-6">
+            <button
+              onClick={handleSubmit}
+              disabled={submitting}
+              className="px-6 py-3 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed font-medium"
+            >
+              {submitting ? 'Submitting...' : 'Submit Reference'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RefereePortalPage;
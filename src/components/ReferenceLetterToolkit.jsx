@@ -1,8 +1,22 @@
-import React, { useState } from 'react';
-import { FileText, Download, Send, User, Mail, Phone, Building, Calendar, Star, CheckCircle, AlertCircle, Lightbulb } from 'lucide-react';
+import React, { useState, useEffect, useCallback } from 'react';
+import { FileText, Download, Send, User, Mail, Phone, Building, Calendar, Star, CheckCircle, AlertCircle, Lightbulb, Eye, RefreshCw, XCircle, Clock, Lock } from 'lucide-react';
 import Sidebar from './Sidebar';
+import DraftRecoveryBanner, { DraftStatus } from './DraftRecoveryBanner';
+import { useAuth } from '../contexts/AuthContext';
+import useDocumentDraft from '../hooks/useDocumentDraft';
+import { referenceRequestService, OPEN_REFERENCE_STATUSES } from '../services/referenceRequestService';
+
+// Progress steps shown for each tracked request
+const REQUEST_STEPS = [
+  { status: 'sent', label: 'Sent', field: 'sent_at' },
+  { status: 'opened', label: 'Opened', field: 'opened_at' },
+  { status: 'received', label: 'Received', field: 'received_at' }
+];
+
+const formatDateTime = (value) => (value ? new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' }) : '');
 
 const ReferenceLetterToolkit = () => {
+  const { user } = useAuth();
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [activeTab, setActiveTab] = useState('request');
   const [referenceData, setReferenceData] = useState({
@@ -115,7 +129,17 @@ Sincerely,
     }
   ]);
 
-  const [requestStatus, setRequestStatus] = useState('draft'); // draft, sent, received
+  const [requests, setRequests] = useState([]);
+  const [isSending, setIsSending] = useState(false);
+  const [requestMessage, setRequestMessage] = useState(null); // { type: 'success' | 'error', text }
+  const [openLetter, setOpenLetter] = useState(null); // { requestId, letter?, error? }
+
+  const draft = useDocumentDraft({
+    docType: 'reference_letter',
+    userId: user?.id,
+    value: referenceData,
+    onRestore: setReferenceData
+  });
 
   const handleInputChange = (section, field, value) => {
     setReferenceData(prev => ({
@@ -158,14 +182,73 @@ Sincerely,
     URL.revokeObjectURL(url);
   };
 
-  const sendReferenceRequest = () => {
-    // Simulate sending request
-    setRequestStatus('sent');
-    setTimeout(() => {
-      setRequestStatus('received');
-    }, 3000);
+  const loadRequests = useCallback(async () => {
+    if (!user?.id) return;
+    const result = await referenceRequestService.getStudentRequests(user.id);
+    if (result.success) setRequests(result.data);
+  }, [user?.id]);
+
+  useEffect(() => {
+    loadRequests();
+  }, [loadRequests]);
+
+  const sendReferenceRequest = async () => {
+    if (!user?.id) {
+      setRequestMessage({ type: 'error', text: 'Sign in to send and track reference requests.' });
+      return;
+    }
+
+    setIsSending(true);
+    setRequestMessage(null);
+    const result = await referenceRequestService.createRequest(referenceData, user);
+    setIsSending(false);
+
+    if (result.success) {
+      setRequestMessage({ type: 'success', text: `Request sent to ${referenceData.referee.name}. You'll see here when they open it and when the letter arrives.` });
+      setActiveTab('tracking');
+    } else {
+      setRequestMessage({ type: 'error', text: result.error });
+    }
+    loadRequests();
+  };
+
+  const resendRequest = async (request) => {
+    const result = await referenceRequestService.sendRequest(request.id);
+    setRequestMessage(result.success
+      ? { type: 'success', text: `A new link was emailed to ${request.referee_name}. The previous link no longer works.` }
+      : { type: 'error', text: result.error || 'Failed to resend the request.' });
+    loadRequests();
   };
 
+  const cancelRequest = async (request) => {
+    if (!window.confirm(`Cancel the reference request to ${request.referee_name}? Their link will stop working.`)) return;
+    const result = await referenceRequestService.cancelRequest(request.id);
+    if (!result.success) setRequestMessage({ type: 'error', text: result.error });
+    loadRequests();
+  };
+
+  const toggleLetter = async (request) => {
+    if (openLetter?.requestId === request.id) {
+      setOpenLetter(null);
+      return;
+    }
+    const result = await referenceRequestService.getSharedLetter(request.id);
+    setOpenLetter(result.success
+      ? { requestId: request.id, letter: result.data }
+      : { requestId: request.id, error: result.error });
+  };
+
+  const renderRequestMessage = () => requestMessage && (
+    <div className={`rounded-lg p-4 flex items-start space-x-2 text-sm ${
+      requestMessage.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-700'
+    }`}>
+      {requestMessage.type === 'success'
+        ? <CheckCircle className="w-5 h-5 flex-shrink-0" />
+        : <AlertCircle className="w-5 h-5 flex-shrink-0" />}
+      <span>{requestMessage.text}</span>
+    </div>
+  );
+
   const renderRequestForm = () => (
     <div className="space-y-8">
       {/* Referee Information */}
@@ -347,37 +430,142 @@ Sincerely,
         </div>
       </div>
 
+      {renderRequestMessage()}
+
       {/* Action Buttons */}
       <div className="flex justify-center space-x-4">
         <button
           onClick={sendReferenceRequest}
-          disabled={requestStatus !== 'draft'}
+          disabled={isSending || !referenceData.referee.name || !referenceData.referee.email}
           className="px-6 py-3 bg-purple-600 text-white rounded-lg hover:bg-purple-700 disabled:opacity-50 disabled:cursor-not-allowed font-medium flex items-center"
         >
           <Send className="w-4 h-4 mr-2" />
-          {requestStatus === 'draft' ? 'Send Request' : requestStatus === 'sent' ? 'Request Sent' : 'Request Received'}
+          {isSending ? 'Sending...' : 'Send Request'}
         </button>
       </div>
+      <p className="text-center text-sm text-gray-500">
+        Your referee gets an email link to write or upload the letter, with reminders 7 and 2 days before the deadline.
+      </p>
+    </div>
+  );
 
-      {/* Status Display */}
-      {requestStatus !== 'draft' && (
-        <div className="bg-white rounded-lg shadow-sm p-6">
-          <div className="flex items-center justify-center space-x-2">
-            {requestStatus === 'sent' && (
-              <>
-                <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-purple-600"></div>
-                <span className="text-purple-600 font-medium">Request sent to {referenceData.referee.name}</span>
-              </>
+  const renderRequestProgress = (request) => {
+    if (request.status === 'cancelled') {
+      return <span className="text-sm text-gray-500 flex items-center"><XCircle className="w-4 h-4 mr-1" />Cancelled</span>;
+    }
+
+    return (
+      <ol className="flex flex-wrap gap-x-6 gap-y-2">
+        {REQUEST_STEPS.map(step => {
+          const done = Boolean(request[step.field]);
+          return (
+            <li key={step.status} className={`flex items-center text-sm ${done ? 'text-green-700' : 'text-gray-400'}`}>
+              {done ? <CheckCircle className="w-4 h-4 mr-1" /> : <Clock className="w-4 h-4 mr-1" />}
+              <span className="font-medium mr-1">{step.label}</span>
+              {done && <span className="text-gray-500">{formatDateTime(request[step.field])}</span>}
+            </li>
+          );
+        })}
+      </ol>
+    );
+  };
+
+  const renderTracking = () => (
+    <div className="space-y-4">
+      {renderRequestMessage()}
+
+      {requests.length === 0 ? (
+        <div className="bg-white rounded-lg shadow-sm p-8 text-center text-gray-500">
+          <Mail className="w-8 h-8 mx-auto mb-3 text-gray-400" />
+          {user?.id ? 'No reference requests yet. Send one from the Request Reference tab.' : 'Sign in to see your reference requests.'}
+        </div>
+      ) : requests.map(request => (
+        <div key={request.id} className="bg-white rounded-lg shadow-sm p-6">
+          <div className="flex flex-col md:flex-row md:items-start md:justify-between gap-4">
+            <div>
+              <h3 className="text-lg font-semibold text-gray-900">{request.referee_name}</h3>
+              <p className="text-sm text-gray-600">
+                {[request.referee_title, request.referee_organization].filter(Boolean).join(', ') || request.referee_email}
+              </p>
+              <p className="text-sm text-gray-500 mt-1">
+                {request.purpose || 'Reference'}{request.program ? ` - ${request.program}` : ''}
+              </p>
+            </div>
+            <div className="text-sm text-gray-600 md:text-right">
+              {request.deadline && (
+                <p className="flex items-center md:justify-end">
+                  <Calendar className="w-4 h-4 mr-1" />
+                  Due {new Date(`${request.deadline}T00:00:00`).toLocaleDateString()}
+                </p>
+              )}
+              {request.reminder_count > 0 && (
+                <p className="text-gray-500">
+                  {request.reminder_count} reminder{request.reminder_count === 1 ? '' : 's'} sent, last {formatDateTime(request.last_reminded_at)}
+                </p>
+              )}
+            </div>
+          </div>
+
+          <div className="mt-4">{renderRequestProgress(request)}</div>
+
+          <div className="flex flex-wrap gap-2 mt-4">
+            {request.status === 'received' && (
+              request.share_with_student ? (
+                <button
+                  onClick={() => toggleLetter(request)}
+                  className="px-3 py-2 text-sm border border-purple-300 text-purple-700 rounded-lg hover:bg-purple-50 flex items-center"
+                >
+                  <Eye className="w-4 h-4 mr-1" />
+                  {openLetter?.requestId === request.id ? 'Hide letter' : 'View letter'}
+                </button>
+              ) : (
+                <span className="text-sm text-gray-500 flex items-center">
+                  <Lock className="w-4 h-4 mr-1" />
+                  Your referee kept the letter private
+                </span>
+              )
             )}
-            {requestStatus === 'received' && (
+            {OPEN_REFERENCE_STATUSES.includes(request.status) && (
               <>
-                <CheckCircle className="w-5 h-5 text-green-600" />
-                <span className="text-green-600 font-medium">Reference letter received!</span>
+                <button
+                  onClick={() => resendRequest(request)}
+                  className="px-3 py-2 text-sm border border-gray-300 text-gray-700 rounded-lg hover:bg-gray-50 flex items-center"
+                >
+                  <RefreshCw className="w-4 h-4 mr-1" />
+                  Resend email
+                </button>
+                <button
+                  onClick={() => cancelRequest(request)}
+                  className="px-3 py-2 text-sm border border-red-200 text-red-600 rounded-lg hover:bg-red-50 flex items-center"
+                >
+                  <XCircle className="w-4 h-4 mr-1" />
+                  Cancel request
+                </button>
               </>
             )}
           </div>
+
+          {openLetter?.requestId === request.id && (
+            <div className="mt-4 border-t border-gray-200 pt-4">
+              {openLetter.error && <p className="text-sm text-gray-500">{openLetter.error}</p>}
+              {openLetter.letter?.letter_text && (
+                <p className="text-sm text-gray-700 whitespace-pre-line">{openLetter.letter.letter_text}</p>
+              )}
+              {openLetter.letter?.fileUrl && (
+                <a
+                  href={openLetter.letter.fileUrl}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                  className="text-sm text-purple-600 hover:text-purple-700 flex items-center mt-2"
+                >
+                  <Download className="w-4 h-4 mr-1" />
+                  {openLetter.letter.file_name || 'Download letter'}
+                </a>
+              )}
+            </div>
+          )}
         </div>
-      )}
+      ))}
     </div>
   );
 
@@ -455,9 +643,11 @@ Sincerely,
         
         <div className="flex-1 w-full md:w-auto transition-all duration-300">
           <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+            <DraftRecoveryBanner draft={draft} />
+
             {/* Tab Navigation */}
             <div className="bg-white rounded-lg shadow-sm mb-8">
-              <div className="border-b border-gray-200">
+              <div className="border-b border-gray-200 flex items-center justify-between pr-6">
                 <nav className="flex space-x-8 px-6">
                   <button
                     onClick={() => setActiveTab('request')}
@@ -469,6 +659,16 @@ Sincerely,
                   >
                     Request Reference
                   </button>
+                  <button
+                    onClick={() => setActiveTab('tracking')}
+                    className={`py-4 px-1 border-b-2 font-medium text-sm ${
+                      activeTab === 'tracking'
+                        ? 'border-purple-500 text-purple-600'
+                        : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                    }`}
+                  >
+                    My Requests{requests.length > 0 ? ` (${requests.length})` : ''}
+                  </button>
                   <button
                     onClick={() => setActiveTab('templates')}
                     className={`py-4 px-1 border-b-2 font-medium text-sm ${
@@ -480,11 +680,13 @@ Sincerely,
                     Letter Templates
                   </button>
                 </nav>
+                <DraftStatus draft={draft} />
               </div>
             </div>
 
             {/* Tab Content */}
             {activeTab === 'request' && renderRequestForm()}
+            {activeTab === 'tracking' && renderTracking()}
             {activeTab === 'templates' && renderTemplates()}
           </div>
         </div>
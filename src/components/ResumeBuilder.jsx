@@ -1,4 +1,4 @@
-import React, { useState } from 'react'
+import React, { useState, useEffect, useRef, useCallback } from 'react'
 import { Button } from '../components/ui/button'
 import { Progress } from '../components/ui/progress'
 import { Input } from '../components/ui/input'
@@ -6,8 +6,19 @@ import { Textarea } from '../components/ui/textarea'
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select'
 import { FileText, Target, User, PenTool, GraduationCap, Briefcase, Award, Users, Settings, CheckCircle, Save, Sparkles, Brain, Upload, Download, Eye, Plus, Trash2, Edit, Wand2 } from 'lucide-react'
 import Sidebar from './Sidebar'
+import DocumentReviewControls from './DocumentReviewControls'
+import ResumeVersionsBar from './ResumeVersionsBar'
+import ResumeImportReview from './ResumeImportReview'
+import TemplatePreview from './TemplatePreview'
+import { useAuth } from '../contexts/AuthContext'
 import exportService from '../lib/exportService'
+import { EXPORT_TEMPLATES, SAMPLE_RESUME } from '../lib/exportTemplates'
 import geminiAIService from '../lib/geminiAIService'
+import { ResumeService } from '../lib/resumeService'
+import { analyzeResume } from '../lib/atsAnalyzer'
+import { extractDocumentText } from '../lib/documentText'
+import { applyImportedResume, parseResumeText } from '../lib/resumeParser'
+import { getSectionText, resumeReviewSections, setSectionText } from '../lib/documentReview'
 import { 
   renderEducationStep, 
   renderExperienceStep, 
@@ -19,54 +30,75 @@ import {
   renderReviewStep 
 } from './ResumeBuilderSteps'
 
+// Blank builder form, also used when starting a new resume
+const createEmptyResume = () => ({
+  setup: {
+    resumeTitle: '',
+    template: 'modern',
+    uploadedFile: null,
+    careerField: '',
+    experienceLevel: '',
+    targetRole: '',
+    industry: '',
+    currentRole: '',
+    yearsExperience: '',
+    careerGoals: '',
+    // Pasted job or course ad, used for ATS keyword matching
+    jobDescription: ''
+  },
+  personalInfo: {
+    fullName: '',
+    email: '',
+    phone: '',
+    address: '',
+    city: '',
+    state: '',
+    postalCode: '',
+    country: 'Australia',
+    linkedinUrl: '',
+    portfolioUrl: '',
+    githubUrl: '',
+    professionalSummary: ''
+  },
+  education: [],
+  experience: [],
+  skills: {
+    technical: [],
+    soft: [],
+    languages: [],
+    certifications: []
+  },
+  projects: [],
+  activities: [],
+  awards: [],
+  references: {
+    includeReferences: false,
+    availableOnRequest: true,
+    referenceList: []
+  }
+})
+
+// Autosave kicks in once the form differs from what was last saved
+const EMPTY_SNAPSHOT = JSON.stringify(ResumeService.toRecordData(createEmptyResume()))
+const AUTOSAVE_DELAY = 2000
+const MAX_UPLOAD_SIZE = 10 * 1024 * 1024
+
 const ResumeBuilder = ({ isMobileMenuOpen, onMobileMenuClose }) => {
+  const { user } = useAuth()
   const [currentStep, setCurrentStep] = useState('setup')
   const [isLoading, setIsLoading] = useState(false)
-  const [selectedTemplate, setSelectedTemplate] = useState('modern')
-  const [formData, setFormData] = useState({
-    setup: {
-      resumeTitle: '',
-      template: 'modern',
-      uploadedFile: null,
-      careerField: '',
-      experienceLevel: '',
-      targetRole: '',
-      industry: '',
-      currentRole: '',
-      yearsExperience: '',
-      careerGoals: ''
-    },
-    personalInfo: {
-      fullName: '',
-      email: '',
-      phone: '',
-      address: '',
-      city: '',
-      state: '',
-      postalCode: '',
-      country: 'Australia',
-      linkedinUrl: '',
-      portfolioUrl: '',
-      githubUrl: '',
-      professionalSummary: ''
-    },
-    education: [],
-    experience: [],
-    skills: {
-      technical: [],
-      soft: [],
-      languages: [],
-      certifications: []
-    },
-    projects: [],
-    activities: [],
-    awards: [],
-    references: {
-      includeReferences: false,
-      availableOnRequest: true,
-      referenceList: []
-    }
-  })
+  const [formData, setFormData] = useState(createEmptyResume)
+  const [resumes, setResumes] = useState([])
+  const [resumeId, setResumeId] = useState(null)
+  const [saveStatus, setSaveStatus] = useState('idle')
+  const [lastSavedAt, setLastSavedAt] = useState(null)
+  const [atsResult, setAtsResult] = useState(null)
+  const [importResult, setImportResult] = useState(null)
+  const [importError, setImportError] = useState(null)
+  // Saves run one at a time so a first insert can't race a second one
+  const resumeIdRef = useRef(null)
+  const saveQueueRef = useRef(Promise.resolve())
+  const lastSavedRef = useRef(EMPTY_SNAPSHOT)
 
   const steps = [
     { id: 'setup', title: 'Setup & Template', icon: Target },
@@ -81,14 +113,6 @@ const ResumeBuilder = ({ isMobileMenuOpen, onMobileMenuClose }) => {
     { id: 'review', title: 'Review & Export', icon: FileText }
   ]
 
-  const templates = [
-    { id: 'modern', name: 'Modern Professional', description: 'Clean, modern design perfect for tech and business roles' },
-    { id: 'classic', name: 'Classic Traditional', description: 'Traditional format suitable for conservative industries' },
-    { id: 'academic', name: 'Academic CV', description: 'Comprehensive format for academic and research positions' },
-    { id: 'creative', name: 'Creative Portfolio', description: 'Visually appealing design for creative fields' },
-    { id: 'ats-friendly', name: 'ATS Optimized', description: 'Simple format optimized for Applicant Tracking Systems' }
-  ]
-
   const skillCategories = [
     { id: 'technical', name: 'Technical Skills', placeholder: 'e.g., Python, JavaScript, React' },
     { id: 'soft', name: 'Soft Skills', placeholder: 'e.g., Leadership, Communication, Problem Solving' },
@@ -104,6 +128,112 @@ const ResumeBuilder = ({ isMobileMenuOpen, onMobileMenuClose }) => {
     return ((getCurrentStepIndex() + 1) / steps.length) * 100
   }
 
+  // Saved resumes
+  const selectResumeRecord = (record) => {
+    const empty = createEmptyResume()
+    const data = record?.data || {}
+    const loaded = {
+      ...empty,
+      ...data,
+      setup: { ...empty.setup, ...data.setup },
+      personalInfo: { ...empty.personalInfo, ...data.personalInfo },
+      skills: { ...empty.skills, ...data.skills },
+      references: { ...empty.references, ...data.references }
+    }
+
+    resumeIdRef.current = record?.id || null
+    lastSavedRef.current = JSON.stringify(ResumeService.toRecordData(loaded))
+    setResumeId(resumeIdRef.current)
+    setFormData(loaded)
+    setAtsResult(record?.ats_analysis
+      ? { analysis: record.ats_analysis, targetRole: record.ats_target_role, analyzedAt: record.ats_analyzed_at }
+      : null)
+    setLastSavedAt(record ? new Date(record.updated_at) : null)
+    setSaveStatus('idle')
+  }
+
+  const upsertResumeRecord = (record) => {
+    setResumes(prev => [record, ...prev.filter(resume => resume.id !== record.id)])
+  }
+
+  const saveResume = useCallback((data = formData) => {
+    saveQueueRef.current = saveQueueRef.current.then(async () => {
+      setSaveStatus('saving')
+      const result = await ResumeService.saveResume({ id: resumeIdRef.current, formData: data }, user.id)
+
+      if (result.success) {
+        resumeIdRef.current = result.data.id
+        lastSavedRef.current = JSON.stringify(ResumeService.toRecordData(data))
+        setResumeId(result.data.id)
+        upsertResumeRecord(result.data)
+        setLastSavedAt(new Date())
+        setSaveStatus('saved')
+      } else {
+        setSaveStatus('error')
+      }
+      return result
+    })
+    return saveQueueRef.current
+  }, [formData, user])
+
+  // Pick up where the user left off: the most recently edited resume
+  useEffect(() => {
+    if (!user?.id) return
+
+    setIsLoading(true)
+    ResumeService.getUserResumes(user.id).then(result => {
+      setResumes(result.data)
+      if (result.data.length > 0) selectResumeRecord(result.data[0])
+      setIsLoading(false)
+    })
+  }, [user?.id])
+
+  // Autosave shortly after the user stops typing
+  useEffect(() => {
+    if (!user?.id || JSON.stringify(ResumeService.toRecordData(formData)) === lastSavedRef.current) return
+
+    const timer = setTimeout(() => saveResume(formData), AUTOSAVE_DELAY)
+    return () => clearTimeout(timer)
+  }, [formData, user?.id, saveResume])
+
+  const handleSelectResume = async (id) => {
+    await saveQueueRef.current
+    selectResumeRecord(resumes.find(resume => resume.id === id))
+  }
+
+  const handleNewResume = async () => {
+    await saveQueueRef.current
+    selectResumeRecord(null)
+    setCurrentStep('setup')
+  }
+
+  const handleCloneResume = async ({ targetType, targetName, title }) => {
+    const saved = await saveResume()
+    if (!saved.success) return false
+
+    const result = await ResumeService.cloneResume(saved.data.id, user.id, { title, targetType, targetName })
+    if (!result.success) {
+      setSaveStatus('error')
+      return false
+    }
+
+    upsertResumeRecord(result.data)
+    selectResumeRecord(result.data)
+    return true
+  }
+
+  const handleDeleteResume = async (resume) => {
+    await saveQueueRef.current
+    const result = await ResumeService.deleteResume(resume.id, user.id)
+    if (!result.success) return
+
+    const remaining = resumes
+      .filter(item => item.id !== resume.id)
+      .map(item => item.parent_id === resume.id ? { ...item, parent_id: null } : item)
+    setResumes(remaining)
+    selectResumeRecord(remaining[0] || null)
+  }
+
   const updateFormData = (section, field, value) => {
     setFormData(prev => ({
       ...prev,
@@ -194,129 +324,47 @@ const ResumeBuilder = ({ isMobileMenuOpen, onMobileMenuClose }) => {
 
   const handleFileUpload = async (event) => {
     const file = event.target.files[0]
+    // Allow picking the same file again after cancelling the review
+    event.target.value = ''
     if (!file) return
+    if (file.size > MAX_UPLOAD_SIZE) {
+      setImportError('This file is larger than 10MB. Please upload a smaller copy of your resume.')
+      return
+    }
 
     setIsLoading(true)
+    setImportError(null)
     try {
       updateFormData('setup', 'uploadedFile', file)
-      
-      // Parse the resume file and extract data
-      const parsedData = await parseResumeFile(file)
-      
-      if (parsedData) {
-        // Pre-fill all sections with parsed data
-        await prefillFormWithParsedData(parsedData)
-        console.log('Resume parsed and form pre-filled successfully')
-      }
-    } catch (error) {
-      console.error('Error uploading and parsing file:', error)
-    } finally {
-      setIsLoading(false)
-    }
-  }
-
-  const parseResumeFile = async (file) => {
-    try {
-      // Use AI service to parse the resume
-      const result = await geminiAIService.parseResume(file)
-      
-      if (result.success) {
-        return result.data
-      } else {
-        console.error('Resume parsing failed:', result.error)
-        return null
-      }
-    } catch (error) {
-      console.error('Error parsing resume:', error)
-      return null
-    }
-  }
 
-  const prefillFormWithParsedData = async (parsedData) => {
-    try {
-      // Pre-fill personal information
-      if (parsedData.personalInfo) {
-        Object.keys(parsedData.personalInfo).forEach(key => {
-          if (parsedData.personalInfo[key]) {
-            updateFormData('personalInfo', key, parsedData.personalInfo[key])
-          }
-        })
+      // Read and parse on this device; nothing is sent anywhere until the user accepts
+      const extracted = await extractDocumentText(file)
+      if (!extracted.text) {
+        setImportError('No text could be read from this file. If it is a scanned resume, export it as a text-based PDF or DOCX and try again.')
+        return
       }
 
-      // Pre-fill education
-      if (parsedData.education && Array.isArray(parsedData.education)) {
-        setFormData(prev => ({
-          ...prev,
-          education: parsedData.education.map(edu => ({
-            id: Date.now() + Math.random(),
-            ...edu
-          }))
-        }))
+      const parsed = parseResumeText(extracted.text)
+      if (extracted.hasTables) {
+        parsed.warnings.push('This resume uses tables, which many applicant tracking systems read poorly. Check the imported entries carefully.')
       }
-
-      // Pre-fill work experience
-      if (parsedData.experience && Array.isArray(parsedData.experience)) {
-        setFormData(prev => ({
-          ...prev,
-          experience: parsedData.experience.map(exp => ({
-            id: Date.now() + Math.random(),
-            ...exp
-          }))
-        }))
+      if (extracted.hasImages) {
+        parsed.warnings.push('Images and graphics in this resume were skipped.')
       }
-
-      // Pre-fill skills
-      if (parsedData.skills) {
-        setFormData(prev => ({
-          ...prev,
-          skills: {
-            technical: parsedData.skills.technical || [],
-            soft: parsedData.skills.soft || [],
-            languages: parsedData.skills.languages || [],
-            certifications: parsedData.skills.certifications || []
-          }
-        }))
-      }
-
-      // Pre-fill projects
-      if (parsedData.projects && Array.isArray(parsedData.projects)) {
-        setFormData(prev => ({
-          ...prev,
-          projects: parsedData.projects.map(project => ({
-            id: Date.now() + Math.random(),
-            ...project
-          }))
-        }))
-      }
-
-      // Pre-fill activities
-      if (parsedData.activities && Array.isArray(parsedData.activities)) {
-        setFormData(prev => ({
-          ...prev,
-          activities: parsedData.activities.map(activity => ({
-            id: Date.now() + Math.random(),
-            ...activity
-          }))
-        }))
-      }
-
-      // Pre-fill awards
-      if (parsedData.awards && Array.isArray(parsedData.awards)) {
-        setFormData(prev => ({
-          ...prev,
-          awards: parsedData.awards.map(award => ({
-            id: Date.now() + Math.random(),
-            ...award
-          }))
-        }))
-      }
-
-      console.log('Form pre-filled with parsed resume data')
+      setImportResult(parsed)
     } catch (error) {
-      console.error('Error pre-filling form:', error)
+      console.error('Error reading resume file:', error)
+      setImportError(error.message)
+    } finally {
+      setIsLoading(false)
     }
   }
 
+  const acceptImport = (review) => {
+    setFormData(prev => applyImportedResume(prev, review))
+    setImportResult(null)
+  }
+
   const exportResume = async (format) => {
     setIsLoading(true)
     try {
@@ -466,15 +514,30 @@ const ResumeBuilder = ({ isMobileMenuOpen, onMobileMenuClose }) => {
     }
   }
 
-  const analyzeResumeATS = async () => {
+  // engine 'local' runs the deterministic analyzer; 'ai' asks Gemini, which
+  // falls back to the local analyzer when it can't answer
+  const analyzeResumeATS = async (engine = 'local') => {
     setIsLoading(true)
     try {
-      const targetRole = formData.setup.targetRole || 'General Position'
-      const result = await geminiAIService.analyzeResumeForATS(formData, targetRole)
-      
+      const current = resumes.find(resume => resume.id === resumeId)
+      const targetRole = formData.setup.targetRole || current?.target_name || ''
+      const description = formData.setup.jobDescription || ''
+      const result = engine === 'ai'
+        ? await geminiAIService.analyzeResumeForATS(formData, targetRole || 'General Position', description)
+        : { success: true, analysis: analyzeResume(formData, { description, targetRole }) }
+
       if (result.success) {
-        console.log('ATS Analysis:', result.analysis)
-        // In a full implementation, you'd show this analysis in a modal or dedicated section
+        const analysis = result.analysis
+        setAtsResult({ analysis, targetRole: targetRole || 'General Position', analyzedAt: new Date().toISOString() })
+
+        // Each saved version keeps the analysis of the content it was run on
+        if (user?.id) {
+          const saved = await saveResume()
+          if (saved.success) {
+            const stored = await ResumeService.saveATSAnalysis(saved.data.id, user.id, analysis, targetRole || 'General Position')
+            if (stored.success) upsertResumeRecord(stored.data)
+          }
+        }
       }
     } catch (error) {
       console.error('ATS analysis error:', error)
@@ -514,7 +577,7 @@ const ResumeBuilder = ({ isMobileMenuOpen, onMobileMenuClose }) => {
       case 'references':
         return renderReferencesStep(formData, updateFormData, addArrayItem, removeArrayItem, updateReferenceData)
       case 'review':
-        return renderReviewStep(formData, exportResume, analyzeResumeATS)
+        return renderReviewStep(formData, exportResume, analyzeResumeATS, atsResult, updateFormData)
       default:
         return renderSetupStep()
     }
@@ -648,18 +711,23 @@ const ResumeBuilder = ({ isMobileMenuOpen, onMobileMenuClose }) => {
                   <p className="mb-2 text-sm text-gray-500">
                     <span className="font-semibold">Click to upload</span> your existing resume
                   </p>
-                  <p className="text-xs text-gray-500">PDF, DOC, or DOCX (MAX. 10MB)</p>
+                  <p className="text-xs text-gray-500">PDF, DOCX or TXT (MAX. 10MB)</p>
                 </div>
                 <input
                   id="resume-upload"
                   type="file"
-                  accept=".pdf,.doc,.docx"
+                  accept=".pdf,.docx,.txt"
                   onChange={handleFileUpload}
                   className="hidden"
                 />
               </label>
             </div>
-            {formData.setup.uploadedFile && (
+            {importError && (
+              <div className="p-3 bg-red-50 border border-red-200 rounded-lg">
+                <p className="text-sm text-red-700">{importError}</p>
+              </div>
+            )}
+            {formData.setup.uploadedFile && !importError && (
               <div className="p-3 bg-green-50 border border-green-200 rounded-lg">
                 <p className="text-sm text-green-700">
                   ✓ Uploaded: {formData.setup.uploadedFile.name}
@@ -667,7 +735,7 @@ const ResumeBuilder = ({ isMobileMenuOpen, onMobileMenuClose }) => {
               </div>
             )}
             <p className="text-sm text-gray-600 text-center">
-              Upload your existing resume to auto-populate fields
+              Upload your existing resume to auto-populate fields. You can review everything before it is added.
             </p>
           </div>
         </div>
@@ -675,19 +743,22 @@ const ResumeBuilder = ({ isMobileMenuOpen, onMobileMenuClose }) => {
         <div>
           <label className="block text-sm font-medium text-gray-700 mb-2">Choose Template</label>
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-            {templates.map((template) => (
+            {EXPORT_TEMPLATES.map((template) => (
               <div
                 key={template.id}
                 className={`border rounded-lg p-4 cursor-pointer transition-all ${
-                  selectedTemplate === template.id
+                  formData.setup.template === template.id
                     ? 'border-blue-500 bg-blue-50'
                     : 'border-gray-200 hover:border-gray-300'
                 }`}
-                onClick={() => {
-                  setSelectedTemplate(template.id)
-                  updateFormData('setup', 'template', template.id)
-                }}
+                onClick={() => updateFormData('setup', 'template', template.id)}
               >
+                <TemplatePreview
+                  html={exportService.renderResumeHTML(SAMPLE_RESUME, template.id)}
+                  width={180}
+                  title={`${template.name} preview`}
+                  className="mx-auto mb-3"
+                />
                 <h3 className="font-medium text-gray-900">{template.name}</h3>
                 <p className="text-sm text-gray-600 mt-1">{template.description}</p>
               </div>
@@ -916,6 +987,22 @@ const ResumeBuilder = ({ isMobileMenuOpen, onMobileMenuClose }) => {
 
           {/* Step Content */}
           <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
+            {/* Saved Resumes */}
+            {user && (
+              <div className="bg-white rounded-lg shadow-sm border p-4 mb-6">
+                <ResumeVersionsBar
+                  resumes={resumes}
+                  currentId={resumeId}
+                  saveStatus={saveStatus}
+                  lastSavedAt={lastSavedAt}
+                  onSelect={handleSelectResume}
+                  onNew={handleNewResume}
+                  onClone={handleCloneResume}
+                  onDelete={handleDeleteResume}
+                />
+              </div>
+            )}
+
             <div className="bg-white rounded-lg shadow-sm border p-6">
               {isLoading ? (
                 <div className="flex items-center justify-center py-12">
@@ -929,6 +1016,28 @@ const ResumeBuilder = ({ isMobileMenuOpen, onMobileMenuClose }) => {
               )}
             </div>
             
+            {/* Counselor Review */}
+            {user && (
+              <div className="bg-white rounded-lg shadow-sm border p-4 mt-6 flex flex-wrap items-center justify-between gap-3">
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-900">Counselor Review</h3>
+                  <p className="text-xs text-gray-600">Share your resume with your counselor for comments and suggested edits</p>
+                </div>
+                <DocumentReviewControls
+                  documentType="resume"
+                  documentId={resumeId}
+                  title={formData.setup.resumeTitle || 'Resume'}
+                  prepare={async () => {
+                    const saved = await saveResume()
+                    return saved.success ? { documentId: saved.data.id, title: saved.data.title } : {}
+                  }}
+                  getSections={() => resumeReviewSections(formData)}
+                  getCurrentText={(key) => getSectionText(formData, key)}
+                  onApplyText={(key, text) => setFormData(prev => setSectionText(prev, key, text))}
+                />
+              </div>
+            )}
+
             {/* Navigation Buttons */}
             <div className="flex justify-between mt-6">
               <Button
@@ -944,7 +1053,7 @@ const ResumeBuilder = ({ isMobileMenuOpen, onMobileMenuClose }) => {
                 Previous
               </Button>
               <div className="flex gap-2">
-                <Button variant="outline">
+                <Button variant="outline" onClick={() => saveResume()} disabled={!user || saveStatus === 'saving'}>
                   <Save className="h-4 w-4 mr-2" />
                   Save Draft
                 </Button>
@@ -964,6 +1073,14 @@ const ResumeBuilder = ({ isMobileMenuOpen, onMobileMenuClose }) => {
           </div>
         </main>
       </div>
+
+      <ResumeImportReview
+        open={Boolean(importResult)}
+        fileName={formData.setup.uploadedFile?.name}
+        result={importResult}
+        onCancel={() => setImportResult(null)}
+        onAccept={acceptImport}
+      />
     </div>
   )
 }
@@ -4,6 +4,9 @@ import { Input } from '../components/ui/input'
 import { Textarea } from '../components/ui/textarea'
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select'
 import { Plus, Trash2, Edit, Calendar, MapPin, Building, Award, Users, Download, Eye, FileText, Wand2, Sparkles } from 'lucide-react'
+import TemplatePreview from './TemplatePreview'
+import exportService from '../lib/exportService'
+import { EXPORT_TEMPLATES, getTemplate } from '../lib/exportTemplates'
 
 // Education Step Component
 export const renderEducationStep = (formData, updateFormData, addArrayItem, removeArrayItem, updateArrayData, aiHelpers = {}) => {
@@ -1090,8 +1093,17 @@ export const renderReferencesStep = (formData, updateFormData, addArrayItem, rem
   )
 }
 
+// ATS analysis lists, in display order
+const ATS_ANALYSIS_LISTS = [
+  { key: 'strengths', label: 'Strengths' },
+  { key: 'weaknesses', label: 'Weaknesses' },
+  { key: 'keywordSuggestions', label: 'Suggested Keywords' },
+  { key: 'recommendations', label: 'Recommendations' },
+  { key: 'formattingTips', label: 'Formatting Tips' }
+]
+
 // Review Step Component
-export const renderReviewStep = (formData, exportResume, analyzeResumeATS) => {
+export const renderReviewStep = (formData, exportResume, analyzeResumeATS, atsResult = null, updateFormData = () => {}) => {
   return (
     <div className="space-y-6">
       <div>
@@ -1101,67 +1113,30 @@ export const renderReviewStep = (formData, exportResume, analyzeResumeATS) => {
 
       {/* Resume Preview */}
       <div className="bg-gray-50 rounded-lg p-6">
-        <h3 className="text-lg font-medium text-gray-900 mb-4">Complete Resume Preview</h3>
-        
-        {/* Personal Information */}
-        <div className="mb-6">
-          <h4 className="font-medium text-gray-900 mb-2">Personal Information</h4>
-          <p><strong>Name:</strong> {formData.personalInfo.fullName || 'Not provided'}</p>
-          <p><strong>Email:</strong> {formData.personalInfo.email || 'Not provided'}</p>
-          <p><strong>Phone:</strong> {formData.personalInfo.phone || 'Not provided'}</p>
-          {formData.personalInfo.linkedinUrl && <p><strong>LinkedIn:</strong> {formData.personalInfo.linkedinUrl}</p>}
-        </div>
-
-        {/* Professional Summary */}
-        {formData.personalInfo.professionalSummary && (
-          <div className="mb-6">
-            <h4 className="font-medium text-gray-900 mb-2">Professional Summary</h4>
-            <p>{formData.personalInfo.professionalSummary}</p>
+        <div className="flex flex-wrap items-center justify-between gap-4 mb-4">
+          <h3 className="text-lg font-medium text-gray-900">Resume Preview</h3>
+          <div className="w-64">
+            <Select value={getTemplate(formData.setup.template).id} onValueChange={(value) => updateFormData('setup', 'template', value)}>
+              <SelectTrigger className="bg-white">
+                <SelectValue placeholder="Choose a template" />
+              </SelectTrigger>
+              <SelectContent>
+                {EXPORT_TEMPLATES.map(template => (
+                  <SelectItem key={template.id} value={template.id}>{template.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
           </div>
-        )}
-
-        {/* Education */}
-        <div className="mb-6">
-          <h4 className="font-medium text-gray-900 mb-2">Education</h4>
-          {formData.education.length > 0 ? (
-            formData.education.map((edu, index) => (
-              <div key={index} className="mb-2">
-                <p><strong>{edu.degreeType}</strong> in {edu.fieldOfStudy}</p>
-                <p>{edu.institutionName} - {edu.location}</p>
-                <p>{edu.startDate} - {edu.isCurrent ? 'Present' : edu.endDate}</p>
-              </div>
-            ))
-          ) : (
-            <p className="text-gray-500">No education entries</p>
-          )}
-        </div>
-
-        {/* Experience */}
-        <div className="mb-6">
-          <h4 className="font-medium text-gray-900 mb-2">Work Experience</h4>
-          {formData.experience.length > 0 ? (
-            formData.experience.map((exp, index) => (
-              <div key={index} className="mb-2">
-                <p><strong>{exp.jobTitle}</strong> at {exp.companyName}</p>
-                <p>{exp.startDate} - {exp.isCurrent ? 'Present' : exp.endDate}</p>
-                <p>{exp.description}</p>
-              </div>
-            ))
-          ) : (
-            <p className="text-gray-500">No work experience entries</p>
-          )}
         </div>
-
-        {/* Skills */}
-        <div className="mb-6">
-          <h4 className="font-medium text-gray-900 mb-2">Skills</h4>
-          {Object.entries(formData.skills).map(([category, skills]) => (
-            skills.length > 0 && (
-              <div key={category} className="mb-2">
-                <p><strong>{category.charAt(0).toUpperCase() + category.slice(1)}:</strong> {skills.join(', ')}</p>
-              </div>
-            )
-          ))}
+        <p className="text-sm text-gray-600 mb-4">PDF, Word and HTML exports use this layout. Scroll inside the page to see the rest.</p>
+        <div className="overflow-x-auto">
+          <TemplatePreview
+            html={exportService.renderResumeHTML(formData)}
+            width={560}
+            scrollable
+            title="Resume preview"
+            className="mx-auto"
+          />
         </div>
       </div>
 
@@ -1176,12 +1151,66 @@ export const renderReviewStep = (formData, exportResume, analyzeResumeATS) => {
             ATS Optimization Analysis
           </h4>
           <p className="text-sm text-blue-700 mb-3">
-            Get AI-powered insights on how to optimize your resume for Applicant Tracking Systems (ATS)
+            Check how well your resume matches a job or course and how easily Applicant Tracking Systems (ATS) can read it
           </p>
-          <Button onClick={analyzeResumeATS} variant="outline" className="flex items-center">
-            <Sparkles className="h-4 w-4 mr-2" />
-            Analyze Resume for ATS
-          </Button>
+          <label className="block text-sm font-medium text-gray-700 mb-2">Job or Course Description (optional)</label>
+          <Textarea
+            value={formData.setup.jobDescription || ''}
+            onChange={(e) => updateFormData('setup', 'jobDescription', e.target.value)}
+            rows={5}
+            placeholder="Paste the job ad or course entry requirements to check keyword coverage"
+            className="mb-3 bg-white"
+          />
+          <div className="flex flex-wrap gap-2">
+            <Button onClick={() => analyzeResumeATS('local')} variant="outline" className="flex items-center">
+              <FileText className="h-4 w-4 mr-2" />
+              {atsResult ? 'Re-analyze Resume for ATS' : 'Analyze Resume for ATS'}
+            </Button>
+            <Button onClick={() => analyzeResumeATS('ai')} variant="outline" className="flex items-center">
+              <Sparkles className="h-4 w-4 mr-2" />
+              AI Analysis
+            </Button>
+          </div>
+
+          {atsResult && (
+            <div className="mt-4 pt-4 border-t border-blue-200 space-y-3">
+              <div className="flex flex-wrap items-baseline justify-between gap-2">
+                {typeof atsResult.analysis.score === 'number' && (
+                  <p className="text-2xl font-bold text-blue-900">{atsResult.analysis.score}<span className="text-sm font-normal text-blue-700">/100</span></p>
+                )}
+                <p className="text-xs text-blue-700">
+                  {atsResult.analysis.engine === 'local' ? 'Keyword and format check' : 'AI analysis'} for {atsResult.targetRole}
+                  {atsResult.analyzedAt && ` · ${new Date(atsResult.analyzedAt).toLocaleString()}`}
+                </p>
+              </div>
+              {atsResult.analysis.breakdown && (
+                <p className="text-xs text-gray-600">
+                  {atsResult.analysis.breakdown.keywords !== null && `Keywords ${atsResult.analysis.breakdown.keywords}/50 · `}
+                  Sections {atsResult.analysis.breakdown.sections}/25 · Formatting {atsResult.analysis.breakdown.formatting}/25
+                </p>
+              )}
+              {atsResult.analysis.keywords?.matched.length > 0 && (
+                <div className="flex flex-wrap gap-1">
+                  {atsResult.analysis.keywords.matched.map(keyword => (
+                    <span key={keyword} className="px-2 py-0.5 rounded-full text-xs bg-green-100 text-green-800">{keyword}</span>
+                  ))}
+                </div>
+              )}
+              {atsResult.analysis.summary && (
+                <p className="text-sm text-gray-800 whitespace-pre-wrap">{atsResult.analysis.summary}</p>
+              )}
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {ATS_ANALYSIS_LISTS.filter(list => atsResult.analysis[list.key]?.length > 0).map(list => (
+                  <div key={list.key}>
+                    <h5 className="text-sm font-medium text-blue-900 mb-1">{list.label}</h5>
+                    <ul className="list-disc list-inside text-sm text-gray-800 space-y-1">
+                      {atsResult.analysis[list.key].map((item, index) => <li key={index}>{item}</li>)}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
 
         {/* Export Buttons */}
@@ -1198,6 +1227,10 @@ export const renderReviewStep = (formData, exportResume, analyzeResumeATS) => {
             <Download className="h-4 w-4 mr-2" />
             Export as Text
           </Button>
+          <Button onClick={() => exportResume('html')} variant="outline" className="flex items-center">
+            <Download className="h-4 w-4 mr-2" />
+            Export as HTML
+          </Button>
         </div>
       </div>
     </div>
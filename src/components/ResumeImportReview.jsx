@@ -0,0 +1,320 @@
+import { useEffect, useState } from 'react'
+import { AlertTriangle } from 'lucide-react'
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Textarea } from './ui/textarea'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select'
+
+const CONFIDENCE_STYLES = {
+  high: 'bg-green-100 text-green-800',
+  medium: 'bg-amber-100 text-amber-800',
+  low: 'bg-red-100 text-red-800'
+}
+
+const CONFIDENCE_LABELS = { high: 'Confident', medium: 'Check', low: 'Guess' }
+
+const PERSONAL_FIELDS = [
+  ['fullName', 'Full Name'],
+  ['email', 'Email'],
+  ['phone', 'Phone'],
+  ['city', 'City'],
+  ['state', 'State'],
+  ['postalCode', 'Postcode'],
+  ['country', 'Country'],
+  ['linkedinUrl', 'LinkedIn'],
+  ['githubUrl', 'GitHub'],
+  ['portfolioUrl', 'Portfolio'],
+  ['professionalSummary', 'Professional Summary', 'textarea']
+]
+
+const DEGREE_OPTIONS = [
+  ['high-school', 'High School Diploma'],
+  ['certificate', 'Certificate'],
+  ['diploma', 'Diploma'],
+  ['associate', 'Associate Degree'],
+  ['bachelor', "Bachelor's Degree"],
+  ['master', "Master's Degree"],
+  ['phd', 'PhD'],
+  ['other', 'Other']
+]
+
+const EMPLOYMENT_OPTIONS = [
+  ['full-time', 'Full-time'],
+  ['part-time', 'Part-time'],
+  ['internship', 'Internship'],
+  ['contract', 'Contract'],
+  ['volunteer', 'Volunteer'],
+  ['freelance', 'Freelance']
+]
+
+const EDUCATION_FIELDS = [
+  ['institutionName', 'Institution'],
+  ['degreeType', 'Degree Type', DEGREE_OPTIONS],
+  ['fieldOfStudy', 'Field of Study'],
+  ['gpa', 'GPA / WAM'],
+  ['location', 'Location'],
+  ['startDate', 'Start Date', 'date'],
+  ['endDate', 'End Date', 'date'],
+  ['isCurrent', 'Currently studying', 'checkbox'],
+  ['achievements', 'Achievements', 'textarea'],
+  ['description', 'Description', 'textarea']
+]
+
+const EXPERIENCE_FIELDS = [
+  ['jobTitle', 'Job Title'],
+  ['companyName', 'Company'],
+  ['employmentType', 'Employment Type', EMPLOYMENT_OPTIONS],
+  ['location', 'Location'],
+  ['startDate', 'Start Date', 'date'],
+  ['endDate', 'End Date', 'date'],
+  ['isCurrent', 'Currently working here', 'checkbox'],
+  ['description', 'Description', 'textarea'],
+  ['achievements', 'Achievements', 'textarea']
+]
+
+const SKILL_LABELS = {
+  technical: 'Technical Skills',
+  soft: 'Soft Skills',
+  languages: 'Languages',
+  certifications: 'Certifications'
+}
+
+// Text fields the parser left empty are just noise in the review
+const toReviewEntry = (entry) => ({
+  ...entry,
+  include: true,
+  filled: Object.keys(entry.fields).filter(key => entry.fields[key].value)
+})
+
+// Guesses start unticked so nothing doubtful lands in the form unreviewed
+const toReview = (result) => ({
+  personalInfo: Object.fromEntries(
+    Object.entries(result.personalInfo).map(([key, item]) => [key, { ...item, include: item.confidence !== 'low' }])
+  ),
+  education: result.education.map(toReviewEntry),
+  experience: result.experience.map(toReviewEntry),
+  skills: Object.fromEntries(
+    Object.entries(result.skills).map(([category, item]) => [category, { ...item, text: item.value.join(', '), include: true }])
+  )
+})
+
+// Skills are edited as comma separated text
+const fromReview = (review) => ({
+  ...review,
+  skills: Object.fromEntries(
+    Object.entries(review.skills).map(([category, item]) => [
+      category,
+      { ...item, value: item.text.split(',').map(skill => skill.trim()).filter(Boolean) }
+    ])
+  )
+})
+
+function ConfidenceBadge({ confidence }) {
+  return (
+    <span className={`px-2 py-0.5 rounded text-xs font-medium whitespace-nowrap ${CONFIDENCE_STYLES[confidence]}`}>
+      {CONFIDENCE_LABELS[confidence]}
+    </span>
+  )
+}
+
+function FieldInput({ type, value, onChange }) {
+  if (Array.isArray(type)) {
+    return (
+      <Select value={value || undefined} onValueChange={onChange}>
+        <SelectTrigger>
+          <SelectValue placeholder="Select" />
+        </SelectTrigger>
+        <SelectContent>
+          {type.map(([optionValue, label]) => (
+            <SelectItem key={optionValue} value={optionValue}>{label}</SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+    )
+  }
+  if (type === 'checkbox') {
+    return <input type="checkbox" checked={Boolean(value)} onChange={(e) => onChange(e.target.checked)} className="h-4 w-4" />
+  }
+  if (type === 'textarea') {
+    return <Textarea rows={3} value={value} onChange={(e) => onChange(e.target.value)} />
+  }
+  return <Input type={type || 'text'} value={value} onChange={(e) => onChange(e.target.value)} />
+}
+
+function EntryCard({ title, entry, fields, onToggle, onChange }) {
+  return (
+    <div className={`border rounded-lg p-4 space-y-3 ${entry.include ? '' : 'opacity-60'}`}>
+      <label className="flex items-center gap-2 font-medium text-gray-900">
+        <input type="checkbox" checked={entry.include} onChange={(e) => onToggle(e.target.checked)} className="h-4 w-4" />
+        {title}
+      </label>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        {fields
+          .filter(([key, , type]) => entry.fields[key] && (type !== 'textarea' || entry.filled.includes(key)))
+          .map(([key, label, type]) => (
+            <div key={key} className={type === 'textarea' ? 'md:col-span-2' : ''}>
+              <div className="flex items-center justify-between mb-1">
+                <span className="text-sm text-gray-700">{label}</span>
+                <ConfidenceBadge confidence={entry.fields[key].confidence} />
+              </div>
+              <FieldInput type={type} value={entry.fields[key].value} onChange={(value) => onChange(key, value)} />
+            </div>
+          ))}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Review step for an imported resume: every field parsed from the file is
+ * shown with how sure the parser was, can be corrected, and is only added to
+ * the builder if it is ticked when the user accepts.
+ */
+export default function ResumeImportReview({ open, fileName, result, onCancel, onAccept }) {
+  const [review, setReview] = useState(null)
+
+  useEffect(() => {
+    setReview(result ? toReview(result) : null)
+  }, [result])
+
+  if (!review) return null
+
+  const setPersonal = (key, changes) => setReview(prev => ({
+    ...prev,
+    personalInfo: { ...prev.personalInfo, [key]: { ...prev.personalInfo[key], ...changes } }
+  }))
+
+  const setEntry = (section, index, changes) => setReview(prev => ({
+    ...prev,
+    [section]: prev[section].map((entry, i) => (i === index ? { ...entry, ...changes } : entry))
+  }))
+
+  const setEntryField = (section, index, key, value) => setEntry(section, index, {
+    fields: { ...review[section][index].fields, [key]: { ...review[section][index].fields[key], value } }
+  })
+
+  const setSkills = (category, changes) => setReview(prev => ({
+    ...prev,
+    skills: { ...prev.skills, [category]: { ...prev.skills[category], ...changes } }
+  }))
+
+  const personalFields = PERSONAL_FIELDS.filter(([key]) => review.personalInfo[key])
+  const selectedCount = personalFields.filter(([key]) => review.personalInfo[key].include).length +
+    review.education.filter(entry => entry.include).length +
+    review.experience.filter(entry => entry.include).length +
+    Object.values(review.skills).filter(item => item.include).length
+
+  return (
+    <Dialog open={open} onOpenChange={(isOpen) => !isOpen && onCancel()}>
+      <DialogContent className="sm:max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Review Imported Resume</DialogTitle>
+          <DialogDescription>
+            We read {fileName || 'your file'} on this device. Check each field, fix anything that was read wrongly, and untick what you don't want added.
+          </DialogDescription>
+        </DialogHeader>
+
+        {result.warnings.length > 0 && (
+          <div className="p-3 bg-amber-50 border border-amber-200 rounded-lg space-y-1">
+            {result.warnings.map(warning => (
+              <p key={warning} className="flex items-start gap-2 text-sm text-amber-800">
+                <AlertTriangle className="h-4 w-4 flex-shrink-0 mt-0.5" />
+                {warning}
+              </p>
+            ))}
+          </div>
+        )}
+
+        <div className="space-y-6">
+          {personalFields.length > 0 && (
+            <section className="space-y-3">
+              <h3 className="font-semibold text-gray-900">Contact & Summary</h3>
+              {personalFields.map(([key, label, type]) => (
+                <div key={key} className={`flex items-start gap-3 ${review.personalInfo[key].include ? '' : 'opacity-60'}`}>
+                  <input
+                    type="checkbox"
+                    checked={review.personalInfo[key].include}
+                    onChange={(e) => setPersonal(key, { include: e.target.checked })}
+                    className="h-4 w-4 mt-3"
+                    aria-label={`Include ${label}`}
+                  />
+                  <div className="flex-1">
+                    <div className="flex items-center justify-between mb-1">
+                      <span className="text-sm text-gray-700">{label}</span>
+                      <ConfidenceBadge confidence={review.personalInfo[key].confidence} />
+                    </div>
+                    <FieldInput type={type} value={review.personalInfo[key].value} onChange={(value) => setPersonal(key, { value })} />
+                  </div>
+                </div>
+              ))}
+            </section>
+          )}
+
+          {review.education.length > 0 && (
+            <section className="space-y-3">
+              <h3 className="font-semibold text-gray-900">Education</h3>
+              {review.education.map((entry, index) => (
+                <EntryCard
+                  key={index}
+                  title={entry.fields.institutionName.value || `Education ${index + 1}`}
+                  entry={entry}
+                  fields={EDUCATION_FIELDS}
+                  onToggle={(include) => setEntry('education', index, { include })}
+                  onChange={(key, value) => setEntryField('education', index, key, value)}
+                />
+              ))}
+            </section>
+          )}
+
+          {review.experience.length > 0 && (
+            <section className="space-y-3">
+              <h3 className="font-semibold text-gray-900">Work Experience</h3>
+              {review.experience.map((entry, index) => (
+                <EntryCard
+                  key={index}
+                  title={[entry.fields.jobTitle.value, entry.fields.companyName.value].filter(Boolean).join(' at ') || `Position ${index + 1}`}
+                  entry={entry}
+                  fields={EXPERIENCE_FIELDS}
+                  onToggle={(include) => setEntry('experience', index, { include })}
+                  onChange={(key, value) => setEntryField('experience', index, key, value)}
+                />
+              ))}
+            </section>
+          )}
+
+          {Object.keys(review.skills).length > 0 && (
+            <section className="space-y-3">
+              <h3 className="font-semibold text-gray-900">Skills</h3>
+              {Object.entries(review.skills).map(([category, item]) => (
+                <div key={category} className={`flex items-start gap-3 ${item.include ? '' : 'opacity-60'}`}>
+                  <input
+                    type="checkbox"
+                    checked={item.include}
+                    onChange={(e) => setSkills(category, { include: e.target.checked })}
+                    className="h-4 w-4 mt-3"
+                    aria-label={`Include ${SKILL_LABELS[category]}`}
+                  />
+                  <div className="flex-1">
+                    <div className="flex items-center justify-between mb-1">
+                      <span className="text-sm text-gray-700">{SKILL_LABELS[category]} (comma separated)</span>
+                      <ConfidenceBadge confidence={item.confidence} />
+                    </div>
+                    <Input value={item.text} onChange={(e) => setSkills(category, { text: e.target.value })} />
+                  </div>
+                </div>
+              ))}
+            </section>
+          )}
+        </div>
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onCancel}>Cancel</Button>
+          <Button onClick={() => onAccept(fromReview(review))} disabled={selectedCount === 0}>
+            Add Selected to Resume
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,133 @@
+import { useState } from 'react'
+import { Copy, Plus, Trash2 } from 'lucide-react'
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select'
+
+const TARGET_LABELS = { course: 'Course', job: 'Job' }
+
+// Masters first, each followed by the variants cloned from it
+const orderResumes = (resumes) => {
+  const masters = resumes.filter(resume => !resume.parent_id || !resumes.some(other => other.id === resume.parent_id))
+  return masters.flatMap(master => [master, ...resumes.filter(resume => resume.parent_id === master.id)])
+}
+
+const SAVE_STATUS_TEXT = {
+  saving: 'Saving...',
+  error: 'Could not save changes'
+}
+
+/**
+ * Resume picker for the builder: switch between saved resumes, start a new
+ * one, or clone the current resume into a version tailored to a course or job.
+ */
+export default function ResumeVersionsBar({ resumes, currentId, saveStatus, lastSavedAt, onSelect, onNew, onClone, onDelete }) {
+  const [cloneOpen, setCloneOpen] = useState(false)
+  const [target, setTarget] = useState({ targetType: 'job', targetName: '', title: '' })
+  const [busy, setBusy] = useState(false)
+
+  const current = resumes.find(resume => resume.id === currentId)
+
+  const handleClone = async () => {
+    setBusy(true)
+    const success = await onClone({ ...target, targetName: target.targetName.trim(), title: target.title.trim() })
+    setBusy(false)
+    if (success) {
+      setCloneOpen(false)
+      setTarget({ targetType: 'job', targetName: '', title: '' })
+    }
+  }
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete "${current.title}"? Versions tailored from it will be kept.`)) return
+    onDelete(current)
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-3">
+      <Select value={currentId ? String(currentId) : ''} onValueChange={(value) => onSelect(Number(value))}>
+        <SelectTrigger className="w-72">
+          <SelectValue placeholder={resumes.length > 0 ? 'Choose a saved resume' : 'Unsaved resume'} />
+        </SelectTrigger>
+        <SelectContent>
+          {orderResumes(resumes).map(resume => (
+            <SelectItem key={resume.id} value={String(resume.id)}>
+              {resume.parent_id ? '↳ ' : ''}{resume.title}
+              {resume.target_type && ` (${TARGET_LABELS[resume.target_type]}: ${resume.target_name})`}
+            </SelectItem>
+          ))}
+        </SelectContent>
+      </Select>
+
+      <Button variant="outline" size="sm" onClick={onNew} className="flex items-center gap-2">
+        <Plus className="h-4 w-4" />
+        New Resume
+      </Button>
+      <Button variant="outline" size="sm" onClick={() => setCloneOpen(true)} disabled={!current} className="flex items-center gap-2">
+        <Copy className="h-4 w-4" />
+        Tailor a Version
+      </Button>
+      {current && (
+        <Button variant="ghost" size="sm" onClick={handleDelete} className="text-red-600 hover:text-red-700" aria-label="Delete resume">
+          <Trash2 className="h-4 w-4" />
+        </Button>
+      )}
+
+      <span className="text-sm text-gray-500">
+        {SAVE_STATUS_TEXT[saveStatus] || (lastSavedAt && `Saved at ${lastSavedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`)}
+      </span>
+
+      <Dialog open={cloneOpen} onOpenChange={setCloneOpen}>
+        <DialogContent className="sm:max-w-md">
+          <DialogHeader>
+            <DialogTitle>Tailor a Version</DialogTitle>
+            <DialogDescription>
+              Copies "{current?.title}" so you can adapt it for one course or job without changing the original.
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Tailored For</label>
+              <Select value={target.targetType} onValueChange={(value) => setTarget({ ...target, targetType: value })}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="job">A job</SelectItem>
+                  <SelectItem value="course">A course</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                {target.targetType === 'job' ? 'Job Title / Company' : 'Course / Institution'}
+              </label>
+              <Input
+                placeholder={target.targetType === 'job' ? 'e.g., Graduate Data Analyst at Atlassian' : 'e.g., Master of IT, University of Melbourne'}
+                value={target.targetName}
+                onChange={(e) => setTarget({ ...target, targetName: e.target.value })}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Version Title (optional)</label>
+              <Input
+                placeholder={current && target.targetName ? `${current.title} - ${target.targetName}` : ''}
+                value={target.title}
+                onChange={(e) => setTarget({ ...target, title: e.target.value })}
+              />
+            </div>
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setCloneOpen(false)}>Cancel</Button>
+            <Button onClick={handleClone} disabled={busy || !target.targetName.trim()}>
+              {busy ? 'Creating...' : 'Create Version'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  )
+}
@@ -4,14 +4,41 @@ import { Progress } from '../components/ui/progress'
 import { Input } from '../components/ui/input'
 import { Textarea } from '../components/ui/textarea'
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select'
-import { FileText, Target, User, PenTool, GraduationCap, Heart, Trophy, Building, CheckCircle, Save, Sparkles, Brain } from 'lucide-react'
+import { FileText, Target, User, PenTool, GraduationCap, Heart, Trophy, Building, CheckCircle, Save, Sparkles, Brain, History } from 'lucide-react'
 import Sidebar from './Sidebar'
+import SOPRevisionHistory from './SOPRevisionHistory'
+import DocumentReviewControls from './DocumentReviewControls'
+import SOPOriginalityCheck from './SOPOriginalityCheck'
+import DraftRecoveryBanner, { DraftStatus } from './DraftRecoveryBanner'
+import { useAuth } from '../contexts/AuthContext'
+import useDocumentDraft from '../hooks/useDocumentDraft'
 import geminiAIService from '../lib/geminiAIService';
 import exportService from '../lib/exportService';
+import { DEFAULT_TEMPLATE_ID, EXPORT_TEMPLATES } from '../lib/exportTemplates';
+import { SOPService } from '../lib/sopService';
+import { columnsToSections } from '../lib/sopRevisions';
+import { getSectionText, setSectionText, sopReviewSections } from '../lib/documentReview';
+import { HIGH_OVERLAP_BELOW } from '../lib/similarityEngine';
+
+// Builder steps -> SOPService section keys
+const SECTION_KEYS = {
+  introduction: 'introduction',
+  academicBackground: 'academicBackground',
+  motivation: 'motivationAndInterest',
+  futureGoals: 'futureGoals',
+  whyUniversity: 'whyThisUniversity',
+  conclusion: 'conclusion'
+}
 
 const SOPBuilderProper = ({ isMobileMenuOpen, onMobileMenuClose }) => {
+  const { user } = useAuth()
   const [currentStep, setCurrentStep] = useState('setup')
   const [isLoading, setIsLoading] = useState(false)
+  const [sopId, setSopId] = useState(null)
+  const [saveMessage, setSaveMessage] = useState(null)
+  const [historyOpen, setHistoryOpen] = useState(false)
+  const [exportTemplate, setExportTemplate] = useState(DEFAULT_TEMPLATE_ID)
+  const [originality, setOriginality] = useState(null)
   const [formData, setFormData] = useState({
     setup: {
       purpose: '',
@@ -50,6 +77,18 @@ const SOPBuilderProper = ({ isMobileMenuOpen, onMobileMenuClose }) => {
     }
   })
 
+  // Unsaved work survives closed tabs; sopId comes along so a restored draft
+  // keeps saving to the same SOP
+  const draft = useDocumentDraft({
+    docType: 'sop',
+    userId: user?.id,
+    value: { formData, sopId },
+    onRestore: (data) => {
+      setFormData(data.formData)
+      setSopId(data.sopId ?? null)
+    }
+  })
+
   const steps = [
     { id: 'setup', title: 'Setup & Purpose', icon: Target },
     { id: 'personalInfo', title: 'Personal Information', icon: User },
@@ -91,10 +130,59 @@ const SOPBuilderProper = ({ isMobileMenuOpen, onMobileMenuClose }) => {
     }))
   }
 
+  const toSOPData = (overrides = {}) => ({
+    id: sopId,
+    purpose: formData.setup.purpose,
+    targetUniversity: formData.setup.targetUniversity,
+    targetCourse: formData.setup.targetCourse,
+    sections: Object.fromEntries(
+      Object.entries(SECTION_KEYS).map(([step, key]) => [key, overrides[step] ?? formData[step].content])
+    )
+  })
+
+  // Load a saved SOP row (e.g. a restored revision) back into the builder
+  const applySOP = (sop) => {
+    const sections = columnsToSections(sop)
+    setSopId(sop.id)
+    setFormData(prev => {
+      const next = {
+        ...prev,
+        setup: {
+          purpose: sop.purpose || prev.setup.purpose,
+          targetUniversity: sop.target_university || '',
+          targetCourse: sop.target_course || ''
+        }
+      }
+      Object.entries(SECTION_KEYS).forEach(([step, key]) => {
+        next[step] = { ...prev[step], content: sections[key] }
+      })
+      return next
+    })
+  }
+
+  const handleSaveDraft = async () => {
+    if (!user) {
+      setSaveMessage('Please sign in to save your SOP')
+      return
+    }
+
+    setIsLoading(true)
+    const result = await SOPService.saveSOP(toSOPData(), user.id)
+    setIsLoading(false)
+
+    if (result.success) {
+      setSopId(result.data.id)
+      setSaveMessage(`Draft saved at ${new Date().toLocaleTimeString()}`)
+    } else {
+      setSaveMessage('Failed to save draft: ' + result.error)
+    }
+  }
+
   const generateAIContent = async (section, keywords) => {
     if (!keywords.trim()) return
 
     setIsLoading(true)
+    const startedAt = Date.now()
     try {
       const context = {
         targetUniversity: formData.setup.targetUniversity,
@@ -109,6 +197,17 @@ const SOPBuilderProper = ({ isMobileMenuOpen, onMobileMenuClose }) => {
       if (result.success) {
         updateFormData(section, 'content', result.content)
         console.log('AI content generated successfully:', result.content.substring(0, 100) + '...')
+
+        // Keep the draft as it was and the generated version as separate revisions
+        if (user) {
+          const recorded = await SOPService.recordAIGeneration(toSOPData(), user.id, {
+            sectionName: SECTION_KEYS[section],
+            keywords: keywords.split(',').map(keyword => keyword.trim()).filter(Boolean),
+            generatedContent: result.content,
+            generationTime: Date.now() - startedAt
+          })
+          if (recorded.success) setSopId(recorded.data.id)
+        }
       } else {
         console.error('AI generation failed:', result.error)
         alert('AI generation failed: ' + result.error)
@@ -122,21 +221,29 @@ const SOPBuilderProper = ({ isMobileMenuOpen, onMobileMenuClose }) => {
   }
 
   // Export handler functions
+  const getExportData = () => ({
+    setup: formData.setup,
+    personalInfo: formData.personalInfo,
+    introduction: formData.introduction.content,
+    academicBackground: formData.academicBackground.content,
+    motivationAndInterest: formData.motivation.content,
+    futureGoals: formData.futureGoals.content,
+    whyThisUniversity: formData.whyUniversity.content,
+    conclusion: formData.conclusion.content,
+    template: exportTemplate
+  })
+
+  // Drafts in the high-overlap band need an explicit go-ahead to export
+  const confirmOriginality = () => {
+    if (!originality || originality.totalWords === 0 || originality.originality >= HIGH_OVERLAP_BELOW) return true
+    return window.confirm(`Only ${originality.originality}% of this SOP is original - the highlighted passages match other statements. Export anyway?`)
+  }
+
   const handleExportPDF = async () => {
+    if (!confirmOriginality()) return
     setIsLoading(true)
     try {
-      const exportData = {
-        setup: formData.setup,
-        personalInfo: formData.personalInfo,
-        introduction: formData.introduction.content,
-        academicBackground: formData.academicBackground.content,
-        motivationAndInterest: formData.motivation.content,
-        futureGoals: formData.futureGoals.content,
-        whyThisUniversity: formData.whyUniversity.content,
-        conclusion: formData.conclusion.content
-      }
-      
-      const result = await exportService.exportToPDF(exportData)
+      const result = await exportService.exportToPDF(getExportData())
       if (result.success) {
         alert(result.message)
       } else {
@@ -151,20 +258,10 @@ const SOPBuilderProper = ({ isMobileMenuOpen, onMobileMenuClose }) => {
   }
 
   const handleExportWord = async () => {
+    if (!confirmOriginality()) return
     setIsLoading(true)
     try {
-      const exportData = {
-        setup: formData.setup,
-        personalInfo: formData.personalInfo,
-        introduction: formData.introduction.content,
-        academicBackground: formData.academicBackground.content,
-        motivationAndInterest: formData.motivation.content,
-        futureGoals: formData.futureGoals.content,
-        whyThisUniversity: formData.whyUniversity.content,
-        conclusion: formData.conclusion.content
-      }
-      
-      const result = await exportService.exportToWord(exportData)
+      const result = await exportService.exportToWord(getExportData())
       if (result.success) {
         alert(result.message)
       } else {
@@ -179,20 +276,10 @@ const SOPBuilderProper = ({ isMobileMenuOpen, onMobileMenuClose }) => {
   }
 
   const handleExportText = async () => {
+    if (!confirmOriginality()) return
     setIsLoading(true)
     try {
-      const exportData = {
-        setup: formData.setup,
-        personalInfo: formData.personalInfo,
-        introduction: formData.introduction.content,
-        academicBackground: formData.academicBackground.content,
-        motivationAndInterest: formData.motivation.content,
-        futureGoals: formData.futureGoals.content,
-        whyThisUniversity: formData.whyUniversity.content,
-        conclusion: formData.conclusion.content
-      }
-      
-      const result = exportService.exportToText(exportData)
+      const result = exportService.exportToText(getExportData())
       if (result.success) {
         alert(result.message)
       } else {
@@ -755,6 +842,27 @@ const SOPBuilderProper = ({ isMobileMenuOpen, onMobileMenuClose }) => {
                   </div>
                 </div>
 
+                <SOPOriginalityCheck
+                  sections={sopReviewSections(formData)}
+                  userId={user?.id}
+                  sopId={sopId}
+                  onResult={setOriginality}
+                />
+
+                <div className="mb-4">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">Export Template</label>
+                  <Select value={exportTemplate} onValueChange={setExportTemplate}>
+                    <SelectTrigger className="md:w-72">
+                      <SelectValue placeholder="Choose a template" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {EXPORT_TEMPLATES.map(template => (
+                        <SelectItem key={template.id} value={template.id}>{template.name}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+
                 <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
                   <Button 
                     className="flex items-center gap-2"
@@ -871,9 +979,35 @@ const SOPBuilderProper = ({ isMobileMenuOpen, onMobileMenuClose }) => {
               </div>
             </div>
 
+            <DraftRecoveryBanner draft={draft} />
+
             {/* Step Content */}
             {renderStepContent()}
 
+            {/* Counselor Review */}
+            {user && (
+              <div className="bg-white rounded-lg shadow-sm border p-4 flex flex-wrap items-center justify-between gap-3">
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-900">Counselor Review</h3>
+                  <p className="text-xs text-gray-600">Share this draft with your counselor for comments and suggested edits</p>
+                </div>
+                <DocumentReviewControls
+                  documentType="sop"
+                  documentId={sopId}
+                  getSections={() => sopReviewSections(formData)}
+                  prepare={async () => {
+                    // Reviews point at a saved SOP
+                    const result = await SOPService.saveSOP(toSOPData(), user.id)
+                    if (!result.success) return {}
+                    setSopId(result.data.id)
+                    return { documentId: result.data.id, title: result.data.title }
+                  }}
+                  getCurrentText={(key) => getSectionText(formData, key)}
+                  onApplyText={(key, text) => setFormData(prev => setSectionText(prev, key, text))}
+                />
+              </div>
+            )}
+
             {/* Navigation Buttons */}
             <div className="flex justify-between">
               <Button
@@ -886,8 +1020,23 @@ const SOPBuilderProper = ({ isMobileMenuOpen, onMobileMenuClose }) => {
               </Button>
 
               <div className="flex gap-3">
+                {saveMessage
+                  ? <span className="self-center text-sm text-gray-500">{saveMessage}</span>
+                  : <DraftStatus draft={draft} className="self-center text-sm text-gray-500" />}
+
                 <Button
                   variant="outline"
+                  onClick={() => setHistoryOpen(true)}
+                  disabled={!sopId || !user}
+                  className="flex items-center gap-2"
+                >
+                  <History className="h-4 w-4" />
+                  History
+                </Button>
+
+                <Button
+                  variant="outline"
+                  onClick={handleSaveDraft}
                   disabled={isLoading}
                   className="flex items-center gap-2"
                 >
@@ -908,6 +1057,19 @@ const SOPBuilderProper = ({ isMobileMenuOpen, onMobileMenuClose }) => {
           </div>
         </main>
       </div>
+
+      {user && (
+        <SOPRevisionHistory
+          sopId={sopId}
+          userId={user.id}
+          open={historyOpen}
+          onOpenChange={setHistoryOpen}
+          onRestored={(sop) => {
+            applySOP(sop)
+            setSaveMessage('Restored an earlier version')
+          }}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,137 @@
+import { useState, useEffect } from 'react'
+import { ShieldCheck, RefreshCw, AlertTriangle } from 'lucide-react'
+import { Button } from './ui/button'
+import { SOPService } from '../lib/sopService'
+import { buildSimilarityIndex, checkSimilarity, highlightSegments, originalityLevel, SOURCE_KINDS, withRemoteMatches } from '../lib/similarityEngine'
+
+const passageClass = (passage) => (passage.external ? 'bg-red-100 text-red-900' : 'bg-yellow-100 text-yellow-900')
+
+// Originality check shown before export: overall score, the sources a draft
+// overlaps with, and each section with the overlapping passages highlighted.
+// The sample library and the student's own SOPs are loaded once; other
+// students' SOPs are matched in the database on every check.
+export default function SOPOriginalityCheck({ sections, userId, sopId, onResult }) {
+  const [library, setLibrary] = useState(null)
+  const [unavailable, setUnavailable] = useState([])
+  const [result, setResult] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  const runCheck = async (loaded) => {
+    setLoading(true)
+    const platform = await SOPService.matchPlatformSOPs(sections)
+    const checked = checkSimilarity(sections, withRemoteMatches(loaded.index, platform.data, { total: platform.total }))
+    setUnavailable(platform.success ? loaded.unavailable : [...loaded.unavailable, 'platform'])
+    setResult(checked)
+    onResult?.(checked)
+    setLoading(false)
+  }
+
+  const loadAndCheck = async () => {
+    setLoading(true)
+    const sources = await SOPService.getSimilaritySources(userId, { excludeSopId: sopId })
+    const loaded = { index: buildSimilarityIndex(sources.data), unavailable: sources.unavailable }
+    setLibrary(loaded)
+    await runCheck(loaded)
+  }
+
+  useEffect(() => {
+    loadAndCheck()
+  }, [userId, sopId]) // eslint-disable-line react-hooks/exhaustive-deps
+
+  const level = result ? originalityLevel(result.originality) : null
+  const flagged = result ? result.sections.filter(section => section.passages.length > 0) : []
+
+  return (
+    <div className="bg-white rounded-lg border p-4 space-y-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <ShieldCheck className="h-5 w-5 text-blue-600" />
+          <h4 className="font-medium text-gray-900">Originality Check</h4>
+        </div>
+        <Button variant="outline" size="sm" onClick={() => (library ? runCheck(library) : loadAndCheck())} disabled={loading} className="flex items-center gap-2">
+          <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          {loading ? 'Checking...' : 'Check again'}
+        </Button>
+      </div>
+
+      {result && result.totalWords === 0 && (
+        <p className="text-sm text-gray-600">Write some of your SOP to check it for originality.</p>
+      )}
+
+      {result && result.totalWords > 0 && (
+        <>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+            <div className={`rounded-lg border p-3 ${level.color}`}>
+              <p className="text-2xl font-bold">{result.originality}%</p>
+              <p className="text-sm">Original - {level.label}</p>
+            </div>
+            <div className="rounded-lg border p-3 bg-gray-50">
+              <p className="text-2xl font-bold text-gray-900">{result.selfSimilarity}%</p>
+              <p className="text-sm text-gray-600">Reused from your other SOPs</p>
+            </div>
+            <div className="rounded-lg border p-3 bg-gray-50 text-sm text-gray-600">
+              <p className="font-medium text-gray-900 mb-1">Compared against</p>
+              {Object.entries(SOURCE_KINDS).map(([kind, label]) => (
+                <p key={kind}>
+                  {label}: {unavailable.includes(kind) ? 'unavailable' : result.comparedAgainst[kind]}
+                </p>
+              ))}
+            </div>
+          </div>
+
+          {result.sources.length > 0 && (
+            <div>
+              <p className="text-sm font-medium text-gray-900 mb-2">Overlapping sources</p>
+              <ul className="space-y-1 text-sm">
+                {result.sources.map(source => (
+                  <li key={source.id} className="flex justify-between gap-3">
+                    <span className="text-gray-700">
+                      {source.label} <span className="text-gray-500">({SOURCE_KINDS[source.kind]})</span>
+                    </span>
+                    <span className="text-gray-600 whitespace-nowrap">{source.overlap}% of your draft</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {flagged.length > 0 ? (
+            <div className="space-y-3">
+              <p className="text-xs text-gray-500">
+                <span className="px-1 bg-red-100 text-red-900">Red</span> passages match the sample library or another student's SOP.{' '}
+                <span className="px-1 bg-yellow-100 text-yellow-900">Yellow</span> passages match your own earlier SOPs.
+              </p>
+              {flagged.map(section => (
+                <div key={section.key}>
+                  <h5 className="text-sm font-medium text-gray-800 mb-1">{section.label}</h5>
+                  <p className="text-sm text-gray-600 whitespace-pre-line">
+                    {highlightSegments(section).map((segment, segmentIndex) => (segment.passage ? (
+                      <mark
+                        key={segmentIndex}
+                        className={`${passageClass(segment.passage)} rounded px-0.5`}
+                        title={segment.passage.sources.map(source => source.label).join(', ')}
+                      >
+                        {segment.text}
+                      </mark>
+                    ) : (
+                      <span key={segmentIndex}>{segment.text}</span>
+                    )))}
+                  </p>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="text-sm text-green-700">No overlapping passages found.</p>
+          )}
+
+          {result.originality < 90 && (
+            <p className="text-sm text-gray-600 flex items-start gap-2">
+              <AlertTriangle className="h-4 w-4 text-yellow-600 mt-0.5 flex-shrink-0" />
+              Rewrite highlighted passages in your own words. Admissions teams use plagiarism checks too.
+            </p>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,189 @@
+import { useState, useEffect, useCallback } from 'react'
+import { History, RotateCcw, Tag, Sparkles } from 'lucide-react'
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from './ui/dialog'
+import { Button } from './ui/button'
+import { Input } from './ui/input'
+import { SOPService } from '../lib/sopService'
+import { describeRevision, diffRevisions } from '../lib/sopRevisions'
+
+const formatDate = (value) => new Date(value).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+
+const DiffText = ({ chunks, side }) => chunks
+  .filter(chunk => chunk.type === 'same' || chunk.type === (side === 'before' ? 'removed' : 'added'))
+  .map((chunk, index) => (
+    <span
+      key={index}
+      className={chunk.type === 'removed' ? 'bg-red-100 text-red-800 line-through' : chunk.type === 'added' ? 'bg-green-100 text-green-800' : ''}
+    >
+      {chunk.text}
+    </span>
+  ))
+
+// Revision list, side-by-side section diff, one-click restore and snapshot names
+export default function SOPRevisionHistory({ sopId, userId, open, onOpenChange, onRestored }) {
+  const [revisions, setRevisions] = useState([])
+  const [fromId, setFromId] = useState(null)
+  const [toId, setToId] = useState(null)
+  const [naming, setNaming] = useState(null)
+  const [snapshotName, setSnapshotName] = useState('')
+  const [busy, setBusy] = useState(false)
+  const [error, setError] = useState(null)
+
+  const loadRevisions = useCallback(async () => {
+    const result = await SOPService.getRevisions(sopId)
+    setRevisions(result.data)
+    // Default comparison: the previous revision against the latest
+    setToId(result.data[0]?.id || null)
+    setFromId(result.data[1]?.id || result.data[0]?.id || null)
+  }, [sopId])
+
+  useEffect(() => {
+    if (!open || !sopId) return
+    setError(null)
+    loadRevisions()
+  }, [open, sopId, loadRevisions])
+
+  const handleRestore = async (revision) => {
+    setBusy(true)
+    const result = await SOPService.restoreRevision(revision.id, userId)
+    setBusy(false)
+
+    if (result.success) {
+      onRestored(result.data)
+      loadRevisions()
+    } else {
+      setError(`Could not restore this revision: ${result.error}`)
+    }
+  }
+
+  const handleSaveName = async (revision) => {
+    const result = await SOPService.nameRevision(revision.id, snapshotName)
+    if (result.success) {
+      setRevisions(prev => prev.map(item => (item.id === revision.id ? result.data : item)))
+      setNaming(null)
+    } else {
+      setError(`Could not name this snapshot: ${result.error}`)
+    }
+  }
+
+  const from = revisions.find(revision => revision.id === fromId)
+  const to = revisions.find(revision => revision.id === toId)
+  const sections = from && to ? diffRevisions(from, to) : []
+
+  const revisionSelect = (value, onChange) => (
+    <select
+      value={value || ''}
+      onChange={(e) => onChange(Number(e.target.value))}
+      className="flex-1 min-w-0 px-2 py-1.5 border border-gray-300 rounded-md text-sm"
+    >
+      {revisions.map(revision => (
+        <option key={revision.id} value={revision.id}>{describeRevision(revision)}</option>
+      ))}
+    </select>
+  )
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-5xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <History className="h-5 w-5" />
+            Version History
+          </DialogTitle>
+          <DialogDescription>
+            Every save and AI generation is kept. Compare any two versions, restore one, or name a snapshot.
+          </DialogDescription>
+        </DialogHeader>
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        {revisions.length === 0 ? (
+          <p className="text-sm text-gray-500 py-8 text-center">No saved versions yet. Save your draft to start the history.</p>
+        ) : (
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="space-y-2">
+              {revisions.map(revision => (
+                <div key={revision.id} className="border rounded-lg p-3">
+                  <div className="flex items-start justify-between gap-2">
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900 flex items-center gap-1">
+                        {revision.source === 'ai_generation' && <Sparkles className="h-3.5 w-3.5 text-purple-600 flex-shrink-0" />}
+                        {revision.snapshot_name && <Tag className="h-3.5 w-3.5 text-blue-600 flex-shrink-0" />}
+                        <span className="truncate">{describeRevision(revision)}</span>
+                      </p>
+                      <p className="text-xs text-gray-500">{formatDate(revision.created_at)}</p>
+                    </div>
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => handleRestore(revision)}
+                      disabled={busy || revision.id === revisions[0].id}
+                      title="Restore this version"
+                    >
+                      <RotateCcw className="h-3.5 w-3.5" />
+                    </Button>
+                  </div>
+
+                  {naming === revision.id ? (
+                    <div className="flex gap-2 mt-2">
+                      <Input
+                        value={snapshotName}
+                        onChange={(e) => setSnapshotName(e.target.value)}
+                        placeholder="e.g. sent to counselor v2"
+                        className="h-8 text-sm"
+                      />
+                      <Button size="sm" onClick={() => handleSaveName(revision)}>Save</Button>
+                    </div>
+                  ) : (
+                    <button
+                      onClick={() => {
+                        setNaming(revision.id)
+                        setSnapshotName(revision.snapshot_name || '')
+                      }}
+                      className="text-xs text-blue-600 hover:text-blue-800 mt-1"
+                    >
+                      {revision.snapshot_name ? 'Rename snapshot' : 'Name this snapshot'}
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <div className="lg:col-span-2 space-y-4">
+              <div className="flex items-center gap-2 text-sm">
+                {revisionSelect(fromId, setFromId)}
+                <span className="text-gray-500">→</span>
+                {revisionSelect(toId, setToId)}
+              </div>
+
+              {sections.map(section => (
+                <div key={section.key} className="border rounded-lg">
+                  <div className="flex items-center justify-between px-3 py-2 bg-gray-50 border-b">
+                    <h4 className="text-sm font-medium text-gray-900">{section.label}</h4>
+                    <span className="text-xs text-gray-500 capitalize">{section.status}</span>
+                  </div>
+                  {section.status === 'unchanged' ? (
+                    <p className="px-3 py-2 text-xs text-gray-500">No changes</p>
+                  ) : (
+                    <div className="grid grid-cols-2 divide-x text-sm leading-relaxed">
+                      <div className="p-3 whitespace-pre-wrap text-gray-700">
+                        {section.status === 'changed' ? <DiffText chunks={section.chunks} side="before" /> : (
+                          <span className="bg-red-100 text-red-800 line-through">{section.before}</span>
+                        )}
+                      </div>
+                      <div className="p-3 whitespace-pre-wrap text-gray-700">
+                        {section.status === 'changed' ? <DiffText chunks={section.chunks} side="after" /> : (
+                          <span className="bg-green-100 text-green-800">{section.after}</span>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -0,0 +1,324 @@
+import { useState, useEffect } from 'react'
+import { Card, CardContent, CardHeader, CardTitle } from './ui/card'
+import { Button } from './ui/button'
+import { Badge } from './ui/badge'
+import { ScholarshipCriteriaService } from '../lib/scholarshipCriteriaService'
+import {
+  CRITERION_TYPES,
+  GPA_SCALES,
+  CITIZENSHIP_OPTIONS,
+  STATE_OPTIONS,
+  INCOME_BANDS,
+  describeCriterion,
+  validateCriteria
+} from '../lib/scholarshipCriteria'
+import { Award, ListChecks, Plus, Trash2, Save, RefreshCw, AlertCircle, CheckCircle2 } from 'lucide-react'
+
+const NEW_CRITERIA = {
+  gpa: { type: 'gpa', min: 5, scale: '7.0' },
+  atar: { type: 'atar', min: 80 },
+  citizenship: { type: 'citizenship', anyOf: ['Australian', 'Permanent Resident'] },
+  field: { type: 'field', label: '', keywords: [] },
+  indigenous: { type: 'indigenous' },
+  first_generation: { type: 'first_generation' },
+  income_band: { type: 'income_band', max: '60k_80k' },
+  age: { type: 'age', min: 17, max: 25 },
+  state: { type: 'state', anyOf: [] }
+}
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent'
+
+const toNumber = (value) => (value === '' ? undefined : Number(value))
+
+// Authoring for the eligibility rules the eligibility checker evaluates
+// (scholarships.eligibility_criteria)
+export default function ScholarshipCriteriaEditor() {
+  const [scholarships, setScholarships] = useState([])
+  const [loading, setLoading] = useState(false)
+  const [selectedId, setSelectedId] = useState(null)
+  const [criteria, setCriteria] = useState([])
+  const [newType, setNewType] = useState('gpa')
+  const [errors, setErrors] = useState([])
+  const [saving, setSaving] = useState(false)
+  const [savedAt, setSavedAt] = useState(null)
+
+  useEffect(() => {
+    loadScholarships()
+  }, [])
+
+  const loadScholarships = async () => {
+    setLoading(true)
+    const result = await ScholarshipCriteriaService.getScholarships({ includeInactive: true })
+    setScholarships(result.data)
+    if (!result.success) setErrors([`Could not load scholarships: ${result.error}`])
+    setLoading(false)
+  }
+
+  const select = (scholarship) => {
+    setSelectedId(scholarship.id)
+    setCriteria((scholarship.eligibility_criteria || []).map(criterion => ({ ...criterion })))
+    setErrors([])
+    setSavedAt(null)
+  }
+
+  const updateCriterion = (index, field, value) => {
+    setCriteria(prev => prev.map((criterion, i) => (i === index ? { ...criterion, [field]: value } : criterion)))
+  }
+
+  const toggleOption = (index, value) => {
+    const anyOf = criteria[index].anyOf || []
+    updateCriterion(index, 'anyOf', anyOf.includes(value) ? anyOf.filter(item => item !== value) : [...anyOf, value])
+  }
+
+  const unusedTypes = Object.keys(CRITERION_TYPES).filter(type => !criteria.some(criterion => criterion.type === type))
+
+  const addCriterion = () => {
+    const type = unusedTypes.includes(newType) ? newType : unusedTypes[0]
+    if (!type) return
+    setCriteria(prev => [...prev, { ...NEW_CRITERIA[type] }])
+    setNewType(unusedTypes.find(item => item !== type) || '')
+  }
+
+  const removeCriterion = (index) => setCriteria(prev => prev.filter((_, i) => i !== index))
+
+  const save = async () => {
+    const cleaned = criteria.map(criterion => (criterion.type === 'field'
+      ? { ...criterion, keywords: criterion.keywords.map(keyword => keyword.trim()).filter(Boolean) }
+      : criterion))
+    const problems = validateCriteria(cleaned)
+    setErrors(problems)
+    if (problems.length > 0) return
+
+    setSaving(true)
+    const result = await ScholarshipCriteriaService.saveCriteria(selectedId, cleaned)
+    setSaving(false)
+    if (!result.success) {
+      setErrors([result.error])
+      return
+    }
+
+    setScholarships(prev => prev.map(scholarship => (scholarship.id === selectedId ? result.data : scholarship)))
+    setCriteria(cleaned)
+    setSavedAt(new Date())
+  }
+
+  const renderFields = (criterion, index) => {
+    switch (criterion.type) {
+      case 'gpa':
+        return (
+          <div className="flex items-center gap-2 text-sm">
+            <span>At least</span>
+            <input
+              type="number"
+              step="0.1"
+              value={criterion.min ?? ''}
+              onChange={(e) => updateCriterion(index, 'min', toNumber(e.target.value))}
+              className={`${inputClass} w-24`}
+            />
+            <span>out of</span>
+            <select value={criterion.scale} onChange={(e) => updateCriterion(index, 'scale', e.target.value)} className={inputClass}>
+              {GPA_SCALES.map(scale => <option key={scale} value={scale}>{scale}</option>)}
+            </select>
+          </div>
+        )
+      case 'atar':
+        return (
+          <div className="flex items-center gap-2 text-sm">
+            <span>At least</span>
+            <input
+              type="number"
+              step="0.05"
+              value={criterion.min ?? ''}
+              onChange={(e) => updateCriterion(index, 'min', toNumber(e.target.value))}
+              className={`${inputClass} w-24`}
+            />
+            <span>checked against the student's ATAR equivalent</span>
+          </div>
+        )
+      case 'citizenship':
+      case 'state':
+        return (
+          <div className="flex flex-wrap gap-3 text-sm">
+            {(criterion.type === 'state' ? STATE_OPTIONS : CITIZENSHIP_OPTIONS).map(option => (
+              <label key={option} className="flex items-center gap-1">
+                <input
+                  type="checkbox"
+                  checked={(criterion.anyOf || []).includes(option)}
+                  onChange={() => toggleOption(index, option)}
+                  className="h-4 w-4"
+                />
+                {option}
+              </label>
+            ))}
+          </div>
+        )
+      case 'field':
+        return (
+          <div className="grid md:grid-cols-2 gap-2 text-sm">
+            <input
+              value={criterion.label || ''}
+              onChange={(e) => updateCriterion(index, 'label', e.target.value)}
+              placeholder="Shown to students, e.g. STEM"
+              className={inputClass}
+            />
+            <input
+              value={(criterion.keywords || []).join(', ')}
+              onChange={(e) => updateCriterion(index, 'keywords', e.target.value.split(',').map(keyword => keyword.trimStart()))}
+              placeholder="Keywords, e.g. engineering, science"
+              className={inputClass}
+            />
+          </div>
+        )
+      case 'income_band':
+        return (
+          <div className="flex items-center gap-2 text-sm">
+            <span>At most</span>
+            <select value={criterion.max} onChange={(e) => updateCriterion(index, 'max', e.target.value)} className={inputClass}>
+              {INCOME_BANDS.map(band => <option key={band.value} value={band.value}>{band.label}</option>)}
+            </select>
+          </div>
+        )
+      case 'age':
+        return (
+          <div className="flex items-center gap-2 text-sm">
+            <span>From</span>
+            <input
+              type="number"
+              value={criterion.min ?? ''}
+              onChange={(e) => updateCriterion(index, 'min', toNumber(e.target.value))}
+              placeholder="any"
+              className={`${inputClass} w-20`}
+            />
+            <span>to</span>
+            <input
+              type="number"
+              value={criterion.max ?? ''}
+              onChange={(e) => updateCriterion(index, 'max', toNumber(e.target.value))}
+              placeholder="any"
+              className={`${inputClass} w-20`}
+            />
+          </div>
+        )
+      default:
+        return <p className="text-sm text-gray-500">Student must declare this in their profile.</p>
+    }
+  }
+
+  const selected = scholarships.find(scholarship => scholarship.id === selectedId)
+
+  return (
+    <div className="grid lg:grid-cols-3 gap-6">
+      {/* Scholarship list */}
+      <Card className="shadow-sm border-0">
+        <CardHeader className="flex flex-row items-center justify-between">
+          <CardTitle className="text-base">Scholarships</CardTitle>
+          <Button variant="outline" size="sm" onClick={loadScholarships} disabled={loading}>
+            <RefreshCw className={`h-4 w-4 ${loading ? 'animate-spin' : ''}`} />
+          </Button>
+        </CardHeader>
+        <CardContent className="space-y-2">
+          {scholarships.map(scholarship => (
+            <button
+              key={scholarship.id}
+              onClick={() => select(scholarship)}
+              className={`w-full text-left px-3 py-2 rounded-lg transition-colors ${
+                scholarship.id === selectedId ? 'bg-blue-50 text-blue-700' : 'hover:bg-gray-50 text-gray-700'
+              }`}
+            >
+              <div className="font-medium flex items-center gap-2">
+                <Award className="h-4 w-4" />
+                {scholarship.name}
+              </div>
+              <div className="text-xs text-gray-500 mt-1">
+                {scholarship.provider} - {(scholarship.eligibility_criteria || []).length || 'no'} criteria
+                {scholarship.is_active === false && ' - inactive'}
+              </div>
+            </button>
+          ))}
+          {!loading && scholarships.length === 0 && (
+            <p className="text-sm text-gray-500 px-3 py-2">No scholarships yet.</p>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Criteria editor */}
+      <Card className="lg:col-span-2 shadow-sm border-0">
+        <CardHeader>
+          <CardTitle className="flex items-center">
+            <ListChecks className="h-5 w-5 mr-2" />
+            {selected ? `Eligibility Rules - ${selected.name}` : 'Eligibility Rules'}
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {!selected ? (
+            <p className="text-gray-500">Select a scholarship to edit who is eligible for it.</p>
+          ) : (
+            <>
+              <p className="text-sm text-gray-600">
+                Students must meet every rule. Anything their profile doesn't answer yet shows them as partially eligible.
+              </p>
+
+              {criteria.length === 0 && (
+                <p className="text-sm text-gray-500">No rules - every student is eligible.</p>
+              )}
+              {criteria.map((criterion, index) => (
+                <div key={criterion.type} className="border border-gray-200 rounded-lg p-4 space-y-3">
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center gap-2">
+                      <span className="font-medium text-gray-900">{CRITERION_TYPES[criterion.type] || criterion.type}</span>
+                      <Badge variant="outline" className="text-xs">{describeCriterion(criterion)}</Badge>
+                    </div>
+                    <button onClick={() => removeCriterion(index)} className="text-gray-400 hover:text-red-600">
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                  {renderFields(criterion, index)}
+                </div>
+              ))}
+
+              {unusedTypes.length > 0 && (
+                <div className="flex items-center gap-2">
+                  <select
+                    value={unusedTypes.includes(newType) ? newType : unusedTypes[0]}
+                    onChange={(e) => setNewType(e.target.value)}
+                    className={`${inputClass} text-sm`}
+                  >
+                    {unusedTypes.map(type => <option key={type} value={type}>{CRITERION_TYPES[type]}</option>)}
+                  </select>
+                  <Button variant="outline" size="sm" onClick={addCriterion}>
+                    <Plus className="h-4 w-4 mr-2" />
+                    Add rule
+                  </Button>
+                </div>
+              )}
+
+              {savedAt && (
+                <p className="flex items-center gap-2 text-sm text-green-700">
+                  <CheckCircle2 className="h-4 w-4" />
+                  Saved at {savedAt.toLocaleTimeString()}
+                </p>
+              )}
+
+              <div className="flex justify-end">
+                <Button onClick={save} disabled={saving}>
+                  <Save className="h-4 w-4 mr-2" />
+                  {saving ? 'Saving...' : 'Save rules'}
+                </Button>
+              </div>
+            </>
+          )}
+          {errors.length > 0 && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-3 text-sm text-red-700 space-y-1">
+              {errors.map(error => (
+                <p key={error} className="flex items-start gap-2">
+                  <AlertCircle className="h-4 w-4 mt-0.5 flex-shrink-0" />
+                  {error}
+                </p>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  )
+}
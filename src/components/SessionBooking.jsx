@@ -1,4 +1,15 @@
-import { useState } from 'react'
+import { useState, useEffect } from 'react'
+import { useAuth } from '../contexts/AuthContext'
+import { realDatabaseService } from '../services/realDatabaseService'
+import availabilityService, { getAvailableDates, getSlotsForDate } from '../services/availabilityService'
+import counselorConnectionService from '../services/counselorConnectionServiceReal'
+import {
+  formatDateInZone,
+  formatTimeInZone,
+  getTimeZoneAbbreviation,
+  getViewerTimeZone,
+  utcToZonedParts
+} from '../lib/timezone'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Badge } from '@/components/ui/badge'
@@ -32,67 +43,57 @@ export default function SessionBooking({ counselor, isOpen, onClose, sessionType
   })
   const [currentStep, setCurrentStep] = useState(1)
 
-  if (!isOpen || !counselor) return null
+  const { user } = useAuth()
+  const [availability, setAvailability] = useState(null)
+  const [existingSessions, setExistingSessions] = useState([])
+  const [loadingSlots, setLoadingSlots] = useState(false)
+  const [reloadKey, setReloadKey] = useState(0)
+  const [bookingError, setBookingError] = useState('')
+  const [submitting, setSubmitting] = useState(false)
 
-  // Generate available dates (next 14 days, excluding weekends for this example)
-  const generateAvailableDates = () => {
-    const dates = []
-    const today = new Date()
-    
-    for (let i = 1; i <= 14; i++) {
-      const date = new Date(today)
-      date.setDate(today.getDate() + i)
-      
-      // Skip weekends for this example
-      if (date.getDay() !== 0 && date.getDay() !== 6) {
-        dates.push({
-          date: date.toISOString().split('T')[0],
-          display: date.toLocaleDateString('en-AU', { 
-            weekday: 'short', 
-            month: 'short', 
-            day: 'numeric' 
-          }),
-          available: Math.random() > 0.3 // Random availability for demo
-        })
-      }
-    }
-    return dates
-  }
+  // Load the counselor's real availability and booked sessions whenever the modal opens
+  useEffect(() => {
+    if (!isOpen || !counselor?.id) return
 
-  // Generate time slots based on counselor availability
-  const generateTimeSlots = () => {
-    const slots = []
-    const availableHours = counselor.availableSlots || ['Morning', 'Afternoon']
-    
-    if (availableHours.includes('Morning')) {
-      slots.push(
-        { time: '09:00', display: '9:00 AM', available: true },
-        { time: '10:00', display: '10:00 AM', available: Math.random() > 0.4 },
-        { time: '11:00', display: '11:00 AM', available: true }
-      )
-    }
-    
-    if (availableHours.includes('Afternoon')) {
-      slots.push(
-        { time: '13:00', display: '1:00 PM', available: Math.random() > 0.3 },
-        { time: '14:00', display: '2:00 PM', available: true },
-        { time: '15:00', display: '3:00 PM', available: Math.random() > 0.4 },
-        { time: '16:00', display: '4:00 PM', available: true }
-      )
-    }
-    
-    if (availableHours.includes('Evening')) {
-      slots.push(
-        { time: '17:00', display: '5:00 PM', available: true },
-        { time: '18:00', display: '6:00 PM', available: Math.random() > 0.5 }
-      )
+    let cancelled = false
+    const loadAvailability = async () => {
+      setLoadingSlots(true)
+      const [availabilityResult, sessionsResult] = await Promise.all([
+        availabilityService.getCounselorAvailability(counselor.id),
+        realDatabaseService.getCounselorSessions(counselor.id)
+      ])
+
+      if (cancelled) return
+      setAvailability(availabilityResult.success ? availabilityResult.data : null)
+      setExistingSessions(sessionsResult.data || [])
+      setLoadingSlots(false)
     }
-    
-    return slots
-  }
 
-  const availableDates = generateAvailableDates()
-  const timeSlots = generateTimeSlots()
+    loadAvailability()
+    return () => { cancelled = true }
+  }, [isOpen, counselor?.id, reloadKey])
+
+  if (!isOpen || !counselor) return null
+
+  const durationMinutes = parseInt(sessionDetails.duration)
+  const viewerTimeZone = getViewerTimeZone(user)
+  const counselorTimeZone = availability?.settings.timezone || counselor.timezone
+  const showViewerTime = availability && counselorTimeZone !== viewerTimeZone
+
+  // Slot label in the student's own zone, with the date when it falls on a different day
+  const formatViewerSlot = (slot) => {
+    const viewerDate = utcToZonedParts(slot.startsAt, viewerTimeZone).date
+    const time = formatTimeInZone(slot.startsAt, viewerTimeZone)
+    return viewerDate === selectedDate
+      ? time
+      : `${time}, ${formatDateInZone(slot.startsAt, viewerTimeZone, { weekday: 'short', year: undefined, month: 'short' })}`
+  }
+  const availableDates = availability
+    ? getAvailableDates(availability, existingSessions, durationMinutes)
+    : []
+  const timeSlots = availability && selectedDate
+    ? getSlotsForDate(availability, existingSessions, selectedDate, durationMinutes)
+    : []
 
   const sessionTypes = {
     video: {
@@ -131,19 +132,37 @@ export default function SessionBooking({ counselor, isOpen, onClose, sessionType
     setSessionDetails(prev => ({ ...prev, [field]: value }))
   }
 
-  const handleBooking = () => {
-    const bookingData = {
-      counselor: counselor.id,
+  const handleBooking = async () => {
+    setSubmitting(true)
+    setBookingError('')
+
+    const result = await counselorConnectionService.bookSession({
+      studentId: user?.id,
+      studentTimezone: viewerTimeZone,
+      counselorId: counselor.id,
       sessionType,
-      date: selectedDate,
-      time: selectedTime,
-      duration: sessionDetails.duration,
-      total: calculateTotal(),
-      ...sessionDetails
+      sessionTitle: sessionDetails.topic,
+      sessionDescription: sessionDetails.description,
+      scheduledDate: selectedDate,
+      scheduledTime: selectedTime,
+      durationMinutes,
+      notes: `Urgency: ${sessionDetails.urgency}`
+    })
+
+    setSubmitting(false)
+
+    if (!result.success) {
+      setBookingError(result.error?.message || 'Failed to book session. Please try again.')
+      if (result.conflict) {
+        // Someone else took the slot - refresh the calendar and send the student back to pick again
+        setSelectedTime('')
+        setCurrentStep(1)
+        setReloadKey(key => key + 1)
+      }
+      return
     }
-    
-    console.log('Booking data:', bookingData)
-    alert(`Session booked successfully! You will receive a confirmation email shortly.`)
+
+    alert(`Session requested! The time is held for you and ${counselor.name} will confirm it shortly.`)
     onClose()
   }
 
@@ -155,7 +174,8 @@ export default function SessionBooking({ counselor, isOpen, onClose, sessionType
     if (currentStep > 1) setCurrentStep(currentStep - 1)
   }
 
-  const canProceedStep1 = selectedDate && selectedTime
+  const selectedSlot = timeSlots.find(slot => slot.time === selectedTime)
+  const canProceedStep1 = selectedDate && selectedSlot?.available
   const canProceedStep2 = sessionDetails.topic && sessionDetails.studentName && sessionDetails.studentEmail
 
   return (
@@ -207,11 +227,23 @@ export default function SessionBooking({ counselor, isOpen, onClose, sessionType
                 {/* Date Selection */}
                 <div className="mb-6">
                   <h4 className="font-medium mb-3">Available Dates</h4>
+                  {loadingSlots && (
+                    <p className="text-sm text-gray-500 mb-2">Loading availability...</p>
+                  )}
+                  {!loadingSlots && availableDates.length === 0 && (
+                    <p className="text-sm text-gray-500 mb-2">
+                      {counselor.name} has no open availability in the next few weeks.
+                    </p>
+                  )}
                   <div className="grid grid-cols-2 md:grid-cols-4 gap-2">
                     {availableDates.map((date) => (
                       <button
                         key={date.date}
-                        onClick={() => date.available && setSelectedDate(date.date)}
+                        onClick={() => {
+                          if (!date.available) return
+                          setSelectedDate(date.date)
+                          setSelectedTime('')
+                        }}
                         disabled={!date.available}
                         className={`p-3 border rounded-lg text-sm transition-colors ${
                           selectedDate === date.date
@@ -230,7 +262,12 @@ export default function SessionBooking({ counselor, isOpen, onClose, sessionType
                 {/* Time Selection */}
                 {selectedDate && (
                   <div>
-                    <h4 className="font-medium mb-3">Available Times ({counselor.timezone})</h4>
+                    <h4 className="font-medium mb-1">Available Times ({counselorTimeZone})</h4>
+                    {showViewerTime && (
+                      <p className="text-xs text-gray-500 mb-3">
+                        Counselor's local time shown first, your time ({viewerTimeZone}) below.
+                      </p>
+                    )}
                     <div className="grid grid-cols-3 md:grid-cols-4 gap-2">
                       {timeSlots.map((slot) => (
                         <button
@@ -246,12 +283,21 @@ export default function SessionBooking({ counselor, isOpen, onClose, sessionType
                           }`}
                         >
                           {slot.display}
+                          {showViewerTime && (
+                            <span className="block text-xs text-gray-500">{formatViewerSlot(slot)}</span>
+                          )}
                         </button>
                       ))}
                     </div>
                   </div>
                 )}
 
+                {selectedTime && !selectedSlot?.available && (
+                  <p className="text-sm text-red-600 mt-3">
+                    This time no longer fits a {sessionDetails.duration} minute session. Please pick another slot.
+                  </p>
+                )}
+
                 {/* Duration Selection */}
                 {selectedTime && (
                   <div className="mt-6">
@@ -392,14 +438,24 @@ export default function SessionBooking({ counselor, isOpen, onClose, sessionType
                     <div className="flex justify-between">
                       <span>Date & Time:</span>
                       <span className="font-medium">
-                        {new Date(selectedDate).toLocaleDateString('en-AU', { 
-                          weekday: 'long', 
-                          year: 'numeric', 
-                          month: 'long', 
-                          day: 'numeric' 
-                        })} at {timeSlots.find(slot => slot.time === selectedTime)?.display}
+                        {selectedSlot && (
+                          <>
+                            {formatDateInZone(selectedSlot.startsAt, viewerTimeZone)} at{' '}
+                            {formatTimeInZone(selectedSlot.startsAt, viewerTimeZone)}{' '}
+                            {getTimeZoneAbbreviation(selectedSlot.startsAt, viewerTimeZone)}
+                          </>
+                        )}
                       </span>
                     </div>
+                    {showViewerTime && selectedSlot && (
+                      <div className="flex justify-between">
+                        <span>Counselor's Time:</span>
+                        <span className="font-medium">
+                          {formatTimeInZone(selectedSlot.startsAt, counselorTimeZone)}{' '}
+                          {getTimeZoneAbbreviation(selectedSlot.startsAt, counselorTimeZone)}
+                        </span>
+                      </div>
+                    )}
                     <div className="flex justify-between">
                       <span>Duration:</span>
                       <span className="font-medium">{sessionDetails.duration} minutes</span>
@@ -439,6 +495,12 @@ export default function SessionBooking({ counselor, isOpen, onClose, sessionType
             </div>
           )}
 
+          {bookingError && (
+            <div className="p-3 bg-red-50 border border-red-200 rounded-lg text-sm text-red-700">
+              {bookingError}
+            </div>
+          )}
+
           {/* Navigation Buttons */}
           <div className="flex justify-between pt-6 border-t">
             <div>
@@ -467,10 +529,11 @@ export default function SessionBooking({ counselor, isOpen, onClose, sessionType
               ) : (
                 <Button 
                   onClick={handleBooking}
+                  disabled={submitting}
                   className="bg-gradient-to-r from-green-600 to-emerald-600 hover:from-green-700 hover:to-emerald-700 text-white"
                 >
                   <CheckCircle2 className="h-4 w-4 mr-2" />
-                  Confirm Booking
+                  {submitting ? 'Booking...' : 'Confirm Booking'}
                 </Button>
               )}
             </div>
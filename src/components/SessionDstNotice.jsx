@@ -0,0 +1,19 @@
+import { AlertTriangle } from 'lucide-react'
+import { getSessionDstWarnings } from '../lib/timezone'
+
+// Warns when a daylight-saving change lands between now and the session in any involved zone
+export default function SessionDstNotice({ session, viewerTimeZone, className = '' }) {
+  const warnings = getSessionDstWarnings(session, viewerTimeZone)
+  if (warnings.length === 0) return null
+
+  return (
+    <div className={`flex items-start space-x-2 p-2 bg-amber-50 border border-amber-200 rounded-lg text-xs text-amber-800 ${className}`}>
+      <AlertTriangle className="h-4 w-4 flex-shrink-0" />
+      <div>
+        {warnings.map(warning => (
+          <p key={warning.timeZone}>{warning.message}. The time shown already accounts for it.</p>
+        ))}
+      </div>
+    </div>
+  )
+}
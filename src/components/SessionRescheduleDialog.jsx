@@ -0,0 +1,127 @@
+import { useState, useEffect } from 'react'
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog'
+import { Button } from './ui/button'
+import availabilityService, { getAvailableDates, getSlotsForDate } from '../services/availabilityService'
+import { realDatabaseService } from '../services/realDatabaseService'
+import counselorConnectionService from '../services/counselorConnectionServiceReal'
+import { formatTimeInZone } from '../lib/timezone'
+
+// Pick a new slot for an existing session. Slots come from the counselor's
+// availability with the session's own current slot treated as free.
+export default function SessionRescheduleDialog({ session, actor, viewerTimeZone, open, onOpenChange, onRescheduled }) {
+  const [availability, setAvailability] = useState(null)
+  const [otherSessions, setOtherSessions] = useState([])
+  const [selectedDate, setSelectedDate] = useState('')
+  const [selectedTime, setSelectedTime] = useState('')
+  const [reason, setReason] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    if (!open || !session?.counselor_id) return
+    let cancelled = false
+
+    const loadAvailability = async () => {
+      setSelectedDate('')
+      setSelectedTime('')
+      setReason('')
+      setError(null)
+      const [availabilityResult, sessionsResult] = await Promise.all([
+        availabilityService.getCounselorAvailability(session.counselor_id),
+        realDatabaseService.getCounselorSessions(session.counselor_id)
+      ])
+      if (cancelled) return
+      setAvailability(availabilityResult.success ? availabilityResult.data : null)
+      setOtherSessions((sessionsResult.data || []).filter(row => row.id !== session.id))
+    }
+
+    loadAvailability()
+    return () => { cancelled = true }
+  }, [open, session?.id, session?.counselor_id])
+
+  const durationMinutes = session?.duration_minutes || 60
+  const dates = availability ? getAvailableDates(availability, otherSessions, durationMinutes) : []
+  const slots = availability && selectedDate
+    ? getSlotsForDate(availability, otherSessions, selectedDate, durationMinutes).filter(slot => slot.available)
+    : []
+
+  const handleSubmit = async () => {
+    setSaving(true)
+    setError(null)
+    const result = await counselorConnectionService.rescheduleSession(session.id, actor, selectedDate, selectedTime, reason)
+    setSaving(false)
+
+    if (result.success) {
+      onRescheduled?.(result.session)
+      onOpenChange(false)
+    } else {
+      setError(result.error)
+    }
+  }
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Reschedule Session</DialogTitle>
+          <DialogDescription>
+            Times are shown in your timezone ({viewerTimeZone}).
+          </DialogDescription>
+        </DialogHeader>
+
+        {!availability ? (
+          <p className="text-sm text-gray-500">Loading availability...</p>
+        ) : (
+          <div className="space-y-4">
+            <div className="grid grid-cols-3 gap-2 max-h-40 overflow-y-auto">
+              {dates.filter(date => date.available).map(date => (
+                <button
+                  key={date.date}
+                  onClick={() => { setSelectedDate(date.date); setSelectedTime('') }}
+                  className={`p-2 border rounded-lg text-sm ${
+                    selectedDate === date.date ? 'border-purple-500 bg-purple-50 text-purple-700' : 'border-gray-200 hover:border-gray-300'
+                  }`}
+                >
+                  {date.display}
+                </button>
+              ))}
+            </div>
+
+            {selectedDate && (
+              <div className="grid grid-cols-4 gap-2">
+                {slots.map(slot => (
+                  <button
+                    key={slot.time}
+                    onClick={() => setSelectedTime(slot.time)}
+                    className={`p-2 border rounded-lg text-sm ${
+                      selectedTime === slot.time ? 'border-purple-500 bg-purple-50 text-purple-700' : 'border-gray-200 hover:border-gray-300'
+                    }`}
+                  >
+                    {formatTimeInZone(slot.startsAt, viewerTimeZone)}
+                  </button>
+                ))}
+              </div>
+            )}
+
+            <textarea
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              placeholder="Reason for rescheduling (optional)"
+              rows={2}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+            />
+          </div>
+        )}
+
+        {error && <p className="text-sm text-red-600">{error}</p>}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={() => onOpenChange(false)}>Close</Button>
+          <Button onClick={handleSubmit} disabled={!selectedTime || saving}>
+            {saving ? 'Rescheduling...' : 'Reschedule'}
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  )
+}
@@ -1,7 +1,8 @@
 import React, { useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
-import { User, Lock, Eye, EyeOff, AlertCircle } from 'lucide-react'
+import customEmailService from '../services/customEmailService'
+import { User, Lock, Eye, EyeOff, AlertCircle, CheckCircle } from 'lucide-react'
 import Sidebar from './Sidebar'
 
 const SignInForm = () => {
@@ -13,6 +14,7 @@ const SignInForm = () => {
   })
   const [showPassword, setShowPassword] = useState(false)
   const [error, setError] = useState('')
+  const [notice, setNotice] = useState('')
   const [loading, setLoading] = useState(false)
 
   const handleChange = (e) => {
@@ -51,6 +53,22 @@ const SignInForm = () => {
     }
   }
 
+  // Sends a reset link to the address in the email field
+  const handleForgotPassword = async () => {
+    setNotice('')
+    if (!formData.email) {
+      setError('Enter your email address above, then choose "Forgot your password?"')
+      return
+    }
+
+    const result = await customEmailService.sendPasswordResetEmail(formData.email)
+    if (result.success) {
+      setNotice(result.message)
+    } else {
+      setError(result.error)
+    }
+  }
+
   return (
     <div className="flex min-h-screen">
       {/* Left Sidebar */}
@@ -77,6 +95,13 @@ const SignInForm = () => {
               </div>
             )}
 
+            {notice && (
+              <div className="mb-6 p-4 bg-green-50 border border-green-200 rounded-lg flex items-center space-x-2 text-green-700">
+                <CheckCircle className="h-5 w-5" />
+                <span className="text-sm">{notice}</span>
+              </div>
+            )}
+
             <form onSubmit={handleSubmit} className="space-y-6">
               {/* Email Field */}
               <div>
@@ -157,7 +182,7 @@ const SignInForm = () => {
                 </button>
               </p>
               <button
-                onClick={() => navigate('/forgot-password')}
+                onClick={handleForgotPassword}
                 className="text-sm text-purple-600 hover:text-purple-700"
               >
                 Forgot your password?
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { useAuth } from '../contexts/AuthContext'
+import customEmailService from '../services/customEmailService'
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card'
 import { Button } from '@/components/ui/button'
 import { Input } from '@/components/ui/input'
@@ -70,6 +71,22 @@ export default function SignInPage({ isMobileMenuOpen, onMobileMenuClose }) {
     setError('')
   }
 
+  // Sends a reset link to the address in the email field
+  const handleForgotPassword = async () => {
+    if (!/\S+@\S+\.\S+/.test(formData.email)) {
+      setError('Enter your email address above, then choose "Forgot your password?"')
+      return
+    }
+
+    setError('')
+    const result = await customEmailService.sendPasswordResetEmail(formData.email)
+    if (result.success) {
+      setSuccess(result.message)
+    } else {
+      setError(result.error)
+    }
+  }
+
   const validateForm = () => {
     if (!formData.email || !formData.password) {
       setError('Email and password are required')
@@ -273,7 +290,7 @@ export default function SignInPage({ isMobileMenuOpen, onMobileMenuClose }) {
                     <Button
                       variant="link"
                       className="text-sm text-gray-500 hover:text-gray-700 p-0 h-auto"
-                      onClick={() => setError('Password reset functionality coming soon!')}
+                      onClick={handleForgotPassword}
                     >
                       Forgot your password?
                     </Button>
@@ -1,6 +1,7 @@
 import React, { useState } from 'react'
 import { Link } from 'react-router-dom'
 import AdminConnectionsManager from './AdminConnectionsManager'
+import AdminQualificationEquivalences from './AdminQualificationEquivalences'
 
 const SimpleAdminPortal = () => {
   const [activeTab, setActiveTab] = useState('dashboard')
@@ -20,6 +21,7 @@ const SimpleAdminPortal = () => {
     { id: 'dashboard', name: 'Dashboard', icon: '📊', description: 'Overview & Analytics' },
     { id: 'connections', name: 'Connection Requests', icon: '🔗', description: 'Manage Student-Counselor Connections' },
     { id: 'universities', name: 'Universities', icon: '🏛️', description: 'University Management' },
+    { id: 'qualifications', name: 'Qualification Equivalences', icon: '🌏', description: 'International ATAR Conversions' },
     { id: 'users', name: 'User Management', icon: '👥', description: 'Students, Counselors & Admins' },
     { id: 'settings', name: 'System Settings', icon: '⚙️', description: 'Platform Configuration' }
   ]
@@ -213,6 +215,7 @@ const SimpleAdminPortal = () => {
           {activeTab === 'dashboard' && renderDashboard()}
           {activeTab === 'connections' && <AdminConnectionsManager />}
           {activeTab === 'universities' && renderPlaceholder('University Management')}
+          {activeTab === 'qualifications' && <AdminQualificationEquivalences />}
           {activeTab === 'users' && renderPlaceholder('User Management')}
           {activeTab === 'settings' && renderPlaceholder('System Settings')}
         </div>
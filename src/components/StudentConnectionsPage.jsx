@@ -17,7 +17,8 @@ import {
   RefreshCw,
   Phone,
   Video,
-  Users
+  Users,
+  Hourglass
 } from 'lucide-react'
 
 export default function StudentConnectionsPage({ isMobileMenuOpen, onMobileMenuClose }) {
@@ -72,6 +73,10 @@ export default function StudentConnectionsPage({ isMobileMenuOpen, onMobileMenuC
         return <Badge variant="outline" className="text-red-600 border-red-600"><XCircle className="h-3 w-3 mr-1" />Rejected</Badge>
       case 'cancelled':
         return <Badge variant="outline" className="text-gray-600 border-gray-600"><XCircle className="h-3 w-3 mr-1" />Cancelled</Badge>
+      case 'waitlisted':
+        return <Badge variant="outline" className="text-yellow-600 border-yellow-600"><Hourglass className="h-3 w-3 mr-1" />Waitlisted</Badge>
+      case 'ended':
+        return <Badge variant="outline" className="text-gray-600 border-gray-600"><CheckCircle2 className="h-3 w-3 mr-1" />Ended</Badge>
       default:
         return <Badge variant="outline">{status}</Badge>
     }
@@ -113,6 +118,18 @@ export default function StudentConnectionsPage({ isMobileMenuOpen, onMobileMenuC
           message: 'You cancelled this connection request. You can submit a new request anytime.',
           color: 'gray'
         }
+      case 'waitlisted':
+        return {
+          title: connection.waitlistPosition ? `#${connection.waitlistPosition} on the Waitlist` : 'On the Waitlist',
+          message: 'This counselor is at capacity. Your request will move to admin review automatically when a place opens, in the order students joined.',
+          color: 'yellow'
+        }
+      case 'ended':
+        return {
+          title: 'Connection Ended',
+          message: 'This counseling relationship has ended. You can request a new counselor anytime.',
+          color: 'gray'
+        }
       default:
         return {
           title: 'Unknown Status',
@@ -209,9 +226,9 @@ export default function StudentConnectionsPage({ isMobileMenuOpen, onMobileMenuC
                     <Clock className="h-6 w-6" />
                   </div>
                   <div className="text-2xl font-bold text-yellow-600 mb-1 text-center">
-                    {connections.filter(c => c.status === 'pending').length}
+                    {connections.filter(c => ['pending', 'waitlisted'].includes(c.status)).length}
                   </div>
-                  <div className="text-sm text-gray-600 text-center">Pending</div>
+                  <div className="text-sm text-gray-600 text-center">Pending or Waitlisted</div>
                 </CardContent>
               </Card>
             </div>
@@ -320,7 +337,7 @@ export default function StudentConnectionsPage({ isMobileMenuOpen, onMobileMenuC
                       {getStatusBadge(connection.status)}
                       
                       <div className="flex flex-col space-y-2">
-                        {connection.status === 'pending' && (
+                        {['pending', 'waitlisted'].includes(connection.status) && (
                           <Button 
                             size="sm" 
                             variant="outline"
@@ -328,7 +345,7 @@ export default function StudentConnectionsPage({ isMobileMenuOpen, onMobileMenuC
                             onClick={() => handleCancel(connection.id)}
                           >
                             <XCircle className="h-4 w-4 mr-1" />
-                            Cancel Request
+                            {connection.status === 'waitlisted' ? 'Leave Waitlist' : 'Cancel Request'}
                           </Button>
                         )}
                         
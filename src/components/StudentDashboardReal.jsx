@@ -28,6 +28,7 @@ import {
   UserCheck
 } from 'lucide-react'
 import GlobalSidebarManager from './GlobalSidebarManager'
+import MessageCenter from './MessageCenter'
 
 export default function StudentDashboard({ isMobileMenuOpen, onMobileMenuClose }) {
   const navigate = useNavigate()
@@ -35,6 +36,7 @@ export default function StudentDashboard({ isMobileMenuOpen, onMobileMenuClose }
   const [studentData, setStudentData] = useState(null)
   const [assignedCounselor, setAssignedCounselor] = useState(null)
   const [loading, setLoading] = useState(true)
+  const [unreadMessages, setUnreadMessages] = useState(0)
 
   useEffect(() => {
     if (user?.email) {
@@ -378,7 +380,11 @@ export default function StudentDashboard({ isMobileMenuOpen, onMobileMenuClose }
                     )}
                     
                     <div className="flex gap-2">
-                      <Button size="sm" className="flex-1">
+                      <Button
+                        size="sm"
+                        className="flex-1"
+                        onClick={() => document.getElementById('student-messages')?.scrollIntoView({ behavior: 'smooth' })}
+                      >
                         <MessageCircle className="w-4 h-4 mr-2" />
                         Message
                       </Button>
@@ -445,6 +451,28 @@ export default function StudentDashboard({ isMobileMenuOpen, onMobileMenuClose }
             </Card>
           </div>
 
+          {/* Messages */}
+          {studentData.id && (
+            <Card id="student-messages" className="mb-8">
+              <CardHeader>
+                <CardTitle className="flex items-center gap-2">
+                  <MessageCircle className="h-5 w-5" />
+                  Messages
+                  {unreadMessages > 0 && (
+                    <Badge className="bg-purple-600">{unreadMessages} unread</Badge>
+                  )}
+                </CardTitle>
+              </CardHeader>
+              <CardContent>
+                <MessageCenter
+                  role="student"
+                  participantId={studentData.id}
+                  onUnreadChange={setUnreadMessages}
+                />
+              </CardContent>
+            </Card>
+          )}
+
           {/* Recent Activity & Recommendations */}
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
             {/* Recent Activity */}
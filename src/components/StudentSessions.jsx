@@ -18,65 +18,40 @@ import {
   Plus,
   FileText,
   Download,
-  Users
+  Users,
+  CalendarPlus
 } from 'lucide-react'
-import { useNavigate } from 'react-router-dom'
+import { useNavigate, useSearchParams } from 'react-router-dom'
+import { realDatabaseService } from '../services/realDatabaseService'
+import {
+  formatDateInZone,
+  formatTimeInZone,
+  getSessionStart,
+  getTimeZoneAbbreviation,
+  getViewerTimeZone
+} from '../lib/timezone'
+import SessionDstNotice from './SessionDstNotice'
+import SessionRescheduleDialog from './SessionRescheduleDialog'
+import CalendarSubscribeButton from './CalendarSubscribeButton'
+import calendarService from '../services/calendarService'
+import counselorConnectionService from '../services/counselorConnectionServiceReal'
+import {
+  CANCELLATION_POLICY,
+  getAvailableSessionActions,
+  isCancelledStatus,
+  isLateCancellation,
+  normalizeSessionStatus
+} from '../lib/sessionLifecycle'
 
 export default function StudentSessions({ isMobileMenuOpen, onMobileMenuClose }) {
   const { isAuthenticated, user, userRole } = useAuth()
   const navigate = useNavigate()
+  const [searchParams, setSearchParams] = useSearchParams()
   const [sessions, setSessions] = useState([])
   const [loading, setLoading] = useState(false)
   const [filter, setFilter] = useState('all') // all, upcoming, completed, cancelled
-
-  // Sample sessions data
-  const sampleSessions = [
-    {
-      id: 1,
-      counselorName: 'Dr. Sarah Chen',
-      counselorSpecialization: 'Computer Science & Engineering',
-      date: '2025-08-25',
-      time: '14:00',
-      duration: 60,
-      type: 'video',
-      status: 'confirmed',
-      price: 150,
-      currency: 'AUD',
-      notes: 'Discuss university applications for Computer Science programs',
-      sessionLink: 'https://meet.google.com/abc-defg-hij',
-      createdAt: '2025-08-20T10:30:00Z'
-    },
-    {
-      id: 2,
-      counselorName: 'Dr. Emma Wilson',
-      counselorSpecialization: 'Medicine & Health Sciences',
-      date: '2025-08-22',
-      time: '10:00',
-      duration: 60,
-      type: 'phone',
-      status: 'completed',
-      price: 180,
-      currency: 'AUD',
-      notes: 'Career guidance for medical school applications',
-      rating: 5,
-      feedback: 'Excellent session! Very helpful guidance.',
-      createdAt: '2025-08-15T09:15:00Z'
-    },
-    {
-      id: 3,
-      counselorName: 'Michael Kumar',
-      counselorSpecialization: 'Business & Finance',
-      date: '2025-08-28',
-      time: '16:00',
-      duration: 60,
-      type: 'video',
-      status: 'pending',
-      price: 120,
-      currency: 'AUD',
-      notes: 'MBA program selection and application strategy',
-      createdAt: '2025-08-19T14:20:00Z'
-    }
-  ]
+  const [reschedulingSession, setReschedulingSession] = useState(null)
+  const [actionMessage, setActionMessage] = useState(null)
 
   useEffect(() => {
     if (isAuthenticated && userRole === 'student') {
@@ -84,65 +59,109 @@ export default function StudentSessions({ isMobileMenuOpen, onMobileMenuClose })
     }
   }, [isAuthenticated, userRole])
 
+  // Reminder emails link here with ?reschedule=<session id>
+  useEffect(() => {
+    const rescheduleId = searchParams.get('reschedule')
+    if (!rescheduleId || sessions.length === 0) return
+
+    const session = sessions.find(row => String(row.id) === rescheduleId)
+    if (session && getAvailableSessionActions(session, 'student').includes('reschedule')) {
+      setReschedulingSession(session)
+    } else if (session) {
+      setActionMessage({ type: 'error', text: 'This session can no longer be rescheduled online. Please message your counselor.' })
+    }
+    setSearchParams({}, { replace: true })
+  }, [sessions, searchParams, setSearchParams])
+
+  const viewerTimeZone = getViewerTimeZone(user)
+
   const loadSessions = async () => {
     setLoading(true)
     try {
-      // Simulate API call
-      setTimeout(() => {
-        setSessions(sampleSessions)
-        setLoading(false)
-      }, 1000)
+      const result = await realDatabaseService.getStudentSessions(user.id)
+      const rows = result.data || []
+
+      // Sessions only carry counselor ids - look up names for display
+      const counselorIds = [...new Set(rows.map(row => row.counselor_id).filter(Boolean))]
+      const counselorResults = await Promise.all(counselorIds.map(id => realDatabaseService.getCounselorById(id)))
+      const counselorsById = {}
+      counselorResults.forEach(({ data }) => {
+        if (data) counselorsById[data.id] = data
+      })
+
+      setSessions(rows.map(row => {
+        const counselor = counselorsById[row.counselor_id] || {}
+        return {
+          ...row,
+          counselorName: counselor.display_name || [counselor.first_name, counselor.last_name].filter(Boolean).join(' ') || 'Your counselor',
+          counselorSpecialization: (counselor.specializations || []).join(', '),
+          start: getSessionStart(row),
+          duration: row.duration_minutes,
+          type: row.session_type,
+          notes: row.session_description || row.notes,
+          sessionLink: row.meeting_link
+        }
+      }))
     } catch (error) {
       console.error('Error loading sessions:', error)
+    } finally {
       setLoading(false)
     }
   }
 
   const getStatusBadge = (status) => {
-    switch (status) {
+    switch (normalizeSessionStatus(status)) {
       case 'confirmed':
         return <Badge className="bg-green-100 text-green-800 border-green-200"><CheckCircle2 className="h-3 w-3 mr-1" />Confirmed</Badge>
-      case 'pending':
-        return <Badge className="bg-yellow-100 text-yellow-800 border-yellow-200"><Clock className="h-3 w-3 mr-1" />Pending</Badge>
+      case 'rescheduled':
+        return <Badge className="bg-green-100 text-green-800 border-green-200"><RefreshCw className="h-3 w-3 mr-1" />Rescheduled</Badge>
+      case 'requested':
+        return <Badge className="bg-yellow-100 text-yellow-800 border-yellow-200"><Clock className="h-3 w-3 mr-1" />Awaiting Confirmation</Badge>
       case 'completed':
         return <Badge className="bg-blue-100 text-blue-800 border-blue-200"><CheckCircle2 className="h-3 w-3 mr-1" />Completed</Badge>
+      case 'cancelled_by_student':
+        return <Badge className="bg-red-100 text-red-800 border-red-200"><XCircle className="h-3 w-3 mr-1" />Cancelled by You</Badge>
+      case 'cancelled_by_counselor':
+        return <Badge className="bg-red-100 text-red-800 border-red-200"><XCircle className="h-3 w-3 mr-1" />Cancelled by Counselor</Badge>
       case 'cancelled':
         return <Badge className="bg-red-100 text-red-800 border-red-200"><XCircle className="h-3 w-3 mr-1" />Cancelled</Badge>
+      case 'no_show':
+        return <Badge className="bg-gray-100 text-gray-800 border-gray-200"><XCircle className="h-3 w-3 mr-1" />Missed</Badge>
       default:
         return <Badge variant="outline">{status}</Badge>
     }
   }
 
-  const formatDate = (dateString) => {
-    return new Date(dateString).toLocaleDateString('en-US', {
-      weekday: 'long',
-      year: 'numeric',
-      month: 'long',
-      day: 'numeric'
-    })
-  }
+  const handleCancel = async (session) => {
+    const late = isLateCancellation(session, 'student')
+    const warning = late
+      ? `This session starts in less than ${CANCELLATION_POLICY.student.lateCancellationHours} hours, so it will be recorded as a late cancellation. Cancel anyway?`
+      : 'Cancel this session?'
+    if (!window.confirm(warning)) return
 
-  const formatTime = (timeString) => {
-    return new Date(`2000-01-01T${timeString}`).toLocaleTimeString('en-US', {
-      hour: 'numeric',
-      minute: '2-digit',
-      hour12: true
-    })
+    const result = await counselorConnectionService.cancelSession(session.id, 'student')
+    setActionMessage(result.success
+      ? { type: 'success', text: result.message }
+      : { type: 'error', text: result.error })
+    if (result.success) loadSessions()
   }
 
-  const isUpcoming = (date, time) => {
-    const sessionDateTime = new Date(`${date}T${time}`)
-    return sessionDateTime > new Date()
+  const formatDate = (start) => formatDateInZone(start, viewerTimeZone)
+
+  const formatTime = (start) => {
+    return `${formatTimeInZone(start, viewerTimeZone)} ${getTimeZoneAbbreviation(start, viewerTimeZone)}`
   }
 
+  const isUpcoming = (session) => Boolean(session.start) && session.start > new Date()
+
   const filteredSessions = sessions.filter(session => {
     switch (filter) {
       case 'upcoming':
-        return isUpcoming(session.date, session.time) && session.status !== 'cancelled'
+        return isUpcoming(session) && !isCancelledStatus(session.status)
       case 'completed':
         return session.status === 'completed'
       case 'cancelled':
-        return session.status === 'cancelled'
+        return isCancelledStatus(session.status)
       default:
         return true
     }
@@ -204,6 +223,7 @@ export default function StudentSessions({ isMobileMenuOpen, onMobileMenuClose })
                 <p className="text-gray-600">Track and manage your counseling appointments</p>
               </div>
               <div className="flex space-x-3">
+                <CalendarSubscribeButton userId={user?.id} role="student" subjectId={user?.id} />
                 <Button onClick={loadSessions} disabled={loading} variant="outline">
                   <RefreshCw className={`h-4 w-4 mr-2 ${loading ? 'animate-spin' : ''}`} />
                   Refresh
@@ -245,7 +265,7 @@ export default function StudentSessions({ isMobileMenuOpen, onMobileMenuClose })
                     <Clock className="h-6 w-6" />
                   </div>
                   <div className="text-2xl font-bold text-yellow-600 mb-1 text-center">
-                    {sessions.filter(s => isUpcoming(s.date, s.time) && s.status !== 'cancelled').length}
+                    {sessions.filter(s => isUpcoming(s) && !isCancelledStatus(s.status)).length}
                   </div>
                   <div className="text-sm text-gray-600 text-center">Upcoming</div>
                 </CardContent>
@@ -257,13 +277,21 @@ export default function StudentSessions({ isMobileMenuOpen, onMobileMenuClose })
                     <XCircle className="h-6 w-6" />
                   </div>
                   <div className="text-2xl font-bold text-red-600 mb-1 text-center">
-                    {sessions.filter(s => s.status === 'cancelled').length}
+                    {sessions.filter(s => isCancelledStatus(s.status)).length}
                   </div>
                   <div className="text-sm text-gray-600 text-center">Cancelled</div>
                 </CardContent>
               </Card>
             </div>
 
+            {actionMessage && (
+              <div className={`mb-6 p-3 rounded-lg text-sm ${
+                actionMessage.type === 'success' ? 'bg-green-50 text-green-700' : 'bg-red-50 text-red-700'
+              }`}>
+                {actionMessage.text}
+              </div>
+            )}
+
             {/* Filter Buttons */}
             <div className="flex flex-wrap gap-2 mb-6">
               {[
@@ -330,11 +358,11 @@ export default function StudentSessions({ isMobileMenuOpen, onMobileMenuClose })
                     <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
                       <div className="flex items-center space-x-2">
                         <Calendar className="h-4 w-4 text-gray-400" />
-                        <span className="text-sm">{formatDate(session.date)}</span>
+                        <span className="text-sm">{session.start ? formatDate(session.start) : 'Date to be confirmed'}</span>
                       </div>
                       <div className="flex items-center space-x-2">
                         <Clock className="h-4 w-4 text-gray-400" />
-                        <span className="text-sm">{formatTime(session.time)} ({session.duration} min)</span>
+                        <span className="text-sm">{session.start && formatTime(session.start)} ({session.duration} min)</span>
                       </div>
                       <div className="flex items-center space-x-2">
                         {session.type === 'video' ? (
@@ -346,6 +374,8 @@ export default function StudentSessions({ isMobileMenuOpen, onMobileMenuClose })
                       </div>
                     </div>
 
+                    <SessionDstNotice session={session} viewerTimeZone={viewerTimeZone} className="mb-4" />
+
                     {session.notes && (
                       <div className="mb-4">
                         <p className="text-sm text-gray-600">
@@ -377,12 +407,12 @@ export default function StudentSessions({ isMobileMenuOpen, onMobileMenuClose })
 
                     <div className="flex items-center justify-between">
                       <div className="text-lg font-semibold text-gray-900">
-                        ${session.price} {session.currency}
+                        {session.price ? `$${session.price} ${session.currency || 'AUD'}` : session.session_title}
                       </div>
                       <div className="flex items-center space-x-3">
                         {getStatusBadge(session.status)}
                         
-                        {session.status === 'confirmed' && isUpcoming(session.date, session.time) && (
+                        {['confirmed', 'rescheduled'].includes(normalizeSessionStatus(session.status)) && isUpcoming(session) && (
                           <div className="flex space-x-2">
                             {session.sessionLink && (
                               <Button 
@@ -403,6 +433,17 @@ export default function StudentSessions({ isMobileMenuOpen, onMobileMenuClose })
                             </Button>
                           </div>
                         )}
+
+                        {session.start && isUpcoming(session) && !isCancelledStatus(session.status) && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            onClick={() => calendarService.downloadSessionIcs(session, `Counseling session with ${session.counselorName}`)}
+                          >
+                            <CalendarPlus className="h-4 w-4 mr-1" />
+                            Add to Calendar
+                          </Button>
+                        )}
                         
                         {session.status === 'completed' && (
                           <div className="flex space-x-2">
@@ -417,8 +458,20 @@ export default function StudentSessions({ isMobileMenuOpen, onMobileMenuClose })
                           </div>
                         )}
                         
-                        {session.status === 'pending' && (
-                          <Button size="sm" variant="outline" className="text-red-600 border-red-600 hover:bg-red-50">
+                        {getAvailableSessionActions(session, 'student').includes('reschedule') && (
+                          <Button size="sm" variant="outline" onClick={() => setReschedulingSession(session)}>
+                            <RefreshCw className="h-4 w-4 mr-1" />
+                            Reschedule
+                          </Button>
+                        )}
+
+                        {getAvailableSessionActions(session, 'student').includes('cancel') && (
+                          <Button
+                            size="sm"
+                            variant="outline"
+                            className="text-red-600 border-red-600 hover:bg-red-50"
+                            onClick={() => handleCancel(session)}
+                          >
                             <XCircle className="h-4 w-4 mr-1" />
                             Cancel
                           </Button>
@@ -435,6 +488,18 @@ export default function StudentSessions({ isMobileMenuOpen, onMobileMenuClose })
           </div>
         </main>
       </div>
+
+      <SessionRescheduleDialog
+        session={reschedulingSession}
+        actor="student"
+        viewerTimeZone={viewerTimeZone}
+        open={Boolean(reschedulingSession)}
+        onOpenChange={(open) => !open && setReschedulingSession(null)}
+        onRescheduled={() => {
+          setActionMessage({ type: 'success', text: 'Session rescheduled. Your counselor will confirm the new time.' })
+          loadSessions()
+        }}
+      />
     </div>
   )
 }
@@ -0,0 +1,29 @@
+// A4 at 96dpi, matching the page size the HTML renderer lays out
+const PAGE_WIDTH = 794
+const PAGE_HEIGHT = 1123
+
+/**
+ * Scaled-down render of an exported document. The HTML comes
+ * from the same template renderer used for PDF and Word, so what is shown
+ * here is what gets downloaded. `pages` sets how many A4 pages tall the
+ * preview is; content past that can be scrolled when `scrollable` is set.
+ */
+export default function TemplatePreview({ html, width = PAGE_WIDTH, pages = 1, scrollable = false, title = 'Document preview', className = '' }) {
+  const scale = width / PAGE_WIDTH
+
+  return (
+    <div
+      className={`overflow-hidden bg-white border border-gray-200 shadow-sm ${className}`}
+      style={{ width, height: PAGE_HEIGHT * pages * scale }}
+    >
+      <iframe
+        title={title}
+        srcDoc={html}
+        sandbox=""
+        tabIndex={scrollable ? 0 : -1}
+        className={`border-0 origin-top-left ${scrollable ? '' : 'pointer-events-none'}`}
+        style={{ width: PAGE_WIDTH, height: PAGE_HEIGHT * pages, transform: `scale(${scale})` }}
+      />
+    </div>
+  )
+}
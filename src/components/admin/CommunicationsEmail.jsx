@@ -1,5 +1,6 @@
 import React, { useState } from 'react'
 import AdminLayout from './AdminLayout'
+import EmailTemplatePreview from './EmailTemplatePreview'
 import { Mail, Send, Users, Calendar, Filter, Search, MoreVertical, Eye, Trash2, Archive } from 'lucide-react'
 
 const CommunicationsEmail = () => {
@@ -131,6 +132,8 @@ const CommunicationsEmail = () => {
           ))}
         </div>
 
+        <EmailTemplatePreview />
+
         {/* Filters and Search */}
         <div className="bg-white rounded-lg shadow mb-6">
           <div className="p-4 border-b border-gray-200">
@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { Eye, Send, FileText, Code } from 'lucide-react'
+import emailTemplateService from '../../services/emailTemplateService'
+
+// Render any transactional template with sample data and send a test copy
+const EmailTemplatePreview = () => {
+  const [templates, setTemplates] = useState([])
+  const [locales, setLocales] = useState({})
+  const [selected, setSelected] = useState('')
+  const [locale, setLocale] = useState('en')
+  const [variablesJson, setVariablesJson] = useState('{}')
+  const [preview, setPreview] = useState(null)
+  const [view, setView] = useState('html')
+  const [testRecipient, setTestRecipient] = useState('')
+  const [status, setStatus] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  const selectTemplate = useCallback((template) => {
+    setSelected(template.name)
+    setVariablesJson(JSON.stringify(template.sampleData, null, 2))
+    setPreview(null)
+    setStatus(null)
+    setLocale(current => (template.locales.includes(current) ? current : 'en'))
+  }, [])
+
+  useEffect(() => {
+    emailTemplateService.listTemplates().then(result => {
+      if (!result.success) {
+        setStatus({ type: 'error', text: `Could not load templates: ${result.error}` })
+        return
+      }
+      setTemplates(result.data.templates)
+      setLocales(result.data.locales)
+      if (result.data.templates.length > 0) selectTemplate(result.data.templates[0])
+    })
+  }, [selectTemplate])
+
+  const parseVariables = () => {
+    try {
+      return JSON.parse(variablesJson || '{}')
+    } catch {
+      setStatus({ type: 'error', text: 'Sample data must be valid JSON.' })
+      return null
+    }
+  }
+
+  const handlePreview = async () => {
+    const variables = parseVariables()
+    if (!variables) return
+
+    setLoading(true)
+    const result = await emailTemplateService.previewTemplate(selected, { locale, variables })
+    setLoading(false)
+
+    if (result.success) {
+      setPreview(result.data)
+      setStatus(null)
+    } else {
+      setStatus({ type: 'error', text: result.error })
+    }
+  }
+
+  // Test copies always carry the template's sample data, not the edited JSON
+  const handleSendTest = async () => {
+    if (!testRecipient) return
+
+    setLoading(true)
+    const result = await emailTemplateService.sendTestEmail(selected, testRecipient, { locale })
+    setLoading(false)
+    setStatus(result.success
+      ? { type: 'success', text: result.message }
+      : { type: 'error', text: result.error })
+  }
+
+  const current = templates.find(template => template.name === selected)
+
+  return (
+    <div className="bg-white rounded-lg shadow mb-6">
+      <div className="p-4 border-b border-gray-200">
+        <h2 className="text-lg font-semibold text-gray-900">Transactional Email Templates</h2>
+        <p className="text-sm text-gray-600">Preview verification, password reset, connection and session emails, and send yourself a test copy</p>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6 p-4">
+        <div className="space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Template</label>
+            <select
+              value={selected}
+              onChange={(e) => selectTemplate(templates.find(template => template.name === e.target.value))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {templates.map(template => (
+                <option key={template.name} value={template.name}>{template.name}</option>
+              ))}
+            </select>
+            {current && <p className="text-xs text-gray-500 mt-1">{current.description}</p>}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Locale</label>
+            <select
+              value={locale}
+              onChange={(e) => setLocale(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {Object.entries(locales).map(([code, label]) => (
+                <option key={code} value={code}>
+                  {label}{current && !current.locales.includes(code) ? ' (falls back to English)' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Sample data (preview only)</label>
+            <textarea
+              value={variablesJson}
+              onChange={(e) => setVariablesJson(e.target.value)}
+              rows={10}
+              spellCheck={false}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg font-mono text-xs focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+
+          <button
+            onClick={handlePreview}
+            disabled={!selected || loading}
+            className="w-full bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 disabled:opacity-50 flex items-center justify-center gap-2"
+          >
+            <Eye className="w-4 h-4" />
+            Render Preview
+          </button>
+
+          <div className="flex gap-2">
+            <input
+              type="email"
+              value={testRecipient}
+              onChange={(e) => setTestRecipient(e.target.value)}
+              placeholder="you@example.com"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+            <button
+              onClick={handleSendTest}
+              disabled={!selected || !testRecipient || loading}
+              className="px-4 py-2 border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50 flex items-center gap-2"
+            >
+              <Send className="w-4 h-4" />
+              Send Test
+            </button>
+          </div>
+
+          {status && (
+            <p className={`text-sm ${status.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>{status.text}</p>
+          )}
+        </div>
+
+        <div className="lg:col-span-2">
+          {!preview ? (
+            <div className="h-full min-h-[24rem] border border-dashed border-gray-300 rounded-lg flex items-center justify-center text-sm text-gray-500">
+              Render a template to preview it here
+            </div>
+          ) : (
+            <div className="border border-gray-200 rounded-lg overflow-hidden">
+              <div className="flex items-center justify-between px-4 py-2 bg-gray-50 border-b border-gray-200">
+                <div className="text-sm min-w-0">
+                  <span className="text-gray-500">Subject: </span>
+                  <span className="font-medium text-gray-900">{preview.subject}</span>
+                  <span className="ml-2 text-xs text-gray-400">({preview.locale})</span>
+                </div>
+                <div className="flex gap-1">
+                  <button
+                    onClick={() => setView('html')}
+                    className={`px-2 py-1 rounded text-xs flex items-center gap-1 ${view === 'html' ? 'bg-blue-100 text-blue-800' : 'text-gray-600 hover:bg-gray-100'}`}
+                  >
+                    <Code className="w-3 h-3" />
+                    HTML
+                  </button>
+                  <button
+                    onClick={() => setView('text')}
+                    className={`px-2 py-1 rounded text-xs flex items-center gap-1 ${view === 'text' ? 'bg-blue-100 text-blue-800' : 'text-gray-600 hover:bg-gray-100'}`}
+                  >
+                    <FileText className="w-3 h-3" />
+                    Plain text
+                  </button>
+                </div>
+              </div>
+              {view === 'html' ? (
+                <iframe title="Email preview" srcDoc={preview.html} sandbox="" className="w-full h-[32rem] bg-white" />
+              ) : (
+                <pre className="p-4 h-[32rem] overflow-auto text-sm text-gray-800 whitespace-pre-wrap">{preview.text}</pre>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default EmailTemplatePreview
@@ -3,6 +3,14 @@ import { useAuth } from '../../contexts/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import { realDatabaseService } from '../../services/realDatabaseService';
 import MobileAuthHeader from './MobileAuthHeader';
+import SessionDstNotice from '../SessionDstNotice';
+import {
+  formatDateInZone,
+  formatTimeInZone,
+  getSessionStart,
+  getTimeZoneAbbreviation,
+  getViewerTimeZone
+} from '../../lib/timezone';
 
 const MobileCounselorDashboard = () => {
   const [activeTab, setActiveTab] = useState('overview');
@@ -23,6 +31,20 @@ const MobileCounselorDashboard = () => {
     loadCounselorData();
   }, [user, navigate]);
 
+  const viewerTimeZone = getViewerTimeZone(user);
+
+  // Session rows hold a UTC instant - format it in the viewer's zone for the cards
+  const toSessionCard = (row, studentName) => {
+    const start = getSessionStart(row);
+    return {
+      ...row,
+      type: row.session_title || row.session_type,
+      student: studentName || 'Student',
+      date: start ? formatDateInZone(start, viewerTimeZone, { weekday: 'short', month: 'short' }) : 'TBC',
+      time: start ? `${formatTimeInZone(start, viewerTimeZone)} ${getTimeZoneAbbreviation(start, viewerTimeZone)}` : ''
+    };
+  };
+
   const loadCounselorData = async () => {
     try {
       setLoading(true);
@@ -45,17 +67,21 @@ const MobileCounselorDashboard = () => {
         setRequests(requestsResult.data);
       }
 
-      // Mock sessions for now
-      setSessions([
-        {
-          id: 1,
-          student: 'Priya Dubey',
-          type: 'Initial Consultation',
-          date: '2025-08-25',
-          time: '14:00',
-          status: 'scheduled'
-        }
-      ]);
+      // Get counselor sessions, labelled with student names
+      if (counselorResult.success && counselorResult.data) {
+        const sessionsResult = await realDatabaseService.getCounselorSessions(counselorResult.data.id);
+        const sessionRows = sessionsResult.data || [];
+        const usersResult = await realDatabaseService.getUsersByIds(
+          [...new Set(sessionRows.map(row => row.student_id).filter(Boolean))]
+        );
+        const usersById = {};
+        (usersResult.data || []).forEach(student => { usersById[student.id] = student; });
+
+        setSessions(sessionRows.map(row => {
+          const student = usersById[row.student_id] || {};
+          return toSessionCard(row, student.full_name || [student.first_name, student.last_name].filter(Boolean).join(' '));
+        }));
+      }
 
     } catch (err) {
       console.error('Error loading counselor data:', err);
@@ -97,9 +123,14 @@ const MobileCounselorDashboard = () => {
 
   const getStatusColor = (status) => {
     switch (status) {
-      case 'scheduled': return 'bg-green-100 text-green-800';
+      case 'scheduled':
+      case 'confirmed':
+      case 'rescheduled': return 'bg-green-100 text-green-800';
+      case 'requested': return 'bg-yellow-100 text-yellow-800';
       case 'completed': return 'bg-blue-100 text-blue-800';
-      case 'cancelled': return 'bg-red-100 text-red-800';
+      case 'cancelled':
+      case 'cancelled_by_student':
+      case 'cancelled_by_counselor': return 'bg-red-100 text-red-800';
       default: return 'bg-gray-100 text-gray-800';
     }
   };
@@ -351,8 +382,9 @@ const MobileCounselorDashboard = () => {
                             <span className="text-sm text-gray-500">📅 {session.date}</span>
                             <span className="text-sm text-gray-500">🕐 {session.time}</span>
                           </div>
+                          <SessionDstNotice session={session} viewerTimeZone={viewerTimeZone} className="mt-2" />
                           <span className={`inline-block mt-2 text-xs px-2 py-1 rounded-full font-medium ${getStatusColor(session.status)}`}>
-                            {session.status}
+                            {session.status.replace(/_/g, ' ')}
                           </span>
                         </div>
                       </div>
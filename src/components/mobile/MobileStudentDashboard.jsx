@@ -3,6 +3,14 @@ import { useAuth } from '../../contexts/AuthContext';
 import { useNavigate } from 'react-router-dom';
 import { realDatabaseService } from '../../services/realDatabaseService';
 import MobileAuthHeader from './MobileAuthHeader';
+import SessionDstNotice from '../SessionDstNotice';
+import {
+  formatDateInZone,
+  formatTimeInZone,
+  getSessionStart,
+  getTimeZoneAbbreviation,
+  getViewerTimeZone
+} from '../../lib/timezone';
 
 const MobileStudentDashboard = () => {
   const [activeTab, setActiveTab] = useState('overview');
@@ -31,6 +39,20 @@ const MobileStudentDashboard = () => {
     }
   }, [user, navigate]);
 
+  const viewerTimeZone = getViewerTimeZone(user);
+
+  // Session rows hold a UTC instant - format it in the viewer's zone for the cards
+  const toSessionCard = (row, counselorName) => {
+    const start = getSessionStart(row);
+    return {
+      ...row,
+      type: row.session_title || row.session_type,
+      counselor: counselorName || 'Counselor',
+      date: start ? formatDateInZone(start, viewerTimeZone, { weekday: 'short', month: 'short' }) : 'TBC',
+      time: start ? `${formatTimeInZone(start, viewerTimeZone)} ${getTimeZoneAbbreviation(start, viewerTimeZone)}` : ''
+    };
+  };
+
   const loadStudentData = async () => {
     try {
       setLoading(true);
@@ -47,17 +69,20 @@ const MobileStudentDashboard = () => {
         setConnections(connectionsResult.data);
       }
 
-      // Get student sessions (mock for now)
-      setSessions([
-        {
-          id: 1,
-          counselor: 'Dr. Sarah Chen',
-          type: 'Initial Consultation',
-          date: '2025-08-25',
-          time: '14:00',
-          status: 'scheduled'
-        }
-      ]);
+      // Get student sessions, labelled with counselor names
+      const sessionsResult = await realDatabaseService.getStudentSessions(user.id);
+      const sessionRows = sessionsResult.data || [];
+      const counselorResults = await Promise.all(
+        [...new Set(sessionRows.map(row => row.counselor_id).filter(Boolean))]
+          .map(id => realDatabaseService.getCounselorById(id))
+      );
+      const counselorsById = {};
+      counselorResults.forEach(({ data }) => { if (data) counselorsById[data.id] = data; });
+
+      setSessions(sessionRows.map(row => {
+        const counselor = counselorsById[row.counselor_id] || {};
+        return toSessionCard(row, counselor.display_name || [counselor.first_name, counselor.last_name].filter(Boolean).join(' '));
+      }));
 
     } catch (err) {
       console.error('Error loading student data:', err);
@@ -363,8 +388,9 @@ const MobileStudentDashboard = () => {
                             <span className="text-sm text-gray-500">📅 {session.date}</span>
                             <span className="text-sm text-gray-500">🕐 {session.time}</span>
                           </div>
+                          <SessionDstNotice session={session} viewerTimeZone={viewerTimeZone} className="mt-2" />
                           <span className="inline-block mt-2 text-xs px-2 py-1 bg-green-100 text-green-800 rounded-full font-medium">
-                            {session.status}
+                            {session.status.replace(/_/g, ' ')}
                           </span>
                         </div>
                       </div>
@@ -1,6 +1,9 @@
 // API Configuration
 export const API_BASE_URL = 'https://19hninc1m30j.manussite.space/api';
 
+// Express database API (api/database.js) - serves calendar feeds
+export const DATABASE_API_URL = 'https://3001-iv9bmtkgayujwt678svfs-733adece.manusvm.computer/api';
+
 // API Endpoints
 export const API_ENDPOINTS = {
   universities: '/universities',
@@ -1,4 +1,5 @@
 import React, { createContext, useContext, useState, useEffect } from 'react'
+import { supabase } from '../lib/supabase'
 
 const AdminAuthContext = createContext()
 
@@ -89,6 +90,7 @@ export const AdminAuthProvider = ({ children }) => {
           } else {
             // Session expired
             localStorage.removeItem('adminAuth')
+            supabase.auth.signOut()
           }
         }
       } catch (error) {
@@ -153,6 +155,15 @@ export const AdminAuthProvider = ({ children }) => {
       console.log('User found:', user)
 
       if (user) {
+        // Admin writes (admin RLS policies) and the admin email tools check a
+        // Supabase session whose users row has the admin role, so sign in there
+        // with the same credentials. Without that account the portal still
+        // opens, but those actions are refused.
+        const { error: supabaseError } = await supabase.auth.signInWithPassword({ email, password })
+        if (supabaseError) {
+          console.warn('No Supabase admin session:', supabaseError.message)
+        }
+
         const adminAuth = {
           id: user.id,
           email: user.email,
@@ -179,6 +190,7 @@ export const AdminAuthProvider = ({ children }) => {
   const logout = () => {
     localStorage.removeItem('adminAuth')
     setAdminUser(null)
+    supabase.auth.signOut()
   }
 
   // Check if user has specific permission
@@ -0,0 +1,194 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { draftKey, getDraft, putDraft } from '../lib/draftStore.js';
+import draftSyncService from '../services/draftSyncService.js';
+
+const AUTOSAVE_INTERVAL = 3000;
+
+/**
+ * Offline-first autosave for a document builder.
+ *
+ * `value` is written to IndexedDB every few seconds while it changes and when
+ * the tab is hidden or closed. Signed-in users also get it synced to Supabase
+ * (retried when the browser comes back online).
+ *
+ * On load, a stored draft that differs from `value` - from this browser or the
+ * user's account, whichever is newer - is offered as `recovery`; autosave
+ * waits until it is restored or discarded. If the account draft was changed
+ * elsewhere since this device last synced, sync pauses and `conflict` holds
+ * the remote draft until resolveConflict('mine' | 'theirs').
+ */
+const useDocumentDraft = ({ docType, userId = null, value, onRestore }) => {
+  const [status, setStatus] = useState('idle'); // idle, saving, saved, offline, error, conflict
+  const [savedAt, setSavedAt] = useState(null);
+  const [ready, setReady] = useState(false);
+  const [recovery, setRecovery] = useState(null);
+  const [conflict, setConflict] = useState(null);
+
+  const key = draftKey(docType, userId);
+  const valueRef = useRef(value);
+  const onRestoreRef = useRef(onRestore);
+  const recordRef = useRef(null);
+  const remoteRef = useRef(null);
+  const conflictRef = useRef(null);
+  const lastJsonRef = useRef(JSON.stringify(value));
+  const syncQueueRef = useRef(Promise.resolve());
+  valueRef.current = value;
+  onRestoreRef.current = onRestore;
+
+  // Push the local draft if it has edits the server hasn't seen. Pushes run
+  // one at a time so each builds on the revision the previous one returned.
+  const syncDraft = useCallback(() => {
+    syncQueueRef.current = syncQueueRef.current.then(async () => {
+      const record = recordRef.current;
+      if (!userId || !record?.dirty || conflictRef.current) return;
+      if (!navigator.onLine) {
+        setStatus('offline');
+        return;
+      }
+
+      setStatus('saving');
+      const result = await draftSyncService.pushDraft(userId, docType, record.data, record.baseRevision);
+
+      if (result.success) {
+        // Edits saved locally while the request was in flight stay dirty
+        recordRef.current = {
+          ...recordRef.current,
+          baseRevision: result.data.revision,
+          dirty: recordRef.current.data !== record.data
+        };
+        await putDraft(recordRef.current);
+        setStatus('saved');
+        setSavedAt(new Date());
+      } else if (result.conflict) {
+        conflictRef.current = result.conflict;
+        setConflict(result.conflict);
+        setStatus('conflict');
+      } else {
+        setStatus(navigator.onLine ? 'error' : 'offline');
+      }
+    });
+    return syncQueueRef.current;
+  }, [userId, docType]);
+
+  const saveDraft = useCallback(async (data) => {
+    lastJsonRef.current = JSON.stringify(data);
+    recordRef.current = { ...recordRef.current, data, updatedAt: new Date().toISOString(), dirty: true };
+    await putDraft(recordRef.current);
+
+    if (!userId) {
+      setStatus('saved');
+      setSavedAt(new Date());
+      return;
+    }
+    return syncDraft();
+  }, [userId, syncDraft]);
+
+  // Look for something to recover whenever the builder or user changes
+  useEffect(() => {
+    let cancelled = false;
+    setReady(false);
+    setRecovery(null);
+    setConflict(null);
+    conflictRef.current = null;
+
+    const load = async () => {
+      const local = await getDraft(key);
+      const remote = userId && navigator.onLine ? (await draftSyncService.fetchDraft(userId, docType)).data : null;
+      if (cancelled) return;
+
+      const currentJson = JSON.stringify(valueRef.current);
+      remoteRef.current = remote;
+      recordRef.current = local || { key, docType, userId, data: null, updatedAt: null, baseRevision: null, dirty: false };
+      lastJsonRef.current = currentJson;
+
+      const candidates = [
+        local?.data && { data: local.data, savedAt: local.updatedAt, source: 'device' },
+        remote && { data: remote.data, savedAt: remote.updated_at, source: 'account', revision: remote.revision }
+      ].filter(candidate => candidate && JSON.stringify(candidate.data) !== currentJson);
+      candidates.sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
+
+      if (candidates.length > 0) {
+        setRecovery(candidates[0]);
+      } else if (remote) {
+        recordRef.current.baseRevision = remote.revision;
+      }
+      setReady(true);
+    };
+
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, [key, docType, userId]);
+
+  // Autosave on an interval rather than a debounce so long typing sessions
+  // are still saved, and flush when the tab is hidden or closed
+  useEffect(() => {
+    if (!ready || recovery) return;
+
+    const saveIfChanged = () => {
+      if (JSON.stringify(valueRef.current) !== lastJsonRef.current) saveDraft(valueRef.current);
+    };
+    const handleVisibility = () => {
+      if (document.visibilityState === 'hidden') saveIfChanged();
+    };
+
+    const interval = setInterval(saveIfChanged, AUTOSAVE_INTERVAL);
+    document.addEventListener('visibilitychange', handleVisibility);
+    window.addEventListener('pagehide', saveIfChanged);
+    window.addEventListener('online', syncDraft);
+
+    return () => {
+      clearInterval(interval);
+      document.removeEventListener('visibilitychange', handleVisibility);
+      window.removeEventListener('pagehide', saveIfChanged);
+      window.removeEventListener('online', syncDraft);
+    };
+  }, [ready, recovery, key, saveDraft, syncDraft]);
+
+  const restore = () => {
+    const { data, source, savedAt: recoveredAt, revision } = recovery;
+    onRestoreRef.current(data);
+
+    // An account draft is already synced. A device draft differs from the
+    // current value, so the next autosave stores and syncs it.
+    if (source === 'account') {
+      recordRef.current = { ...recordRef.current, data, updatedAt: recoveredAt, baseRevision: revision, dirty: false };
+      lastJsonRef.current = JSON.stringify(data);
+      putDraft(recordRef.current);
+    }
+    setRecovery(null);
+  };
+
+  // Replace the stored drafts with what is on screen now
+  const discard = () => {
+    if (remoteRef.current) {
+      recordRef.current = { ...recordRef.current, baseRevision: remoteRef.current.revision };
+    }
+    setRecovery(null);
+    saveDraft(valueRef.current);
+  };
+
+  const resolveConflict = (choice) => {
+    const remote = conflictRef.current;
+    if (!remote) return;
+    conflictRef.current = null;
+    setConflict(null);
+
+    if (choice === 'theirs') {
+      onRestoreRef.current(remote.data);
+      recordRef.current = { ...recordRef.current, data: remote.data, updatedAt: remote.updated_at, baseRevision: remote.revision, dirty: false };
+      lastJsonRef.current = JSON.stringify(remote.data);
+      putDraft(recordRef.current);
+      setStatus('saved');
+      setSavedAt(new Date());
+    } else {
+      recordRef.current = { ...recordRef.current, baseRevision: remote.revision };
+      saveDraft(valueRef.current);
+    }
+  };
+
+  return { status, savedAt, recovery, restore, discard, conflict, resolveConflict };
+};
+
+export default useDocumentDraft;
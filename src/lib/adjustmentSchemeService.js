@@ -0,0 +1,32 @@
+import { supabase } from './supabase.js'
+import { EMPTY_ADJUSTMENTS, indexAdjustments } from './selectionRank.js'
+
+// University adjustment schemes and caps, indexed for courseEligibility.
+// Failures fall back to no adjustments so eligibility is plain ATAR.
+export class AdjustmentSchemeService {
+
+  static async getAdjustments() {
+    try {
+      const [schemes, caps] = await Promise.all([
+        supabase
+          .from('university_adjustment_schemes')
+          .select('*')
+          .eq('is_active', true),
+        supabase
+          .from('university_adjustment_caps')
+          .select('*')
+      ])
+
+      const error = schemes.error || caps.error
+      if (error) {
+        console.error('Error fetching adjustment schemes:', error)
+        return { success: false, error: error.message, data: EMPTY_ADJUSTMENTS }
+      }
+
+      return { success: true, data: indexAdjustments(schemes.data || [], caps.data || []) }
+    } catch (error) {
+      console.error('Error in getAdjustments:', error)
+      return { success: false, error: error.message, data: EMPTY_ADJUSTMENTS }
+    }
+  }
+}
@@ -0,0 +1,309 @@
+// ATAR estimation engine shared by the calculator, the course finder and
+// anything else that needs an ATAR from a list of subjects and grades.
+//
+// Each jurisdiction is a rule set stored as data:
+//   count / countBy     how many subjects (or units) make up the aggregate
+//   standardUnits       units in a standard course, for unit-based counting
+//   english             'counted' - an English must be in the counted set
+//                       'completed' - an English must be studied, but it
+//                       only counts if it is among the best
+//   increments          weights for the next-best subjects after the counted
+//                       set (VCE 10% of the 5th and 6th, SACE's flexible option)
+//   bonuses             extra credit for a category of subject (WA languages)
+//   rankTable           aggregate (as % of the maximum) -> ATAR lookup
+//
+// Results are estimates: real ATARs depend on each year's scaling and the
+// whole cohort's results.
+
+// Grade -> raw mark, as shown in the calculator's grade picker
+export const GRADE_MARKS = {
+  A: 90,
+  B: 80,
+  C: 70,
+  D: 60,
+  E: 50,
+  F: 40
+}
+
+export const GRADE_LABELS = {
+  A: 'A (90-100)',
+  B: 'B (80-89)',
+  C: 'C (70-79)',
+  D: 'D (60-69)',
+  E: 'E (50-59)',
+  F: 'F (Below 50)'
+}
+
+// Subject library with scaling factors. units only matter for unit-based
+// jurisdictions (NSW extension courses are 1 unit).
+export const SUBJECTS = [
+  { name: 'English (Standard)', scaling: 1.0, isEnglish: true },
+  { name: 'English (Advanced)', scaling: 1.05, isEnglish: true },
+  { name: 'English Extension 1', scaling: 1.1, isEnglish: true, units: 1 },
+  { name: 'English Extension 2', scaling: 1.15, isEnglish: true, units: 1 },
+  { name: 'Mathematics (Standard)', scaling: 1.0 },
+  { name: 'Mathematics (Advanced)', scaling: 1.05 },
+  { name: 'Mathematics Extension 1', scaling: 1.1, units: 1 },
+  { name: 'Mathematics Extension 2', scaling: 1.15, units: 1 },
+  { name: 'Physics', scaling: 1.05 },
+  { name: 'Chemistry', scaling: 1.05 },
+  { name: 'Biology', scaling: 1.0 },
+  { name: 'Economics', scaling: 1.0 },
+  { name: 'Business Studies', scaling: 0.95 },
+  { name: 'Legal Studies', scaling: 0.95 },
+  { name: 'Modern History', scaling: 1.0 },
+  { name: 'Ancient History', scaling: 1.0 },
+  { name: 'Geography', scaling: 0.95 },
+  { name: 'Visual Arts', scaling: 0.9 },
+  { name: 'Music', scaling: 0.95 },
+  { name: 'Drama', scaling: 0.9 },
+  { name: 'Design and Technology', scaling: 0.9 },
+  { name: 'Information Technology', scaling: 0.95 },
+  { name: 'Software Design & Development', scaling: 1.0 },
+  { name: 'Personal Development, Health & PE', scaling: 0.85 },
+  { name: 'Food Technology', scaling: 0.85 },
+  { name: 'Textiles and Design', scaling: 0.85 },
+  { name: 'Chinese', scaling: 1.05, category: 'language' },
+  { name: 'French', scaling: 1.1, category: 'language' },
+  { name: 'German', scaling: 1.1, category: 'language' },
+  { name: 'Indonesian', scaling: 1.05, category: 'language' },
+  { name: 'Japanese', scaling: 1.1, category: 'language' }
+]
+
+// Aggregate percentage -> ATAR, interpolated linearly between points. The
+// curve is steep at the top because the ATAR is a rank: a small gain in
+// aggregate near the top passes far fewer students than one mid-range.
+export const RANK_TABLES = {
+  standard: [
+    [0, 0],
+    [30, 15],
+    [40, 30],
+    [50, 50],
+    [60, 68],
+    [70, 81.5],
+    [80, 91],
+    [90, 97.35],
+    [95, 99.3],
+    [100, 99.95]
+  ]
+}
+
+export const JURISDICTIONS = {
+  'NSW-HSC': {
+    name: 'NSW (HSC)',
+    summary: 'Best 10 units, including at least 2 units of English',
+    minSubjects: 4,
+    countBy: 'units',
+    count: 10,
+    standardUnits: 2,
+    english: 'counted',
+    englishUnits: 2,
+    increments: [],
+    bonuses: [],
+    rankTable: RANK_TABLES.standard
+  },
+  'VIC-VCE': {
+    name: 'VIC (VCE)',
+    summary: 'Best English plus the next 3 subjects, and 10% of a 5th and 6th',
+    minSubjects: 4,
+    countBy: 'subjects',
+    count: 4,
+    english: 'counted',
+    increments: [0.1, 0.1],
+    bonuses: [],
+    rankTable: RANK_TABLES.standard
+  },
+  'QLD-QCAA': {
+    name: 'QLD (QCAA)',
+    summary: 'Best 5 subjects; English must be passed but need not count',
+    minSubjects: 4,
+    countBy: 'subjects',
+    count: 5,
+    english: 'completed',
+    increments: [],
+    bonuses: [],
+    rankTable: RANK_TABLES.standard
+  },
+  'SA-SACE': {
+    name: 'SA (SACE)',
+    summary: 'Best 4 subjects plus half of a 5th (the flexible option)',
+    minSubjects: 4,
+    countBy: 'subjects',
+    count: 4,
+    english: null,
+    increments: [0.5],
+    bonuses: [],
+    rankTable: RANK_TABLES.standard
+  },
+  'WA-WACE': {
+    name: 'WA (WACE)',
+    summary: 'Best 4 scaled scores, English required, plus a 10% languages bonus',
+    minSubjects: 4,
+    countBy: 'subjects',
+    count: 4,
+    english: 'completed',
+    increments: [],
+    bonuses: [{ category: 'language', rate: 0.1, label: 'Languages bonus' }],
+    rankTable: RANK_TABLES.standard
+  },
+  'TAS-TASC': {
+    name: 'TAS (TASC)',
+    summary: 'Best 5 pre-tertiary subjects',
+    minSubjects: 4,
+    countBy: 'subjects',
+    count: 5,
+    english: null,
+    increments: [],
+    bonuses: [],
+    rankTable: RANK_TABLES.standard
+  }
+}
+
+export const JURISDICTION_IDS = Object.keys(JURISDICTIONS)
+export const DEFAULT_JURISDICTION = 'NSW-HSC'
+
+// ATARs are reported in steps of 0.05, between 0 and 99.95; anything under
+// 30 is reported only as "below 30"
+export const MAX_ATAR = 99.95
+export const MIN_REPORTED_ATAR = 30
+
+export const getJurisdiction = (id) => JURISDICTIONS[id] || JURISDICTIONS[DEFAULT_JURISDICTION]
+
+export const getSubject = (name) => SUBJECTS.find(subject => subject.name === name) || null
+
+// Raw mark (or grade) times the subject's scaling, capped at 100
+export const scaleScore = (subjectName, { grade, mark } = {}) => {
+  const raw = mark ?? GRADE_MARKS[grade]
+  if (!subjectName || raw == null) return 0
+  const scaling = getSubject(subjectName)?.scaling ?? 1
+  return Math.min(100, Math.round(raw * scaling))
+}
+
+export const lookupRank = (table, percent) => {
+  const value = Math.min(100, Math.max(0, percent))
+  for (let i = 1; i < table.length; i++) {
+    const [x1, y1] = table[i]
+    if (value <= x1) {
+      const [x0, y0] = table[i - 1]
+      return y0 + ((value - x0) / (x1 - x0)) * (y1 - y0)
+    }
+  }
+  return table[table.length - 1][1]
+}
+
+const roundToStep = (atar) => Math.min(MAX_ATAR, Math.max(0, Math.round(atar * 20) / 20))
+
+// Fill the counted set from `candidates` (best first), taking part of a
+// subject when only some of its units still fit
+const fill = (candidates, capacity, sizeOf, counted) => {
+  let remaining = capacity
+  for (const subject of candidates) {
+    if (remaining <= 0) break
+    const size = sizeOf(subject)
+    const fraction = Math.min(1, remaining / size)
+    counted.push({ ...subject, fraction })
+    remaining -= size * fraction
+  }
+  return remaining
+}
+
+/**
+ * Estimate an ATAR. results: [{ name, grade } | { name, mark }], optionally
+ * with scaledScore, isEnglish, units or category to override the subject
+ * library. Returns { success, data } with the ATAR, the aggregate and which
+ * subjects counted, or { success: false, error } when the rules aren't met.
+ */
+export const calculateATAR = (jurisdictionId, results) => {
+  const rules = getJurisdiction(jurisdictionId)
+  const subjects = (results || [])
+    .filter(result => result.name && (result.grade || result.mark != null || result.scaledScore != null))
+    .map((result, key) => {
+      const library = getSubject(result.name) || {}
+      return {
+        key,
+        name: result.name,
+        score: result.scaledScore ?? scaleScore(result.name, result),
+        isEnglish: result.isEnglish ?? Boolean(library.isEnglish),
+        units: result.units ?? library.units ?? rules.standardUnits ?? 1,
+        category: result.category ?? library.category ?? null
+      }
+    })
+    .sort((a, b) => b.score - a.score)
+
+  if (subjects.length < rules.minSubjects) {
+    return { success: false, error: `Enter at least ${rules.minSubjects} subjects to calculate an ATAR` }
+  }
+
+  const byUnits = rules.countBy === 'units'
+  const sizeOf = (subject) => (byUnits ? subject.units : 1)
+  const weightOf = (subject) => (byUnits ? subject.units / rules.standardUnits : 1)
+
+  // Unit-based jurisdictions need enough units of English, so a 1-unit
+  // extension on its own doesn't satisfy NSW's 2 units
+  const englishCapacity = byUnits ? rules.englishUnits : 1
+  const englishStudied = subjects.filter(subject => subject.isEnglish).reduce((sum, subject) => sum + sizeOf(subject), 0)
+  if (rules.english && englishStudied < englishCapacity) {
+    return {
+      success: false,
+      error: byUnits
+        ? `At least ${englishCapacity} units of English are mandatory for ${rules.name} ATAR calculation`
+        : `English is mandatory for ${rules.name} ATAR calculation`
+    }
+  }
+
+  const counted = []
+  let capacity = rules.count
+  if (rules.english === 'counted') {
+    const englishCounted = []
+    fill(subjects.filter(subject => subject.isEnglish), englishCapacity, sizeOf, englishCounted)
+    counted.push(...englishCounted)
+    capacity -= englishCounted.reduce((sum, subject) => sum + sizeOf(subject) * subject.fraction, 0)
+  }
+  const notYetCounted = () => subjects.filter(subject => !counted.some(item => item.key === subject.key))
+  fill(notYetCounted(), capacity, sizeOf, counted)
+
+  let aggregate = counted.reduce((sum, subject) => sum + subject.score * weightOf(subject) * subject.fraction, 0)
+  let maxAggregate = (rules.count / (byUnits ? rules.standardUnits : 1)) * 100
+
+  const increments = notYetCounted().slice(0, rules.increments.length).map((subject, index) => ({
+    name: subject.name,
+    score: subject.score,
+    weight: rules.increments[index]
+  }))
+  rules.increments.forEach(weight => { maxAggregate += 100 * weight })
+  increments.forEach(item => { aggregate += item.score * item.weight })
+
+  const bonuses = rules.bonuses
+    .map(bonus => {
+      const best = subjects.find(subject => subject.category === bonus.category)
+      return best ? { label: bonus.label, name: best.name, points: best.score * bonus.rate } : null
+    })
+    .filter(Boolean)
+  bonuses.forEach(bonus => { aggregate += bonus.points })
+
+  const percent = (aggregate / maxAggregate) * 100
+  const atar = roundToStep(lookupRank(rules.rankTable, percent))
+
+  return {
+    success: true,
+    data: {
+      jurisdiction: jurisdictionId,
+      atar,
+      belowReportable: atar < MIN_REPORTED_ATAR,
+      aggregate: Math.round(aggregate * 100) / 100,
+      maxAggregate,
+      percent: Math.round(Math.min(100, percent) * 100) / 100,
+      counted: counted.map(({ name, score, fraction }) => ({ name, score, fraction })),
+      increments,
+      bonuses
+    }
+  }
+}
+
+// Courses whose cutoff the ATAR meets, highest cutoff first
+export const isWithinReach = (course, atar) => Boolean(course.atar_cutoff) && course.atar_cutoff <= atar
+
+export const recommendCourses = (courses, atar, limit = 10) => (courses || [])
+  .filter(course => isWithinReach(course, atar))
+  .sort((a, b) => b.atar_cutoff - a.atar_cutoff)
+  .slice(0, limit)
@@ -0,0 +1,153 @@
+import { describe, expect, it } from 'vitest'
+import { calculateATAR } from './atarEngine.js'
+
+// Fixtures give scaledScore directly so the expected aggregates don't depend
+// on the subject library's scaling factors
+const results = (scores) => Object.entries(scores).map(([name, scaledScore]) => ({ name, scaledScore }))
+
+const countedNames = (data) => data.counted.map(subject => subject.name)
+
+describe('calculateATAR', () => {
+  it('weights NSW 1-unit courses by half and counts part of a course when only one unit fits', () => {
+    const { success, data } = calculateATAR('NSW-HSC', results({
+      'English (Advanced)': 90,
+      'Mathematics Extension 1': 95,
+      Physics: 88,
+      Chemistry: 80,
+      Economics: 75,
+      Biology: 70
+    }))
+
+    expect(success).toBe(true)
+    expect(data.counted).toEqual([
+      { name: 'English (Advanced)', score: 90, fraction: 1 },
+      { name: 'Mathematics Extension 1', score: 95, fraction: 1 },
+      { name: 'Physics', score: 88, fraction: 1 },
+      { name: 'Chemistry', score: 80, fraction: 1 },
+      { name: 'Economics', score: 75, fraction: 1 },
+      { name: 'Biology', score: 70, fraction: 0.5 }
+    ])
+    // 90 + 95/2 + 88 + 80 + 75 + 70/2 out of 10 units (500)
+    expect(data.aggregate).toBe(415.5)
+    expect(data.maxAggregate).toBe(500)
+    expect(data.atar).toBe(92.95)
+  })
+
+  it('requires at least 2 units of English in NSW', () => {
+    const result = calculateATAR('NSW-HSC', results({
+      'English Extension 1': 90,
+      'Mathematics (Advanced)': 85,
+      Physics: 80,
+      Chemistry: 75,
+      Economics: 70
+    }))
+
+    expect(result).toEqual({
+      success: false,
+      error: 'At least 2 units of English are mandatory for NSW (HSC) ATAR calculation'
+    })
+  })
+
+  it('adds 10% of the VIC 5th and 6th subjects on top of English and the best 3', () => {
+    const { success, data } = calculateATAR('VIC-VCE', results({
+      'English (Standard)': 80,
+      'Mathematics (Advanced)': 90,
+      Physics: 85,
+      Chemistry: 75,
+      Biology: 70,
+      Economics: 65
+    }))
+
+    expect(success).toBe(true)
+    expect(countedNames(data)).toEqual(['English (Standard)', 'Mathematics (Advanced)', 'Physics', 'Chemistry'])
+    expect(data.increments).toEqual([
+      { name: 'Biology', score: 70, weight: 0.1 },
+      { name: 'Economics', score: 65, weight: 0.1 }
+    ])
+    expect(data.aggregate).toBe(343.5)
+    expect(data.maxAggregate).toBe(420)
+    expect(data.atar).toBe(92.15)
+  })
+
+  it('requires QLD students to complete English without counting it outside the best 5', () => {
+    const scores = {
+      'English (Standard)': 60,
+      'Mathematics (Advanced)': 90,
+      Physics: 85,
+      Chemistry: 80,
+      Biology: 75,
+      Economics: 70
+    }
+    const { success, data } = calculateATAR('QLD-QCAA', results(scores))
+
+    expect(success).toBe(true)
+    expect(countedNames(data)).not.toContain('English (Standard)')
+    expect(data.aggregate).toBe(400)
+    expect(data.atar).toBe(91)
+
+    const withoutEnglish = { ...scores }
+    delete withoutEnglish['English (Standard)']
+    expect(calculateATAR('QLD-QCAA', results(withoutEnglish))).toEqual({
+      success: false,
+      error: 'English is mandatory for QLD (QCAA) ATAR calculation'
+    })
+  })
+
+  it('adds half of the SA 5th subject as the flexible option', () => {
+    const { success, data } = calculateATAR('SA-SACE', results({
+      'Mathematics (Advanced)': 90,
+      Physics: 80,
+      Chemistry: 70,
+      Biology: 60,
+      Economics: 50
+    }))
+
+    expect(success).toBe(true)
+    expect(data.increments).toEqual([{ name: 'Economics', score: 50, weight: 0.5 }])
+    expect(data.aggregate).toBe(325)
+    expect(data.maxAggregate).toBe(450)
+    expect(data.atar).toBe(83.6)
+  })
+
+  it('requires WA English and adds 10% of the best language as a bonus', () => {
+    const { success, data } = calculateATAR('WA-WACE', results({
+      'English (Standard)': 70,
+      'Mathematics (Advanced)': 90,
+      Physics: 85,
+      Chemistry: 80,
+      French: 75
+    }))
+
+    expect(success).toBe(true)
+    expect(countedNames(data)).toEqual(['Mathematics (Advanced)', 'Physics', 'Chemistry', 'French'])
+    expect(data.bonuses).toEqual([{ label: 'Languages bonus', name: 'French', points: 7.5 }])
+    expect(data.aggregate).toBe(337.5)
+    expect(data.atar).toBe(93.8)
+  })
+
+  it('counts the best 5 TAS subjects', () => {
+    const { success, data } = calculateATAR('TAS-TASC', results({
+      'Mathematics (Advanced)': 90,
+      Physics: 85,
+      Chemistry: 80,
+      Biology: 75,
+      Economics: 70,
+      'Visual Arts': 40
+    }))
+
+    expect(success).toBe(true)
+    expect(countedNames(data)).toEqual(['Mathematics (Advanced)', 'Physics', 'Chemistry', 'Biology', 'Economics'])
+    expect(data.aggregate).toBe(400)
+    expect(data.atar).toBe(91)
+  })
+
+  it('needs the minimum number of subjects', () => {
+    const result = calculateATAR('VIC-VCE', results({
+      'English (Standard)': 80,
+      'Mathematics (Advanced)': 90,
+      Physics: 85
+    }))
+
+    expect(result).toEqual({ success: false, error: 'Enter at least 4 subjects to calculate an ATAR' })
+  })
+})
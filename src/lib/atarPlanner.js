@@ -0,0 +1,187 @@
+// "What-if" planning on top of the ATAR engine: how much each grade is
+// worth, the fewest grade improvements that reach a course cutoff, and
+// side-by-side comparison of saved scenarios.
+//
+// Subjects are the calculator's entries ({ id, name, grade, ... }). Only
+// grade-based entries are raised; anything entered as a mark stays fixed.
+
+import { calculateATAR, GRADE_MARKS } from './atarEngine.js'
+
+// Lowest to highest
+export const GRADE_ORDER = Object.keys(GRADE_MARKS).reverse()
+
+// Exhaustive search stops here and falls back to a greedy plan
+const MAX_PLAN_EVALUATIONS = 20000
+
+export const raiseGrade = (grade, steps = 1) => {
+  const index = GRADE_ORDER.indexOf(grade)
+  if (index < 0) return null
+  return GRADE_ORDER[Math.min(GRADE_ORDER.length - 1, index + steps)]
+}
+
+// Grade steps left before an A
+const headroom = (subject) => {
+  const index = GRADE_ORDER.indexOf(subject.grade)
+  return index < 0 ? 0 : GRADE_ORDER.length - 1 - index
+}
+
+const roundGain = (gain) => Math.round(gain * 100) / 100
+
+const withRaises = (subjects, steps) => subjects.map((subject, index) => (
+  steps[index] ? { ...subject, grade: raiseGrade(subject.grade, steps[index]) } : subject
+))
+
+const atarFor = (jurisdictionId, subjects) => {
+  const result = calculateATAR(jurisdictionId, subjects)
+  return result.success ? result.data.atar : null
+}
+
+const describeChanges = (subjects, steps) => subjects
+  .map((subject, index) => (steps[index] ? {
+    id: subject.id ?? index,
+    name: subject.name,
+    from: subject.grade,
+    to: raiseGrade(subject.grade, steps[index]),
+    steps: steps[index]
+  } : null))
+  .filter(Boolean)
+
+/**
+ * What raising each subject by one grade is worth. Returns
+ * [{ id, name, from, to, gain }], largest gain first. A gain of 0 means
+ * the subject isn't in the counted set even after the raise.
+ */
+export const subjectSensitivity = (jurisdictionId, subjects) => {
+  const current = atarFor(jurisdictionId, subjects)
+  if (current == null) return []
+
+  return subjects
+    .map((subject, index) => {
+      if (!headroom(subject)) return null
+      const steps = subjects.map((_, other) => (other === index ? 1 : 0))
+      const raised = atarFor(jurisdictionId, withRaises(subjects, steps))
+      return { ...describeChanges(subjects, steps)[0], gain: roundGain(raised - current) }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.gain - a.gain)
+}
+
+// Every way of spreading `total` grade steps over the subjects, within
+// each subject's headroom
+function* stepCombinations(limits, total, index = 0, current = []) {
+  if (index === limits.length) {
+    if (total === 0) yield current
+    return
+  }
+  const remainingLimit = limits.slice(index + 1).reduce((sum, limit) => sum + limit, 0)
+  for (let steps = Math.min(limits[index], total); steps >= 0 && total - steps <= remainingLimit; steps--) {
+    yield* stepCombinations(limits, total - steps, index + 1, [...current, steps])
+  }
+}
+
+// One step at a time, always taking the step worth the most
+const greedyPlan = (jurisdictionId, subjects, target) => {
+  const steps = subjects.map(() => 0)
+  let atar = atarFor(jurisdictionId, subjects)
+  while (atar < target) {
+    let best = null
+    subjects.forEach((subject, index) => {
+      if (steps[index] >= headroom(subject)) return
+      const trial = steps.map((value, other) => (other === index ? value + 1 : value))
+      const trialAtar = atarFor(jurisdictionId, withRaises(subjects, trial))
+      if (!best || trialAtar > best.atar) best = { steps: trial, atar: trialAtar }
+    })
+    if (!best) break
+    steps.splice(0, steps.length, ...best.steps)
+    atar = best.atar
+  }
+  return { steps, atar }
+}
+
+/**
+ * The fewest grade improvements that lift the ATAR to `target` (a course's
+ * atar_cutoff). Ties go to the plan touching fewer subjects, then to the
+ * higher ATAR. Returns { success, data: { reachable, target, currentAtar,
+ * gap, atar, totalSteps, changes, exact } }; when even straight As fall short,
+ * reachable is false and atar is the best achievable.
+ */
+export const planForTarget = (jurisdictionId, subjects, target) => {
+  const baseline = calculateATAR(jurisdictionId, subjects)
+  if (!baseline.success) return baseline
+
+  const currentAtar = baseline.data.atar
+  const summary = {
+    target,
+    currentAtar,
+    gap: roundGain(Math.max(0, target - currentAtar))
+  }
+  if (currentAtar >= target) {
+    return { success: true, data: { ...summary, reachable: true, atar: currentAtar, totalSteps: 0, changes: [], exact: true } }
+  }
+
+  const limits = subjects.map(headroom)
+  const bestAtar = atarFor(jurisdictionId, withRaises(subjects, limits))
+  if (bestAtar < target) {
+    return { success: true, data: { ...summary, reachable: false, atar: bestAtar, totalSteps: null, changes: describeChanges(subjects, limits), exact: true } }
+  }
+
+  const plan = (steps, atar, exact) => ({
+    success: true,
+    data: {
+      ...summary,
+      reachable: true,
+      atar,
+      totalSteps: steps.reduce((sum, value) => sum + value, 0),
+      changes: describeChanges(subjects, steps),
+      exact
+    }
+  })
+
+  let evaluations = 0
+  const maxSteps = limits.reduce((sum, limit) => sum + limit, 0)
+  for (let total = 1; total <= maxSteps; total++) {
+    let best = null
+    for (const steps of stepCombinations(limits, total)) {
+      if (++evaluations > MAX_PLAN_EVALUATIONS) {
+        const greedy = greedyPlan(jurisdictionId, subjects, target)
+        return plan(greedy.steps, greedy.atar, false)
+      }
+      const atar = atarFor(jurisdictionId, withRaises(subjects, steps))
+      if (atar < target) continue
+      const touched = steps.filter(Boolean).length
+      if (!best || touched < best.touched || (touched === best.touched && atar > best.atar)) {
+        best = { steps, atar, touched }
+      }
+    }
+    if (best) return plan(best.steps, best.atar, true)
+  }
+  return plan(limits, bestAtar, true)
+}
+
+/**
+ * Side-by-side comparison of scenarios ([{ id, name, jurisdiction, subjects }]).
+ * Returns each scenario's ATAR (or error) and a row per subject with its
+ * grade in every scenario, null where a scenario doesn't take it.
+ */
+export const compareScenarios = (scenarios, target = null) => {
+  const columns = scenarios.map(scenario => {
+    const result = calculateATAR(scenario.jurisdiction, scenario.subjects)
+    return {
+      id: scenario.id,
+      name: scenario.name,
+      jurisdiction: scenario.jurisdiction,
+      atar: result.success ? result.data.atar : null,
+      belowReportable: result.success ? result.data.belowReportable : false,
+      error: result.success ? null : result.error,
+      meetsTarget: target != null && result.success ? result.data.atar >= target : null
+    }
+  })
+
+  const names = [...new Set(scenarios.flatMap(scenario => scenario.subjects.map(subject => subject.name)))]
+  const rows = names.map(name => ({
+    name,
+    grades: scenarios.map(scenario => scenario.subjects.find(subject => subject.name === name)?.grade || null)
+  }))
+
+  return { columns, rows }
+}
@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest'
+import { calculateATAR } from './atarEngine.js'
+import { compareScenarios, planForTarget, raiseGrade } from './atarPlanner.js'
+
+// 90.25 in NSW with the subject library's scaling
+const SUBJECTS = [
+  { id: 1, name: 'English (Advanced)', grade: 'B' },
+  { id: 2, name: 'Mathematics (Advanced)', grade: 'B' },
+  { id: 3, name: 'Physics', grade: 'C' },
+  { id: 4, name: 'Chemistry', grade: 'B' },
+  { id: 5, name: 'Economics', grade: 'C' }
+]
+
+const applyChanges = (subjects, changes) => subjects.map(subject => ({
+  ...subject,
+  grade: changes.find(change => change.id === subject.id)?.to ?? subject.grade
+}))
+
+describe('raiseGrade', () => {
+  it('moves up the grade scale and stops at A', () => {
+    expect(raiseGrade('C')).toBe('B')
+    expect(raiseGrade('B', 3)).toBe('A')
+    expect(raiseGrade('Z')).toBeNull()
+  })
+})
+
+describe('planForTarget', () => {
+  it('needs no changes when the ATAR already meets the target', () => {
+    expect(planForTarget('NSW-HSC', SUBJECTS, 90).data).toMatchObject({ reachable: true, currentAtar: 90.25, gap: 0, totalSteps: 0, changes: [] })
+  })
+
+  it('finds the fewest grade steps that reach the target', () => {
+    const { data } = planForTarget('NSW-HSC', SUBJECTS, 91.5)
+
+    expect(data).toMatchObject({ reachable: true, target: 91.5, gap: 1.25, totalSteps: 1, exact: true })
+    expect(data.changes).toEqual([{ id: 1, name: 'English (Advanced)', from: 'B', to: 'A', steps: 1 }])
+    expect(calculateATAR('NSW-HSC', applyChanges(SUBJECTS, data.changes)).data.atar).toBe(data.atar)
+    expect(data.atar).toBeGreaterThanOrEqual(91.5)
+  })
+
+  it('prefers raising one subject twice over two subjects once', () => {
+    const { data } = planForTarget('NSW-HSC', SUBJECTS, 93)
+
+    expect(data.totalSteps).toBe(2)
+    expect(data.changes).toEqual([{ id: 3, name: 'Physics', from: 'C', to: 'A', steps: 2 }])
+    expect(data.atar).toBe(93.15)
+  })
+
+  it('reports the best achievable ATAR when straight As fall short', () => {
+    const subjects = [...SUBJECTS.slice(0, 4), { id: 5, name: 'Economics', mark: 70 }]
+    const { data } = planForTarget('NSW-HSC', subjects, 99)
+
+    expect(data).toMatchObject({ reachable: false, gap: 8.75, totalSteps: null, atar: 97.35 })
+    // Entries given as a mark are never raised
+    expect(data.changes.map(change => change.id)).toEqual([1, 2, 3, 4])
+  })
+
+  it('passes calculator errors through', () => {
+    expect(planForTarget('NSW-HSC', [{ name: 'Physics', grade: 'B' }], 90)).toEqual({
+      success: false,
+      error: 'Enter at least 4 subjects to calculate an ATAR'
+    })
+  })
+})
+
+describe('compareScenarios', () => {
+  it('lines up grades by subject and checks each scenario against the target', () => {
+    const swapped = SUBJECTS.map(subject => (subject.id === 4 ? { id: 6, name: 'Biology', grade: 'D' } : subject))
+    const { columns, rows } = compareScenarios([
+      { id: 'a', name: 'Now', jurisdiction: 'NSW-HSC', subjects: SUBJECTS },
+      { id: 'b', name: 'Biology', jurisdiction: 'NSW-HSC', subjects: swapped },
+      { id: 'c', name: 'Too few', jurisdiction: 'NSW-HSC', subjects: SUBJECTS.slice(0, 1) }
+    ], 90)
+
+    expect(columns.map(column => [column.name, column.meetsTarget])).toEqual([['Now', true], ['Biology', false], ['Too few', null]])
+    expect(columns[2].error).toBe('Enter at least 4 subjects to calculate an ATAR')
+    expect(rows.find(row => row.name === 'Chemistry').grades).toEqual(['B', null, null])
+    expect(rows.find(row => row.name === 'Biology').grades).toEqual([null, 'D', null])
+  })
+})
@@ -0,0 +1,102 @@
+import { supabase } from './supabase.js'
+import { calculateATAR } from './atarEngine.js'
+
+// Saved ATAR what-if scenarios - mirrors GTEStatementService
+export class ATARScenarioService {
+
+  // Only what's needed to recalculate: the library supplies the rest
+  static toRecordSubjects(subjects) {
+    return subjects
+      .filter(subject => subject.name && subject.grade)
+      .map(({ name, grade }) => ({ name, grade }))
+  }
+
+  // Save or update a scenario
+  static async saveScenario(scenarioData, userId) {
+    try {
+      const subjects = this.toRecordSubjects(scenarioData.subjects)
+      const result = calculateATAR(scenarioData.jurisdiction, subjects)
+      const scenarioRecord = {
+        user_id: userId,
+        name: scenarioData.name?.trim() || 'My scenario',
+        jurisdiction: scenarioData.jurisdiction,
+        subjects,
+        atar: result.success ? result.data.atar : null,
+        target_course_id: scenarioData.targetCourse?.id != null ? String(scenarioData.targetCourse.id) : null,
+        target_cutoff: scenarioData.targetCourse?.atar_cutoff ?? null,
+        updated_at: new Date().toISOString()
+      }
+
+      let query
+      if (scenarioData.id) {
+        // Update existing scenario
+        query = await supabase
+          .from('atar_scenarios')
+          .update(scenarioRecord)
+          .eq('id', scenarioData.id)
+          .eq('user_id', userId)
+          .select()
+      } else {
+        // Create new scenario
+        query = await supabase
+          .from('atar_scenarios')
+          .insert([scenarioRecord])
+          .select()
+      }
+
+      const { data, error } = query
+
+      if (error) {
+        console.error('Error saving ATAR scenario:', error)
+        return { success: false, error: error.message }
+      }
+
+      return { success: true, data: data[0] }
+    } catch (error) {
+      console.error('Error in saveScenario:', error)
+      return { success: false, error: error.message }
+    }
+  }
+
+  // Get user's scenarios, oldest first so comparison columns stay in order
+  static async getUserScenarios(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('atar_scenarios')
+        .select('*')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true })
+
+      if (error) {
+        console.error('Error fetching ATAR scenarios:', error)
+        return { success: false, error: error.message, data: [] }
+      }
+
+      return { success: true, data: data || [] }
+    } catch (error) {
+      console.error('Error in getUserScenarios:', error)
+      return { success: false, error: error.message, data: [] }
+    }
+  }
+
+  // Delete scenario
+  static async deleteScenario(scenarioId, userId) {
+    try {
+      const { error } = await supabase
+        .from('atar_scenarios')
+        .delete()
+        .eq('id', scenarioId)
+        .eq('user_id', userId)
+
+      if (error) {
+        console.error('Error deleting ATAR scenario:', error)
+        return { success: false, error: error.message }
+      }
+
+      return { success: true }
+    } catch (error) {
+      console.error('Error in deleteScenario:', error)
+      return { success: false, error: error.message }
+    }
+  }
+}
@@ -0,0 +1,363 @@
+// Deterministic ATS resume analysis - keyword coverage against a pasted job
+// or course description, plus the formatting problems that trip up applicant
+// tracking systems. No network or AI involved: the same resume and
+// description always produce the same score.
+//
+// The result has the same shape as geminiAIService.analyzeResumeForATS
+// (score, strengths, weaknesses, keywordSuggestions, recommendations,
+// formattingTips) so either can be shown by the resume builder.
+
+const STOPWORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'been', 'before', 'being', 'both', 'but', 'by', 'can', 'could', 'did', 'do', 'does', 'doing',
+  'down', 'during', 'each', 'etc', 'few', 'for', 'from', 'further', 'had', 'has', 'have', 'having', 'he',
+  'her', 'here', 'him', 'his', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'may', 'me',
+  'more', 'most', 'must', 'my', 'no', 'nor', 'not', 'of', 'off', 'on', 'once', 'only', 'or', 'other',
+  'our', 'out', 'over', 'own', 'per', 'same', 'she', 'should', 'so', 'some', 'such', 'than', 'that',
+  'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too',
+  'under', 'until', 'up', 'us', 'very', 'via', 'was', 'we', 'were', 'what', 'when', 'where', 'which',
+  'while', 'who', 'whom', 'why', 'will', 'with', 'within', 'would', 'you', 'your', 'yours',
+  // Job and course ad filler that says nothing about the role
+  'ability', 'able', 'across', 'applicant', 'applicants', 'apply', 'based', 'build', 'candidate',
+  'candidates', 'company', 'day', 'ensure', 'help', 'make', 'multiple', 'provide', 'use', 'various',
+  'demonstrated', 'desirable', 'environment', 'essential', 'excellent', 'experience', 'experienced',
+  'good', 'great', 'high', 'ideal', 'including', 'join', 'key', 'knowledge', 'like', 'looking', 'new',
+  'offer', 'opportunity', 'plus', 'position', 'preferred', 'proven', 'related', 'required',
+  'requirement', 'requirements', 'responsibilities', 'responsible', 'role', 'seeking', 'skill',
+  'skills', 'strong', 'successful', 'understanding', 'using', 'well', 'work', 'working', 'year', 'years'
+])
+
+// Two-word terms worth matching as a unit even when they appear only once
+const KNOWN_PHRASES = new Set([
+  'business analysis', 'critical thinking', 'customer service', 'data analysis', 'data science',
+  'digital marketing', 'financial analysis', 'machine learning', 'problem solving', 'project management',
+  'public health', 'social media', 'software development', 'software engineering', 'supply chain',
+  'time management', 'user experience', 'web development'
+])
+
+const SEVERITY_PENALTY = { high: 10, medium: 5, low: 2 }
+
+const WEIGHTS = { keywords: 50, sections: 25, formatting: 25 }
+
+// Core sections an ATS looks for, and what each is worth out of WEIGHTS.sections
+const SECTION_CHECKS = [
+  { key: 'contact', label: 'Contact details', weight: 5 },
+  { key: 'summary', label: 'Professional summary', weight: 4 },
+  { key: 'experience', label: 'Experience, projects or activities', weight: 6 },
+  { key: 'education', label: 'Education', weight: 5 },
+  { key: 'skills', label: 'Skills', weight: 5 }
+]
+
+// Headings recognised in plain-text resumes
+const HEADING_PATTERNS = {
+  summary: /^\s*(professional\s+)?(summary|profile|objective|about me)\s*:?\s*$/im,
+  experience: /^\s*(work\s+|professional\s+|relevant\s+)?(experience|employment(\s+history)?|projects|volunteering|activities)\s*:?\s*$/im,
+  education: /^\s*(education|qualifications|academic\s+background)\s*:?\s*$/im,
+  skills: /^\s*(key\s+|technical\s+)?(skills|competencies|expertise)\s*:?\s*$/im
+}
+
+const EMAIL_PATTERN = /[^\s@]+@[^\s@]+\.[^\s@]+/
+const PHONE_PATTERN = /\+?\d[\d\s()-]{7,}\d/
+const YEAR_PATTERN = /\b(19|20)\d{2}\b/
+const IMAGE_FILE_PATTERN = /\.(png|jpe?g|gif|webp|bmp|heic)$/i
+const EMOJI_PATTERN = /[☀-➿]|[\u{1F300}-\u{1FAFF}]/u
+
+// Light suffix stripping so "managed", "manages" and "managing" match
+const stem = (word) => {
+  if (word.length > 5 && word.endsWith('ing')) return word.slice(0, -3)
+  if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`
+  if (word.length > 4 && word.endsWith('ed')) return word.slice(0, -2)
+  if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1)
+  return word
+}
+
+// Word tokens per clause; keeps things like c++, c#, node.js
+const tokenizeClauses = (text) => (text || '')
+  .toLowerCase()
+  .split(/[\n\r,;:!?()[\]{}"•|/]+|\.(?=\s|$)/)
+  .map(clause => clause.match(/[a-z0-9][a-z0-9+#.]*[a-z0-9+#]|[a-z]/g) || [])
+  .filter(tokens => tokens.length > 0)
+
+const isContentWord = (token) => token.length > 1 && !STOPWORDS.has(token) && !/^\d+$/.test(token)
+
+/**
+ * Keywords from a job or course description, most important first.
+ * Repeated two-word terms (and KNOWN_PHRASES) count as one keyword, weighted
+ * double; ties keep the order terms first appear in the description.
+ * Returns [{ term, weight, stems }].
+ */
+export const extractKeywords = (description, { limit = 20 } = {}) => {
+  const terms = new Map()
+  let position = 0
+
+  const count = (term, stems, weight) => {
+    const key = stems.join(' ')
+    const existing = terms.get(key)
+    if (existing) {
+      existing.count += 1
+    } else {
+      terms.set(key, { term, stems, count: 1, weight, first: position++ })
+    }
+  }
+
+  tokenizeClauses(description).forEach(tokens => {
+    tokens.forEach((token, index) => {
+      if (!isContentWord(token)) return
+      count(token, [stem(token)], 1)
+
+      const next = tokens[index + 1]
+      if (next && isContentWord(next)) count(`${token} ${next}`, [stem(token), stem(next)], 2)
+    })
+  })
+
+  const phrases = [...terms.values()].filter(term => term.stems.length === 2 && (term.count > 1 || KNOWN_PHRASES.has(term.term)))
+  // A word that only ever appears inside a kept phrase isn't a keyword by itself
+  const phraseCounts = new Map()
+  phrases.forEach(phrase => phrase.stems.forEach(s => phraseCounts.set(s, (phraseCounts.get(s) || 0) + phrase.count)))
+  const words = [...terms.values()].filter(term => term.stems.length === 1 && term.count > (phraseCounts.get(term.stems[0]) || 0))
+
+  return [...phrases, ...words]
+    .map(term => ({ term: term.term, stems: term.stems, weight: term.count * term.weight, first: term.first }))
+    .sort((a, b) => b.weight - a.weight || a.first - b.first)
+    .slice(0, limit)
+    .map(({ term, weight, stems }) => ({ term, weight, stems }))
+}
+
+// Every stem and adjacent stem pair in a text, for keyword lookups
+const indexText = (text) => {
+  const index = new Set()
+  tokenizeClauses(text).forEach(tokens => {
+    const stems = tokens.map(stem)
+    stems.forEach((s, i) => {
+      index.add(s)
+      if (stems[i + 1]) index.add(`${s} ${stems[i + 1]}`)
+    })
+  })
+  return index
+}
+
+/**
+ * Which keywords the resume text contains. coverage is the matched share of
+ * total keyword weight, 0-1.
+ */
+export const keywordCoverage = (keywords, resumeText) => {
+  const index = indexText(resumeText)
+  const matched = keywords.filter(keyword => index.has(keyword.stems.join(' ')))
+  const missing = keywords.filter(keyword => !matched.includes(keyword))
+  const total = keywords.reduce((sum, keyword) => sum + keyword.weight, 0)
+  const covered = matched.reduce((sum, keyword) => sum + keyword.weight, 0)
+
+  return {
+    matched: matched.map(keyword => keyword.term),
+    missing: missing.map(keyword => keyword.term),
+    coverage: total > 0 ? covered / total : 0
+  }
+}
+
+const join = (...parts) => parts.filter(Boolean).join('\n')
+
+/**
+ * Normalise a ResumeBuilder form or pasted plain text into
+ * { text, sections: { key: text }, entries, file, template }.
+ * entries are dated items (experience, education) - null for plain text.
+ */
+export const readResume = (resume) => {
+  if (typeof resume === 'string') {
+    const hasContact = EMAIL_PATTERN.test(resume) || PHONE_PATTERN.test(resume)
+    return {
+      text: resume,
+      sections: {
+        contact: hasContact ? resume : '',
+        ...Object.fromEntries(Object.entries(HEADING_PATTERNS).map(([key, pattern]) => [key, pattern.test(resume) ? resume : '']))
+      },
+      entries: null,
+      file: null,
+      template: null
+    }
+  }
+
+  const info = resume.personalInfo || {}
+  const experience = resume.experience || []
+  const education = resume.education || []
+  const projects = resume.projects || []
+  const activities = resume.activities || []
+  const awards = resume.awards || []
+
+  const sections = {
+    contact: join(info.fullName, info.email, info.phone, info.city, info.country, info.linkedinUrl),
+    summary: info.professionalSummary || '',
+    experience: join(
+      ...experience.map(item => join(item.jobTitle, item.companyName, item.description, item.achievements)),
+      ...projects.map(item => join(item.projectName, item.description, item.technologiesUsed)),
+      ...activities.map(item => join(item.activityName, item.role, item.organization, item.description))
+    ),
+    education: join(...education.map(item => join(item.degreeType, item.fieldOfStudy, item.institutionName, item.achievements, item.description))),
+    skills: Object.values(resume.skills || {}).flat().join(', '),
+    awards: join(...awards.map(item => join(item.awardName, item.issuingOrganization, item.description)))
+  }
+
+  return {
+    text: join(...Object.values(sections)),
+    sections,
+    entries: [
+      ...experience.map(item => ({ label: [item.jobTitle, item.companyName].filter(Boolean).join(' at ') || 'Work experience entry', ...item })),
+      ...education.map(item => ({ label: [item.degreeType, item.institutionName].filter(Boolean).join(', ') || 'Education entry', ...item }))
+    ],
+    file: resume.setup?.uploadedFile
+      ? { name: resume.setup.uploadedFile.name, type: resume.setup.uploadedFile.type }
+      : resume.setup?.uploadedFileName ? { name: resume.setup.uploadedFileName, type: '' } : null,
+    template: resume.setup?.template || null
+  }
+}
+
+/**
+ * Formatting risks: [{ id, severity: 'high'|'medium'|'low', message, tip }]
+ */
+export const checkFormatting = (doc) => {
+  const risks = []
+  const lines = doc.text.split('\n')
+
+  if (lines.some(line => (line.match(/\|/g) || []).length >= 2 || (line.match(/\t/g) || []).length >= 2)) {
+    risks.push({
+      id: 'tables',
+      severity: 'high',
+      message: 'Content appears to be laid out in a table or columns',
+      tip: 'Replace tables and column layouts with plain lines; ATS often read cells out of order.'
+    })
+  }
+
+  if ((doc.file && (doc.file.type.startsWith('image/') || IMAGE_FILE_PATTERN.test(doc.file.name))) || /data:image\/|!\[[^\]]*\]\(/.test(doc.text)) {
+    risks.push({
+      id: 'images',
+      severity: 'high',
+      message: 'Resume content is in an image',
+      tip: 'Submit a text-based PDF or Word file; text inside images cannot be read by an ATS.'
+    })
+  }
+
+  if (doc.template === 'creative') {
+    risks.push({
+      id: 'template',
+      severity: 'medium',
+      message: 'The Creative Portfolio template uses graphics and columns',
+      tip: 'Use the ATS Optimized or Classic template when applying through an online portal.'
+    })
+  }
+
+  if (doc.entries) {
+    const undated = doc.entries.filter(entry => !entry.startDate || (!entry.endDate && !entry.isCurrent))
+    if (undated.length > 0) {
+      risks.push({
+        id: 'missing_dates',
+        severity: 'medium',
+        message: `Missing dates: ${undated.map(entry => entry.label).join('; ')}`,
+        tip: 'Give every job and qualification a start date and an end date (or mark it current).'
+      })
+    }
+  } else if (doc.sections.experience && !YEAR_PATTERN.test(doc.text)) {
+    risks.push({
+      id: 'missing_dates',
+      severity: 'medium',
+      message: 'No dates found for experience or education',
+      tip: 'Add month and year ranges to each job and qualification.'
+    })
+  }
+
+  if (!EMAIL_PATTERN.test(doc.sections.contact) || !PHONE_PATTERN.test(doc.sections.contact)) {
+    risks.push({
+      id: 'contact',
+      severity: 'high',
+      message: 'Email address or phone number is missing',
+      tip: 'Put your email and phone number as plain text at the top, not in a header or footer.'
+    })
+  }
+
+  if (EMOJI_PATTERN.test(doc.text)) {
+    risks.push({
+      id: 'symbols',
+      severity: 'low',
+      message: 'Emoji or decorative symbols in the text',
+      tip: 'Use plain hyphens or standard bullets; symbols can turn into garbled characters.'
+    })
+  }
+
+  if (doc.text.split(/\n/).some(paragraph => paragraph.split(/\s+/).length > 120)) {
+    risks.push({
+      id: 'long_paragraphs',
+      severity: 'low',
+      message: 'Some paragraphs are very long',
+      tip: 'Break long descriptions into short bullet points that start with an action verb.'
+    })
+  }
+
+  return risks
+}
+
+/**
+ * Analyse a resume (ResumeBuilder form data or plain text) against an
+ * optional job or course description. Without a description the target role
+ * is used for keywords; with neither, the score covers structure and
+ * formatting only.
+ */
+export const analyzeResume = (resume, { description = '', targetRole = '' } = {}) => {
+  const doc = readResume(resume)
+  const keywords = extractKeywords(description.trim() ? description : targetRole)
+  const coverage = keywordCoverage(keywords, doc.text)
+  const risks = checkFormatting(doc)
+
+  const sectionResults = SECTION_CHECKS.map(check => ({ ...check, present: Boolean(doc.sections[check.key]?.trim()) }))
+  const sectionScore = sectionResults.reduce((sum, check) => sum + (check.present ? check.weight : 0), 0)
+  const formattingScore = Math.max(0, WEIGHTS.formatting - risks.reduce((sum, risk) => sum + SEVERITY_PENALTY[risk.severity], 0))
+  const keywordScore = keywords.length > 0 ? coverage.coverage * WEIGHTS.keywords : null
+
+  const score = keywordScore === null
+    ? Math.round((sectionScore + formattingScore) / (WEIGHTS.sections + WEIGHTS.formatting) * 100)
+    : Math.round(keywordScore + sectionScore + formattingScore)
+
+  const missingSections = sectionResults.filter(check => !check.present)
+  const strengths = []
+  const weaknesses = []
+  const recommendations = []
+
+  if (keywords.length > 0) {
+    const summary = `Matches ${coverage.matched.length} of ${keywords.length} keywords from the ${description.trim() ? 'description' : 'target role'}`
+    if (coverage.coverage >= 0.6) strengths.push(summary)
+    else weaknesses.push(summary)
+
+    if (coverage.missing.length > 0) {
+      recommendations.push(`Work these terms into your summary, skills or experience where they are true for you: ${coverage.missing.slice(0, 8).join(', ')}`)
+    }
+  } else {
+    recommendations.push('Paste the job or course description to check keyword coverage.')
+  }
+
+  if (missingSections.length === 0) strengths.push('Includes all the core sections an ATS looks for')
+  missingSections.forEach(check => {
+    weaknesses.push(`${check.label} section is missing or empty`)
+    recommendations.push(`Add a "${check.label}" section under a standard heading.`)
+  })
+
+  if (risks.length === 0) strengths.push('No formatting risks found')
+  risks.filter(risk => risk.severity === 'high').forEach(risk => weaknesses.push(risk.message))
+
+  if (doc.sections.experience && !/\d/.test(doc.sections.experience)) {
+    recommendations.push('Quantify achievements with numbers, such as team size, results or time saved.')
+  }
+
+  return {
+    engine: 'local',
+    score,
+    breakdown: {
+      keywords: keywordScore === null ? null : Math.round(keywordScore),
+      sections: sectionScore,
+      formatting: formattingScore
+    },
+    keywords: coverage,
+    risks,
+    strengths,
+    weaknesses,
+    keywordSuggestions: coverage.missing,
+    recommendations,
+    formattingTips: risks.map(risk => risk.tip)
+  }
+}
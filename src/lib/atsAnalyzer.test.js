@@ -0,0 +1,127 @@
+import { describe, expect, it } from 'vitest'
+import { analyzeResume, checkFormatting, extractKeywords, keywordCoverage, readResume } from './atsAnalyzer.js'
+
+const PLAIN_RESUME = `Jane Doe
+jane.doe@example.com | +61 400 123 456
+
+Summary
+Analyst who managed reporting for a retail team.
+
+Work Experience
+Data Analyst, Acme Retail, 2021 - 2024
+Managed weekly sales dashboards in Python and SQL for 12 stores.
+
+Education
+Bachelor of Commerce, University of Sydney, 2020
+
+Skills
+Python, SQL, Tableau, stakeholder communication`
+
+const formResume = (overrides = {}) => ({
+  setup: { template: 'ats' },
+  personalInfo: {
+    fullName: 'Jane Doe',
+    email: 'jane.doe@example.com',
+    phone: '+61 400 123 456',
+    professionalSummary: 'Analyst focused on data analysis and reporting.'
+  },
+  experience: [{ jobTitle: 'Data Analyst', companyName: 'Acme', description: 'Built 5 dashboards', startDate: '2021-02', isCurrent: true }],
+  education: [{ degreeType: 'Bachelor of Commerce', institutionName: 'University of Sydney', startDate: '2017-02', endDate: '2020-11' }],
+  skills: { technical: ['Python', 'SQL'] },
+  ...overrides
+})
+
+describe('extractKeywords', () => {
+  it('weights repeated two-word terms above single words and drops filler', () => {
+    const keywords = extractKeywords('We are looking for strong data analysis skills. Data analysis in Python is essential; Python and SQL required.')
+
+    expect(keywords.map(keyword => keyword.term)).toEqual(['data analysis', 'python', 'sql'])
+    expect(keywords[0].weight).toBe(4)
+  })
+
+  it('keeps known phrases that appear once', () => {
+    expect(extractKeywords('Background in machine learning.').map(keyword => keyword.term)).toContain('machine learning')
+  })
+})
+
+describe('keywordCoverage', () => {
+  it('matches across word endings and weighs coverage by keyword weight', () => {
+    const keywords = [
+      { term: 'managing', weight: 3, stems: ['manag'] },
+      { term: 'tableau', weight: 1, stems: ['tableau'] }
+    ]
+
+    expect(keywordCoverage(keywords, 'Managed a team of four')).toEqual({
+      matched: ['managing'],
+      missing: ['tableau'],
+      coverage: 0.75
+    })
+  })
+
+  it('only matches a phrase when its words are adjacent in one clause', () => {
+    const keywords = extractKeywords('project management, project management')
+
+    expect(keywordCoverage(keywords, 'Led project management for a launch').coverage).toBe(1)
+    expect(keywordCoverage(keywords, 'Project lead. Management of a team').coverage).toBe(0)
+  })
+})
+
+describe('readResume', () => {
+  it('finds sections in plain text by their headings', () => {
+    const doc = readResume(PLAIN_RESUME)
+
+    Object.entries(doc.sections).forEach(([key, text]) => expect(text, key).not.toBe(''))
+    expect(readResume('Jane Doe\nExperienced in retail').sections).toMatchObject({ contact: '', experience: '', skills: '' })
+  })
+
+  it('splits builder forms into sections and dated entries', () => {
+    const doc = readResume(formResume())
+
+    expect(doc.sections.skills).toBe('Python, SQL')
+    expect(doc.entries.map(entry => entry.label)).toEqual(['Data Analyst at Acme', 'Bachelor of Commerce, University of Sydney'])
+    expect(doc.template).toBe('ats')
+  })
+})
+
+describe('checkFormatting', () => {
+  it('flags table layouts, undated entries and missing contact details', () => {
+    const risks = checkFormatting(readResume(formResume({
+      personalInfo: { fullName: 'Jane Doe', email: 'jane.doe@example.com', professionalSummary: 'Python | SQL | Tableau' },
+      experience: [{ jobTitle: 'Intern', companyName: 'Acme', startDate: '2023-01' }]
+    })))
+
+    expect(risks.map(risk => risk.id)).toEqual(['tables', 'missing_dates', 'contact'])
+    expect(risks[1].message).toBe('Missing dates: Intern at Acme')
+  })
+
+  it('passes a clean builder resume', () => {
+    expect(checkFormatting(readResume(formResume()))).toEqual([])
+  })
+})
+
+describe('analyzeResume', () => {
+  it('scores keywords, sections and formatting out of 50, 25 and 25', () => {
+    const result = analyzeResume(formResume(), { description: 'Python, SQL and Tableau' })
+
+    expect(result.keywords).toEqual({ matched: ['python', 'sql'], missing: ['tableau'], coverage: 2 / 3 })
+    expect(result.breakdown).toEqual({ keywords: 33, sections: 25, formatting: 25 })
+    expect(result.score).toBe(Math.round((2 / 3) * 50 + 25 + 25))
+  })
+
+  it('scales structure and formatting to 100 when there is nothing to match against', () => {
+    const result = analyzeResume(formResume({ personalInfo: { fullName: 'Jane Doe', email: 'jane.doe@example.com', phone: '0400 123 456' } }))
+
+    // No summary (-4 of 25), no formatting risks
+    expect(result.breakdown).toEqual({ keywords: null, sections: 21, formatting: 25 })
+    expect(result.score).toBe(Math.round(46 / 50 * 100))
+    expect(result.weaknesses).toContain('Professional summary section is missing or empty')
+    expect(result.recommendations[0]).toBe('Paste the job or course description to check keyword coverage.')
+  })
+
+  it('takes keywords from the target role without a description', () => {
+    const result = analyzeResume(PLAIN_RESUME, { targetRole: 'Data Analyst, Tableau developer' })
+
+    expect(result.keywords).toEqual({ matched: ['data', 'analyst', 'tableau'], missing: ['developer'], coverage: 0.75 })
+    expect(result.strengths[0]).toBe('Matches 3 of 4 keywords from the target role')
+  })
+})
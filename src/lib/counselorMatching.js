@@ -0,0 +1,305 @@
+// Weighted counselor matching.
+// Pure scoring used by CounselorService.findMatchingCounselors: every factor
+// yields a 0-1 score plus a sentence explaining it, so the UI can show
+// "why this counselor" next to the overall match percentage.
+
+export const MATCH_WEIGHTS = {
+  specialization: 0.3,
+  location: 0.2,
+  languages: 0.1,
+  credentials: 0.1,
+  ratings: 0.15,
+  caseload: 0.1,
+  price: 0.05
+}
+
+export const MATCH_FACTOR_LABELS = {
+  specialization: 'Specialization',
+  location: 'Location',
+  languages: 'Languages',
+  credentials: 'Verified credentials',
+  ratings: 'Student reviews',
+  caseload: 'Availability',
+  price: 'Price'
+}
+
+// Used when a counselor has not set their own student limit
+export const DEFAULT_CASELOAD_CAPACITY = 25
+
+// Counseling budget implied by the onboarding tuition budget (AUD per hour)
+const BUDGET_HOURLY_RATES = {
+  'under-20k': 100,
+  '20k-40k': 150,
+  '40k-60k': 200,
+  'over-60k': null
+}
+
+const COUNTRY_ALIASES = {
+  usa: 'united states',
+  us: 'united states',
+  'united states of america': 'united states',
+  uk: 'united kingdom',
+  'great britain': 'united kingdom',
+  england: 'united kingdom'
+}
+
+// Ratings are pulled towards this mean until a counselor has enough reviews
+const RATING_PRIOR = { mean: 4, weight: 5 }
+
+const normalize = (value) => String(value || '').trim().toLowerCase()
+
+const normalizeCountry = (value) => {
+  const country = normalize(value)
+  return COUNTRY_ALIASES[country] || country
+}
+
+const toList = (value) => {
+  if (!value) return []
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean)
+}
+
+const unique = (values) => [...new Set(values.filter(Boolean))]
+
+// Significant words, so 'Computer Science' matches 'Computer Science & IT Admissions'
+const STOP_WORDS = ['and', 'of', 'the', 'for', 'in', '&']
+const tokenize = (value) => normalize(value)
+  .split(/[^a-z0-9]+/)
+  .filter(word => word.length > 2 && !STOP_WORDS.includes(word))
+
+const termsOverlap = (a, b) => {
+  const left = normalize(a)
+  const right = normalize(b)
+  if (left.includes(right) || right.includes(left)) return true
+  const rightTokens = tokenize(b)
+  return tokenize(a).some(token => rightTokens.some(other => other.startsWith(token) || token.startsWith(other)))
+}
+
+/**
+ * Combine the stored student profile (users/students row or student_data) with
+ * onboarding answers into the fields the scorer needs.
+ */
+export const buildMatchProfile = (studentProfile = {}, onboarding = {}) => {
+  const profile = studentProfile || {}
+  const answers = onboarding || {}
+
+  const interests = unique([
+    ...toList(profile.field_of_study),
+    ...toList(profile.intended_field_of_study),
+    ...toList(profile.interests),
+    ...toList(profile.services_needed),
+    ...toList(answers.coursesOfInterest),
+    answers.scholarshipInterest ? 'Scholarship' : null
+  ])
+
+  const targetCountries = unique([
+    ...toList(profile.target_country),
+    ...toList(profile.preferred_countries),
+    ...toList(answers.studyCountries)
+  ].map(normalizeCountry))
+
+  const homeLocations = unique([
+    profile.country,
+    profile.nationality,
+    profile.state,
+    profile.city,
+    ...toList(profile.location)
+  ].map(normalizeCountry))
+
+  const languages = unique([
+    ...toList(profile.languages),
+    ...toList(profile.languages_spoken),
+    ...toList(profile.preferred_language)
+  ].map(normalize))
+
+  const budgetRate = Object.prototype.hasOwnProperty.call(BUDGET_HOURLY_RATES, answers.budgetRange)
+    ? BUDGET_HOURLY_RATES[answers.budgetRange]
+    : null
+
+  return {
+    interests,
+    targetCountries,
+    homeLocations,
+    languages,
+    maxHourlyRate: Number(profile.max_hourly_rate) || budgetRate
+  }
+}
+
+const factor = (key, score, explanation, applicable = true) => ({
+  key,
+  label: MATCH_FACTOR_LABELS[key],
+  weight: MATCH_WEIGHTS[key],
+  score: Math.max(0, Math.min(1, score)),
+  explanation,
+  applicable
+})
+
+const scoreSpecialization = (counselor, profile) => {
+  const specializations = toList(counselor.specializations)
+  if (profile.interests.length === 0) {
+    return factor('specialization', 0.5, 'Add your field of study to match on specialization.', false)
+  }
+
+  const matched = profile.interests.filter(interest =>
+    specializations.some(specialization => termsOverlap(interest, specialization))
+  )
+  if (matched.length === 0) {
+    return factor('specialization', 0, `Does not list ${profile.interests.join(', ')} among their specializations.`)
+  }
+  return factor(
+    'specialization',
+    matched.length / profile.interests.length,
+    `Specializes in ${matched.join(', ')}.`
+  )
+}
+
+const scoreLocation = (counselor, profile) => {
+  const coverage = counselor.coverage || counselor.counselor_coverage || []
+  const coveredCountries = unique([
+    ...coverage.map(area => normalizeCountry(area.country)),
+    ...toList(counselor.location).map(normalizeCountry)
+  ])
+  const coveredPlaces = unique(coverage.flatMap(area => [area.state_province, area.city]).map(normalize))
+
+  if (profile.targetCountries.length === 0 && profile.homeLocations.length === 0) {
+    return factor('location', 0.5, 'Add your target countries to match on location.', false)
+  }
+
+  const targetMatches = profile.targetCountries.filter(country => coveredCountries.includes(country))
+  if (targetMatches.length > 0) {
+    const display = coverage.find(area => targetMatches.includes(normalizeCountry(area.country)))?.country || targetMatches[0]
+    return factor('location', 1, `Covers ${display}, where you plan to study.`)
+  }
+
+  const localMatch = profile.homeLocations.find(place => coveredCountries.includes(place) || coveredPlaces.includes(place))
+  if (localMatch) {
+    return factor('location', 0.6, 'Based in your region.')
+  }
+
+  return factor('location', 0, 'Does not cover your target countries.')
+}
+
+const scoreLanguages = (counselor, profile) => {
+  if (profile.languages.length === 0) {
+    return factor('languages', 0.5, 'Add your preferred languages to match on language.', false)
+  }
+
+  const shared = toList(counselor.languages_spoken || counselor.languages)
+    .filter(language => profile.languages.includes(normalize(language)))
+  if (shared.length === 0) {
+    return factor('languages', 0, 'Does not list a language you speak.')
+  }
+  return factor('languages', 1, `Speaks ${shared.join(', ')}.`)
+}
+
+const scoreCredentials = (counselor) => {
+  const credentials = counselor.credentials || counselor.counselor_credentials || []
+  const verified = credentials.filter(credential => credential.verification_status === 'verified')
+  if (verified.length === 0) {
+    return factor('credentials', 0, credentials.length > 0 ? 'Credentials are awaiting verification.' : 'No verified credentials yet.')
+  }
+  const names = verified.map(credential => credential.credential_name || credential.credential_type).filter(Boolean)
+  return factor(
+    'credentials',
+    verified.length >= 2 ? 1 : 0.6,
+    `${verified.length} verified credential${verified.length === 1 ? '' : 's'}${names.length ? ` (${names.slice(0, 2).join(', ')})` : ''}.`
+  )
+}
+
+const scoreRatings = (counselor) => {
+  const reviews = counselor.reviews || counselor.counselor_reviews || []
+  const ratings = reviews.map(review => Number(review.overall_rating)).filter(rating => rating > 0)
+  const count = ratings.length || Number(counselor.total_reviews) || 0
+  const sum = ratings.length
+    ? ratings.reduce((total, rating) => total + rating, 0)
+    : (Number(counselor.average_rating) || 0) * count
+
+  if (count === 0) {
+    return factor('ratings', 0.5, 'No reviews yet.')
+  }
+
+  const adjusted = (sum + RATING_PRIOR.mean * RATING_PRIOR.weight) / (count + RATING_PRIOR.weight)
+  return factor(
+    'ratings',
+    (adjusted - 1) / 4,
+    `Rated ${(sum / count).toFixed(1)}/5 across ${count} review${count === 1 ? '' : 's'}.`
+  )
+}
+
+const scoreCaseload = (counselor, activeStudents) => {
+  const capacity = Number(counselor.max_students) || DEFAULT_CASELOAD_CAPACITY
+  const active = Number(activeStudents) || 0
+  const remaining = capacity - active
+
+  if (remaining <= 0) {
+    return factor('caseload', 0, 'Currently at full capacity - you may be waitlisted.')
+  }
+  return factor(
+    'caseload',
+    remaining / capacity,
+    remaining / capacity >= 0.5 ? 'Has plenty of room for new students.' : `Only ${remaining} place${remaining === 1 ? '' : 's'} left.`
+  )
+}
+
+const scorePrice = (counselor, profile) => {
+  const rate = Number(counselor.hourly_rate)
+  if (!profile.maxHourlyRate || !rate) {
+    return factor('price', 0.5, 'Set a budget to match on price.', false)
+  }
+  if (rate <= profile.maxHourlyRate) {
+    return factor('price', 1, `$${rate}/hour fits your budget.`)
+  }
+  return factor(
+    'price',
+    1 - (rate - profile.maxHourlyRate) / profile.maxHourlyRate,
+    `$${rate}/hour is above your $${profile.maxHourlyRate}/hour budget.`
+  )
+}
+
+/**
+ * Score one counselor. Factors the student has not given data for are left
+ * out and the remaining weights re-normalised, so sparse profiles are not penalised.
+ */
+export const scoreCounselor = (counselor, profile, { activeStudents = 0 } = {}) => {
+  const factors = [
+    scoreSpecialization(counselor, profile),
+    scoreLocation(counselor, profile),
+    scoreLanguages(counselor, profile),
+    scoreCredentials(counselor),
+    scoreRatings(counselor),
+    scoreCaseload(counselor, activeStudents),
+    scorePrice(counselor, profile)
+  ]
+
+  const applicable = factors.filter(item => item.applicable)
+  const totalWeight = applicable.reduce((total, item) => total + item.weight, 0)
+  const score = totalWeight > 0
+    ? applicable.reduce((total, item) => total + item.score * item.weight, 0) / totalWeight
+    : 0
+
+  return {
+    matchScore: Math.round(score * 100) / 100,
+    matchFactors: factors,
+    // Strongest applicable factors first, as short "why this counselor" lines
+    matchReasons: applicable
+      .filter(item => item.score >= 0.6)
+      .sort((a, b) => b.score * b.weight - a.score * a.weight)
+      .map(item => item.explanation)
+  }
+}
+
+/**
+ * Rank counselors for a profile. caseloads maps counselor id to active student count.
+ */
+export const rankCounselors = (counselors, profile, { caseloads = {}, minScore = 0, limit } = {}) => {
+  const ranked = counselors
+    .map(counselor => ({
+      ...counselor,
+      ...scoreCounselor(counselor, profile, { activeStudents: caseloads[counselor.id] })
+    }))
+    .filter(counselor => counselor.matchScore >= minScore)
+    .sort((a, b) => b.matchScore - a.matchScore || (b.average_rating || 0) - (a.average_rating || 0))
+
+  return limit ? ranked.slice(0, limit) : ranked
+}
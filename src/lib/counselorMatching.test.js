@@ -0,0 +1,89 @@
+import { describe, expect, it } from 'vitest'
+import { buildMatchProfile, rankCounselors, scoreCounselor } from './counselorMatching.js'
+
+const profile = buildMatchProfile(
+  { field_of_study: 'Computer Science', languages: 'English' },
+  { studyCountries: ['Australia'], budgetRange: '20k-40k' }
+)
+
+const strong = {
+  id: 1,
+  specializations: 'Computer Science & IT Admissions, Scholarships',
+  coverage: [{ country: 'Australia' }],
+  languages_spoken: 'English, Mandarin',
+  credentials: [
+    { verification_status: 'verified', credential_name: 'QEAC' },
+    { verification_status: 'verified', credential_name: 'MARA' }
+  ],
+  reviews: [{ overall_rating: 5 }, { overall_rating: 5 }, { overall_rating: 4 }],
+  max_students: 10,
+  hourly_rate: 120
+}
+
+const weak = {
+  id: 2,
+  specializations: 'Medicine',
+  location: 'United Kingdom',
+  languages_spoken: 'French',
+  credentials: [{ verification_status: 'pending' }],
+  max_students: 5,
+  hourly_rate: 300
+}
+
+describe('buildMatchProfile', () => {
+  it('merges the stored profile with onboarding answers', () => {
+    expect(buildMatchProfile(
+      { field_of_study: 'Engineering', target_country: 'USA', languages: 'English, Hindi' },
+      { coursesOfInterest: ['Engineering', 'Business'], studyCountries: ['UK'], scholarshipInterest: true, budgetRange: 'under-20k' }
+    )).toEqual({
+      interests: ['Engineering', 'Business', 'Scholarship'],
+      targetCountries: ['united states', 'united kingdom'],
+      homeLocations: [],
+      languages: ['english', 'hindi'],
+      maxHourlyRate: 100
+    })
+  })
+})
+
+describe('scoreCounselor', () => {
+  it('explains each factor and lists the strongest reasons first', () => {
+    const result = scoreCounselor(strong, profile, { activeStudents: 2 })
+
+    expect(result.matchFactors.map(item => item.key)).toEqual(['specialization', 'location', 'languages', 'credentials', 'ratings', 'caseload', 'price'])
+    expect(result.matchReasons[0]).toBe('Specializes in Computer Science.')
+    expect(result.matchReasons).toContain('Covers Australia, where you plan to study.')
+    expect(result.matchScore).toBeGreaterThan(0.8)
+  })
+
+  it('leaves out factors the student has not answered', () => {
+    const sparse = buildMatchProfile({}, {})
+    const result = scoreCounselor({ id: 3 }, sparse)
+    const skipped = result.matchFactors.filter(item => !item.applicable).map(item => item.key)
+
+    expect(skipped).toEqual(['specialization', 'location', 'languages', 'price'])
+    // No credentials (0), no reviews (0.5), empty caseload (1) over weights 0.1, 0.15, 0.1
+    expect(result.matchScore).toBe(Math.round(((0.15 * 0.5 + 0.1) / 0.35) * 100) / 100)
+  })
+
+  it('scores a full caseload as no availability', () => {
+    const caseload = scoreCounselor(weak, profile, { activeStudents: 5 }).matchFactors.find(item => item.key === 'caseload')
+    expect(caseload.score).toBe(0)
+  })
+})
+
+describe('rankCounselors', () => {
+  it('orders by match score, then by rating', () => {
+    const unreviewed = { id: 4, specializations: 'Computer Science', coverage: [{ country: 'Australia' }], average_rating: 3 }
+    const betterRated = { ...unreviewed, id: 5, average_rating: 4.5 }
+
+    const ranked = rankCounselors([weak, unreviewed, strong, betterRated], profile, { caseloads: { 1: 2, 2: 5 } })
+
+    expect(ranked.map(counselor => counselor.id)).toEqual([1, 5, 4, 2])
+    expect(ranked[1].matchScore).toBe(ranked[2].matchScore)
+  })
+
+  it('drops counselors below minScore and applies the limit', () => {
+    expect(rankCounselors([weak, strong], profile, { minScore: 0.5 }).map(counselor => counselor.id)).toEqual([1])
+    expect(rankCounselors([weak, strong], profile, { limit: 1 }).map(counselor => counselor.id)).toEqual([1])
+  })
+})
@@ -0,0 +1,138 @@
+// Counselor document reviews: review states, the sections a document is split
+// into for review, and applying accepted suggestions back to the builder data.
+// Section keys are paths into the builder's formData; array items are
+// addressed by their id ("experience.<id>.description") so reordering or
+// removing other items doesn't move a comment.
+
+export const REVIEW_STATUSES = {
+  requested: { label: 'Review requested', color: 'bg-yellow-100 text-yellow-800' },
+  in_review: { label: 'In review', color: 'bg-blue-100 text-blue-800' },
+  feedback_ready: { label: 'Feedback ready', color: 'bg-purple-100 text-purple-800' },
+  completed: { label: 'Completed', color: 'bg-green-100 text-green-800' }
+}
+
+// A student can only have one of these per document at a time
+export const OPEN_REVIEW_STATUSES = ['requested', 'in_review', 'feedback_ready']
+
+export const DOCUMENT_TYPES = {
+  sop: 'Statement of Purpose',
+  resume: 'Resume'
+}
+
+const SOP_REVIEW_SECTIONS = [
+  { step: 'introduction', label: 'Introduction' },
+  { step: 'academicBackground', label: 'Academic Background' },
+  { step: 'motivation', label: 'Motivation & Interest' },
+  { step: 'futureGoals', label: 'Future Goals' },
+  { step: 'whyUniversity', label: 'Why This University' },
+  { step: 'conclusion', label: 'Conclusion' }
+]
+
+// SOPBuilderProper formData -> [{ key, label, text }]
+export const sopReviewSections = (formData) => SOP_REVIEW_SECTIONS
+  .map(section => ({
+    key: `${section.step}.content`,
+    label: section.label,
+    text: formData[section.step]?.content || ''
+  }))
+  .filter(section => section.text.trim())
+
+// ResumeBuilder formData -> [{ key, label, text }]
+export const resumeReviewSections = (formData) => {
+  const sections = [{
+    key: 'personalInfo.professionalSummary',
+    label: 'Professional Summary',
+    text: formData.personalInfo?.professionalSummary || ''
+  }]
+
+  ;(formData.experience || []).forEach(item => {
+    const name = [item.jobTitle, item.companyName].filter(Boolean).join(' at ') || 'Experience'
+    sections.push({ key: `experience.${item.id}.description`, label: `${name} - Description`, text: item.description || '' })
+    sections.push({ key: `experience.${item.id}.achievements`, label: `${name} - Achievements`, text: item.achievements || '' })
+  })
+  ;(formData.projects || []).forEach(item => {
+    sections.push({ key: `projects.${item.id}.description`, label: item.projectName || 'Project', text: item.description || '' })
+  })
+  ;(formData.activities || []).forEach(item => {
+    sections.push({ key: `activities.${item.id}.description`, label: item.activityName || 'Activity', text: item.description || '' })
+  })
+
+  return sections.filter(section => section.text.trim())
+}
+
+const getItem = (container, segment) => (Array.isArray(container)
+  ? container.find(item => String(item.id) === segment)
+  : container?.[segment])
+
+export const getSectionText = (formData, key) => {
+  const value = key.split('.').reduce((container, segment) => getItem(container, segment), formData)
+  return typeof value === 'string' ? value : ''
+}
+
+// Immutable update of the string at `key`
+export const setSectionText = (formData, key, text) => {
+  const [head, ...rest] = key.split('.')
+  if (rest.length === 0) return { ...formData, [head]: text }
+
+  const container = formData[head]
+  if (Array.isArray(container)) {
+    return {
+      ...formData,
+      [head]: container.map(item => (String(item.id) === rest[0]
+        ? (rest.length === 1 ? text : setSectionText(item, rest.slice(1).join('.'), text))
+        : item))
+    }
+  }
+  return { ...formData, [head]: setSectionText(container || {}, rest.join('.'), text) }
+}
+
+/**
+ * Replace a suggestion's anchored text in the student's current text.
+ * The anchor was taken from the review snapshot, so the text may have moved;
+ * the occurrence nearest the original offset is used.
+ * Returns { applied, text }.
+ */
+export const applySuggestion = (text, suggestion) => {
+  const anchor = suggestion.anchor_text || ''
+  if (!anchor) return { applied: false, text }
+
+  let best = -1
+  for (let index = text.indexOf(anchor); index !== -1; index = text.indexOf(anchor, index + 1)) {
+    if (best === -1 || Math.abs(index - suggestion.anchor_start) < Math.abs(best - suggestion.anchor_start)) {
+      best = index
+    }
+  }
+
+  if (best === -1) return { applied: false, text }
+  return {
+    applied: true,
+    text: text.slice(0, best) + (suggestion.suggested_text || '') + text.slice(best + anchor.length)
+  }
+}
+
+// Split a section's text into plain and anchored segments for highlighting.
+// Overlapping anchors are shown from the earlier one.
+export const segmentByAnchors = (text, comments) => {
+  const anchors = comments
+    .filter(comment => comment.anchor_end > comment.anchor_start)
+    .sort((a, b) => a.anchor_start - b.anchor_start)
+
+  const segments = []
+  let cursor = 0
+  for (const comment of anchors) {
+    if (comment.anchor_start < cursor) continue
+    if (comment.anchor_start > cursor) segments.push({ text: text.slice(cursor, comment.anchor_start) })
+    segments.push({ text: text.slice(comment.anchor_start, comment.anchor_end), comment })
+    cursor = comment.anchor_end
+  }
+  if (cursor < text.length) segments.push({ text: text.slice(cursor) })
+  return segments
+}
+
+export const summarizeComments = (comments = []) => ({
+  comments: comments.filter(comment => comment.kind === 'comment').length,
+  suggestions: comments.filter(comment => comment.kind === 'suggestion').length,
+  pending: comments.filter(comment => comment.kind === 'suggestion' && comment.status === 'open').length,
+  accepted: comments.filter(comment => comment.status === 'accepted').length,
+  rejected: comments.filter(comment => comment.status === 'rejected').length
+})
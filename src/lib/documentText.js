@@ -0,0 +1,202 @@
+// Client-side text extraction for uploaded resumes (PDF, DOCX, TXT).
+// DOCX files are zip archives of WordprocessingML, opened with JSZip; PDFs
+// are read with pdfjs-dist, loaded on first use since it is large. Scanned
+// (image-only) PDFs have no text to extract.
+
+import JSZip from 'jszip'
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+
+// ---------------------------------------------------------------------------
+// DOCX
+
+const childElements = (node, localName) => [...node.children].filter(child => child.localName === localName)
+
+const paragraphText = (paragraph, flags) => {
+  let text = ''
+  const walk = (node) => {
+    for (const child of node.children) {
+      switch (child.localName) {
+        case 'pPr':
+          break
+        case 't':
+          text += child.textContent
+          break
+        case 'tab':
+          text += '\t'
+          break
+        case 'br':
+        case 'cr':
+          text += '\n'
+          break
+        case 'drawing':
+        case 'pict':
+          if (child.getElementsByTagNameNS('*', 'blip').length > 0 || child.getElementsByTagNameNS('*', 'imagedata').length > 0) {
+            flags.hasImages = true
+          }
+          // Text boxes live inside drawings
+          walk(child)
+          break
+        default:
+          walk(child)
+      }
+    }
+  }
+  walk(paragraph)
+
+  const isListItem = childElements(paragraph, 'pPr').some(props => childElements(props, 'numPr').length > 0)
+  return isListItem && text.trim() ? `• ${text}` : text
+}
+
+// Paragraphs become lines; table rows become tab-separated lines
+const blockLines = (node, flags, lines = []) => {
+  for (const child of node.children) {
+    if (child.localName === 'p') {
+      lines.push(paragraphText(child, flags))
+    } else if (child.localName === 'tbl') {
+      flags.hasTables = true
+      childElements(child, 'tr').forEach(row => {
+        lines.push(childElements(row, 'tc').map(cell => blockLines(cell, flags).join(' ').trim()).join('\t'))
+      })
+    } else {
+      blockLines(child, flags, lines)
+    }
+  }
+  return lines
+}
+
+const xmlLines = (xml, flags) => {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml')
+  const root = doc.getElementsByTagNameNS('*', 'body')[0] || doc.documentElement
+  return blockLines(root, flags)
+}
+
+export const extractDocxText = async (buffer) => {
+  let zip
+  try {
+    zip = await JSZip.loadAsync(buffer)
+  } catch {
+    throw new Error('This file is not a valid DOCX document.')
+  }
+  const documentXml = await zip.file('word/document.xml')?.async('string')
+  if (!documentXml) throw new Error('This file is not a valid DOCX document.')
+
+  const flags = { hasTables: false, hasImages: false }
+  // Contact details are often placed in the page header
+  const headerNames = Object.keys(zip.files).filter(name => /^word\/header\d*\.xml$/.test(name)).sort()
+  const headerLines = []
+  for (const name of headerNames) {
+    headerLines.push(...xmlLines(await zip.file(name).async('string'), flags))
+  }
+
+  const lines = [...headerLines, ...xmlLines(documentXml, flags)]
+  return { text: lines.join('\n'), ...flags }
+}
+
+// ---------------------------------------------------------------------------
+// PDF
+
+let pdfjsLoading = null
+
+const loadPdfjs = () => {
+  pdfjsLoading ??= Promise.all([
+    import('pdfjs-dist'),
+    import('pdfjs-dist/build/pdf.worker.min.mjs?url')
+  ]).then(([pdfjs, worker]) => {
+    pdfjs.GlobalWorkerOptions.workerSrc = worker.default
+    return pdfjs
+  })
+  return pdfjsLoading
+}
+
+// Horizontal jump, in points, that reads as a tab stop or column rather
+// than a word gap
+const TAB_GAP = 36
+
+// Text items arrive in content stream order; a change of baseline starts a
+// new line and a gap between items on the same line becomes a space or tab
+const pageText = (items) => {
+  let output = ''
+  let lastY = null
+  let lastEnd = 0
+
+  items.forEach(item => {
+    // pdf.js inserts whitespace-only items for gaps it detects itself
+    if (!item.str.trim()) return
+    const x = item.transform[4]
+    const y = item.transform[5]
+    if (lastY !== null && Math.abs(y - lastY) > Math.max(1, (item.height || 0) / 2)) {
+      output += '\n'
+    } else if (lastY !== null && x - lastEnd > 1 && !/\s$/.test(output) && !/^\s/.test(item.str)) {
+      output += x - lastEnd > TAB_GAP ? '\t' : ' '
+    }
+    output += item.str
+    lastY = y
+    lastEnd = x + item.width
+  })
+
+  return output
+}
+
+export const extractPdfText = async (buffer) => {
+  const pdfjs = await loadPdfjs()
+  const imageOps = new Set([pdfjs.OPS.paintImageXObject, pdfjs.OPS.paintInlineImageXObject, pdfjs.OPS.paintImageMaskXObject])
+
+  let pdf
+  try {
+    pdf = await pdfjs.getDocument({ data: new Uint8Array(buffer) }).promise
+  } catch (error) {
+    if (error?.name === 'PasswordException') throw new Error('This PDF is password protected. Please upload an unprotected copy.')
+    if (error?.name === 'InvalidPDFException') throw new Error('This file is not a valid PDF.')
+    throw error
+  }
+
+  try {
+    const flags = { hasTables: false, hasImages: false }
+    const pageTexts = []
+    for (let number = 1; number <= pdf.numPages; number++) {
+      const page = await pdf.getPage(number)
+      pageTexts.push(pageText((await page.getTextContent()).items))
+      if (!flags.hasImages) {
+        flags.hasImages = (await page.getOperatorList()).fnArray.some(op => imageOps.has(op))
+      }
+      page.cleanup()
+    }
+    return { text: pageTexts.join('\n'), ...flags }
+  } finally {
+    pdf.destroy()
+  }
+}
+
+// ---------------------------------------------------------------------------
+
+/**
+ * Extract plain text from an uploaded resume file.
+ * Returns { text, hasTables, hasImages } - lines separated by '\n', table
+ * cells and tab stops by '\t'.
+ */
+export const extractDocumentText = async (file) => {
+  const name = file.name?.toLowerCase() || ''
+  let result
+
+  if (file.type === 'application/pdf' || name.endsWith('.pdf')) {
+    result = await extractPdfText(await file.arrayBuffer())
+  } else if (file.type === DOCX_TYPE || name.endsWith('.docx')) {
+    result = await extractDocxText(await file.arrayBuffer())
+  } else if (file.type === 'text/plain' || name.endsWith('.txt')) {
+    result = { text: await file.text(), hasTables: false, hasImages: false }
+  } else if (file.type === 'application/msword' || name.endsWith('.doc')) {
+    throw new Error('Older .doc files are not supported. Please save your resume as DOCX or PDF and upload it again.')
+  } else {
+    throw new Error('Unsupported file type. Please upload a PDF, DOCX or TXT file.')
+  }
+
+  const text = result.text
+    .split('\n')
+    .map(line => line.replace(/[ \u00a0]+/g, ' ').replace(/ ?\t ?/g, '\t').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim()
+
+  return { ...result, text }
+}
@@ -0,0 +1,64 @@
+// Local draft store backed by IndexedDB, so builder drafts survive closed
+// tabs, crashes and offline sessions. Records look like:
+// { key, docType, userId, data, updatedAt, baseRevision, dirty }
+// baseRevision is the document_drafts revision the draft was last synced
+// with; dirty is true while it has edits the server hasn't seen.
+
+const DB_NAME = 'studentkonnect-drafts'
+const DB_VERSION = 1
+const STORE = 'drafts'
+const DEVICE_ID_KEY = 'draft_device_id'
+
+let dbPromise = null
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null)
+
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'key' })
+      }
+      request.onsuccess = () => resolve(request.result)
+      // Private browsing and blocked storage: carry on without local drafts
+      request.onerror = () => {
+        console.error('Error opening draft store:', request.error)
+        resolve(null)
+      }
+    })
+  }
+  return dbPromise
+}
+
+const runRequest = async (mode, makeRequest) => {
+  const db = await openDatabase()
+  if (!db) return null
+
+  return new Promise((resolve) => {
+    const request = makeRequest(db.transaction(STORE, mode).objectStore(STORE))
+    request.onsuccess = () => resolve(request.result ?? null)
+    request.onerror = () => {
+      console.error('Draft store error:', request.error)
+      resolve(null)
+    }
+  })
+}
+
+// One draft per builder per user; signed-out drafts are kept under 'guest'
+export const draftKey = (docType, userId) => `${docType}:${userId || 'guest'}`
+
+export const getDraft = (key) => runRequest('readonly', store => store.get(key))
+
+export const putDraft = (record) => runRequest('readwrite', store => store.put(record))
+
+// Stable per-browser id, recorded with synced drafts so a conflict can say
+// which device the other edit came from
+export const getDeviceId = () => {
+  let deviceId = localStorage.getItem(DEVICE_ID_KEY)
+  if (!deviceId) {
+    deviceId = crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`
+    localStorage.setItem(DEVICE_ID_KEY, deviceId)
+  }
+  return deviceId
+}
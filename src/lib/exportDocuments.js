@@ -0,0 +1,237 @@
+// Format-neutral document model for exports. Builder form data is turned
+// into this shape once; templateRenderers.js draws it in each format.
+//
+// { title, header: { name, contact: [] }, sections: [{ id, title, blocks }], footer: [] }
+//
+// Blocks:
+//   { type: 'paragraph', text }
+//   { type: 'field', label, value }
+//   { type: 'list', label, items: [] }
+//   { type: 'entry', title, subtitle, date, paragraphs: [], bullets: [] }
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec']
+
+const DEGREE_LABELS = {
+  'high-school': 'High School Diploma',
+  certificate: 'Certificate',
+  diploma: 'Diploma',
+  associate: 'Associate Degree',
+  bachelor: "Bachelor's Degree",
+  master: "Master's Degree",
+  phd: 'PhD',
+  other: ''
+}
+
+const SKILL_LABELS = {
+  technical: 'Technical',
+  soft: 'Soft Skills',
+  languages: 'Languages',
+  certifications: 'Certifications'
+}
+
+// Date inputs give YYYY-MM-DD; anything else is shown as typed
+export const formatDate = (value) => {
+  const match = /^(\d{4})-(\d{2})/.exec(value || '')
+  return match ? `${MONTH_NAMES[Number(match[2]) - 1]} ${match[1]}` : (value || '')
+}
+
+const dateRange = (start, end, isCurrent, currentLabel = 'Present') => {
+  const to = isCurrent ? currentLabel : formatDate(end)
+  return [formatDate(start), to].filter(Boolean).join(' - ')
+}
+
+const compact = (values, separator) => values.map(value => (value || '').trim()).filter(Boolean).join(separator)
+
+// Blank-line separated paragraphs
+const paragraphs = (text) => (text || '').split(/\n\s*\n/).map(part => part.trim()).filter(Boolean)
+
+// One bullet per line, without any bullet characters the user typed
+const bulletLines = (text) => (text || '')
+  .split('\n')
+  .map(line => line.replace(/^\s*[•●▪*-]\s*/, '').trim())
+  .filter(Boolean)
+
+const section = (id, title, blocks) => (blocks.length > 0 ? [{ id, title, blocks }] : [])
+
+export const buildResumeDocument = (formData) => {
+  const { personalInfo = {}, education = [], experience = [], skills = {}, projects = [], activities = [], awards = [], references } = formData
+
+  const educationBlocks = education.map(edu => {
+    const degree = DEGREE_LABELS[edu.degreeType] ?? edu.degreeType
+    return {
+      type: 'entry',
+      title: compact([degree, edu.fieldOfStudy && (degree ? `in ${edu.fieldOfStudy}` : edu.fieldOfStudy)], ' ') || 'Qualification',
+      subtitle: compact([edu.institutionName, edu.location], ', '),
+      date: dateRange(edu.startDate, edu.endDate, edu.isCurrent),
+      paragraphs: [
+        // Imported values may already be labelled, e.g. "WAM 78"
+        ...(edu.gpa ? [/^[a-z]/i.test(edu.gpa) ? edu.gpa : `GPA: ${edu.gpa}`] : []),
+        ...paragraphs(edu.description)
+      ],
+      bullets: bulletLines(edu.achievements)
+    }
+  })
+
+  const experienceBlocks = experience.map(exp => ({
+    type: 'entry',
+    title: exp.jobTitle || 'Job Title',
+    subtitle: compact([exp.companyName, exp.location], ', '),
+    date: dateRange(exp.startDate, exp.endDate, exp.isCurrent),
+    paragraphs: paragraphs(exp.description),
+    bullets: bulletLines(exp.achievements)
+  }))
+
+  const skillBlocks = Object.entries(skills)
+    .filter(([, list]) => list && list.length > 0)
+    .map(([category, list]) => ({ type: 'list', label: SKILL_LABELS[category] || category, items: list }))
+
+  const projectBlocks = projects.map(project => ({
+    type: 'entry',
+    title: project.projectName || 'Project',
+    subtitle: project.projectUrl || '',
+    date: dateRange(project.startDate, project.endDate, project.isOngoing, 'Ongoing'),
+    paragraphs: [
+      ...paragraphs(project.description),
+      ...(project.technologiesUsed ? [`Technologies: ${project.technologiesUsed}`] : [])
+    ],
+    bullets: []
+  }))
+
+  const activityBlocks = activities.map(activity => ({
+    type: 'entry',
+    title: activity.activityName || 'Activity',
+    subtitle: compact([activity.organization, activity.role], ' - '),
+    date: dateRange(activity.startDate, activity.endDate, activity.isOngoing, 'Ongoing'),
+    paragraphs: paragraphs(activity.description),
+    bullets: []
+  }))
+
+  const awardBlocks = awards.map(award => ({
+    type: 'entry',
+    title: award.awardName || 'Award',
+    subtitle: award.issuingOrganization || '',
+    date: formatDate(award.dateReceived),
+    paragraphs: [
+      ...paragraphs(award.description),
+      ...(award.credentialId ? [`Credential ID: ${award.credentialId}`] : [])
+    ],
+    bullets: []
+  }))
+
+  let referenceBlocks = []
+  if (references?.includeReferences && references.referenceList?.length > 0) {
+    referenceBlocks = references.referenceList.map(ref => ({
+      type: 'entry',
+      title: ref.referenceName || 'Referee',
+      subtitle: compact([ref.jobTitle, ref.company && `${ref.jobTitle ? 'at ' : ''}${ref.company}`], ' '),
+      date: '',
+      paragraphs: [compact([ref.email, ref.phone], ' | ')].filter(Boolean),
+      bullets: []
+    }))
+  } else if (references?.availableOnRequest) {
+    referenceBlocks = [{ type: 'paragraph', text: 'Available upon request' }]
+  }
+
+  return {
+    title: personalInfo.fullName ? `${personalInfo.fullName} - Resume` : 'Resume',
+    header: {
+      name: personalInfo.fullName || 'Your Name',
+      contact: [
+        personalInfo.email,
+        personalInfo.phone,
+        compact([personalInfo.address, personalInfo.city, personalInfo.state], ', '),
+        personalInfo.linkedinUrl,
+        personalInfo.githubUrl,
+        personalInfo.portfolioUrl
+      ].filter(Boolean)
+    },
+    sections: [
+      ...section('summary', 'Professional Summary', paragraphs(personalInfo.professionalSummary).map(text => ({ type: 'paragraph', text }))),
+      ...section('education', 'Education', educationBlocks),
+      ...section('experience', 'Work Experience', experienceBlocks),
+      ...section('skills', 'Skills', skillBlocks),
+      ...section('projects', 'Projects', projectBlocks),
+      ...section('activities', 'Activities & Volunteering', activityBlocks),
+      ...section('awards', 'Awards & Certifications', awardBlocks),
+      ...section('references', 'References', referenceBlocks)
+    ],
+    footer: []
+  }
+}
+
+// SOP export data: { setup, personalInfo, introduction, academicBackground,
+// motivationAndInterest, futureGoals, whyThisUniversity, conclusion }
+export const buildSOPDocument = (formData) => {
+  const { setup = {}, personalInfo = {} } = formData
+  const field = (label, value, fallback) => ({ type: 'field', label, value: value || fallback })
+  const body = (id, title, text) => section(id, title, paragraphs(text).map(part => ({ type: 'paragraph', text: part })))
+
+  return {
+    title: 'Statement of Purpose',
+    header: {
+      name: 'Statement of Purpose',
+      contact: [personalInfo.fullName, compact([setup.targetCourse, setup.targetUniversity], ', ')].filter(Boolean)
+    },
+    sections: [
+      ...section('personalInfo', 'Personal Information', [
+        field('Name', personalInfo.fullName, 'Not provided'),
+        field('Email', personalInfo.email, 'Not provided'),
+        field('Phone', personalInfo.phone || personalInfo.phoneNumber, 'Not provided'),
+        field('Nationality', personalInfo.nationality, 'Not provided')
+      ]),
+      ...section('applicationDetails', 'Application Details', [
+        field('Purpose', setup.purpose, 'Not specified'),
+        field('Target University', setup.targetUniversity, 'Not specified'),
+        field('Target Course', setup.targetCourse, 'Not specified')
+      ]),
+      ...body('introduction', 'Introduction', formData.introduction),
+      ...body('academicBackground', 'Academic Background', formData.academicBackground),
+      ...body('motivationAndInterest', 'Motivation and Interest', formData.motivationAndInterest),
+      ...body('futureGoals', 'Future Goals', formData.futureGoals),
+      ...body('whyThisUniversity', 'Why This University', formData.whyThisUniversity),
+      ...body('conclusion', 'Conclusion', formData.conclusion)
+    ],
+    footer: ['Generated by Your Uni Pathway SOP Builder', `Date: ${new Date().toLocaleDateString()}`]
+  }
+}
+
+// GTEVisaStatementBuilder form data
+export const buildGTEDocument = (formData) => {
+  const { personalInfo = {}, courseDetails = {} } = formData
+  const field = (label, value) => (value ? [{ type: 'field', label, value }] : [])
+  const body = (id, title, text) => section(id, title, paragraphs(text).map(part => ({ type: 'paragraph', text: part })))
+
+  return {
+    title: 'Genuine Student Statement',
+    header: {
+      name: 'Genuine Student Statement',
+      contact: [personalInfo.fullName, compact([courseDetails.courseName, courseDetails.institution], ', ')].filter(Boolean)
+    },
+    sections: [
+      ...section('personalInfo', 'Personal Information', [
+        ...field('Name', personalInfo.fullName),
+        ...field('Date of Birth', personalInfo.dateOfBirth),
+        ...field('Nationality', personalInfo.nationality),
+        ...field('Passport Number', personalInfo.passportNumber)
+      ]),
+      ...section('courseDetails', 'Course Details', [
+        ...field('Course', courseDetails.courseName),
+        ...field('Institution', courseDetails.institution),
+        ...field('Duration', courseDetails.duration),
+        ...field('Start Date', courseDetails.startDate)
+      ]),
+      ...body('educationBackground', 'Education Background', formData.educationBackground),
+      ...body('workExperience', 'Work Experience', formData.workExperience),
+      ...body('financialCapacity', 'Financial Capacity', formData.financialCapacity),
+      ...body('familyTies', 'Family and Home Country Ties', formData.familyTies),
+      ...body('returnPlans', 'Return Plans', formData.returnPlans),
+      ...body('immigrationHistory', 'Immigration History', formData.immigrationHistory),
+      ...body('additionalInfo', 'Additional Information', formData.additionalInfo),
+      ...section('declaration', 'Declaration', [{
+        type: 'paragraph',
+        text: 'I declare that the information provided in this statement is true and accurate to the best of my knowledge.'
+      }])
+    ],
+    footer: [`Date: ${new Date().toLocaleDateString()}`]
+  }
+}
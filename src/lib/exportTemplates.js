@@ -0,0 +1,140 @@
+// Layout definitions shared by every export format. A template only
+// describes how a document looks; templateRenderers.js turns the same
+// template into HTML, DOCX, PDF and plain text so the formats stay in step.
+//
+// Colors are hex without '#', sizes are points. sectionOrder ranks resume
+// sections; sections not listed (e.g. SOP sections) keep document order.
+// Two-column templates move the `sidebar` sections into a side column
+// `sidebarWidth` (fraction of the page content width) wide.
+
+const RESUME_ORDER = ['summary', 'experience', 'education', 'skills', 'projects', 'activities', 'awards', 'references']
+
+export const EXPORT_TEMPLATES = [
+  {
+    id: 'modern',
+    name: 'Modern Professional',
+    description: 'Clean, modern design perfect for tech and business roles',
+    font: 'sans',
+    colors: { accent: '2563EB', text: '1F2937', muted: '6B7280', rule: 'E5E7EB', sidebar: null },
+    sizes: { name: 22, heading: 12, body: 10, small: 9 },
+    header: { align: 'center', band: false, rule: true },
+    headingStyle: 'rule',
+    uppercaseHeadings: false,
+    columns: 1,
+    sectionOrder: RESUME_ORDER
+  },
+  {
+    id: 'classic',
+    name: 'Classic Traditional',
+    description: 'Traditional format suitable for conservative industries',
+    font: 'serif',
+    colors: { accent: '111827', text: '111827', muted: '4B5563', rule: '111827', sidebar: null },
+    sizes: { name: 20, heading: 11.5, body: 10.5, small: 9.5 },
+    header: { align: 'center', band: false, rule: false },
+    headingStyle: 'rule',
+    uppercaseHeadings: true,
+    columns: 1,
+    sectionOrder: ['summary', 'education', 'experience', 'skills', 'awards', 'projects', 'activities', 'references']
+  },
+  {
+    id: 'academic',
+    name: 'Academic CV',
+    description: 'Comprehensive format for academic and research positions',
+    font: 'serif',
+    colors: { accent: '1E3A8A', text: '1F2937', muted: '4B5563', rule: 'CBD5E1', sidebar: null },
+    sizes: { name: 20, heading: 12, body: 10.5, small: 9.5 },
+    header: { align: 'left', band: false, rule: true },
+    headingStyle: 'rule',
+    uppercaseHeadings: false,
+    columns: 1,
+    sectionOrder: ['summary', 'education', 'awards', 'projects', 'experience', 'activities', 'skills', 'references']
+  },
+  {
+    id: 'creative',
+    name: 'Creative Portfolio',
+    description: 'Visually appealing design for creative fields',
+    font: 'sans',
+    colors: { accent: '7C3AED', text: '1F2937', muted: '6B7280', rule: 'DDD6FE', sidebar: 'F5F3FF' },
+    sizes: { name: 24, heading: 11, body: 9.5, small: 8.5 },
+    header: { align: 'left', band: true, rule: false },
+    headingStyle: 'band',
+    uppercaseHeadings: true,
+    columns: 2,
+    sidebar: ['skills', 'awards', 'references'],
+    sidebarWidth: 0.32,
+    sectionOrder: RESUME_ORDER
+  },
+  {
+    id: 'ats-friendly',
+    name: 'ATS Optimized',
+    description: 'Simple format optimized for Applicant Tracking Systems',
+    font: 'sans',
+    colors: { accent: '000000', text: '000000', muted: '333333', rule: '000000', sidebar: null },
+    sizes: { name: 18, heading: 11, body: 10.5, small: 10 },
+    header: { align: 'left', band: false, rule: false },
+    headingStyle: 'plain',
+    uppercaseHeadings: true,
+    columns: 1,
+    sectionOrder: RESUME_ORDER
+  }
+]
+
+export const DEFAULT_TEMPLATE_ID = 'modern'
+
+export const getTemplate = (id) =>
+  EXPORT_TEMPLATES.find(template => template.id === id) ||
+  EXPORT_TEMPLATES.find(template => template.id === DEFAULT_TEMPLATE_ID)
+
+// Stand-in resume for gallery thumbnails, so each layout can be compared
+// before the user has filled anything in
+export const SAMPLE_RESUME = {
+  personalInfo: {
+    fullName: 'Alex Chen',
+    email: 'alex.chen@example.com',
+    phone: '0412 345 678',
+    city: 'Melbourne',
+    state: 'VIC',
+    professionalSummary: 'Final-year information technology student with internship experience building web applications, looking for a graduate software role.'
+  },
+  education: [{
+    degreeType: 'bachelor',
+    fieldOfStudy: 'Information Technology',
+    institutionName: 'Monash University',
+    location: 'Melbourne',
+    startDate: '2022-02-01',
+    endDate: '2025-11-01',
+    gpa: 'WAM 78',
+    achievements: "Dean's Honours List 2024"
+  }],
+  experience: [{
+    jobTitle: 'Software Engineering Intern',
+    companyName: 'Brightside Analytics',
+    location: 'Melbourne',
+    startDate: '2024-11-01',
+    endDate: '2025-02-01',
+    description: 'Worked in a five-person product team on a customer reporting dashboard.',
+    achievements: 'Built React components used by 2,000 weekly users\nCut report load time by 35%'
+  }, {
+    jobTitle: 'Retail Assistant',
+    companyName: 'JB Hi-Fi',
+    location: 'Melbourne',
+    startDate: '2022-03-01',
+    isCurrent: true,
+    achievements: 'Trained six new staff members'
+  }],
+  skills: {
+    technical: ['JavaScript', 'React', 'Python', 'SQL'],
+    soft: ['Teamwork', 'Communication'],
+    languages: ['English', 'Mandarin'],
+    certifications: []
+  },
+  projects: [{
+    projectName: 'Study Planner',
+    description: 'Web app that schedules revision sessions around uni timetables.',
+    technologiesUsed: 'React, Supabase',
+    startDate: '2024-03-01',
+    isOngoing: true
+  }],
+  awards: [{ awardName: 'Hackathon Winner', issuingOrganization: 'Monash Tech Society', dateReceived: '2024-08-01' }],
+  references: { availableOnRequest: true }
+}
@@ -1,5 +1,7 @@
 // Gemini AI Service for SOP Builder - Google Generative AI Integration
 import { GoogleGenerativeAI } from '@google/generative-ai'
+import { analyzeResume } from './atsAnalyzer.js'
+import { extractDocumentText } from './documentText.js'
 
 class GeminiAIService {
   constructor() {
@@ -597,9 +599,10 @@ Format as a numbered list with actionable advice. Focus on what makes a strong $
    * Analyze and improve resume content for ATS optimization
    * @param {Object} resumeData - Complete resume data
    * @param {string} targetRole - Target job role
-   * @returns {Promise<Object>} ATS optimization suggestions
+   * @param {string} description - Optional job or course description to match against
+   * @returns {Promise<Object>} ATS optimization suggestions; falls back to the local analyzer if Gemini fails
    */
-  async analyzeResumeForATS(resumeData, targetRole) {
+  async analyzeResumeForATS(resumeData, targetRole, description = '') {
     try {
       const prompt = `
         You are an ATS (Applicant Tracking System) optimization expert and resume analyzer.
@@ -612,7 +615,7 @@ Format as a numbered list with actionable advice. Focus on what makes a strong $
         - Education: ${resumeData.education?.length || 0} entries
         - Experience: ${resumeData.experience?.length || 0} entries
         - Skills: ${Object.values(resumeData.skills || {}).flat().join(', ') || 'Not provided'}
-        
+        ${description ? `\n        Job/Course Description:\n        ${description}\n` : ''}
         Instructions:
         1. Analyze the resume for ATS compatibility
         2. Identify missing keywords for the target role
@@ -637,30 +640,34 @@ Format as a numbered list with actionable advice. Focus on what makes a strong $
       const content = response.text().trim()
 
       try {
-        const analysis = JSON.parse(content)
+        const analysis = JSON.parse(content.replace(/```json\n?|\n?```/g, '').trim())
         return {
           success: true,
-          analysis,
+          analysis: { ...analysis, engine: 'gemini' },
           metadata: {
             model: "gemini-1.5-flash",
             generationTime: Date.now()
           }
         }
       } catch (parseError) {
-        return {
-          success: true,
-          content,
-          metadata: {
-            model: "gemini-1.5-flash",
-            generationTime: Date.now()
-          }
-        }
+        console.error('ATS Analysis parse error, using local analyzer:', parseError)
+        return this.localATSAnalysis(resumeData, targetRole, description)
       }
     } catch (error) {
-      console.error('ATS Analysis Error:', error)
-      return {
-        success: false,
-        error: error.message
+      console.error('ATS Analysis Error, using local analyzer:', error)
+      return this.localATSAnalysis(resumeData, targetRole, description)
+    }
+  }
+
+  // Deterministic analysis used when Gemini is unavailable or unparseable
+  localATSAnalysis(resumeData, targetRole, description = '') {
+    return {
+      success: true,
+      analysis: analyzeResume(resumeData, { description, targetRole }),
+      fallback: true,
+      metadata: {
+        model: "local",
+        generationTime: Date.now()
       }
     }
   }
@@ -806,74 +813,14 @@ Format as a numbered list with actionable advice. Focus on what makes a strong $
 
   async extractTextFromFile(file) {
     try {
-      const fileType = file.type
-      
-      if (fileType === 'application/pdf') {
-        return await this.extractTextFromPDF(file)
-      } else if (fileType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
-        return await this.extractTextFromDOCX(file)
-      } else if (fileType === 'application/msword') {
-        return await this.extractTextFromDOC(file)
-      } else {
-        throw new Error('Unsupported file type. Please upload PDF, DOC, or DOCX files.')
-      }
+      const { text } = await extractDocumentText(file)
+      return text
     } catch (error) {
       console.error('Text extraction error:', error)
       throw error
     }
   }
 
-  async extractTextFromPDF(file) {
-    try {
-      // For PDF files, we'll use a simple approach with FileReader
-      // In a production environment, you might want to use pdf-parse or similar library
-      const arrayBuffer = await file.arrayBuffer()
-      const text = await this.convertPDFToText(arrayBuffer)
-      return text
-    } catch (error) {
-      console.error('PDF text extraction error:', error)
-      throw new Error('Failed to extract text from PDF file')
-    }
-  }
-
-  async extractTextFromDOCX(file) {
-    try {
-      // For DOCX files, we'll use a simple approach
-      // In production, you might want to use mammoth.js or similar library
-      const text = await file.text()
-      return text
-    } catch (error) {
-      console.error('DOCX text extraction error:', error)
-      throw new Error('Failed to extract text from DOCX file')
-    }
-  }
-
-  async extractTextFromDOC(file) {
-    try {
-      // For DOC files, we'll use a simple approach
-      const text = await file.text()
-      return text
-    } catch (error) {
-      console.error('DOC text extraction error:', error)
-      throw new Error('Failed to extract text from DOC file')
-    }
-  }
-
-  async convertPDFToText(arrayBuffer) {
-    try {
-      // Simple PDF text extraction
-      // In production, you would use a proper PDF parsing library
-      const uint8Array = new Uint8Array(arrayBuffer)
-      const text = new TextDecoder().decode(uint8Array)
-      
-      // Basic text cleaning for PDF
-      return text.replace(/[^\x20-\x7E\n\r]/g, ' ').replace(/\s+/g, ' ').trim()
-    } catch (error) {
-      console.error('PDF conversion error:', error)
-      throw new Error('Failed to convert PDF to text')
-    }
-  }
-
   // Scholarship-specific AI methods
   async generateScholarshipEssay(scholarshipName, essayType, requirements, studentProfile, wordLimit = 800) {
     try {
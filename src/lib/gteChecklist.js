@@ -0,0 +1,138 @@
+// Requirement checks for the GTE / Genuine Student statement builder.
+//
+// Each criterion is one of the things a case officer weighs under the
+// Genuine Student requirement. It is answered by one or more builder
+// fields and is flagged when those fields are empty (missing), or too short
+// or silent on the topics it should cover (thin). Word limits are enforced
+// per field; a statement with a missing criterion or a field over its
+// limit can't be exported.
+
+export const GTE_FIELDS = {
+  educationBackground: { label: 'Education Background', section: 'education', minWords: 60, maxWords: 300 },
+  financialCapacity: { label: 'Financial Capacity', section: 'financial', minWords: 60, maxWords: 300 },
+  familyTies: { label: 'Family and Home Country Ties', section: 'ties', minWords: 80, maxWords: 300 },
+  returnPlans: { label: 'Return Plans', section: 'return', minWords: 80, maxWords: 300 },
+  immigrationHistory: { label: 'Immigration History', section: 'immigration', minWords: 15, maxWords: 150 },
+  additionalInfo: { label: 'Additional Information', section: 'additional', minWords: 0, maxWords: 200 }
+}
+
+const topic = (label, pattern) => ({ label, pattern })
+
+export const GS_CRITERIA = [
+  {
+    id: 'homeTies',
+    label: 'Ties to home country',
+    description: 'Family, property, work or community that you will return to',
+    fields: ['familyTies'],
+    minTopics: 2,
+    topics: [
+      topic('family', /\b(family|parents?|mother|father|siblings?|brothers?|sisters?|spouse|wife|husband|partner|children|son|daughter|grand\w+)\b/i),
+      topic('property or assets', /\b(property|properties|house|home|land|farm|assets?|business|investments?|shares)\b/i),
+      topic('employment', /\b(job|employ\w*|employer|position|role|work(ing|ed)?|company|career|leave)\b/i),
+      topic('community', /\b(community|volunteer\w*|religious|church|temple|mosque|gurdwara|friends|cultur\w+|club)\b/i)
+    ]
+  },
+  {
+    id: 'courseValue',
+    label: 'Value of the course',
+    description: 'Why this course and provider, and how it helps your career at home',
+    fields: ['returnPlans'],
+    requires: [['courseDetails', 'courseName', 'course name'], ['courseDetails', 'institution', 'institution']],
+    minTopics: 2,
+    topics: [
+      topic('career outcome', /\b(career|job|role|position|promotion|employ\w*|salary|industry|business)\b/i),
+      topic('skills gained', /\b(skills?|knowledge|expertise|qualification|training|learn\w*)\b/i),
+      topic('why this provider', /\b(universit\w+|institut\w+|college|provider|campus|facult\w+|accredit\w+|ranking|ranked|curriculum|units?)\b/i)
+    ]
+  },
+  {
+    id: 'circumstances',
+    label: 'Current circumstances',
+    description: 'Your study history and how you will pay for tuition and living costs',
+    fields: ['educationBackground', 'financialCapacity'],
+    minTopics: 2,
+    topics: [
+      topic('previous study', /\b(degree|diploma|certificate|bachelor|master|school|graduat\w+|studied|gpa|grades?|results?)\b/i),
+      topic('funding source', /\b(savings|scholarship|sponsor\w*|loan|bank|income|salary|funds?|funding|deposit)\b/i),
+      topic('costs covered', /\b(tuition|living (costs|expenses)|fees?|expenses|accommodation|AUD)\b|\$/i)
+    ]
+  },
+  {
+    id: 'immigrationHistory',
+    label: 'Immigration history',
+    description: 'Previous visas, travel, refusals or cancellations (say so if there are none)',
+    fields: ['immigrationHistory'],
+    minTopics: 1,
+    topics: [
+      topic('visa or travel history', /\b(visas?|travel\w*|visited|refus\w+|cancel\w+|overstay\w*|no previous|never|complied|compliance)\b/i)
+    ]
+  }
+]
+
+export const countWords = (text) => (text || '').trim().split(/\s+/).filter(Boolean).length
+
+const checkField = (field, text) => {
+  const rule = GTE_FIELDS[field]
+  const words = countWords(text)
+  let status = 'ok'
+  if (words > rule.maxWords) status = 'over'
+  else if (words === 0) status = rule.minWords > 0 ? 'missing' : 'ok'
+  else if (words < rule.minWords) status = 'thin'
+  return { field, ...rule, words, status }
+}
+
+const checkCriterion = (criterion, formData, fields) => {
+  const messages = []
+  const text = criterion.fields.map(field => formData[field] || '').join('\n')
+  const missingDetails = (criterion.requires || [])
+    .filter(([group, key]) => !formData[group]?.[key]?.trim())
+    .map(([, , label]) => label)
+
+  if (criterion.fields.every(field => fields[field].status === 'missing')) {
+    return { ...criterion, status: 'missing', messages: [`Not answered yet (${criterion.description.toLowerCase()}).`] }
+  }
+
+  if (missingDetails.length > 0) messages.push(`Add the ${missingDetails.join(' and ')} in Course Details.`)
+  criterion.fields
+    .filter(field => fields[field].status === 'missing' || fields[field].status === 'thin')
+    .forEach(field => messages.push(`${fields[field].label} is short (${fields[field].words} of at least ${fields[field].minWords} words).`))
+  criterion.fields
+    .filter(field => fields[field].status === 'over')
+    .forEach(field => messages.push(`${fields[field].label} is over the ${fields[field].maxWords} word limit (${fields[field].words} words).`))
+
+  const uncovered = criterion.topics.filter(item => !item.pattern.test(text)).map(item => item.label)
+  if (criterion.topics.length - uncovered.length < criterion.minTopics) {
+    messages.push(`Consider covering: ${uncovered.join(', ')}.`)
+  }
+
+  let status = 'ok'
+  if (missingDetails.length > 0) status = 'missing'
+  else if (criterion.fields.some(field => fields[field].status === 'over')) status = 'over'
+  else if (messages.length > 0) status = 'thin'
+  return { ...criterion, status, messages }
+}
+
+/**
+ * Check a GTE statement against the Genuine Student criteria. Returns every
+ * field's word count and status, every criterion's status with what to fix,
+ * and whether the statement is ready to export.
+ */
+export const validateGTEStatement = (formData) => {
+  const fields = Object.fromEntries(
+    Object.keys(GTE_FIELDS).map(field => [field, checkField(field, formData[field])])
+  )
+  const criteria = GS_CRITERIA.map(criterion => checkCriterion(criterion, formData, fields))
+  const blocking = [
+    ...criteria.filter(criterion => criterion.status === 'missing').map(criterion => `${criterion.label}: ${criterion.messages[0]}`),
+    ...Object.values(fields).filter(field => field.status === 'over').map(field => `${field.label} is over its ${field.maxWords} word limit.`)
+  ]
+  if (!formData.personalInfo?.fullName?.trim()) blocking.unshift('Add your full name in Personal Information.')
+
+  return {
+    fields,
+    criteria,
+    blocking,
+    canExport: blocking.length === 0,
+    totalWords: Object.values(fields).reduce((sum, field) => sum + field.words, 0)
+  }
+}
@@ -0,0 +1,96 @@
+import { supabase } from './supabase.js'
+import { countWords, GTE_FIELDS } from './gteChecklist.js'
+
+// GTE / Genuine Student statement persistence - mirrors ResumeService
+export class GTEStatementService {
+
+  static defaultTitle(formData) {
+    const { courseName, institution } = formData.courseDetails || {}
+    return [courseName, institution].filter(Boolean).join(' - ') || 'My GTE Statement'
+  }
+
+  // Save or update a statement
+  static async saveStatement(statementData, userId) {
+    try {
+      const { formData } = statementData
+      const statementRecord = {
+        user_id: userId,
+        title: statementData.title || this.defaultTitle(formData),
+        data: formData,
+        word_count: Object.keys(GTE_FIELDS).reduce((sum, field) => sum + countWords(formData[field]), 0),
+        updated_at: new Date().toISOString()
+      }
+
+      let result
+      if (statementData.id) {
+        // Update existing statement
+        result = await supabase
+          .from('gte_statements')
+          .update(statementRecord)
+          .eq('id', statementData.id)
+          .eq('user_id', userId)
+          .select()
+      } else {
+        // Create new statement
+        result = await supabase
+          .from('gte_statements')
+          .insert([statementRecord])
+          .select()
+      }
+
+      const { data, error } = result
+
+      if (error) {
+        console.error('Error saving GTE statement:', error)
+        return { success: false, error: error.message }
+      }
+
+      return { success: true, data: data[0] }
+    } catch (error) {
+      console.error('Error in saveStatement:', error)
+      return { success: false, error: error.message }
+    }
+  }
+
+  // Get user's statements, most recently edited first
+  static async getUserStatements(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('gte_statements')
+        .select('*')
+        .eq('user_id', userId)
+        .order('updated_at', { ascending: false })
+
+      if (error) {
+        console.error('Error fetching GTE statements:', error)
+        return { success: false, error: error.message, data: [] }
+      }
+
+      return { success: true, data: data || [] }
+    } catch (error) {
+      console.error('Error in getUserStatements:', error)
+      return { success: false, error: error.message, data: [] }
+    }
+  }
+
+  // Delete statement
+  static async deleteStatement(statementId, userId) {
+    try {
+      const { error } = await supabase
+        .from('gte_statements')
+        .delete()
+        .eq('id', statementId)
+        .eq('user_id', userId)
+
+      if (error) {
+        console.error('Error deleting GTE statement:', error)
+        return { success: false, error: error.message }
+      }
+
+      return { success: true }
+    } catch (error) {
+      console.error('Error in deleteStatement:', error)
+      return { success: false, error: error.message }
+    }
+  }
+}
@@ -0,0 +1,125 @@
+// iCalendar (RFC 5545) builder for counseling sessions.
+// Pure module with no browser or database access: the app uses it for
+// per-session .ics downloads and the Express API (api/database.js) imports it
+// to serve the subscribable feed, so both produce identical events.
+import { isCancelledStatus, normalizeSessionStatus } from './sessionLifecycle.js'
+
+const PRODID = '-//StudentKonnect//Counseling Sessions//EN'
+const UID_DOMAIN = 'studentkonnect.com'
+
+// Requested sessions still await the counselor's confirmation
+const TENTATIVE_STATUSES = ['requested']
+
+const escapeText = (value) => String(value ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n')
+
+// Lines longer than 75 octets are folded with CRLF + space
+const foldLine = (line) => {
+  const encoder = new TextEncoder()
+  if (encoder.encode(line).length <= 75) return line
+
+  const chunks = []
+  let current = ''
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74
+    if (encoder.encode(current + char).length > limit) {
+      chunks.push(current)
+      current = char
+    } else {
+      current += char
+    }
+  }
+  chunks.push(current)
+  return chunks.join('\r\n ')
+}
+
+export const formatIcsDate = (value) => {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+const getIcsStatus = (status) => {
+  if (isCancelledStatus(status)) return 'CANCELLED'
+  if (TENTATIVE_STATUSES.includes(normalizeSessionStatus(status))) return 'TENTATIVE'
+  return 'CONFIRMED'
+}
+
+/**
+ * Map a sessions row to an event. `start` must already be the UTC instant
+ * (see getSessionStart in lib/timezone.js); `summary` usually names the other party.
+ */
+export const sessionToEvent = (session, { start, summary, description } = {}) => {
+  const startsAt = new Date(start || session.scheduled_at)
+  const endsAt = new Date(startsAt.getTime() + (session.duration_minutes || 60) * 60000)
+  const details = [
+    description || session.session_description,
+    session.meeting_link && `Join: ${session.meeting_link}`
+  ].filter(Boolean).join('\n\n')
+
+  return {
+    uid: `session-${session.id}@${UID_DOMAIN}`,
+    sequence: session.ics_sequence || 0,
+    status: getIcsStatus(session.status),
+    start: startsAt,
+    end: endsAt,
+    summary: summary || session.session_title || 'Counseling session',
+    description: details,
+    location: session.meeting_link || '',
+    url: session.meeting_link || '',
+    lastModified: session.updated_at || session.created_at || null
+  }
+}
+
+const buildEventLines = (event, now) => {
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatIcsDate(now)}`,
+    `DTSTART:${formatIcsDate(event.start)}`,
+    `DTEND:${formatIcsDate(event.end)}`,
+    `SEQUENCE:${event.sequence}`,
+    `STATUS:${event.status}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ]
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`)
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`)
+  if (event.url) lines.push(`URL:${event.url}`)
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatIcsDate(event.lastModified)}`)
+
+  if (event.status !== 'CANCELLED') {
+    lines.push(
+      'BEGIN:VALARM',
+      'TRIGGER:-PT30M',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(event.summary)}`,
+      'END:VALARM'
+    )
+  }
+
+  lines.push('END:VEVENT')
+  return lines
+}
+
+/**
+ * Serialise events into a VCALENDAR document. Single downloads use
+ * METHOD:PUBLISH as well so that re-importing an updated file replaces the event.
+ */
+export const buildCalendar = (events, { name = 'StudentKonnect Sessions', now = new Date() } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    'X-PUBLISHED-TTL:PT1H',
+    'REFRESH-INTERVAL;VALUE=DURATION:PT1H',
+    ...events.flatMap(event => buildEventLines(event, now)),
+    'END:VCALENDAR'
+  ]
+
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
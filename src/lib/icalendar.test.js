@@ -0,0 +1,60 @@
+import { describe, expect, it } from 'vitest'
+import { buildCalendar, formatIcsDate, sessionToEvent } from './icalendar.js'
+
+const NOW = new Date('2026-03-02T00:00:00Z')
+
+const session = (fields = {}) => ({
+  id: 7,
+  status: 'confirmed',
+  scheduled_at: '2026-03-10T09:30:00Z',
+  duration_minutes: 45,
+  session_title: 'Visa check-in',
+  ...fields
+})
+
+// Content lines with folding undone
+const unfold = (ics) => ics.replace(/\r\n /g, '').split('\r\n')
+
+describe('formatIcsDate', () => {
+  it('writes UTC date-times without separators or milliseconds', () => {
+    expect(formatIcsDate('2026-03-10T09:30:15.123Z')).toBe('20260310T093015Z')
+  })
+})
+
+describe('sessionToEvent', () => {
+  it('maps status and duration onto the event', () => {
+    expect(sessionToEvent(session())).toMatchObject({ uid: 'session-7@studentkonnect.com', status: 'CONFIRMED', sequence: 0 })
+    expect(sessionToEvent(session()).end.toISOString()).toBe('2026-03-10T10:15:00.000Z')
+    expect(sessionToEvent(session({ status: 'requested' })).status).toBe('TENTATIVE')
+    expect(sessionToEvent(session({ status: 'cancelled_by_student', ics_sequence: 3 }))).toMatchObject({ status: 'CANCELLED', sequence: 3 })
+  })
+})
+
+describe('buildCalendar', () => {
+  it('escapes backslashes, semicolons, commas and newlines in text', () => {
+    const event = sessionToEvent(session({ session_title: 'SOP review; draft 2, final', session_description: 'Bring C:\\docs\nand notes' }))
+    const lines = unfold(buildCalendar([event], { now: NOW }))
+
+    expect(lines).toContain('SUMMARY:SOP review\\; draft 2\\, final')
+    expect(lines).toContain('DESCRIPTION:Bring C:\\\\docs\\nand notes')
+  })
+
+  it('folds lines longer than 75 octets without splitting characters', () => {
+    const event = sessionToEvent(session({ session_description: 'Résumé feedback '.repeat(12) }))
+    const ics = buildCalendar([event], { now: NOW })
+    const encoder = new TextEncoder()
+
+    ics.split('\r\n').forEach(line => expect(encoder.encode(line).length).toBeLessThanOrEqual(75))
+    expect(ics).toContain('\r\n ')
+    expect(unfold(ics)).toContain(`DESCRIPTION:${'Résumé feedback '.repeat(12)}`)
+  })
+
+  it('ends every line with CRLF and drops the alarm from cancelled events', () => {
+    const ics = buildCalendar([sessionToEvent(session({ status: 'cancelled_by_counselor' }))], { now: NOW })
+
+    expect(ics.endsWith('END:VCALENDAR\r\n')).toBe(true)
+    expect(ics.replace(/\r\n/g, '')).not.toMatch(/\n/)
+    expect(ics).not.toContain('BEGIN:VALARM')
+    expect(unfold(ics)).toContain('DTSTAMP:20260302T000000Z')
+  })
+})
@@ -0,0 +1,78 @@
+// Notification event types and delivery channels.
+// Shared by notificationService (which decides where an event is delivered)
+// and the preferences UI. The create_notification RPC (notifications_schema.sql)
+// and functions/index.js mirror the default channels.
+
+export const NOTIFICATION_CHANNELS = {
+  in_app: 'In-app',
+  email: 'Email',
+  digest: 'Daily digest'
+}
+
+export const NOTIFICATION_TYPES = {
+  connection_requested: {
+    label: 'New connection requests',
+    defaultChannels: { in_app: true, email: true, digest: false }
+  },
+  connection_approved: {
+    label: 'Connection approved',
+    defaultChannels: { in_app: true, email: true, digest: false }
+  },
+  connection_rejected: {
+    label: 'Connection not approved',
+    defaultChannels: { in_app: true, email: true, digest: false }
+  },
+  session_booked: {
+    label: 'Session booked or changed',
+    defaultChannels: { in_app: true, email: true, digest: false }
+  },
+  session_reminder: {
+    label: 'Session reminders',
+    defaultChannels: { in_app: true, email: false, digest: false }
+  },
+  message_received: {
+    label: 'New messages',
+    defaultChannels: { in_app: true, email: false, digest: true }
+  },
+  scholarship_deadline: {
+    label: 'Scholarship deadlines',
+    defaultChannels: { in_app: true, email: false, digest: true }
+  },
+  review_requested: {
+    label: 'Document review requests',
+    defaultChannels: { in_app: true, email: true, digest: false }
+  },
+  review_feedback: {
+    label: 'Document review feedback',
+    defaultChannels: { in_app: true, email: true, digest: false }
+  },
+  reference_received: {
+    label: 'Reference letters received',
+    defaultChannels: { in_app: true, email: true, digest: false }
+  }
+}
+
+// Types written before notifications were typed
+const LEGACY_TYPES = {
+  new_assignment: 'connection_requested',
+  meeting_scheduled: 'session_booked'
+}
+
+export const normalizeNotificationType = (type) => LEGACY_TYPES[type] || type
+
+/**
+ * Channels an event of `type` goes to, given the user's stored preferences
+ * ({ [type]: { in_app, email, digest } }). Unset values fall back to the defaults.
+ */
+export const resolveChannels = (type, preferences = {}) => {
+  const defaults = NOTIFICATION_TYPES[normalizeNotificationType(type)]?.defaultChannels ||
+    { in_app: true, email: false, digest: false }
+  return { ...defaults, ...(preferences?.[normalizeNotificationType(type)] || {}) }
+}
+
+// Full preference matrix for the settings UI
+export const buildPreferenceMatrix = (preferences = {}) => {
+  return Object.fromEntries(
+    Object.keys(NOTIFICATION_TYPES).map(type => [type, resolveChannels(type, preferences)])
+  )
+}
@@ -0,0 +1,153 @@
+// International qualifications -> ATAR-equivalent ranges, from the
+// equivalence tables in qualification_equivalences (editable by admins in
+// the admin portal). Each qualification describes how its result is entered
+// and a banded table read from the published equivalences:
+//
+//   input.kind 'total'       one overall score (IB points, NCEA rank score)
+//              'percentage'  subject marks, averaged over the best `subjects`
+//              'grades'      subject grades, `points` per grade summed over
+//                            the best `subjects` (A-Levels)
+//   bands      [{ min, low, high }] - a score of at least min is equivalent
+//              to an ATAR between low and high
+//
+// The range feeds the same course matching as a calculated ATAR; the low end
+// is used for eligibility so no course is shown as within reach too early.
+
+import { MAX_ATAR } from './atarEngine.js'
+
+export const INPUT_KINDS = {
+  total: 'Overall score',
+  percentage: 'Subject percentages',
+  grades: 'Subject grades'
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+// Grade options for a 'grades' qualification, best first
+export const gradeOptions = (qualification) => Object.entries(qualification.input?.points || {})
+  .sort((a, b) => b[1] - a[1])
+  .map(([grade]) => grade)
+
+// Highest score the input can produce, for display ("38 of 45")
+export const maxScore = (qualification) => {
+  const { input } = qualification
+  if (input.kind === 'total') return input.max
+  if (input.kind === 'percentage') return 100
+  return Math.max(0, ...Object.values(input.points || {})) * input.subjects
+}
+
+/**
+ * The qualification's overall score from what the student entered:
+ * { total } | { marks: [numbers] } | { grades: [grades] }.
+ */
+export const qualificationScore = (qualification, entry = {}) => {
+  const { input } = qualification
+
+  if (input.kind === 'total') {
+    const total = Number(entry.total)
+    if (entry.total === '' || entry.total == null || Number.isNaN(total)) {
+      return { success: false, error: `Enter your ${input.label || 'score'}` }
+    }
+    if (total < input.min || total > input.max) {
+      return { success: false, error: `${input.label || 'Score'} must be between ${input.min} and ${input.max}` }
+    }
+    return { success: true, data: { score: total } }
+  }
+
+  if (input.kind === 'percentage') {
+    const marks = (entry.marks || []).filter(mark => mark !== '' && mark != null).map(Number)
+    if (marks.some(mark => Number.isNaN(mark) || mark < 0 || mark > 100)) {
+      return { success: false, error: 'Subject marks must be percentages between 0 and 100' }
+    }
+    if (marks.length < input.subjects) {
+      return { success: false, error: `Enter marks for at least ${input.subjects} subjects` }
+    }
+    const best = [...marks].sort((a, b) => b - a).slice(0, input.subjects)
+    return { success: true, data: { score: Math.round((best.reduce((sum, mark) => sum + mark, 0) / best.length) * 100) / 100 } }
+  }
+
+  if (input.kind === 'grades') {
+    const points = (entry.grades || []).filter(Boolean).map(grade => input.points[grade])
+    if (points.some(value => value == null)) {
+      return { success: false, error: 'Choose a grade from the list for each subject' }
+    }
+    if (points.length < input.subjects) {
+      return { success: false, error: `Enter grades for at least ${input.subjects} subjects` }
+    }
+    const best = [...points].sort((a, b) => b - a).slice(0, input.subjects)
+    return { success: true, data: { score: best.reduce((sum, value) => sum + value, 0) } }
+  }
+
+  return { success: false, error: `Unknown input kind: ${input.kind}` }
+}
+
+/**
+ * Convert an entered result to an ATAR-equivalent range. Returns
+ * { success, data: { qualification, name, score, maxScore, low, high } },
+ * or { success: false, error } when the entry is incomplete or falls below
+ * the lowest published band.
+ */
+export const convertQualification = (qualification, entry) => {
+  const scored = qualificationScore(qualification, entry)
+  if (!scored.success) return scored
+
+  const { score } = scored.data
+  const band = [...qualification.bands]
+    .sort((a, b) => b.min - a.min)
+    .find(item => score >= item.min)
+  if (!band) {
+    return { success: false, error: `${qualification.name} results below ${Math.min(...qualification.bands.map(item => item.min))} have no published ATAR equivalent` }
+  }
+
+  return {
+    success: true,
+    data: {
+      qualification: qualification.id,
+      name: qualification.name,
+      score,
+      maxScore: maxScore(qualification),
+      low: band.low,
+      high: band.high
+    }
+  }
+}
+
+export const formatRange = ({ low, high }) => (low === high ? low.toFixed(2) : `${low.toFixed(2)} - ${high.toFixed(2)}`)
+
+/**
+ * Problems with an equivalence table before it is saved, as messages for
+ * the admin editor. An empty list means it can be saved.
+ */
+export const validateQualification = (qualification) => {
+  const errors = []
+  const { input = {}, bands = [] } = qualification
+
+  if (!qualification.id?.trim()) errors.push('An id is required')
+  if (!qualification.name?.trim()) errors.push('A name is required')
+
+  if (!INPUT_KINDS[input.kind]) {
+    errors.push(`Input kind must be one of: ${Object.keys(INPUT_KINDS).join(', ')}`)
+  } else if (input.kind === 'total') {
+    if (!isNumber(input.min) || !isNumber(input.max) || input.min >= input.max) errors.push('A total needs a min below its max')
+  } else {
+    if (!Number.isInteger(input.subjects) || input.subjects < 1) errors.push('The number of counted subjects must be a whole number of at least 1')
+    if (input.kind === 'grades' && (!input.points || Object.keys(input.points).length === 0 || !Object.values(input.points).every(isNumber))) {
+      errors.push('Grades need points, e.g. { "A*": 6, "A": 5 }')
+    }
+  }
+
+  if (bands.length === 0) errors.push('Add at least one band')
+  bands.forEach((band, index) => {
+    const row = `Band ${index + 1}`
+    if (![band.min, band.low, band.high].every(isNumber)) {
+      errors.push(`${row}: min, low and high must be numbers`)
+      return
+    }
+    if (band.low > band.high) errors.push(`${row}: low is above high`)
+    if (band.low < 0 || band.high > MAX_ATAR) errors.push(`${row}: ATARs must be between 0 and ${MAX_ATAR}`)
+  })
+  const mins = bands.map(band => band.min)
+  if (new Set(mins).size !== mins.length) errors.push('Two bands start at the same score')
+
+  return errors
+}
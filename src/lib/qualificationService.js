@@ -0,0 +1,77 @@
+import { supabase } from './supabase.js'
+import { validateQualification } from './qualificationConverter.js'
+
+// International qualification equivalence tables (qualification_equivalences)
+
+const ADMIN_SESSION_REQUIRED = 'Not saved: your admin account could not be verified with the database. Sign out and sign in again; if it keeps happening, check your account has the admin role in Supabase.'
+
+export class QualificationService {
+
+  // Active tables for students; the admin editor passes includeInactive
+  static async getQualifications({ includeInactive = false } = {}) {
+    try {
+      let query = supabase
+        .from('qualification_equivalences')
+        .select('*')
+        .order('name', { ascending: true })
+      if (!includeInactive) query = query.eq('is_active', true)
+
+      const { data, error } = await query
+
+      if (error) {
+        console.error('Error fetching qualification equivalences:', error)
+        return { success: false, error: error.message, data: [] }
+      }
+
+      return { success: true, data: data || [] }
+    } catch (error) {
+      console.error('Error in getQualifications:', error)
+      return { success: false, error: error.message, data: [] }
+    }
+  }
+
+  // Create or update a table; bands are stored highest first
+  static async saveQualification(qualification, userId) {
+    const errors = validateQualification(qualification)
+    if (errors.length > 0) {
+      return { success: false, error: errors.join('. ') }
+    }
+
+    try {
+      const record = {
+        id: qualification.id.trim(),
+        name: qualification.name.trim(),
+        description: qualification.description || null,
+        input: qualification.input,
+        bands: [...qualification.bands].sort((a, b) => b.min - a.min),
+        source: qualification.source || null,
+        source_url: qualification.source_url || null,
+        is_active: qualification.is_active !== false,
+        updated_by: userId || null,
+        updated_at: new Date().toISOString()
+      }
+
+      const { data, error } = await supabase
+        .from('qualification_equivalences')
+        .upsert(record)
+        .select()
+
+      // Writes need the admin's Supabase session (see AdminAuthContext);
+      // without it RLS rejects the row or leaves nothing to return
+      if (error?.code === '42501' || (!error && !data?.length)) {
+        console.error('Qualification equivalence not saved: no admin Supabase session', error)
+        return { success: false, error: ADMIN_SESSION_REQUIRED }
+      }
+
+      if (error) {
+        console.error('Error saving qualification equivalence:', error)
+        return { success: false, error: error.message }
+      }
+
+      return { success: true, data: data[0] }
+    } catch (error) {
+      console.error('Error in saveQualification:', error)
+      return { success: false, error: error.message }
+    }
+  }
+}
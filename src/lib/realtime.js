@@ -0,0 +1,47 @@
+// Supabase realtime subscription with a polling fallback.
+// Used by messaging and notifications so both degrade the same way when
+// realtime is unavailable (blocked websockets, publication not configured).
+
+export const DEFAULT_POLL_INTERVAL_MS = 15000
+
+/**
+ * Subscribe to postgres changes on `client`. onChange receives the realtime
+ * payload, or null on a polling tick - callers refetch either way.
+ * Returns an unsubscribe function.
+ */
+export const watchTable = (client, channelName, changes, onChange, { pollIntervalMs = DEFAULT_POLL_INTERVAL_MS } = {}) => {
+  let pollTimer = null
+  let channel = null
+
+  const startPolling = () => {
+    if (!pollTimer) pollTimer = setInterval(() => onChange(null), pollIntervalMs)
+  }
+  const stopPolling = () => {
+    clearInterval(pollTimer)
+    pollTimer = null
+  }
+
+  // Poll until the channel confirms, in case realtime is blocked entirely
+  startPolling()
+
+  try {
+    channel = changes.reduce(
+      (current, change) => current.on('postgres_changes', { schema: 'public', ...change }, payload => onChange(payload)),
+      client.channel(channelName)
+    )
+    channel.subscribe((status) => {
+      if (status === 'SUBSCRIBED') {
+        stopPolling()
+      } else if (['CHANNEL_ERROR', 'TIMED_OUT', 'CLOSED'].includes(status)) {
+        startPolling()
+      }
+    })
+  } catch (error) {
+    console.error('Realtime unavailable, polling instead:', error)
+  }
+
+  return () => {
+    stopPolling()
+    if (channel) client.removeChannel(channel)
+  }
+}
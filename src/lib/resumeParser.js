@@ -0,0 +1,483 @@
+// Rule-based resume parser: turns extracted resume text into ResumeBuilder
+// form fields without calling an AI service. Every field carries a
+// confidence ('high' | 'medium' | 'low') so the import review can point the
+// user at the guesses worth checking before anything is added to the form.
+
+const SECTION_HEADINGS = {
+  summary: ['summary', 'professional summary', 'career summary', 'profile', 'professional profile', 'personal profile', 'career objective', 'objective', 'about me', 'personal statement'],
+  experience: ['experience', 'work experience', 'professional experience', 'relevant experience', 'employment', 'employment history', 'work history', 'career history'],
+  education: ['education', 'education and training', 'education and qualifications', 'academic background', 'academic history', 'academic qualifications', 'educational background', 'qualifications'],
+  skills: ['skills', 'key skills', 'technical skills', 'core skills', 'core competencies', 'competencies', 'skills and abilities', 'skills and interests', 'areas of expertise', 'technical proficiencies'],
+  languages: ['languages', 'language skills'],
+  certifications: ['certifications', 'certificates', 'licences', 'licenses', 'licences and certifications', 'licenses and certifications', 'certifications and licenses'],
+  projects: ['projects', 'key projects', 'personal projects', 'academic projects'],
+  activities: ['activities', 'extracurricular activities', 'extra curricular activities', 'volunteering', 'volunteer experience', 'leadership', 'leadership and activities', 'community involvement'],
+  awards: ['awards', 'honours', 'honors', 'achievements', 'awards and achievements', 'honours and awards', 'honors and awards'],
+  references: ['references', 'referees'],
+  interests: ['interests', 'hobbies', 'hobbies and interests']
+}
+
+const HEADING_LOOKUP = new Map(
+  Object.entries(SECTION_HEADINGS).flatMap(([section, headings]) => headings.map(heading => [heading, section]))
+)
+
+const MONTHS = { jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6, jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12 }
+const DATE = '\\b(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?\\s+\\d{4}|\\d{1,2}\\/\\d{4}|(?:19|20)\\d{2})\\b'
+const DATE_RANGE = new RegExp(`(${DATE})\\s*(?:-|–|—|to|until)\\s*(${DATE}|present|current|now|ongoing|today)`, 'i')
+const SINGLE_DATE = new RegExp(`(?:(expected|anticipated|graduating|completed|graduated)\\s*:?\\s*)?(${DATE})`, 'i')
+
+const AU_LOCATION = /\b([A-Z][a-zA-Z'-]+(?: [A-Z][a-zA-Z'-]+)*),? +(NSW|VIC|QLD|WA|SA|TAS|ACT|NT)\b\.?(?:,? *(\d{4}))?/
+const LOCATION_PART = /\b(NSW|VIC|QLD|WA|SA|TAS|ACT|NT|Remote|Hybrid|Australia|New Zealand)\b/
+
+const BULLET = /^[•●▪◦○■□‣⁃∙*·–-]\s*/
+
+const TITLE_WORDS = /\b(engineer|developer|programmer|manager|assistant|analyst|intern|officer|consultant|coordinator|designer|teacher|tutor|associate|specialist|lead|director|administrator|representative|crew|attendant|cashier|barista|nurse|technician|researcher|volunteer|supervisor|executive|adviser|advisor|scientist|accountant|clerk|receptionist|server|waiter|waitress|worker|member|mentor|ambassador|president|founder|architect|editor|writer|instructor|coach|trainee|apprentice|graduate)\b/i
+const COMPANY_WORDS = /\b(pty|ltd|limited|inc|llc|corp|corporation|company|co\.|group|bank|council|services|solutions|technologies|technology|consulting|partners|hospital|university|college|school|foundation|agency|department|government|studio|labs?|systems|australia)\b/i
+const INSTITUTION_WORDS = /\b(university|college|institute|school|academy|tafe|polytechnic|conservatorium|grammar)\b/i
+
+const EMPLOYMENT_TYPES = [
+  ['internship', /\b(intern|internship|placement|vacation program)\b/i],
+  ['volunteer', /\bvolunteer(ing)?\b/i],
+  ['part-time', /\b(part[- ]time|casual)\b/i],
+  ['contract', /\b(contract|contractor|temporary|fixed[- ]term)\b/i],
+  ['freelance', /\b(freelance|self[- ]employed)\b/i],
+  ['full-time', /\bfull[- ]time\b/i]
+]
+
+// Matched in order: "IB Diploma" is a school qualification, not a diploma
+const DEGREE_TYPES = [
+  ['phd', /\b(ph\.?\s?d|doctor of philosophy|doctorate)\b/i],
+  ['master', /\b(master'?s?|mba|m\.?\s?sc|m\.?\s?eng|m\.?\s?res|mphil)\b/i],
+  ['bachelor', /\b(bachelor'?s?|b\.?\s?sc|b\.?\s?eng|b\.?\s?com|b\.?\s?a\.|bcom|beng|bsc|honours|hons)\b/i],
+  ['associate', /\bassociate degree\b/i],
+  ['high-school', /\b(high school|secondary|year 12|hsc|vce|wace|qce|sace|ib diploma|international baccalaureate|a[- ]levels?|atar)\b/i],
+  ['diploma', /\bdiploma\b/i],
+  ['certificate', /\b(certificate|cert\.?\s+(i|ii|iii|iv))\b/i]
+]
+
+const SOFT_SKILLS = new Set([
+  'communication', 'teamwork', 'team work', 'leadership', 'problem solving', 'problem-solving', 'critical thinking',
+  'time management', 'adaptability', 'creativity', 'collaboration', 'attention to detail', 'customer service',
+  'organisation', 'organization', 'interpersonal skills', 'public speaking', 'negotiation', 'work ethic',
+  'conflict resolution', 'decision making', 'presentation skills', 'written communication', 'verbal communication',
+  'empathy', 'resilience', 'mentoring', 'multitasking', 'initiative', 'stakeholder management'
+])
+
+const LANGUAGES = /^(english|mandarin|cantonese|chinese|hindi|punjabi|urdu|bengali|tamil|telugu|nepali|sinhala|arabic|spanish|french|german|italian|portuguese|russian|japanese|korean|vietnamese|thai|indonesian|malay|tagalog|filipino|greek|turkish|persian|farsi|dutch|swahili|auslan)\b/i
+
+const EDUCATION_DEFAULTS = {
+  institutionName: '',
+  degreeType: '',
+  fieldOfStudy: '',
+  gpa: '',
+  startDate: '',
+  endDate: '',
+  isCurrent: false,
+  location: '',
+  achievements: '',
+  description: ''
+}
+
+const EXPERIENCE_DEFAULTS = {
+  jobTitle: '',
+  companyName: '',
+  employmentType: 'full-time',
+  location: '',
+  startDate: '',
+  endDate: '',
+  isCurrent: false,
+  description: '',
+  achievements: ''
+}
+
+const field = (value, confidence) => ({ value, confidence })
+
+// Trims separators left over from splitting a heading (", University of Sydney")
+// and brackets around the whole part, keeping "Bachelor of Commerce (Finance)" whole
+const cleanPart = (text) => {
+  const trimmed = text.replace(/^[,;:.|\s–—-]+|[,;:|\s–—-]+$/g, '')
+  if (/^\(.*\)$/.test(trimmed)) return cleanPart(trimmed.slice(1, -1))
+  return trimmed.replace(/^\((?!.*\))\s*|\s*(?<!\(.*)\)$/g, '')
+}
+
+const headingSection = (line) => {
+  if (line.length > 45) return null
+  const normalized = line.toLowerCase().replace(/&/g, 'and').replace(/[^a-z ]/g, ' ').replace(/\s+/g, ' ').trim()
+  return HEADING_LOOKUP.get(normalized) || null
+}
+
+const splitSections = (text) => {
+  const sections = { header: [] }
+  let current = 'header'
+  text.split('\n').forEach(rawLine => {
+    const line = rawLine.trim()
+    if (!line) return
+    const section = headingSection(line)
+    if (section) {
+      current = section
+      sections[current] = sections[current] || []
+    } else {
+      sections[current].push(line)
+    }
+  })
+  return sections
+}
+
+// Form date inputs take YYYY-MM-DD; a bare year is a guess at the month
+const toFormDate = (token, isEnd) => {
+  const month = /^([a-z]{3})/i.exec(token)?.[1].toLowerCase()
+  const numeric = /^(\d{1,2})\/(\d{4})$/.exec(token)
+  const year = /(\d{4})/.exec(token)[1]
+  if (month && MONTHS[month]) return { value: `${year}-${String(MONTHS[month]).padStart(2, '0')}-01`, exact: true }
+  if (numeric) return { value: `${numeric[2]}-${numeric[1].padStart(2, '0')}-01`, exact: true }
+  return { value: `${year}-${isEnd ? '12' : '01'}-01`, exact: false }
+}
+
+const parseDates = (line, allowSingle) => {
+  const range = DATE_RANGE.exec(line)
+  if (range) {
+    const start = toFormDate(range[1], false)
+    const isCurrent = /present|current|now|ongoing|today/i.test(range[2])
+    const end = isCurrent ? null : toFormDate(range[2], true)
+    return {
+      matched: range[0],
+      startDate: field(start.value, start.exact ? 'high' : 'medium'),
+      endDate: field(end?.value || '', end && !end.exact ? 'medium' : 'high'),
+      isCurrent: field(isCurrent, 'high')
+    }
+  }
+
+  const single = allowSingle && SINGLE_DATE.exec(line)
+  if (single) {
+    const end = toFormDate(single[2], true)
+    return {
+      matched: single[0],
+      endDate: field(end.value, 'medium'),
+      isCurrent: field(/expected|anticipated|graduating/i.test(single[1] || ''), 'medium')
+    }
+  }
+  return null
+}
+
+const isBullet = (line) => BULLET.test(line) && !DATE_RANGE.test(line.slice(0, 12))
+
+const stripBullet = (line) => line.replace(BULLET, '').trim()
+
+// Splits an entry heading like "Barista | Cafe Co, Sydney NSW" into parts.
+// A comma separates parts when what follows is a place, institution or
+// company ("Bachelor of Science, University of Sydney"), or when what comes
+// before is a degree or job title on its own ("Software Engineer Intern, Atlassian").
+const splitAtComma = (part) => {
+  const comma = part.indexOf(', ')
+  if (comma === -1) return [part]
+
+  const head = part.slice(0, comma)
+  const rest = part.slice(comma + 2)
+  const isQualifier = (text) => DEGREE_TYPES.some(([, pattern]) => pattern.test(text)) || TITLE_WORDS.test(text)
+  const splits = (LOCATION_PART.test(rest) && !LOCATION_PART.test(head)) ||
+    ((INSTITUTION_WORDS.test(rest) || COMPANY_WORDS.test(rest)) && !INSTITUTION_WORDS.test(head) && !COMPANY_WORDS.test(head)) ||
+    (isQualifier(head) && !isQualifier(rest) && !INSTITUTION_WORDS.test(head) && !COMPANY_WORDS.test(head))
+
+  return splits ? [head, ...splitAtComma(rest)] : [part]
+}
+
+const headingParts = (lines) => lines
+  .flatMap(line => line.split(/\s*[|•·\t]\s*|\s+[–—-]\s+|\s+at\s+/))
+  .flatMap(splitAtComma)
+  .map(cleanPart)
+  .filter(Boolean)
+
+const looksLikeHeading = (line) => !isBullet(line) && line.length <= 80 && !/[.;]$/.test(line)
+
+// Entries are anchored on their date line. The short, non-bullet lines just
+// above an anchor (and below it, when the anchor has little else) are the
+// entry heading; everything up to the next entry's heading is its body.
+const splitEntries = (lines, allowSingleDate) => {
+  const anchors = []
+  lines.forEach((line, index) => {
+    if (isBullet(line)) return
+    const dates = parseDates(line, allowSingleDate)
+    if (dates) anchors.push({ index, dates })
+  })
+
+  if (anchors.length === 0) {
+    return lines.length > 0 ? [{ heading: headingParts(lines.slice(0, 2)), body: lines.slice(2), dates: null, anchored: false }] : []
+  }
+
+  const starts = anchors.map((anchor, i) => {
+    const floor = i === 0 ? 0 : anchors[i - 1].index + 1
+    let start = anchor.index
+    while (start > floor && anchor.index - start < 2 && looksLikeHeading(lines[start - 1])) start--
+    return start
+  })
+
+  return anchors.map((anchor, i) => {
+    const end = i + 1 < anchors.length ? starts[i + 1] : lines.length
+    const headingLines = lines.slice(starts[i], anchor.index)
+    const anchorRest = lines[anchor.index].replace(anchor.dates.matched, '').trim()
+    if (anchorRest) headingLines.push(anchorRest)
+
+    let bodyStart = anchor.index + 1
+    while (bodyStart < end && headingParts(headingLines).length < 2 && looksLikeHeading(lines[bodyStart]) && lines[bodyStart].length <= 70) {
+      headingLines.push(lines[bodyStart])
+      bodyStart++
+    }
+
+    return { heading: headingParts(headingLines), body: lines.slice(bodyStart, end), dates: anchor.dates, anchored: true }
+  })
+}
+
+const bodyFields = (body) => {
+  const bullets = body.filter(isBullet).map(stripBullet)
+  const prose = body.filter(line => !isBullet(line))
+  return { bullets, prose }
+}
+
+const detectEmploymentType = (parts) => {
+  for (const [type, pattern] of EMPLOYMENT_TYPES) {
+    if (parts.some(part => pattern.test(part))) return type
+  }
+  return null
+}
+
+const parseExperienceEntry = (entry) => {
+  const headingType = detectEmploymentType(entry.heading)
+  const employmentType = headingType || detectEmploymentType(entry.body.filter(line => !isBullet(line)))
+  const parts = entry.heading.filter(part => !/^(full|part)[- ]time$|^casual$|^contract$|^internship$/i.test(part))
+  const location = parts.find(part => LOCATION_PART.test(part) || AU_LOCATION.test(part))
+  const remaining = parts.filter(part => part !== location)
+
+  let title = remaining.find(part => TITLE_WORDS.test(part) && !COMPANY_WORDS.test(part))
+  let company = remaining.find(part => part !== title && COMPANY_WORDS.test(part))
+  const titleConfidence = title ? 'high' : 'low'
+  const companyConfidence = company ? 'high' : 'medium'
+  title = cleanPart(title || remaining.find(part => part !== company) || '')
+  company = cleanPart(company || remaining.find(part => part !== title) || '')
+
+  const { bullets, prose } = bodyFields(entry.body)
+  const fields = {
+    jobTitle: field(title, title ? titleConfidence : 'low'),
+    companyName: field(company, company ? companyConfidence : 'low'),
+    employmentType: field(employmentType || 'full-time', headingType ? 'high' : employmentType ? 'medium' : 'low'),
+    location: field(location || '', location ? 'medium' : 'low'),
+    description: field(prose.join(' '), 'medium'),
+    achievements: field(bullets.join('\n'), bullets.length > 0 ? 'high' : 'medium')
+  }
+  if (entry.dates) Object.assign(fields, datesOnly(entry.dates))
+  return { fields }
+}
+
+const datesOnly = ({ startDate, endDate, isCurrent }) =>
+  Object.fromEntries(Object.entries({ startDate, endDate, isCurrent }).filter(([, value]) => value))
+
+const parseDegree = (part) => {
+  const degree = DEGREE_TYPES.find(([, pattern]) => pattern.test(part))
+  if (!degree) return null
+
+  const major = /\bmajor(?:ing)?\s*(?:in|:)?\s+(.+)$/i.exec(part)
+  const inField = /(?:\bin\s+|\(\s*)(?!(?:first class\s+)?hon)([^()]+?)\)?$/i.exec(part)
+  const ofField = /\bof\s+(?:arts|science|sciences)?\s*(?:\(([^)]+)\)|(.+))$/i.exec(part)
+  const fieldOfStudy = cleanPart(major?.[1] || inField?.[1] || ofField?.[1] || ofField?.[2] || '')
+
+  return {
+    degreeType: field(degree[0], 'high'),
+    fieldOfStudy: field(fieldOfStudy, major || inField ? 'high' : fieldOfStudy ? 'medium' : 'low')
+  }
+}
+
+const parseEducationEntry = (entry) => {
+  const text = [...entry.heading, ...entry.body].join('\n')
+  // "Parramatta High School" names the school; prefer a part that is only a qualification
+  const degreePart = entry.heading.find(part => parseDegree(part) && !INSTITUTION_WORDS.test(part)) ||
+    entry.heading.find(part => parseDegree(part))
+  const degree = degreePart ? parseDegree(degreePart) : null
+  const location = entry.heading.find(part => part !== degreePart && (LOCATION_PART.test(part) || AU_LOCATION.test(part)))
+
+  let institution = entry.heading.find(part => part !== degreePart && INSTITUTION_WORDS.test(part))
+  const institutionConfidence = institution ? 'high' : 'medium'
+  institution = cleanPart(institution || entry.heading.find(part => part !== degreePart && part !== location) || '')
+
+  const gpa = /\b(GPA|WAM|Grade Point Average|Weighted Average Mark)\s*(?:of|:|-)?\s*(\d+(?:\.\d+)?(?:\s*\/\s*\d+(?:\.\d+)?)?)/i.exec(text)
+  const { bullets, prose } = bodyFields(entry.body.filter(line => !gpa || !line.includes(gpa[0])))
+
+  const fields = {
+    institutionName: field(institution, institution ? institutionConfidence : 'low'),
+    degreeType: degree?.degreeType || field('', 'low'),
+    fieldOfStudy: degree?.fieldOfStudy || field('', 'low'),
+    location: field(location || '', location ? 'medium' : 'low'),
+    gpa: field(gpa ? (/wam|weighted/i.test(gpa[1]) ? `WAM ${gpa[2]}` : gpa[2]) : '', gpa ? 'high' : 'low'),
+    achievements: field(bullets.join('\n'), 'medium'),
+    description: field(prose.join(' '), 'medium')
+  }
+  if (entry.dates) Object.assign(fields, datesOnly(entry.dates))
+  return { fields }
+}
+
+const splitSkillItems = (text) => text
+  .split(/\s*[,;•·|\t]\s*|\s+[–-]\s+/)
+  .map(item => stripBullet(item).replace(/\.$/, ''))
+  .filter(item => item && item.length <= 60)
+
+const skillCategoryForLabel = (label) => {
+  if (/programming|coding/i.test(label)) return 'technical'
+  if (/language/i.test(label)) return 'languages'
+  if (/soft|interpersonal|personal|transferable/i.test(label)) return 'soft'
+  if (/certif|licen/i.test(label)) return 'certifications'
+  if (/technical|tools|software|frameworks|technolog|computer|platforms|systems|databases/i.test(label)) return 'technical'
+  return null
+}
+
+const classifySkill = (item) => {
+  if (SOFT_SKILLS.has(item.toLowerCase())) return 'soft'
+  if (LANGUAGES.test(item)) return 'languages'
+  return 'technical'
+}
+
+const parseSkills = (sections) => {
+  const found = { technical: [], soft: [], languages: [], certifications: [] }
+  const confidence = { technical: 'high', soft: 'high', languages: 'high', certifications: 'high' }
+  const add = (category, items, itemConfidence) => {
+    items.forEach(item => {
+      if (!found[category].some(existing => existing.toLowerCase() === item.toLowerCase())) found[category].push(item)
+    })
+    if (items.length > 0 && itemConfidence === 'medium') confidence[category] = 'medium'
+  }
+
+  ;(sections.skills || []).forEach(line => {
+    const labelled = /^([^:]{2,40}):\s*(.+)$/.exec(stripBullet(line))
+    const category = labelled && skillCategoryForLabel(labelled[1])
+    if (category) {
+      add(category, splitSkillItems(labelled[2]), 'high')
+      return
+    }
+    splitSkillItems(labelled ? labelled[2] : line).forEach(item => add(classifySkill(item), [item], 'medium'))
+  })
+  ;(sections.languages || []).forEach(line => add('languages', splitSkillItems(line), 'high'))
+  ;(sections.certifications || []).forEach(line => add('certifications', [stripBullet(line)], 'high'))
+
+  return Object.fromEntries(
+    Object.entries(found)
+      .filter(([, items]) => items.length > 0)
+      .map(([category, items]) => [category, field(items, confidence[category])])
+  )
+}
+
+const parseContact = (sections, text) => {
+  const header = sections.header.join('\n')
+  const info = {}
+
+  const email = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i.exec(text)
+  if (email) info.email = field(email[0], 'high')
+
+  const phoneCandidates = [...(header + '\n' + text).matchAll(/(?:\+?\(?\d[\d\s().-]{7,}\d)/g)]
+    .map(match => match[0].trim())
+    .filter(value => {
+      const digits = value.replace(/\D/g, '')
+      return digits.length >= 8 && digits.length <= 15 && !/^(19|20)\d{2}\s*[-–]\s*(19|20)\d{2}$/.test(value)
+    })
+  if (phoneCandidates.length > 0) {
+    info.phone = field(phoneCandidates[0], /^(\+|0|\(0)/.test(phoneCandidates[0]) ? 'high' : 'medium')
+  }
+
+  const linkedin = /(?:https?:\/\/)?(?:[a-z]{2,3}\.)?linkedin\.com\/in\/[\w%-]+\/?/i.exec(text)
+  if (linkedin) info.linkedinUrl = field(linkedin[0].startsWith('http') ? linkedin[0] : `https://${linkedin[0]}`, 'high')
+
+  const github = /(?:https?:\/\/)?(?:www\.)?github\.com\/[\w-]+/i.exec(text)
+  if (github) info.githubUrl = field(github[0].startsWith('http') ? github[0] : `https://${github[0]}`, 'high')
+
+  const portfolio = [...header.matchAll(/(?:https?:\/\/|www\.)[^\s,;|]+/gi)]
+    .map(match => match[0])
+    .find(url => !/linkedin\.com|github\.com/i.test(url))
+  if (portfolio) info.portfolioUrl = field(portfolio.startsWith('http') ? portfolio : `https://${portfolio}`, 'medium')
+
+  // The name is normally the first line: a few capitalised words, nothing else
+  const nameIndex = sections.header.slice(0, 5).findIndex(line =>
+    /^[A-Za-zÀ-ÿ][A-Za-zÀ-ÿ'.-]*(?:\s+[A-Za-zÀ-ÿ][A-Za-zÀ-ÿ'.-]*){1,3}$/.test(line) && !TITLE_WORDS.test(line)
+  )
+  if (nameIndex !== -1) {
+    const name = sections.header[nameIndex]
+    const formatted = name === name.toUpperCase() ? name.toLowerCase().replace(/\b\w/g, c => c.toUpperCase()) : name
+    info.fullName = field(formatted, nameIndex === 0 ? 'high' : 'medium')
+  }
+
+  const location = AU_LOCATION.exec(header)
+  if (location) {
+    info.city = field(location[1], 'medium')
+    info.state = field(location[2], 'high')
+    if (location[3]) info.postalCode = field(location[3], 'high')
+    info.country = field('Australia', 'medium')
+  }
+
+  if (sections.summary?.length) {
+    info.professionalSummary = field(sections.summary.join(' '), 'high')
+  } else {
+    // Unlabelled profile paragraphs sit under the contact lines
+    const paragraph = sections.header.find(line => line.length > 120)
+    if (paragraph) info.professionalSummary = field(paragraph, 'low')
+  }
+
+  return info
+}
+
+/**
+ * Parse plain resume text (see extractDocumentText) into form fields.
+ * Returns { personalInfo, education, experience, skills, warnings } where
+ * each field is { value, confidence }.
+ */
+export const parseResumeText = (text) => {
+  const sections = splitSections(text || '')
+  const warnings = []
+
+  const experience = splitEntries(sections.experience || [], false)
+    .map(parseExperienceEntry)
+    .filter(entry => entry.fields.jobTitle.value || entry.fields.companyName.value)
+  const education = splitEntries(sections.education || [], true)
+    .map(parseEducationEntry)
+    .filter(entry => entry.fields.institutionName.value || entry.fields.degreeType.value)
+
+  const result = {
+    personalInfo: parseContact(sections, text || ''),
+    education,
+    experience,
+    skills: parseSkills(sections),
+    warnings
+  }
+
+  if (!sections.experience) warnings.push('No work experience section was found.')
+  if (!sections.education) warnings.push('No education section was found.')
+  if (!sections.skills && !sections.languages && !sections.certifications) warnings.push('No skills section was found.')
+  return result
+}
+
+const fieldValues = (fields) => Object.fromEntries(Object.entries(fields).map(([key, { value }]) => [key, value]))
+
+/**
+ * Merge a reviewed import into the builder form. `imported` is the parser
+ * output with `include` flags set by the user: on personal info fields,
+ * education/experience entries and skill categories.
+ */
+export const applyImportedResume = (formData, imported) => {
+  const personalInfo = { ...formData.personalInfo }
+  Object.entries(imported.personalInfo).forEach(([key, item]) => {
+    if (item.include && item.value) personalInfo[key] = item.value
+  })
+
+  const entries = (items, defaults) => items
+    .filter(entry => entry.include)
+    .map(entry => ({ id: Date.now() + Math.random(), ...defaults, ...fieldValues(entry.fields) }))
+
+  const skills = { ...formData.skills }
+  Object.entries(imported.skills).forEach(([category, item]) => {
+    if (!item.include) return
+    const existing = skills[category] || []
+    skills[category] = [...existing, ...item.value.filter(skill => !existing.includes(skill))]
+  })
+
+  return {
+    ...formData,
+    personalInfo,
+    education: [...formData.education, ...entries(imported.education, EDUCATION_DEFAULTS)],
+    experience: [...formData.experience, ...entries(imported.experience, EXPERIENCE_DEFAULTS)],
+    skills
+  }
+}
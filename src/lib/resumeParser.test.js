@@ -0,0 +1,133 @@
+import { describe, expect, it } from 'vitest'
+import { applyImportedResume, parseResumeText } from './resumeParser.js'
+
+const RESUME = `PRIYA SHARMA
+Parramatta NSW 2150 | priya.sharma@example.com | 0412 345 678
+linkedin.com/in/priya-sharma
+
+Career Objective
+Commerce student looking for a graduate analyst role.
+
+Work Experience
+Data Analyst Intern | Westpac Group, Sydney NSW
+Dec 2023 - Feb 2024
+• Automated weekly loan reports with Python
+• Cut reconciliation time by 30%
+Barista, Cafe Co Pty Ltd
+2021 - Present
+Casual role around study.
+
+Education & Qualifications
+Bachelor of Commerce (Honours) in Finance, University of Sydney
+2021 - 2024
+• WAM: 78
+Year 12, Parramatta High School
+Completed 2020
+
+Technical Skills
+Programming: Python, SQL
+Teamwork, Excel
+
+Languages
+English, Hindi`
+
+describe('parseResumeText', () => {
+  const parsed = parseResumeText(RESUME)
+  const values = (fields) => Object.fromEntries(Object.entries(fields).map(([key, item]) => [key, item.value]))
+
+  it('reads contact details from the lines above the first heading', () => {
+    expect(values(parsed.personalInfo)).toEqual({
+      fullName: 'Priya Sharma',
+      email: 'priya.sharma@example.com',
+      phone: '0412 345 678',
+      linkedinUrl: 'https://linkedin.com/in/priya-sharma',
+      city: 'Parramatta',
+      state: 'NSW',
+      postalCode: '2150',
+      country: 'Australia',
+      professionalSummary: 'Commerce student looking for a graduate analyst role.'
+    })
+    expect(parsed.personalInfo.professionalSummary.confidence).toBe('high')
+  })
+
+  it('splits experience into one entry per date line with its heading and bullets', () => {
+    expect(parsed.experience.map(entry => values(entry.fields))).toEqual([
+      {
+        jobTitle: 'Data Analyst Intern',
+        companyName: 'Westpac Group',
+        employmentType: 'internship',
+        location: 'Sydney NSW',
+        description: '',
+        achievements: 'Automated weekly loan reports with Python\nCut reconciliation time by 30%',
+        startDate: '2023-12-01',
+        endDate: '2024-02-01',
+        isCurrent: false
+      },
+      {
+        jobTitle: 'Barista',
+        companyName: 'Cafe Co Pty Ltd',
+        employmentType: 'part-time',
+        location: '',
+        description: 'Casual role around study.',
+        achievements: '',
+        startDate: '2021-01-01',
+        endDate: '',
+        isCurrent: true
+      }
+    ])
+    // A bare year is a guess at the month
+    expect(parsed.experience[1].fields.startDate.confidence).toBe('medium')
+  })
+
+  it('recognises heading variants and keeps Honours out of the field of study', () => {
+    const [degree, school] = parsed.education.map(entry => values(entry.fields))
+
+    expect(degree).toMatchObject({
+      institutionName: 'University of Sydney',
+      degreeType: 'bachelor',
+      fieldOfStudy: 'Finance',
+      gpa: 'WAM 78',
+      startDate: '2021-01-01',
+      endDate: '2024-12-01'
+    })
+    expect(school).toMatchObject({ institutionName: 'Parramatta High School', degreeType: 'high-school', endDate: '2020-12-01', isCurrent: false })
+  })
+
+  it('sorts skills by their labels, or by what the skill is', () => {
+    expect(values(parsed.skills)).toEqual({
+      technical: ['Python', 'SQL', 'Excel'],
+      soft: ['Teamwork'],
+      languages: ['English', 'Hindi']
+    })
+    expect(parsed.warnings).toEqual([])
+  })
+
+  it('warns about the sections it could not find', () => {
+    expect(parseResumeText('Jane Doe\nSkills\nExcel').warnings).toEqual([
+      'No work experience section was found.',
+      'No education section was found.'
+    ])
+  })
+})
+
+describe('applyImportedResume', () => {
+  it('adds only the parts the user kept', () => {
+    const form = { personalInfo: { fullName: 'Old Name', email: 'old@example.com' }, education: [], experience: [], skills: { technical: ['Excel'] } }
+    const imported = {
+      personalInfo: { fullName: { value: 'Priya Sharma', include: true }, email: { value: 'new@example.com', include: false } },
+      education: [],
+      experience: [
+        { include: true, fields: { jobTitle: { value: 'Barista' } } },
+        { include: false, fields: { jobTitle: { value: 'Intern' } } }
+      ],
+      skills: { technical: { value: ['Excel', 'SQL'], include: true }, soft: { value: ['Teamwork'], include: false } }
+    }
+
+    const result = applyImportedResume(form, imported)
+
+    expect(result.personalInfo).toEqual({ fullName: 'Priya Sharma', email: 'old@example.com' })
+    expect(result.experience).toHaveLength(1)
+    expect(result.experience[0]).toMatchObject({ jobTitle: 'Barista', employmentType: 'full-time', companyName: '' })
+    expect(result.skills).toEqual({ technical: ['Excel', 'SQL'] })
+  })
+})
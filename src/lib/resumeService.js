@@ -0,0 +1,177 @@
+import { supabase } from './supabase.js'
+
+// Resume Service for database operations - mirrors SOPService
+export class ResumeService {
+
+  // The builder form as stored in resumes.data. Uploaded File objects can't
+  // be serialised, so only the file name is kept.
+  static toRecordData(formData) {
+    const { uploadedFile, ...setup } = formData.setup || {}
+    return {
+      ...formData,
+      setup: { ...setup, uploadedFile: null, uploadedFileName: uploadedFile?.name || setup.uploadedFileName || null }
+    }
+  }
+
+  // Save or update a resume
+  static async saveResume(resumeData, userId) {
+    try {
+      const resumeRecord = {
+        user_id: userId,
+        title: resumeData.title || resumeData.formData.setup?.resumeTitle || 'My Resume',
+        template: resumeData.formData.setup?.template || 'modern',
+        data: this.toRecordData(resumeData.formData),
+        updated_at: new Date().toISOString()
+      }
+
+      let result
+      if (resumeData.id) {
+        // Update existing resume
+        result = await supabase
+          .from('resumes')
+          .update(resumeRecord)
+          .eq('id', resumeData.id)
+          .eq('user_id', userId)
+          .select()
+      } else {
+        // Create new resume
+        result = await supabase
+          .from('resumes')
+          .insert([resumeRecord])
+          .select()
+      }
+
+      const { data, error } = result
+
+      if (error) {
+        console.error('Error saving resume:', error)
+        return { success: false, error: error.message }
+      }
+
+      return { success: true, data: data[0] }
+    } catch (error) {
+      console.error('Error in saveResume:', error)
+      return { success: false, error: error.message }
+    }
+  }
+
+  // Get user's resumes, most recently edited first
+  static async getUserResumes(userId) {
+    try {
+      const { data, error } = await supabase
+        .from('resumes')
+        .select('*')
+        .eq('user_id', userId)
+        .order('updated_at', { ascending: false })
+
+      if (error) {
+        console.error('Error fetching user resumes:', error)
+        return { success: false, error: error.message, data: [] }
+      }
+
+      return { success: true, data: data || [] }
+    } catch (error) {
+      console.error('Error in getUserResumes:', error)
+      return { success: false, error: error.message, data: [] }
+    }
+  }
+
+  // Copy a resume into a variant tailored to one course or job. Variants of
+  // a variant still point at the original master.
+  static async cloneResume(sourceId, userId, { title, targetType, targetName }) {
+    try {
+      const { data: source, error: sourceError } = await supabase
+        .from('resumes')
+        .select('*')
+        .eq('id', sourceId)
+        .eq('user_id', userId)
+        .single()
+
+      if (sourceError || !source) {
+        console.error('Error fetching resume to clone:', sourceError)
+        return { success: false, error: sourceError?.message || 'Resume not found' }
+      }
+
+      const variantTitle = title || `${source.title} - ${targetName}`
+      const { data, error } = await supabase
+        .from('resumes')
+        .insert([{
+          user_id: userId,
+          title: variantTitle,
+          parent_id: source.parent_id || source.id,
+          target_type: targetType,
+          target_name: targetName,
+          template: source.template,
+          data: {
+            ...source.data,
+            setup: {
+              ...source.data?.setup,
+              resumeTitle: variantTitle,
+              // Job variants are analysed against the job they target
+              targetRole: targetType === 'job' ? targetName : source.data?.setup?.targetRole
+            }
+          }
+        }])
+        .select()
+        .single()
+
+      if (error) {
+        console.error('Error cloning resume:', error)
+        return { success: false, error: error.message }
+      }
+
+      return { success: true, data }
+    } catch (error) {
+      console.error('Error in cloneResume:', error)
+      return { success: false, error: error.message }
+    }
+  }
+
+  // Remember the latest ATS analysis for this resume
+  static async saveATSAnalysis(resumeId, userId, analysis, targetRole) {
+    try {
+      const { data, error } = await supabase
+        .from('resumes')
+        .update({
+          ats_analysis: analysis,
+          ats_target_role: targetRole,
+          ats_analyzed_at: new Date().toISOString()
+        })
+        .eq('id', resumeId)
+        .eq('user_id', userId)
+        .select()
+        .single()
+
+      if (error) {
+        console.error('Error saving ATS analysis:', error)
+        return { success: false, error: error.message }
+      }
+
+      return { success: true, data }
+    } catch (error) {
+      console.error('Error in saveATSAnalysis:', error)
+      return { success: false, error: error.message }
+    }
+  }
+
+  // Delete resume. Its variants become standalone resumes.
+  static async deleteResume(resumeId, userId) {
+    try {
+      const { error } = await supabase
+        .from('resumes')
+        .delete()
+        .eq('id', resumeId)
+        .eq('user_id', userId)
+
+      if (error) {
+        console.error('Error deleting resume:', error)
+        return { success: false, error: error.message }
+      }
+
+      return { success: true }
+    } catch (error) {
+      console.error('Error in deleteResume:', error)
+      return { success: false, error: error.message }
+    }
+  }
+}
@@ -0,0 +1,303 @@
+// Scholarship eligibility rules. Each scholarship stores a list of criteria
+// (scholarships.eligibility_criteria, see scholarship_criteria_schema.sql),
+// authored by admins in the scholarship management page and evaluated
+// against the eligibility checker's student profile:
+//
+//   { type: 'gpa', min: 5, scale: '7.0' }           GPA of at least min on scale
+//   { type: 'atar', min: 80 }                       ATAR (equivalent) of at least min
+//   { type: 'citizenship', anyOf: ['Australian'] }  one of the listed statuses
+//   { type: 'field', keywords: ['engineering'] }    field of study mentions one
+//   { type: 'indigenous' }                          Aboriginal or Torres Strait Islander
+//   { type: 'first_generation' }                    first in family at university
+//   { type: 'income_band', max: '60k_80k' }         household income at most max
+//   { type: 'age', min: 17, max: 25 }               either bound may be left out
+//   { type: 'state', anyOf: ['NSW', 'ACT'] }        one of the listed states
+//
+// Every criterion must be met. A criterion the profile doesn't answer yet is
+// unknown rather than failed, which makes the scholarship partially eligible
+// until the student fills it in.
+
+import { MAX_ATAR } from './atarEngine.js'
+import { formatRange } from './qualificationConverter.js'
+
+export const CRITERION_TYPES = {
+  gpa: 'Minimum GPA',
+  atar: 'Minimum ATAR',
+  citizenship: 'Citizenship',
+  field: 'Field of study',
+  indigenous: 'Indigenous status',
+  first_generation: 'First in family',
+  income_band: 'Household income',
+  age: 'Age',
+  state: 'State'
+}
+
+export const GPA_SCALES = ['4.0', '7.0', '100']
+
+export const CITIZENSHIP_OPTIONS = ['Australian', 'Permanent Resident', 'New Zealand', 'International']
+
+export const STATE_OPTIONS = ['NSW', 'VIC', 'QLD', 'WA', 'SA', 'TAS', 'ACT', 'NT']
+
+// Lowest first, matching the eligibility checker's householdIncome values
+export const INCOME_BANDS = [
+  { value: 'under_20k', label: 'Under $20,000' },
+  { value: '20k_40k', label: '$20,000 - $40,000' },
+  { value: '40k_60k', label: '$40,000 - $60,000' },
+  { value: '60k_80k', label: '$60,000 - $80,000' },
+  { value: '80k_100k', label: '$80,000 - $100,000' },
+  { value: 'over_100k', label: 'Over $100,000' }
+]
+
+export const ELIGIBILITY_STATUSES = {
+  eligible: 'Eligible',
+  partially_eligible: 'Partially Eligible',
+  not_eligible: 'Not Eligible'
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value)
+
+const isBlank = (value) => value == null || String(value).trim() === ''
+
+const incomeIndex = (band) => INCOME_BANDS.findIndex(item => item.value === band)
+
+const incomeLabel = (band) => INCOME_BANDS[incomeIndex(band)]?.label || band
+
+// GPAs are converted between scales proportionally - close enough to screen
+// on, though a provider's own conversion table has the final say
+export const convertGpa = (gpa, fromScale, toScale) => (gpa / Number(fromScale)) * Number(toScale)
+
+const formatGpa = (value, scale) => (scale === '100' ? Math.round(value).toString() : value.toFixed(1))
+
+const listText = (items) => (items.length > 1 ? `${items.slice(0, -1).join(', ')} or ${items[items.length - 1]}` : items[0] || '')
+
+const ageText = ({ min, max }) => {
+  if (isNumber(min) && isNumber(max)) return `aged ${min} to ${max}`
+  if (isNumber(min)) return `aged ${min} or over`
+  return `aged ${max} or under`
+}
+
+// One-line summary of a criterion, for the admin list and requirement badges
+export const describeCriterion = (criterion) => {
+  switch (criterion.type) {
+    case 'gpa': return `GPA of at least ${criterion.min} out of ${criterion.scale}`
+    case 'atar': return `ATAR of at least ${criterion.min}`
+    case 'citizenship': return `${listText(criterion.anyOf || [])} students`
+    case 'field': return `Studying ${criterion.label || listText(criterion.keywords || [])}`
+    case 'indigenous': return 'Aboriginal or Torres Strait Islander students'
+    case 'first_generation': return 'First in family to attend university'
+    case 'income_band': return `Household income of ${incomeLabel(criterion.max)} or less`
+    case 'age': return `Students ${ageText(criterion)}`
+    case 'state': return `Living in ${listText(criterion.anyOf || [])}`
+    default: return `Unknown criterion: ${criterion.type}`
+  }
+}
+
+const result = (criterion, status, reason, suggestion = null) => ({
+  type: criterion.type,
+  label: CRITERION_TYPES[criterion.type] || criterion.type,
+  description: describeCriterion(criterion),
+  status,
+  reason,
+  suggestion
+})
+
+/**
+ * One criterion against the student profile. status is met, unmet or
+ * unknown (the profile doesn't say), with the reason in words and, where
+ * the student can do something about it, a suggestion.
+ */
+export const evaluateCriterion = (criterion, profile) => {
+  switch (criterion.type) {
+    case 'gpa': {
+      const gpa = Number(profile.gpa)
+      if (isBlank(profile.gpa) || Number.isNaN(gpa)) {
+        return result(criterion, 'unknown', 'No GPA in your profile', 'Add your GPA to your profile')
+      }
+      const scale = profile.gpaScale || '7.0'
+      const converted = convertGpa(gpa, scale, criterion.scale)
+      const yours = scale === criterion.scale
+        ? `Your GPA of ${gpa}/${scale}`
+        : `Your GPA of ${gpa}/${scale} (about ${formatGpa(converted, criterion.scale)}/${criterion.scale})`
+      if (converted >= criterion.min) {
+        return result(criterion, 'met', `${yours} meets the minimum of ${criterion.min}/${criterion.scale}`)
+      }
+      return result(
+        criterion,
+        'unmet',
+        `${yours} is below the minimum of ${criterion.min}/${criterion.scale}`,
+        `Raise your GPA to at least ${formatGpa(convertGpa(criterion.min, criterion.scale, scale), scale)}/${scale}`
+      )
+    }
+
+    // Checked against the low end of the profile's ATAR equivalent, so a
+    // range only meets the minimum if all of it does
+    case 'atar': {
+      const equivalent = profile.atarEquivalent
+      if (!isNumber(equivalent?.low)) {
+        return result(criterion, 'unknown', 'No ATAR equivalent in your profile', 'Add your ATAR equivalent to your profile')
+      }
+      const yours = `Your ATAR equivalent of ${formatRange(equivalent)}`
+      if (equivalent.low >= criterion.min) {
+        return result(criterion, 'met', `${yours} meets the minimum of ${criterion.min}`)
+      }
+      return equivalent.high >= criterion.min
+        ? result(criterion, 'unmet', `${yours} only reaches the minimum of ${criterion.min} at its top end`)
+        : result(criterion, 'unmet', `${yours} is below the minimum of ${criterion.min}`)
+    }
+
+    case 'citizenship':
+    case 'state': {
+      const field = criterion.type === 'state' ? 'locationState' : 'citizenshipStatus'
+      const noun = criterion.type === 'state' ? 'state' : 'citizenship status'
+      const value = profile[field]
+      if (isBlank(value)) {
+        return result(criterion, 'unknown', `No ${noun} in your profile`, `Add your ${noun} to your profile`)
+      }
+      return (criterion.anyOf || []).includes(value)
+        ? result(criterion, 'met', `${value} is an eligible ${noun}`)
+        : result(criterion, 'unmet', `Open to ${listText(criterion.anyOf || [])} only (you: ${value})`)
+    }
+
+    case 'field': {
+      if (isBlank(profile.fieldOfStudy)) {
+        return result(criterion, 'unknown', 'No field of study in your profile', 'Add your field of study to your profile')
+      }
+      const field = profile.fieldOfStudy.toLowerCase()
+      const keyword = (criterion.keywords || []).find(item => field.includes(item.toLowerCase()))
+      return keyword
+        ? result(criterion, 'met', `${profile.fieldOfStudy} matches ${criterion.label || keyword}`)
+        : result(criterion, 'unmet', `For ${criterion.label || listText(criterion.keywords || [])} students (you: ${profile.fieldOfStudy})`)
+    }
+
+    case 'indigenous':
+      return profile.indigenousStatus
+        ? result(criterion, 'met', 'Aboriginal or Torres Strait Islander status')
+        : result(criterion, 'unmet', 'For Aboriginal or Torres Strait Islander students only')
+
+    case 'first_generation':
+      return profile.firstGeneration
+        ? result(criterion, 'met', 'First in your family to attend university')
+        : result(criterion, 'unmet', 'For students who are first in their family to attend university')
+
+    case 'income_band': {
+      if (incomeIndex(profile.householdIncome) < 0) {
+        return result(criterion, 'unknown', 'No household income in your profile', 'Add your household income to your profile')
+      }
+      return incomeIndex(profile.householdIncome) <= incomeIndex(criterion.max)
+        ? result(criterion, 'met', `Household income of ${incomeLabel(profile.householdIncome)} is within the ${incomeLabel(criterion.max)} limit`)
+        : result(criterion, 'unmet', `Household income must be ${incomeLabel(criterion.max)} or less (you: ${incomeLabel(profile.householdIncome)})`)
+    }
+
+    case 'age': {
+      const age = Number(profile.age)
+      if (isBlank(profile.age) || Number.isNaN(age)) {
+        return result(criterion, 'unknown', 'No age in your profile', 'Add your age to your profile')
+      }
+      const inRange = (!isNumber(criterion.min) || age >= criterion.min) && (!isNumber(criterion.max) || age <= criterion.max)
+      return inRange
+        ? result(criterion, 'met', `Age ${age} is within the limit`)
+        : result(criterion, 'unmet', `For students ${ageText(criterion)} (you: ${age})`)
+    }
+
+    default:
+      return result(criterion, 'unknown', `This scholarship has a criterion the checker doesn't understand (${criterion.type})`)
+  }
+}
+
+/**
+ * Every criterion of a scholarship against the profile. Any unmet
+ * criterion makes it not_eligible; otherwise any unknown one makes it
+ * partially_eligible. score is the share of criteria met, unknowns
+ * counting half.
+ */
+export const evaluateCriteria = (criteria = [], profile) => {
+  const results = criteria.map(criterion => evaluateCriterion(criterion, profile))
+  const count = (status) => results.filter(item => item.status === status).length
+
+  let status = 'eligible'
+  if (count('unmet') > 0) status = 'not_eligible'
+  else if (count('unknown') > 0) status = 'partially_eligible'
+
+  return {
+    status,
+    score: results.length > 0 ? Math.round(((count('met') + count('unknown') / 2) / results.length) * 100) : 100,
+    results
+  }
+}
+
+/**
+ * A scholarships row evaluated into the shape the eligibility checker's
+ * results list renders.
+ */
+export const scholarshipEligibility = (scholarship, profile) => {
+  const { status, score, results } = evaluateCriteria(scholarship.eligibility_criteria || [], profile)
+
+  return {
+    scholarshipId: String(scholarship.id),
+    scholarshipName: scholarship.name,
+    provider: scholarship.provider,
+    amount: Number(scholarship.amount) || 0,
+    eligibilityStatus: status,
+    eligibilityScore: score,
+    criteria: results,
+    matchReasons: results.length > 0
+      ? results.filter(item => item.status === 'met').map(item => item.reason)
+      : ['Open to all students'],
+    missingCriteria: results.filter(item => item.status !== 'met').map(item => item.reason),
+    improvementSuggestions: results.map(item => item.suggestion).filter(Boolean),
+    deadline: scholarship.deadline,
+    tags: scholarship.tags || [scholarship.scholarship_type].filter(Boolean)
+  }
+}
+
+/**
+ * Problems with a criteria list before it is saved, as messages for the
+ * admin editor. An empty list means it can be saved.
+ */
+export const validateCriteria = (criteria) => {
+  const errors = []
+
+  criteria.forEach((criterion, index) => {
+    const row = `Criterion ${index + 1}`
+    switch (criterion.type) {
+      case 'gpa':
+        if (!GPA_SCALES.includes(criterion.scale)) errors.push(`${row}: GPA scale must be one of ${GPA_SCALES.join(', ')}`)
+        else if (!isNumber(criterion.min) || criterion.min <= 0 || criterion.min > Number(criterion.scale)) {
+          errors.push(`${row}: minimum GPA must be above 0 and at most ${criterion.scale}`)
+        }
+        break
+      case 'atar':
+        if (!isNumber(criterion.min) || criterion.min <= 0 || criterion.min > MAX_ATAR) {
+          errors.push(`${row}: minimum ATAR must be above 0 and at most ${MAX_ATAR}`)
+        }
+        break
+      case 'citizenship':
+      case 'state': {
+        const options = criterion.type === 'state' ? STATE_OPTIONS : CITIZENSHIP_OPTIONS
+        if (!criterion.anyOf?.length) errors.push(`${row}: choose at least one ${criterion.type === 'state' ? 'state' : 'citizenship status'}`)
+        else if (!criterion.anyOf.every(value => options.includes(value))) errors.push(`${row}: unknown value in ${criterion.anyOf.join(', ')}`)
+        break
+      }
+      case 'field':
+        if (!criterion.keywords?.some(keyword => keyword.trim())) errors.push(`${row}: add at least one field of study keyword`)
+        break
+      case 'income_band':
+        if (incomeIndex(criterion.max) < 0) errors.push(`${row}: choose the highest eligible income band`)
+        break
+      case 'age':
+        if (!isNumber(criterion.min) && !isNumber(criterion.max)) errors.push(`${row}: set a minimum or maximum age`)
+        else if (isNumber(criterion.min) && isNumber(criterion.max) && criterion.min > criterion.max) errors.push(`${row}: minimum age is above the maximum`)
+        break
+      case 'indigenous':
+      case 'first_generation':
+        break
+      default:
+        errors.push(`${row}: unknown criterion type ${criterion.type}`)
+    }
+  })
+
+  const types = criteria.map(criterion => criterion.type)
+  if (new Set(types).size !== types.length) errors.push('Each kind of criterion can only be used once')
+
+  return errors
+}
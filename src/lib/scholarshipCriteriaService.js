@@ -0,0 +1,62 @@
+import { supabase } from './supabase.js'
+import { validateCriteria } from './scholarshipCriteria.js'
+
+// Eligibility criteria on scholarships (scholarships.eligibility_criteria)
+export class ScholarshipCriteriaService {
+
+  // Active scholarships for the eligibility checker; the admin editor
+  // passes includeInactive
+  static async getScholarships({ includeInactive = false } = {}) {
+    try {
+      let query = supabase
+        .from('scholarships')
+        .select('*')
+        .order('name', { ascending: true })
+      if (!includeInactive) query = query.eq('is_active', true)
+
+      const { data, error } = await query
+
+      if (error) {
+        console.error('Error fetching scholarships:', error)
+        return { success: false, error: error.message, data: [] }
+      }
+
+      return { success: true, data: data || [] }
+    } catch (error) {
+      console.error('Error in getScholarships:', error)
+      return { success: false, error: error.message, data: [] }
+    }
+  }
+
+  static async saveCriteria(scholarshipId, criteria) {
+    const errors = validateCriteria(criteria)
+    if (errors.length > 0) {
+      return { success: false, error: errors.join('. ') }
+    }
+
+    try {
+      const { data, error } = await supabase
+        .from('scholarships')
+        .update({ eligibility_criteria: criteria, updated_at: new Date().toISOString() })
+        .eq('id', scholarshipId)
+        .select()
+
+      if (error) {
+        console.error('Error saving scholarship criteria:', error)
+        return { success: false, error: error.message }
+      }
+
+      // RLS skips the update without an error when the admin portal has no
+      // admin Supabase session (see AdminAuthContext)
+      if (!data?.length) {
+        console.error('Scholarship criteria not saved: no row updated for scholarship', scholarshipId)
+        return { success: false, error: 'Not saved: your admin account could not be verified with the database. Sign out and sign in again.' }
+      }
+
+      return { success: true, data: data[0] }
+    } catch (error) {
+      console.error('Error in saveCriteria:', error)
+      return { success: false, error: error.message }
+    }
+  }
+}
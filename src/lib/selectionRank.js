@@ -0,0 +1,148 @@
+// Selection ranks: the ATAR plus the adjustment points a university awards,
+// which is what admission actually compares against a course's cutoff.
+//
+// Schemes are stored per university (university_adjustment_schemes, see
+// adjustment_schemes_schema.sql). Subject and language bonuses are worked
+// out from the student's subjects; regional, equity and elite-athlete
+// schemes depend on circumstances the student declares.
+//
+// Scheme criteria by category:
+//   subject    { subjects: [names], min_grade }  points per qualifying
+//              subject, up to the scheme's max_points
+//   language   { min_grade, subjects? }  any library language subject (or
+//              one listed) at min_grade, or a declared language
+//   regional, equity, elite_athlete  no criteria - the declaration is enough
+
+import { getSubject, GRADE_MARKS, isWithinReach, MAX_ATAR } from './atarEngine.js'
+
+export const ADJUSTMENT_CATEGORIES = {
+  subject: 'Subject bonus',
+  language: 'Language bonus',
+  regional: 'Regional',
+  equity: 'Equity',
+  elite_athlete: 'Elite athlete'
+}
+
+// Circumstances a student can declare. fromSubjects ones are only asked
+// for when there are no subjects to work them out from.
+export const CIRCUMSTANCES = [
+  { key: 'regional', category: 'regional', label: 'I live in a regional or remote area' },
+  { key: 'equity', category: 'equity', label: 'I have experienced financial hardship or educational disadvantage' },
+  { key: 'eliteAthlete', category: 'elite_athlete', label: 'I am an elite athlete or performer' },
+  { key: 'language', category: 'language', label: 'I studied a language other than English', fromSubjects: true }
+]
+
+// Combined adjustments are commonly limited to 5 points; a university's row
+// in university_adjustment_caps overrides this
+export const DEFAULT_ADJUSTMENT_CAP = 5
+
+const round2 = (value) => Math.round(value * 100) / 100
+
+const meetsGrade = (grade, minGrade) => !minGrade || (GRADE_MARKS[grade] ?? 0) >= GRADE_MARKS[minGrade]
+
+/**
+ * Points a scheme gives a student ({ subjects: [{ name, grade }],
+ * circumstances: { regional, ... } }), with why, or null if they don't
+ * qualify.
+ */
+export const schemeAward = (scheme, student) => {
+  const criteria = scheme.criteria || {}
+  const subjects = student.subjects || []
+  const points = Number(scheme.points)
+
+  if (scheme.category === 'subject') {
+    const earned = subjects.filter(subject => criteria.subjects?.includes(subject.name) && meetsGrade(subject.grade, criteria.min_grade))
+    if (earned.length === 0) return null
+    const total = earned.length * points
+    return {
+      points: scheme.max_points != null ? Math.min(total, Number(scheme.max_points)) : total,
+      reason: earned.map(subject => subject.name).join(', ')
+    }
+  }
+
+  if (scheme.category === 'language') {
+    const language = subjects.find(subject => (
+      (getSubject(subject.name)?.category === 'language' || criteria.subjects?.includes(subject.name)) &&
+      meetsGrade(subject.grade, criteria.min_grade)
+    ))
+    if (language) return { points, reason: language.name }
+    return student.circumstances?.language ? { points, reason: 'Language studied' } : null
+  }
+
+  const circumstance = CIRCUMSTANCES.find(item => item.category === scheme.category)
+  return circumstance && student.circumstances?.[circumstance.key] ? { points, reason: circumstance.label } : null
+}
+
+// Group schemes and caps by university for courseEligibility
+export const indexAdjustments = (schemes = [], caps = []) => {
+  const byUniversity = new Map()
+  schemes.forEach(scheme => {
+    const key = String(scheme.university_id)
+    if (!byUniversity.has(key)) byUniversity.set(key, [])
+    byUniversity.get(key).push(scheme)
+  })
+  return {
+    schemes: byUniversity,
+    caps: new Map(caps.map(cap => [String(cap.university_id), Number(cap.max_total_points)]))
+  }
+}
+
+export const EMPTY_ADJUSTMENTS = indexAdjustments()
+
+/**
+ * ATAR plus every adjustment the student qualifies for, limited to the cap
+ * and to the maximum ATAR.
+ */
+export const selectionRank = (atar, schemes, student, cap = DEFAULT_ADJUSTMENT_CAP) => {
+  const adjustments = schemes
+    .map(scheme => {
+      const award = schemeAward(scheme, student)
+      return award ? { schemeId: scheme.id, name: scheme.name, category: scheme.category, ...award } : null
+    })
+    .filter(Boolean)
+  const totalPoints = adjustments.reduce((sum, adjustment) => sum + adjustment.points, 0)
+  const appliedPoints = cap != null ? Math.min(totalPoints, cap) : totalPoints
+
+  return {
+    atar,
+    rank: round2(Math.min(MAX_ATAR, atar + appliedPoints)),
+    adjustments,
+    totalPoints: round2(totalPoints),
+    appliedPoints: round2(appliedPoints),
+    capped: appliedPoints < totalPoints
+  }
+}
+
+/**
+ * A course's cutoff against the student's selection rank at its university.
+ * Each adjustment is marked decisive when the course would be out of reach
+ * without it; shortBy is how far the rank still falls short.
+ */
+export const courseEligibility = (course, atar, index, student) => {
+  const key = String(course.university_id)
+  const cap = index.caps.has(key) ? index.caps.get(key) : DEFAULT_ADJUSTMENT_CAP
+  const result = selectionRank(atar, index.schemes.get(key) || [], student, cap)
+  const eligible = isWithinReach(course, result.rank)
+
+  const rankWithout = (adjustment) => Math.min(MAX_ATAR, atar + Math.min(cap ?? Infinity, result.totalPoints - adjustment.points))
+
+  return {
+    ...result,
+    cutoff: course.atar_cutoff,
+    eligible,
+    eligibleOnAtar: isWithinReach(course, atar),
+    shortBy: eligible || !course.atar_cutoff ? 0 : round2(course.atar_cutoff - result.rank),
+    adjustments: result.adjustments.map(adjustment => ({
+      ...adjustment,
+      decisive: eligible && !isWithinReach(course, rankWithout(adjustment))
+    }))
+  }
+}
+
+// Courses the selection rank reaches, highest cutoff first, each with its
+// eligibility
+export const eligibleCourses = (courses, atar, index, student, limit = 10) => (courses || [])
+  .map(course => ({ course, eligibility: courseEligibility(course, atar, index, student) }))
+  .filter(item => item.eligibility.eligible)
+  .sort((a, b) => b.course.atar_cutoff - a.course.atar_cutoff)
+  .slice(0, limit)
@@ -0,0 +1,76 @@
+import { describe, expect, it } from 'vitest'
+import { courseEligibility, indexAdjustments, schemeAward, selectionRank } from './selectionRank.js'
+
+const SCHEMES = [
+  { id: 1, university_id: 10, name: 'Maths and science', category: 'subject', points: 2, max_points: 3, criteria: { subjects: ['Mathematics (Advanced)', 'Physics', 'Chemistry'], min_grade: 'B' } },
+  { id: 2, university_id: 10, name: 'Languages', category: 'language', points: 2, criteria: { min_grade: 'C' } },
+  { id: 3, university_id: 10, name: 'Regional', category: 'regional', points: 3 }
+]
+
+const student = {
+  subjects: [
+    { name: 'Mathematics (Advanced)', grade: 'A' },
+    { name: 'Physics', grade: 'B' },
+    { name: 'Chemistry', grade: 'C' },
+    { name: 'French', grade: 'C' }
+  ],
+  circumstances: { regional: true }
+}
+
+describe('schemeAward', () => {
+  it('gives subject points per qualifying subject, up to max_points', () => {
+    expect(schemeAward(SCHEMES[0], student)).toEqual({ points: 3, reason: 'Mathematics (Advanced), Physics' })
+    expect(schemeAward({ ...SCHEMES[0], max_points: null }, student).points).toBe(4)
+  })
+
+  it('gives language points for a library language or a declared one', () => {
+    expect(schemeAward(SCHEMES[1], student)).toEqual({ points: 2, reason: 'French' })
+    expect(schemeAward(SCHEMES[1], { subjects: [], circumstances: { language: true } })).toEqual({ points: 2, reason: 'Language studied' })
+    expect(schemeAward(SCHEMES[1], { subjects: [{ name: 'French', grade: 'D' }] })).toBeNull()
+  })
+
+  it('needs the declaration for circumstance schemes', () => {
+    expect(schemeAward(SCHEMES[2], { ...student, circumstances: {} })).toBeNull()
+  })
+})
+
+describe('selectionRank', () => {
+  it('caps the combined adjustments at 5 points by default', () => {
+    const result = selectionRank(85, SCHEMES, student)
+
+    expect(result).toMatchObject({ rank: 90, totalPoints: 8, appliedPoints: 5, capped: true })
+    expect(result.adjustments.map(adjustment => adjustment.schemeId)).toEqual([1, 2, 3])
+  })
+
+  it('applies a university\'s own cap, or none', () => {
+    expect(selectionRank(85, SCHEMES, student, 2)).toMatchObject({ rank: 87, appliedPoints: 2, capped: true })
+    expect(selectionRank(85, SCHEMES, student, null)).toMatchObject({ rank: 93, appliedPoints: 8, capped: false })
+    expect(selectionRank(85, SCHEMES.slice(2), student)).toMatchObject({ rank: 88, appliedPoints: 3, capped: false })
+  })
+
+  it('never goes above the maximum ATAR', () => {
+    expect(selectionRank(98, SCHEMES, student).rank).toBe(99.95)
+  })
+})
+
+describe('courseEligibility', () => {
+  const course = { university_id: 10, atar_cutoff: 89 }
+
+  it('uses the university\'s cap and marks adjustments the course depends on', () => {
+    const index = indexAdjustments(SCHEMES, [{ university_id: 10, max_total_points: 4 }])
+    const result = courseEligibility(course, 85, index, student)
+
+    expect(result).toMatchObject({ rank: 89, eligible: true, eligibleOnAtar: false, shortBy: 0 })
+    // Any one scheme can go: the other two still reach the 4-point cap
+    expect(result.adjustments.map(adjustment => adjustment.decisive)).toEqual([false, false, false])
+
+    const regionalOnly = courseEligibility(course, 86, indexAdjustments(SCHEMES.slice(2)), student)
+    expect(regionalOnly.adjustments[0].decisive).toBe(true)
+  })
+
+  it('falls back to the default cap and reports the shortfall', () => {
+    const result = courseEligibility({ ...course, atar_cutoff: 92 }, 85, indexAdjustments(SCHEMES), student)
+
+    expect(result).toMatchObject({ rank: 90, eligible: false, shortBy: 2 })
+  })
+})
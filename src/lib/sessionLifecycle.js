@@ -0,0 +1,171 @@
+// Session lifecycle state machine.
+// Pure rules shared by the services, the UI (which actions to offer) and the
+// calendar feed (which statuses count as cancelled).
+import { getSessionStart } from './timezone.js'
+
+export const SESSION_STATUSES = [
+  'requested',
+  'confirmed',
+  'rescheduled',
+  'cancelled_by_student',
+  'cancelled_by_counselor',
+  'no_show',
+  'completed'
+]
+
+// Rows written before the lifecycle existed
+const LEGACY_STATUSES = {
+  pending: 'requested',
+  scheduled: 'confirmed'
+}
+
+export const CANCELLED_SESSION_STATUSES = ['cancelled_by_student', 'cancelled_by_counselor', 'cancelled']
+export const TERMINAL_SESSION_STATUSES = [...CANCELLED_SESSION_STATUSES, 'no_show', 'completed']
+
+// Sessions in these states no longer hold a slot on the counselor's calendar
+export const RELEASED_SESSION_STATUSES = CANCELLED_SESSION_STATUSES
+
+const TRANSITIONS = {
+  requested: ['confirmed', 'rescheduled', 'cancelled_by_student', 'cancelled_by_counselor'],
+  confirmed: ['rescheduled', 'cancelled_by_student', 'cancelled_by_counselor', 'no_show', 'completed'],
+  rescheduled: ['confirmed', 'rescheduled', 'cancelled_by_student', 'cancelled_by_counselor', 'no_show', 'completed'],
+  cancelled_by_student: [],
+  cancelled_by_counselor: [],
+  cancelled: [],
+  no_show: [],
+  completed: []
+}
+
+/**
+ * Cutoff windows in hours before the session start. Rescheduling inside the
+ * window is refused; cancelling inside it is allowed but recorded as late.
+ */
+export const CANCELLATION_POLICY = {
+  student: { rescheduleCutoffHours: 24, lateCancellationHours: 24 },
+  counselor: { rescheduleCutoffHours: 4, lateCancellationHours: 4 }
+}
+
+// timing: 'before_start', 'before_cutoff' or 'after_start'
+const SESSION_ACTIONS = {
+  confirm: { label: 'Confirm', actors: ['counselor'], timing: 'before_start' },
+  reschedule: { label: 'Reschedule', actors: ['student', 'counselor'], timing: 'before_cutoff' },
+  cancel: { label: 'Cancel', actors: ['student', 'counselor'], timing: 'before_start' },
+  no_show: { label: 'Mark No-show', actors: ['counselor'], timing: 'after_start' },
+  complete: { label: 'Mark Completed', actors: ['counselor'], timing: 'after_start' }
+}
+
+export const normalizeSessionStatus = (status) => LEGACY_STATUSES[status] || status
+
+export const isCancelledStatus = (status) => CANCELLED_SESSION_STATUSES.includes(status)
+
+export const getSessionActionLabel = (action) => SESSION_ACTIONS[action]?.label || action
+
+export const getTargetStatus = (action, actor) => {
+  switch (action) {
+    case 'confirm': return 'confirmed'
+    case 'reschedule': return 'rescheduled'
+    case 'cancel': return `cancelled_by_${actor}`
+    case 'no_show': return 'no_show'
+    case 'complete': return 'completed'
+    default: return null
+  }
+}
+
+export const canTransition = (from, to) => {
+  return (TRANSITIONS[normalizeSessionStatus(from)] || []).includes(to)
+}
+
+const hoursUntil = (start, now) => (start.getTime() - now.getTime()) / (60 * 60 * 1000)
+
+export const isLateCancellation = (session, actor, now = new Date()) => {
+  const start = getSessionStart(session)
+  if (!start) return false
+  return hoursUntil(start, now) < CANCELLATION_POLICY[actor].lateCancellationHours
+}
+
+/**
+ * Check whether `actor` ('student' or 'counselor') may perform `action` on a
+ * session right now. Returns { allowed, reason, to, isLate }.
+ */
+export const validateSessionAction = (session, action, actor, now = new Date()) => {
+  const definition = SESSION_ACTIONS[action]
+  if (!definition) {
+    return { allowed: false, reason: `Unknown session action: ${action}` }
+  }
+  if (!definition.actors.includes(actor)) {
+    return { allowed: false, reason: `Only the ${definition.actors.join(' or ')} can ${definition.label.toLowerCase()} this session.` }
+  }
+
+  const from = normalizeSessionStatus(session.status)
+  const to = getTargetStatus(action, actor)
+  if (!canTransition(from, to)) {
+    return { allowed: false, reason: `A ${from.replace(/_/g, ' ')} session cannot be changed to ${to.replace(/_/g, ' ')}.` }
+  }
+  // A counselor's own reschedule needs no further confirmation; only a
+  // student's new time waits for the counselor to confirm it
+  if (action === 'confirm' && from === 'rescheduled' && session.last_rescheduled_by !== 'student') {
+    return { allowed: false, reason: 'Only a session the student rescheduled needs confirming.' }
+  }
+
+  const start = getSessionStart(session)
+  if (!start) {
+    return { allowed: false, reason: 'This session has no scheduled time.' }
+  }
+
+  const hoursLeft = hoursUntil(start, now)
+  if (definition.timing === 'after_start' && hoursLeft > 0) {
+    return { allowed: false, reason: 'This can only be recorded once the session has started.' }
+  }
+  if (definition.timing === 'before_start' && hoursLeft <= 0) {
+    return { allowed: false, reason: 'This session has already started.' }
+  }
+  if (definition.timing === 'before_cutoff') {
+    const cutoff = CANCELLATION_POLICY[actor].rescheduleCutoffHours
+    if (hoursLeft < cutoff) {
+      return { allowed: false, reason: `Sessions can only be rescheduled more than ${cutoff} hours in advance.` }
+    }
+  }
+
+  return {
+    allowed: true,
+    reason: null,
+    to,
+    isLate: action === 'cancel' && isLateCancellation(session, actor, now)
+  }
+}
+
+// Actions to offer the actor for this session, in display order
+export const getAvailableSessionActions = (session, actor, now = new Date()) => {
+  return Object.keys(SESSION_ACTIONS).filter(action => validateSessionAction(session, action, actor, now).allowed)
+}
+
+/**
+ * Session counts for dashboard stats
+ */
+export const summarizeSessionCounts = (sessions, now = new Date()) => {
+  const counts = {
+    total_sessions: sessions.length,
+    upcoming_sessions: 0,
+    completed_sessions: 0,
+    cancelled_by_student: 0,
+    cancelled_by_counselor: 0,
+    late_cancellations: 0,
+    no_shows: 0,
+    rescheduled_sessions: 0
+  }
+
+  sessions.forEach(session => {
+    const status = normalizeSessionStatus(session.status)
+    const start = getSessionStart(session)
+
+    if (!TERMINAL_SESSION_STATUSES.includes(status) && start && start > now) counts.upcoming_sessions++
+    if (status === 'completed') counts.completed_sessions++
+    if (status === 'cancelled_by_student') counts.cancelled_by_student++
+    if (status === 'cancelled_by_counselor') counts.cancelled_by_counselor++
+    if (status === 'no_show') counts.no_shows++
+    if (session.is_late_cancellation) counts.late_cancellations++
+    if (session.reschedule_count > 0) counts.rescheduled_sessions++
+  })
+
+  return counts
+}
@@ -0,0 +1,93 @@
+import { describe, expect, it } from 'vitest'
+import {
+  SESSION_STATUSES,
+  canTransition,
+  getAvailableSessionActions,
+  normalizeSessionStatus,
+  validateSessionAction
+} from './sessionLifecycle.js'
+
+const NOW = new Date('2026-03-02T00:00:00Z')
+
+// A session starting `hours` after NOW
+const sessionIn = (hours, fields = {}) => ({
+  status: 'confirmed',
+  scheduled_at: new Date(NOW.getTime() + hours * 60 * 60 * 1000).toISOString(),
+  ...fields
+})
+
+describe('canTransition', () => {
+  it.each([
+    ['requested', ['confirmed', 'rescheduled', 'cancelled_by_student', 'cancelled_by_counselor']],
+    ['confirmed', ['rescheduled', 'cancelled_by_student', 'cancelled_by_counselor', 'no_show', 'completed']],
+    ['rescheduled', ['confirmed', 'rescheduled', 'cancelled_by_student', 'cancelled_by_counselor', 'no_show', 'completed']],
+    ['cancelled_by_student', []],
+    ['cancelled_by_counselor', []],
+    ['no_show', []],
+    ['completed', []]
+  ])('allows %s only to move to %j', (from, allowed) => {
+    SESSION_STATUSES.forEach(to => {
+      expect(canTransition(from, to)).toBe(allowed.includes(to))
+    })
+  })
+
+  it('reads legacy statuses as their lifecycle equivalents', () => {
+    expect(normalizeSessionStatus('pending')).toBe('requested')
+    expect(normalizeSessionStatus('scheduled')).toBe('confirmed')
+    expect(canTransition('scheduled', 'completed')).toBe(true)
+    expect(canTransition('pending', 'completed')).toBe(false)
+  })
+})
+
+describe('validateSessionAction', () => {
+  it('lets only the counselor confirm, mark no-shows and complete', () => {
+    expect(validateSessionAction(sessionIn(48, { status: 'requested' }), 'confirm', 'student', NOW).allowed).toBe(false)
+    expect(validateSessionAction(sessionIn(-1), 'no_show', 'student', NOW).allowed).toBe(false)
+    expect(validateSessionAction(sessionIn(-1), 'complete', 'counselor', NOW)).toMatchObject({ allowed: true, to: 'completed' })
+  })
+
+  it('records cancellations against the actor and flags late ones', () => {
+    expect(validateSessionAction(sessionIn(48), 'cancel', 'student', NOW)).toMatchObject({ allowed: true, to: 'cancelled_by_student', isLate: false })
+    expect(validateSessionAction(sessionIn(12), 'cancel', 'student', NOW)).toMatchObject({ allowed: true, isLate: true })
+    expect(validateSessionAction(sessionIn(12), 'cancel', 'counselor', NOW)).toMatchObject({ allowed: true, to: 'cancelled_by_counselor', isLate: false })
+    expect(validateSessionAction(sessionIn(-1), 'cancel', 'student', NOW).allowed).toBe(false)
+  })
+
+  it('refuses reschedules inside the actor\'s cutoff', () => {
+    expect(validateSessionAction(sessionIn(12), 'reschedule', 'student', NOW).allowed).toBe(false)
+    expect(validateSessionAction(sessionIn(12), 'reschedule', 'counselor', NOW).allowed).toBe(true)
+    expect(validateSessionAction(sessionIn(2), 'reschedule', 'counselor', NOW).allowed).toBe(false)
+  })
+
+  it('only records no-shows and completion once the session has started', () => {
+    expect(validateSessionAction(sessionIn(1), 'complete', 'counselor', NOW).allowed).toBe(false)
+    expect(validateSessionAction(sessionIn(-1), 'no_show', 'counselor', NOW)).toMatchObject({ allowed: true, to: 'no_show' })
+  })
+
+  it('refuses any action on a finished session', () => {
+    expect(validateSessionAction(sessionIn(48, { status: 'cancelled_by_student' }), 'reschedule', 'counselor', NOW).allowed).toBe(false)
+    expect(validateSessionAction(sessionIn(-1, { status: 'completed' }), 'no_show', 'counselor', NOW).allowed).toBe(false)
+  })
+
+  it('lets the counselor confirm a reschedule only when the student made it', () => {
+    const byStudent = sessionIn(48, { status: 'rescheduled', last_rescheduled_by: 'student' })
+    const byCounselor = sessionIn(48, { status: 'rescheduled', last_rescheduled_by: 'counselor' })
+
+    expect(validateSessionAction(byStudent, 'confirm', 'counselor', NOW)).toMatchObject({ allowed: true, to: 'confirmed' })
+    expect(validateSessionAction(byCounselor, 'confirm', 'counselor', NOW).allowed).toBe(false)
+    expect(getAvailableSessionActions(byCounselor, 'counselor', NOW)).not.toContain('confirm')
+  })
+
+  it('needs a scheduled time', () => {
+    expect(validateSessionAction({ status: 'confirmed' }, 'cancel', 'student', NOW)).toMatchObject({ allowed: false })
+  })
+})
+
+describe('getAvailableSessionActions', () => {
+  it('offers each side what it may do right now', () => {
+    const requested = sessionIn(48, { status: 'requested' })
+    expect(getAvailableSessionActions(requested, 'counselor', NOW)).toEqual(['confirm', 'reschedule', 'cancel'])
+    expect(getAvailableSessionActions(requested, 'student', NOW)).toEqual(['reschedule', 'cancel'])
+    expect(getAvailableSessionActions(sessionIn(-1), 'counselor', NOW)).toEqual(['no_show', 'complete'])
+  })
+})
@@ -0,0 +1,220 @@
+// Local similarity checking for SOP drafts - word shingling over hashed
+// five-word windows. Every source text is broken into overlapping shingles
+// and indexed; a draft word is "matched" when it sits inside a shingle that
+// also appears in a source. Runs of matched words long enough to be more than
+// a stock phrase become highlighted passages.
+//
+// Punctuation and case are ignored so light edits (a changed comma, a
+// capital letter) don't hide a copied passage. The sample library and the
+// student's own SOPs are compared in the browser. Other students' SOPs are
+// matched in the database by shingle hash (match_sop_shingles), and those
+// matches are merged in with withRemoteMatches, so their text is never sent
+// to the browser.
+
+export const SHINGLE_SIZE = 5
+
+// Shorter overlaps are usually stock phrases ("I am writing to apply for")
+export const MIN_PASSAGE_WORDS = 12
+
+export const SOURCE_KINDS = {
+  sample: 'Sample library',
+  own: 'Your other SOPs',
+  platform: 'Other students (anonymised)'
+}
+
+// Own SOPs are reported as self-similarity, not counted against originality
+const EXTERNAL_KINDS = ['sample', 'platform']
+
+// Below this originality score a draft is treated as high overlap
+export const HIGH_OVERLAP_BELOW = 75
+
+export const ORIGINALITY_LEVELS = [
+  { min: 90, label: 'Original', color: 'text-green-700 bg-green-50 border-green-200' },
+  { min: HIGH_OVERLAP_BELOW, label: 'Review highlighted passages', color: 'text-yellow-800 bg-yellow-50 border-yellow-200' },
+  { min: 0, label: 'High overlap', color: 'text-red-700 bg-red-50 border-red-200' }
+]
+
+export const originalityLevel = (score) => ORIGINALITY_LEVELS.find(level => score >= level.min)
+
+// Words with their character offsets, so matches can be highlighted in the
+// original text
+export const tokenize = (text) => {
+  const tokens = []
+  for (const match of (text || '').matchAll(/[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu)) {
+    tokens.push({ word: match[0].toLowerCase().replace(/’/g, "'"), start: match.index, end: match.index + match[0].length })
+  }
+  return tokens
+}
+
+// 32-bit FNV-1a
+const hashString = (value) => {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+// One hash per shingle start position
+const shingleHashes = (tokens) => {
+  const hashes = []
+  for (let i = 0; i + SHINGLE_SIZE <= tokens.length; i++) {
+    hashes.push(hashString(tokens.slice(i, i + SHINGLE_SIZE).map(token => token.word).join(' ')))
+  }
+  return hashes
+}
+
+// Shingle hashes of a text in order, as stored in sop_shingles and sent to
+// match_sop_shingles
+export const textShingles = (text) => shingleHashes(tokenize(text))
+
+/**
+ * Index the comparison library. sources: [{ id, kind, label, text }] where
+ * kind is a SOURCE_KINDS key.
+ */
+export const buildSimilarityIndex = (sources) => {
+  const shingles = new Map()
+  const indexed = sources.filter(source => source.text?.trim())
+
+  indexed.forEach((source, sourceIndex) => {
+    for (const hash of shingleHashes(tokenize(source.text))) {
+      if (!shingles.has(hash)) shingles.set(hash, new Set())
+      shingles.get(hash).add(sourceIndex)
+    }
+  })
+
+  return { sources: indexed, shingles }
+}
+
+/**
+ * Add matches found outside the browser to an index. matches is
+ * { [sectionKey]: [{ position, source }] }, where position is a shingle start
+ * in that section's text and source an anonymous number per matching SOP;
+ * total is how many SOPs were searched.
+ */
+export const withRemoteMatches = (index, matches, { kind = 'platform', total = 0 } = {}) => {
+  const sources = [...index.sources]
+  const sourceIndexes = new Map()
+  const remote = new Map()
+
+  Object.entries(matches).forEach(([key, rows]) => {
+    const byPosition = new Map()
+    rows.forEach(({ position, source }) => {
+      if (!sourceIndexes.has(source)) {
+        sourceIndexes.set(source, sources.length)
+        sources.push({ id: `${kind}-${source}`, kind, label: `Another student's SOP #${source}` })
+      }
+      if (!byPosition.has(position)) byPosition.set(position, new Set())
+      byPosition.get(position).add(sourceIndexes.get(source))
+    })
+    remote.set(key, byPosition)
+  })
+
+  return { ...index, sources, remote, totals: { ...index.totals, [kind]: total } }
+}
+
+// Runs of consecutive true values at least minLength long -> [[from, to]]
+const runs = (flags, minLength) => {
+  const result = []
+  let start = -1
+  for (let i = 0; i <= flags.length; i++) {
+    if (i < flags.length && flags[i]) {
+      if (start < 0) start = i
+    } else if (start >= 0) {
+      if (i - start >= minLength) result.push([start, i - 1])
+      start = -1
+    }
+  }
+  return result
+}
+
+const checkSection = (section, index, minWords) => {
+  const tokens = tokenize(section.text)
+  const hashes = shingleHashes(tokens)
+  // Sources behind each shingle start, and which words any shingle covers
+  const remote = index.remote?.get(section.key)
+  const shingleSources = hashes.map((hash, i) => {
+    const local = index.shingles.get(hash)
+    const found = remote?.get(i)
+    if (!found) return local || null
+    return local ? new Set([...local, ...found]) : found
+  })
+  const covered = new Array(tokens.length).fill(false)
+  shingleSources.forEach((sources, i) => {
+    if (sources) covered.fill(true, i, i + SHINGLE_SIZE)
+  })
+
+  const passages = runs(covered, minWords).map(([from, to]) => {
+    const sourceIndexes = new Set()
+    // A run is a union of matched shingles, all of which start inside it
+    for (let i = from; i <= to - SHINGLE_SIZE + 1; i++) {
+      shingleSources[i]?.forEach(sourceIndex => sourceIndexes.add(sourceIndex))
+    }
+    const sources = [...sourceIndexes].map(sourceIndex => index.sources[sourceIndex])
+    return {
+      start: tokens[from].start,
+      end: tokens[to].end,
+      words: to - from + 1,
+      text: section.text.slice(tokens[from].start, tokens[to].end),
+      external: sources.some(source => EXTERNAL_KINDS.includes(source.kind)),
+      sources: sources.map(({ id, kind, label }) => ({ id, kind, label }))
+    }
+  })
+
+  return { key: section.key, label: section.label, text: section.text, words: tokens.length, passages }
+}
+
+// Section text split into plain and highlighted pieces for rendering:
+// [{ text, passage? }]
+export const highlightSegments = (section) => {
+  const segments = []
+  let position = 0
+  section.passages.forEach(passage => {
+    if (passage.start > position) segments.push({ text: section.text.slice(position, passage.start) })
+    segments.push({ text: section.text.slice(passage.start, passage.end), passage })
+    position = passage.end
+  })
+  if (position < section.text.length) segments.push({ text: section.text.slice(position) })
+  return segments
+}
+
+/**
+ * Compare draft sections ([{ key, label, text }]) against an index from
+ * buildSimilarityIndex (and withRemoteMatches). Returns per-section passages, per-source overlap,
+ * an originality score (share of words not found in the sample library or
+ * other students' SOPs) and self-similarity against the student's own SOPs.
+ */
+export const checkSimilarity = (sections, index, { minWords = MIN_PASSAGE_WORDS } = {}) => {
+  const results = sections.map(section => checkSection(section, index, minWords))
+  const totalWords = results.reduce((sum, section) => sum + section.words, 0)
+
+  const wordsFrom = (predicate) => results.reduce((sum, section) => sum + section.passages
+    .filter(predicate)
+    .reduce((total, passage) => total + passage.words, 0), 0)
+
+  const bySource = new Map()
+  results.forEach(section => section.passages.forEach(passage => passage.sources.forEach(source => {
+    const entry = bySource.get(source.id) || { ...source, words: 0, passages: 0 }
+    entry.words += passage.words
+    entry.passages += 1
+    bySource.set(source.id, entry)
+  })))
+
+  const percent = (words) => (totalWords > 0 ? Math.round((words / totalWords) * 100) : 0)
+  const externalWords = wordsFrom(passage => passage.external)
+  const ownWords = wordsFrom(passage => passage.sources.some(source => source.kind === 'own'))
+
+  return {
+    sections: results,
+    totalWords,
+    originality: 100 - percent(externalWords),
+    selfSimilarity: percent(ownWords),
+    sources: [...bySource.values()]
+      .map(source => ({ ...source, overlap: percent(source.words) }))
+      .sort((a, b) => b.words - a.words),
+    comparedAgainst: Object.fromEntries(
+      Object.keys(SOURCE_KINDS).map(kind => [kind, index.totals?.[kind] ?? index.sources.filter(source => source.kind === kind).length])
+    )
+  }
+}
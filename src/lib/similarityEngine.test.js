@@ -0,0 +1,83 @@
+import { describe, expect, it } from 'vitest'
+import {
+  HIGH_OVERLAP_BELOW,
+  buildSimilarityIndex,
+  checkSimilarity,
+  highlightSegments,
+  originalityLevel,
+  textShingles,
+  tokenize,
+  withRemoteMatches
+} from './similarityEngine.js'
+
+// n distinct words starting at w<from>
+const words = (from, n) => Array.from({ length: n }, (_, i) => `w${from + i}`).join(' ')
+
+const section = (text, key = 'intro') => ({ key, label: 'Introduction', text })
+
+describe('tokenize', () => {
+  it('ignores case and punctuation and keeps offsets into the original text', () => {
+    expect(tokenize('I’m keen, REALLY keen.')).toEqual([
+      { word: "i'm", start: 0, end: 3 },
+      { word: 'keen', start: 4, end: 8 },
+      { word: 'really', start: 10, end: 16 },
+      { word: 'keen', start: 17, end: 21 }
+    ])
+  })
+})
+
+describe('checkSimilarity', () => {
+  it('only flags overlaps of at least MIN_PASSAGE_WORDS words', () => {
+    const index = buildSimilarityIndex([{ id: 's1', kind: 'sample', label: 'Sample', text: words(0, 40) }])
+
+    const short = checkSimilarity([section(`${words(0, 11)} ${words(100, 29)}`)], index)
+    const long = checkSimilarity([section(`${words(0, 12)} ${words(100, 28)}`)], index)
+
+    expect(short.sections[0].passages).toEqual([])
+    expect(short.originality).toBe(100)
+    expect(long.sections[0].passages).toHaveLength(1)
+    expect(long.sections[0].passages[0]).toMatchObject({ words: 12, text: words(0, 12), external: true })
+    expect(long.originality).toBe(70)
+  })
+
+  it('matches through changes in case and punctuation', () => {
+    const index = buildSimilarityIndex([{ id: 's1', kind: 'sample', label: 'Sample', text: words(0, 12) }])
+    const edited = words(0, 12).toUpperCase().replace(/ /g, ', ')
+
+    expect(checkSimilarity([section(edited)], index).originality).toBe(0)
+  })
+
+  it('reports reuse of the student\'s own SOPs as self-similarity, not lost originality', () => {
+    const index = buildSimilarityIndex([{ id: 'own-1', kind: 'own', label: 'Old SOP', text: words(0, 20) }])
+    const result = checkSimilarity([section(`${words(0, 20)} ${words(100, 20)}`)], index)
+
+    expect(result.originality).toBe(100)
+    expect(result.selfSimilarity).toBe(50)
+    expect(result.sources).toEqual([{ id: 'own-1', kind: 'own', label: 'Old SOP', words: 20, passages: 1, overlap: 50 }])
+    expect(highlightSegments(result.sections[0]).map(segment => Boolean(segment.passage))).toEqual([true, false])
+  })
+
+  it('treats originality below HIGH_OVERLAP_BELOW as high overlap', () => {
+    expect(originalityLevel(HIGH_OVERLAP_BELOW).label).toBe('Review highlighted passages')
+    expect(originalityLevel(HIGH_OVERLAP_BELOW - 1).label).toBe('High overlap')
+    expect(originalityLevel(90).label).toBe('Original')
+  })
+})
+
+describe('withRemoteMatches', () => {
+  it('merges matches found in the database with the local library', () => {
+    const text = `${words(0, 12)} ${words(100, 8)}`
+    // Shingles starting at 0..7 cover words 0..11
+    const matches = { intro: [0, 1, 2, 3, 4, 5, 6, 7].map(position => ({ position, source: 3 })) }
+    const index = withRemoteMatches(buildSimilarityIndex([]), matches, { total: 42 })
+
+    const result = checkSimilarity([section(text)], index)
+
+    expect(textShingles(text)).toHaveLength(16)
+    expect(result.originality).toBe(40)
+    expect(result.sources.map(source => source.label)).toEqual(["Another student's SOP #3"])
+    expect(result.comparedAgainst).toEqual({ sample: 0, own: 0, platform: 42 })
+    // Matches for another section don't leak into this one
+    expect(checkSimilarity([section(text, 'goals')], index).originality).toBe(100)
+  })
+})
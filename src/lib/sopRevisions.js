@@ -0,0 +1,104 @@
+// SOP revisions: section mapping and section-level diffs between two revisions.
+// Pure helpers shared by SOPService and the revision history UI.
+
+// Builder section key -> sops / sop_revisions column
+export const SOP_SECTIONS = [
+  { key: 'introduction', column: 'introduction', label: 'Introduction' },
+  { key: 'academicBackground', column: 'academic_background', label: 'Academic Background' },
+  { key: 'motivationAndInterest', column: 'motivation_and_interest', label: 'Motivation & Interest' },
+  { key: 'futureGoals', column: 'future_goals', label: 'Future Goals' },
+  { key: 'whyThisUniversity', column: 'why_this_university', label: 'Why This University' },
+  { key: 'conclusion', column: 'conclusion', label: 'Conclusion' }
+]
+
+export const REVISION_SOURCES = {
+  save: 'Saved',
+  ai_generation: 'AI generation',
+  restore: 'Restored'
+}
+
+// { introduction: '...', ... } -> { introduction: '...', academic_background: '...', ... }
+export const sectionsToColumns = (sections = {}) => Object.fromEntries(
+  SOP_SECTIONS.map(section => [section.column, sections[section.key] || ''])
+)
+
+export const columnsToSections = (row = {}) => Object.fromEntries(
+  SOP_SECTIONS.map(section => [section.key, row[section.column] || ''])
+)
+
+export const hasSameContent = (a, b) => Boolean(a && b) &&
+  (a.title || '') === (b.title || '') &&
+  SOP_SECTIONS.every(section => (a[section.column] || '') === (b[section.column] || ''))
+
+const tokenize = (text) => (text || '').split(/(\s+)/).filter(token => token.length > 0)
+
+// Word-level LCS diff. Returns [{ type: 'same' | 'added' | 'removed', text }],
+// merging neighbouring tokens of the same type.
+export const diffWords = (before, after) => {
+  const a = tokenize(before)
+  const b = tokenize(after)
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0))
+
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1])
+    }
+  }
+
+  const chunks = []
+  const push = (type, text) => {
+    const last = chunks[chunks.length - 1]
+    if (last && last.type === type) last.text += text
+    else chunks.push({ type, text })
+  }
+
+  let i = 0
+  let j = 0
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('same', a[i])
+      i++
+      j++
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push('removed', a[i++])
+    } else {
+      push('added', b[j++])
+    }
+  }
+  while (i < a.length) push('removed', a[i++])
+  while (j < b.length) push('added', b[j++])
+
+  return chunks
+}
+
+/**
+ * Compare two revisions section by section.
+ * Each entry: { key, label, status: 'unchanged' | 'added' | 'removed' | 'changed', before, after, chunks }
+ */
+export const diffRevisions = (older, newer) => SOP_SECTIONS.map(section => {
+  const before = older?.[section.column] || ''
+  const after = newer?.[section.column] || ''
+
+  let status = 'changed'
+  if (before === after) status = 'unchanged'
+  else if (!before) status = 'added'
+  else if (!after) status = 'removed'
+
+  return {
+    key: section.key,
+    label: section.label,
+    status,
+    before,
+    after,
+    chunks: status === 'changed' ? diffWords(before, after) : []
+  }
+})
+
+export const describeRevision = (revision) => {
+  if (revision.snapshot_name) return revision.snapshot_name
+  const section = SOP_SECTIONS.find(item => item.key === revision.section_name)
+  return `Revision ${revision.revision_number} · ${REVISION_SOURCES[revision.source] || revision.source}` +
+    (section ? ` (${section.label})` : '')
+}
@@ -1,4 +1,8 @@
 import { supabase } from './supabase.js'
+import { hasSameContent, sectionsToColumns, SOP_SECTIONS } from './sopRevisions.js'
+import { textShingles } from './similarityEngine.js'
+
+const sopText = (row) => SOP_SECTIONS.map(section => row[section.column] || '').join('\n\n')
 
 // SOP Service for database operations
 export class SOPService {
@@ -58,8 +62,9 @@ export class SOPService {
     }
   }
 
-  // Save or update SOP
-  static async saveSOP(sopData, userId) {
+  // Save or update SOP. Every save also records an immutable revision unless
+  // the content is unchanged; pass { revision: false } to skip it.
+  static async saveSOP(sopData, userId, { revision = true } = {}) {
     try {
       const sopRecord = {
         user_id: userId,
@@ -67,12 +72,7 @@ export class SOPService {
         purpose: sopData.purpose || 'university_application',
         target_university: sopData.targetUniversity,
         target_course: sopData.targetCourse,
-        introduction: sopData.sections?.introduction || '',
-        academic_background: sopData.sections?.academicBackground || '',
-        motivation_and_interest: sopData.sections?.motivationAndInterest || '',
-        future_goals: sopData.sections?.futureGoals || '',
-        why_this_university: sopData.sections?.whyThisUniversity || '',
-        conclusion: sopData.sections?.conclusion || '',
+        ...sectionsToColumns(sopData.sections),
         status: sopData.status || 'draft',
         updated_at: new Date().toISOString()
       }
@@ -101,13 +101,193 @@ export class SOPService {
         return { success: false, error: error.message }
       }
 
-      return { success: true, data: data[0] }
+      await this.indexShingles(data[0], userId)
+
+      if (!revision) {
+        return { success: true, data: data[0] }
+      }
+
+      const revisionResult = await this.createRevision(data[0], userId, { source: 'save' })
+      return { success: true, data: data[0], revision: revisionResult.data }
     } catch (error) {
       console.error('Error in saveSOP:', error)
       return { success: false, error: error.message }
     }
   }
 
+  // Append an immutable revision holding the SOP's current content.
+  // Plain saves identical to the latest revision are not recorded again.
+  static async createRevision(sop, userId, { source = 'save', sectionName = null, aiGenerationLogId = null, restoredFromRevisionId = null } = {}) {
+    try {
+      const { data: latest, error: latestError } = await supabase
+        .from('sop_revisions')
+        .select('*')
+        .eq('sop_id', String(sop.id))
+        .order('revision_number', { ascending: false })
+        .limit(1)
+        .maybeSingle()
+
+      if (latestError) throw latestError
+
+      // Nothing worth keeping yet: a first save with every section empty
+      const isEmpty = !latest && SOP_SECTIONS.every(section => !sop[section.column])
+      if (source === 'save' && (isEmpty || hasSameContent(latest, sop))) {
+        return { success: true, data: latest, unchanged: true }
+      }
+
+      const { data, error } = await supabase
+        .from('sop_revisions')
+        .insert([{
+          sop_id: String(sop.id),
+          user_id: userId,
+          revision_number: (latest?.revision_number || 0) + 1,
+          source,
+          section_name: sectionName,
+          ai_generation_log_id: aiGenerationLogId ? String(aiGenerationLogId) : null,
+          restored_from_revision_id: restoredFromRevisionId,
+          title: sop.title,
+          purpose: sop.purpose,
+          target_university: sop.target_university,
+          target_course: sop.target_course,
+          ...Object.fromEntries(SOP_SECTIONS.map(section => [section.column, sop[section.column] || '']))
+        }])
+        .select()
+        .single()
+
+      if (error) {
+        console.error('Error creating SOP revision:', error)
+        return { success: false, error: error.message }
+      }
+
+      return { success: true, data }
+    } catch (error) {
+      console.error('Error in createRevision:', error)
+      return { success: false, error: error.message }
+    }
+  }
+
+  // Newest first
+  static async getRevisions(sopId) {
+    try {
+      const { data, error } = await supabase
+        .from('sop_revisions')
+        .select('*')
+        .eq('sop_id', String(sopId))
+        .order('revision_number', { ascending: false })
+
+      if (error) {
+        console.error('Error fetching SOP revisions:', error)
+        return { success: false, error: error.message, data: [] }
+      }
+
+      return { success: true, data: data || [] }
+    } catch (error) {
+      console.error('Error in getRevisions:', error)
+      return { success: false, error: error.message, data: [] }
+    }
+  }
+
+  // Label a revision as a named snapshot; an empty name clears it
+  static async nameRevision(revisionId, snapshotName) {
+    try {
+      const { data, error } = await supabase
+        .from('sop_revisions')
+        .update({ snapshot_name: snapshotName?.trim() || null })
+        .eq('id', revisionId)
+        .select()
+        .single()
+
+      if (error) {
+        console.error('Error naming SOP revision:', error)
+        return { success: false, error: error.message }
+      }
+
+      return { success: true, data }
+    } catch (error) {
+      console.error('Error in nameRevision:', error)
+      return { success: false, error: error.message }
+    }
+  }
+
+  // Copy a revision back into the SOP. The restore is itself a new revision,
+  // so nothing between the two is lost.
+  static async restoreRevision(revisionId, userId) {
+    try {
+      const { data: revision, error: revisionError } = await supabase
+        .from('sop_revisions')
+        .select('*')
+        .eq('id', revisionId)
+        .single()
+
+      if (revisionError || !revision) {
+        console.error('Error fetching SOP revision:', revisionError)
+        return { success: false, error: revisionError?.message || 'Revision not found' }
+      }
+
+      const { data: sop, error } = await supabase
+        .from('sops')
+        .update({
+          title: revision.title,
+          purpose: revision.purpose,
+          target_university: revision.target_university,
+          target_course: revision.target_course,
+          ...Object.fromEntries(SOP_SECTIONS.map(section => [section.column, revision[section.column] || ''])),
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', revision.sop_id)
+        .eq('user_id', userId)
+        .select()
+        .single()
+
+      if (error) {
+        console.error('Error restoring SOP revision:', error)
+        return { success: false, error: error.message }
+      }
+
+      await this.indexShingles(sop, userId)
+
+      const restored = await this.createRevision(sop, userId, {
+        source: 'restore',
+        restoredFromRevisionId: revision.id
+      })
+
+      return { success: true, data: sop, revision: restored.data }
+    } catch (error) {
+      console.error('Error in restoreRevision:', error)
+      return { success: false, error: error.message }
+    }
+  }
+
+  // Save the draft as it was, apply generated content to one section, log the
+  // generation and record it as its own revision linked to the log entry.
+  // sectionName is a SOP_SECTIONS key.
+  static async recordAIGeneration(sopData, userId, { sectionName, keywords, generatedContent, tokensUsed = null, generationTime = null }) {
+    try {
+      const before = await this.saveSOP(sopData, userId)
+      if (!before.success) return before
+
+      const after = await this.saveSOP({
+        ...sopData,
+        id: before.data.id,
+        sections: { ...sopData.sections, [sectionName]: generatedContent }
+      }, userId, { revision: false })
+      if (!after.success) return after
+
+      const log = await this.logAIGeneration(userId, after.data.id, sectionName, keywords, generatedContent, tokensUsed, generationTime)
+
+      const revision = await this.createRevision(after.data, userId, {
+        source: 'ai_generation',
+        sectionName,
+        aiGenerationLogId: log.data?.id
+      })
+
+      return { success: true, data: after.data, revision: revision.data }
+    } catch (error) {
+      console.error('Error in recordAIGeneration:', error)
+      return { success: false, error: error.message }
+    }
+  }
+
   // Get user's SOPs
   static async getUserSOPs(userId) {
     try {
@@ -129,6 +309,95 @@ export class SOPService {
     }
   }
 
+  // Replace the shingle hashes other students' drafts are matched against
+  // (match_sop_shingles) with the SOP's current content. A failure is only
+  // logged; the SOP itself is already saved.
+  static async indexShingles(sop, userId) {
+    try {
+      const { error: deleteError } = await supabase
+        .from('sop_shingles')
+        .delete()
+        .eq('user_id', userId)
+        .eq('sop_id', String(sop.id))
+
+      if (deleteError) throw deleteError
+
+      const hashes = [...new Set(textShingles(sopText(sop)))]
+      if (hashes.length === 0) return
+
+      const { error } = await supabase
+        .from('sop_shingles')
+        .insert(hashes.map(hash => ({ user_id: userId, sop_id: String(sop.id), hash })))
+
+      if (error) throw error
+    } catch (error) {
+      console.error('Error indexing SOP for the originality check:', error)
+    }
+  }
+
+  // Comparison library for the originality check: the academic samples and
+  // the student's other SOPs, as [{ id, kind, label, text }] for
+  // buildSimilarityIndex. Other students' SOPs are matched separately by
+  // matchPlatformSOPs. A library that fails to load is skipped and listed in
+  // `unavailable`.
+  static async getSimilaritySources(userId, { excludeSopId = null } = {}) {
+    const sources = []
+    const unavailable = []
+
+    const samples = await this.getAcademicSamples()
+    if (samples.success) {
+      samples.data.forEach(sample => sources.push({
+        id: `sample-${sample.id}`,
+        kind: 'sample',
+        label: `Sample: ${[sample.country, sample.education_level].filter(Boolean).join(', ') || 'academic background'}`,
+        text: sample.sample_content
+      }))
+    } else {
+      unavailable.push('sample')
+    }
+
+    if (userId) {
+      const own = await this.getUserSOPs(userId)
+      if (own.success) {
+        own.data
+          .filter(sop => String(sop.id) !== String(excludeSopId))
+          .forEach(sop => sources.push({ id: `own-${sop.id}`, kind: 'own', label: sop.title || 'Untitled SOP', text: sopText(sop) }))
+      } else {
+        unavailable.push('own')
+      }
+    }
+
+    return { success: true, data: sources, unavailable }
+  }
+
+  // Passages of each draft section ([{ key, text }]) found in other students'
+  // SOPs. The database compares shingle hashes and returns only positions and
+  // anonymous source numbers, as { [sectionKey]: [{ position, source }] } for
+  // withRemoteMatches, plus how many SOPs were searched.
+  static async matchPlatformSOPs(sections) {
+    try {
+      const [count, ...matches] = await Promise.all([
+        supabase.rpc('count_sop_similarity_sources'),
+        ...sections.map(section => supabase.rpc('match_sop_shingles', { draft_hashes: textShingles(section.text) }))
+      ])
+
+      const failed = [count, ...matches].find(result => result.error)
+      if (failed) throw failed.error
+
+      return {
+        success: true,
+        data: Object.fromEntries(sections.map((section, index) => [
+          section.key,
+          matches[index].data.map(row => ({ position: row.shingle_position, source: row.source }))
+        ])),
+        total: count.data
+      }
+    } catch (error) {
+      console.error('Error matching SOP against other students:', error)
+      return { success: false, error: error.message, data: {}, total: 0 }
+    }
+  }
+
   // Delete SOP
   static async deleteSOP(sopId, userId) {
     try {
@@ -143,6 +412,12 @@ export class SOPService {
         return { success: false, error: error.message }
       }
 
+      await supabase
+        .from('sop_shingles')
+        .delete()
+        .eq('user_id', userId)
+        .eq('sop_id', String(sopId))
+
       return { success: true }
     } catch (error) {
       console.error('Error in deleteSOP:', error)
@@ -163,16 +438,18 @@ export class SOPService {
         generation_time_ms: generationTime
       }
 
-      const { error } = await supabase
+      const { data, error } = await supabase
         .from('ai_generation_logs')
         .insert([logRecord])
+        .select()
+        .single()
 
       if (error) {
         console.error('Error logging AI generation:', error)
         return { success: false, error: error.message }
       }
 
-      return { success: true }
+      return { success: true, data }
     } catch (error) {
       console.error('Error in logAIGeneration:', error)
       return { success: false, error: error.message }
@@ -0,0 +1,537 @@
+import { jsPDF } from 'jspdf'
+import { AlignmentType, BorderStyle, Document, Paragraph, ShadingType, Tab, TabStopType, Table, TableCell, TableRow, TextRun, WidthType } from 'docx'
+
+// Renderers for the export document model (exportDocuments.js). Each one
+// reads the same template (exportTemplates.js): fonts, colors, sizes,
+// heading style, section order and column layout, so a resume looks the
+// same whether it is previewed as HTML or downloaded as PDF or DOCX.
+
+const FONTS = {
+  sans: { css: 'Arial, Helvetica, sans-serif', pdf: 'helvetica', docx: 'Arial' },
+  serif: { css: "Georgia, 'Times New Roman', serif", pdf: 'times', docx: 'Times New Roman' }
+}
+
+// A4 in points
+const PAGE = { width: 595.28, height: 841.89, margin: 48 }
+const COLUMN_GAP = 18
+const LINE_HEIGHT = 1.35
+
+export const arrangeSections = (doc, template) => {
+  const rank = (id) => {
+    const index = template.sectionOrder.indexOf(id)
+    return index === -1 ? template.sectionOrder.length : index
+  }
+  const sections = [...doc.sections].sort((a, b) => rank(a.id) - rank(b.id))
+  const side = template.columns === 2 ? sections.filter(section => template.sidebar.includes(section.id)) : []
+
+  // Documents with nothing for the sidebar (e.g. an SOP) fall back to one column
+  return { main: sections.filter(section => !side.includes(section)), side }
+}
+
+const headingText = (title, template) => (template.uppercaseHeadings ? title.toUpperCase() : title)
+
+// ---------------------------------------------------------------------------
+// HTML (live preview and .html export)
+
+const escapeHTML = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+const htmlStyles = (template) => {
+  const { colors, sizes, header } = template
+  const headingStyles = {
+    rule: `color: #${colors.accent}; border-bottom: 1pt solid #${colors.rule}; padding-bottom: 2pt;`,
+    band: `color: #ffffff; background: #${colors.accent}; padding: 2pt 6pt;`,
+    plain: `color: #${colors.text};`
+  }
+
+  return `
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body { background: #ffffff; }
+    .page { width: ${PAGE.width}pt; min-height: ${PAGE.height}pt; padding: ${PAGE.margin}pt; font-family: ${FONTS[template.font].css}; font-size: ${sizes.body}pt; line-height: ${LINE_HEIGHT}; color: #${colors.text}; }
+    .header { text-align: ${header.align}; margin-bottom: 14pt; ${header.rule ? `border-bottom: 1.5pt solid #${colors.accent}; padding-bottom: 8pt;` : ''} }
+    .header.band { background: #${colors.accent}; margin: -${PAGE.margin}pt -${PAGE.margin}pt 16pt; padding: 24pt ${PAGE.margin}pt; }
+    .name { font-size: ${sizes.name}pt; font-weight: bold; line-height: 1.2; color: #${header.band ? 'ffffff' : colors.accent}; }
+    .contact { font-size: ${sizes.small}pt; color: #${header.band ? 'ffffff' : colors.muted}; margin-top: 4pt; }
+    .section { margin-bottom: 12pt; }
+    .section-title { font-size: ${sizes.heading}pt; font-weight: bold; margin-bottom: 6pt; ${headingStyles[template.headingStyle]} }
+    .entry { margin-bottom: 8pt; }
+    .entry-head { display: flex; justify-content: space-between; gap: 12pt; }
+    .entry-title { font-weight: bold; }
+    .entry-date { font-size: ${sizes.small}pt; color: #${colors.muted}; white-space: nowrap; }
+    .entry-subtitle { font-style: italic; color: #${colors.muted}; }
+    p + p, .entry p { margin-top: 3pt; }
+    ul { margin: 3pt 0 0 14pt; }
+    .label { font-weight: bold; }
+    .columns { display: flex; gap: ${COLUMN_GAP}pt; }
+    .columns aside { width: ${(template.sidebarWidth || 0) * 100}%; flex-shrink: 0; ${colors.sidebar ? `background: #${colors.sidebar}; padding: 8pt;` : ''} }
+    .columns main { flex: 1; min-width: 0; }
+    .footer { margin-top: 24pt; text-align: center; font-size: ${sizes.small}pt; color: #${colors.muted}; }
+  `
+}
+
+const htmlBlock = (block) => {
+  switch (block.type) {
+    case 'paragraph':
+      return `<p>${escapeHTML(block.text)}</p>`
+    case 'field':
+      return `<p><span class="label">${escapeHTML(block.label)}:</span> ${escapeHTML(block.value)}</p>`
+    case 'list':
+      return `<p><span class="label">${escapeHTML(block.label)}:</span> ${escapeHTML(block.items.join(', '))}</p>`
+    case 'entry':
+      return `
+        <div class="entry">
+          <div class="entry-head">
+            <span class="entry-title">${escapeHTML(block.title)}</span>
+            ${block.date ? `<span class="entry-date">${escapeHTML(block.date)}</span>` : ''}
+          </div>
+          ${block.subtitle ? `<div class="entry-subtitle">${escapeHTML(block.subtitle)}</div>` : ''}
+          ${block.paragraphs.map(text => `<p>${escapeHTML(text)}</p>`).join('')}
+          ${block.bullets.length > 0 ? `<ul>${block.bullets.map(text => `<li>${escapeHTML(text)}</li>`).join('')}</ul>` : ''}
+        </div>
+      `
+    default:
+      return ''
+  }
+}
+
+const htmlSections = (sections, template) => sections.map(section => `
+  <div class="section">
+    <div class="section-title">${escapeHTML(headingText(section.title, template))}</div>
+    ${section.blocks.map(htmlBlock).join('')}
+  </div>
+`).join('')
+
+export const renderHTML = (doc, template) => {
+  const { main, side } = arrangeSections(doc, template)
+  const body = side.length > 0
+    ? `<div class="columns"><aside>${htmlSections(side, template)}</aside><main>${htmlSections(main, template)}</main></div>`
+    : htmlSections(main, template)
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHTML(doc.title)}</title>
+<style>${htmlStyles(template)}</style>
+</head>
+<body>
+<div class="page">
+  <div class="header${template.header.band ? ' band' : ''}">
+    <div class="name">${escapeHTML(doc.header.name)}</div>
+    ${doc.header.contact.length > 0 ? `<div class="contact">${doc.header.contact.map(escapeHTML).join(' | ')}</div>` : ''}
+  </div>
+  ${body}
+  ${doc.footer.length > 0 ? `<div class="footer">${doc.footer.map(line => `<p>${escapeHTML(line)}</p>`).join('')}</div>` : ''}
+</div>
+</body>
+</html>`
+}
+
+// ---------------------------------------------------------------------------
+// Plain text (single column, section order from the template)
+
+const textBlock = (block) => {
+  switch (block.type) {
+    case 'paragraph':
+      return [block.text]
+    case 'field':
+      return [`${block.label}: ${block.value}`]
+    case 'list':
+      return [`${block.label}: ${block.items.join(', ')}`]
+    case 'entry':
+      return [
+        block.date ? `${block.title} (${block.date})` : block.title,
+        ...(block.subtitle ? [block.subtitle] : []),
+        ...block.paragraphs,
+        ...block.bullets.map(text => `- ${text}`),
+        ''
+      ]
+    default:
+      return []
+  }
+}
+
+export const renderText = (doc, template) => {
+  const { main, side } = arrangeSections(doc, template)
+  const lines = [doc.header.name, ...doc.header.contact, '']
+
+  ;[...main, ...side].forEach(section => {
+    const title = section.title.toUpperCase()
+    lines.push(title, '='.repeat(title.length), ...section.blocks.flatMap(textBlock))
+    if (lines[lines.length - 1] !== '') lines.push('')
+  })
+
+  if (doc.footer.length > 0) lines.push('', ...doc.footer)
+  return `${lines.join('\n').trim()}\n`
+}
+
+// ---------------------------------------------------------------------------
+// DOCX
+
+const twips = (points) => Math.round(points * 20)
+
+const docxRun = (text, template, { size = template.sizes.body, color = template.colors.text, bold = false, italics = false } = {}) =>
+  new TextRun({ text, font: FONTS[template.font].docx, size: Math.round(size * 2), color, bold, italics })
+
+const docxHeading = (title, template) => {
+  const { colors, sizes, headingStyle } = template
+  const options = {
+    children: [docxRun(headingText(title, template), template, {
+      size: sizes.heading,
+      bold: true,
+      color: headingStyle === 'band' ? 'FFFFFF' : headingStyle === 'plain' ? colors.text : colors.accent
+    })],
+    spacing: { before: 200, after: 100 },
+    keepNext: true
+  }
+  if (headingStyle === 'rule') options.border = { bottom: { style: BorderStyle.SINGLE, size: 6, color: colors.rule, space: 2 } }
+  if (headingStyle === 'band') options.shading = { type: ShadingType.CLEAR, color: 'auto', fill: colors.accent }
+  return new Paragraph(options)
+}
+
+const docxBlock = (block, template, width) => {
+  const { colors, sizes } = template
+  const labelled = (label, value) => new Paragraph({
+    children: [docxRun(`${label}: `, template, { bold: true }), docxRun(value, template)],
+    spacing: { after: 60 }
+  })
+
+  switch (block.type) {
+    case 'paragraph':
+      return [new Paragraph({ children: [docxRun(block.text, template)], spacing: { after: 80 } })]
+    case 'field':
+      return [labelled(block.label, block.value)]
+    case 'list':
+      return [labelled(block.label, block.items.join(', '))]
+    case 'entry':
+      return [
+        new Paragraph({
+          children: [
+            docxRun(block.title, template, { bold: true }),
+            ...(block.date
+              ? [new TextRun({ children: [new Tab(), block.date], font: FONTS[template.font].docx, size: Math.round(sizes.small * 2), color: colors.muted })]
+              : [])
+          ],
+          tabStops: [{ type: TabStopType.RIGHT, position: twips(width) }],
+          spacing: { before: 80, after: 20 },
+          keepNext: true
+        }),
+        ...(block.subtitle
+          ? [new Paragraph({ children: [docxRun(block.subtitle, template, { italics: true, color: colors.muted })], spacing: { after: 40 } })]
+          : []),
+        ...block.paragraphs.map(text => new Paragraph({ children: [docxRun(text, template)], spacing: { after: 40 } })),
+        ...block.bullets.map(text => new Paragraph({ children: [docxRun(text, template)], bullet: { level: 0 }, spacing: { after: 20 } }))
+      ]
+    default:
+      return []
+  }
+}
+
+const docxSections = (sections, template, width) => sections.flatMap(section => [
+  docxHeading(section.title, template),
+  ...section.blocks.flatMap(block => docxBlock(block, template, width))
+])
+
+const NO_BORDER = { style: BorderStyle.NONE, size: 0, color: 'FFFFFF' }
+
+export const renderDocx = (doc, template) => {
+  const { colors, sizes, header } = template
+  const contentWidth = PAGE.width - PAGE.margin * 2
+  const { main, side } = arrangeSections(doc, template)
+  const alignment = header.align === 'center' ? AlignmentType.CENTER : AlignmentType.LEFT
+  const band = header.band ? { shading: { type: ShadingType.CLEAR, color: 'auto', fill: colors.accent } } : {}
+
+  const children = [
+    new Paragraph({
+      children: [docxRun(doc.header.name, template, { size: sizes.name, bold: true, color: header.band ? 'FFFFFF' : colors.accent })],
+      alignment,
+      spacing: { after: 60 },
+      ...band
+    }),
+    ...(doc.header.contact.length > 0 ? [new Paragraph({
+      children: [docxRun(doc.header.contact.join(' | '), template, { size: sizes.small, color: header.band ? 'FFFFFF' : colors.muted })],
+      alignment,
+      spacing: { after: 200 },
+      ...(header.rule ? { border: { bottom: { style: BorderStyle.SINGLE, size: 12, color: colors.accent, space: 6 } } } : {}),
+      ...band
+    })] : [])
+  ]
+
+  if (side.length > 0) {
+    const sideWidth = contentWidth * template.sidebarWidth
+    const mainWidth = contentWidth - sideWidth - COLUMN_GAP
+    const cellMargins = { top: 0, bottom: 0, left: 0, right: 0 }
+    children.push(new Table({
+      width: { size: twips(contentWidth), type: WidthType.DXA },
+      columnWidths: [twips(sideWidth), twips(COLUMN_GAP), twips(mainWidth)],
+      borders: { top: NO_BORDER, bottom: NO_BORDER, left: NO_BORDER, right: NO_BORDER, insideHorizontal: NO_BORDER, insideVertical: NO_BORDER },
+      rows: [new TableRow({
+        children: [
+          new TableCell({
+            width: { size: twips(sideWidth), type: WidthType.DXA },
+            margins: { ...cellMargins, left: 120, right: 120 },
+            ...(colors.sidebar ? { shading: { type: ShadingType.CLEAR, color: 'auto', fill: colors.sidebar } } : {}),
+            children: docxSections(side, template, sideWidth - 12)
+          }),
+          new TableCell({ width: { size: twips(COLUMN_GAP), type: WidthType.DXA }, margins: cellMargins, children: [new Paragraph('')] }),
+          new TableCell({
+            width: { size: twips(mainWidth), type: WidthType.DXA },
+            margins: cellMargins,
+            children: docxSections(main, template, mainWidth)
+          })
+        ]
+      })]
+    }))
+  } else {
+    children.push(...docxSections(main, template, contentWidth))
+  }
+
+  doc.footer.forEach((line, index) => {
+    children.push(new Paragraph({
+      children: [docxRun(line, template, { size: sizes.small, color: colors.muted })],
+      alignment: AlignmentType.CENTER,
+      spacing: { before: index === 0 ? 480 : 0 }
+    }))
+  })
+
+  return new Document({
+    title: doc.title,
+    sections: [{
+      properties: { page: { margin: { top: twips(PAGE.margin), bottom: twips(PAGE.margin), left: twips(PAGE.margin), right: twips(PAGE.margin) } } },
+      children
+    }]
+  })
+}
+
+// ---------------------------------------------------------------------------
+// PDF (real text, so the file stays searchable and ATS readable)
+
+// jsPDF's built-in fonts only cover Latin-1
+export const isPdfSafe = (doc) => !/[^\n\x20-\x7E\xA0-\xFF‐‑‒–—―‘’‚“”„…•·]/.test(JSON.stringify(doc))
+
+const pdfText = (value) => String(value ?? '')
+  .replace(/[‐‑‒–—―]/g, '-')
+  .replace(/[‘’‚]/g, "'")
+  .replace(/[“”„]/g, '"')
+  .replace(/…/g, '...')
+  .replace(/[•·]/g, '-')
+
+// Lays text out top to bottom within one column, breaking onto new pages.
+// Two columns share pages: the main column is written first, then the
+// sidebar is written over the same pages.
+const createColumnWriter = (pdf, template, column, startY) => {
+  const font = FONTS[template.font].pdf
+  const cursor = { page: 1, y: startY }
+  const bottom = PAGE.height - PAGE.margin
+
+  const moveTo = (page, y) => {
+    while (pdf.getNumberOfPages() < page) pdf.addPage()
+    pdf.setPage(page)
+    cursor.page = page
+    cursor.y = y
+  }
+
+  const ensure = (height) => {
+    if (cursor.y + height > bottom) moveTo(cursor.page + 1, PAGE.margin)
+  }
+
+  const setStyle = ({ size, style = 'normal', color }) => {
+    pdf.setFont(font, style)
+    pdf.setFontSize(size)
+    pdf.setTextColor(`#${color}`)
+  }
+
+  const text = (value, { size = template.sizes.body, style, color = template.colors.text, indent = 0, align = 'left', onLine } = {}) => {
+    setStyle({ size, style, color })
+    const lineHeight = size * LINE_HEIGHT
+    pdf.splitTextToSize(pdfText(value), column.width - indent).forEach((line, index) => {
+      ensure(lineHeight)
+      const x = align === 'center' ? column.x + column.width / 2 : column.x + indent
+      if (onLine) onLine(index, cursor.y, size)
+      setStyle({ size, style, color })
+      pdf.text(line, x, cursor.y + size, { align })
+      cursor.y += lineHeight
+    })
+  }
+
+  const gap = (height) => {
+    cursor.y += height
+  }
+
+  const heading = (title) => {
+    const { colors, sizes, headingStyle } = template
+    const height = sizes.heading * 1.6
+    // Keep a heading with at least one line of its section
+    ensure(height + sizes.body * LINE_HEIGHT * 2)
+    gap(4)
+
+    if (headingStyle === 'band') {
+      pdf.setFillColor(`#${colors.accent}`)
+      pdf.rect(column.x, cursor.y, column.width, height, 'F')
+      setStyle({ size: sizes.heading, style: 'bold', color: 'FFFFFF' })
+      pdf.text(pdfText(headingText(title, template)), column.x + 5, cursor.y + sizes.heading * 1.15)
+      cursor.y += height + 5
+      return
+    }
+
+    setStyle({ size: sizes.heading, style: 'bold', color: headingStyle === 'plain' ? colors.text : colors.accent })
+    pdf.text(pdfText(headingText(title, template)), column.x, cursor.y + sizes.heading)
+    cursor.y += sizes.heading * 1.35
+    if (headingStyle === 'rule') {
+      pdf.setDrawColor(`#${colors.rule}`)
+      pdf.setLineWidth(0.75)
+      pdf.line(column.x, cursor.y, column.x + column.width, cursor.y)
+    }
+    cursor.y += 5
+  }
+
+  const block = (item) => {
+    const { colors, sizes } = template
+    switch (item.type) {
+      case 'paragraph':
+        text(item.text)
+        gap(3)
+        break
+      case 'field':
+      case 'list':
+        text(`${item.label}: ${item.type === 'list' ? item.items.join(', ') : item.value}`)
+        gap(3)
+        break
+      case 'entry': {
+        ensure(sizes.body * LINE_HEIGHT * 2)
+        gap(3)
+        if (item.date) {
+          // Date right-aligned on the title's first line; the title wraps short of it
+          setStyle({ size: sizes.small, color: colors.muted })
+          const dateWidth = pdf.getTextWidth(pdfText(item.date))
+          setStyle({ size: sizes.body, style: 'bold', color: colors.text })
+          const titleLines = pdf.splitTextToSize(pdfText(item.title), column.width - dateWidth - 10)
+          titleLines.forEach((line, index) => {
+            ensure(sizes.body * LINE_HEIGHT)
+            setStyle({ size: sizes.body, style: 'bold', color: colors.text })
+            pdf.text(line, column.x, cursor.y + sizes.body)
+            if (index === 0) {
+              setStyle({ size: sizes.small, color: colors.muted })
+              pdf.text(pdfText(item.date), column.x + column.width, cursor.y + sizes.body, { align: 'right' })
+            }
+            cursor.y += sizes.body * LINE_HEIGHT
+          })
+        } else {
+          text(item.title, { style: 'bold' })
+        }
+        if (item.subtitle) text(item.subtitle, { style: 'italic', color: colors.muted })
+        item.paragraphs.forEach(paragraph => text(paragraph))
+        item.bullets.forEach(bullet => text(bullet, {
+          indent: 10,
+          onLine: (index, y, size) => {
+            if (index !== 0) return
+            pdf.setFillColor(`#${colors.text}`)
+            pdf.circle(column.x + 3, y + size * 0.65, 1.2, 'F')
+          }
+        }))
+        gap(4)
+        break
+      }
+      default:
+        break
+    }
+  }
+
+  const sections = (list) => list.forEach(section => {
+    heading(section.title)
+    section.blocks.forEach(block)
+    gap(4)
+  })
+
+  return { cursor, moveTo, text, gap, sections }
+}
+
+const drawPdfHeader = (pdf, doc, template) => {
+  const { colors, sizes, header } = template
+  const font = FONTS[template.font].pdf
+  const contentWidth = PAGE.width - PAGE.margin * 2
+  const x = header.align === 'center' ? PAGE.width / 2 : PAGE.margin
+  const options = { align: header.align === 'center' ? 'center' : 'left' }
+
+  pdf.setFont(font, 'normal')
+  pdf.setFontSize(sizes.small)
+  const contactLines = doc.header.contact.length > 0 ? pdf.splitTextToSize(pdfText(doc.header.contact.join(' | ')), contentWidth) : []
+  const height = sizes.name * 1.2 + contactLines.length * sizes.small * LINE_HEIGHT + 4
+
+  let y = PAGE.margin
+  if (header.band) {
+    pdf.setFillColor(`#${colors.accent}`)
+    pdf.rect(0, 0, PAGE.width, PAGE.margin + height + 4, 'F')
+    y = PAGE.margin - 4
+  }
+
+  pdf.setFont(font, 'bold')
+  pdf.setFontSize(sizes.name)
+  pdf.setTextColor(`#${header.band ? 'FFFFFF' : colors.accent}`)
+  pdf.text(pdfText(doc.header.name), x, y + sizes.name, options)
+  y += sizes.name * 1.2 + 4
+
+  pdf.setFont(font, 'normal')
+  pdf.setFontSize(sizes.small)
+  pdf.setTextColor(`#${header.band ? 'FFFFFF' : colors.muted}`)
+  contactLines.forEach(line => {
+    pdf.text(line, x, y + sizes.small, options)
+    y += sizes.small * LINE_HEIGHT
+  })
+
+  if (header.band) return PAGE.margin + height + 20
+  if (header.rule) {
+    y += 4
+    pdf.setDrawColor(`#${colors.accent}`)
+    pdf.setLineWidth(1.5)
+    pdf.line(PAGE.margin, y, PAGE.width - PAGE.margin, y)
+  }
+  return y + 14
+}
+
+export const renderPDF = (doc, template) => {
+  const pdf = new jsPDF({ unit: 'pt', format: 'a4' })
+  pdf.setProperties({ title: doc.title })
+
+  const { colors, sizes } = template
+  const contentWidth = PAGE.width - PAGE.margin * 2
+  const { main, side } = arrangeSections(doc, template)
+  const top = drawPdfHeader(pdf, doc, template)
+
+  let mainWriter
+  if (side.length > 0) {
+    const sideWidth = contentWidth * template.sidebarWidth
+    const mainColumn = { x: PAGE.margin + sideWidth + COLUMN_GAP, width: contentWidth - sideWidth - COLUMN_GAP }
+    mainWriter = createColumnWriter(pdf, template, mainColumn, top)
+    mainWriter.sections(main)
+
+    // Sidebar background on every page the main column used, then its text
+    const pages = pdf.getNumberOfPages()
+    if (colors.sidebar) {
+      for (let page = 1; page <= pages; page++) {
+        pdf.setPage(page)
+        pdf.setFillColor(`#${colors.sidebar}`)
+        const y = page === 1 ? top - 6 : PAGE.margin - 6
+        pdf.rect(PAGE.margin - 6, y, sideWidth + 12, PAGE.height - PAGE.margin - y + 6, 'F')
+      }
+    }
+    const sideWriter = createColumnWriter(pdf, template, { x: PAGE.margin, width: sideWidth }, top)
+    sideWriter.moveTo(1, top)
+    sideWriter.sections(side)
+    pdf.setPage(mainWriter.cursor.page)
+  } else {
+    mainWriter = createColumnWriter(pdf, template, { x: PAGE.margin, width: contentWidth }, top)
+    mainWriter.sections(main)
+  }
+
+  if (doc.footer.length > 0) {
+    const footerWriter = createColumnWriter(pdf, template, { x: PAGE.margin, width: contentWidth }, mainWriter.cursor.y + 20)
+    footerWriter.moveTo(mainWriter.cursor.page, mainWriter.cursor.y + 20)
+    doc.footer.forEach(line => footerWriter.text(line, { size: sizes.small, color: colors.muted, align: 'center' }))
+  }
+
+  return pdf
+}
@@ -0,0 +1,158 @@
+// Timezone helpers for session scheduling.
+// Sessions are stored as a UTC instant (scheduled_at) together with the IANA
+// zones of the student and the counselor, and rendered in the viewer's zone.
+
+export const DEFAULT_COUNSELOR_TIMEZONE = 'Australia/Sydney'
+
+export const getBrowserTimeZone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC'
+  } catch {
+    return 'UTC'
+  }
+}
+
+export const isValidTimeZone = (timeZone) => {
+  if (!timeZone) return false
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Profiles store values like 'Asia/Kolkata (GMT+5:30)' - keep only the IANA part
+export const normalizeTimeZone = (value) => {
+  const candidate = String(value || '').trim().split(' ')[0]
+  return isValidTimeZone(candidate) ? candidate : null
+}
+
+export const getViewerTimeZone = (user) => normalizeTimeZone(user?.timezone) || getBrowserTimeZone()
+
+export const getSupportedTimeZones = () => {
+  if (typeof Intl.supportedValuesOf === 'function') {
+    return Intl.supportedValuesOf('timeZone')
+  }
+  return [
+    'Australia/Sydney', 'Australia/Melbourne', 'Australia/Brisbane', 'Australia/Adelaide',
+    'Australia/Perth', 'Australia/Hobart', 'Asia/Kolkata', 'Asia/Singapore', 'Asia/Shanghai',
+    'Europe/London', 'America/New_York', 'America/Toronto', 'America/Vancouver', 'UTC'
+  ]
+}
+
+const getZonedParts = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(instant)
+
+  const get = (type) => Number(parts.find(part => part.type === type).value)
+  return {
+    year: get('year'),
+    month: get('month'),
+    day: get('day'),
+    hour: get('hour'),
+    minute: get('minute'),
+    second: get('second')
+  }
+}
+
+// Offset of a zone from UTC in minutes at the given instant (e.g. +600 for AEST)
+export const getTimeZoneOffset = (instant, timeZone) => {
+  const date = new Date(instant)
+  const parts = getZonedParts(date, timeZone)
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000)
+}
+
+// Convert a wall-clock date ('YYYY-MM-DD') and time ('HH:MM') in a zone to a UTC Date
+export const zonedTimeToUtc = (date, time, timeZone) => {
+  const [year, month, day] = date.split('-').map(Number)
+  const [hours, minutes] = String(time).split(':').map(Number)
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes || 0)
+
+  const firstOffset = getTimeZoneOffset(wallClock, timeZone)
+  const candidate = wallClock - firstOffset * 60000
+  // Re-check once: the first guess can land on the other side of a DST change
+  const secondOffset = getTimeZoneOffset(candidate, timeZone)
+  return new Date(wallClock - secondOffset * 60000)
+}
+
+// Wall-clock date and time of an instant in a zone
+export const utcToZonedParts = (instant, timeZone) => {
+  const parts = getZonedParts(new Date(instant), timeZone)
+  const pad = (value) => String(value).padStart(2, '0')
+  return {
+    date: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}`,
+    time: `${pad(parts.hour)}:${pad(parts.minute)}`
+  }
+}
+
+export const getTimeZoneAbbreviation = (instant, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, timeZoneName: 'short' }).formatToParts(new Date(instant))
+  return parts.find(part => part.type === 'timeZoneName')?.value || timeZone
+}
+
+export const formatDateInZone = (instant, timeZone, options = {}) => {
+  return new Date(instant).toLocaleDateString(undefined, {
+    timeZone,
+    weekday: 'long',
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    ...options
+  })
+}
+
+export const formatTimeInZone = (instant, timeZone, options = {}) => {
+  return new Date(instant).toLocaleTimeString(undefined, {
+    timeZone,
+    hour: 'numeric',
+    minute: '2-digit',
+    ...options
+  })
+}
+
+// Start instant of a session row; older rows without scheduled_at are read as counselor wall time
+export const getSessionStart = (session) => {
+  if (session.scheduled_at) return new Date(session.scheduled_at)
+  if (session.scheduled_date && session.scheduled_time) {
+    const timeZone = normalizeTimeZone(session.counselor_timezone) || DEFAULT_COUNSELOR_TIMEZONE
+    return zonedTimeToUtc(session.scheduled_date, session.scheduled_time, timeZone)
+  }
+  return null
+}
+
+/**
+ * Daylight-saving warnings for a session: one entry per relevant zone whose
+ * UTC offset at the session differs from its offset at the reference time.
+ */
+export const getSessionDstWarnings = (session, viewerTimeZone, reference = new Date()) => {
+  const start = getSessionStart(session)
+  if (!start) return []
+
+  const zones = [...new Set([viewerTimeZone, session.student_timezone, session.counselor_timezone]
+    .map(normalizeTimeZone)
+    .filter(Boolean))]
+
+  return zones
+    .map(timeZone => {
+      const deltaMinutes = getTimeZoneOffset(start, timeZone) - getTimeZoneOffset(reference, timeZone)
+      if (deltaMinutes === 0) return null
+
+      const hours = Math.abs(deltaMinutes) / 60
+      return {
+        timeZone,
+        deltaMinutes,
+        message: `Clocks in ${timeZone} go ${deltaMinutes > 0 ? 'forward' : 'back'} ${hours} hour${hours === 1 ? '' : 's'} before this session`
+      }
+    })
+    .filter(Boolean)
+}
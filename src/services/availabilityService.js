@@ -0,0 +1,329 @@
+// Counselor Availability Service - weekly hours, blackout dates and bookable slots
+import { supabase } from '../lib/supabase.js';
+import { DEFAULT_COUNSELOR_TIMEZONE, normalizeTimeZone, utcToZonedParts, zonedTimeToUtc } from '../lib/timezone.js';
+import { RELEASED_SESSION_STATUSES } from '../lib/sessionLifecycle.js';
+
+export const DEFAULT_BOOKING_SETTINGS = {
+  slot_interval_minutes: 30,
+  buffer_minutes: 15,
+  max_sessions_per_day: 6,
+  booking_horizon_days: 14,
+  min_notice_hours: 12,
+  timezone: DEFAULT_COUNSELOR_TIMEZONE
+};
+
+export const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Time helpers work on 'YYYY-MM-DD' and 'HH:MM' strings in the counselor's
+// wall-clock time (settings.timezone) so that the browser's own timezone never
+// shifts a slot. Conversion to the student's zone happens only for display.
+export const timeToMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+export const minutesToTime = (totalMinutes) => {
+  const hours = Math.floor(totalMinutes / 60);
+  const minutes = totalMinutes % 60;
+  return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+};
+
+export const getDayOfWeek = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+export const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+};
+
+const formatSlotLabel = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const suffix = hours >= 12 ? 'PM' : 'AM';
+  const displayHours = hours % 12 === 0 ? 12 : hours % 12;
+  return `${displayHours}:${String(minutes).padStart(2, '0')} ${suffix}`;
+};
+
+const isActiveSession = (session) => !RELEASED_SESSION_STATUSES.includes(session.status);
+
+// Booked intervals on a date, padded by the buffer on both sides
+const getBookedIntervals = (sessions, date, bufferMinutes) => {
+  return sessions
+    .filter(session => session.scheduled_date === date && isActiveSession(session))
+    .map(session => {
+      const start = timeToMinutes(session.scheduled_time);
+      return {
+        start: start - bufferMinutes,
+        end: start + (session.duration_minutes || 60) + bufferMinutes
+      };
+    });
+};
+
+const overlaps = (start, end, interval) => start < interval.end && end > interval.start;
+
+/**
+ * Check a single requested slot against the counselor's availability and
+ * existing sessions. Returns { available, reason }.
+ */
+export const checkSlot = (availability, sessions, { date, time, durationMinutes = 60 }, now = new Date()) => {
+  const settings = { ...DEFAULT_BOOKING_SETTINGS, ...(availability?.settings || {}) };
+  const weeklyHours = availability?.weeklyHours || [];
+  const blackoutDates = availability?.blackoutDates || [];
+
+  if (blackoutDates.some(blackout => blackout.blackout_date === date)) {
+    return { available: false, reason: 'The counselor is unavailable on this date.' };
+  }
+
+  const start = timeToMinutes(time);
+  const end = start + Number(durationMinutes);
+  const dayOfWeek = getDayOfWeek(date);
+
+  const withinHours = weeklyHours.some(block =>
+    block.is_available !== false &&
+    block.day_of_week === dayOfWeek &&
+    start >= timeToMinutes(block.start_time) &&
+    end <= timeToMinutes(block.end_time)
+  );
+
+  if (!withinHours) {
+    return { available: false, reason: 'This time is outside the counselor\'s working hours.' };
+  }
+
+  const earliestStart = new Date(now.getTime() + settings.min_notice_hours * 60 * 60 * 1000);
+  if (zonedTimeToUtc(date, time, settings.timezone) < earliestStart) {
+    return { available: false, reason: `Sessions must be booked at least ${settings.min_notice_hours} hours in advance.` };
+  }
+
+  const sessionsOnDate = sessions.filter(session => session.scheduled_date === date && isActiveSession(session));
+  if (sessionsOnDate.length >= settings.max_sessions_per_day) {
+    return { available: false, reason: 'The counselor is fully booked on this date.' };
+  }
+
+  const booked = getBookedIntervals(sessions, date, settings.buffer_minutes);
+  if (booked.some(interval => overlaps(start, end, interval))) {
+    return { available: false, reason: 'This time slot has already been booked.' };
+  }
+
+  return { available: true, reason: null };
+};
+
+/**
+ * Build the slot grid for a date. Every candidate start inside the weekly
+ * hours is returned with an `available` flag so the UI can grey out taken slots.
+ */
+export const getSlotsForDate = (availability, sessions, date, durationMinutes = 60, now = new Date()) => {
+  const settings = { ...DEFAULT_BOOKING_SETTINGS, ...(availability?.settings || {}) };
+  const dayOfWeek = getDayOfWeek(date);
+  const blocks = (availability?.weeklyHours || [])
+    .filter(block => block.is_available !== false && block.day_of_week === dayOfWeek)
+    .sort((a, b) => timeToMinutes(a.start_time) - timeToMinutes(b.start_time));
+
+  const slots = [];
+  blocks.forEach(block => {
+    const blockEnd = timeToMinutes(block.end_time);
+    for (
+      let start = timeToMinutes(block.start_time);
+      start + Number(durationMinutes) <= blockEnd;
+      start += settings.slot_interval_minutes
+    ) {
+      const time = minutesToTime(start);
+      const { available } = checkSlot(availability, sessions, { date, time, durationMinutes }, now);
+      slots.push({
+        time,
+        display: formatSlotLabel(time),
+        startsAt: zonedTimeToUtc(date, time, settings.timezone),
+        available
+      });
+    }
+  });
+
+  return slots;
+};
+
+/**
+ * List the dates inside the booking horizon, flagging those with at least one free slot.
+ */
+export const getAvailableDates = (availability, sessions, durationMinutes = 60, now = new Date()) => {
+  const settings = { ...DEFAULT_BOOKING_SETTINGS, ...(availability?.settings || {}) };
+  const today = utcToZonedParts(now, settings.timezone).date;
+  const dates = [];
+
+  for (let i = 0; i <= settings.booking_horizon_days; i++) {
+    const date = addDays(today, i);
+    const slots = getSlotsForDate(availability, sessions, date, durationMinutes, now);
+    if (slots.length === 0) continue;
+
+    dates.push({
+      date,
+      display: new Date(`${date}T12:00:00Z`).toLocaleDateString(undefined, {
+        timeZone: 'UTC',
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric'
+      }),
+      available: slots.some(slot => slot.available),
+      freeSlots: slots.filter(slot => slot.available).length
+    });
+  }
+
+  return dates;
+};
+
+class AvailabilityService {
+  /**
+   * Load weekly hours, blackout dates and booking settings for a counselor
+   */
+  async getCounselorAvailability(counselorId) {
+    try {
+      const [hoursResult, settingsResult] = await Promise.all([
+        supabase
+          .from('counselor_availability')
+          .select('*')
+          .eq('counselor_id', counselorId)
+          .order('day_of_week', { ascending: true })
+          .order('start_time', { ascending: true }),
+        supabase
+          .from('counselor_booking_settings')
+          .select('*')
+          .eq('counselor_id', counselorId)
+          .maybeSingle()
+      ]);
+
+      if (hoursResult.error) throw hoursResult.error;
+      if (settingsResult.error) throw settingsResult.error;
+
+      const settings = { ...DEFAULT_BOOKING_SETTINGS, ...(settingsResult.data || {}) };
+      settings.timezone = normalizeTimeZone(settings.timezone) || DEFAULT_COUNSELOR_TIMEZONE;
+
+      // Blackout dates are the counselor's calendar days, so "today" is theirs too
+      const blackoutResult = await supabase
+        .from('counselor_blackout_dates')
+        .select('*')
+        .eq('counselor_id', counselorId)
+        .gte('blackout_date', utcToZonedParts(new Date(), settings.timezone).date)
+        .order('blackout_date', { ascending: true });
+
+      if (blackoutResult.error) throw blackoutResult.error;
+
+      return {
+        success: true,
+        data: {
+          weeklyHours: hoursResult.data || [],
+          blackoutDates: blackoutResult.data || [],
+          settings
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching counselor availability:', error);
+      return { success: false, data: null, error };
+    }
+  }
+
+  /**
+   * Replace the counselor's weekly hours with the given blocks
+   */
+  async saveWeeklyHours(counselorId, weeklyHours) {
+    try {
+      const invalidBlock = weeklyHours.find(block => timeToMinutes(block.end_time) <= timeToMinutes(block.start_time));
+      if (invalidBlock) {
+        return {
+          success: false,
+          error: `${WEEKDAY_NAMES[invalidBlock.day_of_week]}: end time must be after start time.`
+        };
+      }
+
+      const { error: deleteError } = await supabase
+        .from('counselor_availability')
+        .delete()
+        .eq('counselor_id', counselorId);
+
+      if (deleteError) throw deleteError;
+
+      if (weeklyHours.length === 0) {
+        return { success: true, data: [] };
+      }
+
+      const { data, error } = await supabase
+        .from('counselor_availability')
+        .insert(weeklyHours.map(block => ({
+          counselor_id: counselorId,
+          day_of_week: block.day_of_week,
+          start_time: block.start_time,
+          end_time: block.end_time,
+          is_available: block.is_available !== false
+        })))
+        .select();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error saving weekly hours:', error);
+      return { success: false, error };
+    }
+  }
+
+  async addBlackoutDate(counselorId, blackoutDate, reason = '') {
+    try {
+      const { data, error } = await supabase
+        .from('counselor_blackout_dates')
+        .upsert({
+          counselor_id: counselorId,
+          blackout_date: blackoutDate,
+          reason
+        }, { onConflict: 'counselor_id,blackout_date' })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error adding blackout date:', error);
+      return { success: false, error };
+    }
+  }
+
+  async removeBlackoutDate(blackoutId) {
+    try {
+      const { error } = await supabase
+        .from('counselor_blackout_dates')
+        .delete()
+        .eq('id', blackoutId);
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error removing blackout date:', error);
+      return { success: false, error };
+    }
+  }
+
+  async updateBookingSettings(counselorId, settings) {
+    try {
+      const { data, error } = await supabase
+        .from('counselor_booking_settings')
+        .upsert({
+          counselor_id: counselorId,
+          slot_interval_minutes: Number(settings.slot_interval_minutes),
+          buffer_minutes: Number(settings.buffer_minutes),
+          max_sessions_per_day: Number(settings.max_sessions_per_day),
+          booking_horizon_days: Number(settings.booking_horizon_days),
+          min_notice_hours: Number(settings.min_notice_hours),
+          timezone: settings.timezone || DEFAULT_COUNSELOR_TIMEZONE,
+          updated_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error updating booking settings:', error);
+      return { success: false, error };
+    }
+  }
+}
+
+// Export singleton instance
+export const availabilityService = new AvailabilityService();
+export default availabilityService;
@@ -0,0 +1,92 @@
+// Calendar Service - .ics downloads and tokenized calendar feed subscriptions
+import { saveAs } from 'file-saver';
+import { supabase } from '../lib/supabase.js';
+import { buildCalendar, sessionToEvent } from '../lib/icalendar.js';
+import { getSessionStart } from '../lib/timezone.js';
+import { DATABASE_API_URL } from '../config.js';
+
+class CalendarService {
+  // Generate secure feed token (same scheme as email verification tokens)
+  generateFeedToken() {
+    const array = new Uint8Array(32);
+    crypto.getRandomValues(array);
+    return Array.from(array, byte => byte.toString(16).padStart(2, '0')).join('');
+  }
+
+  buildFeedUrls(token) {
+    const httpsUrl = `${DATABASE_API_URL}/calendar/${token}.ics`;
+    return {
+      httpsUrl,
+      webcalUrl: httpsUrl.replace(/^https?:/, 'webcal:')
+    };
+  }
+
+  /**
+   * Download a single session as an .ics file. Re-downloading after a change
+   * carries a higher SEQUENCE so calendar apps update the existing event.
+   */
+  downloadSessionIcs(session, summary) {
+    const event = sessionToEvent(session, { start: getSessionStart(session), summary });
+    const blob = new Blob([buildCalendar([event], { name: summary })], { type: 'text/calendar;charset=utf-8' });
+    saveAs(blob, `studentkonnect-session-${session.id}.ics`);
+  }
+
+  /**
+   * Get the user's active feed URL, creating a token on first use.
+   * role is 'student' or 'counselor'; subjectId is the id sessions are filed under.
+   */
+  async getFeedUrl(userId, role, subjectId) {
+    try {
+      const { data: existing, error: fetchError } = await supabase
+        .from('calendar_feed_tokens')
+        .select('*')
+        .eq('user_id', String(userId))
+        .eq('role', role)
+        .is('revoked_at', null)
+        .maybeSingle();
+
+      if (fetchError) throw fetchError;
+      if (existing) {
+        return { success: true, data: this.buildFeedUrls(existing.token) };
+      }
+
+      const token = this.generateFeedToken();
+      const { error: insertError } = await supabase
+        .from('calendar_feed_tokens')
+        .insert([{
+          user_id: String(userId),
+          role,
+          subject_id: String(subjectId),
+          token
+        }]);
+
+      if (insertError) throw insertError;
+      return { success: true, data: this.buildFeedUrls(token) };
+    } catch (error) {
+      console.error('Error getting calendar feed URL:', error);
+      return { success: false, error };
+    }
+  }
+
+  // Revoke the current feed link (e.g. if it was shared) and issue a new one
+  async resetFeedUrl(userId, role, subjectId) {
+    try {
+      const { error } = await supabase
+        .from('calendar_feed_tokens')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('user_id', String(userId))
+        .eq('role', role)
+        .is('revoked_at', null);
+
+      if (error) throw error;
+      return this.getFeedUrl(userId, role, subjectId);
+    } catch (error) {
+      console.error('Error resetting calendar feed URL:', error);
+      return { success: false, error };
+    }
+  }
+}
+
+// Export singleton instance
+export const calendarService = new CalendarService();
+export default calendarService;
@@ -1,6 +1,7 @@
 // Counselor Connection Service
 // Manages student-counselor connection requests and approvals with real database integration
 import realDatabaseService from './realDatabaseService'
+import counselorConnectionServiceReal from './counselorConnectionServiceReal'
 
 class CounselorConnectionService {
   constructor() {
@@ -23,20 +24,6 @@ class CounselorConnectionService {
 
       const studentUserId = studentResult.data.id; // Fix: use 'id' instead of 'user_id'
 
-      // Check if student already has a pending request
-      const existingRequestsResult = await realDatabaseService.getCounselorRequestByStudent(studentUserId);
-      if (existingRequestsResult.data && existingRequestsResult.data.length > 0) {
-        const existingPending = existingRequestsResult.data.find(req => req.status === 'pending');
-        
-        if (existingPending) {
-          return {
-            success: false,
-            error: 'You already have a pending connection request. Please wait for approval or cancel the existing request.',
-            existingRequest: existingPending
-          };
-        }
-      }
-
       // Get counselor data from counselors table by email (not users table)
       const counselorResult = await realDatabaseService.getCounselorByEmail(counselorEmail);
       if (!counselorResult.success || !counselorResult.data) {
@@ -48,29 +35,25 @@ class CounselorConnectionService {
 
       const counselorId = counselorResult.data.id; // Use bigint ID from counselors table
 
-      // Create connection request with correct database schema
-      const connectionData = {
-        student_id: studentUserId,
-        requested_counselor_id: counselorId, // Use bigint ID from counselors table
-        request_reason: notes || `Student ${studentName} is interested in connecting with ${counselorName} for guidance`,
-        status: 'pending'
-      };
-
-      // Create the connection request
-      const result = await realDatabaseService.createCounselorRequest(connectionData);
-      
-      if (result.success) {
-        return {
-          success: true,
-          message: `Connection request sent to ${counselorName}! They will be notified and can approve your request.`,
-          connectionId: result.data?.id
-        };
-      } else {
-        return {
-          success: false,
-          error: result.error || 'Failed to create connection request'
-        };
+      // Capacity checks and waitlisting live in the real connection service
+      const result = await counselorConnectionServiceReal.createConnectionRequest(
+        studentUserId,
+        studentName,
+        studentEmail,
+        counselorId,
+        counselorName,
+        notes
+      );
+
+      if (!result.success || result.waitlisted) {
+        return { ...result, connectionId: result.request?.id };
       }
+
+      return {
+        ...result,
+        message: `Connection request sent to ${counselorName}! They will be notified and can approve your request.`,
+        connectionId: result.request?.id
+      };
     } catch (error) {
       console.error('Error creating connection request:', error);
       return {
@@ -82,19 +65,18 @@ class CounselorConnectionService {
 
   async getStudentConnections(studentId) {
     try {
-      // Get student user data
-      const studentResult = await realDatabaseService.getUserByEmail(studentId);
-      if (!studentResult.success || !studentResult.data) {
-        return { success: false, error: 'Student not found' };
+      // Callers pass either the user id or the email
+      let studentUserId = studentId;
+      if (String(studentId).includes('@')) {
+        const studentResult = await realDatabaseService.getUserByEmail(studentId);
+        if (!studentResult.success || !studentResult.data) {
+          return { success: false, error: 'Student not found' };
+        }
+        studentUserId = studentResult.data.id;
       }
 
-      const studentUserId = studentResult.data.user_id;
-      const connectionsResult = await realDatabaseService.getCounselorRequestByStudent(studentUserId);
-      
-      return {
-        success: true,
-        connections: connectionsResult.data || []
-      };
+      // Includes waitlist positions for waitlisted requests
+      return await counselorConnectionServiceReal.getStudentConnections(studentUserId);
     } catch (error) {
       console.error('Error fetching student connections:', error);
       return { success: false, error: 'Failed to fetch connections' };
@@ -107,6 +89,8 @@ class CounselorConnectionService {
       const result = await realDatabaseService.updateCounselorRequestStatus(connectionId, 'cancelled');
       
       if (result.data) {
+        // A cancelled request frees its place for the next waitlisted student
+        await counselorConnectionServiceReal.promoteFromWaitlist(result.data.requested_counselor_id);
         await this.logActivity(studentId, 'connection_cancelled', 'Cancelled connection request');
         return {
           success: true,
@@ -151,57 +135,13 @@ class CounselorConnectionService {
     }
   }
 
-  async approveConnection(connectionId, adminId) {
-    try {
-      const result = await realDatabaseService.updateCounselorRequestStatus(connectionId, 'approved');
-      
-      if (result.data) {
-        // Log activity for both student and counselor
-        const connection = result.data;
-        await this.logActivity(connection.student_id, 'connection_approved', 'Connection request approved');
-        await this.logActivity(connection.counselor_id, 'connection_approved', 'Connection request approved');
-        
-        return {
-          success: true,
-          connection: result.data,
-          message: 'Connection approved successfully'
-        };
-      } else {
-        return {
-          success: false,
-          error: 'Connection request not found or already processed'
-        };
-      }
-    } catch (error) {
-      console.error('Error approving connection:', error);
-      return { success: false, error: 'Failed to approve connection' };
-    }
+  // Refused with atCapacity: true when the counselor has no free places
+  async approveConnection(connectionId, adminId, notes = '') {
+    return counselorConnectionServiceReal.approveConnectionRequest(connectionId, adminId, notes);
   }
 
   async rejectConnection(connectionId, adminId, rejectionReason = '') {
-    try {
-      const result = await realDatabaseService.updateCounselorRequestStatus(connectionId, 'rejected', rejectionReason);
-      
-      if (result.data) {
-        // Log activity
-        const connection = result.data;
-        await this.logActivity(connection.student_id, 'connection_rejected', `Connection request rejected: ${rejectionReason}`);
-        
-        return {
-          success: true,
-          connection: result.data,
-          message: 'Connection rejected successfully'
-        };
-      } else {
-        return {
-          success: false,
-          error: 'Connection request not found or already processed'
-        };
-      }
-    } catch (error) {
-      console.error('Error rejecting connection:', error);
-      return { success: false, error: 'Failed to reject connection' };
-    }
+    return counselorConnectionServiceReal.rejectConnectionRequest(connectionId, adminId, rejectionReason);
   }
 
   // Activity logging for real-time updates
@@ -226,7 +166,9 @@ class CounselorConnectionService {
         pending: connections.filter(conn => conn.status === 'pending').length,
         approved: connections.filter(conn => conn.status === 'approved').length,
         rejected: connections.filter(conn => conn.status === 'rejected').length,
-        cancelled: connections.filter(conn => conn.status === 'cancelled').length
+        cancelled: connections.filter(conn => conn.status === 'cancelled').length,
+        waitlisted: connections.filter(conn => conn.status === 'waitlisted').length,
+        ended: connections.filter(conn => conn.status === 'ended').length
       };
 
       return { success: true, stats };
@@ -1,5 +1,9 @@
 // Real Database-Driven Counselor Connection Service
 import realDatabaseService from './realDatabaseService.js';
+import notificationService from './notificationService.js';
+import availabilityService from './availabilityService.js';
+import { DEFAULT_COUNSELOR_TIMEZONE, normalizeTimeZone, utcToZonedParts } from '../lib/timezone.js';
+import { summarizeSessionCounts } from '../lib/sessionLifecycle.js';
 
 class CounselorConnectionService {
   constructor() {
@@ -7,43 +11,69 @@ class CounselorConnectionService {
   }
 
   // Student functions
+  // Requests to a counselor with no open places join a FIFO waitlist instead
   async createConnectionRequest(studentId, studentName, studentEmail, counselorId, counselorName, notes = '') {
     try {
-      // Check if student already has a pending request
-      const existingRequests = await realDatabaseService.getCounselorRequestsByStudent(studentEmail);
-      const existingPending = existingRequests.find(req => req.status === 'pending');
+      // Check if student already has an open request
+      const existingRequests = await realDatabaseService.getCounselorRequestByStudent(studentId);
+      const existingOpen = (existingRequests.data || []).find(req => ['pending', 'waitlisted'].includes(req.status));
 
-      if (existingPending) {
+      if (existingOpen) {
         return {
           success: false,
-          error: 'You already have a pending connection request. Please wait for approval or cancel the existing request.',
-          existingRequest: existingPending
+          error: existingOpen.status === 'waitlisted'
+            ? 'You are already on a counselor waitlist. Please leave it before requesting another counselor.'
+            : 'You already have a pending connection request. Please wait for approval or cancel the existing request.',
+          existingRequest: existingOpen
         };
       }
 
+      const capacity = await realDatabaseService.getCounselorCapacity(counselorId);
+      if (!capacity.success) throw capacity.error;
+
+      // Join the queue if the counselor is full or others are already waiting
+      const waitlist = capacity.data.openPlaces === 0 || capacity.data.waitlisted > 0;
+      const now = new Date().toISOString();
+
       // Create new connection request in database
       const requestData = {
-        student_email: studentEmail,
-        student_name: studentName,
-        counselor_email: counselorId, // Assuming counselorId is email
-        counselor_name: counselorName,
-        status: 'pending',
-        request_date: new Date().toISOString(),
-        notes: notes || '',
-        approved_date: null,
-        approved_by: null
+        student_id: studentId,
+        requested_counselor_id: counselorId,
+        request_reason: notes || `Student ${studentName} is interested in connecting with ${counselorName} for guidance`,
+        status: waitlist ? 'waitlisted' : 'pending',
+        waitlisted_at: waitlist ? now : null
       };
 
-      const newRequest = await realDatabaseService.createCounselorRequest(requestData);
-
-      // Update student dashboard stats
-      await this.updateStudentStats(studentEmail);
-      
-      // Update counselor dashboard stats  
-      await this.updateCounselorStats(counselorId);
+      const { data, error } = await realDatabaseService.createCounselorRequest(requestData);
+      if (error) throw error;
+      const newRequest = data?.[0];
+
+      // Update dashboard stats for both parties
+      await this.refreshRequestParticipants(newRequest || requestData, 'connection_request', waitlist
+        ? `Joined the waitlist for ${counselorName}`
+        : `Sent connection request to ${counselorName}`);
+
+      if (!waitlist) {
+        await notificationService.notify({
+          type: 'connection_requested',
+          recipientType: 'counselor',
+          recipientId: counselorId,
+          title: 'New connection request',
+          message: `${studentName} would like to connect with you.`,
+          actionUrl: '/counselor/students'
+        });
+      }
 
-      // Log activity
-      await this.logActivity(studentEmail, 'connection_request', `Sent connection request to ${counselorName}`);
+      if (waitlist) {
+        const waitlistPosition = capacity.data.waitlisted + 1;
+        return {
+          success: true,
+          request: newRequest,
+          waitlisted: true,
+          waitlistPosition,
+          message: `${counselorName} is currently at capacity. You are number ${waitlistPosition} on the waitlist and will move forward automatically when a place opens.`
+        };
+      }
 
       return {
         success: true,
@@ -63,7 +93,11 @@ class CounselorConnectionService {
   async cancelConnectionRequest(studentEmail, requestId) {
     try {
       // Update request status to cancelled
-      await realDatabaseService.updateCounselorRequestStatus(requestId, 'cancelled');
+      const { data: request, error } = await realDatabaseService.updateCounselorRequestStatus(requestId, 'cancelled');
+      if (error) throw error;
+
+      // A cancelled pending request frees a provisional place
+      await this.promoteFromWaitlist(request.requested_counselor_id);
 
       // Update student dashboard stats
       await this.updateStudentStats(studentEmail);
@@ -85,12 +119,27 @@ class CounselorConnectionService {
     }
   }
 
-  async getStudentConnections(studentEmail) {
+  // Student's requests, with waitlistPosition (1-based) on waitlisted ones
+  async getStudentConnections(studentId) {
     try {
-      const connections = await realDatabaseService.getCounselorRequestsByStudent(studentEmail);
+      const { data, error } = await realDatabaseService.getCounselorRequestByStudent(studentId);
+      if (error) throw error;
+
+      const connections = await Promise.all((data || []).map(async (connection) => {
+        if (connection.status !== 'waitlisted') return connection;
+
+        const waitlist = await realDatabaseService.getCounselorWaitlist(connection.requested_counselor_id);
+        const index = waitlist.data.findIndex(entry => entry.id === connection.id);
+        return {
+          ...connection,
+          waitlistPosition: index === -1 ? null : index + 1,
+          waitlistLength: waitlist.data.length
+        };
+      }));
+
       return {
         success: true,
-        connections: connections
+        connections
       };
     } catch (error) {
       console.error('Error getting student connections:', error);
@@ -103,33 +152,61 @@ class CounselorConnectionService {
   }
 
   // Admin functions
+  // Approval re-checks capacity; a request that no longer fits goes back on the waitlist
   async approveConnectionRequest(requestId, adminEmail, notes = '') {
     try {
-      // Update request status to approved
-      const updateData = {
-        status: 'approved',
-        approved_date: new Date().toISOString(),
-        approved_by: adminEmail,
-        admin_notes: notes
-      };
+      const { data: request, error: requestError } = await realDatabaseService.getCounselorRequestById(requestId);
+      if (requestError) throw requestError;
 
-      await realDatabaseService.updateCounselorRequest(requestId, updateData);
+      if (request.status !== 'pending') {
+        return {
+          success: false,
+          error: `Only pending requests can be approved (this one is ${request.status}).`
+        };
+      }
 
-      // Get request details for notifications
-      const request = await realDatabaseService.getCounselorRequestById(requestId);
+      const capacity = await realDatabaseService.getCounselorCapacity(request.requested_counselor_id);
+      if (!capacity.success) throw capacity.error;
 
-      // Update both student and counselor stats
-      await this.updateStudentStats(request.student_email);
-      await this.updateCounselorStats(request.counselor_email);
+      if (!capacity.data.canApprove) {
+        await realDatabaseService.updateCounselorRequest(requestId, {
+          status: 'waitlisted',
+          // Keep the student's original place in the queue
+          waitlisted_at: request.created_at || new Date().toISOString()
+        });
 
-      // Log activities
-      await this.logActivity(request.student_email, 'connection_approved', `Connection approved with ${request.counselor_name}`);
-      await this.logActivity(request.counselor_email, 'student_assigned', `New student assigned: ${request.student_name}`);
+        return {
+          success: false,
+          atCapacity: true,
+          error: `This counselor already has ${capacity.data.activeStudents} of ${capacity.data.maxStudents} students. The request has been moved to their waitlist.`
+        };
+      }
+
+      // Update request status to approved
+      const { data: approved, error } = await realDatabaseService.updateCounselorRequestStatus(
+        requestId,
+        'approved',
+        notes || `Approved by ${adminEmail}`
+      );
+      if (error) throw error;
+
+      // Update both student and counselor stats and log activities
+      await this.refreshRequestParticipants(approved, 'connection_approved', 'Connection request approved');
+
+      await notificationService.notify({
+        type: 'connection_approved',
+        recipientType: 'student',
+        recipientId: approved.student_id,
+        title: 'Your counselor connection was approved',
+        message: 'You can now message your counselor and book sessions.',
+        actionUrl: '/student/connections',
+        data: { requestId: approved.id }
+      });
 
       return {
         success: true,
         message: 'Connection request approved successfully.',
-        request: request
+        request: approved
       };
 
     } catch (error) {
@@ -144,23 +221,23 @@ class CounselorConnectionService {
   async rejectConnectionRequest(requestId, adminEmail, reason = '') {
     try {
       // Update request status to rejected
-      const updateData = {
-        status: 'rejected',
-        approved_date: new Date().toISOString(),
-        approved_by: adminEmail,
-        admin_notes: reason
-      };
-
-      await realDatabaseService.updateCounselorRequest(requestId, updateData);
-
-      // Get request details for notifications
-      const request = await realDatabaseService.getCounselorRequestById(requestId);
-
-      // Update student stats
-      await this.updateStudentStats(request.student_email);
-
-      // Log activity
-      await this.logActivity(request.student_email, 'connection_rejected', `Connection request rejected: ${reason}`);
+      const { data: request, error } = await realDatabaseService.updateCounselorRequestStatus(requestId, 'rejected', reason);
+      if (error) throw error;
+
+      await this.promoteFromWaitlist(request.requested_counselor_id);
+
+      // Update stats and log activity
+      await this.refreshRequestParticipants(request, 'connection_rejected', `Connection request rejected: ${reason}`);
+
+      await notificationService.notify({
+        type: 'connection_rejected',
+        recipientType: 'student',
+        recipientId: request.student_id,
+        title: 'Your connection request was not approved',
+        message: reason || 'You can send a request to a different counselor.',
+        actionUrl: '/student/connections',
+        data: { requestId: request.id }
+      });
 
       return {
         success: true,
@@ -177,6 +254,85 @@ class CounselorConnectionService {
     }
   }
 
+  // End an approved student relationship and hand the place to the waitlist
+  async endConnection(requestId, reason = '') {
+    try {
+      const { data: request, error } = await realDatabaseService.updateCounselorRequest(requestId, {
+        status: 'ended',
+        ended_at: new Date().toISOString(),
+        end_reason: reason
+      });
+      if (error) throw error;
+
+      const promoted = await this.promoteFromWaitlist(request.requested_counselor_id);
+      await this.refreshRequestParticipants(request, 'connection_ended', 'Counseling relationship ended');
+
+      return {
+        success: true,
+        message: 'Connection ended.',
+        promoted
+      };
+
+    } catch (error) {
+      console.error('Error ending connection:', error);
+      return {
+        success: false,
+        error: 'Failed to end connection. Please try again.'
+      };
+    }
+  }
+
+  // Move the longest-waiting students into open places. Promoted requests
+  // become pending so an admin still approves them.
+  async promoteFromWaitlist(counselorId) {
+    try {
+      const [capacity, waitlist] = await Promise.all([
+        realDatabaseService.getCounselorCapacity(counselorId),
+        realDatabaseService.getCounselorWaitlist(counselorId)
+      ]);
+      if (!capacity.success) throw capacity.error;
+
+      const toPromote = waitlist.data.slice(0, capacity.data.openPlaces);
+      const promoted = [];
+
+      for (const request of toPromote) {
+        const { data, error } = await realDatabaseService.updateCounselorRequest(request.id, {
+          status: 'pending',
+          promoted_at: new Date().toISOString()
+        });
+        if (error) throw error;
+
+        promoted.push(data);
+        await this.refreshRequestParticipants(data, 'waitlist_promoted', 'A place opened up - your request is now awaiting approval');
+      }
+
+      return promoted;
+    } catch (error) {
+      console.error('Error promoting waitlisted requests:', error);
+      return [];
+    }
+  }
+
+  // Requests store ids - resolve both parties' emails for stats and activity logs
+  async refreshRequestParticipants(request, activityType, description) {
+    const [studentsResult, counselorResult] = await Promise.all([
+      realDatabaseService.getUsersByIds([request.student_id]),
+      realDatabaseService.getCounselorById(request.requested_counselor_id)
+    ]);
+
+    const studentEmail = studentsResult.data?.[0]?.email;
+    const counselorEmail = counselorResult.data?.email;
+
+    if (studentEmail) {
+      await this.updateStudentStats(studentEmail);
+      await this.logActivity(studentEmail, activityType, description);
+    }
+    if (counselorEmail) {
+      await this.updateCounselorStats(counselorEmail);
+      await this.logActivity(counselorEmail, activityType, description);
+    }
+  }
+
   async getAllPendingRequests() {
     try {
       const requests = await realDatabaseService.getCounselorRequestsByStatus('pending');
@@ -215,17 +371,27 @@ class CounselorConnectionService {
   // Dashboard update functions
   async updateStudentStats(studentEmail) {
     try {
-      // Get all connections for this student
-      const connections = await realDatabaseService.getCounselorRequestsByStudent(studentEmail);
+      // Requests and sessions are keyed by user id
+      const student = await realDatabaseService.getUserByEmail(studentEmail);
+      const [requests, sessions] = student.success
+        ? await Promise.all([
+          realDatabaseService.getCounselorRequestByStudent(student.data.id),
+          realDatabaseService.getStudentSessions(student.data.id)
+        ])
+        : [{ data: [] }, { data: [] }];
+      const connections = requests.data || [];
       
       // Calculate stats
       const activeConnections = connections.filter(conn => conn.status === 'approved').length;
       const pendingConnections = connections.filter(conn => conn.status === 'pending').length;
+      const waitlistedConnections = connections.filter(conn => conn.status === 'waitlisted').length;
       
       // Update student profile with new stats
       await realDatabaseService.updateUserStats(studentEmail, {
         active_connections: activeConnections,
         pending_connections: pendingConnections,
+        waitlisted_connections: waitlistedConnections,
+        ...summarizeSessionCounts(sessions.data || []),
         last_updated: new Date().toISOString()
       });
 
@@ -238,8 +404,16 @@ class CounselorConnectionService {
 
   async updateCounselorStats(counselorEmail) {
     try {
-      // Get all students for this counselor
-      const students = await realDatabaseService.getCounselorStudents(counselorEmail);
+      // Requests, capacity and sessions are keyed by counselor id
+      const counselor = await realDatabaseService.getCounselorByEmail(counselorEmail);
+      const [requests, capacity, sessions] = counselor.success && counselor.data
+        ? await Promise.all([
+          realDatabaseService.getCounselorRequestsByCounselor(counselor.data.id),
+          realDatabaseService.getCounselorCapacity(counselor.data.id),
+          realDatabaseService.getCounselorSessions(counselor.data.id)
+        ])
+        : [{ data: [] }, { success: false }, { data: [] }];
+      const students = requests.data || [];
       
       // Calculate stats
       const activeStudents = students.filter(student => student.status === 'approved').length;
@@ -249,6 +423,9 @@ class CounselorConnectionService {
       await realDatabaseService.updateUserStats(counselorEmail, {
         active_students: activeStudents,
         total_requests: totalRequests,
+        max_students: capacity.success ? capacity.data.maxStudents : null,
+        waitlisted_students: capacity.success ? capacity.data.waitlisted : 0,
+        ...summarizeSessionCounts(sessions.data || []),
         last_updated: new Date().toISOString()
       });
 
@@ -278,19 +455,51 @@ class CounselorConnectionService {
   }
 
   // Session management
+  // scheduledDate must identify an instant (Date or ISO string with offset). The
+  // session is booked on the counselor's wall clock and shown to the student in
+  // the zone on their profile, whoever creates it.
   async createSession(studentEmail, counselorEmail, sessionType, scheduledDate, notes = '') {
     try {
-      const sessionData = {
-        student_email: studentEmail,
-        counselor_email: counselorEmail,
-        session_type: sessionType, // 'video', 'phone', 'chat'
-        scheduled_date: scheduledDate,
-        status: 'scheduled',
-        notes: notes,
-        created_date: new Date().toISOString()
-      };
+      const scheduledAt = new Date(scheduledDate);
+      if (Number.isNaN(scheduledAt.getTime())) {
+        return {
+          success: false,
+          error: 'Invalid session date. Please pick a date and time again.'
+        };
+      }
 
-      const newSession = await realDatabaseService.createSession(sessionData);
+      const [student, counselor] = await Promise.all([
+        realDatabaseService.getUserByEmail(studentEmail),
+        realDatabaseService.getCounselorByEmail(counselorEmail)
+      ]);
+      if (!student.success || !student.data || !counselor.success || !counselor.data) {
+        return {
+          success: false,
+          error: 'Student or counselor not found.'
+        };
+      }
+
+      const availability = await availabilityService.getCounselorAvailability(counselor.data.id);
+      const counselorTimezone = availability.data?.settings.timezone || DEFAULT_COUNSELOR_TIMEZONE;
+      const { date, time } = utcToZonedParts(scheduledAt, counselorTimezone);
+
+      const result = await realDatabaseService.createSession({
+        studentId: student.data.id,
+        counselorId: counselor.data.id,
+        sessionType, // 'video', 'phone', 'chat'
+        scheduledDate: date,
+        scheduledTime: time,
+        // Without a zone on the profile the student sees the counselor's wall clock
+        studentTimezone: normalizeTimeZone(student.data.timezone) || counselorTimezone,
+        notes
+      });
+
+      if (!result.success) {
+        return {
+          success: false,
+          error: result.error?.message || 'Failed to schedule session. Please try again.'
+        };
+      }
 
       // Update stats for both users
       await this.updateStudentStats(studentEmail);
@@ -302,7 +511,7 @@ class CounselorConnectionService {
 
       return {
         success: true,
-        session: newSession,
+        session: result.data,
         message: 'Session scheduled successfully!'
       };
 
@@ -315,41 +524,143 @@ class CounselorConnectionService {
     }
   }
 
-  async completeSession(sessionId, notes = '', rating = null) {
+  // Session lifecycle - every change is validated by lib/sessionLifecycle.js and
+  // refreshes both parties' stats. actor is 'student' or 'counselor'.
+  async confirmSession(sessionId) {
+    return this.applySessionAction(sessionId, 'confirm', 'counselor', {}, 'session_confirmed', 'Session confirmed', {
+      roles: ['student'],
+      title: 'Your session was confirmed'
+    });
+  }
+
+  async cancelSession(sessionId, actor, reason = '') {
+    return this.applySessionAction(sessionId, 'cancel', actor, { reason }, 'session_cancelled', `Session cancelled by ${actor}`, {
+      roles: [actor === 'student' ? 'counselor' : 'student'],
+      title: 'A session was cancelled'
+    });
+  }
+
+  async markNoShow(sessionId) {
+    return this.applySessionAction(sessionId, 'no_show', 'counselor', {}, 'session_no_show', 'Student did not attend the session');
+  }
+
+  async completeSession(sessionId, notes = '') {
+    return this.applySessionAction(sessionId, 'complete', 'counselor', { notes }, 'session_completed', 'Counseling session completed');
+  }
+
+  async rescheduleSession(sessionId, actor, scheduledDate, scheduledTime, reason = '') {
     try {
-      const updateData = {
-        status: 'completed',
-        completed_date: new Date().toISOString(),
-        completion_notes: notes,
-        rating: rating
-      };
+      const result = await realDatabaseService.rescheduleSession(sessionId, { scheduledDate, scheduledTime, reason }, actor);
+      if (!result.success) {
+        return {
+          success: false,
+          conflict: result.conflict,
+          error: result.error?.message || 'Failed to reschedule session. Please try again.'
+        };
+      }
 
-      await realDatabaseService.updateSession(sessionId, updateData);
+      await this.refreshSessionParticipants(result.data, 'session_rescheduled', `Session rescheduled by ${actor}`, {
+        roles: [actor === 'student' ? 'counselor' : 'student'],
+        title: 'A session was rescheduled'
+      });
 
-      // Get session details
-      const session = await realDatabaseService.getSessionById(sessionId);
+      return {
+        success: true,
+        session: result.data,
+        message: 'Session rescheduled successfully!'
+      };
 
-      // Update stats for both users
-      await this.updateStudentStats(session.student_email);
-      await this.updateCounselorStats(session.counselor_email);
+    } catch (error) {
+      console.error('Error rescheduling session:', error);
+      return {
+        success: false,
+        error: 'Failed to reschedule session. Please try again.'
+      };
+    }
+  }
 
-      // Log activities
-      await this.logActivity(session.student_email, 'session_completed', 'Counseling session completed');
-      await this.logActivity(session.counselor_email, 'session_completed', 'Session completed with student');
+  async applySessionAction(sessionId, action, actor, options, activityType, description, notification = null) {
+    try {
+      const result = await realDatabaseService.transitionSession(sessionId, action, actor, options);
+      if (!result.success) {
+        return {
+          success: false,
+          error: result.error?.message || 'Failed to update session. Please try again.'
+        };
+      }
+
+      await this.refreshSessionParticipants(result.data, activityType, description, notification);
 
       return {
         success: true,
-        message: 'Session marked as completed!'
+        session: result.data,
+        isLate: result.isLate,
+        message: result.isLate
+          ? 'Session cancelled. This was inside the cancellation window and has been recorded as a late cancellation.'
+          : 'Session updated successfully!'
       };
 
     } catch (error) {
-      console.error('Error completing session:', error);
+      console.error('Error updating session:', error);
       return {
         success: false,
-        error: 'Failed to complete session. Please try again.'
+        error: 'Failed to update session. Please try again.'
       };
     }
   }
+
+  // New booking from SessionBooking: holds the slot and tells the counselor
+  async bookSession(sessionData) {
+    const result = await realDatabaseService.createSession(sessionData);
+    if (!result.success) return result;
+
+    await this.refreshSessionParticipants(result.data, 'session_scheduled', 'Session requested', {
+      roles: ['counselor', 'student'],
+      title: 'New session requested'
+    });
+
+    return result;
+  }
+
+  // Sessions store ids - resolve both parties' emails for stats and activity logs.
+  // notification: { roles, title } sends a session_booked event to those participants.
+  async refreshSessionParticipants(session, activityType, description, notification = null) {
+    const [studentsResult, counselorResult] = await Promise.all([
+      realDatabaseService.getUsersByIds([session.student_id]),
+      realDatabaseService.getCounselorById(session.counselor_id)
+    ]);
+
+    const studentEmail = studentsResult.data?.[0]?.email;
+    const counselorEmail = counselorResult.data?.email;
+
+    if (studentEmail) {
+      await this.updateStudentStats(studentEmail);
+      await this.logActivity(studentEmail, activityType, description);
+    }
+    if (counselorEmail) {
+      await this.updateCounselorStats(counselorEmail);
+      await this.logActivity(counselorEmail, activityType, description);
+    }
+
+    if (notification) {
+      const recipients = { student: session.student_id, counselor: session.counselor_id };
+      await Promise.all(notification.roles.filter(role => recipients[role]).map(role => notificationService.notify({
+        type: 'session_booked',
+        recipientType: role,
+        recipientId: recipients[role],
+        title: notification.title,
+        message: description,
+        actionUrl: role === 'student' ? '/student/sessions' : '/counselor/dashboard',
+        // Lets the email template show the session time in the recipient's zone
+        data: {
+          sessionId: session.id,
+          sessionTitle: session.session_title,
+          scheduledAt: session.scheduled_at,
+          timeZone: role === 'student' ? session.student_timezone : session.counselor_timezone
+        }
+      })));
+    }
+  }
 }
 
 // Export singleton instance
@@ -1,5 +1,8 @@
 // Counselor Service - Database integration for counselor matching
 import { supabase } from '../lib/supabase.js';
+import { buildMatchProfile, rankCounselors } from '../lib/counselorMatching.js';
+import onboardingService from './onboardingService.js';
+import notificationService from './notificationService.js';
 
 export class CounselorService {
   /**
@@ -114,39 +117,55 @@ export class CounselorService {
   }
 
   /**
-   * Find matching counselors for a student
+   * Find matching counselors for a student, ranked by weighted score.
+   * Each result carries matchScore (0-1), matchFactors (per-factor score and
+   * explanation) and matchReasons (the strongest explanations).
+   * Options: onboardingAnswers (defaults to the saved onboarding data), minScore, limit.
    */
   async findMatchingCounselors(studentProfile, options = {}) {
     try {
-      // Get all counselors first
-      const counselors = await this.getAllCounselors();
-      
-      // Import and use the matching algorithm      // Simple matching algorithm - can be enhanced later
-      const matchedCounselors = counselors.filter(counselor => {
-        // Basic matching logic
-        const hasRequiredSpecialization = !criteria.specialization || 
-          counselor.specializations?.includes(criteria.specialization);
-        
-        const hasRequiredLocation = !criteria.location || 
-          counselor.coverage?.some(coverage => 
-            coverage.country?.toLowerCase().includes(criteria.location.toLowerCase()) ||
-            coverage.state_province?.toLowerCase().includes(criteria.location.toLowerCase()) ||
-            coverage.city?.toLowerCase().includes(criteria.location.toLowerCase())
-          );
-        
-        const meetsRatingRequirement = !criteria.minRating || 
-          counselor.average_rating >= criteria.minRating;
-        
-        return hasRequiredSpecialization && hasRequiredLocation && meetsRatingRequirement;
-      });
+      const [counselors, caseloads] = await Promise.all([
+        this.getAllCounselors(),
+        this.getCounselorCaseloads()
+      ]);
+
+      const onboardingAnswers = options.onboardingAnswers ?? onboardingService.getOnboardingData();
+      const profile = buildMatchProfile(studentProfile, onboardingAnswers);
 
-      return matchedCounselors;
+      return rankCounselors(counselors, profile, {
+        caseloads,
+        minScore: options.minScore || 0,
+        limit: options.limit
+      });
     } catch (error) {
       console.error('Error finding matching counselors:', error);
       throw error;
     }
   }
 
+  /**
+   * Count approved students per counselor (counselor id -> count)
+   */
+  async getCounselorCaseloads() {
+    try {
+      const { data, error } = await supabase
+        .from('counselor_requests')
+        .select('requested_counselor_id')
+        .eq('status', 'approved');
+
+      if (error) throw error;
+
+      return (data || []).reduce((caseloads, request) => {
+        const counselorId = request.requested_counselor_id;
+        caseloads[counselorId] = (caseloads[counselorId] || 0) + 1;
+        return caseloads;
+      }, {});
+    } catch (error) {
+      console.error('Error fetching counselor caseloads:', error);
+      return {};
+    }
+  }
+
   /**
    * Create a counselor assignment (connection request)
    */
@@ -171,7 +190,7 @@ export class CounselorService {
       await this.createNotification({
         recipient_type: 'counselor',
         recipient_id: counselorId,
-        notification_type: 'new_assignment',
+        notification_type: 'connection_requested',
         title: 'New Student Assignment',
         message: `You have received a new assignment request from a student.`,
         action_url: `/counselor/assignments/${data.id}`
@@ -240,7 +259,7 @@ export class CounselorService {
         this.createNotification({
           recipient_type: 'counselor',
           recipient_id: meetingData.counselorId,
-          notification_type: 'meeting_scheduled',
+          notification_type: 'session_booked',
           title: 'Meeting Scheduled',
           message: `A new meeting has been scheduled with your student.`,
           action_url: `/counselor/meetings/${data.id}`
@@ -248,7 +267,7 @@ export class CounselorService {
         this.createNotification({
           recipient_type: 'student',
           recipient_id: meetingData.studentId,
-          notification_type: 'meeting_scheduled',
+          notification_type: 'session_booked',
           title: 'Meeting Confirmed',
           message: `Your meeting with the counselor has been confirmed.`,
           action_url: `/student/meetings/${data.id}`
@@ -333,16 +352,15 @@ export class CounselorService {
    * Create a notification
    */
   async createNotification(notificationData) {
-    try {
-      const { error } = await supabase
-        .from('notifications')
-        .insert(notificationData);
-
-      if (error) throw error;
-    } catch (error) {
-      console.error('Error creating notification:', error);
-      // Don't throw - notifications are not critical
-    }
+    // Delivery channels follow the recipient's notification preferences
+    await notificationService.notify({
+      type: notificationData.notification_type,
+      recipientType: notificationData.recipient_type,
+      recipientId: notificationData.recipient_id,
+      title: notificationData.title,
+      message: notificationData.message,
+      actionUrl: notificationData.action_url
+    });
   }
 
   /**
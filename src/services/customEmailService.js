@@ -4,7 +4,9 @@ import { supabase } from '../lib/supabase.js';
 class CustomEmailService {
   constructor() {
     // Firebase Functions configuration
-    this.firebaseFunctionUrl = 'https://us-central1-studentkonnect24aug.cloudfunctions.net/sendVerificationEmail';
+    // Email HTML is rendered by the templates in functions/emailTemplates.js
+    this.functionsBaseUrl = 'https://us-central1-studentkonnect24aug.cloudfunctions.net';
+    this.firebaseFunctionUrl = `${this.functionsBaseUrl}/sendVerificationEmail`;
     
     console.log('📧 Firebase email service initialized');
   }
@@ -44,79 +46,6 @@ class CustomEmailService {
     }
   }
 
-  // Create professional email HTML template
-  createEmailTemplate(firstName, lastName, verificationUrl) {
-    return `
-<!DOCTYPE html>
-<html>
-<head>
-    <meta charset="utf-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Verify Your StudentKonnect Account</title>
-</head>
-<body style="margin: 0; padding: 0; font-family: Arial, sans-serif; background-color: #f5f5f5;">
-    <div style="max-width: 600px; margin: 0 auto; background-color: #ffffff;">
-        <!-- Header -->
-        <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 40px 20px; text-align: center;">
-            <div style="display: inline-flex; align-items: center; margin-bottom: 20px;">
-                <div style="width: 40px; height: 40px; background: rgba(255,255,255,0.2); border-radius: 8px; display: flex; align-items: center; justify-content: center; margin-right: 12px;">
-                    <span style="color: white; font-weight: bold; font-size: 18px;">SK</span>
-                </div>
-                <span style="color: white; font-size: 24px; font-weight: bold;">StudentKonnect</span>
-            </div>
-            <h1 style="color: white; margin: 0; font-size: 28px; font-weight: 300;">Welcome to StudentKonnect!</h1>
-        </div>
-        
-        <!-- Content -->
-        <div style="padding: 40px 20px;">
-            <h2 style="color: #333; margin-bottom: 20px;">Hi ${firstName} ${lastName},</h2>
-            
-            <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
-                Thank you for creating your StudentKonnect account! To complete your registration and access all our features, please verify your email address.
-            </p>
-            
-            <div style="text-align: center; margin: 30px 0;">
-                <a href="${verificationUrl}" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; display: inline-block;">
-                    Verify Email Address
-                </a>
-            </div>
-            
-            <p style="color: #666; line-height: 1.6; margin-bottom: 20px;">
-                Or copy and paste this link into your browser:
-            </p>
-            <p style="color: #667eea; word-break: break-all; background: #f8f9fa; padding: 15px; border-radius: 4px; margin-bottom: 20px;">
-                ${verificationUrl}
-            </p>
-            
-            <div style="background: #f8f9fa; padding: 20px; border-radius: 8px; margin: 20px 0;">
-                <h3 style="color: #333; margin-top: 0;">What's Next?</h3>
-                <ul style="color: #666; line-height: 1.6; margin: 0; padding-left: 20px;">
-                    <li>Click the verification link above</li>
-                    <li>Sign in to your StudentKonnect account</li>
-                    <li>Complete your profile setup</li>
-                    <li>Start exploring universities and courses</li>
-                </ul>
-            </div>
-            
-            <p style="color: #999; font-size: 14px; margin-top: 30px;">
-                This verification link will expire in 24 hours. If you didn't create this account, please ignore this email.
-            </p>
-        </div>
-        
-        <!-- Footer -->
-        <div style="background: #f8f9fa; padding: 20px; text-align: center; border-top: 1px solid #eee;">
-            <p style="color: #999; font-size: 14px; margin: 0;">
-                Need help? Contact us at <a href="mailto:support@studentkonnect.com" style="color: #667eea;">support@studentkonnect.com</a>
-            </p>
-            <p style="color: #999; font-size: 12px; margin: 10px 0 0 0;">
-                © 2024 StudentKonnect. All rights reserved.
-            </p>
-        </div>
-    </div>
-</body>
-</html>`;
-  }
-
   // Send verification email using Firebase Functions
   async sendVerificationEmail(email, firstName, lastName, verificationUrl) {
     try {
@@ -131,7 +60,8 @@ class CustomEmailService {
           email: email,
           firstName: firstName,
           lastName: lastName,
-          verificationUrl: verificationUrl
+          verificationUrl: verificationUrl,
+          locale: navigator.language
         })
       });
 
@@ -160,6 +90,33 @@ class CustomEmailService {
     }
   }
 
+  // Send a password reset link. The function answers the same way whether or
+  // not the account exists.
+  async sendPasswordResetEmail(email) {
+    try {
+      const response = await fetch(`${this.functionsBaseUrl}/sendPasswordResetEmail`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          email: email,
+          locale: navigator.language,
+          redirectTo: `${window.location.origin}/signin`
+        })
+      });
+
+      if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+      }
+
+      return await response.json();
+    } catch (error) {
+      console.error('❌ Error requesting password reset email:', error);
+      return { success: false, error: 'Could not send the reset email. Please try again.' };
+    }
+  }
+
   // Complete email verification process
   async sendCustomVerificationEmail(userId, email, firstName, lastName) {
     try {
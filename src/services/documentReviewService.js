@@ -0,0 +1,266 @@
+// Document Review Service - counselor reviews of SOPs and resumes with inline comments
+import { supabase } from '../lib/supabase.js';
+import { applySuggestion, DOCUMENT_TYPES, OPEN_REVIEW_STATUSES } from '../lib/documentReview.js';
+import { realDatabaseService } from './realDatabaseService.js';
+import notificationService from './notificationService.js';
+
+class DocumentReviewService {
+  /**
+   * Share a document with the student's approved counselor.
+   * sections: [{ key, label, text }] from sopReviewSections / resumeReviewSections.
+   * studentId is the id stored on counselor_requests.student_id.
+   */
+  async requestReview({ studentId, studentName, documentType, documentId = null, title, sections }) {
+    try {
+      if (!sections || sections.length === 0) {
+        return { success: false, error: 'Add some content before asking for a review.' };
+      }
+
+      const { data: requests, error: requestError } = await realDatabaseService.getCounselorRequestByStudent(studentId);
+      if (requestError) throw requestError;
+
+      const connection = (requests || []).find(request => request.status === 'approved');
+      if (!connection) {
+        return { success: false, error: 'You need an approved counselor connection to request a review.' };
+      }
+
+      const open = await this.getLatestReview(studentId, documentType, documentId);
+      if (open.data && OPEN_REVIEW_STATUSES.includes(open.data.status)) {
+        return { success: false, error: 'This document is already with your counselor for review.' };
+      }
+
+      const { data: review, error } = await supabase
+        .from('document_reviews')
+        .insert([{
+          connection_id: String(connection.id),
+          student_id: String(studentId),
+          counselor_id: String(connection.requested_counselor_id),
+          document_type: documentType,
+          document_id: documentId ? String(documentId) : null,
+          title: title || DOCUMENT_TYPES[documentType],
+          sections,
+          status: 'requested'
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      await notificationService.notify({
+        type: 'review_requested',
+        recipientType: 'counselor',
+        recipientId: connection.requested_counselor_id,
+        title: `${DOCUMENT_TYPES[documentType]} review requested`,
+        message: `${studentName || 'Your student'} asked you to review "${review.title}".`,
+        actionUrl: '/counselor/students',
+        data: { reviewId: review.id }
+      });
+
+      return { success: true, data: review };
+    } catch (error) {
+      console.error('Error requesting document review:', error);
+      return { success: false, error: 'Failed to request a review. Please try again.' };
+    }
+  }
+
+  async getLatestReview(studentId, documentType, documentId = null) {
+    let query = supabase
+      .from('document_reviews')
+      .select('*')
+      .eq('student_id', String(studentId))
+      .eq('document_type', documentType)
+      .order('requested_at', { ascending: false })
+      .limit(1);
+
+    if (documentId) query = query.eq('document_id', String(documentId));
+
+    const { data, error } = await query.maybeSingle();
+    if (error) {
+      console.error('Error fetching document review:', error);
+      return { success: false, data: null, error };
+    }
+    return { success: true, data };
+  }
+
+  // Reviews across a counselor's students, newest first
+  async getCounselorReviews(counselorId) {
+    try {
+      const { data, error } = await supabase
+        .from('document_reviews')
+        .select('*')
+        .eq('counselor_id', String(counselorId))
+        .order('requested_at', { ascending: false });
+
+      if (error) throw error;
+      return { success: true, data: data || [] };
+    } catch (error) {
+      console.error('Error fetching counselor reviews:', error);
+      return { success: false, data: [], error };
+    }
+  }
+
+  async getComments(reviewId) {
+    try {
+      const { data, error } = await supabase
+        .from('review_comments')
+        .select('*')
+        .eq('review_id', reviewId)
+        .order('anchor_start', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data: data || [] };
+    } catch (error) {
+      console.error('Error fetching review comments:', error);
+      return { success: false, data: [], error };
+    }
+  }
+
+  /**
+   * Counselor comment or suggested edit on a range of one section.
+   * kind 'suggestion' replaces anchorText with suggestedText when accepted.
+   */
+  async addComment(review, { sectionKey, anchorStart, anchorEnd, anchorText, kind, body, suggestedText, authorId }) {
+    try {
+      const { data, error } = await supabase
+        .from('review_comments')
+        .insert([{
+          review_id: review.id,
+          section_key: sectionKey,
+          anchor_start: anchorStart,
+          anchor_end: anchorEnd,
+          anchor_text: anchorText,
+          kind,
+          body,
+          suggested_text: kind === 'suggestion' ? suggestedText : null,
+          author_role: 'counselor',
+          author_id: String(authorId)
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      if (review.status === 'requested') {
+        await this.updateReview(review.id, { status: 'in_review' });
+      }
+
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error adding review comment:', error);
+      return { success: false, error: 'Failed to save the comment.' };
+    }
+  }
+
+  async deleteComment(commentId) {
+    const { error } = await supabase
+      .from('review_comments')
+      .delete()
+      .eq('id', commentId)
+      .eq('status', 'open');
+
+    if (error) {
+      console.error('Error deleting review comment:', error);
+      return { success: false, error };
+    }
+    return { success: true };
+  }
+
+  // Counselor is done: the student sees the feedback. A review with no
+  // suggestions to act on is complete straight away.
+  async sendFeedback(review, counselorName) {
+    try {
+      const comments = await this.getComments(review.id);
+      const pending = comments.data.filter(comment => comment.kind === 'suggestion' && comment.status === 'open');
+      const now = new Date().toISOString();
+
+      const result = await this.updateReview(review.id, pending.length > 0
+        ? { status: 'feedback_ready', feedback_sent_at: now }
+        : { status: 'completed', feedback_sent_at: now, completed_at: now });
+      if (!result.success) return result;
+
+      await notificationService.notify({
+        type: 'review_feedback',
+        recipientType: 'student',
+        recipientId: review.student_id,
+        title: `Feedback on your ${DOCUMENT_TYPES[review.document_type]}`,
+        message: `${counselorName || 'Your counselor'} left ${comments.data.length} comment${comments.data.length === 1 ? '' : 's'}` +
+          (pending.length > 0 ? `, including ${pending.length} suggested edit${pending.length === 1 ? '' : 's'} to review.` : '.'),
+        actionUrl: review.document_type === 'sop' ? '/sop-builder' : '/resume-builder',
+        data: { reviewId: review.id }
+      });
+
+      return result;
+    } catch (error) {
+      console.error('Error sending review feedback:', error);
+      return { success: false, error: 'Failed to send feedback.' };
+    }
+  }
+
+  /**
+   * Student accepts or rejects a suggestion. For accepted suggestions, returns
+   * the new section text computed from currentText (the student's live draft);
+   * applied is false when the anchored text no longer exists there.
+   * Once nothing is pending the review completes and the counselor is told.
+   */
+  async respondToSuggestion(review, comment, accepted, currentText = '') {
+    try {
+      const applied = accepted ? applySuggestion(currentText, comment) : { applied: false, text: currentText };
+
+      const { data, error } = await supabase
+        .from('review_comments')
+        .update({ status: accepted ? 'accepted' : 'rejected', resolved_at: new Date().toISOString() })
+        .eq('id', comment.id)
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      const comments = await this.getComments(review.id);
+      const pending = comments.data.filter(item => item.kind === 'suggestion' && item.status === 'open');
+      let updatedReview = review;
+
+      if (pending.length === 0 && review.status !== 'completed') {
+        const result = await this.updateReview(review.id, { status: 'completed', completed_at: new Date().toISOString() });
+        updatedReview = result.data || review;
+
+        const acceptedCount = comments.data.filter(item => item.status === 'accepted').length;
+        const rejectedCount = comments.data.filter(item => item.status === 'rejected').length;
+        await notificationService.notify({
+          type: 'review_feedback',
+          recipientType: 'counselor',
+          recipientId: review.counselor_id,
+          title: `Suggestions reviewed on "${review.title}"`,
+          message: `Your student accepted ${acceptedCount} and declined ${rejectedCount} of your suggested edits.`,
+          actionUrl: '/counselor/students',
+          data: { reviewId: review.id }
+        });
+      }
+
+      return { success: true, data, review: updatedReview, applied: applied.applied, text: applied.text };
+    } catch (error) {
+      console.error('Error responding to suggestion:', error);
+      return { success: false, error: 'Failed to update the suggestion.' };
+    }
+  }
+
+  async updateReview(reviewId, updates) {
+    try {
+      const { data, error } = await supabase
+        .from('document_reviews')
+        .update({ ...updates, updated_at: new Date().toISOString() })
+        .eq('id', reviewId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error updating document review:', error);
+      return { success: false, error };
+    }
+  }
+}
+
+// Export singleton instance
+export const documentReviewService = new DocumentReviewService();
+export default documentReviewService;
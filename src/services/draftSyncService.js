@@ -0,0 +1,77 @@
+// Draft Sync Service - keeps builder drafts in Supabase so they follow the user across devices
+import { supabase } from '../lib/supabase.js';
+import { getDeviceId } from '../lib/draftStore.js';
+
+class DraftSyncService {
+  async fetchDraft(userId, docType) {
+    const { data, error } = await supabase
+      .from('document_drafts')
+      .select('*')
+      .eq('user_id', String(userId))
+      .eq('doc_type', docType)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error fetching synced draft:', error);
+      return { success: false, data: null, error };
+    }
+    return { success: true, data };
+  }
+
+  /**
+   * Save a draft on top of baseRevision, the revision this device last synced
+   * (null if it never has). If the server has moved on since, nothing is
+   * written and the newer remote draft is returned as `conflict`.
+   */
+  async pushDraft(userId, docType, data, baseRevision = null) {
+    try {
+      const record = {
+        data,
+        device_id: getDeviceId(),
+        updated_at: new Date().toISOString()
+      };
+
+      if (baseRevision === null) {
+        const { data: inserted, error } = await supabase
+          .from('document_drafts')
+          .insert([{ ...record, user_id: String(userId), doc_type: docType, revision: 1 }])
+          .select()
+          .single();
+
+        // Unique violation: another device created this draft first
+        if (error?.code === '23505') return this.conflict(userId, docType);
+        if (error) throw error;
+        return { success: true, data: inserted };
+      }
+
+      const { data: updated, error } = await supabase
+        .from('document_drafts')
+        .update({ ...record, revision: baseRevision + 1 })
+        .eq('user_id', String(userId))
+        .eq('doc_type', docType)
+        .eq('revision', baseRevision)
+        .select();
+
+      if (error) throw error;
+      if (updated && updated.length > 0) return { success: true, data: updated[0] };
+
+      // Nothing matched: either the draft moved on elsewhere or it was removed
+      const remote = await this.fetchDraft(userId, docType);
+      if (!remote.success) throw remote.error;
+      if (!remote.data) return this.pushDraft(userId, docType, data, null);
+      return { success: false, conflict: remote.data, error: 'This draft was changed on another device.' };
+    } catch (error) {
+      console.error('Error syncing draft:', error);
+      return { success: false, error: 'Could not sync your draft.' };
+    }
+  }
+
+  async conflict(userId, docType) {
+    const remote = await this.fetchDraft(userId, docType);
+    return { success: false, conflict: remote.data, error: 'This draft was changed on another device.' };
+  }
+}
+
+// Export singleton instance
+export const draftSyncService = new DraftSyncService();
+export default draftSyncService;
@@ -0,0 +1,59 @@
+// Email Template Service - admin preview and test sends for the templates in functions/emailTemplates.js
+import { supabase } from '../lib/supabase.js';
+
+const FUNCTIONS_BASE_URL = 'https://us-central1-studentkonnect24aug.cloudfunctions.net';
+
+class EmailTemplateService {
+  // The functions only serve admins, identified by their Supabase session
+  async request(path, body) {
+    const { data: { session } } = await supabase.auth.getSession();
+    const headers = session ? { Authorization: `Bearer ${session.access_token}` } : {};
+
+    const response = await fetch(`${FUNCTIONS_BASE_URL}/${path}`, body
+      ? { method: 'POST', headers: { ...headers, 'Content-Type': 'application/json' }, body: JSON.stringify(body) }
+      : { method: 'GET', headers });
+
+    const result = await response.json().catch(() => null);
+    if (!response.ok || !result?.success) {
+      throw new Error(result?.error || `HTTP error! status: ${response.status}`);
+    }
+    return result;
+  }
+
+  // { templates: [{ name, description, locales, sampleData }], locales: { code: label } }
+  async listTemplates() {
+    try {
+      const result = await this.request('emailTemplatePreview');
+      return { success: true, data: result.data };
+    } catch (error) {
+      console.error('Error loading email templates:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Renders with the template's sample data, overridden by `variables`
+  async previewTemplate(template, { locale, variables = {} } = {}) {
+    try {
+      const result = await this.request('emailTemplatePreview', { template, locale, variables });
+      return { success: true, data: result.data };
+    } catch (error) {
+      console.error('Error rendering email template:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Test sends always use the template's own sample data
+  async sendTestEmail(template, to, { locale } = {}) {
+    try {
+      const result = await this.request('sendTestEmail', { template, to, locale });
+      return { success: true, message: result.message };
+    } catch (error) {
+      console.error('Error sending test email:', error);
+      return { success: false, error: error.message };
+    }
+  }
+}
+
+// Export singleton instance
+export const emailTemplateService = new EmailTemplateService();
+export default emailTemplateService;
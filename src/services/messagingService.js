@@ -0,0 +1,237 @@
+// Messaging Service - 1:1 threads between a student and their approved counselor
+import { supabase } from '../lib/supabase.js';
+import { watchTable } from '../lib/realtime.js';
+import { realDatabaseService } from './realDatabaseService.js';
+import notificationService from './notificationService.js';
+
+const ATTACHMENT_BUCKET = 'message-attachments';
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+class MessagingService {
+  /**
+   * Conversations for a student, one per approved connection.
+   * studentId is the id stored on counselor_requests.student_id.
+   */
+  async getStudentConversations(studentId) {
+    try {
+      const { data: requests, error } = await realDatabaseService.getCounselorRequestByStudent(studentId);
+      if (error) throw error;
+
+      const approved = (requests || []).filter(request => request.status === 'approved');
+      const conversations = await Promise.all(approved.map(async (request) => {
+        const conversation = await this.ensureConversation(request);
+        const counselor = await realDatabaseService.getCounselorById(request.requested_counselor_id);
+        return {
+          ...conversation,
+          participantName: counselor.data?.display_name || counselor.data?.full_name ||
+            [counselor.data?.first_name, counselor.data?.last_name].filter(Boolean).join(' ') || 'Your counselor',
+          unreadCount: await this.getUnreadCount(conversation.id, 'student')
+        };
+      }));
+
+      return { success: true, data: this.sortConversations(conversations) };
+    } catch (error) {
+      console.error('Error fetching student conversations:', error);
+      return { success: false, data: [], error };
+    }
+  }
+
+  // Conversations for a counselor, one per student from getApprovedStudentsForCounselor
+  async getCounselorConversations(counselorId) {
+    try {
+      const result = await realDatabaseService.getApprovedStudentsForCounselor(counselorId);
+      if (!result.success) throw result.error;
+
+      const conversations = await Promise.all(result.data.map(async (request) => {
+        const conversation = await this.ensureConversation(request);
+        const student = request.students || {};
+        return {
+          ...conversation,
+          participantName: [student.first_name, student.last_name].filter(Boolean).join(' ') ||
+            student.users?.full_name || student.email || 'Student',
+          unreadCount: await this.getUnreadCount(conversation.id, 'counselor')
+        };
+      }));
+
+      return { success: true, data: this.sortConversations(conversations) };
+    } catch (error) {
+      console.error('Error fetching counselor conversations:', error);
+      return { success: false, data: [], error };
+    }
+  }
+
+  // Most recent activity first; conversations without messages last
+  sortConversations(conversations) {
+    return conversations.sort((a, b) =>
+      new Date(b.last_message_at || b.created_at) - new Date(a.last_message_at || a.created_at)
+    );
+  }
+
+  async ensureConversation(request) {
+    const { data, error } = await supabase
+      .from('conversations')
+      .upsert([{
+        connection_id: request.id,
+        student_id: String(request.student_id),
+        counselor_id: String(request.requested_counselor_id)
+      }], { onConflict: 'connection_id' })
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Messaging is only open while the connection is approved
+  async isConnectionApproved(conversation) {
+    const result = await realDatabaseService.getApprovedStudentsForCounselor(conversation.counselor_id);
+    return result.success && result.data.some(request => String(request.id) === String(conversation.connection_id));
+  }
+
+  async getMessages(conversationId) {
+    try {
+      const { data, error } = await supabase
+        .from('messages')
+        .select('*')
+        .eq('conversation_id', conversationId)
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data: data || [] };
+    } catch (error) {
+      console.error('Error fetching messages:', error);
+      return { success: false, data: [], error };
+    }
+  }
+
+  /**
+   * Send a message with optional File attachments.
+   * senderRole is 'student' or 'counselor'.
+   */
+  async sendMessage(conversation, { senderRole, senderId, body = '', files = [] }) {
+    try {
+      if (!body.trim() && files.length === 0) {
+        return { success: false, error: 'Write a message or attach a file.' };
+      }
+
+      const oversized = files.find(file => file.size > MAX_ATTACHMENT_BYTES);
+      if (oversized) {
+        return { success: false, error: `${oversized.name} is larger than 10 MB.` };
+      }
+
+      if (!(await this.isConnectionApproved(conversation))) {
+        return { success: false, error: 'You can only message an approved counselor connection.' };
+      }
+
+      const attachments = await Promise.all(files.map(file => this.uploadAttachment(conversation.id, file)));
+
+      const { data, error } = await supabase
+        .from('messages')
+        .insert([{
+          conversation_id: conversation.id,
+          sender_role: senderRole,
+          sender_id: String(senderId),
+          body: body.trim(),
+          attachments
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      const recipientRole = senderRole === 'student' ? 'counselor' : 'student';
+      await notificationService.notify({
+        type: 'message_received',
+        recipientType: recipientRole,
+        recipientId: recipientRole === 'student' ? conversation.student_id : conversation.counselor_id,
+        title: 'New message',
+        message: data.body ? data.body.slice(0, 140) : 'Sent an attachment',
+        actionUrl: recipientRole === 'student' ? '/student/dashboard' : '/counselor/dashboard',
+        data: { conversationId: conversation.id }
+      });
+
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error sending message:', error);
+      return { success: false, error: 'Failed to send message. Please try again.' };
+    }
+  }
+
+  async uploadAttachment(conversationId, file) {
+    const safeName = file.name.replace(/[^a-zA-Z0-9._-]/g, '_');
+    const path = `${conversationId}/${Date.now()}-${safeName}`;
+
+    const { error } = await supabase.storage
+      .from(ATTACHMENT_BUCKET)
+      .upload(path, file, { contentType: file.type });
+
+    if (error) throw error;
+    return { name: file.name, path, size: file.size, type: file.type };
+  }
+
+  // Attachments are private; links expire after an hour
+  async getAttachmentUrl(path) {
+    try {
+      const { data, error } = await supabase.storage
+        .from(ATTACHMENT_BUCKET)
+        .createSignedUrl(path, 60 * 60);
+
+      if (error) throw error;
+      return { success: true, data: data.signedUrl };
+    } catch (error) {
+      console.error('Error creating attachment link:', error);
+      return { success: false, error };
+    }
+  }
+
+  // Read receipts: mark everything the other participant sent as read
+  async markConversationRead(conversationId, viewerRole) {
+    try {
+      const { error } = await supabase
+        .from('messages')
+        .update({ read_at: new Date().toISOString() })
+        .eq('conversation_id', conversationId)
+        .neq('sender_role', viewerRole)
+        .is('read_at', null);
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error marking messages read:', error);
+      return { success: false, error };
+    }
+  }
+
+  async getUnreadCount(conversationId, viewerRole) {
+    const { count, error } = await supabase
+      .from('messages')
+      .select('id', { count: 'exact', head: true })
+      .eq('conversation_id', conversationId)
+      .neq('sender_role', viewerRole)
+      .is('read_at', null);
+
+    if (error) {
+      console.error('Error counting unread messages:', error);
+      return 0;
+    }
+    return count || 0;
+  }
+
+  // New messages and read receipts in one thread. Returns an unsubscribe function.
+  subscribeToConversation(conversationId, onChange) {
+    return watchTable(supabase, `messages:${conversationId}`, [
+      { event: '*', table: 'messages', filter: `conversation_id=eq.${conversationId}` }
+    ], onChange);
+  }
+
+  // Conversation list changes (the message trigger touches last_message_at)
+  subscribeToInbox(role, participantId, onChange) {
+    return watchTable(supabase, `inbox:${role}:${participantId}`, [
+      { event: '*', table: 'conversations', filter: `${role}_id=eq.${participantId}` }
+    ], onChange);
+  }
+}
+
+// Export singleton instance
+export const messagingService = new MessagingService();
+export default messagingService;
@@ -0,0 +1,157 @@
+// Notification Service - typed events delivered in-app, by email or in the daily digest
+import { supabase } from '../lib/supabase.js';
+import { watchTable } from '../lib/realtime.js';
+import { buildPreferenceMatrix, normalizeNotificationType } from '../lib/notificationTypes.js';
+
+class NotificationService {
+  /**
+   * Record a notification event. Which channels it reaches depends on the
+   * recipient's preferences; email and digest delivery happen in the Firebase
+   * functions, which drain the email_pending / digest_pending queues.
+   *
+   * The row is written by the create_notification RPC (notifications_schema.sql),
+   * which looks up the recipient's address and picks the channels itself.
+   * recipientType is 'student' | 'counselor'; recipientId is their id.
+   */
+  async notify({ type, recipientType, recipientId, title, message, actionUrl = null, data = {} }) {
+    try {
+      if (!recipientId) {
+        return { success: false, error: 'Notification recipient not found' };
+      }
+
+      const { data: notificationId, error } = await supabase.rpc('create_notification', {
+        notification_type: normalizeNotificationType(type),
+        recipient_type: recipientType,
+        recipient_id: String(recipientId),
+        title,
+        message,
+        action_url: actionUrl,
+        data
+      });
+
+      if (error) throw error;
+      // null when the recipient has switched every channel off
+      return { success: true, data: notificationId };
+    } catch (error) {
+      console.error('Error creating notification:', error);
+      // Don't fail the calling action - notifications are not critical
+      return { success: false, error };
+    }
+  }
+
+  async getNotifications(email, limit = 20) {
+    try {
+      const { data, error } = await supabase
+        .from('notifications')
+        .select('*')
+        .eq('recipient_email', email)
+        .eq('show_in_app', true)
+        .order('created_at', { ascending: false })
+        .limit(limit);
+
+      if (error) throw error;
+      return { success: true, data: data || [] };
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+      return { success: false, data: [], error };
+    }
+  }
+
+  async getUnreadCount(email) {
+    const { count, error } = await supabase
+      .from('notifications')
+      .select('id', { count: 'exact', head: true })
+      .eq('recipient_email', email)
+      .eq('show_in_app', true)
+      .is('read_at', null);
+
+    if (error) {
+      console.error('Error counting unread notifications:', error);
+      return 0;
+    }
+    return count || 0;
+  }
+
+  async markRead(notificationId) {
+    try {
+      const { error } = await supabase
+        .from('notifications')
+        .update({ read_at: new Date().toISOString() })
+        .eq('id', notificationId)
+        .is('read_at', null);
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error marking notification read:', error);
+      return { success: false, error };
+    }
+  }
+
+  async markAllRead(email) {
+    try {
+      const { error } = await supabase
+        .from('notifications')
+        .update({ read_at: new Date().toISOString() })
+        .eq('recipient_email', email)
+        .is('read_at', null);
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error marking notifications read:', error);
+      return { success: false, error };
+    }
+  }
+
+  // Stored overrides only; use getPreferenceMatrix for the full resolved table
+  async getPreferences(email) {
+    try {
+      const { data, error } = await supabase
+        .from('notification_preferences')
+        .select('preferences')
+        .eq('user_email', email)
+        .maybeSingle();
+
+      if (error) throw error;
+      return { success: true, data: data?.preferences || {} };
+    } catch (error) {
+      console.error('Error fetching notification preferences:', error);
+      return { success: false, data: {}, error };
+    }
+  }
+
+  async getPreferenceMatrix(email) {
+    const result = await this.getPreferences(email);
+    return { ...result, data: buildPreferenceMatrix(result.data) };
+  }
+
+  async savePreferences(email, preferences) {
+    try {
+      const { error } = await supabase
+        .from('notification_preferences')
+        .upsert({
+          user_email: email,
+          preferences,
+          updated_at: new Date().toISOString()
+        });
+
+      if (error) throw error;
+      return { success: true };
+    } catch (error) {
+      console.error('Error saving notification preferences:', error);
+      return { success: false, error };
+    }
+  }
+
+  // New notifications and read-state changes. Returns an unsubscribe function.
+  subscribe(email, onChange) {
+    return watchTable(supabase, `notifications:${email}`, [
+      { event: '*', table: 'notifications', filter: `recipient_email=eq.${email}` }
+    ], onChange);
+  }
+}
+
+// Export singleton instance
+export const notificationService = new NotificationService();
+export default notificationService;
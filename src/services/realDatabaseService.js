@@ -1,5 +1,9 @@
 // Real Database Service connecting directly to PostgreSQL
 import { createClient } from '@supabase/supabase-js'
+import availabilityService, { checkSlot } from './availabilityService.js'
+import { getBrowserTimeZone, normalizeTimeZone, zonedTimeToUtc } from '../lib/timezone.js'
+import { DEFAULT_CASELOAD_CAPACITY } from '../lib/counselorMatching.js'
+import { canTransition, normalizeSessionStatus, validateSessionAction } from '../lib/sessionLifecycle.js'
 
 // Direct PostgreSQL connection configuration
 const supabaseUrl = 'https://xududbaqaaffcaejwuix.supabase.co'
@@ -8,6 +12,10 @@ const supabaseKey = 'eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.eyJpc3MiOiJzdXBhYmFzZS
 // Create Supabase client for direct database access
 const supabase = createClient(supabaseUrl, supabaseKey)
 
+// sessions_counselor_no_overlap (exclusion) rejects overlapping bookings; 23505 is
+// the unique slot index it replaced, on databases that haven't re-run the schema
+const SLOT_CONFLICT_CODES = ['23P01', '23505']
+
 class RealDatabaseService {
   constructor() {
     this.supabase = supabase;
@@ -446,6 +454,122 @@ class RealDatabaseService {
     }
   }
 
+  async getCounselorRequestById(requestId) {
+    try {
+      const { data, error } = await supabase
+        .from('counselor_requests')
+        .select('*')
+        .eq('id', requestId)
+        .single();
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Error fetching counselor request:', error);
+      return { data: null, error };
+    }
+  }
+
+  async updateCounselorRequest(requestId, updateData) {
+    try {
+      const { data, error } = await supabase
+        .from('counselor_requests')
+        .update({ ...updateData, updated_at: new Date().toISOString() })
+        .eq('id', requestId)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { data, error: null };
+    } catch (error) {
+      console.error('Error updating counselor request:', error);
+      return { data: null, error };
+    }
+  }
+
+  // Capacity: approved students count as active; pending requests hold a
+  // provisional place so that waitlist promotions cannot overfill a counselor
+  async getCounselorCapacity(counselorId) {
+    try {
+      const [counselorResult, requestsResult] = await Promise.all([
+        supabase
+          .from('counselors')
+          .select('id, max_students')
+          .eq('id', counselorId)
+          .single(),
+        supabase
+          .from('counselor_requests')
+          .select('id, status')
+          .eq('requested_counselor_id', counselorId)
+          .in('status', ['approved', 'pending', 'waitlisted'])
+      ]);
+
+      if (counselorResult.error) throw counselorResult.error;
+      if (requestsResult.error) throw requestsResult.error;
+
+      const requests = requestsResult.data || [];
+      const maxStudents = counselorResult.data.max_students || DEFAULT_CASELOAD_CAPACITY;
+      const activeStudents = requests.filter(request => request.status === 'approved').length;
+      const pendingRequests = requests.filter(request => request.status === 'pending').length;
+
+      return {
+        success: true,
+        data: {
+          maxStudents,
+          activeStudents,
+          pendingRequests,
+          waitlisted: requests.filter(request => request.status === 'waitlisted').length,
+          openPlaces: Math.max(0, maxStudents - activeStudents - pendingRequests),
+          canApprove: activeStudents < maxStudents
+        }
+      };
+    } catch (error) {
+      console.error('Error fetching counselor capacity:', error);
+      return { success: false, data: null, error };
+    }
+  }
+
+  async updateCounselorCapacity(counselorId, maxStudents) {
+    try {
+      const value = Number(maxStudents);
+      if (!Number.isInteger(value) || value < 1) {
+        return { success: false, error: new Error('Capacity must be a whole number of at least 1.') };
+      }
+
+      const { data, error } = await supabase
+        .from('counselors')
+        .update({ max_students: value })
+        .eq('id', counselorId)
+        .select('id, max_students')
+        .single();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error updating counselor capacity:', error);
+      return { success: false, error };
+    }
+  }
+
+  // Waitlisted requests for a counselor, first come first served
+  async getCounselorWaitlist(counselorId) {
+    try {
+      const { data, error } = await supabase
+        .from('counselor_requests')
+        .select('*')
+        .eq('requested_counselor_id', counselorId)
+        .eq('status', 'waitlisted')
+        .order('waitlisted_at', { ascending: true })
+        .order('id', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data: data || [] };
+    } catch (error) {
+      console.error('Error fetching counselor waitlist:', error);
+      return { success: false, data: [], error };
+    }
+  }
+
   async getAllCounselorRequests() {
     try {
       const { data, error } = await supabase
@@ -543,6 +667,26 @@ class RealDatabaseService {
     }
   }
 
+  // Get several users at once (e.g. to label sessions with participant names)
+  async getUsersByIds(userIds) {
+    try {
+      if (!userIds || userIds.length === 0) {
+        return { success: true, data: [] };
+      }
+
+      const { data, error } = await supabase
+        .from('users')
+        .select('*')
+        .in('id', userIds);
+
+      if (error) throw error;
+      return { success: true, data: data || [] };
+    } catch (error) {
+      console.error('Error fetching users by ids:', error);
+      return { success: false, data: [], error };
+    }
+  }
+
   // Get user by email
   async getUserByEmail(email) {
     try {
@@ -560,6 +704,52 @@ class RealDatabaseService {
     }
   }
 
+  // Merge dashboard stats for a user (student or counselor) into user_stats
+  async updateUserStats(email, stats) {
+    try {
+      const { data: existing, error: fetchError } = await supabase
+        .from('user_stats')
+        .select('stats')
+        .eq('user_email', email)
+        .maybeSingle();
+
+      if (fetchError) throw fetchError;
+
+      const { data, error } = await supabase
+        .from('user_stats')
+        .upsert({
+          user_email: email,
+          stats: { ...(existing?.stats || {}), ...stats },
+          updated_at: new Date().toISOString()
+        })
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error updating user stats:', error);
+      return { success: false, error };
+    }
+  }
+
+  // Get dashboard stats for a user
+  async getUserStats(email) {
+    try {
+      const { data, error } = await supabase
+        .from('user_stats')
+        .select('*')
+        .eq('user_email', email)
+        .maybeSingle();
+
+      if (error) throw error;
+      return { success: true, data: data?.stats || {} };
+    } catch (error) {
+      console.error('Error fetching user stats:', error);
+      return { success: false, data: {}, error };
+    }
+  }
+
   // Get student profile by email
   async getStudentByEmail(email) {
     try {
@@ -792,6 +982,12 @@ class RealDatabaseService {
   // Create a new session
   async createSession(sessionData) {
     try {
+      // Reject slots the counselor does not offer or that are already taken
+      const slotCheck = await this.checkSessionSlot(sessionData);
+      if (!slotCheck.available) {
+        return { success: false, conflict: true, error: new Error(slotCheck.reason) };
+      }
+
       const { data, error } = await this.supabase
         .from('sessions')
         .insert([{
@@ -800,17 +996,28 @@ class RealDatabaseService {
           session_type: sessionData.sessionType || 'consultation',
           session_title: sessionData.sessionTitle,
           session_description: sessionData.sessionDescription,
+          // Date and time stay in the counselor's wall clock; scheduled_at is the UTC instant
           scheduled_date: sessionData.scheduledDate,
           scheduled_time: sessionData.scheduledTime,
+          scheduled_at: zonedTimeToUtc(sessionData.scheduledDate, sessionData.scheduledTime, slotCheck.timezone).toISOString(),
+          student_timezone: normalizeTimeZone(sessionData.studentTimezone) || getBrowserTimeZone(),
+          counselor_timezone: slotCheck.timezone,
           duration_minutes: sessionData.durationMinutes || 60,
-          status: 'scheduled',
+          // New bookings hold the slot until the counselor confirms them
+          status: 'requested',
           meeting_link: sessionData.meetingLink,
           notes: sessionData.notes
         }])
         .select()
         .single();
 
-      if (error) throw error;
+      if (error) {
+        // The overlap constraint caught a booking that raced past the check above
+        if (SLOT_CONFLICT_CODES.includes(error.code)) {
+          return { success: false, conflict: true, error: new Error('This time slot has already been booked.') };
+        }
+        throw error;
+      }
       return { success: true, data };
     } catch (error) {
       console.error('Error creating session:', error);
@@ -818,6 +1025,29 @@ class RealDatabaseService {
     }
   }
 
+  // Check a requested slot against the counselor's availability and existing sessions
+  async checkSessionSlot(sessionData) {
+    const [availabilityResult, sessionsResult] = await Promise.all([
+      availabilityService.getCounselorAvailability(sessionData.counselorId),
+      this.getCounselorSessions(sessionData.counselorId)
+    ]);
+
+    if (!availabilityResult.success || !sessionsResult.success) {
+      return { available: false, reason: 'Unable to verify counselor availability. Please try again.' };
+    }
+
+    // When rescheduling, the session's current slot must not block its new one
+    const sessions = sessionsResult.data.filter(session => session.id !== sessionData.excludeSessionId)
+
+    const result = checkSlot(availabilityResult.data, sessions, {
+      date: sessionData.scheduledDate,
+      time: sessionData.scheduledTime,
+      durationMinutes: sessionData.durationMinutes || 60
+    });
+
+    return { ...result, timezone: availabilityResult.data.settings.timezone };
+  }
+
   // Get sessions for a counselor
   async getCounselorSessions(counselorId) {
     try {
@@ -852,9 +1082,19 @@ class RealDatabaseService {
     }
   }
 
-  // Update session status
+  // Update session status - only transitions allowed by the lifecycle are accepted
   async updateSessionStatus(sessionId, status, notes = null) {
     try {
+      const current = await this.getSessionById(sessionId);
+      if (!current.success) throw current.error;
+
+      if (!canTransition(current.data.status, status)) {
+        return {
+          success: false,
+          error: new Error(`Cannot change a ${normalizeSessionStatus(current.data.status)} session to ${status}.`)
+        };
+      }
+
       const updateData = { 
         status, 
         updated_at: new Date().toISOString() 
@@ -879,6 +1119,147 @@ class RealDatabaseService {
     }
   }
 
+  // Apply a lifecycle action ('confirm', 'cancel', 'no_show', 'complete') on behalf of
+  // the student or counselor. Rescheduling goes through rescheduleSession.
+  async transitionSession(sessionId, action, actor, { reason = '', notes = null } = {}) {
+    try {
+      const current = await this.getSessionById(sessionId);
+      if (!current.success) throw current.error;
+
+      const check = validateSessionAction(current.data, action, actor);
+      if (!check.allowed) {
+        return { success: false, error: new Error(check.reason) };
+      }
+
+      const now = new Date().toISOString();
+      const updateData = { status: check.to, updated_at: now };
+
+      switch (action) {
+        case 'confirm':
+          updateData.confirmed_at = now;
+          break;
+        case 'cancel':
+          updateData.cancelled_at = now;
+          updateData.cancellation_reason = reason;
+          updateData.is_late_cancellation = check.isLate;
+          break;
+        case 'no_show':
+          updateData.no_show_at = now;
+          break;
+        case 'complete':
+          updateData.completed_at = now;
+          break;
+      }
+
+      if (notes) {
+        updateData.notes = notes;
+      }
+
+      // Guard against a concurrent change between the read and this write
+      const { data, error } = await this.supabase
+        .from('sessions')
+        .update(updateData)
+        .eq('id', sessionId)
+        .eq('status', current.data.status)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { success: true, data, isLate: check.isLate };
+    } catch (error) {
+      console.error('Error updating session lifecycle:', error);
+      return { success: false, error };
+    }
+  }
+
+  // Move a session to a new slot and record the change in session_reschedules
+  async rescheduleSession(sessionId, { scheduledDate, scheduledTime, reason = '' }, actor) {
+    try {
+      const current = await this.getSessionById(sessionId);
+      if (!current.success) throw current.error;
+      const session = current.data;
+
+      const check = validateSessionAction(session, 'reschedule', actor);
+      if (!check.allowed) {
+        return { success: false, error: new Error(check.reason) };
+      }
+
+      const slotCheck = await this.checkSessionSlot({
+        counselorId: session.counselor_id,
+        scheduledDate,
+        scheduledTime,
+        durationMinutes: session.duration_minutes,
+        excludeSessionId: session.id
+      });
+      if (!slotCheck.available) {
+        return { success: false, conflict: true, error: new Error(slotCheck.reason) };
+      }
+
+      const scheduledAt = zonedTimeToUtc(scheduledDate, scheduledTime, slotCheck.timezone).toISOString();
+
+      const { data, error } = await this.supabase
+        .from('sessions')
+        .update({
+          status: 'rescheduled',
+          scheduled_date: scheduledDate,
+          scheduled_time: scheduledTime,
+          scheduled_at: scheduledAt,
+          counselor_timezone: slotCheck.timezone,
+          reschedule_count: (session.reschedule_count || 0) + 1,
+          last_rescheduled_by: actor,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', sessionId)
+        .eq('status', session.status)
+        .select()
+        .single();
+
+      if (error) {
+        if (SLOT_CONFLICT_CODES.includes(error.code)) {
+          return { success: false, conflict: true, error: new Error('This time slot has already been booked.') };
+        }
+        throw error;
+      }
+
+      const { error: historyError } = await this.supabase
+        .from('session_reschedules')
+        .insert([{
+          session_id: String(session.id),
+          rescheduled_by: actor,
+          previous_date: session.scheduled_date,
+          previous_time: session.scheduled_time,
+          previous_scheduled_at: session.scheduled_at,
+          new_date: scheduledDate,
+          new_time: scheduledTime,
+          new_scheduled_at: scheduledAt,
+          reason
+        }]);
+
+      if (historyError) throw historyError;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error rescheduling session:', error);
+      return { success: false, error };
+    }
+  }
+
+  // Get reschedule history for a session, oldest first
+  async getSessionReschedules(sessionId) {
+    try {
+      const { data, error } = await this.supabase
+        .from('session_reschedules')
+        .select('*')
+        .eq('session_id', String(sessionId))
+        .order('created_at', { ascending: true });
+
+      if (error) throw error;
+      return { success: true, data: data || [] };
+    } catch (error) {
+      console.error('Error fetching reschedule history:', error);
+      return { success: false, data: [], error };
+    }
+  }
+
   // Get session by ID
   async getSessionById(sessionId) {
     try {
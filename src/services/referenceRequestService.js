@@ -0,0 +1,204 @@
+// Reference Request Service - tracked reference letter requests and the referee portal
+import { supabase } from '../lib/supabase.js';
+import { customEmailService } from './customEmailService.js';
+
+const LETTER_BUCKET = 'reference-letters';
+
+// Statuses a request can still be (re)sent or cancelled from
+export const OPEN_REFERENCE_STATUSES = ['pending', 'sent', 'opened'];
+
+class ReferenceRequestService {
+  constructor() {
+    // Referee links and letters are handled by the Firebase functions, which
+    // generate and check the tokens the same way as email verification
+    this.functionsBaseUrl = customEmailService.functionsBaseUrl;
+  }
+
+  // Sends the student's Supabase session along, if any; the referee portal
+  // calls work without one
+  async callFunction(name, { method = 'POST', body, query } = {}) {
+    const url = `${this.functionsBaseUrl}/${name}${query ? `?${new URLSearchParams(query)}` : ''}`;
+    const { data: { session } } = await supabase.auth.getSession();
+    const response = await fetch(url, {
+      method,
+      headers: {
+        ...(session ? { Authorization: `Bearer ${session.access_token}` } : {}),
+        ...(body ? { 'Content-Type': 'application/json' } : {})
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const result = await response.json().catch(() => null);
+    if (!response.ok || !result?.success) {
+      throw new Error(result?.error || `HTTP error! status: ${response.status}`);
+    }
+    return result;
+  }
+
+  /**
+   * Save a request and email the referee their link.
+   * referenceData is the toolkit's { referee, student, letter } form.
+   */
+  async createRequest(referenceData, student) {
+    const { referee, letter } = referenceData;
+    if (!referee.name?.trim() || !referee.email?.trim()) {
+      return { success: false, error: "Add the referee's name and email first." };
+    }
+
+    try {
+      const { data: request, error } = await supabase
+        .from('reference_requests')
+        .insert([{
+          student_id: String(student.id),
+          student_name: referenceData.student.name?.trim() || student.name || null,
+          student_email: student.email || null,
+          referee_name: referee.name.trim(),
+          referee_email: referee.email.trim(),
+          referee_title: referee.title || null,
+          referee_organization: referee.organization || null,
+          relationship: referee.relationship || null,
+          relationship_duration: referee.duration || null,
+          purpose: letter.purpose || null,
+          program: referenceData.student.program || null,
+          institution: referenceData.student.institution || null,
+          achievements: referenceData.student.achievements || null,
+          specific_requirements: letter.specificRequirements || null,
+          deadline: letter.deadline || null
+        }])
+        .select()
+        .single();
+
+      if (error) throw error;
+
+      const sent = await this.sendRequest(request.id);
+      if (!sent.success) {
+        return { success: false, data: request, error: `Request saved, but the email could not be sent: ${sent.error}` };
+      }
+      return sent;
+    } catch (error) {
+      console.error('Error creating reference request:', error);
+      return { success: false, error: 'Failed to create the reference request. Please try again.' };
+    }
+  }
+
+  // Emails the referee a fresh link; earlier links stop working
+  async sendRequest(requestId) {
+    try {
+      const result = await this.callFunction('sendReferenceRequest', { body: { requestId } });
+      return { success: true, data: result.data };
+    } catch (error) {
+      console.error('Error sending reference request:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async getStudentRequests(studentId) {
+    try {
+      const { data, error } = await supabase
+        .from('reference_requests')
+        .select('*')
+        .eq('student_id', String(studentId))
+        .order('created_at', { ascending: false });
+
+      if (error) throw error;
+      return { success: true, data: data || [] };
+    } catch (error) {
+      console.error('Error loading reference requests:', error);
+      return { success: false, error: 'Failed to load your reference requests.' };
+    }
+  }
+
+  async cancelRequest(requestId) {
+    try {
+      const { data, error } = await supabase
+        .from('reference_requests')
+        .update({ status: 'cancelled', updated_at: new Date().toISOString() })
+        .eq('id', requestId)
+        .in('status', OPEN_REFERENCE_STATUSES)
+        .select()
+        .single();
+
+      if (error) throw error;
+      return { success: true, data };
+    } catch (error) {
+      console.error('Error cancelling reference request:', error);
+      return { success: false, error: 'Failed to cancel the request.' };
+    }
+  }
+
+  // Only letters the referee chose to share are readable; anything else
+  // comes back empty
+  async getSharedLetter(requestId) {
+    try {
+      const { data: letter, error } = await supabase
+        .from('reference_letters')
+        .select('letter_text, file_path, file_name, file_type, submitted_at')
+        .eq('request_id', requestId)
+        .maybeSingle();
+
+      if (error) throw error;
+      if (!letter) return { success: false, error: 'Your referee has kept this letter private.' };
+
+      let fileUrl = null;
+      if (letter.file_path) {
+        const { data: signed, error: urlError } = await supabase.storage
+          .from(LETTER_BUCKET)
+          .createSignedUrl(letter.file_path, 60 * 60);
+
+        if (urlError) throw urlError;
+        fileUrl = signed.signedUrl;
+      }
+
+      return { success: true, data: { ...letter, fileUrl } };
+    } catch (error) {
+      console.error('Error loading reference letter:', error);
+      return { success: false, error: 'Failed to load the letter.' };
+    }
+  }
+
+  // Referee portal - no sign-in, the token from the email is the only key
+
+  async getRequestByToken(token) {
+    try {
+      const result = await this.callFunction('getReferenceRequest', { method: 'GET', query: { token } });
+      return { success: true, data: result.data };
+    } catch (error) {
+      console.error('Error loading reference request:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  /**
+   * Submit the referee's letter. Either letterText or a File (PDF, Word or
+   * text, up to 5 MB) is required.
+   */
+  async submitLetter(token, { letterText, file, shareWithStudent }) {
+    try {
+      const result = await this.callFunction('submitReferenceLetter', {
+        body: {
+          token,
+          letterText,
+          shareWithStudent,
+          file: file ? { name: file.name, type: file.type, data: await this.readAsBase64(file) } : null
+        }
+      });
+      return { success: true, message: result.message };
+    } catch (error) {
+      console.error('Error submitting reference letter:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  readAsBase64(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result).split(',')[1] || '');
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+  }
+}
+
+// Export singleton instance
+export const referenceRequestService = new ReferenceRequestService();
+export default referenceRequestService;